@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, shell, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Notification, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const Database = require('better-sqlite3');
@@ -8,14 +8,29 @@ const invoiceScanningDB = require('./databaseInvoiceScanning');
 const Tesseract = require('tesseract.js');
 
 // Audit Service
-const auditService = require('../src/services/auditService');
+const { AuditService: auditService } = require('../src/services/auditService');
 
 // E-Invoice Service
 const einvoiceService = require('../src/services/einvoiceService');
 
+// Invoice Template Service
+const invoiceTemplateService = require('../src/services/invoiceTemplateService');
+
 // GST Return Service
 const gstReturnService = require('../src/services/gstReturnService');
 
+// GST Filing Calendar Service
+const gstCalendarService = require('../src/services/gstCalendarService');
+
+// Input Tax Credit Service
+const itcService = require('../src/services/itcService');
+
+// Export Service
+const exportService = require('../src/services/exportService');
+
+// GSTR-2B Service
+const gstr2bService = require('../src/services/gstr2bService');
+
 // Inventory Service
 const inventoryService = require('../src/services/inventoryService');
 
@@ -26,6 +41,34 @@ let reportEngine = null;
 // Banking Service
 const bankingService = require('../src/services/bankingService');
 
+// Reconciliation Engine
+const reconciliationEngine = require('../src/services/reconciliationEngine');
+
+// Statement Import Manager
+const ImportManager = require('../src/services/importManager');
+let importManager = null;
+
+// Ledger Service
+const ledgerService = require('../src/services/ledgerService');
+
+// Voucher Series Service
+const voucherSeriesService = require('../src/services/voucherSeriesService');
+
+// TDS Service
+const tdsService = require('../src/services/tdsService');
+
+// Reverse Charge Service
+const rcmService = require('../src/services/rcmService');
+
+// HSN/SAC Master Service
+const hsnService = require('../src/services/hsnService');
+
+// Place of Supply (CGST/SGST vs IGST)
+const placeOfSupply = require('../src/services/placeOfSupply');
+
+// Branch Service
+const branchService = require('../src/services/branchService');
+
 // Payment Gateway Service
 const paymentGatewayService = require('../src/services/paymentGatewayService');
 
@@ -231,6 +274,47 @@ function initializeDatabase() {
       FOREIGN KEY (product_id) REFERENCES products(id)
     );
 
+    -- Transaction Line Items (one row per invoice line)
+    CREATE TABLE IF NOT EXISTS transaction_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      line_no INTEGER NOT NULL DEFAULT 1,
+      product_id INTEGER,
+      description TEXT,
+      hsn_code TEXT,
+      unit TEXT DEFAULT 'pcs',
+      quantity REAL NOT NULL DEFAULT 1,
+      rate REAL NOT NULL DEFAULT 0,
+      amount REAL NOT NULL DEFAULT 0,
+      discount_percent REAL DEFAULT 0,
+      discount_amount REAL DEFAULT 0,
+      taxable_amount REAL NOT NULL DEFAULT 0,
+      gst_rate REAL DEFAULT 0,
+      cgst_amount REAL DEFAULT 0,
+      sgst_amount REAL DEFAULT 0,
+      igst_amount REAL DEFAULT 0,
+      cess_rate REAL DEFAULT 0,
+      cess_amount REAL DEFAULT 0,
+      total_amount REAL NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (product_id) REFERENCES products(id)
+    );
+
+    -- Journal/Contra Voucher Lines (account-level debits and credits)
+    CREATE TABLE IF NOT EXISTS journal_voucher_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      line_no INTEGER NOT NULL DEFAULT 1,
+      account_id INTEGER NOT NULL,
+      party_id INTEGER,
+      debit REAL DEFAULT 0,
+      credit REAL DEFAULT 0,
+      narration TEXT,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (party_id) REFERENCES parties(id)
+    );
+
     -- Payments
     CREATE TABLE IF NOT EXISTS payments (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -434,20 +518,7 @@ function initializeDatabase() {
       created_by TEXT
     );
 
-    -- Bank Statement Transactions
-    CREATE TABLE IF NOT EXISTS bank_transactions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      bank_statement_id INTEGER NOT NULL,
-      date TEXT NOT NULL,
-      description TEXT,
-      amount REAL NOT NULL,
-      type TEXT NOT NULL,
-      reference_no TEXT,
-      matched INTEGER DEFAULT 0,
-      transaction_id INTEGER,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (bank_statement_id) REFERENCES bank_statements(id)
-    );
+    -- Statement lines are kept in bank_transactions, created by the banking service
 
     -- Recommendations
     CREATE TABLE IF NOT EXISTS recommendations (
@@ -486,8 +557,8 @@ function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_alerts_unread ON alerts(is_read, is_dismissed);
     CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
     CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at);
-    CREATE INDEX IF NOT EXISTS idx_bank_transactions_bank ON bank_transactions(bank_statement_id);
-    CREATE INDEX IF NOT EXISTS idx_bank_transactions_date ON bank_transactions(date);
+    CREATE INDEX IF NOT EXISTS idx_transaction_items_txn ON transaction_items(transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_journal_voucher_lines_txn ON journal_voucher_lines(transaction_id);
     CREATE INDEX IF NOT EXISTS idx_recommendations_type ON recommendations(type);
     CREATE INDEX IF NOT EXISTS idx_voice_logs_created ON voice_command_logs(created_at);
     CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -675,6 +746,89 @@ function initializeDatabase() {
     );
   }
 
+  // Columns added to existing tables after their first release
+  addColumnIfMissing('transactions', 'original_transaction_id', 'INTEGER REFERENCES transactions(id)');
+  addColumnIfMissing('transactions', 'note_reason', 'TEXT');
+  addColumnIfMissing('transactions', 'branch_id', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('transactions', 'series_id', 'INTEGER');
+  addColumnIfMissing('transactions', 'series_number', 'INTEGER');
+  addColumnIfMissing('transactions', 'financial_year', 'TEXT');
+  addColumnIfMissing('transactions', 'is_itc_eligible', 'INTEGER DEFAULT 1');
+  addColumnIfMissing('transactions', 'reverse_charge', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('transactions', 'rcm_self_invoice_no', 'TEXT');
+  addColumnIfMissing('transactions', 'place_of_supply', 'TEXT');
+  addColumnIfMissing('transactions', 'supply_nature', "TEXT DEFAULT 'regular'");
+  addColumnIfMissing('transactions', 'service_type', 'TEXT');
+  addColumnIfMissing('transactions', 'location_state_code', 'TEXT');
+  addColumnIfMissing('transactions', 'ship_to_name', 'TEXT');
+  addColumnIfMissing('transactions', 'ship_to_gstin', 'TEXT');
+  addColumnIfMissing('transactions', 'ship_to_address', 'TEXT');
+  addColumnIfMissing('transactions', 'ship_to_city', 'TEXT');
+  addColumnIfMissing('transactions', 'ship_to_pincode', 'TEXT');
+  addColumnIfMissing('transactions', 'ship_to_state_code', 'TEXT');
+  addColumnIfMissing('transactions', 'counter_branch_id', 'INTEGER');
+  addColumnIfMissing('transactions', 'bill_of_supply', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('transactions', 'itc_category', "TEXT DEFAULT 'eligible'");
+  addColumnIfMissing('transactions', 'itc_blocked_reason', 'TEXT');
+  addColumnIfMissing('transactions', 'is_capital_goods', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('transactions', 'is_matched', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('parties', 'tds_section', 'TEXT');
+  addColumnIfMissing('parties', 'deductee_type', "TEXT DEFAULT 'company'");
+  addColumnIfMissing('parties', 'lower_deduction_rate', 'REAL');
+  addColumnIfMissing('parties', 'is_non_resident', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('parties', 'pincode', 'TEXT');
+  addColumnIfMissing('parties', 'state_code', 'TEXT');
+  addColumnIfMissing('parties', 'country', 'TEXT');
+  addColumnIfMissing('parties', 'is_sez', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('parties', 'branch_id', 'INTEGER');
+  addColumnIfMissing('payments', 'tds_amount', 'REAL DEFAULT 0');
+  addColumnIfMissing('payments', 'tds_section', 'TEXT');
+  addColumnIfMissing('payments', 'date', 'TEXT');
+  addColumnIfMissing('payments', 'bank_transaction_id', 'INTEGER'); // set when a bank match allocated the payment
+  addColumnIfMissing('bank_statements', 'account_id', 'INTEGER');
+  addColumnIfMissing('bank_statements', 'file_hash', 'TEXT'); // sha256 of the imported file, to refuse it twice
+  addColumnIfMissing('bank_statements', 'file_type', 'TEXT');
+  addColumnIfMissing('bank_statements', 'profile_code', 'TEXT');
+  addColumnIfMissing('bank_statements', 'total_credits', 'REAL DEFAULT 0');
+  addColumnIfMissing('bank_statements', 'total_debits', 'REAL DEFAULT 0');
+  addColumnIfMissing('bank_statements', 'opening_balance', 'REAL');
+  addColumnIfMissing('bank_statements', 'closing_balance', 'REAL');
+  addColumnIfMissing('expenses', 'tds_amount', 'REAL DEFAULT 0');
+  addColumnIfMissing('expenses', 'tds_section', 'TEXT');
+  addColumnIfMissing('expenses', 'reverse_charge', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('expenses', 'rcm_self_invoice_no', 'TEXT');
+  addColumnIfMissing('expenses', 'branch_id', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('gst_reminders', 'gstin', 'TEXT');
+  addColumnIfMissing('gst_reminders', 'period_start', 'TEXT');
+  addColumnIfMissing('gst_reminders', 'period_end', 'TEXT');
+  addColumnIfMissing('gst_reminders', 'is_auto', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('gst_reminders', 'filed_on', 'TEXT');
+  addColumnIfMissing('gst_reminders', 'arn', 'TEXT');
+  addColumnIfMissing('gst_reminders', 'late_fee', 'REAL DEFAULT 0');
+  addColumnIfMissing('gst_reminders', 'interest', 'REAL DEFAULT 0');
+  addColumnIfMissing('gst_reminders', 'alert_state', 'TEXT');
+
+  // Columns written by AuditService that the original audit_logs table lacks
+  addColumnIfMissing('audit_logs', 'user_id', 'TEXT');
+  addColumnIfMissing('audit_logs', 'severity', 'TEXT');
+  addColumnIfMissing('audit_logs', 'metadata', 'TEXT');
+
+  // Vouchers created before line items existed become single-line invoices
+  db.exec(`
+    INSERT INTO transaction_items (
+      transaction_id, line_no, product_id, description, hsn_code, unit, quantity, rate, amount,
+      discount_percent, discount_amount, taxable_amount, gst_rate,
+      cgst_amount, sgst_amount, igst_amount, cess_amount, total_amount
+    )
+    SELECT t.id, 1, t.product_id, COALESCE(t.description, p.name), COALESCE(p.hsn_code, p.sac_code), COALESCE(p.unit, 'pcs'),
+      t.quantity, t.rate, t.amount, t.discount_percent, t.discount_amount, t.taxable_amount, t.gst_rate,
+      t.cgst_amount, t.sgst_amount, t.igst_amount, t.cess_amount, t.total_amount
+    FROM transactions t
+    LEFT JOIN products p ON t.product_id = p.id
+    WHERE t.voucher_type NOT IN ('journal', 'contra')
+      AND NOT EXISTS (SELECT 1 FROM transaction_items ti WHERE ti.transaction_id = t.id)
+  `);
+
   console.log('Database initialized at:', dbPath);
   
   // Initialize Audit Service
@@ -683,47 +837,301 @@ function initializeDatabase() {
   return db;
 }
 
-// Helper function to generate voucher number
-function generateVoucherNumber(db, type) {
-  const prefix = {
-    'sale': 'SL',
-    'purchase': 'PR',
-    'payment': 'PM',
-    'receipt': 'RC',
-    'journal': 'JR',
-    'contra': 'CR',
-    'expense': 'EX'
-  }[type] || 'TX';
-  
-  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-  const count = db.prepare('SELECT COUNT(*) as count FROM transactions WHERE date LIKE ?').get(`${date.slice(0, 7)}%`).count;
-  return `${prefix}/${date.slice(2)}/${String(count + 1).padStart(4, '0')}`;
+// Helper function to add a column to an existing table if it is missing
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
 }
 
-// Helper function to calculate GST
-function calculateGST(amount, gstRate, state) {
-  const taxableAmount = amount;
-  const gstAmount = (taxableAmount * gstRate) / 100;
-  
-  if (state === 'same') {
-    return {
-      taxable_amount: taxableAmount,
-      cgst_amount: gstAmount / 2,
-      sgst_amount: gstAmount / 2,
-      igst_amount: 0,
-      total_gst: gstAmount,
-      total_amount: taxableAmount + gstAmount
-    };
-  } else {
+// Helper function to allocate the next voucher number from the numbering series.
+// Must run inside the transaction that inserts the voucher so the number is never lost or reused.
+function allocateVoucherNumber(type, date, branchId) {
+  const financialYear = ledgerService.getFinancialYearBounds(date).name;
+  return voucherSeriesService.allocateNumber(type, financialYear, branchId || 0);
+}
+
+// Helper function to round money to two decimals
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Helper function to compute invoice line items and header totals.
+// Vouchers without an items array are treated as a single line built from
+// the header fields, where `amount` is the taxable value after discount.
+// Lines without an explicit GST rate take the HSN master rate in force on
+// the voucher date, so rate changes apply only from their effective date.
+// `supply` is a place-of-supply decision, or 'same' / 'different' when the
+// split is already known (e.g. from the original invoice of a note).
+// Bills of supply (composition dealers) charge no tax on any line.
+function calculateLineItems(transaction, supply) {
+  const taxType = typeof supply === 'string' ? (supply === 'same' ? 'CGST_SGST' : 'IGST') : supply.tax_type;
+  const rawItems = Array.isArray(transaction.items) && transaction.items.length > 0
+    ? transaction.items
+    : [{
+        product_id: transaction.product_id,
+        description: transaction.description,
+        hsn_code: transaction.hsn_code,
+        quantity: transaction.quantity || 1,
+        rate: transaction.rate,
+        amount: transaction.amount !== undefined && transaction.amount !== null
+          ? transaction.amount + (transaction.discount_amount || 0) : undefined,
+        discount_percent: transaction.discount_percent || 0,
+        discount_amount: transaction.discount_amount || 0,
+        gst_rate: transaction.gst_rate,
+        cess_amount: transaction.cess_amount || 0
+      }];
+  
+  // On reverse-charge purchases the supplier bills only the taxable value; the tax is owed by us
+  const reverseCharge = transaction.voucher_type === 'purchase' && Boolean(transaction.reverse_charge);
+  const billOfSupply = Boolean(transaction.bill_of_supply);
+  
+  const items = rawItems.map((item, index) => {
+    const product = item.product_id ? db.prepare('SELECT * FROM products WHERE id = ?').get(item.product_id) : null;
+    const quantity = item.quantity || 1;
+    const rate = item.rate !== undefined && item.rate !== null ? item.rate : (product ? product.rate : 0);
+    const amount = roundAmount(item.amount !== undefined && item.amount !== null ? item.amount : quantity * rate);
+    const discountPercent = item.discount_percent || 0;
+    const discountAmount = roundAmount(item.discount_amount || (amount * discountPercent) / 100);
+    const taxableAmount = roundAmount(amount - discountAmount);
+    const hsnCode = item.hsn_code || (product ? product.hsn_code || product.sac_code : null);
+    const hsnRate = hsnCode ? hsnService.getRate(hsnCode, transaction.date) : null;
+    const gstRate = billOfSupply ? 0 : item.gst_rate !== undefined && item.gst_rate !== null ? item.gst_rate
+      : (hsnRate ? hsnRate.gst_rate : (product ? product.gst_rate : 0));
+    const cessRate = billOfSupply ? 0 : item.cess_rate !== undefined && item.cess_rate !== null ? item.cess_rate
+      : (hsnRate ? hsnRate.cess_rate : (product ? product.cess_rate || 0 : 0));
+    const cessAmount = billOfSupply ? 0 : roundAmount(item.cess_amount || (taxableAmount * cessRate) / 100);
+    const gst = placeOfSupply.splitTax(taxableAmount, gstRate || 0, taxType);
+    const cgst = roundAmount(gst.cgst_amount);
+    const sgst = roundAmount(gst.sgst_amount);
+    const igst = roundAmount(gst.igst_amount);
+    
     return {
+      line_no: index + 1,
+      product_id: item.product_id || null,
+      description: item.description || (product ? product.name : null),
+      hsn_code: hsnCode,
+      unit: item.unit || (product ? product.unit : 'pcs'),
+      quantity,
+      rate: rate || 0,
+      amount,
+      discount_percent: discountPercent,
+      discount_amount: discountAmount,
       taxable_amount: taxableAmount,
-      cgst_amount: 0,
-      sgst_amount: 0,
-      igst_amount: gstAmount,
-      total_gst: gstAmount,
-      total_amount: taxableAmount + gstAmount
+      gst_rate: gstRate || 0,
+      cgst_amount: cgst,
+      sgst_amount: sgst,
+      igst_amount: igst,
+      cess_rate: cessRate,
+      cess_amount: cessAmount,
+      total_amount: reverseCharge ? taxableAmount : roundAmount(taxableAmount + cgst + sgst + igst + cessAmount)
     };
+  });
+  
+  const sum = (field) => roundAmount(items.reduce((total, item) => total + item[field], 0));
+  const rates = [...new Set(items.map(item => item.gst_rate))];
+  const single = items.length === 1 ? items[0] : null;
+  
+  const totals = {
+    product_id: single ? single.product_id : null,
+    quantity: items.reduce((total, item) => total + item.quantity, 0),
+    rate: single ? single.rate : sum('amount'),
+    amount: sum('amount'),
+    discount_percent: single ? single.discount_percent : 0,
+    discount_amount: sum('discount_amount'),
+    taxable_amount: sum('taxable_amount'),
+    gst_rate: rates.length === 1 ? rates[0] : 0,
+    cgst_amount: sum('cgst_amount'),
+    sgst_amount: sum('sgst_amount'),
+    igst_amount: sum('igst_amount'),
+    cess_amount: sum('cess_amount'),
+    total_gst: roundAmount(sum('cgst_amount') + sum('sgst_amount') + sum('igst_amount')),
+    total_amount: sum('total_amount')
+  };
+  
+  return { items, totals };
+}
+
+// Helper function to replace the stored line items of a voucher
+function saveTransactionItems(transactionId, items) {
+  db.prepare('DELETE FROM transaction_items WHERE transaction_id = ?').run(transactionId);
+  
+  const stmt = db.prepare(`
+    INSERT INTO transaction_items (
+      transaction_id, line_no, product_id, description, hsn_code, unit, quantity, rate, amount,
+      discount_percent, discount_amount, taxable_amount, gst_rate,
+      cgst_amount, sgst_amount, igst_amount, cess_rate, cess_amount, total_amount
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  for (const item of items) {
+    stmt.run(
+      transactionId, item.line_no, item.product_id, item.description, item.hsn_code, item.unit,
+      item.quantity, item.rate, item.amount, item.discount_percent, item.discount_amount,
+      item.taxable_amount, item.gst_rate, item.cgst_amount, item.sgst_amount, item.igst_amount,
+      item.cess_rate, item.cess_amount, item.total_amount
+    );
+  }
+}
+
+// Helper function to load the line items of a voucher
+function getTransactionItems(transactionId) {
+  return db.prepare(`
+    SELECT ti.*, pr.name as product_name
+    FROM transaction_items ti
+    LEFT JOIN products pr ON ti.product_id = pr.id
+    WHERE ti.transaction_id = ?
+    ORDER BY ti.line_no ASC
+  `).all(transactionId);
+}
+
+// Stock moves out on sales and purchase returns (debit notes), in on everything else
+const STOCK_OUTWARD_TYPES = ['sale', 'debit_note'];
+
+// Helper function to move stock for each line of a voucher (reverse = undo)
+// at the stock location of the voucher's branch
+function adjustStockForItems(items, voucherType, reverse = false, branchId = 0) {
+  const stmt = db.prepare('UPDATE products SET current_stock = current_stock + ?, opening_stock = opening_stock + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  
+  for (const item of items) {
+    if (!item.product_id || !item.quantity) continue;
+    
+    const direction = STOCK_OUTWARD_TYPES.includes(voucherType) ? -1 : 1;
+    const change = item.quantity * direction * (reverse ? -1 : 1);
+    stmt.run(change, change, item.product_id);
+    branchService.moveStock(branchId, item.product_id, change);
+    
+    if (!reverse) checkLowStock(item.product_id);
+  }
+}
+
+// Helper function to number and insert a voucher header together with its line items
+function insertTransactionWithItems(transaction, totals, items) {
+  const stmt = db.prepare(`
+    INSERT INTO transactions (
+      voucher_no, voucher_type, date, party_id, product_id, quantity, rate, amount,
+      discount_percent, discount_amount, taxable_amount, gst_rate,
+      cgst_amount, sgst_amount, igst_amount, cess_amount, total_gst, total_amount,
+      description, narration, payment_status, payment_method, reference_no, due_date, created_by,
+      original_transaction_id, note_reason, branch_id, series_id, series_number, financial_year,
+      reverse_charge, rcm_self_invoice_no, place_of_supply, supply_nature, service_type, location_state_code,
+      ship_to_name, ship_to_gstin, ship_to_address, ship_to_city, ship_to_pincode, ship_to_state_code,
+      counter_branch_id, bill_of_supply, is_itc_eligible, itc_category, itc_blocked_reason, is_capital_goods
+    ) VALUES (${Array(49).fill('?').join(', ')})
+  `);
+  const reverseCharge = transaction.voucher_type === 'purchase' && Boolean(transaction.reverse_charge);
+  
+  const insertVoucher = db.transaction(() => {
+    const numbering = allocateVoucherNumber(transaction.voucher_type, transaction.date, transaction.branch_id);
+    const selfInvoice = reverseCharge
+      ? allocateVoucherNumber('rcm_self_invoice', transaction.date, transaction.branch_id)
+      : null;
+    const inserted = stmt.run(
+      numbering.voucher_no, transaction.voucher_type, transaction.date, transaction.party_id || null,
+      totals.product_id, totals.quantity, totals.rate, totals.amount,
+      totals.discount_percent, totals.discount_amount, totals.taxable_amount,
+      totals.gst_rate, totals.cgst_amount, totals.sgst_amount,
+      totals.igst_amount, totals.cess_amount, totals.total_gst, totals.total_amount,
+      transaction.description || null, transaction.narration || null, transaction.payment_status || 'pending',
+      transaction.payment_method || null, transaction.reference_no || null, transaction.due_date || null,
+      transaction.created_by || 'system', transaction.original_transaction_id || null, transaction.note_reason || null,
+      transaction.branch_id || 0, numbering.series_id, numbering.series_number, numbering.financial_year,
+      reverseCharge ? 1 : 0, selfInvoice ? selfInvoice.voucher_no : null,
+      ...placeOfSupplyValues(transaction),
+      transaction.counter_branch_id ?? null, transaction.bill_of_supply ? 1 : 0,
+      transaction.is_itc_eligible === undefined || transaction.is_itc_eligible ? 1 : 0,
+      transaction.itc_category || 'eligible', transaction.itc_blocked_reason || null, transaction.is_capital_goods ? 1 : 0
+    );
+    saveTransactionItems(inserted.lastInsertRowid, items);
+    return { lastInsertRowid: inserted.lastInsertRowid, voucherNo: numbering.voucher_no };
+  });
+  
+  return insertVoucher();
+}
+
+// Voucher fields that feed the place-of-supply decision
+const PLACE_OF_SUPPLY_FIELDS = [
+  'supply_nature', 'service_type', 'location_state_code',
+  'ship_to_name', 'ship_to_gstin', 'ship_to_address', 'ship_to_city', 'ship_to_pincode', 'ship_to_state_code'
+];
+
+// Place-of-supply and ship-to columns of a voucher, in insert/update order
+function placeOfSupplyValues(transaction) {
+  return [
+    transaction.place_of_supply || null, transaction.supply_nature || 'regular', transaction.service_type || null,
+    transaction.location_state_code || null, transaction.ship_to_name || null, transaction.ship_to_gstin || null,
+    transaction.ship_to_address || null, transaction.ship_to_city || null, transaction.ship_to_pincode || null,
+    transaction.ship_to_state_code || null
+  ];
+}
+
+// Helper function to decide the place of supply of a sale or purchase voucher.
+// On purchases the party is the supplier and the business is the recipient.
+// `businessInfo` is the business as seen from the voucher's branch.
+function voucherPlaceOfSupply(transaction, party, businessInfo) {
+  const business = { gstin: businessInfo.gstin, state_code: businessInfo.state_code, state: businessInfo.state };
+  const counterparty = party
+    ? { gstin: party.gstin, state_code: party.state_code, state: party.state, country: party.country, is_sez: party.is_sez === 1 }
+    : {};
+  const inward = transaction.voucher_type === 'purchase';
+  const shipTo = !inward && (transaction.ship_to_state_code || transaction.ship_to_gstin)
+    ? { gstin: transaction.ship_to_gstin, state_code: transaction.ship_to_state_code }
+    : null;
+  
+  return placeOfSupply.determinePlaceOfSupply({
+    supplier: inward ? counterparty : business,
+    recipient: inward ? business : counterparty,
+    ship_to: shipTo,
+    items: Array.isArray(transaction.items) && transaction.items.length > 0 ? transaction.items : [transaction],
+    supply_kind: transaction.supply_kind,
+    supply_nature: inward ? 'regular' : transaction.supply_nature,
+    with_payment: transaction.with_payment,
+    service_type: transaction.service_type,
+    location_state_code: transaction.location_state_code
+  });
+}
+
+// Helper function to recompute an invoice's payment status from payments and linked notes
+function refreshPaymentStatus(transactionId) {
+  const transaction = db.prepare('SELECT total_amount FROM transactions WHERE id = ?').get(transactionId);
+  if (!transaction) return;
+  
+  const totalPaid = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE transaction_id = ?')
+    .get(transactionId).total;
+  const totalNotes = db.prepare(`
+    SELECT COALESCE(SUM(total_amount), 0) as total FROM transactions
+    WHERE original_transaction_id = ? AND voucher_type IN ('credit_note', 'debit_note') AND is_cancelled = 0
+  `).get(transactionId).total;
+  const settled = totalPaid + totalNotes;
+  
+  let status = 'pending';
+  if (settled >= transaction.total_amount) {
+    status = 'paid';
+  } else if (settled > 0) {
+    status = 'partial';
   }
+  
+  db.prepare('UPDATE transactions SET payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(status, transactionId);
+}
+
+// Helper function to work out TDS on an outgoing payment or expense. The
+// base excludes GST; returns null when the party has no TDS section or the
+// caller opted out with skip_tds
+function computeTDS(partyId, baseAmount, date, options = {}) {
+  if (!partyId || options.skip_tds || !(baseAmount > 0)) return null;
+  
+  const deduction = tdsService.computeDeduction({
+    partyId,
+    amount: baseAmount,
+    date,
+    financialYear: ledgerService.getFinancialYearBounds(date).name,
+    section: options.tds_section
+  });
+  if (!deduction.applicable) return null;
+  
+  return { ...deduction, date, financial_year: ledgerService.getFinancialYearBounds(date).name };
 }
 
 // Helper function to log audit (now uses AuditService)
@@ -739,6 +1147,124 @@ function logAudit(action, entityType, entityId, oldValues, newValues, details, u
   });
 }
 
+// Helper function to fail the document when its ledger posting fails. Call it
+// inside the db transaction that writes the document, so the throw rolls the
+// document back and the books never fall behind the ledger.
+function postToLedger(result, documentRef) {
+  if (result && !result.success) {
+    throw new Error(`Ledger posting failed for ${documentRef}: ${result.error}`);
+  }
+  return result;
+}
+
+// Helper function to record and post the payment that settles a party
+// voucher entered as paid; the voucher itself is posted to the party ledger
+function settleVoucher(transactionId) {
+  const paymentId = ledgerService.recordVoucherSettlement(transactionId);
+  if (paymentId) {
+    postToLedger(ledgerService.postPayment(paymentId), `payment #${paymentId}`);
+  }
+  return paymentId;
+}
+
+// Helper function to book what a bank match or unmatch did to payments:
+// post the payments it allocated, reverse the ones it removed and refresh
+// the payment status of every voucher it touched. Lines cleared to (or
+// taken off) a ledger account get their clearing entry posted (or reversed)
+function applyBankAllocations(result) {
+  if (!result || !result.success) return result;
+  
+  (result.uncleared_line_ids || []).forEach(id => {
+    postToLedger(ledgerService.reverseSourceEntries('bank_clearing', id, `Bank line #${id} taken off its ledger account`), `bank line #${id}`);
+  });
+  (result.cleared_line_ids || []).forEach(id => {
+    postToLedger(ledgerService.postBankClearing(id), `bank line #${id}`);
+  });
+  (result.reversed_payment_ids || []).forEach(id => {
+    postToLedger(ledgerService.reverseSourceEntries('payment', id, `Bank match undone for payment #${id}`), `payment #${id}`);
+  });
+  (result.payment_ids || []).forEach(id => {
+    postToLedger(ledgerService.postPayment(id), `payment #${id}`);
+  });
+  (result.invoice_ids || []).forEach(id => refreshPaymentStatus(id));
+  
+  return result;
+}
+
+// Helper function to run a bank match and book its allocations in one db
+// transaction, so a failed posting undoes the match as well
+function withBankAllocations(reconcile) {
+  return db.transaction(() => applyBankAllocations(reconcile()))();
+}
+
+// Helper function to check the period lock for each bank line a match touches
+function assertBankLinesNotLocked(transactionIds, lockOverride) {
+  transactionIds.forEach(transactionId => {
+    const bankTxn = db.prepare('SELECT date FROM bank_transactions WHERE id = ?').get(transactionId);
+    if (bankTxn) {
+      assertDateNotLocked(bankTxn.date, `bank transaction #${transactionId}`, {
+        override: lockOverride, entityType: 'bank_transactions', entityId: transactionId
+      });
+    }
+  });
+}
+
+// Whether entries may be posted on a date without a lock override, for
+// automatic postings that have no one to ask for one
+function isDateOpen(date) {
+  try {
+    assertDateNotLocked(date, 'automatic posting');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Settings key holding the "books locked up to" date (inclusive)
+const PERIOD_LOCK_SETTING = 'books_locked_until';
+
+// Get the date the books are locked up to, if any
+function getBooksLockedUntil() {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(PERIOD_LOCK_SETTING);
+  return row && row.value ? row.value : null;
+}
+
+// Helper function to refuse changes to documents dated in a closed financial
+// year or on/before the period lock date. A user holding the override
+// permission may pass lockContext.override = { user_id, reason } to get past
+// the period lock; every override is recorded in the audit log.
+function assertDateNotLocked(date, documentRef, lockContext = {}) {
+  const closedYear = ledgerService.getClosedYearForDate(date);
+  if (closedYear) {
+    throw new Error(`Financial year ${closedYear.name} is closed; ${documentRef} dated ${date} cannot be changed`);
+  }
+  
+  const lockedUntil = getBooksLockedUntil();
+  if (!lockedUntil || !date || String(date).slice(0, 10) > lockedUntil) return;
+  
+  // The override is made by whoever is signed in, never by a user named in the request
+  const { override, entityType = null, entityId = null } = lockContext;
+  const userId = getSessionUserId();
+  if (!override || !userId) {
+    throw new Error(`Books are locked up to ${lockedUntil}; ${documentRef} dated ${date} cannot be changed`);
+  }
+  if (!override.reason || !String(override.reason).trim()) {
+    throw new Error('A reason is required to override the period lock');
+  }
+  if (!userService.userHasPermission(userId, 'period_lock:override')) {
+    throw new Error('You do not have permission to override the period lock');
+  }
+  
+  const logged = auditService.logData('LOCK_OVERRIDE', entityType || 'period_lock', entityId, {
+    userId,
+    newValues: { document: documentRef, date, locked_until: lockedUntil, reason: override.reason },
+    details: `Period lock override for ${documentRef} dated ${date}: ${override.reason}`
+  });
+  if (!logged) {
+    throw new Error(`The period lock override for ${documentRef} could not be recorded in the audit log`);
+  }
+}
+
 // Initialize Audit Service after database is ready
 function initializeAuditService(database) {
   auditService.initialize(database);
@@ -771,6 +1297,7 @@ ipcMain.handle('get-business-info', () => {
 });
 
 ipcMain.handle('set-business-info', (event, data) => {
+  gstReturnService.validateSchemeSettings(data);
   for (const [key, value] of Object.entries(data)) {
     const existing = db.prepare('SELECT * FROM business_info WHERE key = ?').get(key);
     if (existing) {
@@ -806,6 +1333,11 @@ ipcMain.handle('get-party-by-id', (event, id) => {
   return db.prepare('SELECT * FROM parties WHERE id = ?').get(id);
 });
 
+// Helper function to get a party's state code: as entered, else from its GSTIN or state name
+function partyStateCode(party) {
+  return party.state_code || placeOfSupply.partyState(party);
+}
+
 ipcMain.handle('add-party', (event, party) => {
   const existing = db.prepare('SELECT id FROM parties WHERE name = ? AND type = ?').get(party.name, party.type);
   if (existing) {
@@ -813,13 +1345,14 @@ ipcMain.handle('add-party', (event, party) => {
   }
   
   const stmt = db.prepare(`
-    INSERT INTO parties (name, type, contact, email, phone, address, city, state, gstin, pan, opening_balance, balance_type, credit_limit, credit_days, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO parties (name, type, contact, email, phone, address, city, state, pincode, state_code, country, is_sez, gstin, pan, opening_balance, balance_type, credit_limit, credit_days, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   const result = stmt.run(
     party.name, party.type, party.contact || null, party.email || null, party.phone || null,
-    party.address || null, party.city || null, party.state || null, party.gstin || null, party.pan || null,
+    party.address || null, party.city || null, party.state || null, party.pincode || null,
+    partyStateCode(party), party.country || null, party.is_sez ? 1 : 0, party.gstin || null, party.pan || null,
     party.opening_balance || 0, party.balance_type || 'receivable', party.credit_limit || 0,
     party.credit_days || 0, party.notes || null
   );
@@ -834,13 +1367,14 @@ ipcMain.handle('update-party', (event, id, party) => {
   
   const stmt = db.prepare(`
     UPDATE parties SET name=?, type=?, contact=?, email=?, phone=?, address=?, city=?, state=?, 
-    gstin=?, pan=?, opening_balance=?, balance_type=?, credit_limit=?, credit_days=?, notes=?,
+    pincode=?, state_code=?, country=?, is_sez=?, gstin=?, pan=?, opening_balance=?, balance_type=?, credit_limit=?, credit_days=?, notes=?,
     updated_at=CURRENT_TIMESTAMP WHERE id=?
   `);
   
   stmt.run(
     party.name, party.type, party.contact || null, party.email || null, party.phone || null,
-    party.address || null, party.city || null, party.state || null, party.gstin || null, party.pan || null,
+    party.address || null, party.city || null, party.state || null, party.pincode || null,
+    partyStateCode(party), party.country || null, party.is_sez ? 1 : 0, party.gstin || null, party.pan || null,
     party.opening_balance || 0, party.balance_type || 'receivable', party.credit_limit || 0,
     party.credit_days || 0, party.notes || null, id
   );
@@ -905,7 +1439,26 @@ ipcMain.handle('get-product-by-id', (event, id) => {
   return db.prepare('SELECT * FROM products WHERE id = ?').get(id);
 });
 
-ipcMain.handle('add-product', (event, product) => {
+// Helper function to check a product's HSN/SAC codes and default its GST and cess rates from the HSN master
+function applyHsnMaster(product) {
+  for (const code of [product.hsn_code, product.sac_code].filter(Boolean)) {
+    const format = hsnService.validateFormat(code);
+    if (!format.valid) throw new Error(format.error);
+  }
+  
+  const master = hsnService.getRate(product.hsn_code || product.sac_code);
+  if (!master) return product;
+  
+  const blank = (value) => value === undefined || value === null || value === '';
+  return {
+    ...product,
+    gst_rate: blank(product.gst_rate) ? master.gst_rate : product.gst_rate,
+    cess_rate: blank(product.cess_rate) ? master.cess_rate : product.cess_rate
+  };
+}
+
+ipcMain.handle('add-product', (event, productData) => {
+  const product = applyHsnMaster(productData);
   const existing = db.prepare('SELECT id FROM products WHERE name = ?').get(product.name);
   if (existing) {
     throw new Error('Product with this name already exists');
@@ -927,9 +1480,10 @@ ipcMain.handle('add-product', (event, product) => {
   return result.lastInsertRowid;
 });
 
-ipcMain.handle('update-product', (event, id, product) => {
+ipcMain.handle('update-product', (event, id, productData) => {
   const old = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
   if (!old) throw new Error('Product not found');
+  const product = applyHsnMaster(productData);
   
   const stmt = db.prepare(`
     UPDATE products SET name=?, sku=?, hsn_code=?, sac_code=?, unit=?, rate=?, cost_price=?, 
@@ -957,10 +1511,13 @@ ipcMain.handle('delete-product', (event, id) => {
   return true;
 });
 
-ipcMain.handle('update-stock', (event, productId, quantity, type) => {
-  const change = type === 'sale' ? -quantity : quantity;
-  db.prepare('UPDATE products SET current_stock = current_stock + ?, opening_stock = opening_stock + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-    .run(change, change, productId);
+// Accepts either (productId, quantity, type) or (items, type) for a whole voucher
+ipcMain.handle('update-stock', (event, productIdOrItems, quantityOrType, type) => {
+  if (Array.isArray(productIdOrItems)) {
+    adjustStockForItems(productIdOrItems, quantityOrType);
+  } else {
+    adjustStockForItems([{ product_id: productIdOrItems, quantity: quantityOrType }], type);
+  }
   return true;
 });
 
@@ -995,6 +1552,10 @@ ipcMain.handle('get-transactions', (event, filters = {}) => {
     query += ' AND t.voucher_no LIKE ?';
     params.push(`%${filters.voucherNo}%`);
   }
+  if (filters.branchId !== undefined && filters.branchId !== null) {
+    query += ' AND t.branch_id = ?';
+    params.push(filters.branchId);
+  }
   
   query += ' ORDER BY t.date DESC, t.created_at DESC LIMIT ?';
   params.push(filters.limit || 500);
@@ -1013,6 +1574,7 @@ ipcMain.handle('get-transaction-by-id', (event, id) => {
   `).get(id);
   
   if (transaction) {
+    transaction.items = getTransactionItems(id);
     transaction.payments = db.prepare('SELECT * FROM payments WHERE transaction_id = ?').all(id);
   }
   
@@ -1020,119 +1582,454 @@ ipcMain.handle('get-transaction-by-id', (event, id) => {
 });
 
 ipcMain.handle('add-transaction', (event, transaction) => {
-  const voucherNo = generateVoucherNumber(db, transaction.voucher_type);
-  const businessInfo = db.prepare('SELECT * FROM business_info').all().reduce((acc, row) => {
-    acc[row.key] = row.value;
-    return acc;
-  }, {});
-  
-  const party = transaction.party_id ? db.prepare('SELECT * FROM parties WHERE id = ?').get(transaction.party_id) : null;
-  const state = party && businessInfo.state && party.state && businessInfo.state.toLowerCase() === party.state.toLowerCase() ? 'same' : 'different';
+  if (ACCOUNT_VOUCHER_TYPES.includes(transaction.voucher_type) || NOTE_VOUCHER_TYPES.includes(transaction.voucher_type)) {
+    throw new Error(`Use the dedicated voucher handlers to create ${transaction.voucher_type} vouchers`);
+  }
+  if (transaction.counter_branch_id !== undefined && transaction.counter_branch_id !== null) {
+    throw new Error('Use a stock transfer to move goods between branches');
+  }
+  assertDateNotLocked(transaction.date, 'new vouchers', { override: transaction.lock_override, entityType: 'transactions' });
   
-  const gstCalculation = calculateGST(transaction.amount, transaction.gst_rate || 0, state);
+  return createTradeVoucher(transaction);
+});
+
+// Helper function to refuse changing one side of an inter-branch stock transfer on its own
+function assertNotBranchTransfer(transaction) {
+  if (transaction.counter_branch_id !== null && transaction.counter_branch_id !== undefined) {
+    throw new Error(`${transaction.voucher_no} is part of a stock transfer between branches; cancel the transfer instead`);
+  }
+}
+
+// Helper function to apply the composition scheme to a new voucher: a composition
+// dealer issues bills of supply without tax, may not supply goods or services
+// across states, and cannot take credit of the tax on its purchases
+function compositionTerms(voucherType, supply) {
+  if (!gstReturnService.getCompositionScheme()) return {};
   
-  const stmt = db.prepare(`
-    INSERT INTO transactions (
-      voucher_no, voucher_type, date, party_id, product_id, quantity, rate, amount,
-      discount_percent, discount_amount, taxable_amount, gst_rate,
-      cgst_amount, sgst_amount, igst_amount, cess_amount, total_gst, total_amount,
-      description, narration, payment_status, payment_method, reference_no, due_date, created_by
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
+  if (voucherType === 'sale') {
+    if (supply.is_interstate) {
+      throw new Error(`A composition dealer cannot make inter-state or export supplies (${supply.rule})`);
+    }
+    return { bill_of_supply: 1 };
+  }
+  return voucherType === 'purchase' ? { is_itc_eligible: 0 } : {};
+}
+
+// Helper function to create a sale, purchase or other trade voucher in its branch:
+// tax split, numbering, stock, cash book and ledger posting
+function createTradeVoucher(transaction) {
+  branchService.assertBranch(transaction.branch_id);
+  const businessInfo = branchService.getBranchInfo(transaction.branch_id);
   
-  const result = stmt.run(
-    voucherNo, transaction.voucher_type, transaction.date, transaction.party_id || null,
-    transaction.product_id || null, transaction.quantity || 1, transaction.rate, transaction.amount,
-    transaction.discount_percent || 0, transaction.discount_amount || 0, gstCalculation.taxable_amount,
-    transaction.gst_rate || 0, gstCalculation.cgst_amount, gstCalculation.sgst_amount,
-    gstCalculation.igst_amount, transaction.cess_amount || 0, gstCalculation.total_gst, gstCalculation.total_amount,
-    transaction.description || null, transaction.narration || null, transaction.payment_status || 'pending',
-    transaction.payment_method || null, transaction.reference_no || null, transaction.due_date || null,
-    transaction.created_by || 'system'
-  );
+  const party = transaction.party_id ? db.prepare('SELECT * FROM parties WHERE id = ?').get(transaction.party_id) : null;
+  const supply = voucherPlaceOfSupply(transaction, party, businessInfo);
+  transaction = { ...transaction, ...compositionTerms(transaction.voucher_type, supply) };
+  const exportDetails = exportService.prepareExportDetails(transaction, supply, businessInfo.gstin);
+  
+  const { items, totals } = calculateLineItems(transaction, supply);
+  transaction = { ...transaction, ...itcService.classifyPurchase(transaction, items) };
+  const gstCalculation = {
+    taxable_amount: totals.taxable_amount,
+    cgst_amount: totals.cgst_amount,
+    sgst_amount: totals.sgst_amount,
+    igst_amount: totals.igst_amount,
+    cess_amount: totals.cess_amount,
+    total_gst: totals.total_gst,
+    total_amount: totals.total_amount
+  };
   
-  // Update stock if applicable
-  if (transaction.product_id && transaction.quantity) {
-    const stockChange = transaction.voucher_type === 'sale' ? -transaction.quantity : transaction.quantity;
-    db.prepare('UPDATE products SET current_stock = current_stock + ?, opening_stock = opening_stock + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run(stockChange, stockChange, transaction.product_id);
+  const createVoucher = db.transaction(() => {
+    const inserted = insertTransactionWithItems({
+      ...transaction, place_of_supply: supply.place_of_supply, supply_nature: supply.supply_nature
+    }, totals, items);
     
-    checkLowStock(transaction.product_id);
-  }
-  
-  // Add cash book entry
-  const cashType = transaction.voucher_type === 'sale' || transaction.voucher_type === 'receipt' ? 'in' : 'out';
-  db.prepare(`
-    INSERT INTO cash_book (date, type, voucher_no, description, debit, credit, balance)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(transaction.date, cashType, voucherNo, transaction.description, 
-    cashType === 'in' ? gstCalculation.total_amount : 0,
-    cashType === 'out' ? gstCalculation.total_amount : 0, 0);
+    if (exportDetails) {
+      exportService.saveExportDetails(inserted.lastInsertRowid, exportDetails, totals.total_amount);
+    }
+    
+    // Update stock for each line
+    adjustStockForItems(items, transaction.voucher_type, false, transaction.branch_id);
+    
+    // Add cash book entry; branch transfers settle through the branch accounts instead
+    if (transaction.counter_branch_id === null || transaction.counter_branch_id === undefined) {
+      const cashType = transaction.voucher_type === 'sale' || transaction.voucher_type === 'receipt' ? 'in' : 'out';
+      db.prepare(`
+        INSERT INTO cash_book (date, type, voucher_no, description, debit, credit, balance)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(transaction.date, cashType, inserted.voucherNo, transaction.description, 
+        cashType === 'in' ? gstCalculation.total_amount : 0,
+        cashType === 'out' ? gstCalculation.total_amount : 0, 0);
+    }
+    
+    // Post to the general ledger
+    postToLedger(ledgerService.postTransaction(inserted.lastInsertRowid), inserted.voucherNo);
+    settleVoucher(inserted.lastInsertRowid);
+    return inserted;
+  });
+  const result = createVoucher();
+  const { voucherNo } = result;
   
   logAudit( 'CREATE', 'transactions', result.lastInsertRowid, null, transaction, `Created ${transaction.voucher_type} transaction: ${voucherNo}`);
   
   // Check for alerts
-  checkTransactionAlerts(result.lastInsertRowid, transaction, gstCalculation);
+  checkTransactionAlerts(result.lastInsertRowid, { ...transaction, ...totals }, gstCalculation);
   
-  return { id: result.lastInsertRowid, voucher_no: voucherNo, ...gstCalculation };
-});
+  return {
+    id: result.lastInsertRowid, voucher_no: voucherNo, ...gstCalculation, items,
+    place_of_supply: supply.place_of_supply, is_interstate: supply.is_interstate, place_of_supply_rule: supply.rule
+  };
+}
 
 ipcMain.handle('update-transaction', (event, id, transaction) => {
   const old = db.prepare('SELECT * FROM transactions WHERE id = ?').get(id);
   if (!old) throw new Error('Transaction not found');
+  if (ACCOUNT_VOUCHER_TYPES.includes(old.voucher_type) || NOTE_VOUCHER_TYPES.includes(old.voucher_type)) {
+    throw new Error(`${old.voucher_no} cannot be edited; cancel it and issue a new voucher`);
+  }
+  assertNotBranchTransfer(old);
+  // The earlier of the old and new dates decides whether the edit touches a locked period
+  assertDateNotLocked([old.date, transaction.date || old.date].sort()[0], old.voucher_no, {
+    override: transaction.lock_override, entityType: 'transactions', entityId: id
+  });
+  
+  const oldItems = getTransactionItems(id);
+  const businessInfo = branchService.getBranchInfo(old.branch_id);
+  
+  const partyId = transaction.party_id || null;
+  const party = partyId ? db.prepare('SELECT * FROM parties WHERE id = ?').get(partyId) : null;
+  
+  // Ship-to and place-of-supply inputs not sent with the edit keep their stored values
+  const supplyInputs = Object.fromEntries(PLACE_OF_SUPPLY_FIELDS.map(field => [field, field in transaction ? transaction[field] : old[field]]));
+  const draft = { ...transaction, ...supplyInputs, voucher_type: old.voucher_type };
+  const supply = voucherPlaceOfSupply(draft, party, businessInfo);
+  
+  if (old.bill_of_supply && supply.is_interstate) {
+    throw new Error(`${old.voucher_no} is a bill of supply; a composition dealer cannot make inter-state supplies`);
+  }
+  
+  const reverseCharge = old.voucher_type === 'purchase'
+    && Boolean(transaction.reverse_charge !== undefined ? transaction.reverse_charge : old.reverse_charge);
+  const { items, totals } = calculateLineItems({ ...draft, reverse_charge: reverseCharge, bill_of_supply: old.bill_of_supply }, supply);
   
   const stmt = db.prepare(`
     UPDATE transactions SET date=?, party_id=?, product_id=?, quantity=?, rate=?, amount=?,
     discount_percent=?, discount_amount=?, taxable_amount=?, gst_rate=?, cgst_amount=?,
     sgst_amount=?, igst_amount=?, cess_amount=?, total_gst=?, total_amount=?, description=?,
     narration=?, payment_status=?, payment_method=?, reference_no=?, due_date=?,
-    updated_at=CURRENT_TIMESTAMP WHERE id=?
+    reverse_charge=?, rcm_self_invoice_no=?, place_of_supply=?, supply_nature=?, service_type=?,
+    location_state_code=?, ship_to_name=?, ship_to_gstin=?, ship_to_address=?, ship_to_city=?,
+    ship_to_pincode=?, ship_to_state_code=?, updated_at=CURRENT_TIMESTAMP WHERE id=?
   `);
   
-  stmt.run(
-    transaction.date, transaction.party_id || null, transaction.product_id || null,
-    transaction.quantity || 1, transaction.rate, transaction.amount,
-    transaction.discount_percent || 0, transaction.discount_amount || 0,
-    transaction.taxable_amount || transaction.amount, transaction.gst_rate || 0,
-    transaction.cgst_amount || 0, transaction.sgst_amount || 0, transaction.igst_amount || 0,
-    transaction.cess_amount || 0, transaction.total_gst || 0, transaction.total_amount,
-    transaction.description || null, transaction.narration || null, transaction.payment_status || 'pending',
-    transaction.payment_method || null, transaction.reference_no || null, transaction.due_date || null, id
-  );
+  const updateVoucher = db.transaction(() => {
+    // A purchase switched to reverse charge gets its self-invoice now; the number is kept if it is switched back
+    const selfInvoiceNo = old.rcm_self_invoice_no || (reverseCharge
+      ? allocateVoucherNumber('rcm_self_invoice', transaction.date || old.date, old.branch_id).voucher_no
+      : null);
+    stmt.run(
+      transaction.date, partyId, totals.product_id,
+      totals.quantity, totals.rate, totals.amount,
+      totals.discount_percent, totals.discount_amount,
+      totals.taxable_amount, totals.gst_rate,
+      totals.cgst_amount, totals.sgst_amount, totals.igst_amount,
+      totals.cess_amount, totals.total_gst, totals.total_amount,
+      transaction.description || null, transaction.narration || null, transaction.payment_status || 'pending',
+      transaction.payment_method || null, transaction.reference_no || null, transaction.due_date || null,
+      reverseCharge ? 1 : 0, selfInvoiceNo,
+      ...placeOfSupplyValues({ ...draft, place_of_supply: supply.place_of_supply, supply_nature: supply.supply_nature }), id
+    );
+    saveTransactionItems(id, items);
+    
+    // Move stock from the old lines to the new ones
+    if (!old.is_cancelled) {
+      adjustStockForItems(oldItems, old.voucher_type, true, old.branch_id);
+      adjustStockForItems(items, old.voucher_type, false, old.branch_id);
+    }
+    
+    // Replace the ledger posting with one for the updated values
+    postToLedger(ledgerService.reverseSourceEntries('transaction', id, `Edit of ${old.voucher_no}`), old.voucher_no);
+    postToLedger(ledgerService.postTransaction(id), old.voucher_no);
+    
+    // The payments recorded against a party voucher decide its status, not the edit form
+    if (partyId) {
+      settleVoucher(id);
+      refreshPaymentStatus(id);
+    }
+  });
+  
+  updateVoucher();
   
-  logAudit( 'UPDATE', 'transactions', id, old, transaction, `Updated transaction: ${old.voucher_no}`);
+  logAudit( 'UPDATE', 'transactions', id, { ...old, items: oldItems }, { ...transaction, items }, `Updated transaction: ${old.voucher_no}`);
   return true;
 });
 
-ipcMain.handle('cancel-transaction', (event, id, reason) => {
+ipcMain.handle('cancel-transaction', (event, id, reason, lockOverride) => {
   const transaction = db.prepare('SELECT * FROM transactions WHERE id = ?').get(id);
   if (!transaction) throw new Error('Transaction not found');
+  assertNotBranchTransfer(transaction);
+  assertDateNotLocked(transaction.date, transaction.voucher_no, { override: lockOverride, entityType: 'transactions', entityId: id });
   
-  db.prepare('UPDATE transactions SET is_cancelled = 1, narration = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-    .run(`Cancelled: ${reason}`, id);
-  
-  // Reverse stock if applicable
-  if (transaction.product_id && transaction.quantity) {
-    const stockChange = transaction.voucher_type === 'sale' ? transaction.quantity : -transaction.quantity;
-    db.prepare('UPDATE products SET current_stock = current_stock + ?, opening_stock = opening_stock + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run(stockChange, stockChange, transaction.product_id);
-  }
+  const cancelVoucher = db.transaction(() => {
+    db.prepare('UPDATE transactions SET is_cancelled = 1, narration = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(`Cancelled: ${reason}`, id);
+    
+    // Reverse stock for each line
+    adjustStockForItems(getTransactionItems(id), transaction.voucher_type, true, transaction.branch_id);
+    
+    postToLedger(ledgerService.reverseSourceEntries('transaction', id, `Cancellation of ${transaction.voucher_no}: ${reason}`), transaction.voucher_no);
+    
+    if (transaction.original_transaction_id) {
+      refreshPaymentStatus(transaction.original_transaction_id);
+    }
+  });
+  cancelVoucher();
   
   logAudit( 'CANCEL', 'transactions', id, { is_cancelled: 0 }, { is_cancelled: 1, reason }, `Cancelled transaction: ${transaction.voucher_no}`);
   return true;
 });
 
-// ==================== PAYMENTS ====================
-ipcMain.handle('get-payments', (event, filters = {}) => {
-  let query = 'SELECT * FROM payments WHERE 1=1';
-  const params = [];
+// ==================== JOURNAL, CONTRA & NOTE VOUCHERS ====================
+// Journal and contra vouchers carry explicit account lines; credit and debit
+// notes carry item lines and always point back to the invoice they adjust.
+const ACCOUNT_VOUCHER_TYPES = ['journal', 'contra'];
+const NOTE_VOUCHER_TYPES = ['credit_note', 'debit_note'];
+
+// Helper function to create a journal or contra voucher from account lines
+function createAccountVoucher(voucherType, voucher, lines) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('A voucher needs at least two lines');
+  }
   
-  if (filters.transactionId) {
-    query += ' AND transaction_id = ?';
-    params.push(filters.transactionId);
+  for (const line of lines) {
+    const account = db.prepare('SELECT * FROM ledger_accounts WHERE id = ? AND is_active = 1').get(line.account_id);
+    if (!account) throw new Error(`Ledger account not found: ${line.account_id}`);
+    if (voucherType === 'contra' && !['cash', 'bank'].includes(account.group_name)) {
+      throw new Error(`Contra vouchers can only move money between cash and bank accounts (${account.name})`);
+    }
+    if ((Number(line.debit) || 0) < 0 || (Number(line.credit) || 0) < 0) {
+      throw new Error('Voucher amounts must be positive');
+    }
   }
-  if (filters.partyId) {
-    query += ' AND party_id = ?';
+  
+  const totalDebit = roundAmount(lines.reduce((sum, line) => sum + (Number(line.debit) || 0), 0));
+  const totalCredit = roundAmount(lines.reduce((sum, line) => sum + (Number(line.credit) || 0), 0));
+  if (totalDebit === 0 || totalDebit !== totalCredit) {
+    throw new Error(`Voucher is not balanced (debit ${totalDebit}, credit ${totalCredit})`);
+  }
+  
+  const date = voucher.date || new Date().toISOString().split('T')[0];
+  assertDateNotLocked(date, `${voucherType} vouchers`, { override: voucher.lock_override, entityType: 'transactions' });
+  
+  const createVoucher = db.transaction(() => {
+    const numbering = allocateVoucherNumber(voucherType, date, voucher.branch_id);
+    const result = db.prepare(`
+      INSERT INTO transactions (
+        voucher_no, voucher_type, date, quantity, rate, amount, taxable_amount, total_amount,
+        description, narration, payment_status, reference_no, created_by,
+        branch_id, series_id, series_number, financial_year
+      ) VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, ?, 'paid', ?, ?, ?, ?, ?, ?)
+    `).run(
+      numbering.voucher_no, voucherType, date, totalDebit, totalDebit, totalDebit, totalDebit,
+      voucher.description || null, voucher.narration || null, voucher.reference_no || null,
+      voucher.created_by || 'system', voucher.branch_id || 0,
+      numbering.series_id, numbering.series_number, numbering.financial_year
+    );
+    
+    const lineStmt = db.prepare(`
+      INSERT INTO journal_voucher_lines (transaction_id, line_no, account_id, party_id, debit, credit, narration)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    lines.forEach((line, index) => {
+      lineStmt.run(
+        result.lastInsertRowid, index + 1, line.account_id, line.party_id || null,
+        roundAmount(line.debit), roundAmount(line.credit), line.narration || null
+      );
+    });
+    
+    postToLedger(ledgerService.postTransaction(result.lastInsertRowid), numbering.voucher_no);
+    return { id: result.lastInsertRowid, voucherNo: numbering.voucher_no };
+  });
+  
+  const { id, voucherNo } = createVoucher();
+  
+  logAudit('CREATE', 'transactions', id, null, { ...voucher, lines }, `Created ${voucherType} voucher: ${voucherNo}`);
+  
+  return { id, voucher_no: voucherNo, total_amount: totalDebit };
+}
+
+// Helper function to issue a credit note (against a sale) or debit note (against a purchase)
+function createNoteVoucher(noteType, note) {
+  const expectedType = noteType === 'credit_note' ? 'sale' : 'purchase';
+  const label = noteType === 'credit_note' ? 'Credit note' : 'Debit note';
+  
+  const original = note.original_transaction_id
+    ? db.prepare('SELECT * FROM transactions WHERE id = ?').get(note.original_transaction_id)
+    : null;
+  if (!original) throw new Error('Original invoice not found');
+  if (original.voucher_type !== expectedType) {
+    throw new Error(`${label} must be issued against a ${expectedType} invoice`);
+  }
+  if (original.is_cancelled) throw new Error(`${original.voucher_no} is cancelled`);
+  assertNotBranchTransfer(original);
+  assertDateNotLocked(note.date || new Date().toISOString().split('T')[0], label.toLowerCase(), {
+    override: note.lock_override, entityType: 'transactions'
+  });
+  
+  const originalItems = getTransactionItems(original.id);
+  
+  // Quantities already returned per original line by earlier notes
+  const returned = db.prepare(`
+    SELECT ti.product_id, ti.description, SUM(ti.quantity) as quantity, SUM(ti.total_amount) as total
+    FROM transaction_items ti
+    JOIN transactions t ON ti.transaction_id = t.id
+    WHERE t.original_transaction_id = ? AND t.voucher_type = ? AND t.is_cancelled = 0
+    GROUP BY ti.product_id, ti.description
+  `).all(original.id, noteType);
+  
+  // Without explicit lines the whole invoice is returned
+  const requested = Array.isArray(note.items) && note.items.length > 0
+    ? note.items
+    : originalItems.map(item => ({ line_no: item.line_no }));
+  
+  const noteItems = requested.map(item => {
+    const source = originalItems.find(line => line.line_no === item.line_no) ||
+      originalItems.find(line => item.product_id && line.product_id === item.product_id);
+    if (!source) throw new Error(`Line ${item.line_no || item.product_id} is not on ${original.voucher_no}`);
+    
+    const alreadyReturned = returned.find(row => row.product_id === source.product_id && row.description === source.description);
+    const available = source.quantity - (alreadyReturned ? alreadyReturned.quantity : 0);
+    const quantity = item.quantity !== undefined && item.quantity !== null ? item.quantity : available;
+    if (quantity <= 0 || quantity > available) {
+      throw new Error(`Only ${available} of "${source.description}" can still be returned against ${original.voucher_no}`);
+    }
+    
+    return {
+      product_id: source.product_id,
+      description: source.description,
+      hsn_code: source.hsn_code,
+      unit: source.unit,
+      quantity,
+      rate: item.rate !== undefined && item.rate !== null ? item.rate : source.rate,
+      amount: item.amount,
+      discount_percent: source.amount ? (source.discount_amount / source.amount) * 100 : 0,
+      gst_rate: source.gst_rate,
+      cess_rate: source.cess_rate
+    };
+  });
+  
+  // Notes keep the original invoice's place of supply (CGST/SGST vs IGST)
+  const state = original.igst_amount > 0 ? 'different' : 'same';
+  const { items, totals } = calculateLineItems({ items: noteItems, bill_of_supply: original.bill_of_supply }, state);
+  
+  const alreadyNoted = db.prepare(`
+    SELECT COALESCE(SUM(total_amount), 0) as total FROM transactions
+    WHERE original_transaction_id = ? AND voucher_type = ? AND is_cancelled = 0
+  `).get(original.id, noteType).total;
+  if (roundAmount(alreadyNoted + totals.total_amount) > roundAmount(original.total_amount)) {
+    throw new Error(`${label} exceeds the remaining value of ${original.voucher_no}`);
+  }
+  
+  const voucher = {
+    voucher_type: noteType,
+    date: note.date || new Date().toISOString().split('T')[0],
+    party_id: original.party_id,
+    description: note.description || `${label} against ${original.voucher_no}`,
+    narration: note.narration || null,
+    payment_status: 'pending',
+    payment_method: original.payment_method,
+    reference_no: note.reference_no || original.voucher_no,
+    created_by: note.created_by,
+    place_of_supply: original.place_of_supply,
+    supply_nature: original.supply_nature,
+    original_transaction_id: original.id,
+    note_reason: note.reason || null,
+    branch_id: note.branch_id !== undefined ? note.branch_id : original.branch_id,
+    bill_of_supply: original.bill_of_supply,
+    is_itc_eligible: original.is_itc_eligible,
+    itc_category: original.itc_category,
+    itc_blocked_reason: original.itc_blocked_reason,
+    is_capital_goods: original.is_capital_goods
+  };
+  
+  const issueNote = db.transaction(() => {
+    const inserted = insertTransactionWithItems(voucher, totals, items);
+    
+    // Goods come back on a sales return and go out on a purchase return
+    adjustStockForItems(items, noteType, false, voucher.branch_id);
+    
+    postToLedger(ledgerService.postTransaction(inserted.lastInsertRowid), inserted.voucherNo);
+    refreshPaymentStatus(original.id);
+    return inserted;
+  });
+  const result = issueNote();
+  const { voucherNo } = result;
+  
+  logAudit('CREATE', 'transactions', result.lastInsertRowid, null, { ...note, items },
+    `Issued ${label.toLowerCase()} ${voucherNo} against ${original.voucher_no}`);
+  
+  return { id: result.lastInsertRowid, voucher_no: voucherNo, original_voucher_no: original.voucher_no, ...totals, items };
+}
+
+// Create a manual journal voucher
+ipcMain.handle('voucher:add-journal', (event, voucher) => {
+  return createAccountVoucher('journal', voucher, voucher.lines);
+});
+
+// Create a contra voucher (cash <-> bank, bank <-> bank)
+ipcMain.handle('voucher:add-contra', (event, contra) => {
+  const amount = roundAmount(contra.amount);
+  if (!contra.from_account_id || !contra.to_account_id || contra.from_account_id === contra.to_account_id) {
+    throw new Error('Contra needs two different cash/bank accounts');
+  }
+  
+  return createAccountVoucher('contra', contra, [
+    { account_id: contra.to_account_id, debit: amount, narration: contra.narration },
+    { account_id: contra.from_account_id, credit: amount, narration: contra.narration }
+  ]);
+});
+
+// Issue a credit note against a sales invoice (sales return)
+ipcMain.handle('voucher:add-credit-note', (event, note) => {
+  return createNoteVoucher('credit_note', note);
+});
+
+// Issue a debit note against a purchase invoice (purchase return)
+ipcMain.handle('voucher:add-debit-note', (event, note) => {
+  return createNoteVoucher('debit_note', note);
+});
+
+// Get account lines of a journal/contra voucher
+ipcMain.handle('voucher:get-lines', (event, transactionId) => {
+  return db.prepare(`
+    SELECT jvl.*, la.code as account_code, la.name as account_name, p.name as party_name
+    FROM journal_voucher_lines jvl
+    JOIN ledger_accounts la ON jvl.account_id = la.id
+    LEFT JOIN parties p ON jvl.party_id = p.id
+    WHERE jvl.transaction_id = ?
+    ORDER BY jvl.line_no ASC
+  `).all(transactionId);
+});
+
+// Get credit/debit notes issued against an invoice
+ipcMain.handle('voucher:get-notes', (event, originalTransactionId) => {
+  return db.prepare(`
+    SELECT * FROM transactions
+    WHERE original_transaction_id = ? AND voucher_type IN ('credit_note', 'debit_note')
+    ORDER BY date ASC, id ASC
+  `).all(originalTransactionId);
+});
+
+// ==================== PAYMENTS ====================
+ipcMain.handle('get-payments', (event, filters = {}) => {
+  let query = 'SELECT * FROM payments WHERE 1=1';
+  const params = [];
+  
+  if (filters.transactionId) {
+    query += ' AND transaction_id = ?';
+    params.push(filters.transactionId);
+  }
+  if (filters.partyId) {
+    query += ' AND party_id = ?';
     params.push(filters.partyId);
   }
   if (filters.startDate) {
@@ -1149,33 +2046,45 @@ ipcMain.handle('get-payments', (event, filters = {}) => {
 });
 
 ipcMain.handle('add-payment', (event, payment) => {
+  const txn = payment.transaction_id
+    ? db.prepare('SELECT voucher_type, party_id, taxable_amount, total_amount FROM transactions WHERE id = ?').get(payment.transaction_id)
+    : null;
+  const partyId = payment.party_id || (txn && txn.party_id) || null;
+  const date = payment.date || new Date().toISOString().split('T')[0];
+  assertDateNotLocked(date, 'payments', { override: payment.lock_override, entityType: 'payments' });
+  
+  // TDS applies to payments against purchases and expenses, on the part of the payment excluding GST
+  let tds = null;
+  if (!txn || ['purchase', 'expense'].includes(txn.voucher_type)) {
+    const base = txn && txn.total_amount > 0
+      ? roundAmount(payment.amount * txn.taxable_amount / txn.total_amount)
+      : payment.amount;
+    tds = computeTDS(partyId, base, date, payment);
+  }
+  
   const stmt = db.prepare(`
-    INSERT INTO payments (transaction_id, party_id, amount, method, reference, cheque_no, bank_name, description)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO payments (transaction_id, party_id, amount, method, reference, cheque_no, bank_name, description, tds_amount, tds_section, date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  const result = stmt.run(
-    payment.transaction_id || null, payment.party_id || null, payment.amount,
-    payment.method || 'cash', payment.reference || null, payment.cheque_no || null,
-    payment.bank_name || null, payment.description || null
-  );
-  
-  // Update transaction payment status
-  if (payment.transaction_id) {
-    const totalPaid = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE transaction_id = ?')
-      .get(payment.transaction_id);
-    const transaction = db.prepare('SELECT total_amount FROM transactions WHERE id = ?').get(payment.transaction_id);
+  const insertPayment = db.transaction(() => {
+    const inserted = stmt.run(
+      payment.transaction_id || null, payment.party_id || null, payment.amount,
+      payment.method || 'cash', payment.reference || null, payment.cheque_no || null,
+      payment.bank_name || null, payment.description || null,
+      tds ? tds.tds_amount : 0, tds ? tds.section : null, date
+    );
+    if (tds) tdsService.recordDeduction({ ...tds, source_type: 'payment', source_id: inserted.lastInsertRowid });
     
-    let status = 'pending';
-    if (totalPaid.total >= transaction.total_amount) {
-      status = 'paid';
-    } else if (totalPaid.total > 0) {
-      status = 'partial';
+    // Update transaction payment status
+    if (payment.transaction_id) {
+      refreshPaymentStatus(payment.transaction_id);
     }
     
-    db.prepare('UPDATE transactions SET payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run(status, payment.transaction_id);
-  }
+    postToLedger(ledgerService.postPayment(inserted.lastInsertRowid), `payment #${inserted.lastInsertRowid}`);
+    return inserted;
+  });
+  const result = insertPayment();
   
   logAudit( 'CREATE', 'payments', result.lastInsertRowid, null, payment, `Added payment: ₹${payment.amount}`);
   return result.lastInsertRowid;
@@ -1198,30 +2107,69 @@ ipcMain.handle('get-expenses', (event, filters = {}) => {
     query += ' AND date <= ?';
     params.push(filters.endDate);
   }
+  if (filters.branchId !== undefined && filters.branchId !== null) {
+    query += ' AND branch_id = ?';
+    params.push(filters.branchId);
+  }
   
   query += ' ORDER BY date DESC';
   return db.prepare(query).all(...params);
 });
 
 ipcMain.handle('add-expense', (event, expense) => {
+  assertDateNotLocked(expense.date || new Date().toISOString().split('T')[0], 'expenses', {
+    override: expense.lock_override, entityType: 'expenses'
+  });
+  
+  const date = expense.date || new Date().toISOString().split('T')[0];
+  branchService.assertBranch(expense.branch_id);
+  const tds = computeTDS(expense.party_id, expense.amount, date, expense);
+  
+  // Categories such as GTA freight attract reverse charge unless the caller says otherwise;
+  // the supplier bills no GST and we owe it at the category's rate
+  const rcmCategory = expense.reverse_charge === false ? null : rcmService.getCategory(expense.category);
+  const reverseCharge = Boolean(expense.reverse_charge || rcmCategory);
+  const rcmRate = expense.gst_rate !== undefined && expense.gst_rate !== null ? expense.gst_rate : rcmCategory && rcmCategory.gst_rate;
+  if (reverseCharge && !(rcmRate > 0)) {
+    throw new Error(`Set the GST rate for reverse-charge expense "${expense.category}"`);
+  }
+  const gstAmount = reverseCharge ? roundAmount((expense.amount * rcmRate) / 100) : expense.gst_amount || 0;
+  
   const stmt = db.prepare(`
-    INSERT INTO expenses (category, sub_category, amount, gst_amount, description, party_id, payment_method, reference, date, is_recurring, recurring_frequency)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO expenses (category, sub_category, amount, gst_amount, description, party_id, payment_method, reference, date, is_recurring, recurring_frequency, tds_amount, tds_section, reverse_charge, rcm_self_invoice_no, branch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  const result = stmt.run(
-    expense.category, expense.sub_category || null, expense.amount, expense.gst_amount || 0,
-    expense.description || null, expense.party_id || null, expense.payment_method || null,
-    expense.reference || null, expense.date || new Date().toISOString().split('T')[0],
-    expense.is_recurring ? 1 : 0, expense.recurring_frequency || null
-  );
+  const insertExpense = db.transaction(() => {
+    const selfInvoice = reverseCharge ? allocateVoucherNumber('rcm_self_invoice', date, expense.branch_id) : null;
+    const inserted = stmt.run(
+      expense.category, expense.sub_category || null, expense.amount, gstAmount,
+      expense.description || null, expense.party_id || null, expense.payment_method || null,
+      expense.reference || null, date, expense.is_recurring ? 1 : 0, expense.recurring_frequency || null,
+      tds ? tds.tds_amount : 0, tds ? tds.section : null,
+      reverseCharge ? 1 : 0, selfInvoice ? selfInvoice.voucher_no : null, expense.branch_id || 0
+    );
+    if (tds) tdsService.recordDeduction({ ...tds, source_type: 'expense', source_id: inserted.lastInsertRowid });
+    postToLedger(ledgerService.postExpense(inserted.lastInsertRowid), `expense #${inserted.lastInsertRowid}`);
+    return inserted;
+  });
+  const result = insertExpense();
   
-  logAudit( 'CREATE', 'expenses', result.lastInsertRowid, null, expense, `Added expense: ₹${expense.amount} (${expense.category})`);
+  logAudit( 'CREATE', 'expenses', result.lastInsertRowid, null, expense,
+    `Added expense: ₹${expense.amount} (${expense.category})${reverseCharge ? `, reverse charge ₹${gstAmount}` : ''}`);
   return result.lastInsertRowid;
 });
 
-ipcMain.handle('delete-expense', (event, id) => {
-  db.prepare('DELETE FROM expenses WHERE id = ?').run(id);
+ipcMain.handle('delete-expense', (event, id, lockOverride) => {
+  const expense = db.prepare('SELECT date FROM expenses WHERE id = ?').get(id);
+  if (expense) assertDateNotLocked(expense.date, `expense #${id}`, { override: lockOverride, entityType: 'expenses', entityId: id });
+  
+  const deleteExpense = db.transaction(() => {
+    tdsService.reverseDeductions('expense', id);
+    postToLedger(ledgerService.reverseSourceEntries('expense', id, `Deletion of expense #${id}`), `expense #${id}`);
+    db.prepare('DELETE FROM expenses WHERE id = ?').run(id);
+  });
+  deleteExpense();
   return true;
 });
 
@@ -1282,7 +2230,17 @@ ipcMain.handle('expense:get-by-id', async (event, expenseId) => {
 
 ipcMain.handle('expense:create', async (event, expenseData) => {
   try {
-    return await expenseService.createExpense(db, expenseData);
+    assertDateNotLocked(expenseData.date, 'expenses', { override: expenseData.lock_override, entityType: 'expenses' });
+    const tds = computeTDS(expenseData.vendor_id, parseFloat(expenseData.amount), expenseData.date, expenseData);
+    const result = await expenseService.createExpense(db, expenseData);
+    
+    if (tds && result && result.success) {
+      db.prepare('UPDATE expenses SET tds_amount = ?, tds_section = ? WHERE id = ?')
+        .run(tds.tds_amount, tds.section, result.expense_id);
+      tdsService.recordDeduction({ ...tds, source_type: 'expense', source_id: result.expense_id });
+      result.tds = { section: tds.section, rate: tds.rate, tds_amount: tds.tds_amount };
+    }
+    return result;
   } catch (error) {
     console.error('Error creating expense:', error);
     throw error;
@@ -1291,6 +2249,9 @@ ipcMain.handle('expense:create', async (event, expenseData) => {
 
 ipcMain.handle('expense:update', async (event, expenseId, expenseData) => {
   try {
+    const current = db.prepare('SELECT date FROM expenses WHERE id = ?').get(expenseId);
+    const date = [current && current.date, expenseData.date].filter(Boolean).sort()[0];
+    assertDateNotLocked(date, `expense #${expenseId}`, { override: expenseData.lock_override, entityType: 'expenses', entityId: expenseId });
     return await expenseService.updateExpense(db, expenseId, expenseData);
   } catch (error) {
     console.error('Error updating expense:', error);
@@ -1298,8 +2259,10 @@ ipcMain.handle('expense:update', async (event, expenseId, expenseData) => {
   }
 });
 
-ipcMain.handle('expense:delete', async (event, expenseId) => {
+ipcMain.handle('expense:delete', async (event, expenseId, lockOverride) => {
   try {
+    const current = db.prepare('SELECT date FROM expenses WHERE id = ?').get(expenseId);
+    if (current) assertDateNotLocked(current.date, `expense #${expenseId}`, { override: lockOverride, entityType: 'expenses', entityId: expenseId });
     return await expenseService.deleteExpense(db, expenseId);
   } catch (error) {
     console.error('Error deleting expense:', error);
@@ -1816,9 +2779,18 @@ ipcMain.handle('project:export', async (event, filters = {}) => {
 });
 
 // ==================== USER MANAGEMENT ====================
+// The signed-in user, kept in the main process so requests cannot act as someone else
+let sessionUser = null;
+
+function getSessionUserId() {
+  return sessionUser ? sessionUser.id : null;
+}
+
 ipcMain.handle('auth:login', async (event, email, password) => {
   try {
-    return await userService.authenticate(email, password);
+    sessionUser = null;
+    sessionUser = await userService.authenticate(email, password);
+    return sessionUser;
   } catch (error) {
     console.error('Error logging in:', error);
     throw error;
@@ -1827,6 +2799,7 @@ ipcMain.handle('auth:login', async (event, email, password) => {
 
 ipcMain.handle('auth:logout', async (event) => {
   try {
+    sessionUser = null;
     return { success: true, message: 'Logged out successfully' };
   } catch (error) {
     console.error('Error logging out:', error);
@@ -1970,9 +2943,9 @@ ipcMain.handle('ewaybill:update', async (event, id, updates) => {
   }
 });
 
-ipcMain.handle('ewaybill:cancel', async (event, id, reason) => {
+ipcMain.handle('ewaybill:cancel', async (event, id, reason, reasonCode) => {
   try {
-    return await ewaybillService.cancelEwaybill(id, reason);
+    return await ewaybillService.cancelEwaybill(id, reason, reasonCode);
   } catch (error) {
     console.error('Error cancelling e-way bill:', error);
     throw error;
@@ -1988,6 +2961,111 @@ ipcMain.handle('ewaybill:update-vehicle', async (event, id, vehicleData) => {
   }
 });
 
+ipcMain.handle('ewaybill:transship', async (event, id, transshipData) => {
+  try {
+    return await ewaybillService.transship(id, transshipData);
+  } catch (error) {
+    console.error('Error recording transshipment:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:initiate-multi-vehicle', async (event, id, groupData) => {
+  try {
+    return await ewaybillService.initiateMultiVehicle(id, groupData);
+  } catch (error) {
+    console.error('Error starting multi-vehicle movement:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:add-multi-vehicle', async (event, id, groupNo, vehicleData) => {
+  try {
+    return await ewaybillService.addMultiVehicle(id, groupNo, vehicleData);
+  } catch (error) {
+    console.error('Error adding vehicle:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:change-multi-vehicle', async (event, id, groupNo, oldVehicleNo, vehicleData) => {
+  try {
+    return await ewaybillService.changeMultiVehicle(id, groupNo, oldVehicleNo, vehicleData);
+  } catch (error) {
+    console.error('Error changing vehicle:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:extend', async (event, id, extensionData) => {
+  try {
+    const result = await ewaybillService.extendValidity(id, extensionData);
+    logAudit('UPDATE', 'ewaybill', id, null, extensionData, `Extended e-way bill ${result.ewbNo} to ${result.validUpto}`);
+    return result;
+  } catch (error) {
+    console.error('Error extending e-way bill:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:mark-delivered', async (event, id) => {
+  try {
+    return await ewaybillService.markDelivered(id);
+  } catch (error) {
+    console.error('Error marking e-way bill delivered:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:create-consolidated', async (event, consolidatedData) => {
+  try {
+    return await ewaybillService.createConsolidated(consolidatedData);
+  } catch (error) {
+    console.error('Error creating consolidated e-way bill:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:regenerate-consolidated', async (event, id, vehicleData) => {
+  try {
+    return await ewaybillService.regenerateConsolidated(id, vehicleData);
+  } catch (error) {
+    console.error('Error regenerating consolidated e-way bill:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:get-consolidated', async (event, id) => {
+  try {
+    return await ewaybillService.getConsolidated(id);
+  } catch (error) {
+    console.error('Error getting consolidated e-way bill:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:get-all-consolidated', async (event, filters = {}) => {
+  try {
+    return await ewaybillService.getAllConsolidated(filters);
+  } catch (error) {
+    console.error('Error getting consolidated e-way bills:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:get-expiring', async (event, hoursBefore) => {
+  try {
+    return ewaybillService.getExpiringEwaybills({ hoursBefore });
+  } catch (error) {
+    console.error('Error getting expiring e-way bills:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('ewaybill:get-reason-codes', async (event) => {
+  return ewaybillService.getReasonCodes();
+});
+
 ipcMain.handle('ewaybill:generate-json', async (event, id) => {
   try {
     return await ewaybillService.generateJson(id);
@@ -2006,9 +3084,9 @@ ipcMain.handle('ewaybill:get-stats', async (event) => {
   }
 });
 
-ipcMain.handle('ewaybill:get-hsn-codes', async (event) => {
+ipcMain.handle('ewaybill:get-hsn-codes', async (event, filters) => {
   try {
-    return await ewaybillService.getHsnCodes();
+    return await ewaybillService.getHsnCodes(filters);
   } catch (error) {
     console.error('Error getting HSN codes:', error);
     throw error;
@@ -2775,7 +3853,10 @@ ipcMain.handle('notification:update-settings', async (event, updates) => {
 
 ipcMain.handle('notification:poll-alerts', async (event) => {
   try {
-    return notificationService.pollAlerts();
+    const gstFilings = getGstFilingsToAlert();
+    const notifications = notificationService.pollAlerts({ gstFilings });
+    gstFilings.forEach(filing => gstCalendarService.markAlerted(filing));
+    return notifications;
   } catch (error) {
     console.error('Error polling alerts:', error);
     throw error;
@@ -3378,13 +4459,67 @@ function checkTransactionAlerts(transactionId, transaction, gstCalculation) {
     }
   }
   
-  // GST filing reminder (if due)
-  const today = new Date();
-  const gstDueDate = new Date(today.getFullYear(), today.getMonth(), 20);
-  if (today > gstDueDate) {
-    createAlert(db, 'compliance', 'gst_filing', 'high', 'GST Filing Reminder',
-      'GST return filing for current month may be due. Please verify and file GSTR-1 and GSTR-3B.',
-      null, null);
+  // GST filing reminders come from the filing calendar watcher
+}
+
+// Raise an alert for each e-way bill whose validity is about to lapse (or just lapsed) in transit
+function runEwaybillExpiryWatcher() {
+  try {
+    const rule = notificationService.getAlertRules().find(r => r.id === 'rule_eway_expiry');
+    if (!rule || !rule.enabled || !notificationService.getSettings().enabled) return [];
+
+    const expiring = ewaybillService.getExpiringEwaybills({ hoursBefore: rule.config.hoursBeforeExpiry || 8 });
+    for (const ewb of expiring) {
+      const lapsed = ewb.hoursLeft <= 0;
+      const where = [ewb.vehicleNo && `vehicle ${ewb.vehicleNo}`, ewb.currentPlace && `last at ${ewb.currentPlace}`].filter(Boolean).join(', ');
+      const title = lapsed ? 'E-Way Bill Expired' : 'E-Way Bill Expiring';
+      const message = lapsed
+        ? `E-Way Bill ${ewb.ewbNo} (${ewb.docNo || 'no document'}${where ? `, ${where}` : ''}) expired at ${new Date(ewb.validUpto).toLocaleString('en-IN')}. Extend it within 8 hours of expiry.`
+        : `E-Way Bill ${ewb.ewbNo} (${ewb.docNo || 'no document'}${where ? `, ${where}` : ''}) expires in ${ewb.hoursLeft} hours. Extend its validity if the goods will not reach in time.`;
+
+      notificationService.createNotification({
+        title,
+        message,
+        category: 'compliance',
+        severity: rule.severity || 'critical',
+        metadata: { ewaybillId: ewb.id, ewbNo: ewb.ewbNo, validUpto: ewb.validUpto, transactionId: ewb.transactionId },
+        actionUrl: 'ewaybill'
+      });
+      showNotification(title, message);
+      ewaybillService.markExpiryAlerted(ewb.id, ewb.validUpto);
+    }
+    return expiring;
+  } catch (error) {
+    console.error('E-way bill expiry watcher error:', error);
+    return [];
+  }
+}
+
+// Unfiled GST returns within the alert window of the GST filing rule
+function getGstFilingsToAlert() {
+  const rule = notificationService.getAlertRules().find(r => r.id === 'rule_gst_filing');
+  if (!rule || !rule.enabled) return [];
+  return gstCalendarService.getFilingsToAlert(rule.config.daysBeforeDue);
+}
+
+// Extend the statutory calendar into the current financial year and alert each return falling due or overdue
+function runGstFilingWatcher() {
+  try {
+    const today = new Date();
+    const financialYear = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+    gstCalendarService.generateCalendar({ financialYear });
+    if (!notificationService.getSettings().enabled) return [];
+
+    const filings = getGstFilingsToAlert();
+    for (const alert of notificationService.checkComplianceAlerts(filings)) {
+      notificationService.createNotification(alert);
+      showNotification(alert.title, alert.message);
+    }
+    filings.forEach(filing => gstCalendarService.markAlerted(filing));
+    return filings;
+  } catch (error) {
+    console.error('GST filing watcher error:', error);
+    return [];
   }
 }
 
@@ -4133,6 +5268,10 @@ ipcMain.handle('create-gst-reminder', (event, reminder) => {
 });
 
 ipcMain.handle('update-gst-reminder', (event, id, updates) => {
+  if (updates.status === 'filed') {
+    const result = gstCalendarService.markFiled(id, updates);
+    if (!result.success) return result;
+  }
   db.prepare(`
     UPDATE gst_reminders SET status = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
   `).run(updates.status, updates.notes || null, id);
@@ -4140,6 +5279,38 @@ ipcMain.handle('update-gst-reminder', (event, id, updates) => {
   return true;
 });
 
+ipcMain.handle('get-gst-calendar', (event, filters) => {
+  try {
+    return { success: true, calendar: gstCalendarService.getCalendar(filters) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('generate-gst-calendar', (event, options) => {
+  const result = gstCalendarService.generateCalendar(options);
+  if (result.success) {
+    logAudit('CREATE', 'gst_reminders', null, null, options, `Generated GST filing calendar for FY ${options.financialYear}: ${result.created} dates added`);
+  }
+  return result;
+});
+
+ipcMain.handle('get-gst-filing-profile', (event, gstin) => {
+  try {
+    return { success: true, profile: gstCalendarService.getFilingProfile(gstin) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-gst-filing-profile', (event, profile) => {
+  const result = gstCalendarService.saveFilingProfile(profile);
+  if (result.success) {
+    logAudit('UPDATE', 'gst_filing_profiles', null, null, result.profile, `GST filing frequency of ${result.profile.gstin || 'head office'}: ${result.profile.frequency}`);
+  }
+  return result;
+});
+
 ipcMain.handle('delete-gst-reminder', (event, id) => {
   db.prepare('DELETE FROM gst_reminders WHERE id = ?').run(id);
   return true;
@@ -4186,72 +5357,35 @@ ipcMain.handle('create-bank-statement', (event, data) => {
 });
 
 ipcMain.handle('add-bank-transaction', (event, data) => {
-  const stmt = db.prepare(`
-    INSERT INTO bank_transactions (bank_statement_id, date, description, amount, type, reference_no)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `);
-
-  const result = stmt.run(
-    data.bank_statement_id,
-    data.date,
-    data.description || null,
-    data.amount,
-    data.type,
-    data.reference_no || null
-  );
-
-  return result.lastInsertRowid;
+  assertDateNotLocked(data.date, 'bank transactions', { override: data.lock_override, entityType: 'bank_transactions' });
+  
+  const result = bankingService.addBankTransaction(data);
+  if (!result.success) throw new Error(result.error);
+  return result.transaction_id;
 });
 
 ipcMain.handle('process-bank-statement', (event, id) => {
-  // Get all unmatched bank transactions
-  const bankTxns = db.prepare(`
-    SELECT * FROM bank_transactions
-    WHERE bank_statement_id = ? AND matched = 0
-    ORDER BY date
-  `).all(id);
-
-  let matched = 0;
-  let unmatched = 0;
-
-  for (const txn of bankTxns) {
-    // Try to find matching transaction based on amount and date proximity
-    const tolerance = 2; // 2 days tolerance
-    const startDate = new Date(txn.date);
-    startDate.setDate(startDate.getDate() - tolerance);
-    const endDate = new Date(txn.date);
-    endDate.setDate(endDate.getDate() + tolerance);
-
-    const matches = db.prepare(`
-      SELECT * FROM transactions
-      WHERE ABS(total_amount - ?) < 1
-      AND date BETWEEN ? AND ?
-      AND is_cancelled = 0
-      AND matched = 0
-      ORDER BY ABS(total_amount - ?)
-      LIMIT 1
-    `).all(txn.amount, startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0], txn.amount);
-
-    if (matches.length > 0) {
-      const match = matches[0];
-      db.prepare('UPDATE bank_transactions SET matched = 1, transaction_id = ? WHERE id = ?').run(match.id, txn.id);
-      db.prepare('UPDATE transactions SET is_matched = 1 WHERE id = ?').run(match.id);
-      matched++;
-    } else {
-      unmatched++;
-    }
-  }
+  // Match the statement's pending lines through the reconciliation engine
+  const result = withBankAllocations(() => bankingService.autoReconcile(null, { statementId: id, canPostOn: isDateOpen }));
+  if (!result.success) throw new Error(result.error);
+  
+  const counts = db.prepare(`
+    SELECT COUNT(*) as total, SUM(CASE WHEN status = 'pending' THEN 0 ELSE 1 END) as matched
+    FROM bank_transactions WHERE bank_statement_id = ?
+  `).get(id);
+  const matched = counts.matched || 0;
+  const unmatched = counts.total - matched;
 
   // Update statement status
   db.prepare(`
     UPDATE bank_statements
     SET status = 'processed', processed_at = CURRENT_TIMESTAMP, total_transactions = ?, matched_count = ?, unmatched_count = ?
     WHERE id = ?
-  `).run(bankTxns.length, matched, unmatched, id);
+  `).run(counts.total, matched, unmatched, id);
 
   logAudit( 'PROCESS', 'bank_statements', id, null, { matched, unmatched }, `Processed bank statement with ${matched} matches`);
 
-  return { matched, unmatched };
+  return { matched, unmatched, suggestions: result.suggestions };
 });
 
 ipcMain.handle('get-unreconciled-transactions', () => {
@@ -4265,9 +5399,17 @@ ipcMain.handle('get-unreconciled-transactions', () => {
   `).all();
 });
 
-ipcMain.handle('reconcile-transaction', (event, transactionId, bankTxnId) => {
-  db.prepare('UPDATE transactions SET is_matched = 1 WHERE id = ?').run(transactionId);
-  db.prepare('UPDATE bank_transactions SET matched = 1, transaction_id = ? WHERE id = ?').run(transactionId, bankTxnId);
+ipcMain.handle('reconcile-transaction', (event, transactionId, bankTxnId, lockOverride) => {
+  const bankTxn = db.prepare('SELECT date FROM bank_transactions WHERE id = ?').get(bankTxnId);
+  if (bankTxn) {
+    assertDateNotLocked(bankTxn.date, `bank transaction #${bankTxnId}`, {
+      override: lockOverride, entityType: 'bank_transactions', entityId: bankTxnId
+    });
+  }
+  
+  const voucher = db.prepare('SELECT voucher_type FROM transactions WHERE id = ?').get(transactionId);
+  const result = withBankAllocations(() => bankingService.matchTransaction(bankTxnId, transactionId, voucher ? voucher.voucher_type : 'sale'));
+  if (!result.success) throw new Error(result.error);
 
   logAudit( 'RECONCILE', 'transactions', transactionId, null, { bank_txn_id: bankTxnId }, 'Manual reconciliation completed');
 
@@ -4343,25 +5485,10 @@ ipcMain.handle('voice-reconcile-by-amount', (event, data) => {
     partyId = party?.id;
   }
 
-  // Search for matching transactions
-  const criteria = { amount, partyId, date, tolerance: 5 };
-  const transactions = db.prepare(`
-    SELECT t.*, p.name as party_name, p.gstin as party_gstin
-    FROM transactions t
-    LEFT JOIN parties p ON t.party_id = p.id
-    WHERE t.is_cancelled = 0
-    AND ABS(t.total_amount - ?) < ?
-    ${partyId ? 'AND t.party_id = ?' : ''}
-    ${date ? "AND t.date BETWEEN date(?, '-7 days') AND date(?, '+7 days')" : ''}
-    AND (t.payment_status IS NULL OR t.payment_status != 'paid')
-    ORDER BY ABS(t.total_amount - ?) ASC
-    LIMIT 10
-  `).all(
-    amount,
-    amount * 0.05,
-    ...(partyId ? [partyId] : []),
-    ...(date ? [date, date] : []),
-    amount
+  // Rank open vouchers through the reconciliation engine
+  const transactions = reconciliationEngine.findMatches(
+    { amount, date, description, party_id: partyId, party_name: partyName },
+    { partyId, amountTolerance: amount * 0.05, limit: 10 }
   );
 
   return {
@@ -4448,39 +5575,26 @@ ipcMain.handle('voice-get-party-balance', (event, partyId) => {
 // Reconcile a single transaction
 ipcMain.handle('reconciliation:reconcile-single', (event, data) => {
   try {
-    const { amount, party_id, party_name, transaction_id, reference, tolerance } = data;
+    const { amount, party_id, party_name, transaction_id, reference, tolerance, date } = data;
     
-    // Find matching transactions
-    let query = `
-      SELECT t.*, p.name as party_name, p.gstin as party_gstin
-      FROM transactions t
-      LEFT JOIN parties p ON t.party_id = p.id
-      WHERE t.is_cancelled = 0
-      AND ABS(t.total_amount - ?) < ?
-      AND (t.payment_status IS NULL OR t.payment_status != 'paid')
-    `;
-    const params = [amount, tolerance || 1];
-
-    if (party_id) {
-      query += ' AND t.party_id = ?';
-      params.push(party_id);
-    }
-
-    if (transaction_id) {
-      query += ' AND t.id = ?';
-      params.push(transaction_id);
-    }
-
-    query += ' ORDER BY t.date DESC LIMIT 5';
-
-    const matches = db.prepare(query).all(...params);
+    // Rank candidates through the reconciliation engine
+    const candidates = reconciliationEngine.findMatches(
+      { amount, date, reference, party_id, party_name },
+      { partyId: party_id, transactionId: transaction_id, amountTolerance: tolerance || 1 }
+    );
 
-    if (matches.length === 0) {
+    if (candidates.length === 0) {
       return { success: false, error: 'No matching transaction found' };
     }
 
-    // Use the first/best match
-    const match = matches[0];
+    // Use the best match
+    const best = candidates[0];
+    const match = db.prepare(`
+      SELECT t.*, p.name as party_name, p.gstin as party_gstin
+      FROM transactions t
+      LEFT JOIN parties p ON t.party_id = p.id
+      WHERE t.id = ?
+    `).get(best.transaction_id);
 
     // Mark as matched
     db.prepare('UPDATE transactions SET is_matched = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(match.id);
@@ -4496,7 +5610,10 @@ ipcMain.handle('reconciliation:reconcile-single', (event, data) => {
       data: {
         transaction: match,
         matched: true,
-        amount: amount
+        amount: amount,
+        score: best.score,
+        reasons: best.reasons,
+        alternatives: candidates.slice(1)
       }
     };
   } catch (error) {
@@ -4533,13 +5650,17 @@ ipcMain.handle('reconciliation:reconcile-all', (event, data) => {
     const unreconciled = db.prepare(query).all(...params);
 
     let reconciledCount = 0;
+    let autoMatch = null;
     if (!auto_match_only) {
       for (const txn of unreconciled) {
         db.prepare('UPDATE transactions SET is_matched = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(txn.id);
         reconciledCount++;
       }
     } else {
-      reconciledCount = unreconciled.length;
+      // Only what the reconciliation engine can pair with a bank line
+      autoMatch = withBankAllocations(() => bankingService.autoReconcile(null, { canPostOn: isDateOpen }));
+      if (!autoMatch.success) return autoMatch;
+      reconciledCount = autoMatch.matched_count;
     }
 
     logAudit( 'RECONCILE', 'transactions', null, null, { 
@@ -4554,7 +5675,9 @@ ipcMain.handle('reconciliation:reconcile-all', (event, data) => {
       data: {
         unreconciled_count: unreconciled.length,
         reconciled_count: reconciledCount,
-        transactions: unreconciled
+        transactions: unreconciled,
+        matches: autoMatch ? autoMatch.matches : [],
+        suggestions: autoMatch ? autoMatch.suggestions : []
       }
     };
   } catch (error) {
@@ -4957,7 +6080,7 @@ ipcMain.handle('reconciliation:get-difference', (event, data) => {
     // Get unmatched bank transactions (bank side)
     let bankQuery = `
       SELECT * FROM bank_transactions
-      WHERE matched = 0
+      WHERE status = 'pending'
     `;
     const bankParams = [];
 
@@ -4990,29 +6113,15 @@ ipcMain.handle('reconciliation:get-difference', (event, data) => {
 // Match a transaction
 ipcMain.handle('reconciliation:match-transaction', (event, data) => {
   try {
-    const { amount, party_id, party_name, reference } = data;
+    const { amount, party_id, party_name, reference, date } = data;
 
-    // Find matching transactions
-    let query = `
-      SELECT t.*, p.name as party_name, p.gstin as party_gstin
-      FROM transactions t
-      LEFT JOIN parties p ON t.party_id = p.id
-      WHERE t.is_cancelled = 0
-      AND ABS(t.total_amount - ?) < 1
-    `;
-    const params = [amount];
+    const matches = reconciliationEngine.findMatches(
+      { amount, date, reference, party_id, party_name },
+      { partyId: party_id, limit: 10 }
+    );
 
-    if (party_id) {
-      query += ' AND t.party_id = ?';
-      params.push(party_id);
-    }
-
-    query += ' ORDER BY t.date DESC LIMIT 10';
-
-    const matches = db.prepare(query).all(...params);
-
-    if (matches.length === 0) {
-      return { success: false, error: 'No matching transactions found', matches: [] };
+    if (matches.length === 0) {
+      return { success: false, error: 'No matching transactions found', matches: [] };
     }
 
     return {
@@ -5029,6 +6138,16 @@ ipcMain.handle('reconciliation:match-transaction', (event, data) => {
   }
 });
 
+// Ranked candidate vouchers for a bank line, with the reasons for each score
+ipcMain.handle('reconciliation:find-matches', (event, line, options) => {
+  try {
+    return { success: true, candidates: bankingService.findMatches(line, options || {}) };
+  } catch (error) {
+    console.error('Find matches error:', error);
+    return { success: false, error: error.message, candidates: [] };
+  }
+});
+
 // Flag a transaction
 ipcMain.handle('reconciliation:flag', (event, data) => {
   try {
@@ -5856,31 +6975,24 @@ ipcMain.handle('invoice:import', (event, id) => {
         query += ' ORDER BY name';
         return db.prepare(query).all(...params);
       },
+      // Scanned lines go through the same path as vouchers keyed in, so composition terms, ITC, stock and posting apply
       addTransaction: (transaction) => {
-        const voucherNo = generateVoucherNumber(db, transaction.voucher_type);
-        const stmt = db.prepare(`
-          INSERT INTO transactions (
-            voucher_no, voucher_type, date, party_id, product_id, quantity, rate, amount,
-            discount_percent, discount_amount, taxable_amount, gst_rate,
-            cgst_amount, sgst_amount, igst_amount, cess_amount, total_gst, total_amount,
-            description, narration, payment_status, payment_method, reference_no, due_date, created_by
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
-        
-        const gstAmount = (transaction.taxable_amount || transaction.amount) * (transaction.gst_rate || 0) / 100;
-        
-        const result = stmt.run(
-          voucherNo, transaction.voucher_type, transaction.date, transaction.party_id || null,
-          transaction.product_id || null, transaction.quantity || 1, transaction.rate, transaction.amount,
-          transaction.discount_percent || 0, transaction.discount_amount || 0, transaction.taxable_amount || transaction.amount,
-          transaction.gst_rate || 0, transaction.cgst_amount || gstAmount / 2, transaction.sgst_amount || gstAmount / 2,
-          transaction.igst_amount || 0, transaction.cess_amount || 0, gstAmount, transaction.total_amount,
-          transaction.description || null, transaction.narration || null, transaction.payment_status || 'pending',
-          transaction.payment_method || null, transaction.reference_no || null, transaction.due_date || null,
-          transaction.created_by || 'system'
-        );
-        
-        return result.lastInsertRowid;
+        assertDateNotLocked(transaction.date, 'new vouchers', { entityType: 'transactions' });
+        return createTradeVoucher({
+          voucher_type: transaction.voucher_type,
+          date: transaction.date,
+          party_id: transaction.party_id,
+          description: transaction.description,
+          payment_status: transaction.payment_status,
+          items: [{
+            product_id: transaction.product_id,
+            description: transaction.description,
+            quantity: transaction.quantity,
+            rate: transaction.rate,
+            discount_percent: transaction.discount_percent,
+            gst_rate: transaction.gst_rate
+          }]
+        }).id;
       }
     });
     
@@ -6287,30 +7399,91 @@ app.whenReady().then(() => {
   invoiceScanningDB.initialize(app.getPath('userData'));
   console.log('Invoice Scanning DB initialized at:', path.join(app.getPath('userData'), 'invoice_scanning.db'));
   
-  // Initialize E-Invoice Service
-  einvoiceService.initialize(db);
+  // Initialize E-Invoice Service (GSP credentials are encrypted with the OS keychain when available)
+  einvoiceService.initialize(db, {
+    secretStore: safeStorage.isEncryptionAvailable() ? {
+      encrypt: (value) => safeStorage.encryptString(value).toString('base64'),
+      decrypt: (value) => safeStorage.decryptString(Buffer.from(value, 'base64'))
+    } : null
+  });
   console.log('E-Invoice Service initialized');
   
+  // Initialize Invoice Template Service
+  invoiceTemplateService.initialize(db);
+  console.log('Invoice Template Service initialized');
+  
   // Initialize GST Return Service
   gstReturnService.initialize(db);
   console.log('GST Return Service initialized');
   
+  // Initialize GSTR-2B Service
+  gstr2bService.initialize(db);
+  console.log('GSTR-2B Service initialized');
+  
   // Initialize Inventory Service
   inventoryService.initialize(db);
   console.log('Inventory Service initialized');
   
   // Initialize Report Engine
-  reportEngine = new ReportEngine(db);
+  reportEngine = new ReportEngine(db, ledgerService);
   console.log('Report Engine initialized');
   
   // Initialize Banking Service
   bankingService.initialize(db);
   console.log('Banking Service initialized');
   
+  // Initialize Reconciliation Engine
+  reconciliationEngine.initialize(db);
+  console.log('Reconciliation Engine initialized');
+  
+  // Initialize Statement Import Manager
+  importManager = new ImportManager(db);
+  console.log('Statement Import Manager initialized');
+  
   // Initialize Payment Gateway Service
   paymentGatewayService.initialize(db);
   console.log('Payment Gateway Service initialized');
   
+  // Initialize Branch Service
+  branchService.initialize(db);
+  console.log('Branch Service initialized');
+  
+  // Initialize Ledger Service (after banking, so bank ledgers can be resolved)
+  ledgerService.initialize(db);
+  console.log('Ledger Service initialized');
+  
+  // Initialize Voucher Series Service
+  voucherSeriesService.initialize(db);
+  console.log('Voucher Series Service initialized');
+
+  // Initialize TDS Service
+  tdsService.initialize(db);
+  console.log('TDS Service initialized');
+
+  // Initialize Reverse Charge Service
+  rcmService.initialize(db);
+  console.log('Reverse Charge Service initialized');
+
+  // Initialize HSN/SAC Master Service
+  hsnService.initialize(db);
+  console.log('HSN Master Service initialized');
+
+  // Initialize E-Way Bill Service
+  ewaybillService.initialize(db);
+  console.log('E-Way Bill Service initialized');
+
+  // Initialize GST Filing Calendar Service (after branches, whose GSTINs file the returns)
+  gstCalendarService.initialize(db, gstReturnService);
+  console.log('GST Filing Calendar Service initialized');
+  
+  // Initialize Input Tax Credit Service
+  itcService.initialize(db);
+  console.log('Input Tax Credit Service initialized');
+  
+  // Initialize Export Service
+  exportService.initialize(db);
+  console.log('Export Service initialized');
+  
   createWindow();
   
   // Initialize Voice Module
@@ -6318,6 +7491,14 @@ app.whenReady().then(() => {
 
   // Run periodic alerts check every hour
   setInterval(runPeriodicAlerts, 60 * 60 * 1000);
+
+  // Watch e-way bills in transit for lapsing validity
+  runEwaybillExpiryWatcher();
+  setInterval(runEwaybillExpiryWatcher, 15 * 60 * 1000);
+
+  // Keep the GST filing calendar current and warn of returns falling due
+  runGstFilingWatcher();
+  setInterval(runGstFilingWatcher, 60 * 60 * 1000);
   
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -6448,7 +7629,8 @@ ipcMain.handle('einvoice:save-config', (event, config) => {
   try {
     const result = einvoiceService.saveConfig(config);
     if (result.success) {
-      logAudit('UPDATE', 'einvoice_config', 1, null, config, 'E-invoice configuration updated');
+      const { gsp_password, gsp_client_secret, ...auditConfig } = config;
+      logAudit('UPDATE', 'einvoice_config', 1, null, auditConfig, 'E-invoice configuration updated');
     }
     return result;
   } catch (error) {
@@ -6458,11 +7640,11 @@ ipcMain.handle('einvoice:save-config', (event, config) => {
 });
 
 // Cancel e-invoice
-ipcMain.handle('einvoice:cancel', async (event, transactionId, reason) => {
+ipcMain.handle('einvoice:cancel', async (event, transactionId, reason, reasonCode) => {
   try {
-    const result = await einvoiceService.cancelEinvoice(transactionId, reason);
+    const result = await einvoiceService.cancelEinvoice(transactionId, reason, reasonCode);
     if (result.success) {
-      logAudit('CANCEL', 'einvoice', transactionId, null, { reason }, 'E-invoice cancelled');
+      logAudit('CANCEL', 'einvoice', transactionId, null, { reason, reasonCode, irn: result.irn }, 'E-invoice cancelled');
     }
     return result;
   } catch (error) {
@@ -6471,25 +7653,91 @@ ipcMain.handle('einvoice:cancel', async (event, transactionId, reason) => {
   }
 });
 
+// Fetch an e-invoice from the IRP by IRN
+ipcMain.handle('einvoice:get-by-irn', async (event, irn) => {
+  try {
+    return await einvoiceService.getEinvoiceByIRN(irn);
+  } catch (error) {
+    console.error('E-invoice get by IRN error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Decode and verify a signed e-invoice QR code
+ipcMain.handle('einvoice:verify-qr', (event, signedQRCode) => {
+  return einvoiceService.verifyQRCode(signedQRCode);
+});
+
 // Validate GSTIN
 ipcMain.handle('einvoice:validate-gstin', (event, gstin) => {
   return einvoiceService.validateGSTIN(gstin);
 });
 
 // Validate HSN code
-ipcMain.handle('einvoice:validate-hsn', (event, hsnCode) => {
-  return einvoiceService.validateHSN(hsnCode);
+ipcMain.handle('einvoice:validate-hsn', (event, hsnCode, date) => {
+  const result = einvoiceService.validateHSN(hsnCode);
+  return result.valid ? hsnService.validateCode(hsnCode, date) : result;
+});
+
+// ==================== INVOICE TEMPLATE HANDLERS ====================
+
+// Render a printable invoice (with IRN and signed QR once the e-invoice is registered)
+ipcMain.handle('invoice-template:render', async (event, transactionId, options) => {
+  return await invoiceTemplateService.renderInvoice(transactionId, options);
+});
+
+ipcMain.handle('invoice-template:get-all', () => {
+  return invoiceTemplateService.getTemplates();
+});
+
+ipcMain.handle('invoice-template:get', (event, name) => {
+  return invoiceTemplateService.getTemplate(name);
+});
+
+ipcMain.handle('invoice-template:save', (event, template) => {
+  const result = invoiceTemplateService.saveTemplate(template);
+  if (result.success) {
+    logAudit('UPDATE', 'invoice_templates', null, null, { name: template.name }, `Saved invoice template ${template.name}`);
+  }
+  return result;
+});
+
+ipcMain.handle('invoice-template:delete', (event, name) => {
+  const result = invoiceTemplateService.deleteTemplate(name);
+  if (result.success) {
+    logAudit('DELETE', 'invoice_templates', null, { name }, null, `Deleted invoice template ${name}`);
+  }
+  return result;
 });
 
 // ==================== GST RETURN HANDLERS ====================
 
+// Decide the place of supply of a draft voucher and split its tax (CGST/SGST or IGST)
+ipcMain.handle('gst:resolve-place-of-supply', (event, transaction) => {
+  const businessInfo = db.prepare('SELECT * FROM business_info').all().reduce((acc, row) => {
+    acc[row.key] = row.value;
+    return acc;
+  }, {});
+  const party = transaction.party_id ? db.prepare('SELECT * FROM parties WHERE id = ?').get(transaction.party_id) : null;
+  
+  const supply = voucherPlaceOfSupply(transaction, party, businessInfo);
+  const { items, totals } = calculateLineItems(transaction, supply);
+  return { ...supply, items, totals };
+});
+
+// GST state codes for place-of-supply pickers
+ipcMain.handle('gst:get-state-codes', () => {
+  return placeOfSupply.getStateCodes();
+});
+
 // Get GSTR-1 data
 ipcMain.handle('gst:get-gstr1', (event, filters) => {
   try {
-    const { startDate, endDate } = filters || {};
+    const { startDate, endDate, gstin } = filters || {};
     return gstReturnService.getGSTR1Data({ 
       startDate: startDate || getDefaultStartDate(), 
-      endDate: endDate || getDefaultEndDate() 
+      endDate: endDate || getDefaultEndDate(),
+      gstin
     });
   } catch (error) {
     console.error('GSTR-1 error:', error);
@@ -6500,10 +7748,11 @@ ipcMain.handle('gst:get-gstr1', (event, filters) => {
 // Get GSTR-3B data
 ipcMain.handle('gst:get-gstr3b', (event, filters) => {
   try {
-    const { startDate, endDate } = filters || {};
+    const { startDate, endDate, gstin } = filters || {};
     return gstReturnService.getGSTR3BData({ 
       startDate: startDate || getDefaultStartDate(), 
-      endDate: endDate || getDefaultEndDate() 
+      endDate: endDate || getDefaultEndDate(),
+      gstin
     });
   } catch (error) {
     console.error('GSTR-3B error:', error);
@@ -6534,10 +7783,11 @@ ipcMain.handle('gst:export-gstr3b-json', (event, filters) => {
 // Get ITC Reconciliation
 ipcMain.handle('gst:get-itc-reconciliation', (event, filters) => {
   try {
-    const { startDate, endDate } = filters || {};
+    const { startDate, endDate, gstin } = filters || {};
     return gstReturnService.getITCReconciliation({ 
       startDate: startDate || getDefaultStartDate(), 
-      endDate: endDate || getDefaultEndDate() 
+      endDate: endDate || getDefaultEndDate(),
+      gstin
     });
   } catch (error) {
     console.error('ITC reconciliation error:', error);
@@ -6545,13 +7795,87 @@ ipcMain.handle('gst:get-itc-reconciliation', (event, filters) => {
   }
 });
 
+// Helper function to change how the credit on a purchase is classified. Its debit
+// notes follow it, and both are re-posted when the credit moves in or out of the
+// books, since blocked credit is part of the cost
+function classifyPurchaseITC(id, classification) {
+  const old = db.prepare('SELECT * FROM transactions WHERE id = ?').get(id);
+  if (!old || old.voucher_type !== 'purchase') throw new Error('Purchase not found');
+  if (old.is_cancelled) throw new Error(`${old.voucher_no} is cancelled`);
+  if (gstReturnService.getCompositionScheme()) throw new Error('A composition dealer takes no input tax credit');
+  
+  const terms = itcService.classifyPurchase({
+    voucher_type: 'purchase',
+    itc_category: classification.itc_category || old.itc_category || 'eligible',
+    itc_blocked_reason: classification.itc_blocked_reason !== undefined ? classification.itc_blocked_reason : old.itc_blocked_reason,
+    is_capital_goods: classification.is_capital_goods !== undefined ? classification.is_capital_goods : old.is_capital_goods
+  }, getTransactionItems(id));
+  
+  const vouchers = [old].concat(db.prepare(`
+    SELECT * FROM transactions WHERE original_transaction_id = ? AND voucher_type = 'debit_note' AND is_cancelled = 0
+  `).all(id));
+  const repost = terms.is_itc_eligible !== old.is_itc_eligible;
+  vouchers.forEach(voucher => assertDateNotLocked(voucher.date, voucher.voucher_no, {
+    override: classification.lock_override, entityType: 'transactions', entityId: voucher.id
+  }));
+  
+  const update = db.prepare(`
+    UPDATE transactions SET itc_category = ?, itc_blocked_reason = ?, is_capital_goods = ?, is_itc_eligible = ?,
+    updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+  db.transaction(() => {
+    vouchers.forEach(voucher => {
+      update.run(terms.itc_category, terms.itc_blocked_reason, terms.is_capital_goods, terms.is_itc_eligible, voucher.id);
+      if (repost) {
+        postToLedger(ledgerService.reverseSourceEntries('transaction', voucher.id, `ITC reclassification of ${voucher.voucher_no}`), voucher.voucher_no);
+        postToLedger(ledgerService.postTransaction(voucher.id), voucher.voucher_no);
+      }
+    });
+  })();
+  
+  logAudit('UPDATE', 'transactions', id, {
+    itc_category: old.itc_category, itc_blocked_reason: old.itc_blocked_reason, is_capital_goods: old.is_capital_goods
+  }, terms, `Classified ITC on ${old.voucher_no} as ${terms.itc_category}`);
+  return { success: true, ...terms };
+}
+
+// Classify the credit on a purchase: eligible, blocked under section 17(5) or common
+ipcMain.handle('gst:classify-itc', (event, transactionId, classification) => {
+  try {
+    return classifyPurchaseITC(transactionId, classification || {});
+  } catch (error) {
+    console.error('ITC classification error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('gst:get-blocked-credits', () => {
+  return itcService.getBlockedCredits();
+});
+
+// Working schedule of ITC reversals (rules 37, 42, 43 and section 17(5)) for a period
+ipcMain.handle('gst:get-itc-reversals', (event, filters) => {
+  try {
+    const { startDate, endDate, gstin } = filters || {};
+    return itcService.getITCReversals({
+      startDate: startDate || getDefaultStartDate(),
+      endDate: endDate || getDefaultEndDate(),
+      gstin
+    });
+  } catch (error) {
+    console.error('ITC reversal error:', error);
+    return null;
+  }
+});
+
 // Get GST Liability Summary
 ipcMain.handle('gst:get-liability-summary', (event, filters) => {
   try {
-    const { startDate, endDate } = filters || {};
+    const { startDate, endDate, gstin } = filters || {};
     return gstReturnService.getGSTLiabilitySummary(
       startDate || getDefaultStartDate(), 
-      endDate || getDefaultEndDate()
+      endDate || getDefaultEndDate(),
+      gstin
     );
   } catch (error) {
     console.error('GST liability summary error:', error);
@@ -6559,6 +7883,235 @@ ipcMain.handle('gst:get-liability-summary', (event, filters) => {
   }
 });
 
+// Record a monthly return as filed (keeps a snapshot for the annual return)
+ipcMain.handle('gst:record-filing', (event, returnType, filters, details = {}) => {
+  const result = gstReturnService.recordFiling(returnType, filters || {}, details);
+  if (result.success) {
+    logAudit('CREATE', 'gst_return_filings', result.id, null, { returnType, ...details },
+      `Recorded ${returnType} for ${result.filing_period}${result.gstin ? ` (${result.gstin})` : ''} as filed`, details.filed_by);
+  }
+  return result;
+});
+
+// Get recorded return filings
+ipcMain.handle('gst:get-filings', (event, filters) => {
+  try {
+    return gstReturnService.getFilings(filters || {});
+  } catch (error) {
+    console.error('Get filings error:', error);
+    return [];
+  }
+});
+
+// Get GSTR-9 (annual return) data
+ipcMain.handle('gst:get-gstr9', (event, filters) => {
+  try {
+    const { financialYear, gstin } = filters || {};
+    return gstReturnService.getGSTR9Data({
+      financialYear: financialYear || ledgerService.getFinancialYearBounds().name,
+      gstin
+    });
+  } catch (error) {
+    console.error('GSTR-9 error:', error);
+    return null;
+  }
+});
+
+// Export GSTR-9 JSON
+ipcMain.handle('gst:export-gstr9-json', (event, filters) => {
+  try {
+    const { financialYear, gstin } = filters || {};
+    return gstReturnService.exportGSTR9JSON({
+      financialYear: financialYear || ledgerService.getFinancialYearBounds().name,
+      gstin
+    });
+  } catch (error) {
+    console.error('GSTR-9 export error:', error);
+    return null;
+  }
+});
+
+// Get CMP-08 (composition dealer's quarterly statement) data
+ipcMain.handle('gst:get-cmp08', (event, filters) => {
+  try {
+    const { startDate, endDate, filingPeriod, gstin } = filters || {};
+    return gstReturnService.getCMP08Data({
+      startDate: startDate || getDefaultStartDate(),
+      endDate: endDate || getDefaultEndDate(),
+      filingPeriod,
+      gstin
+    });
+  } catch (error) {
+    console.error('CMP-08 error:', error);
+    return null;
+  }
+});
+
+// Export CMP-08 JSON
+ipcMain.handle('gst:export-cmp08-json', (event, filters) => {
+  try {
+    return gstReturnService.exportCMP08JSON(filters);
+  } catch (error) {
+    console.error('CMP-08 export error:', error);
+    return null;
+  }
+});
+
+// Get GSTR-4 (composition dealer's annual return) data
+ipcMain.handle('gst:get-gstr4', (event, filters) => {
+  try {
+    const { financialYear, gstin } = filters || {};
+    return gstReturnService.getGSTR4Data({
+      financialYear: financialYear || ledgerService.getFinancialYearBounds().name,
+      gstin
+    });
+  } catch (error) {
+    console.error('GSTR-4 error:', error);
+    return null;
+  }
+});
+
+// Export GSTR-4 JSON
+ipcMain.handle('gst:export-gstr4-json', (event, filters) => {
+  try {
+    const { financialYear, gstin } = filters || {};
+    return gstReturnService.exportGSTR4JSON({
+      financialYear: financialYear || ledgerService.getFinancialYearBounds().name,
+      gstin
+    });
+  } catch (error) {
+    console.error('GSTR-4 export error:', error);
+    return null;
+  }
+});
+
+// ==================== GSTR-2B HANDLERS ====================
+
+// Import a GSTR-2B JSON file downloaded from the GST portal
+ipcMain.handle('gstr2b:import', (event, filePath, importedBy) => {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const result = gstr2bService.importGSTR2B(content, { fileName: path.basename(filePath), importedBy });
+    if (result.success) {
+      logAudit('IMPORT', 'gstr2b_imports', result.import_id, null, { file: filePath, period: result.return_period },
+        `Imported GSTR-2B for ${result.return_period}: ${result.document_count} documents`, importedBy);
+    }
+    return result;
+  } catch (error) {
+    console.error('GSTR-2B import error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get imported GSTR-2B statements
+ipcMain.handle('gstr2b:get-imports', () => {
+  return gstr2bService.getImports();
+});
+
+// Get matched / mismatched / missing documents for an import
+ipcMain.handle('gstr2b:get-reconciliation', (event, filters) => {
+  return gstr2bService.getReconciliation(filters);
+});
+
+// Re-run matching after purchases have been entered or corrected
+ipcMain.handle('gstr2b:rematch', (event, importId) => {
+  try {
+    gstr2bService.matchImport(importId);
+    return { success: true, summary: gstr2bService.getReconciliation({ importId }).summary };
+  } catch (error) {
+    console.error('GSTR-2B rematch error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Create the purchase for a supplier invoice that is in GSTR-2B but not in our books
+ipcMain.handle('gstr2b:create-purchase', (event, invoiceId, options = {}) => {
+  try {
+    const doc = gstr2bService.getInvoice(invoiceId);
+    if (!doc) return { success: false, error: 'GSTR-2B document not found' };
+    if (doc.match_status !== 'missing_in_books') {
+      return { success: false, error: `${doc.invoice_no} is already in the books` };
+    }
+    if (doc.document_type !== 'invoice') {
+      return { success: false, error: 'Only supplier invoices can be created from GSTR-2B; record notes against the original purchase' };
+    }
+    assertDateNotLocked(doc.invoice_date, 'new vouchers', { override: options.lock_override, entityType: 'transactions' });
+    
+    let party = db.prepare('SELECT * FROM parties WHERE UPPER(gstin) = ? AND is_active = 1 LIMIT 1').get(doc.supplier_gstin);
+    if (!party) {
+      const name = doc.supplier_name || doc.supplier_gstin;
+      const created = db.prepare(`
+        INSERT INTO parties (name, type, gstin, balance_type, notes) VALUES (?, 'supplier', ?, 'payable', ?)
+      `).run(name, doc.supplier_gstin, 'Created from GSTR-2B');
+      party = { id: created.lastInsertRowid, name };
+      logAudit('CREATE', 'parties', party.id, null, { name, gstin: doc.supplier_gstin }, `Added party from GSTR-2B: ${name}`);
+    }
+    
+    // The purchase belongs to a branch filed under the GSTIN the statement was issued to
+    const registration = branchService.getRegistration(doc.recipient_gstin || undefined);
+    const branchId = options.branch_id !== undefined && options.branch_id !== null ? Number(options.branch_id) : registration.branch_ids[0];
+    if (!registration.branch_ids.includes(branchId)) {
+      return { success: false, error: `Branch #${branchId} is not filed under ${registration.gstin}` };
+    }
+    
+    const transaction = {
+      voucher_type: 'purchase',
+      date: doc.invoice_date,
+      branch_id: branchId,
+      party_id: party.id,
+      reference_no: doc.invoice_no,
+      description: `${doc.supplier_name || doc.supplier_gstin} invoice ${doc.invoice_no} (from GSTR-2B)`,
+      payment_status: 'pending',
+      created_by: options.created_by,
+      reverse_charge: doc.reverse_charge === 1,
+      // 2B gives the place of supply the supplier charged tax for
+      location_state_code: doc.place_of_supply || undefined,
+      items: doc.items.map(item => ({
+        description: options.description || `Purchase as per GSTR-2B @ ${item.rate}%`,
+        quantity: 1,
+        rate: item.taxable_value,
+        gst_rate: item.rate,
+        cess_amount: item.cess
+      })),
+      // Credit the supplier's return shows as not available cannot be taken
+      ...(doc.itc_available === 0 ? {
+        is_itc_eligible: 0,
+        itc_blocked_reason: `ITC not available as per GSTR-2B${doc.itc_unavailable_reason ? ` (${doc.itc_unavailable_reason})` : ''}`
+      } : {})
+    };
+    
+    const result = db.transaction(() => {
+      const created = createTradeVoucher(transaction);
+      gstr2bService.markPurchaseCreated(invoiceId, created.id);
+      return created;
+    })();
+    
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('GSTR-2B create purchase error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Flag a supplier for a GSTR-2B difference
+ipcMain.handle('gstr2b:flag-vendor', (event, flagData) => {
+  const result = gstr2bService.flagVendor(flagData);
+  if (result.success) {
+    logAudit('CREATE', 'gstr2b_vendor_flags', result.id, null, flagData, result.message, flagData && flagData.flagged_by);
+  }
+  return result;
+});
+
+// Get vendor flags
+ipcMain.handle('gstr2b:get-vendor-flags', (event, filters) => {
+  return gstr2bService.getVendorFlags(filters);
+});
+
+// Resolve a vendor flag
+ipcMain.handle('gstr2b:resolve-vendor-flag', (event, flagId) => {
+  return gstr2bService.resolveVendorFlag(flagId);
+});
+
 // ==================== CASH LEAK DETECTION IPC HANDLERS ====================
 
 // Run full cash leak analysis
@@ -6850,6 +8403,16 @@ ipcMain.handle('report:generate-balance-sheet', async (event, asOfDate) => {
   }
 });
 
+// Generate branch-wise profit summary with the consolidated total
+ipcMain.handle('report:generate-branch-summary', async (event, params) => {
+  try {
+    return await reportEngine.generateBranchSummary(params);
+  } catch (error) {
+    console.error('Branch summary error:', error);
+    return null;
+  }
+});
+
 // Generate Cash Flow Report
 ipcMain.handle('report:generate-cashflow', async (event, params) => {
   try {
@@ -6918,9 +8481,9 @@ ipcMain.handle('banking:add-account', (event, accountData) => {
 });
 
 // Get all bank accounts
-ipcMain.handle('banking:get-accounts', (event) => {
+ipcMain.handle('banking:get-accounts', (event, filters) => {
   try {
-    return bankingService.getBankAccounts();
+    return bankingService.getBankAccounts(filters);
   } catch (error) {
     console.error('Get accounts error:', error);
     return [];
@@ -6960,7 +8523,16 @@ ipcMain.handle('banking:delete-account', (event, accountId) => {
 // Add bank transaction
 ipcMain.handle('banking:add-transaction', (event, transactionData) => {
   try {
-    return bankingService.addBankTransaction(transactionData);
+    assertDateNotLocked(transactionData.date, 'bank transactions', {
+      override: transactionData.lock_override, entityType: 'bank_transactions'
+    });
+    return db.transaction(() => {
+      const result = bankingService.addBankTransaction(transactionData);
+      if (result.success) {
+        postToLedger(ledgerService.postBankTransaction(result.transaction_id), `bank transaction #${result.transaction_id}`);
+      }
+      return result;
+    })();
   } catch (error) {
     console.error('Add transaction error:', error);
     return { success: false, error: error.message };
@@ -6988,9 +8560,9 @@ ipcMain.handle('banking:get-unmatched', (event, accountId) => {
 });
 
 // Auto reconcile
-ipcMain.handle('banking:auto-reconcile', (event, accountId) => {
+ipcMain.handle('banking:auto-reconcile', (event, accountId, options) => {
   try {
-    return bankingService.autoReconcile(accountId);
+    return withBankAllocations(() => bankingService.autoReconcile(accountId, { ...options, canPostOn: isDateOpen }));
   } catch (error) {
     console.error('Auto reconcile error:', error);
     return { success: false, error: error.message };
@@ -6998,19 +8570,63 @@ ipcMain.handle('banking:auto-reconcile', (event, accountId) => {
 });
 
 // Match transaction
-ipcMain.handle('banking:match-transaction', (event, transactionId, invoiceId, invoiceType) => {
+ipcMain.handle('banking:match-transaction', (event, transactionId, invoiceId, invoiceType, lockOverride) => {
   try {
-    return bankingService.matchTransaction(transactionId, invoiceId, invoiceType);
+    assertBankLinesNotLocked([transactionId], lockOverride);
+    return withBankAllocations(() => bankingService.matchTransaction(transactionId, invoiceId, invoiceType));
   } catch (error) {
     console.error('Match transaction error:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Split match: one bank transaction settles several invoices
+ipcMain.handle('banking:match-split', (event, transactionId, allocations, lockOverride) => {
+  try {
+    assertBankLinesNotLocked([transactionId], lockOverride);
+    return withBankAllocations(() => bankingService.matchSplit(transactionId, allocations));
+  } catch (error) {
+    console.error('Split match error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Grouped match: several bank transactions settle one invoice
+ipcMain.handle('banking:match-group', (event, transactionIds, invoiceId, invoiceType, lockOverride) => {
+  try {
+    assertBankLinesNotLocked(transactionIds || [], lockOverride);
+    return withBankAllocations(() => bankingService.matchGroup(transactionIds, invoiceId, invoiceType));
+  } catch (error) {
+    console.error('Group match error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Split and grouped match candidates for a bank transaction
+ipcMain.handle('banking:find-split-matches', (event, transactionId, options) => {
+  try {
+    return { success: true, ...bankingService.findSplitMatches(transactionId, options || {}) };
+  } catch (error) {
+    console.error('Find split matches error:', error);
+    return { success: false, error: error.message, splits: [], groups: [] };
+  }
+});
+
+// Allocations of a reconciled bank transaction
+ipcMain.handle('banking:get-allocations', (event, transactionId) => {
+  try {
+    return bankingService.getAllocations(transactionId);
+  } catch (error) {
+    console.error('Get allocations error:', error);
+    return [];
+  }
+});
+
 // Unmatch transaction
-ipcMain.handle('banking:unmatch-transaction', (event, transactionId) => {
+ipcMain.handle('banking:unmatch-transaction', (event, transactionId, lockOverride) => {
   try {
-    return bankingService.unmatchTransaction(transactionId);
+    assertBankLinesNotLocked([transactionId], lockOverride);
+    return withBankAllocations(() => bankingService.unmatchTransaction(transactionId));
   } catch (error) {
     console.error('Unmatch transaction error:', error);
     return { success: false, error: error.message };
@@ -7027,6 +8643,16 @@ ipcMain.handle('banking:get-summary', (event, accountId) => {
   }
 });
 
+// Bank reconciliation statement (BRS) for one account as of a date
+ipcMain.handle('banking:get-reconciliation-statement', (event, accountId, asOfDate) => {
+  try {
+    return bankingService.getBankReconciliationStatement(accountId, asOfDate);
+  } catch (error) {
+    console.error('Bank reconciliation statement error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Add reconciliation rule
 ipcMain.handle('banking:add-rule', (event, ruleData) => {
   try {
@@ -7037,16 +8663,80 @@ ipcMain.handle('banking:add-rule', (event, ruleData) => {
   }
 });
 
-// Get reconciliation rules
-ipcMain.handle('banking:get-rules', (event, accountId) => {
+// Ranked candidate vouchers for one bank line
+ipcMain.handle('banking:find-matches', (event, transactionId, options) => {
+  try {
+    return { success: true, candidates: bankingService.findMatches(transactionId, options || {}) };
+  } catch (error) {
+    console.error('Find matches error:', error);
+    return { success: false, error: error.message, candidates: [] };
+  }
+});
+
+// Get reconciliation rules; filters.status picks proposed, retired or all rules
+ipcMain.handle('banking:get-rules', (event, accountId, filters) => {
   try {
-    return bankingService.getReconciliationRules(accountId);
+    return bankingService.getReconciliationRules(accountId, filters || {});
   } catch (error) {
     console.error('Get rules error:', error);
     return [];
   }
 });
 
+// Edit a reconciliation rule
+ipcMain.handle('banking:update-rule', (event, ruleId, updates) => {
+  try {
+    const result = bankingService.updateReconciliationRule(ruleId, updates || {});
+    if (result.success) {
+      logAudit('UPDATE', 'reconciliation_rules', ruleId, result.old_values, updates, `Edited reconciliation rule ${result.rule.name}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Update rule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Promote a proposed (or retired) rule to active
+ipcMain.handle('banking:promote-rule', (event, ruleId, options) => {
+  try {
+    const result = bankingService.promoteReconciliationRule(ruleId, options || {});
+    if (result.success) {
+      logAudit('UPDATE', 'reconciliation_rules', ruleId, null, { status: 'active', auto_apply: result.rule.auto_apply },
+        `Promoted reconciliation rule ${result.rule.name}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Promote rule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Retire a rule without losing its record
+ipcMain.handle('banking:retire-rule', (event, ruleId) => {
+  try {
+    const result = bankingService.retireReconciliationRule(ruleId);
+    if (result.success) {
+      logAudit('UPDATE', 'reconciliation_rules', ruleId, null, { status: 'retired' }, `Retired reconciliation rule #${ruleId}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Retire rule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Clear a bank line to a ledger account (bank charges, interest, gateway settlements)
+ipcMain.handle('banking:clear-to-account', (event, transactionId, ledgerAccountId, lockOverride) => {
+  try {
+    assertBankLinesNotLocked([transactionId], lockOverride);
+    return withBankAllocations(() => bankingService.clearToAccount(transactionId, ledgerAccountId));
+  } catch (error) {
+    console.error('Clear to account error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Delete reconciliation rule
 ipcMain.handle('banking:delete-rule', (event, ruleId) => {
   try {
@@ -7058,8 +8748,12 @@ ipcMain.handle('banking:delete-rule', (event, ruleId) => {
 });
 
 // Import bank statement
-ipcMain.handle('banking:import-statement', (event, accountId, transactions) => {
+ipcMain.handle('banking:import-statement', (event, accountId, transactions, lockOverride) => {
   try {
+    const earliest = (transactions || []).map(t => t.date).filter(Boolean).sort()[0];
+    if (earliest) {
+      assertDateNotLocked(earliest, 'imported bank transactions', { override: lockOverride, entityType: 'bank_transactions' });
+    }
     return bankingService.importBankStatement(accountId, transactions);
   } catch (error) {
     console.error('Import statement error:', error);
@@ -7067,6 +8761,715 @@ ipcMain.handle('banking:import-statement', (event, accountId, transactions) => {
   }
 });
 
+// Read a statement file (CSV, XLS/XLSX, PDF, MT940, camt.053) and propose a column mapping
+ipcMain.handle('banking:preview-statement-file', async (event, filePath, options) => {
+  try {
+    return await importManager.previewStatement(filePath, options || {});
+  } catch (error) {
+    console.error('Preview statement file error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Import a statement file, optionally saving the mapping used as a bank profile
+ipcMain.handle('banking:import-statement-file', async (event, filePath, options = {}) => {
+  try {
+    const preview = await importManager.previewStatement(filePath, {
+      profileCode: options.profileCode, mapping: options.mapping, openingBalance: options.openingBalance
+    });
+    if (!preview.success) return { success: false, error: 'IMPORT_ERROR', message: preview.error };
+    if (preview.period && preview.period.from) {
+      assertDateNotLocked(preview.period.from, 'imported bank transactions', { override: options.lockOverride, entityType: 'bank_transactions' });
+    }
+    
+    const result = await importManager.importStatement(filePath, {
+      ...options, canPostOn: isDateOpen, applyAllocations: applyBankAllocations
+    });
+    if (result.success) {
+      logAudit('IMPORT', 'bank_statements', result.statementId, null,
+        { file: result.fileName, type: result.fileType, profile: result.profile, lines: result.totalTransactions },
+        `Imported ${result.totalTransactions} bank transactions from ${result.fileName}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Import statement file error:', error);
+    return { success: false, error: 'IMPORT_ERROR', message: error.message };
+  }
+});
+
+// Built-in bank formats and saved bank profiles
+ipcMain.handle('banking:get-bank-profiles', () => {
+  try {
+    return importManager.getBankProfiles();
+  } catch (error) {
+    console.error('Get bank profiles error:', error);
+    return [];
+  }
+});
+
+// Save a column mapping as a bank profile
+ipcMain.handle('banking:save-bank-profile', (event, profile) => {
+  try {
+    const result = importManager.saveBankProfile(profile);
+    if (result.success) {
+      logAudit('CREATE', 'bank_profiles', result.profile.id, null, profile, `Saved bank profile ${result.profile.name}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Save bank profile error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete a saved bank profile
+ipcMain.handle('banking:delete-bank-profile', (event, profileId) => {
+  try {
+    const result = importManager.deleteBankProfile(profileId);
+    if (result.success) {
+      logAudit('DELETE', 'bank_profiles', profileId, null, null, `Deleted bank profile #${profileId}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Delete bank profile error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== LEDGER IPC HANDLERS ====================
+
+// Get chart of accounts
+ipcMain.handle('ledger:get-accounts', (event, filters) => {
+  try {
+    return ledgerService.getAccounts(filters);
+  } catch (error) {
+    console.error('Get ledger accounts error:', error);
+    return [];
+  }
+});
+
+// Add ledger account
+ipcMain.handle('ledger:add-account', (event, accountData) => {
+  try {
+    const result = ledgerService.addAccount(accountData);
+    if (result.success) {
+      logAudit('CREATE', 'ledger_accounts', result.account_id, null, accountData, `Added ledger account: ${accountData.code} ${accountData.name}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Add ledger account error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get journal entries
+ipcMain.handle('ledger:get-journal-entries', (event, filters) => {
+  try {
+    return ledgerService.getJournalEntries(filters);
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    return [];
+  }
+});
+
+// Get account ledger
+ipcMain.handle('ledger:get-account-ledger', (event, accountId, filters) => {
+  try {
+    return ledgerService.getAccountLedger(accountId, filters);
+  } catch (error) {
+    console.error('Get account ledger error:', error);
+    return null;
+  }
+});
+
+// Get trial balance
+ipcMain.handle('ledger:get-trial-balance', (event, asOfDate, branchId) => {
+  try {
+    return ledgerService.getTrialBalance(asOfDate, branchId);
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    return null;
+  }
+});
+
+// Get financial years with their open/closed status
+ipcMain.handle('ledger:get-financial-years', () => {
+  try {
+    return ledgerService.getFinancialYears();
+  } catch (error) {
+    console.error('Get financial years error:', error);
+    return [];
+  }
+});
+
+// Get closing or opening balances stored for a financial year
+ipcMain.handle('ledger:get-financial-year-balances', (event, name, balanceType) => {
+  try {
+    return ledgerService.getFinancialYearBalances(name, balanceType);
+  } catch (error) {
+    console.error('Get financial year balances error:', error);
+    return [];
+  }
+});
+
+// Close a financial year and carry balances forward
+ipcMain.handle('ledger:close-financial-year', (event, name) => {
+  try {
+    const userId = getSessionUserId();
+    if (!userService.userHasPermission(userId, 'financial_year:close')) {
+      return { success: false, error: 'Only an administrator can close a financial year' };
+    }
+    
+    const result = ledgerService.closeFinancialYear(name, userId);
+    if (result.success) {
+      logAudit('UPDATE', 'financial_years', null, { status: 'open' }, result, `Closed financial year ${name}`, userId);
+    }
+    return result;
+  } catch (error) {
+    console.error('Close financial year error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Reopen the last closed financial year
+ipcMain.handle('ledger:reopen-financial-year', (event, name) => {
+  try {
+    const userId = getSessionUserId();
+    if (!userService.userHasPermission(userId, 'financial_year:reopen')) {
+      return { success: false, error: 'Only an administrator can reopen a financial year' };
+    }
+    
+    const result = ledgerService.reopenFinancialYear(name);
+    if (result.success) {
+      logAudit('UPDATE', 'financial_years', null, { status: 'closed' }, { status: 'open' }, `Reopened financial year ${name}`, userId);
+    }
+    return result;
+  } catch (error) {
+    console.error('Reopen financial year error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== PERIOD LOCK IPC HANDLERS ====================
+
+// Get the "books locked up to" date
+ipcMain.handle('period-lock:get', () => {
+  try {
+    return { locked_until: getBooksLockedUntil() };
+  } catch (error) {
+    console.error('Get period lock error:', error);
+    return { locked_until: null };
+  }
+});
+
+// Set (or clear, with a null date) the "books locked up to" date
+ipcMain.handle('period-lock:set', (event, lockedUntil) => {
+  try {
+    const userId = getSessionUserId();
+    if (!userService.userHasPermission(userId, 'period_lock:update')) {
+      return { success: false, error: 'Only an administrator can change the period lock' };
+    }
+    if (lockedUntil && !/^\d{4}-\d{2}-\d{2}$/.test(lockedUntil)) {
+      return { success: false, error: 'Lock date must be in YYYY-MM-DD format' };
+    }
+    
+    const previous = getBooksLockedUntil();
+    db.prepare(`
+      INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    `).run(PERIOD_LOCK_SETTING, lockedUntil || null);
+    
+    logAudit('UPDATE', 'settings', null, { locked_until: previous }, { locked_until: lockedUntil || null },
+      lockedUntil ? `Books locked up to ${lockedUntil}` : 'Period lock removed', userId);
+    
+    return { success: true, locked_until: lockedUntil || null };
+  } catch (error) {
+    console.error('Set period lock error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== NUMBERING SERIES IPC HANDLERS ====================
+
+// Get all numbering series with their counters
+ipcMain.handle('numbering:get-series', () => {
+  return voucherSeriesService.getSeries();
+});
+
+// Create or update a numbering series
+ipcMain.handle('numbering:save-series', (event, seriesData) => {
+  const result = voucherSeriesService.saveSeries(seriesData);
+  if (result.success) {
+    logAudit('UPDATE', 'voucher_series', result.series.id, null, seriesData,
+      `Numbering series for ${seriesData.voucher_type} set to ${result.sample}`);
+  }
+  return result;
+});
+
+// Get gaps, duplicates and cancelled numbers for a period
+ipcMain.handle('numbering:get-report', (event, filters) => {
+  return voucherSeriesService.getNumberingReport(filters);
+});
+
+// ==================== TDS / TCS HANDLERS ====================
+
+// Get the TDS/TCS sections with rates and thresholds
+ipcMain.handle('tds:get-sections', (event, filters) => {
+  return tdsService.getSections(filters);
+});
+
+// Create or update a section
+ipcMain.handle('tds:save-section', (event, sectionData) => {
+  const result = tdsService.saveSection(sectionData);
+  if (result.success) {
+    logAudit('UPDATE', 'tds_sections', null, null, sectionData, `TDS section ${sectionData.section} saved`);
+  }
+  return result;
+});
+
+// Set a party's section, deductee type, PAN and lower-deduction rate
+ipcMain.handle('tds:set-party', (event, partyId, config) => {
+  const old = db.prepare('SELECT tds_section, deductee_type, pan, lower_deduction_rate, is_non_resident FROM parties WHERE id = ?').get(partyId);
+  const result = tdsService.setPartyTDS(partyId, config);
+  if (result.success) {
+    logAudit('UPDATE', 'parties', partyId, old, config, `TDS details updated for party #${partyId}`);
+  }
+  return result;
+});
+
+// Preview the TDS a payment would attract before saving it
+ipcMain.handle('tds:preview', (event, partyId, amount, date, section) => {
+  const paymentDate = date || new Date().toISOString().split('T')[0];
+  return computeTDS(partyId, Number(amount), paymentDate, { tds_section: section }) || { applicable: false };
+});
+
+// Get deductions
+ipcMain.handle('tds:get-deductions', (event, filters) => {
+  return tdsService.getDeductions(filters);
+});
+
+// Enter a challan against the open deductions of a section and post the deposit
+ipcMain.handle('tds:create-challan', (event, challanData) => {
+  try {
+    assertDateNotLocked(challanData.deposit_date, 'TDS challans', { override: challanData.lock_override, entityType: 'tds_challans' });
+    const result = db.transaction(() => {
+      const created = tdsService.createChallan(challanData);
+      if (created.success) {
+        postToLedger(ledgerService.postTDSChallan(created.id), `TDS challan #${created.id}`);
+      }
+      return created;
+    })();
+    if (result.success) {
+      logAudit('CREATE', 'tds_challans', result.id, null, challanData,
+        `TDS challan ${challanData.challan_no} u/s ${challanData.section}: ₹${result.tax_amount}`, challanData.created_by);
+    }
+    return result;
+  } catch (error) {
+    console.error('TDS challan error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get challans
+ipcMain.handle('tds:get-challans', (event, filters) => {
+  return tdsService.getChallans(filters);
+});
+
+// Get Form 26Q / 27Q / 27EQ data for a quarter
+ipcMain.handle('tds:get-return', (event, params) => {
+  try {
+    return { success: true, data: tdsService.getQuarterlyReturn(params) };
+  } catch (error) {
+    console.error('TDS return error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Export a quarterly return as an NSDL text file
+ipcMain.handle('tds:export-return', (event, params) => {
+  return tdsService.exportReturnFile(params);
+});
+
+// Get Form 16A certificate data for a deductee and quarter
+ipcMain.handle('tds:get-form16a', (event, params) => {
+  const data = tdsService.getForm16AData(params);
+  if (!data) return { success: false, error: 'Party not found' };
+  if (data.payments.length === 0) {
+    return { success: false, error: `No deposited TDS for this party in ${params.quarter} ${params.financialYear}` };
+  }
+  return { success: true, data };
+});
+
+// ==================== REVERSE CHARGE HANDLERS ====================
+
+// Get expense categories that attract reverse charge
+ipcMain.handle('rcm:get-categories', (event, filters) => {
+  return rcmService.getCategories(filters);
+});
+
+// Create or update a reverse-charge category
+ipcMain.handle('rcm:save-category', (event, categoryData) => {
+  const result = rcmService.saveCategory(categoryData);
+  if (result.success) {
+    logAudit('UPDATE', 'rcm_categories', null, null, categoryData, result.message);
+  }
+  return result;
+});
+
+// Get reverse-charge purchases and expenses with their self-invoices
+ipcMain.handle('rcm:get-register', (event, filters) => {
+  return rcmService.getRegister(filters);
+});
+
+// ==================== HSN/SAC MASTER HANDLERS ====================
+
+// List HSN/SAC codes with the rate in force on a date
+ipcMain.handle('hsn:get-all', (event, filters) => {
+  return hsnService.getHsnCodes(filters);
+});
+
+// Get one code with its rate history
+ipcMain.handle('hsn:get', (event, code) => {
+  return hsnService.getHsnCode(code);
+});
+
+// Get the GST and cess rate for a code on a date
+ipcMain.handle('hsn:get-rate', (event, code, date) => {
+  return hsnService.getRate(code, date);
+});
+
+// Create or update a code
+ipcMain.handle('hsn:save', (event, codeData) => {
+  const result = hsnService.saveHsnCode(codeData);
+  if (result.success) {
+    logAudit('UPDATE', 'hsn_codes', null, null, codeData, `Saved HSN/SAC ${result.code}`);
+  }
+  return result;
+});
+
+// Record a GST Council rate change from its effective date
+ipcMain.handle('hsn:add-rate', (event, code, rateData) => {
+  const result = hsnService.addRate(code, rateData);
+  if (result.success) {
+    logAudit('UPDATE', 'hsn_rates', null, null, { code, ...rateData }, result.message);
+  }
+  return result;
+});
+
+ipcMain.handle('hsn:delete-rate', (event, rateId) => {
+  const result = hsnService.deleteRate(rateId);
+  if (result.success) {
+    logAudit('DELETE', 'hsn_rates', rateId, result.rate, null, `Deleted GST rate for HSN/SAC ${result.rate.hsn_code} from ${result.rate.effective_from}`);
+  }
+  return result;
+});
+
+// Import codes and rates from a CSV file
+ipcMain.handle('hsn:import', (event, filePath) => {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const result = hsnService.importCsv(content);
+    if (result.success) {
+      logAudit('IMPORT', 'hsn_codes', null, null, { file: filePath }, `Imported ${result.imported} HSN/SAC rows (${result.skipped} skipped)`);
+    }
+    return result;
+  } catch (error) {
+    console.error('HSN import error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== BRANCH HANDLERS ====================
+
+// Helper function to move stock between branches. Between different GSTINs the
+// transfer is a supply to a distinct person: the sending branch raises a tax
+// invoice and the receiving branch books it as a purchase and takes the credit.
+// Within one GSTIN the goods just move under a delivery challan.
+function createBranchTransfer(transfer) {
+  const fromBranchId = transfer.from_branch_id || 0;
+  const toBranchId = transfer.to_branch_id || 0;
+  if (fromBranchId === toBranchId) throw new Error('Stock can only be transferred to a different branch');
+  const from = branchService.assertBranch(fromBranchId);
+  const to = branchService.assertBranch(toBranchId);
+  if (!Array.isArray(transfer.items) || transfer.items.length === 0) {
+    throw new Error('A stock transfer needs at least one item');
+  }
+  
+  const date = transfer.date || new Date().toISOString().split('T')[0];
+  assertDateNotLocked(date, 'stock transfers', { override: transfer.lock_override, entityType: 'branch_transfers' });
+  
+  // Transfers are valued at cost unless the caller gives a rate
+  const items = transfer.items.map(item => {
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(item.product_id);
+    if (!product) throw new Error(`Product #${item.product_id} not found`);
+    if (!(item.quantity > 0)) throw new Error(`Enter the quantity of ${product.name} to transfer`);
+    
+    const [held] = branchService.getBranchStock(fromBranchId, { productId: product.id });
+    const onHand = held.items.length ? held.items[0].quantity : 0;
+    if (onHand < item.quantity) {
+      throw new Error(`${from.name} has only ${onHand} ${product.unit || 'pcs'} of ${product.name} in stock`);
+    }
+    
+    return {
+      product_id: product.id,
+      description: item.description || product.name,
+      hsn_code: item.hsn_code,
+      quantity: item.quantity,
+      rate: item.rate !== undefined && item.rate !== null ? item.rate : product.cost_price || product.rate,
+      gst_rate: item.gst_rate
+    };
+  });
+  
+  const narration = transfer.narration || `Stock transfer from ${from.name} to ${to.name}`;
+  
+  const record = db.transaction(() => {
+    let details;
+    if (branchService.isSameRegistration(fromBranchId, toBranchId)) {
+      const challan = allocateVoucherNumber('stock_transfer', date, fromBranchId);
+      items.forEach(item => {
+        branchService.moveStock(fromBranchId, item.product_id, -item.quantity);
+        branchService.moveStock(toBranchId, item.product_id, item.quantity);
+      });
+      const value = roundAmount(items.reduce((sum, item) => sum + item.quantity * item.rate, 0));
+      details = { transfer_no: challan.voucher_no, is_taxable: false, taxable_value: value, total_value: value };
+    } else {
+      // Settled through the branch accounts, never by payment
+      const common = { date, description: narration, payment_status: 'paid', created_by: transfer.created_by };
+      const outward = createTradeVoucher({
+        ...common, voucher_type: 'sale', branch_id: fromBranchId, counter_branch_id: toBranchId,
+        party_id: branchService.getBranchParty(toBranchId).id, items
+      });
+      const inward = createTradeVoucher({
+        ...common, voucher_type: 'purchase', branch_id: toBranchId, counter_branch_id: fromBranchId,
+        party_id: branchService.getBranchParty(fromBranchId).id, reference_no: outward.voucher_no,
+        items: outward.items.map(item => ({
+          product_id: item.product_id, description: item.description, hsn_code: item.hsn_code,
+          quantity: item.quantity, rate: item.rate, gst_rate: item.gst_rate, cess_rate: item.cess_rate
+        }))
+      });
+      details = {
+        transfer_no: outward.voucher_no, is_taxable: true,
+        outward_transaction_id: outward.id, inward_transaction_id: inward.id,
+        taxable_value: outward.taxable_amount, total_value: outward.total_amount
+      };
+    }
+    
+    const id = branchService.recordTransfer({
+      ...details, date, from_branch_id: fromBranchId, to_branch_id: toBranchId,
+      items, narration, created_by: transfer.created_by
+    });
+    return { id, ...details };
+  });
+  
+  const result = record();
+  logAudit('CREATE', 'branch_transfers', result.id, null, transfer,
+    `${result.is_taxable ? 'Invoiced' : 'Moved'} stock from ${from.name} to ${to.name} (${result.transfer_no})`);
+  return { success: true, ...result, from_branch: from.name, to_branch: to.name };
+}
+
+// Helper function to cancel a stock transfer: both vouchers of a taxable
+// transfer are cancelled together, and the goods go back
+function cancelBranchTransfer(transferId, reason, lockOverride) {
+  const transfer = branchService.getTransfer(transferId);
+  if (!transfer) throw new Error('Stock transfer not found');
+  if (transfer.is_cancelled) throw new Error(`${transfer.transfer_no} is already cancelled`);
+  assertDateNotLocked(transfer.date, transfer.transfer_no, { override: lockOverride, entityType: 'branch_transfers', entityId: transferId });
+  
+  // The goods can only go back if the receiving branch still has them
+  transfer.items.forEach(item => {
+    const [held] = branchService.getBranchStock(transfer.to_branch_id, { productId: item.product_id });
+    const onHand = held.items.length ? held.items[0].quantity : 0;
+    if (onHand < item.quantity) {
+      throw new Error(`${held.branch_name} has only ${onHand} of ${item.description} left; ${transfer.transfer_no} cannot be cancelled`);
+    }
+  });
+
+  db.transaction(() => {
+    if (transfer.is_taxable) {
+      for (const id of [transfer.outward_transaction_id, transfer.inward_transaction_id]) {
+        const voucher = db.prepare('SELECT * FROM transactions WHERE id = ?').get(id);
+        db.prepare('UPDATE transactions SET is_cancelled = 1, narration = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .run(`Cancelled: ${reason}`, id);
+        adjustStockForItems(getTransactionItems(id), voucher.voucher_type, true, voucher.branch_id);
+        postToLedger(ledgerService.reverseSourceEntries('transaction', id, `Cancellation of ${voucher.voucher_no}: ${reason}`), voucher.voucher_no);
+      }
+    } else {
+      transfer.items.forEach(item => {
+        branchService.moveStock(transfer.from_branch_id, item.product_id, item.quantity);
+        branchService.moveStock(transfer.to_branch_id, item.product_id, -item.quantity);
+      });
+    }
+    branchService.markTransferCancelled(transferId, reason);
+  })();
+  
+  logAudit('CANCEL', 'branch_transfers', transferId, { is_cancelled: 0 }, { is_cancelled: 1, reason },
+    `Cancelled stock transfer ${transfer.transfer_no}`);
+  return { success: true, message: `${transfer.transfer_no} cancelled` };
+}
+
+// List branches, head office first
+ipcMain.handle('branch:get-all', (event, filters) => {
+  return branchService.getBranches(filters);
+});
+
+ipcMain.handle('branch:get', (event, branchId) => {
+  return branchService.getBranch(branchId);
+});
+
+// Create or update a branch
+ipcMain.handle('branch:save', (event, branchData) => {
+  const old = branchData.id ? branchService.getBranch(branchData.id) : null;
+  const result = branchService.saveBranch(branchData);
+  if (result.success) {
+    logAudit(old ? 'UPDATE' : 'CREATE', 'branches', result.branch.id, old, branchData, `Saved branch ${result.branch.name}`);
+  }
+  return result;
+});
+
+ipcMain.handle('branch:deactivate', (event, branchId) => {
+  const result = branchService.deactivateBranch(branchId);
+  if (result.success) {
+    logAudit('UPDATE', 'branches', branchId, { is_active: 1 }, { is_active: 0 }, `Deactivated branch #${branchId}`);
+  }
+  return result;
+});
+
+// GSTINs of the business and the branches filed under each
+ipcMain.handle('branch:get-registrations', () => {
+  return branchService.getRegistrations();
+});
+
+// Stock on hand at one branch, or at every branch
+ipcMain.handle('branch:get-stock', (event, branchId, filters) => {
+  try {
+    return branchService.getBranchStock(branchId, filters);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('branch:transfer-stock', (event, transfer) => {
+  try {
+    return createBranchTransfer(transfer);
+  } catch (error) {
+    console.error('Stock transfer error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('branch:cancel-transfer', (event, transferId, reason, lockOverride) => {
+  try {
+    return cancelBranchTransfer(transferId, reason, lockOverride);
+  } catch (error) {
+    console.error('Cancel stock transfer error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('branch:get-transfers', (event, filters) => {
+  return branchService.getTransfers(filters);
+});
+
+// ==================== EXPORTS ====================
+
+// Record foreign currency received against an export invoice. The receipt is
+// a payment at the invoice rate; the exchange difference is posted separately
+function recordExportRealisation(transactionId, receipt) {
+  const realisation = exportService.prepareRealisation(transactionId, receipt);
+  assertDateNotLocked(realisation.date, realisation.voucher_no, {
+    override: receipt.lock_override, entityType: 'payments'
+  });
+  const txn = db.prepare('SELECT party_id FROM transactions WHERE id = ?').get(transactionId);
+  
+  const record = db.transaction(() => {
+    const payment = db.prepare(`
+      INSERT INTO payments (transaction_id, party_id, amount, method, reference, bank_name, description, date)
+      VALUES (?, ?, ?, 'bank', ?, ?, ?, ?)
+    `).run(
+      transactionId, txn.party_id, realisation.booked_inr, realisation.reference, realisation.bank_name,
+      `Realisation of ${realisation.currency_code} ${realisation.foreign_amount} @ ${realisation.exchange_rate}`,
+      realisation.date
+    );
+    const paymentId = payment.lastInsertRowid;
+    const realisationId = exportService.recordRealisation({ ...realisation, payment_id: paymentId });
+    
+    refreshPaymentStatus(transactionId);
+    postToLedger(ledgerService.postPayment(paymentId), `payment #${paymentId}`);
+    postToLedger(ledgerService.postExportRealisation(realisationId), `export realisation #${realisationId}`);
+    return { paymentId, realisationId };
+  });
+  const { paymentId, realisationId } = record();
+  
+  logAudit('CREATE', 'export_realisations', realisationId, null, realisation,
+    `Realised ${realisation.currency_code} ${realisation.foreign_amount} against ${realisation.voucher_no}`);
+  return {
+    success: true,
+    realisation: { ...realisation, id: realisationId, payment_id: paymentId },
+    details: exportService.getExportDetails(transactionId)
+  };
+}
+
+// Letters of Undertaking for exports without payment of IGST
+ipcMain.handle('export:get-luts', (event, gstin) => {
+  return exportService.getLUTs(gstin);
+});
+
+ipcMain.handle('export:save-lut', (event, lutData) => {
+  const result = exportService.saveLUT(lutData);
+  if (result.success) {
+    logAudit('CREATE', 'lut_registrations', result.lut.id, null, lutData, `Recorded LUT ${result.lut.arn} for ${result.lut.financial_year}`);
+  }
+  return result;
+});
+
+// Export and SEZ invoices with their realisation status
+ipcMain.handle('export:get-invoices', (event, filters) => {
+  try {
+    return { success: true, invoices: exportService.getExportInvoices(filters) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export:get-details', (event, transactionId) => {
+  return exportService.getExportDetails(transactionId);
+});
+
+// Shipping bill, port code or currency of an export invoice
+ipcMain.handle('export:update-details', (event, transactionId, updates) => {
+  const old = exportService.getExportDetails(transactionId);
+  const result = exportService.updateExportDetails(transactionId, updates || {});
+  if (result.success) {
+    logAudit('UPDATE', 'export_details', transactionId, old, updates, `Updated export details of ${old.voucher_no}`);
+  }
+  return result;
+});
+
+ipcMain.handle('export:record-realisation', (event, transactionId, receipt) => {
+  try {
+    return recordExportRealisation(transactionId, receipt || {});
+  } catch (error) {
+    console.error('Export realisation error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IGST and LUT refunds due on zero-rated supplies
+ipcMain.handle('export:get-refund-summary', (event, filters) => {
+  try {
+    const { startDate, endDate, gstin } = filters || {};
+    return {
+      success: true,
+      summary: exportService.getRefundClaimSummary({
+        startDate: startDate || getDefaultStartDate(),
+        endDate: endDate || getDefaultEndDate(),
+        gstin
+      })
+    };
+  } catch (error) {
+    console.error('Refund claim summary error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // ==================== PAYMENT GATEWAY IPC HANDLERS ====================
 
 // Save gateway configuration
@@ -23,7 +23,8 @@ const products = {
   add: (product) => ipcRenderer.invoke('add-product', product),
   update: (id, product) => ipcRenderer.invoke('update-product', id, product),
   delete: (id) => ipcRenderer.invoke('delete-product', id),
-  updateStock: (productId, quantity, type) => ipcRenderer.invoke('update-stock', productId, quantity, type)
+  updateStock: (productId, quantity, type) => ipcRenderer.invoke('update-stock', productId, quantity, type),
+  updateStockForItems: (items, type) => ipcRenderer.invoke('update-stock', items, type)
 };
 
 // Transaction APIs
@@ -32,7 +33,7 @@ const transactions = {
   getById: (id) => ipcRenderer.invoke('get-transaction-by-id', id),
   add: (transaction) => ipcRenderer.invoke('add-transaction', transaction),
   update: (id, transaction) => ipcRenderer.invoke('update-transaction', id, transaction),
-  cancel: (id, reason) => ipcRenderer.invoke('cancel-transaction', id, reason)
+  cancel: (id, reason, lockOverride) => ipcRenderer.invoke('cancel-transaction', id, reason, lockOverride)
 };
 
 // Payment APIs
@@ -45,7 +46,7 @@ const payments = {
 const expenses = {
   get: (filters) => ipcRenderer.invoke('get-expenses', filters),
   add: (expense) => ipcRenderer.invoke('add-expense', expense),
-  delete: (id) => ipcRenderer.invoke('delete-expense', id)
+  delete: (id, lockOverride) => ipcRenderer.invoke('delete-expense', id, lockOverride)
 };
 
 // Report APIs
@@ -131,11 +132,23 @@ const ewaybill = {
   getById: (id) => ipcRenderer.invoke('ewaybill:get-by-id', id),
   getByNumber: (ewbNo) => ipcRenderer.invoke('ewaybill:get-by-number', ewbNo),
   update: (id, updates) => ipcRenderer.invoke('ewaybill:update', id, updates),
-  cancel: (id, reason) => ipcRenderer.invoke('ewaybill:cancel', id, reason),
+  cancel: (id, reason, reasonCode) => ipcRenderer.invoke('ewaybill:cancel', id, reason, reasonCode),
   updateVehicle: (id, vehicleData) => ipcRenderer.invoke('ewaybill:update-vehicle', id, vehicleData),
+  transship: (id, transshipData) => ipcRenderer.invoke('ewaybill:transship', id, transshipData),
+  initiateMultiVehicle: (id, groupData) => ipcRenderer.invoke('ewaybill:initiate-multi-vehicle', id, groupData),
+  addMultiVehicle: (id, groupNo, vehicleData) => ipcRenderer.invoke('ewaybill:add-multi-vehicle', id, groupNo, vehicleData),
+  changeMultiVehicle: (id, groupNo, oldVehicleNo, vehicleData) => ipcRenderer.invoke('ewaybill:change-multi-vehicle', id, groupNo, oldVehicleNo, vehicleData),
+  extend: (id, extensionData) => ipcRenderer.invoke('ewaybill:extend', id, extensionData),
+  markDelivered: (id) => ipcRenderer.invoke('ewaybill:mark-delivered', id),
+  createConsolidated: (consolidatedData) => ipcRenderer.invoke('ewaybill:create-consolidated', consolidatedData),
+  regenerateConsolidated: (id, vehicleData) => ipcRenderer.invoke('ewaybill:regenerate-consolidated', id, vehicleData),
+  getConsolidated: (id) => ipcRenderer.invoke('ewaybill:get-consolidated', id),
+  getAllConsolidated: (filters) => ipcRenderer.invoke('ewaybill:get-all-consolidated', filters),
+  getExpiring: (hoursBefore) => ipcRenderer.invoke('ewaybill:get-expiring', hoursBefore),
+  getReasonCodes: () => ipcRenderer.invoke('ewaybill:get-reason-codes'),
   generateJson: (id) => ipcRenderer.invoke('ewaybill:generate-json', id),
   getStats: () => ipcRenderer.invoke('ewaybill:get-stats'),
-  getHsnCodes: () => ipcRenderer.invoke('ewaybill:get-hsn-codes'),
+  getHsnCodes: (filters) => ipcRenderer.invoke('ewaybill:get-hsn-codes', filters),
   getStateCodes: () => ipcRenderer.invoke('ewaybill:get-state-codes')
 };
 
@@ -260,7 +273,11 @@ const gstReminders = {
   get: () => ipcRenderer.invoke('get-gst-reminders'),
   create: (reminder) => ipcRenderer.invoke('create-gst-reminder', reminder),
   update: (id, updates) => ipcRenderer.invoke('update-gst-reminder', id, updates),
-  delete: (id) => ipcRenderer.invoke('delete-gst-reminder', id)
+  delete: (id) => ipcRenderer.invoke('delete-gst-reminder', id),
+  getCalendar: (filters) => ipcRenderer.invoke('get-gst-calendar', filters),
+  generateCalendar: (options) => ipcRenderer.invoke('generate-gst-calendar', options),
+  getFilingProfile: (gstin) => ipcRenderer.invoke('get-gst-filing-profile', gstin),
+  saveFilingProfile: (profile) => ipcRenderer.invoke('save-gst-filing-profile', profile)
 };
 
 // Bank Reconciliation APIs
@@ -271,7 +288,7 @@ const reconciliation = {
   addTransaction: (data) => ipcRenderer.invoke('add-bank-transaction', data),
   processStatement: (id) => ipcRenderer.invoke('process-bank-statement', id),
   getUnreconciled: () => ipcRenderer.invoke('get-unreconciled-transactions'),
-  reconcile: (transactionId, bankTxnId) => ipcRenderer.invoke('reconcile-transaction', transactionId, bankTxnId),
+  reconcile: (transactionId, bankTxnId, lockOverride) => ipcRenderer.invoke('reconcile-transaction', transactionId, bankTxnId, lockOverride),
   
   // Voice Reconciliation APIs
   searchParty: (query) => ipcRenderer.invoke('voice-search-party', query),
@@ -294,6 +311,7 @@ const reconciliation = {
   compareBalances: (data) => ipcRenderer.invoke('reconciliation:compare-balances', data),
   getDifference: (data) => ipcRenderer.invoke('reconciliation:get-difference', data),
   matchTransaction: (data) => ipcRenderer.invoke('reconciliation:match-transaction', data),
+  findMatches: (line, options) => ipcRenderer.invoke('reconciliation:find-matches', line, options),
   flagTransaction: (data) => ipcRenderer.invoke('reconciliation:flag', data),
   getReconciliationStatistics: (data) => ipcRenderer.invoke('reconciliation:get-statistics', data)
 };
@@ -371,9 +389,20 @@ const einvoice = {
   getPending: (filters) => ipcRenderer.invoke('einvoice:get-pending', filters),
   getConfig: () => ipcRenderer.invoke('einvoice:get-config'),
   saveConfig: (config) => ipcRenderer.invoke('einvoice:save-config', config),
-  cancel: (transactionId, reason) => ipcRenderer.invoke('einvoice:cancel', transactionId, reason),
+  cancel: (transactionId, reason, reasonCode) => ipcRenderer.invoke('einvoice:cancel', transactionId, reason, reasonCode),
+  getByIrn: (irn) => ipcRenderer.invoke('einvoice:get-by-irn', irn),
+  verifyQr: (signedQRCode) => ipcRenderer.invoke('einvoice:verify-qr', signedQRCode),
   validateGstin: (gstin) => ipcRenderer.invoke('einvoice:validate-gstin', gstin),
-  validateHsn: (hsnCode) => ipcRenderer.invoke('einvoice:validate-hsn', hsnCode)
+  validateHsn: (hsnCode, date) => ipcRenderer.invoke('einvoice:validate-hsn', hsnCode, date)
+};
+
+// Invoice Template APIs
+const invoiceTemplate = {
+  render: (transactionId, options) => ipcRenderer.invoke('invoice-template:render', transactionId, options),
+  getAll: () => ipcRenderer.invoke('invoice-template:get-all'),
+  get: (name) => ipcRenderer.invoke('invoice-template:get', name),
+  save: (template) => ipcRenderer.invoke('invoice-template:save', template),
+  delete: (name) => ipcRenderer.invoke('invoice-template:delete', name)
 };
 
 // Inventory APIs
@@ -459,6 +488,9 @@ contextBridge.exposeInMainWorld('api', {
   // User Management
   users,
   
+  // Bank Reconciliation
+  reconciliation,
+  
   // E-Way Bill
   ewaybill,
   
@@ -517,6 +549,9 @@ contextBridge.exposeInMainWorld('api', {
   // E-Invoice
   einvoice,
 
+  // Invoice Templates
+  invoiceTemplate,
+
   // Inventory
   inventory,
 
@@ -526,6 +561,7 @@ contextBridge.exposeInMainWorld('api', {
     generateGST: (month) => ipcRenderer.invoke('report:generate-gst', month),
     generatePNL: (params) => ipcRenderer.invoke('report:generate-pnl', params),
     generateBalanceSheet: (asOfDate) => ipcRenderer.invoke('report:generate-balance-sheet', asOfDate),
+    generateBranchSummary: (params) => ipcRenderer.invoke('report:generate-branch-summary', params),
     generateCashFlow: (params) => ipcRenderer.invoke('report:generate-cashflow', params),
     generateOutstanding: () => ipcRenderer.invoke('report:generate-outstanding'),
     generateExpenseSummary: (params) => ipcRenderer.invoke('report:generate-expense-summary', params),
@@ -534,32 +570,164 @@ contextBridge.exposeInMainWorld('api', {
 
   // GST Return APIs
   gst: {
+    resolvePlaceOfSupply: (transaction) => ipcRenderer.invoke('gst:resolve-place-of-supply', transaction),
+    getStateCodes: () => ipcRenderer.invoke('gst:get-state-codes'),
     getGstr1: (filters) => ipcRenderer.invoke('gst:get-gstr1', filters),
     getGstr3b: (filters) => ipcRenderer.invoke('gst:get-gstr3b', filters),
     exportGstr1Json: (filters) => ipcRenderer.invoke('gst:export-gstr1-json', filters),
     exportGstr3bJson: (filters) => ipcRenderer.invoke('gst:export-gstr3b-json', filters),
     getItcReconciliation: (filters) => ipcRenderer.invoke('gst:get-itc-reconciliation', filters),
-    getLiabilitySummary: (filters) => ipcRenderer.invoke('gst:get-liability-summary', filters)
+    getItcReversals: (filters) => ipcRenderer.invoke('gst:get-itc-reversals', filters),
+    classifyItc: (transactionId, classification) => ipcRenderer.invoke('gst:classify-itc', transactionId, classification),
+    getBlockedCredits: () => ipcRenderer.invoke('gst:get-blocked-credits'),
+    getLiabilitySummary: (filters) => ipcRenderer.invoke('gst:get-liability-summary', filters),
+    getGstr9: (filters) => ipcRenderer.invoke('gst:get-gstr9', filters),
+    exportGstr9Json: (filters) => ipcRenderer.invoke('gst:export-gstr9-json', filters),
+    getCmp08: (filters) => ipcRenderer.invoke('gst:get-cmp08', filters),
+    exportCmp08Json: (filters) => ipcRenderer.invoke('gst:export-cmp08-json', filters),
+    getGstr4: (filters) => ipcRenderer.invoke('gst:get-gstr4', filters),
+    exportGstr4Json: (filters) => ipcRenderer.invoke('gst:export-gstr4-json', filters),
+    recordFiling: (returnType, filters, details) => ipcRenderer.invoke('gst:record-filing', returnType, filters, details),
+    getFilings: (filters) => ipcRenderer.invoke('gst:get-filings', filters)
+  },
+
+  // GSTR-2B APIs
+  gstr2b: {
+    import: (filePath, importedBy) => ipcRenderer.invoke('gstr2b:import', filePath, importedBy),
+    getImports: () => ipcRenderer.invoke('gstr2b:get-imports'),
+    getReconciliation: (filters) => ipcRenderer.invoke('gstr2b:get-reconciliation', filters),
+    rematch: (importId) => ipcRenderer.invoke('gstr2b:rematch', importId),
+    createPurchase: (invoiceId, options) => ipcRenderer.invoke('gstr2b:create-purchase', invoiceId, options),
+    flagVendor: (flagData) => ipcRenderer.invoke('gstr2b:flag-vendor', flagData),
+    getVendorFlags: (filters) => ipcRenderer.invoke('gstr2b:get-vendor-flags', filters),
+    resolveVendorFlag: (flagId) => ipcRenderer.invoke('gstr2b:resolve-vendor-flag', flagId)
   },
 
   // Banking APIs
   banking: {
     addAccount: (accountData) => ipcRenderer.invoke('banking:add-account', accountData),
-    getAccounts: () => ipcRenderer.invoke('banking:get-accounts'),
+    getAccounts: (filters) => ipcRenderer.invoke('banking:get-accounts', filters),
     getAccount: (accountId) => ipcRenderer.invoke('banking:get-account', accountId),
     updateAccount: (accountId, updates) => ipcRenderer.invoke('banking:update-account', accountId, updates),
     deleteAccount: (accountId) => ipcRenderer.invoke('banking:delete-account', accountId),
     addTransaction: (transactionData) => ipcRenderer.invoke('banking:add-transaction', transactionData),
     getTransactions: (filters) => ipcRenderer.invoke('banking:get-transactions', filters),
     getUnmatched: (accountId) => ipcRenderer.invoke('banking:get-unmatched', accountId),
-    autoReconcile: (accountId) => ipcRenderer.invoke('banking:auto-reconcile', accountId),
-    matchTransaction: (transactionId, invoiceId, invoiceType) => ipcRenderer.invoke('banking:match-transaction', transactionId, invoiceId, invoiceType),
-    unmatchTransaction: (transactionId) => ipcRenderer.invoke('banking:unmatch-transaction', transactionId),
+    autoReconcile: (accountId, options) => ipcRenderer.invoke('banking:auto-reconcile', accountId, options),
+    findMatches: (transactionId, options) => ipcRenderer.invoke('banking:find-matches', transactionId, options),
+    matchTransaction: (transactionId, invoiceId, invoiceType, lockOverride) => ipcRenderer.invoke('banking:match-transaction', transactionId, invoiceId, invoiceType, lockOverride),
+    unmatchTransaction: (transactionId, lockOverride) => ipcRenderer.invoke('banking:unmatch-transaction', transactionId, lockOverride),
+    matchSplit: (transactionId, allocations, lockOverride) => ipcRenderer.invoke('banking:match-split', transactionId, allocations, lockOverride),
+    matchGroup: (transactionIds, invoiceId, invoiceType, lockOverride) => ipcRenderer.invoke('banking:match-group', transactionIds, invoiceId, invoiceType, lockOverride),
+    findSplitMatches: (transactionId, options) => ipcRenderer.invoke('banking:find-split-matches', transactionId, options),
+    getAllocations: (transactionId) => ipcRenderer.invoke('banking:get-allocations', transactionId),
     getSummary: (accountId) => ipcRenderer.invoke('banking:get-summary', accountId),
+    getReconciliationStatement: (accountId, asOfDate) => ipcRenderer.invoke('banking:get-reconciliation-statement', accountId, asOfDate),
     addRule: (ruleData) => ipcRenderer.invoke('banking:add-rule', ruleData),
-    getRules: (accountId) => ipcRenderer.invoke('banking:get-rules', accountId),
+    getRules: (accountId, filters) => ipcRenderer.invoke('banking:get-rules', accountId, filters),
+    updateRule: (ruleId, updates) => ipcRenderer.invoke('banking:update-rule', ruleId, updates),
+    promoteRule: (ruleId, options) => ipcRenderer.invoke('banking:promote-rule', ruleId, options),
+    retireRule: (ruleId) => ipcRenderer.invoke('banking:retire-rule', ruleId),
     deleteRule: (ruleId) => ipcRenderer.invoke('banking:delete-rule', ruleId),
-    importStatement: (accountId, transactions) => ipcRenderer.invoke('banking:import-statement', accountId, transactions)
+    clearToAccount: (transactionId, ledgerAccountId, lockOverride) => ipcRenderer.invoke('banking:clear-to-account', transactionId, ledgerAccountId, lockOverride),
+    importStatement: (accountId, transactions, lockOverride) => ipcRenderer.invoke('banking:import-statement', accountId, transactions, lockOverride),
+    previewStatementFile: (filePath, options) => ipcRenderer.invoke('banking:preview-statement-file', filePath, options),
+    importStatementFile: (filePath, options) => ipcRenderer.invoke('banking:import-statement-file', filePath, options),
+    getBankProfiles: () => ipcRenderer.invoke('banking:get-bank-profiles'),
+    saveBankProfile: (profile) => ipcRenderer.invoke('banking:save-bank-profile', profile),
+    deleteBankProfile: (profileId) => ipcRenderer.invoke('banking:delete-bank-profile', profileId)
+  },
+
+  // General Ledger APIs
+  ledger: {
+    getAccounts: (filters) => ipcRenderer.invoke('ledger:get-accounts', filters),
+    addAccount: (accountData) => ipcRenderer.invoke('ledger:add-account', accountData),
+    getJournalEntries: (filters) => ipcRenderer.invoke('ledger:get-journal-entries', filters),
+    getAccountLedger: (accountId, filters) => ipcRenderer.invoke('ledger:get-account-ledger', accountId, filters),
+    getTrialBalance: (asOfDate, branchId) => ipcRenderer.invoke('ledger:get-trial-balance', asOfDate, branchId),
+    getFinancialYears: () => ipcRenderer.invoke('ledger:get-financial-years'),
+    getFinancialYearBalances: (name, balanceType) => ipcRenderer.invoke('ledger:get-financial-year-balances', name, balanceType),
+    closeFinancialYear: (name) => ipcRenderer.invoke('ledger:close-financial-year', name),
+    reopenFinancialYear: (name) => ipcRenderer.invoke('ledger:reopen-financial-year', name)
+  },
+
+  // Period Lock APIs
+  periodLock: {
+    get: () => ipcRenderer.invoke('period-lock:get'),
+    set: (lockedUntil) => ipcRenderer.invoke('period-lock:set', lockedUntil)
+  },
+
+  // Numbering Series APIs
+  numbering: {
+    getSeries: () => ipcRenderer.invoke('numbering:get-series'),
+    saveSeries: (seriesData) => ipcRenderer.invoke('numbering:save-series', seriesData),
+    getReport: (filters) => ipcRenderer.invoke('numbering:get-report', filters)
+  },
+
+  // TDS / TCS APIs
+  tds: {
+    getSections: (filters) => ipcRenderer.invoke('tds:get-sections', filters),
+    saveSection: (sectionData) => ipcRenderer.invoke('tds:save-section', sectionData),
+    setParty: (partyId, config) => ipcRenderer.invoke('tds:set-party', partyId, config),
+    preview: (partyId, amount, date, section) => ipcRenderer.invoke('tds:preview', partyId, amount, date, section),
+    getDeductions: (filters) => ipcRenderer.invoke('tds:get-deductions', filters),
+    createChallan: (challanData) => ipcRenderer.invoke('tds:create-challan', challanData),
+    getChallans: (filters) => ipcRenderer.invoke('tds:get-challans', filters),
+    getReturn: (params) => ipcRenderer.invoke('tds:get-return', params),
+    exportReturn: (params) => ipcRenderer.invoke('tds:export-return', params),
+    getForm16A: (params) => ipcRenderer.invoke('tds:get-form16a', params)
+  },
+
+  // Reverse Charge APIs
+  rcm: {
+    getCategories: (filters) => ipcRenderer.invoke('rcm:get-categories', filters),
+    saveCategory: (categoryData) => ipcRenderer.invoke('rcm:save-category', categoryData),
+    getRegister: (filters) => ipcRenderer.invoke('rcm:get-register', filters)
+  },
+
+  // HSN/SAC Master APIs
+  hsn: {
+    getAll: (filters) => ipcRenderer.invoke('hsn:get-all', filters),
+    get: (code) => ipcRenderer.invoke('hsn:get', code),
+    getRate: (code, date) => ipcRenderer.invoke('hsn:get-rate', code, date),
+    save: (codeData) => ipcRenderer.invoke('hsn:save', codeData),
+    addRate: (code, rateData) => ipcRenderer.invoke('hsn:add-rate', code, rateData),
+    deleteRate: (rateId) => ipcRenderer.invoke('hsn:delete-rate', rateId),
+    import: (filePath) => ipcRenderer.invoke('hsn:import', filePath)
+  },
+
+  // Branch APIs
+  branch: {
+    getAll: (filters) => ipcRenderer.invoke('branch:get-all', filters),
+    get: (branchId) => ipcRenderer.invoke('branch:get', branchId),
+    save: (branchData) => ipcRenderer.invoke('branch:save', branchData),
+    deactivate: (branchId) => ipcRenderer.invoke('branch:deactivate', branchId),
+    getRegistrations: () => ipcRenderer.invoke('branch:get-registrations'),
+    getStock: (branchId, filters) => ipcRenderer.invoke('branch:get-stock', branchId, filters),
+    transferStock: (transfer) => ipcRenderer.invoke('branch:transfer-stock', transfer),
+    cancelTransfer: (transferId, reason, lockOverride) => ipcRenderer.invoke('branch:cancel-transfer', transferId, reason, lockOverride),
+    getTransfers: (filters) => ipcRenderer.invoke('branch:get-transfers', filters)
+  },
+
+  // Export & SEZ APIs
+  exports: {
+    getLUTs: (gstin) => ipcRenderer.invoke('export:get-luts', gstin),
+    saveLUT: (lutData) => ipcRenderer.invoke('export:save-lut', lutData),
+    getInvoices: (filters) => ipcRenderer.invoke('export:get-invoices', filters),
+    getDetails: (transactionId) => ipcRenderer.invoke('export:get-details', transactionId),
+    updateDetails: (transactionId, updates) => ipcRenderer.invoke('export:update-details', transactionId, updates),
+    recordRealisation: (transactionId, receipt) => ipcRenderer.invoke('export:record-realisation', transactionId, receipt),
+    getRefundSummary: (filters) => ipcRenderer.invoke('export:get-refund-summary', filters)
+  },
+
+  // Journal, Contra & Note Voucher APIs
+  vouchers: {
+    addJournal: (voucher) => ipcRenderer.invoke('voucher:add-journal', voucher),
+    addContra: (contra) => ipcRenderer.invoke('voucher:add-contra', contra),
+    addCreditNote: (note) => ipcRenderer.invoke('voucher:add-credit-note', note),
+    addDebitNote: (note) => ipcRenderer.invoke('voucher:add-debit-note', note),
+    getLines: (transactionId) => ipcRenderer.invoke('voucher:get-lines', transactionId),
+    getNotes: (originalTransactionId) => ipcRenderer.invoke('voucher:get-notes', originalTransactionId)
   },
 
   // Payment Gateway APIs
@@ -592,7 +760,7 @@ contextBridge.exposeInMainWorld('api', {
     getById: (expenseId) => ipcRenderer.invoke('expense:get-by-id', expenseId),
     create: (expenseData) => ipcRenderer.invoke('expense:create', expenseData),
     update: (expenseId, expenseData) => ipcRenderer.invoke('expense:update', expenseId, expenseData),
-    delete: (expenseId) => ipcRenderer.invoke('expense:delete', expenseId),
+    delete: (expenseId, lockOverride) => ipcRenderer.invoke('expense:delete', expenseId, lockOverride),
     approve: (expenseId, approvalData) => ipcRenderer.invoke('expense:approve', expenseId, approvalData),
     reject: (expenseId, reason) => ipcRenderer.invoke('expense:reject', expenseId, reason),
     getRecurring: (filters) => ipcRenderer.invoke('expense:get-recurring', filters),
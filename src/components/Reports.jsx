@@ -332,6 +332,22 @@ const Reports = ({ onClose, onExport, reportEngine, exportManager }) => {
                   <span className="text-slate-800">Net Purchases</span>
                   <span className="text-slate-800">{formatCurrency(summary.net_purchases)}</span>
                 </div>
+                {Boolean(summary.opening_stock || summary.closing_stock) && (
+                  <>
+                    <div className="flex justify-between py-2 border-b border-slate-100">
+                      <span className="text-slate-600">Add: Opening Stock</span>
+                      <span className="font-medium">{formatCurrency(summary.opening_stock)}</span>
+                    </div>
+                    <div className="flex justify-between py-2 border-b border-slate-100">
+                      <span className="text-slate-600">Less: Closing Stock</span>
+                      <span className="text-red-600">-{formatCurrency(summary.closing_stock)}</span>
+                    </div>
+                    <div className="flex justify-between py-2 font-semibold">
+                      <span className="text-slate-800">Cost of Goods Sold</span>
+                      <span className="text-slate-800">{formatCurrency(summary.cost_of_goods_sold)}</span>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
 
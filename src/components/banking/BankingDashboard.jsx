@@ -7,16 +7,33 @@
  * - Auto-reconciliation
  * - Manual matching
  * - Reconciliation rules
+ * - Bank reconciliation statement (BRS)
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import useBanking from '../../hooks/useBanking';
+import ExportManager from '../../services/exportManager';
+
+const exportManager = new ExportManager();
+
+// Last day of the previous month, the date auditors usually ask a BRS for
+const lastMonthEnd = () => {
+  const today = new Date();
+  const end = new Date(today.getFullYear(), today.getMonth(), 0);
+  return `${end.getFullYear()}-${String(end.getMonth() + 1).padStart(2, '0')}-${String(end.getDate()).padStart(2, '0')}`;
+};
 
 const BankingDashboard = () => {
   const [activeTab, setActiveTab] = useState('accounts');
   const [showAddAccountModal, setShowAddAccountModal] = useState(false);
   const [showAddTransactionModal, setShowAddTransactionModal] = useState(false);
   const [showAddRuleModal, setShowAddRuleModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [clearingTxn, setClearingTxn] = useState(null);
+  const [ledgerAccounts, setLedgerAccounts] = useState([]);
+  const [proposedRule, setProposedRule] = useState(null);
+  const [brsAccountId, setBrsAccountId] = useState('');
+  const [brsDate, setBrsDate] = useState(lastMonthEnd());
   
   const {
     loading,
@@ -27,6 +44,7 @@ const BankingDashboard = () => {
     unmatchedTransactions,
     reconciliationSummary,
     rules,
+    reconciliationStatement,
     getAccounts,
     getAccount,
     addAccount,
@@ -38,9 +56,14 @@ const BankingDashboard = () => {
     matchTransaction,
     unmatchTransaction,
     getReconciliationSummary,
+    getReconciliationStatement,
     getRules,
     addRule,
     deleteRule,
+    updateRule,
+    promoteRule,
+    retireRule,
+    clearToAccount,
     importStatement,
     clearError
   } = useBanking();
@@ -56,6 +79,16 @@ const BankingDashboard = () => {
       getReconciliationSummary(),
       getRules()
     ]);
+    const accountsList = await window.api.ledger.getAccounts();
+    setLedgerAccounts(accountsList || []);
+  };
+
+  // A manual match may teach a new rule; offer it for promotion
+  const noteProposedRule = (result) => {
+    if (result?.success && result.proposed_rule) {
+      setProposedRule(result.proposed_rule);
+      getRules();
+    }
   };
 
   // Format currency
@@ -283,6 +316,40 @@ const BankingDashboard = () => {
         </button>
       </div>
       
+      {proposedRule && (
+        <div style={{ 
+          padding: '1rem', 
+          background: '#eff6ff', 
+          border: '1px solid #3b82f6', 
+          borderRadius: '8px', 
+          marginBottom: '1.5rem',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <span style={{ fontSize: '0.875rem' }}>
+            Learned rule: <strong style={{ fontFamily: 'monospace' }}>{proposedRule.pattern}</strong> &rarr; {proposedRule.ledger_account_name || proposedRule.party_name || 'N/A'}
+          </span>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button 
+              onClick={async () => {
+                const result = await promoteRule(proposedRule.id, { auto_apply: 1 });
+                if (result.success) setProposedRule(null);
+              }}
+              style={{ padding: '0.25rem 0.75rem', background: '#3b82f6', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '0.75rem' }}
+            >
+              Promote
+            </button>
+            <button 
+              onClick={() => setProposedRule(null)}
+              style={{ padding: '0.25rem 0.75rem', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '0.75rem' }}
+            >
+              Later
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.5rem' }}>
         {/* Unmatched Transactions */}
         <div className="card" style={{ padding: '1.5rem', borderRadius: '8px', border: '1px solid #e5e7eb' }}>
@@ -311,7 +378,7 @@ const BankingDashboard = () => {
                       {formatCurrency(txn.amount)}
                     </p>
                     <button 
-                      onClick={() => matchTransaction(txn.id, 1, 'sale')}
+                      onClick={async () => noteProposedRule(await matchTransaction(txn.id, 1, 'sale'))}
                       style={{ 
                         marginTop: '0.25rem',
                         padding: '0.25rem 0.5rem', 
@@ -325,6 +392,22 @@ const BankingDashboard = () => {
                     >
                       Match
                     </button>
+                    <button 
+                      onClick={() => setClearingTxn(txn)}
+                      style={{ 
+                        marginTop: '0.25rem',
+                        marginLeft: '0.25rem',
+                        padding: '0.25rem 0.5rem', 
+                        background: '#6b7280', 
+                        color: 'white', 
+                        border: 'none', 
+                        borderRadius: '4px', 
+                        cursor: 'pointer',
+                        fontSize: '0.75rem'
+                      }}
+                    >
+                      Clear to Account
+                    </button>
                   </div>
                 </div>
               ))}
@@ -379,6 +462,136 @@ const BankingDashboard = () => {
     </div>
   );
 
+  // Export the bank reconciliation statement
+  const handleExportStatement = async (format) => {
+    const result = await exportManager.exportBankReconciliationStatement(reconciliationStatement, format);
+    if (result.action === 'print') {
+      const printWindow = window.open('', '_blank');
+      printWindow.document.write(result.content);
+      printWindow.document.close();
+      printWindow.onload = () => {
+        printWindow.print();
+      };
+    } else {
+      exportManager.downloadFile(result);
+    }
+  };
+
+  // Render bank reconciliation statement tab
+  const renderStatement = () => (
+    <div className="brs-view">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+        <h3>Bank Reconciliation Statement</h3>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <select 
+            value={brsAccountId} 
+            onChange={(e) => setBrsAccountId(e.target.value)}
+            style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}
+          >
+            <option value="">Select account</option>
+            {accounts.map((acc) => (
+              <option key={acc.id} value={acc.id}>{acc.bank_name}{acc.account_number ? ` ****${String(acc.account_number).slice(-4)}` : ''}</option>
+            ))}
+          </select>
+          <input 
+            type="date" 
+            value={brsDate} 
+            onChange={(e) => setBrsDate(e.target.value)}
+            style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}
+          />
+          <button 
+            onClick={() => getReconciliationStatement(parseInt(brsAccountId), brsDate)}
+            disabled={!brsAccountId || !brsDate}
+            style={{ 
+              padding: '0.5rem 1rem', 
+              background: '#3b82f6', 
+              color: 'white', 
+              border: 'none', 
+              borderRadius: '6px', 
+              cursor: !brsAccountId || !brsDate ? 'not-allowed' : 'pointer',
+              opacity: !brsAccountId || !brsDate ? 0.7 : 1
+            }}
+          >
+            Generate
+          </button>
+        </div>
+      </div>
+      
+      {!reconciliationStatement ? (
+        <div style={{ textAlign: 'center', padding: '3rem', color: '#6b7280' }}>
+          <p>Pick an account and a date to reconcile the books with the bank statement.</p>
+        </div>
+      ) : (
+        <div className="card" style={{ padding: '1.5rem', borderRadius: '8px', border: '1px solid #e5e7eb' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+            <p style={{ margin: 0, color: '#6b7280' }}>
+              {reconciliationStatement.account.bank_name} &middot; As on {formatDate(reconciliationStatement.as_of_date)}
+            </p>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              {['pdf', 'excel', 'csv'].map((format) => (
+                <button 
+                  key={format}
+                  onClick={() => handleExportStatement(format)}
+                  style={{ 
+                    padding: '0.25rem 0.75rem', 
+                    background: '#f3f4f6', 
+                    border: '1px solid #d1d5db', 
+                    borderRadius: '4px', 
+                    cursor: 'pointer',
+                    fontSize: '0.75rem'
+                  }}
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+          
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <tbody>
+              <tr style={{ borderBottom: '2px solid #e5e7eb', fontWeight: '600' }}>
+                <td style={{ padding: '0.75rem' }} colSpan={3}>Balance as per books</td>
+                <td style={{ padding: '0.75rem', textAlign: 'right' }}>{formatCurrency(reconciliationStatement.balance_per_books)}</td>
+              </tr>
+              {reconciliationStatement.sections.map((section) => (
+                <Fragment key={section.key}>
+                  <tr style={{ borderBottom: '1px solid #e5e7eb', fontWeight: '600' }}>
+                    <td style={{ padding: '0.75rem' }} colSpan={3}>{section.label}</td>
+                    <td style={{ padding: '0.75rem', textAlign: 'right' }}>{formatCurrency(section.total)}</td>
+                  </tr>
+                  {section.items.map((item) => (
+                    <tr key={`${section.key}-${item.source_type}-${item.source_id}`} style={{ borderBottom: '1px solid #f3f4f6', fontSize: '0.875rem' }}>
+                      <td style={{ padding: '0.5rem 0.75rem 0.5rem 2rem' }}>{item.description || item.party_name || 'N/A'}</td>
+                      <td style={{ padding: '0.5rem 0.75rem', color: '#6b7280' }}>{formatDate(item.date)}</td>
+                      <td style={{ padding: '0.5rem 0.75rem', color: '#6b7280' }}>{item.reference || ''}</td>
+                      <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right' }}>{formatCurrency(item.amount)}</td>
+                    </tr>
+                  ))}
+                </Fragment>
+              ))}
+              <tr style={{ borderTop: '2px solid #e5e7eb', fontWeight: '600' }}>
+                <td style={{ padding: '0.75rem' }} colSpan={3}>Balance as per bank statement</td>
+                <td style={{ padding: '0.75rem', textAlign: 'right' }}>{formatCurrency(reconciliationStatement.balance_per_bank)}</td>
+              </tr>
+            </tbody>
+          </table>
+          
+          {reconciliationStatement.statement_balance !== null && (
+            <p style={{ marginTop: '1rem', fontSize: '0.875rem', color: reconciliationStatement.difference ? '#ef4444' : '#10b981' }}>
+              Bank shows {formatCurrency(reconciliationStatement.statement_balance)} on {formatDate(reconciliationStatement.statement_balance_date)}
+              {reconciliationStatement.difference ? ` · unexplained difference ${formatCurrency(reconciliationStatement.difference)}` : ' · agrees'}
+            </p>
+          )}
+          {reconciliationStatement.unassigned_book_entries.count > 0 && (
+            <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#6b7280' }}>
+              {reconciliationStatement.unassigned_book_entries.count} entries on the common Bank Accounts ledger could not be traced to this account and are left out.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
   // Render rules tab
   const renderRules = () => (
     <div className="rules-view">
@@ -411,7 +624,10 @@ const BankingDashboard = () => {
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Name</th>
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Pattern</th>
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Match Type</th>
-              <th style={{ padding: '0.75rem', textAlign: 'left' }}>Category</th>
+              <th style={{ padding: '0.75rem', textAlign: 'left' }}>Points To</th>
+              <th style={{ padding: '0.75rem', textAlign: 'left' }}>Status</th>
+              <th style={{ padding: '0.75rem', textAlign: 'right' }}>Hits / Misses</th>
+              <th style={{ padding: '0.75rem', textAlign: 'right' }}>Applied</th>
               <th style={{ padding: '0.75rem', textAlign: 'right' }}>Actions</th>
             </tr>
           </thead>
@@ -421,8 +637,78 @@ const BankingDashboard = () => {
                 <td style={{ padding: '0.75rem' }}>{rule.name}</td>
                 <td style={{ padding: '0.75rem', fontFamily: 'monospace' }}>{rule.pattern}</td>
                 <td style={{ padding: '0.75rem' }}>{rule.match_type}</td>
-                <td style={{ padding: '0.75rem' }}>{rule.category || 'N/A'}</td>
+                <td style={{ padding: '0.75rem' }}>{rule.ledger_account_name || rule.party_name || rule.category || 'N/A'}</td>
+                <td style={{ padding: '0.75rem' }}>
+                  <span style={{ 
+                    padding: '0.125rem 0.5rem', 
+                    borderRadius: '9999px', 
+                    fontSize: '0.75rem',
+                    background: rule.status === 'active' ? '#d1fae5' : rule.status === 'proposed' ? '#dbeafe' : '#f3f4f6',
+                    color: rule.status === 'active' ? '#065f46' : rule.status === 'proposed' ? '#1e40af' : '#6b7280'
+                  }}>
+                    {rule.status}{rule.source === 'learned' ? ' (learned)' : ''}
+                  </span>
+                  {rule.status === 'active' && rule.auto_apply ? (
+                    <span style={{ marginLeft: '0.25rem', fontSize: '0.75rem', color: rule.high_confidence ? '#065f46' : '#92400e' }}>
+                      {rule.high_confidence ? 'auto-applies' : 'auto-apply pending confidence'}
+                    </span>
+                  ) : null}
+                </td>
                 <td style={{ padding: '0.75rem', textAlign: 'right' }}>
+                  {rule.hit_count || 0} / {rule.miss_count || 0}
+                  {rule.hit_rate !== null && rule.hit_rate !== undefined ? ` (${rule.hit_rate}%)` : ''}
+                </td>
+                <td style={{ padding: '0.75rem', textAlign: 'right' }}>{rule.applied_count || 0}</td>
+                <td style={{ padding: '0.75rem', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                  {rule.status !== 'active' && (
+                    <button 
+                      onClick={() => promoteRule(rule.id, { auto_apply: 1 })}
+                      style={{ 
+                        marginRight: '0.25rem',
+                        padding: '0.25rem 0.5rem', 
+                        background: '#10b981', 
+                        color: 'white', 
+                        border: 'none', 
+                        borderRadius: '4px', 
+                        cursor: 'pointer',
+                        fontSize: '0.75rem'
+                      }}
+                    >
+                      Promote
+                    </button>
+                  )}
+                  <button 
+                    onClick={() => setEditingRule(rule)}
+                    style={{ 
+                      marginRight: '0.25rem',
+                      padding: '0.25rem 0.5rem', 
+                      background: '#3b82f6', 
+                      color: 'white', 
+                      border: 'none', 
+                      borderRadius: '4px', 
+                      cursor: 'pointer',
+                      fontSize: '0.75rem'
+                    }}
+                  >
+                    Edit
+                  </button>
+                  {rule.status !== 'retired' && (
+                    <button 
+                      onClick={() => retireRule(rule.id)}
+                      style={{ 
+                        marginRight: '0.25rem',
+                        padding: '0.25rem 0.5rem', 
+                        background: '#6b7280', 
+                        color: 'white', 
+                        border: 'none', 
+                        borderRadius: '4px', 
+                        cursor: 'pointer',
+                        fontSize: '0.75rem'
+                      }}
+                    >
+                      Retire
+                    </button>
+                  )}
                   <button 
                     onClick={() => deleteRule(rule.id)}
                     style={{ 
@@ -484,7 +770,8 @@ const BankingDashboard = () => {
           { id: 'accounts', label: 'Accounts' },
           { id: 'transactions', label: 'Transactions' },
           { id: 'reconcile', label: 'Reconcile' },
-          { id: 'rules', label: 'Rules' }
+          { id: 'rules', label: 'Rules' },
+          { id: 'brs', label: 'BRS' }
         ].map(tab => (
           <button
             key={tab.id}
@@ -522,6 +809,7 @@ const BankingDashboard = () => {
             {activeTab === 'transactions' && renderTransactions()}
             {activeTab === 'reconcile' && renderReconcile()}
             {activeTab === 'rules' && renderRules()}
+            {activeTab === 'brs' && renderStatement()}
           </>
         )}
       </div>
@@ -683,6 +971,7 @@ const BankingDashboard = () => {
                 name: formData.get('name'),
                 pattern: formData.get('pattern'),
                 match_type: formData.get('match_type'),
+                ledger_account_id: formData.get('ledger_account_id') ? parseInt(formData.get('ledger_account_id')) : null,
                 category: formData.get('category')
               });
               if (result.success) {
@@ -694,9 +983,16 @@ const BankingDashboard = () => {
                 <input name="pattern" placeholder="Pattern (e.g., 'STARBUCKS', 'AWS*')" required style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }} />
                 <select name="match_type" required style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}>
                   <option value="contains">Contains</option>
+                  <option value="keywords">Keywords</option>
                   <option value="exact">Exact Match</option>
                   <option value="regex">Regex</option>
                 </select>
+                <select name="ledger_account_id" defaultValue="" style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}>
+                  <option value="">Clear to account (optional)</option>
+                  {ledgerAccounts.map((acc) => (
+                    <option key={acc.id} value={acc.id}>{acc.code} - {acc.name}</option>
+                  ))}
+                </select>
                 <input name="category" placeholder="Category (e.g., 'Travel', 'Software')" style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }} />
               </div>
               <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
@@ -711,6 +1007,128 @@ const BankingDashboard = () => {
           </div>
         </div>
       )}
+
+      {/* Edit Rule Modal */}
+      {editingRule && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0,0,0,0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            background: 'white',
+            padding: '2rem',
+            borderRadius: '12px',
+            width: '450px'
+          }}>
+            <h3 style={{ margin: '0 0 1.5rem 0' }}>Edit Reconciliation Rule</h3>
+            <form onSubmit={async (e) => {
+              e.preventDefault();
+              const formData = new FormData(e.target);
+              const result = await updateRule(editingRule.id, {
+                name: formData.get('name'),
+                pattern: formData.get('pattern'),
+                match_type: formData.get('match_type'),
+                ledger_account_id: formData.get('ledger_account_id') ? parseInt(formData.get('ledger_account_id')) : null,
+                auto_apply: formData.get('auto_apply') ? 1 : 0
+              });
+              if (result.success) {
+                setEditingRule(null);
+              }
+            }}>
+              <div style={{ display: 'grid', gap: '1rem' }}>
+                <input name="name" defaultValue={editingRule.name} placeholder="Rule Name" required style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }} />
+                <input name="pattern" defaultValue={editingRule.pattern} placeholder="Pattern" required style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }} />
+                <select name="match_type" defaultValue={editingRule.match_type} required style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}>
+                  <option value="contains">Contains</option>
+                  <option value="keywords">Keywords</option>
+                  <option value="exact">Exact Match</option>
+                  <option value="regex">Regex</option>
+                </select>
+                {!editingRule.party_id && (
+                  <select name="ledger_account_id" defaultValue={editingRule.ledger_account_id || ''} style={{ padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}>
+                    <option value="">Clear to account (optional)</option>
+                    {ledgerAccounts.map((acc) => (
+                      <option key={acc.id} value={acc.id}>{acc.code} - {acc.name}</option>
+                    ))}
+                  </select>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem' }}>
+                  <input type="checkbox" name="auto_apply" defaultChecked={!!editingRule.auto_apply} />
+                  Auto-apply on import once confident
+                </label>
+              </div>
+              <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
+                <button type="submit" style={{ flex: 1, padding: '0.75rem', background: '#3b82f6', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}>
+                  Save Rule
+                </button>
+                <button type="button" onClick={() => setEditingRule(null)} style={{ flex: 1, padding: '0.75rem', background: '#6b7280', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Clear to Account Modal */}
+      {clearingTxn && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0,0,0,0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            background: 'white',
+            padding: '2rem',
+            borderRadius: '12px',
+            width: '450px'
+          }}>
+            <h3 style={{ margin: '0 0 0.5rem 0' }}>Clear to Account</h3>
+            <p style={{ margin: '0 0 1.5rem 0', fontSize: '0.875rem', color: '#6b7280' }}>
+              {clearingTxn.description || 'N/A'} &middot; {formatCurrency(clearingTxn.amount)}
+            </p>
+            <form onSubmit={async (e) => {
+              e.preventDefault();
+              const formData = new FormData(e.target);
+              const result = await clearToAccount(clearingTxn.id, parseInt(formData.get('ledger_account_id')));
+              if (result.success) {
+                setClearingTxn(null);
+                noteProposedRule(result);
+              }
+            }}>
+              <select name="ledger_account_id" required style={{ width: '100%', padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '6px' }}>
+                <option value="">Select ledger account</option>
+                {ledgerAccounts.map((acc) => (
+                  <option key={acc.id} value={acc.id}>{acc.code} - {acc.name}</option>
+                ))}
+              </select>
+              <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
+                <button type="submit" style={{ flex: 1, padding: '0.75rem', background: '#3b82f6', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}>
+                  Clear
+                </button>
+                <button type="button" onClick={() => setClearingTxn(null)} style={{ flex: 1, padding: '0.75rem', background: '#6b7280', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
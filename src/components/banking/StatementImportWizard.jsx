@@ -0,0 +1,459 @@
+/**
+ * Statement Import Wizard
+ *
+ * Imports a bank statement file (CSV, XLS/XLSX, text PDF, MT940 or camt.053).
+ * Tabular files the built-in formats do not recognise go through a column
+ * mapping step, and the mapping can be saved as a bank profile so the same
+ * layout imports without questions next time.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Upload,
+  X,
+  FileText,
+  CheckCircle,
+  AlertTriangle,
+  ChevronRight,
+  ChevronLeft,
+  Save
+} from 'lucide-react';
+import useBanking from '../../hooks/useBanking';
+
+const FILE_TYPE_LABELS = {
+  csv: 'CSV',
+  xls: 'Excel (XLS)',
+  xlsx: 'Excel (XLSX)',
+  pdf: 'PDF',
+  mt940: 'SWIFT MT940',
+  camt053: 'ISO 20022 camt.053'
+};
+
+const StatementImportWizard = ({ onClose, onImported }) => {
+  const [step, setStep] = useState('file');
+  const [filePath, setFilePath] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [accountId, setAccountId] = useState('');
+  const [profileCode, setProfileCode] = useState('');
+  const [saveProfile, setSaveProfile] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [openingBalance, setOpeningBalance] = useState('');
+  const [result, setResult] = useState(null);
+
+  const {
+    loading,
+    error,
+    accounts,
+    bankProfiles,
+    getAccounts,
+    getBankProfiles,
+    previewStatementFile,
+    importStatementFile,
+    clearError
+  } = useBanking();
+
+  useEffect(() => {
+    getAccounts();
+    getBankProfiles();
+  }, [getAccounts, getBankProfiles]);
+
+  const loadPreview = async (path, options = {}) => {
+    const data = await previewStatementFile(path, options);
+    if (!data.success) return;
+
+    setPreview(data);
+    setMapping(data.mapping || null);
+    setProfileCode(data.profile?.code || '');
+    setStep(data.needsMapping ? 'mapping' : 'review');
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    clearError();
+    setFilePath(file.path);
+    setFileName(file.name);
+    setOpeningBalance('');
+    await loadPreview(file.path);
+  };
+
+  const handleProfileChange = async (code) => {
+    setProfileCode(code);
+    await loadPreview(filePath, code ? { profileCode: code } : {});
+  };
+
+  const setColumn = (field, value) => {
+    const columns = { ...mapping.columns };
+    if (value === '') {
+      delete columns[field];
+    } else {
+      columns[field] = Number(value);
+    }
+    setMapping({ ...mapping, columns });
+  };
+
+  const applyMapping = async () => {
+    const data = await previewStatementFile(filePath, { mapping, openingBalance });
+    if (!data.success) return;
+
+    setPreview(data);
+    setStep('review');
+  };
+
+  // PDF lines before any printed balance are read again once the opening balance is known
+  const applyOpeningBalance = async () => {
+    const data = await previewStatementFile(filePath, { mapping, profileCode: profileCode || undefined, openingBalance });
+    if (!data.success) return;
+
+    setPreview(data);
+  };
+
+  const handleImport = async () => {
+    const options = {
+      accountId: accountId ? Number(accountId) : null,
+      autoReconcile: true
+    };
+    if (!preview.structured) {
+      options.mapping = mapping;
+      if (profileCode) options.profileCode = profileCode;
+      if (openingBalance !== '') options.openingBalance = Number(openingBalance);
+      if (saveProfile && profileName.trim()) {
+        const account = accounts.find(a => String(a.id) === String(accountId));
+        options.saveProfile = { name: profileName.trim(), bank_name: account?.bank_name || null };
+      }
+    }
+
+    const data = await importStatementFile(filePath, options);
+    if (!data.success) return;
+
+    setResult(data);
+    setStep('done');
+    if (onImported) onImported(data);
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      minimumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const mappingIncomplete = mapping && (
+    mapping.columns.date === undefined ||
+    mapping.columns.description === undefined ||
+    (mapping.columns.amount === undefined && mapping.columns.debit === undefined && mapping.columns.credit === undefined)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="bg-slate-900 rounded-xl border border-slate-700 w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 bg-slate-800 border-b border-slate-700">
+          <div className="flex items-center gap-3">
+            <Upload size={18} className="text-emerald-400" />
+            <div>
+              <h3 className="text-base font-semibold text-white">Import Bank Statement</h3>
+              <p className="text-xs text-slate-400">
+                {fileName ? `${fileName}${preview ? ` · ${FILE_TYPE_LABELS[preview.fileType] || preview.fileType}` : ''}` : 'CSV, Excel, PDF, MT940 or camt.053'}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 text-slate-400 hover:text-white">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {error && (
+            <div className="flex items-center gap-2 px-3 py-2 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-400">
+              <AlertTriangle size={16} />
+              {error}
+            </div>
+          )}
+
+          {/* Step 1: choose file */}
+          {step === 'file' && (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Bank account</label>
+                <select
+                  value={accountId}
+                  onChange={(e) => setAccountId(e.target.value)}
+                  className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                >
+                  <option value="">Select account</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.bank_name} {account.account_number ? `(${account.account_number})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex flex-col items-center justify-center gap-2 py-10 border-2 border-dashed border-slate-700 hover:border-emerald-500 rounded-xl cursor-pointer transition-colors">
+                <FileText size={32} className="text-slate-500" />
+                <span className="text-sm text-slate-300">{loading ? 'Reading file...' : 'Choose a statement file'}</span>
+                <span className="text-xs text-slate-500">.csv, .xls, .xlsx, .pdf, .sta/.mt940, .xml</span>
+                <input
+                  type="file"
+                  accept=".csv,.txt,.xls,.xlsx,.pdf,.sta,.mt940,.940,.xml"
+                  onChange={handleFileChange}
+                  className="hidden"
+                />
+              </label>
+            </div>
+          )}
+
+          {/* Step 2: map columns */}
+          {step === 'mapping' && preview && mapping && (
+            <div className="space-y-4">
+              <div className="flex items-center gap-3">
+                <div className="flex-1">
+                  <label className="block text-xs text-slate-400 mb-1">Bank profile</label>
+                  <select
+                    value={profileCode}
+                    onChange={(e) => handleProfileChange(e.target.value)}
+                    className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                  >
+                    <option value="">Detect automatically</option>
+                    {bankProfiles.map(profile => (
+                      <option key={profile.code} value={profile.code}>
+                        {profile.name}{profile.custom ? ' (saved)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="w-40">
+                  <label className="block text-xs text-slate-400 mb-1">Header row</label>
+                  <select
+                    value={mapping.headerRow}
+                    onChange={(e) => setMapping({ ...mapping, headerRow: Number(e.target.value) })}
+                    className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                  >
+                    {preview.rows.map((row, index) => (
+                      <option key={index} value={index}>Row {index + 1}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="w-40">
+                  <label className="block text-xs text-slate-400 mb-1">Date format</label>
+                  <select
+                    value={mapping.dateFormat}
+                    onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                    className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                  >
+                    {preview.dateFormats.map(format => (
+                      <option key={format} value={format}>{format}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                {preview.fields.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-xs text-slate-400 mb-1">
+                      {field.label}{field.required ? ' *' : ''}
+                    </label>
+                    <select
+                      value={mapping.columns[field.key] ?? ''}
+                      onChange={(e) => setColumn(field.key, e.target.value)}
+                      className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                    >
+                      <option value="">Not in file</option>
+                      {(preview.rows[mapping.headerRow] || []).map((label, index) => (
+                        <option key={index} value={index}>
+                          {label || `Column ${index + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500">
+                Map either one amount column (with a Dr/Cr column or signed amounts) or separate withdrawal and deposit columns.
+              </p>
+
+              <div className="overflow-auto border border-slate-800 rounded-lg">
+                <table className="w-full text-xs">
+                  <tbody>
+                    {preview.rows.map((row, rowIndex) => (
+                      <tr
+                        key={rowIndex}
+                        className={rowIndex === mapping.headerRow ? 'bg-emerald-500/10 text-emerald-300 font-medium' : rowIndex < mapping.headerRow ? 'text-slate-600' : 'text-slate-300'}
+                      >
+                        <td className="px-2 py-1 text-slate-500">{rowIndex + 1}</td>
+                        {row.map((cell, cellIndex) => (
+                          <td key={cellIndex} className="px-2 py-1 whitespace-nowrap border-l border-slate-800">{cell}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: review lines */}
+          {step === 'review' && preview && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-3 gap-3 text-sm">
+                <div className="p-3 bg-slate-800 rounded-lg">
+                  <div className="text-xs text-slate-400">Lines</div>
+                  <div className="text-white font-semibold">{preview.totalTransactions}</div>
+                </div>
+                <div className="p-3 bg-slate-800 rounded-lg">
+                  <div className="text-xs text-slate-400">Period</div>
+                  <div className="text-white font-semibold">{preview.period?.from} – {preview.period?.to}</div>
+                </div>
+                <div className="p-3 bg-slate-800 rounded-lg">
+                  <div className="text-xs text-slate-400">{preview.structured ? 'Account' : 'Read as'}</div>
+                  <div className="text-white font-semibold">{preview.structured ? preview.account : preview.profile?.name}</div>
+                </div>
+              </div>
+
+              {preview.undecidedLines?.length > 0 && (
+                <div className="p-3 bg-amber-500/10 border border-amber-500/30 rounded-lg text-sm text-amber-300 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <AlertTriangle size={16} />
+                    The statement prints no opening balance, so these lines cannot be read as withdrawals or deposits:
+                  </div>
+                  <ul className="text-xs space-y-0.5">
+                    {preview.undecidedLines.map((line, index) => (
+                      <li key={index}>{line.date} · {line.description} · {formatAmount(line.amount)}</li>
+                    ))}
+                  </ul>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={openingBalance}
+                      onChange={(e) => setOpeningBalance(e.target.value)}
+                      placeholder="Opening balance"
+                      className="flex-1 px-3 py-1.5 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                    />
+                    <button
+                      onClick={applyOpeningBalance}
+                      disabled={loading || openingBalance === ''}
+                      className="px-3 py-1.5 bg-amber-500 hover:bg-amber-600 disabled:opacity-50 text-white rounded-lg text-sm"
+                    >
+                      Read again
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-slate-400 border-b border-slate-800">
+                    <th className="px-2 py-1 text-left">Date</th>
+                    <th className="px-2 py-1 text-left">Description</th>
+                    <th className="px-2 py-1 text-left">Reference</th>
+                    <th className="px-2 py-1 text-right">Debit</th>
+                    <th className="px-2 py-1 text-right">Credit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.transactions.map((txn, index) => (
+                    <tr key={index} className="text-slate-300 border-b border-slate-800/50">
+                      <td className="px-2 py-1 whitespace-nowrap">{txn.date}</td>
+                      <td className="px-2 py-1">{txn.description}</td>
+                      <td className="px-2 py-1">{txn.reference}</td>
+                      <td className="px-2 py-1 text-right text-red-400">{txn.type === 'debit' ? formatAmount(txn.amount) : ''}</td>
+                      <td className="px-2 py-1 text-right text-emerald-400">{txn.type === 'credit' ? formatAmount(txn.amount) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {!preview.structured && !preview.profile?.custom && (
+                <div className="flex items-center gap-3">
+                  <label className="flex items-center gap-2 text-sm text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={saveProfile}
+                      onChange={(e) => setSaveProfile(e.target.checked)}
+                    />
+                    <Save size={14} />
+                    Save this layout as a bank profile
+                  </label>
+                  {saveProfile && (
+                    <input
+                      type="text"
+                      value={profileName}
+                      onChange={(e) => setProfileName(e.target.value)}
+                      placeholder="e.g. Canara Bank current account"
+                      className="flex-1 px-3 py-1.5 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white"
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Step 4: result */}
+          {step === 'done' && result && (
+            <div className="flex flex-col items-center gap-3 py-8 text-center">
+              <CheckCircle size={40} className="text-emerald-400" />
+              <div className="text-white font-semibold">
+                Imported {result.totalTransactions} transactions
+              </div>
+              <div className="text-sm text-slate-400">
+                {result.matchedCount} matched automatically, {result.unmatchedCount} left to reconcile
+                {result.duplicateCount ? `, ${result.duplicateCount} already imported lines skipped` : ''}
+              </div>
+              {result.profile && (
+                <div className="text-xs text-slate-500">Read with profile {result.profile}</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between px-4 py-3 bg-slate-800 border-t border-slate-700">
+          <div>
+            {step === 'review' && !preview.structured && (
+              <button
+                onClick={() => setStep('mapping')}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm text-slate-300 hover:text-white"
+              >
+                <ChevronLeft size={16} />
+                Adjust columns
+              </button>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-sm text-slate-300 hover:text-white">
+              {step === 'done' ? 'Close' : 'Cancel'}
+            </button>
+            {step === 'mapping' && (
+              <button
+                onClick={applyMapping}
+                disabled={loading || mappingIncomplete}
+                className="flex items-center gap-1 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 text-white rounded-lg text-sm font-medium"
+              >
+                Preview
+                <ChevronRight size={16} />
+              </button>
+            )}
+            {step === 'review' && (
+              <button
+                onClick={handleImport}
+                disabled={loading || !preview.totalTransactions || preview.undecidedLines?.length > 0 || (saveProfile && !profileName.trim())}
+                className="flex items-center gap-1 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 text-white rounded-lg text-sm font-medium"
+              >
+                <Upload size={16} />
+                {loading ? 'Importing...' : 'Import'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatementImportWizard;
@@ -14,6 +14,7 @@ import {
   Download
 } from 'lucide-react';
 import reconciliationService from '../../services/reconciliation';
+import StatementImportWizard from '../banking/StatementImportWizard';
 
 const ReconciliationPanel = () => {
   const [statements, setStatements] = useState([]);
@@ -22,6 +23,7 @@ const ReconciliationPanel = () => {
   const [selectedStatement, setSelectedStatement] = useState(null);
   const [stats, setStats] = useState(null);
   const [activeTab, setActiveTab] = useState('statements');
+  const [showImportWizard, setShowImportWizard] = useState(false);
 
   const fetchData = useCallback(async () => {
     setLoading(true);
@@ -66,29 +68,9 @@ const ReconciliationPanel = () => {
     }
   };
 
-  const handleFileUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    // For demo, create a mock statement
-    // In production, parse the file and extract transactions
-    try {
-      const bankName = prompt('Enter bank name (e.g., HDFC, SBI, ICICI):');
-      if (!bankName) return;
-
-      const statement = await reconciliationService.createStatement({
-        bank_name: bankName,
-        account_number: 'XXXX-XXXX-1234',
-        statement_period: `${new Date().toISOString().slice(0, 7)}`,
-        file_path: file.path,
-        created_by: 'system'
-      });
-
-      await fetchData();
-      setActiveTab('statements');
-    } catch (error) {
-      console.error('Failed to upload statement:', error);
-    }
+  const handleStatementImported = async () => {
+    await fetchData();
+    setActiveTab('statements');
   };
 
   const getStatusBadge = (status) => {
@@ -141,18 +123,22 @@ const ReconciliationPanel = () => {
             </p>
           </div>
         </div>
-        <label className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg font-medium text-sm cursor-pointer transition-colors">
+        <button
+          onClick={() => setShowImportWizard(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg font-medium text-sm cursor-pointer transition-colors"
+        >
           <Upload size={16} />
           Upload Statement
-          <input
-            type="file"
-            accept=".csv,.xlsx,.xls"
-            onChange={handleFileUpload}
-            className="hidden"
-          />
-        </label>
+        </button>
       </div>
 
+      {showImportWizard && (
+        <StatementImportWizard
+          onClose={() => setShowImportWizard(false)}
+          onImported={handleStatementImported}
+        />
+      )}
+
       {/* Stats Bar */}
       {stats && (
         <div className="grid grid-cols-5 gap-px bg-slate-800">
@@ -401,6 +401,14 @@ const GSTR3BView = ({ data, formatCurrency, onExport, loading }) => {
               <span className="font-semibold">Total</span>
               <span className="font-semibold text-green-600">{formatCurrency(data.summary?.total_itc_available)}</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-slate-600">ITC Reversed (4B)</span>
+              <span className="font-medium text-red-600">- {formatCurrency(data.summary?.total_itc_reversed)}</span>
+            </div>
+            <div className="border-t border-slate-200 pt-3 flex justify-between">
+              <span className="font-semibold">Net ITC (4C)</span>
+              <span className="font-semibold text-green-600">{formatCurrency(data.summary?.total_net_itc)}</span>
+            </div>
           </div>
         </div>
       </div>
@@ -492,6 +500,7 @@ const ITCView = ({ data, formatCurrency, formatDate, getITCReconciliation, dateR
                 <th className="text-left px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Voucher</th>
                 <th className="text-left px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Date</th>
                 <th className="text-left px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Party</th>
+                <th className="text-left px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Category</th>
                 <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Taxable</th>
                 <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">IGST ITC</th>
                 <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">CGST ITC</th>
@@ -505,6 +514,12 @@ const ITCView = ({ data, formatCurrency, formatDate, getITCReconciliation, dateR
                   <td className="px-6 py-3 text-sm font-medium text-slate-800">{item.voucher_no}</td>
                   <td className="px-6 py-3 text-sm text-slate-600">{formatDate(item.date)}</td>
                   <td className="px-6 py-3 text-sm text-slate-600">{item.party_name}</td>
+                  <td className="px-6 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${ITC_CATEGORY_STYLES[item.itc_category] || ITC_CATEGORY_STYLES.eligible}`}>
+                      {item.itc_category === 'blocked' ? `Blocked ${item.itc_blocked_reason || '17(5)'}` : item.itc_category}
+                    </span>
+                    {item.is_capital_goods && <span className="ml-2 text-xs text-slate-500">Capital goods</span>}
+                  </td>
                   <td className="px-6 py-3 text-sm text-right">{formatCurrency(item.taxable_amount)}</td>
                   <td className="px-6 py-3 text-sm text-right text-green-600">{formatCurrency(item.igst_itc)}</td>
                   <td className="px-6 py-3 text-sm text-right text-green-600">{formatCurrency(item.cgst_itc)}</td>
@@ -514,13 +529,109 @@ const ITCView = ({ data, formatCurrency, formatDate, getITCReconciliation, dateR
               ))}
               {(!data.details || data.details.length === 0) && (
                 <tr>
-                  <td colSpan={8} className="px-6 py-8 text-center text-slate-500">No ITC claims found</td>
+                  <td colSpan={9} className="px-6 py-8 text-center text-slate-500">No ITC claims found</td>
                 </tr>
               )}
             </tbody>
           </table>
         </div>
       </div>
+
+      {data.reversals && (
+        <ITCReversalSchedule data={data.reversals} formatCurrency={formatCurrency} formatDate={formatDate} />
+      )}
+    </div>
+  );
+};
+
+const ITC_CATEGORY_STYLES = {
+  eligible: 'bg-green-100 text-green-700',
+  common: 'bg-amber-100 text-amber-700',
+  blocked: 'bg-red-100 text-red-700'
+};
+
+const taxTotal = (bucket) => (bucket?.igst || 0) + (bucket?.cgst || 0) + (bucket?.sgst || 0) + (bucket?.cess || 0);
+
+/**
+ * Working schedule of ITC reversals (section 17(5), rules 42, 43 and 37)
+ */
+const ITCReversalSchedule = ({ data, formatCurrency, formatDate }) => {
+  const row = (label, bucket, className = '') => (
+    <tr key={label} className={className}>
+      <td className="px-6 py-2 text-sm text-slate-600">{label}</td>
+      <td className="px-6 py-2 text-sm text-right">{formatCurrency(bucket?.igst)}</td>
+      <td className="px-6 py-2 text-sm text-right">{formatCurrency(bucket?.cgst)}</td>
+      <td className="px-6 py-2 text-sm text-right">{formatCurrency(bucket?.sgst)}</td>
+      <td className="px-6 py-2 text-sm text-right">{formatCurrency(bucket?.cess)}</td>
+      <td className="px-6 py-2 text-sm text-right font-medium">{formatCurrency(taxTotal(bucket))}</td>
+    </tr>
+  );
+  const heading = (label) => (
+    <tr key={label} className="bg-slate-50">
+      <td colSpan={6} className="px-6 py-2 text-xs font-semibold text-slate-500 uppercase">{label}</td>
+    </tr>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-slate-200 flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-slate-800">ITC Reversal Working</h3>
+        <span className="text-sm text-slate-500">
+          Exempt turnover {formatCurrency(data.turnover?.exempt_turnover)} of {formatCurrency(data.turnover?.total_turnover)}
+          {' '}({((data.turnover?.ratio || 0) * 100).toFixed(2)}%)
+        </span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="border-b border-slate-200">
+            <tr>
+              <th className="text-left px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Particulars</th>
+              <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">IGST</th>
+              <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">CGST</th>
+              <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">SGST</th>
+              <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Cess</th>
+              <th className="text-right px-6 py-3 text-xs font-semibold text-slate-500 uppercase">Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-200">
+            {heading('Section 17(5) - blocked credit')}
+            {data.blocked?.by_reason?.map(reason => row(`${reason.clause} ${reason.description || ''}`, reason.credit))}
+            {row('Blocked credit reversed', data.blocked?.total, 'font-medium')}
+
+            {heading('Rule 42 - inputs and input services')}
+            {row('T - Total input tax credit', data.rule42?.total_credit)}
+            {row('T3 - Blocked under section 17(5)', data.rule42?.blocked_credit)}
+            {row('T4 - Used only for taxable supplies', data.rule42?.exclusive_taxable_credit)}
+            {row('C2 - Common credit', data.rule42?.common_credit)}
+            {row('D1 - Attributable to exempt supplies (C2 x E/F)', data.rule42?.reversal, 'font-medium')}
+            {row('C3 - Eligible common credit', data.rule42?.eligible_common_credit)}
+
+            {heading('Rule 43 - common capital goods')}
+            {data.rule43?.assets?.map(asset => row(
+              `${asset.voucher_no} ${asset.party_name || ''} (${formatDate(asset.date)}, ${asset.months_in_period} month(s) in period)`,
+              asset.monthly_credit
+            ))}
+            {row('Tr - Common credit for the period', data.rule43?.common_credit)}
+            {row('Te - Attributable to exempt supplies', data.rule43?.reversal, 'font-medium')}
+
+            {heading('Rule 37 - supplier unpaid after 180 days')}
+            {data.rule37?.reversals?.map(r => row(
+              `Reverse ${r.voucher_no} ${r.party_name || ''} - ${formatCurrency(r.unpaid_amount)} unpaid on ${formatDate(r.due_date)}`,
+              r.reversal
+            ))}
+            {data.rule37?.reclaims?.map(r => row(
+              `Reclaim ${r.voucher_no} ${r.party_name || ''} - ${formatCurrency(r.paid_amount)} paid on ${formatDate(r.paid_on)}`,
+              r.reclaim
+            ))}
+
+            {heading('GSTR-3B')}
+            {row('4B(1) - Rules 42 & 43 and section 17(5)', data.table_4b?.rules_42_43_17_5)}
+            {row('4B(2) - Others (rule 37)', data.table_4b?.others)}
+            {row('Total ITC reversed', data.table_4b?.total, 'font-semibold text-red-600')}
+            {row('4D(1) - ITC reclaimed', data.table_4d?.reclaimed, 'text-green-600')}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
 };
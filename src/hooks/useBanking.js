@@ -16,6 +16,8 @@ const useBanking = () => {
   const [unmatchedTransactions, setUnmatchedTransactions] = useState([]);
   const [reconciliationSummary, setReconciliationSummary] = useState(null);
   const [rules, setRules] = useState([]);
+  const [reconciliationStatement, setReconciliationStatement] = useState(null);
+  const [bankProfiles, setBankProfiles] = useState([]);
 
   // Get all bank accounts
   const getAccounts = useCallback(async () => {
@@ -184,6 +186,46 @@ const useBanking = () => {
     }
   }, []);
 
+  // Split match: one bank transaction settles several invoices
+  const matchSplit = useCallback(async (transactionId, allocations) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.api.banking.matchSplit(transactionId, allocations);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Grouped match: several bank transactions settle one invoice
+  const matchGroup = useCallback(async (transactionIds, invoiceId, invoiceType = 'sale') => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.api.banking.matchGroup(transactionIds, invoiceId, invoiceType);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Split and grouped match candidates for a bank transaction
+  const findSplitMatches = useCallback(async (transactionId) => {
+    try {
+      return await window.api.banking.findSplitMatches(transactionId);
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message, splits: [], groups: [] };
+    }
+  }, []);
+
   // Unmatch transaction
   const unmatchTransaction = useCallback(async (transactionId) => {
     setLoading(true);
@@ -215,12 +257,32 @@ const useBanking = () => {
     }
   }, []);
 
+  // Get the bank reconciliation statement (BRS) for an account as of a date
+  const getReconciliationStatement = useCallback(async (accountId, asOfDate) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.api.banking.getReconciliationStatement(accountId, asOfDate);
+      if (result.success) {
+        setReconciliationStatement(result);
+      } else {
+        setError(result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   // Get reconciliation rules
-  const getRules = useCallback(async (accountId = null) => {
+  const getRules = useCallback(async (accountId = null, filters = { status: 'all' }) => {
     setLoading(true);
     setError(null);
     try {
-      const result = await window.api.banking.getRules(accountId);
+      const result = await window.api.banking.getRules(accountId, filters);
       setRules(result || []);
       return result;
     } catch (err) {
@@ -267,6 +329,78 @@ const useBanking = () => {
     }
   }, [getRules]);
 
+  // Edit a reconciliation rule
+  const updateRule = useCallback(async (ruleId, updates) => {
+    setError(null);
+    try {
+      const result = await window.api.banking.updateRule(ruleId, updates);
+      if (result.success) {
+        await getRules();
+      } else {
+        setError(result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [getRules]);
+
+  // Promote a proposed rule to active
+  const promoteRule = useCallback(async (ruleId, options) => {
+    setError(null);
+    try {
+      const result = await window.api.banking.promoteRule(ruleId, options);
+      if (result.success) {
+        await getRules();
+      } else {
+        setError(result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [getRules]);
+
+  // Retire a rule, keeping its record
+  const retireRule = useCallback(async (ruleId) => {
+    setError(null);
+    try {
+      const result = await window.api.banking.retireRule(ruleId);
+      if (result.success) {
+        await getRules();
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [getRules]);
+
+  // Clear a bank line to a ledger account
+  const clearToAccount = useCallback(async (transactionId, ledgerAccountId) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.api.banking.clearToAccount(transactionId, ledgerAccountId);
+      if (result.success) {
+        await getUnmatchedTransactions();
+        if (result.proposed_rule) {
+          await getRules();
+        }
+      } else {
+        setError(result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [getUnmatchedTransactions, getRules]);
+
   // Import bank statement
   const importStatement = useCallback(async (accountId, transactions) => {
     setLoading(true);
@@ -282,6 +416,86 @@ const useBanking = () => {
     }
   }, []);
 
+  // Read a statement file and propose a column mapping
+  const previewStatementFile = useCallback(async (filePath, options) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.api.banking.previewStatementFile(filePath, options);
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Import a statement file (CSV, XLS/XLSX, PDF, MT940, camt.053)
+  const importStatementFile = useCallback(async (filePath, options) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.api.banking.importStatementFile(filePath, options);
+      if (!result.success) {
+        setError(result.message || result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Get built-in bank formats and saved bank profiles
+  const getBankProfiles = useCallback(async () => {
+    try {
+      const result = await window.api.banking.getBankProfiles();
+      setBankProfiles(result || []);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return [];
+    }
+  }, []);
+
+  // Save a column mapping as a bank profile
+  const saveBankProfile = useCallback(async (profile) => {
+    setError(null);
+    try {
+      const result = await window.api.banking.saveBankProfile(profile);
+      if (result.success) {
+        await getBankProfiles();
+      } else {
+        setError(result.error);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [getBankProfiles]);
+
+  // Delete a saved bank profile
+  const deleteBankProfile = useCallback(async (profileId) => {
+    setError(null);
+    try {
+      const result = await window.api.banking.deleteBankProfile(profileId);
+      if (result.success) {
+        await getBankProfiles();
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [getBankProfiles]);
+
   // Clear error
   const clearError = useCallback(() => {
     setError(null);
@@ -297,6 +511,8 @@ const useBanking = () => {
     unmatchedTransactions,
     reconciliationSummary,
     rules,
+    bankProfiles,
+    reconciliationStatement,
     
     // Functions
     getAccounts,
@@ -309,12 +525,25 @@ const useBanking = () => {
     addTransaction,
     autoReconcile,
     matchTransaction,
+    matchSplit,
+    matchGroup,
+    findSplitMatches,
     unmatchTransaction,
     getReconciliationSummary,
+    getReconciliationStatement,
     getRules,
     addRule,
     deleteRule,
+    updateRule,
+    promoteRule,
+    retireRule,
+    clearToAccount,
     importStatement,
+    previewStatementFile,
+    importStatementFile,
+    getBankProfiles,
+    saveBankProfile,
+    deleteBankProfile,
     clearError
   };
 };
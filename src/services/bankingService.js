@@ -7,13 +7,27 @@
  * Features:
  * - Bank account management
  * - Transaction sync (simulated for demo)
- * - Auto-reconciliation logic
- * - Manual matching interface
+ * - Auto-reconciliation through the reconciliation engine
+ * - Manual matching interface, including split and grouped matches
+ * - Reconciliation rules, learned from manual matches and applied on import
  * - Bank statement import
+ * - Bank reconciliation statement (BRS)
  */
 
+const reconciliationEngine = require('./reconciliationEngine');
+const { ACCOUNTS } = require('./ledgerService');
+
 let db = null;
 
+// A rule is trusted to apply itself once users have confirmed it this often, this reliably
+const RULE_CONFIDENCE = {
+  minHits: 3,
+  minHitRate: 0.9
+};
+
+// Direction of the bank line that settles each voucher type
+const LINE_DIRECTIONS = { sale: 'credit', purchase: 'debit' };
+
 /**
  * Initialize the banking service
  * @param {Object} database - Database instance
@@ -39,6 +53,7 @@ function createBankingTables() {
       account_type TEXT DEFAULT 'checking',
       balance REAL DEFAULT 0,
       currency TEXT DEFAULT 'INR',
+      branch_id INTEGER DEFAULT 0, -- branch that operates the account (0 = head office)
       is_active INTEGER DEFAULT 1,
       last_synced TEXT,
       access_token TEXT,
@@ -48,20 +63,25 @@ function createBankingTables() {
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
     
-    -- Bank transactions feed
+    -- Bank transactions: feed lines and imported statement lines alike
     CREATE TABLE IF NOT EXISTS bank_transactions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      account_id INTEGER NOT NULL,
-      transaction_id TEXT UNIQUE,
+      account_id INTEGER, -- NULL for statement lines not tied to a connected account
+      bank_statement_id INTEGER,
+      transaction_id TEXT UNIQUE, -- the bank's own id for the line
       date TEXT NOT NULL,
       description TEXT,
       amount REAL NOT NULL,
       type TEXT DEFAULT 'debit', -- debit, credit
       category TEXT,
       reference TEXT,
+      balance REAL,
       status TEXT DEFAULT 'pending', -- pending, matched, reconciled
       matched_invoice_id INTEGER,
-      matched_invoice_type TEXT,
+      matched_invoice_type TEXT, -- sale, purchase, expense, split, or account when cleared to a ledger account
+      match_score REAL,
+      ledger_account_id INTEGER, -- ledger account the line was cleared to
+      rule_id INTEGER, -- rule that matched or cleared the line
       is_manually_added INTEGER DEFAULT 0,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (account_id) REFERENCES bank_accounts(id),
@@ -76,8 +96,20 @@ function createBankingTables() {
       match_type TEXT DEFAULT 'contains', -- contains, exact, regex
       category TEXT,
       account_id INTEGER,
-      is_active INTEGER DEFAULT 1,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      party_id INTEGER, -- party the narration points to
+      ledger_account_id INTEGER, -- or the ledger account it clears to (bank charges, gateway settlements)
+      direction TEXT, -- credit, debit; NULL for either
+      status TEXT DEFAULT 'active', -- proposed, active, retired
+      source TEXT DEFAULT 'manual', -- manual, learned
+      auto_apply INTEGER DEFAULT 0, -- applied on import once confident enough
+      hit_count INTEGER DEFAULT 0, -- manual matches that agreed with the rule
+      miss_count INTEGER DEFAULT 0, -- manual matches and undos that went against it
+      applied_count INTEGER DEFAULT 0,
+      last_hit_at TEXT,
+      last_applied_at TEXT,
+      is_active INTEGER DEFAULT 1, -- 1 while status is active
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT
     );
     
     -- Manual reconciliation log
@@ -88,10 +120,122 @@ function createBankingTables() {
       invoice_type TEXT,
       matched_by TEXT,
       match_type TEXT DEFAULT 'manual',
+      score REAL,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (bank_transaction_id) REFERENCES bank_transactions(id),
       FOREIGN KEY (invoice_id) REFERENCES transactions(id)
     );
+    
+    -- How much of a reconciled bank line went to each voucher. Allocations to
+    -- sales and purchases are recorded as payments (payment_id) so outstanding
+    -- balances and payment_status follow
+    CREATE TABLE IF NOT EXISTS bank_allocations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bank_transaction_id INTEGER NOT NULL,
+      invoice_id INTEGER NOT NULL,
+      invoice_type TEXT NOT NULL,
+      amount REAL NOT NULL,
+      payment_id INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (bank_transaction_id) REFERENCES bank_transactions(id),
+      FOREIGN KEY (payment_id) REFERENCES payments(id)
+    );
+  `);
+  
+  // Accounts added before branches existed belong to the head office
+  const accountColumns = db.prepare('PRAGMA table_info(bank_accounts)').all().map(column => column.name);
+  if (!accountColumns.includes('branch_id')) {
+    db.exec('ALTER TABLE bank_accounts ADD COLUMN branch_id INTEGER DEFAULT 0');
+  }
+  
+  const ruleColumns = db.prepare('PRAGMA table_info(reconciliation_rules)').all().map(column => column.name);
+  [
+    ['party_id', 'INTEGER'],
+    ['ledger_account_id', 'INTEGER'],
+    ['direction', 'TEXT'],
+    ['status', "TEXT DEFAULT 'active'"],
+    ['source', "TEXT DEFAULT 'manual'"],
+    ['auto_apply', 'INTEGER DEFAULT 0'],
+    ['hit_count', 'INTEGER DEFAULT 0'],
+    ['miss_count', 'INTEGER DEFAULT 0'],
+    ['applied_count', 'INTEGER DEFAULT 0'],
+    ['last_hit_at', 'TEXT'],
+    ['last_applied_at', 'TEXT'],
+    ['updated_at', 'TEXT']
+  ].forEach(([column, definition]) => {
+    if (!ruleColumns.includes(column)) {
+      db.exec(`ALTER TABLE reconciliation_rules ADD COLUMN ${column} ${definition}`);
+    }
+  });
+  if (!ruleColumns.includes('status')) {
+    db.exec("UPDATE reconciliation_rules SET status = CASE WHEN is_active = 1 THEN 'active' ELSE 'retired' END");
+  }
+  const logColumns = db.prepare('PRAGMA table_info(reconciliation_log)').all().map(column => column.name);
+  if (!logColumns.includes('score')) {
+    db.exec('ALTER TABLE reconciliation_log ADD COLUMN score REAL');
+  }
+  
+  migrateStatementLines();
+  
+  // Lines cleared straight to a ledger account, and the rule that placed a line
+  const lineColumns = db.prepare('PRAGMA table_info(bank_transactions)').all().map(column => column.name);
+  if (!lineColumns.includes('ledger_account_id')) {
+    db.exec('ALTER TABLE bank_transactions ADD COLUMN ledger_account_id INTEGER');
+  }
+  if (!lineColumns.includes('rule_id')) {
+    db.exec('ALTER TABLE bank_transactions ADD COLUMN rule_id INTEGER');
+  }
+  
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_bank_transactions_account ON bank_transactions(account_id, date);
+    CREATE INDEX IF NOT EXISTS idx_bank_transactions_statement ON bank_transactions(bank_statement_id);
+    CREATE INDEX IF NOT EXISTS idx_bank_transactions_match ON bank_transactions(matched_invoice_id, status);
+    CREATE INDEX IF NOT EXISTS idx_bank_allocations_line ON bank_allocations(bank_transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_bank_allocations_invoice ON bank_allocations(invoice_id, invoice_type);
+  `);
+}
+
+/**
+ * Statement lines were once kept in a bank_transactions table of their own
+ * shape (bank_statement_id, reference_no, matched, transaction_id holding
+ * the matched voucher). Rebuild it in the shape above, keeping the matches.
+ */
+function migrateStatementLines() {
+  const columns = db.prepare('PRAGMA table_info(bank_transactions)').all().map(column => column.name);
+  if (columns.includes('account_id')) return;
+  
+  db.exec(`
+    ALTER TABLE bank_transactions RENAME TO bank_transactions_old;
+    CREATE TABLE bank_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER,
+      bank_statement_id INTEGER,
+      transaction_id TEXT UNIQUE,
+      date TEXT NOT NULL,
+      description TEXT,
+      amount REAL NOT NULL,
+      type TEXT DEFAULT 'debit',
+      category TEXT,
+      reference TEXT,
+      balance REAL,
+      status TEXT DEFAULT 'pending',
+      matched_invoice_id INTEGER,
+      matched_invoice_type TEXT,
+      match_score REAL,
+      is_manually_added INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES bank_accounts(id),
+      FOREIGN KEY (matched_invoice_id) REFERENCES transactions(id)
+    );
+    INSERT INTO bank_transactions (id, bank_statement_id, date, description, amount, type, reference, status,
+      matched_invoice_id, matched_invoice_type, created_at)
+      SELECT b.id, b.bank_statement_id, b.date, b.description, b.amount, b.type, b.reference_no,
+        CASE WHEN b.matched = 1 THEN 'reconciled' ELSE 'pending' END,
+        CASE WHEN b.matched = 1 THEN b.transaction_id END,
+        CASE WHEN b.matched = 1 THEN (SELECT t.voucher_type FROM transactions t WHERE t.id = b.transaction_id) END,
+        b.created_at
+      FROM bank_transactions_old b;
+    DROP TABLE bank_transactions_old;
   `);
 }
 
@@ -103,11 +247,11 @@ function addBankAccount(accountData) {
   if (!db) return { success: false, error: 'Database not initialized' };
   
   try {
-    const { bank_name, account_number, account_type, balance, currency } = accountData;
+    const { bank_name, account_number, account_type, balance, currency, branch_id } = accountData;
     
     const stmt = db.prepare(`
-      INSERT INTO bank_accounts (bank_name, account_number, account_type, balance, currency, last_synced)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO bank_accounts (bank_name, account_number, account_type, balance, currency, branch_id, last_synced)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
     `);
     
     const result = stmt.run(
@@ -115,7 +259,8 @@ function addBankAccount(accountData) {
       account_number || '',
       account_type || 'checking',
       balance || 0,
-      currency || 'INR'
+      currency || 'INR',
+      branch_id || 0
     );
     
     return {
@@ -131,14 +276,16 @@ function addBankAccount(accountData) {
 
 /**
  * Get all bank accounts
+ * @param {Object} filters - { branchId }
  */
-function getBankAccounts() {
+function getBankAccounts(filters = {}) {
   if (!db) return [];
   
   try {
+    const byBranch = filters.branchId !== undefined && filters.branchId !== null;
     const accounts = db.prepare(`
-      SELECT * FROM bank_accounts WHERE is_active = 1 ORDER BY created_at DESC
-    `).all();
+      SELECT * FROM bank_accounts WHERE is_active = 1 ${byBranch ? 'AND branch_id = ?' : ''} ORDER BY created_at DESC
+    `).all(...(byBranch ? [filters.branchId] : []));
     
     return accounts;
   } catch (error) {
@@ -198,6 +345,10 @@ function updateBankAccount(accountId, updates) {
       fields.push('is_active = ?');
       values.push(updates.is_active);
     }
+    if (updates.branch_id !== undefined) {
+      fields.push('branch_id = ?');
+      values.push(updates.branch_id || 0);
+    }
     
     fields.push('updated_at = datetime(\'now\')');
     values.push(accountId);
@@ -240,23 +391,24 @@ function addBankTransaction(transactionData) {
   if (!db) return { success: false, error: 'Database not initialized' };
   
   try {
-    const { account_id, date, description, amount, type, category, reference } = transactionData;
+    const { account_id, bank_statement_id, date, description, amount, type, category, reference } = transactionData;
     
     const stmt = db.prepare(`
-      INSERT INTO bank_transactions (account_id, transaction_id, date, description, amount, type, category, reference, is_manually_added)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+      INSERT INTO bank_transactions (account_id, bank_statement_id, transaction_id, date, description, amount, type, category, reference, is_manually_added)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
     `);
     
     const txnId = `MAN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const result = stmt.run(
-      account_id,
+      account_id || null,
+      bank_statement_id || null,
       txnId,
       date,
       description || '',
       amount || 0,
       type || (amount >= 0 ? 'credit' : 'debit'),
       category || '',
-      reference || ''
+      reference || transactionData.reference_no || ''
     );
     
     return {
@@ -320,8 +472,10 @@ function getBankTransactions(filters = {}) {
 
 /**
  * Get unmatched bank transactions
+ * @param {number} accountId - Bank account, or null for all
+ * @param {Object} filters - { statementId, status }
  */
-function getUnmatchedTransactions(accountId = null) {
+function getUnmatchedTransactions(accountId = null, filters = {}) {
   if (!db) return [];
   
   try {
@@ -329,7 +483,7 @@ function getUnmatchedTransactions(accountId = null) {
       SELECT bt.*, ba.bank_name, ba.account_number
       FROM bank_transactions bt
       LEFT JOIN bank_accounts ba ON bt.account_id = ba.id
-      WHERE bt.status IN ('pending', 'matched')
+      WHERE bt.status IN (${filters.status === 'pending' ? "'pending'" : "'pending', 'matched'"})
     `;
     
     const params = [];
@@ -339,6 +493,11 @@ function getUnmatchedTransactions(accountId = null) {
       params.push(accountId);
     }
     
+    if (filters.statementId) {
+      query += ' AND bt.bank_statement_id = ?';
+      params.push(filters.statementId);
+    }
+    
     query += ' ORDER BY bt.date DESC';
     
     return db.prepare(query).all(...params);
@@ -349,57 +508,56 @@ function getUnmatchedTransactions(accountId = null) {
 }
 
 /**
- * Auto-reconcile bank transactions with invoices
+ * Auto-reconcile bank transactions with invoices. The reconciliation
+ * engine ranks the open vouchers for each pending line; clear winners are
+ * matched (pending review), the rest come back as ranked suggestions.
+ * @param {number} accountId - Bank account, or null for all
+ * @param {Object} options - { statementId } and engine options
  */
-function autoReconcile(accountId = null) {
+function autoReconcile(accountId = null, options = {}) {
   if (!db) return { success: false, error: 'Database not initialized' };
   
   try {
-    // Get pending transactions
-    const pendingTxns = getUnmatchedTransactions(accountId);
-    
-    // Get all unpaid invoices
-    const invoices = db.prepare(`
-      SELECT id, voucher_number, date, total_amount, payment_status, party_id
-      FROM transactions 
-      WHERE voucher_type = 'sale' 
-      AND payment_status != 'paid'
-      AND status = 'active'
-      ORDER BY date DESC
-    `).all();
+    let pendingTxns = getUnmatchedTransactions(accountId, { statementId: options.statementId, status: 'pending' });
     
-    let matched = 0;
-    let suggestions = [];
+    // High-confidence rules go first; the engine scores what they leave
+    const ruled = options.applyRules === false
+      ? { applied: [], cleared_line_ids: [], claimed_ids: options.excludeIds || [] }
+      : db.transaction(() => applyRules(pendingTxns, { ...options, accountId }))();
+    const ruledIds = new Set(ruled.applied.map(a => a.line_id));
+    pendingTxns = pendingTxns.filter(line => !ruledIds.has(line.id));
     
-    for (const txn of pendingTxns) {
-      // Exact amount match
-      const matchingInvoice = invoices.find(inv => 
-        Math.abs(inv.total_amount - Math.abs(txn.amount)) < 0.01
-      );
-      
-      if (matchingInvoice) {
-        // Mark as matched
-        db.prepare(`
-          UPDATE bank_transactions 
-          SET status = 'matched', matched_invoice_id = ?, matched_invoice_type = 'sale'
-          WHERE id = ?
-        `).run(matchingInvoice.id, txn.id);
-        
-        matched++;
-        
-        suggestions.push({
-          transaction_id: txn.id,
-          invoice_id: matchingInvoice.id,
-          confidence: 100,
-          type: 'exact_amount'
+    const result = reconciliationEngine.autoMatch(pendingTxns, { ...options, accountId, excludeIds: ruled.claimed_ids });
+    
+    const apply = db.transaction(() => {
+      result.matches.forEach(({ line, candidate }) => {
+        recordMatch(line.id, candidate.transaction_id, candidate.voucher_type, {
+          status: 'matched', matchType: 'auto', matchedBy: 'system', score: candidate.score
         });
-      }
-    }
+      });
+    });
+    apply();
     
     return {
       success: true,
-      matched_count: matched,
-      suggestions
+      matched_count: result.matches.length + ruled.applied.length,
+      rule_applied_count: ruled.applied.length,
+      rules_applied: ruled.applied,
+      cleared_line_ids: ruled.cleared_line_ids,
+      matches: result.matches.map(({ line, candidate }) => ({
+        transaction_id: line.id,
+        invoice_id: candidate.transaction_id,
+        voucher_no: candidate.voucher_no,
+        confidence: candidate.score,
+        reasons: candidate.reasons
+      })),
+      suggestions: result.suggestions.map(({ line, candidates, splits, groups }) => ({
+        transaction_id: line.id,
+        candidates,
+        splits,
+        groups
+      })),
+      unmatched_count: result.unmatched.length
     };
   } catch (error) {
     console.error('[BankingService] Auto reconcile error:', error);
@@ -408,36 +566,206 @@ function autoReconcile(accountId = null) {
 }
 
 /**
- * Manually match a bank transaction to an invoice
+ * Write a match between a bank line and a voucher
+ * @param {Object} options - { status, matchType, matchedBy, score }
+ */
+function recordMatch(transactionId, invoiceId, invoiceType, options = {}) {
+  db.prepare(`
+    UPDATE bank_transactions 
+    SET status = ?, matched_invoice_id = ?, matched_invoice_type = ?, match_score = ?
+    WHERE id = ?
+  `).run(options.status || 'reconciled', invoiceId, invoiceType, options.score ?? null, transactionId);
+  
+  if (invoiceType !== 'expense') {
+    db.prepare('UPDATE transactions SET is_matched = 1 WHERE id = ?').run(invoiceId);
+  }
+  
+  db.prepare(`
+    INSERT INTO reconciliation_log (bank_transaction_id, invoice_id, invoice_type, matched_by, match_type, score)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(transactionId, invoiceId, invoiceType, options.matchedBy || 'system', options.matchType || 'manual', options.score ?? null);
+}
+
+/**
+ * Ranked candidate vouchers for one bank line, with the reasons for each score
+ * @param {number|Object} line - bank_transactions.id or a bank line
+ * @param {Object} options - Engine options
+ */
+function findMatches(line, options = {}) {
+  if (!db) return [];
+  
+  const bankLine = typeof line === 'object' ? line : db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(line);
+  if (!bankLine) return [];
+  return reconciliationEngine.findMatches(bankLine, { ...options, accountId: bankLine.account_id || options.accountId });
+}
+
+/**
+ * Split and grouped match candidates for one bank line
+ * @param {number|Object} line - bank_transactions.id or a bank line
+ * @param {Object} options - Engine options
+ * @returns {Object} { splits, groups }
+ */
+function findSplitMatches(line, options = {}) {
+  if (!db) return { splits: [], groups: [] };
+  
+  const bankLine = typeof line === 'object' ? line : db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(line);
+  if (!bankLine) return { splits: [], groups: [] };
+  const engineOptions = { ...options, accountId: bankLine.account_id || options.accountId };
+  return {
+    splits: reconciliationEngine.findSplitMatches(bankLine, engineOptions),
+    groups: reconciliationEngine.findGroupMatches(bankLine, engineOptions)
+  };
+}
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Amount of a bank line not yet allocated to vouchers
+ */
+function getUnallocatedAmount(transactionId) {
+  const line = db.prepare('SELECT amount FROM bank_transactions WHERE id = ?').get(transactionId);
+  if (!line) return 0;
+  const allocated = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM bank_allocations WHERE bank_transaction_id = ?')
+    .get(transactionId).total;
+  return round2(Math.abs(line.amount) - allocated);
+}
+
+/**
+ * Settle vouchers from one bank line. Sales and purchases get a payment for
+ * the allocated amount, tied back to the line; expenses are only linked.
+ * Allocations without an amount take what is left of the line, up to the
+ * voucher's outstanding balance. Call inside a db transaction.
+ * @param {Object} bankTxn - bank_transactions row
+ * @param {Array} allocations - [{ invoice_id, invoice_type, amount }]
+ * @returns {Object} { payment_ids, invoice_ids }
+ */
+function allocateLine(bankTxn, allocations) {
+  const paymentIds = [];
+  const invoiceIds = [];
+  let left = getUnallocatedAmount(bankTxn.id);
+  
+  const insertPayment = db.prepare(`
+    INSERT INTO payments (transaction_id, party_id, amount, method, reference, description, date, bank_transaction_id)
+    VALUES (?, ?, ?, 'bank', ?, ?, ?, ?)
+  `);
+  const insertAllocation = db.prepare(`
+    INSERT INTO bank_allocations (bank_transaction_id, invoice_id, invoice_type, amount, payment_id)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  
+  allocations.forEach(({ invoice_id: invoiceId, invoice_type: invoiceType, amount }) => {
+    if (invoiceType === 'expense') {
+      const allocation = round2(amount !== undefined ? Number(amount) : left);
+      if (allocation < 0) throw new Error(`Allocation to expense #${invoiceId} cannot be negative`);
+      if (allocation > left + 0.01) {
+        throw new Error(`Only ${left} of the bank line is left to allocate to expense #${invoiceId}`);
+      }
+      insertAllocation.run(bankTxn.id, invoiceId, 'expense', allocation, null);
+      left = round2(left - allocation);
+      return;
+    }
+    
+    const voucher = db.prepare(`
+      SELECT t.id, t.voucher_no, t.voucher_type, t.party_id, t.total_amount,
+        COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.transaction_id = t.id), 0) as paid
+      FROM transactions t WHERE t.id = ?
+    `).get(invoiceId);
+    if (!voucher) throw new Error(`Voucher #${invoiceId} not found`);
+    // Money in settles sales and money out settles purchases
+    const direction = LINE_DIRECTIONS[voucher.voucher_type];
+    if (direction && bankTxn.type && bankTxn.type !== direction) {
+      throw new Error(`A ${bankTxn.type} bank line cannot settle ${voucher.voucher_type} ${voucher.voucher_no}`);
+    }
+    
+    const outstanding = round2(voucher.total_amount - voucher.paid);
+    const allocation = round2(amount !== undefined ? Number(amount) : Math.max(0, Math.min(left, outstanding)));
+    if (allocation < 0) throw new Error(`Allocation to ${voucher.voucher_no} cannot be negative`);
+    if (allocation > outstanding + 0.01) {
+      throw new Error(`Only ${outstanding} is outstanding on ${voucher.voucher_no}`);
+    }
+    if (allocation > left + 0.01) {
+      throw new Error(`Only ${left} of the bank line is left to allocate to ${voucher.voucher_no}`);
+    }
+    
+    let paymentId = null;
+    if (allocation > 0) {
+      paymentId = insertPayment.run(
+        voucher.id, voucher.party_id, allocation,
+        bankTxn.reference || bankTxn.transaction_id || null,
+        `Bank reconciliation: ${bankTxn.description || `bank line #${bankTxn.id}`}`,
+        bankTxn.date, bankTxn.id
+      ).lastInsertRowid;
+      paymentIds.push(paymentId);
+    }
+    insertAllocation.run(bankTxn.id, voucher.id, invoiceType || 'sale', allocation, paymentId);
+    db.prepare('UPDATE transactions SET is_matched = 1 WHERE id = ?').run(voucher.id);
+    invoiceIds.push(voucher.id);
+    left = round2(left - allocation);
+  });
+  
+  return { payment_ids: paymentIds, invoice_ids: invoiceIds };
+}
+
+/**
+ * Manually match a bank transaction to an invoice. The line settles up to
+ * the invoice's outstanding balance.
+ * @returns {Object} { success, payment_ids, invoice_ids } - the caller posts the
+ *   payments and refreshes the vouchers' payment status
  */
 function matchTransaction(transactionId, invoiceId, invoiceType = 'sale') {
+  return matchSplit(transactionId, [{ invoice_id: invoiceId, invoice_type: invoiceType }]);
+}
+
+/**
+ * Match one bank transaction to several invoices, each with its share
+ * @param {number} transactionId - bank_transactions.id
+ * @param {Array} allocations - [{ invoice_id, invoice_type, amount }]; amount
+ *   may be left out to take what is left of the line
+ */
+function matchSplit(transactionId, allocations = []) {
   if (!db) return { success: false, error: 'Database not initialized' };
+  if (!allocations.length) return { success: false, error: 'Nothing to match the bank transaction to' };
   
   try {
-    // Update bank transaction
-    db.prepare(`
-      UPDATE bank_transactions 
-      SET status = 'reconciled', matched_invoice_id = ?, matched_invoice_type = ?
-      WHERE id = ?
-    `).run(invoiceId, invoiceType, transactionId);
+    const bankTxn = db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(transactionId);
+    if (!bankTxn) return { success: false, error: 'Bank transaction not found' };
     
-    // If invoice type is sale and invoice exists, mark it as paid
-    if (invoiceType === 'sale') {
-      const invoice = db.prepare(`SELECT total_amount FROM transactions WHERE id = ?`).get(invoiceId);
-      if (invoice) {
-        db.prepare(`
-          UPDATE transactions SET payment_status = 'paid' WHERE id = ?
-        `).run(invoiceId);
-      }
-    }
-    
-    // Log reconciliation
-    db.prepare(`
-      INSERT INTO reconciliation_log (bank_transaction_id, invoice_id, invoice_type, matched_by, match_type)
-      VALUES (?, ?, ?, 'system', 'manual')
-    `).run(transactionId, invoiceId, invoiceType);
+    const match = db.transaction(() => {
+      // Matching (or confirming an auto-match) replaces whatever the line was matched to before
+      const previous = clearMatch(transactionId);
+      const result = allocateLine(bankTxn, allocations);
+      const invoices = [...new Set(allocations.map(a => `${a.invoice_type || 'sale'}:${a.invoice_id}`))];
+      const [single] = allocations;
+      
+      db.prepare(`
+        UPDATE bank_transactions 
+        SET status = 'reconciled', matched_invoice_id = ?, matched_invoice_type = ?, match_score = NULL,
+          ledger_account_id = NULL, rule_id = NULL
+        WHERE id = ?
+      `).run(
+        invoices.length === 1 ? single.invoice_id : null,
+        invoices.length === 1 ? single.invoice_type || 'sale' : 'split',
+        transactionId
+      );
+      
+      const log = db.prepare(`
+        INSERT INTO reconciliation_log (bank_transaction_id, invoice_id, invoice_type, matched_by, match_type)
+        VALUES (?, ?, ?, 'user', ?)
+      `);
+      allocations.forEach(a => log.run(transactionId, a.invoice_id, a.invoice_type || 'sale', invoices.length === 1 ? 'manual' : 'split'));
+      
+      return {
+        payment_ids: result.payment_ids,
+        reversed_payment_ids: previous.payment_ids,
+        uncleared_line_ids: previous.uncleared_line_ids,
+        invoice_ids: [...new Set([...previous.invoice_ids, ...result.invoice_ids])],
+        proposed_rule: learnFromMatch(bankTxn, { party_id: partyOfMatch(allocations) })
+      };
+    });
     
-    return { success: true, message: 'Transaction matched successfully' };
+    return { success: true, message: 'Transaction matched successfully', ...match() };
   } catch (error) {
     console.error('[BankingService] Match error:', error);
     return { success: false, error: error.message };
@@ -445,43 +773,159 @@ function matchTransaction(transactionId, invoiceId, invoiceType = 'sale') {
 }
 
 /**
- * Unmatch a previously reconciled transaction
+ * Match several bank transactions to one invoice, each line paying in
+ * what it carries until the invoice is settled
+ * @param {Array} transactionIds - bank_transactions ids
+ * @param {number} invoiceId - Voucher they settle
+ * @param {string} invoiceType - Its voucher type
+ */
+function matchGroup(transactionIds = [], invoiceId, invoiceType = 'sale') {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  if (!transactionIds.length) return { success: false, error: 'No bank transactions to group' };
+  
+  try {
+    const match = db.transaction(() => {
+      const paymentIds = [];
+      const reversedIds = [];
+      const unclearedIds = [];
+      const invoiceIds = new Set([invoiceId]);
+      const partyId = partyOfMatch([{ invoice_id: invoiceId, invoice_type: invoiceType }]);
+      const proposedRules = [];
+      
+      transactionIds.forEach(transactionId => {
+        const bankTxn = db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(transactionId);
+        if (!bankTxn) throw new Error(`Bank transaction #${transactionId} not found`);
+        
+        const previous = clearMatch(transactionId);
+        reversedIds.push(...previous.payment_ids);
+        unclearedIds.push(...previous.uncleared_line_ids);
+        previous.invoice_ids.forEach(id => invoiceIds.add(id));
+        
+        const result = allocateLine(bankTxn, [{ invoice_id: invoiceId, invoice_type: invoiceType }]);
+        paymentIds.push(...result.payment_ids);
+        
+        db.prepare(`
+          UPDATE bank_transactions 
+          SET status = 'reconciled', matched_invoice_id = ?, matched_invoice_type = ?, match_score = NULL,
+            ledger_account_id = NULL, rule_id = NULL
+          WHERE id = ?
+        `).run(invoiceId, invoiceType, transactionId);
+        db.prepare(`
+          INSERT INTO reconciliation_log (bank_transaction_id, invoice_id, invoice_type, matched_by, match_type)
+          VALUES (?, ?, ?, 'user', 'group')
+        `).run(transactionId, invoiceId, invoiceType);
+        
+        const proposed = learnFromMatch(bankTxn, { party_id: partyId });
+        if (proposed) proposedRules.push(proposed);
+      });
+      
+      return {
+        payment_ids: paymentIds,
+        reversed_payment_ids: reversedIds,
+        uncleared_line_ids: unclearedIds,
+        invoice_ids: [...invoiceIds],
+        proposed_rule: proposedRules[0] || null
+      };
+    });
+    
+    return { success: true, message: 'Transactions matched successfully', ...match() };
+  } catch (error) {
+    console.error('[BankingService] Group match error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove a line's allocations and the payments they created
+ * @returns {Object} { payment_ids, invoice_ids, uncleared_line_ids } - deleted payments, vouchers
+ *   to refresh, and the line itself when it had been cleared to a ledger account
+ */
+function clearMatch(transactionId) {
+  const line = db.prepare('SELECT matched_invoice_id, matched_invoice_type FROM bank_transactions WHERE id = ?').get(transactionId);
+  const unclearedIds = line && line.matched_invoice_type === 'account' ? [transactionId] : [];
+  const allocations = db.prepare('SELECT * FROM bank_allocations WHERE bank_transaction_id = ?').all(transactionId);
+  const paymentIds = allocations.filter(a => a.payment_id).map(a => a.payment_id);
+  const invoiceIds = new Set(allocations.filter(a => a.invoice_type !== 'expense').map(a => a.invoice_id));
+  if (line && line.matched_invoice_id && line.matched_invoice_type !== 'expense') invoiceIds.add(line.matched_invoice_id);
+  
+  db.prepare('DELETE FROM bank_allocations WHERE bank_transaction_id = ?').run(transactionId);
+  paymentIds.forEach(id => db.prepare('DELETE FROM payments WHERE id = ?').run(id));
+  db.prepare('DELETE FROM reconciliation_log WHERE bank_transaction_id = ?').run(transactionId);
+  
+  // A voucher stays matched while another bank line still settles it
+  invoiceIds.forEach(id => {
+    const stillMatched = db.prepare(`
+      SELECT 1 FROM bank_allocations WHERE invoice_id = ? AND invoice_type != 'expense'
+      UNION
+      SELECT 1 FROM bank_transactions WHERE matched_invoice_id = ? AND matched_invoice_type != 'expense'
+        AND status != 'pending' AND id != ?
+    `).get(id, id, transactionId);
+    if (!stillMatched) db.prepare('UPDATE transactions SET is_matched = 0 WHERE id = ?').run(id);
+  });
+  
+  return { payment_ids: paymentIds, invoice_ids: [...invoiceIds], uncleared_line_ids: unclearedIds };
+}
+
+/**
+ * Unmatch a previously reconciled transaction, undoing its allocations
+ * @returns {Object} { success, reversed_payment_ids, invoice_ids } - the caller
+ *   reverses the payments' ledger entries and refreshes the vouchers' payment status
  */
 function unmatchTransaction(transactionId) {
   if (!db) return { success: false, error: 'Database not initialized' };
   
   try {
-    // Get transaction info
-    const txn = db.prepare(`SELECT matched_invoice_id, matched_invoice_type FROM bank_transactions WHERE id = ?`).get(transactionId);
+    const txn = db.prepare(`SELECT status, rule_id FROM bank_transactions WHERE id = ?`).get(transactionId);
     
-    if (!txn || !txn.matched_invoice_id) {
+    if (!txn || txn.status === 'pending') {
       return { success: false, error: 'Transaction not matched' };
     }
     
-    // Update transaction
-    db.prepare(`
-      UPDATE bank_transactions 
-      SET status = 'pending', matched_invoice_id = NULL, matched_invoice_type = NULL
-      WHERE id = ?
-    `).run(transactionId);
-    
-    // Restore invoice payment status if it was a sale
-    if (txn.matched_invoice_type === 'sale') {
+    const unmatch = db.transaction(() => {
+      const cleared = clearMatch(transactionId);
       db.prepare(`
-        UPDATE transactions SET payment_status = 'pending' WHERE id = ?
-      `).run(txn.matched_invoice_id);
-    }
-    
-    // Remove from reconciliation log
-    db.prepare(`DELETE FROM reconciliation_log WHERE bank_transaction_id = ?`).run(transactionId);
+        UPDATE bank_transactions 
+        SET status = 'pending', matched_invoice_id = NULL, matched_invoice_type = NULL, match_score = NULL,
+          ledger_account_id = NULL, rule_id = NULL
+        WHERE id = ?
+      `).run(transactionId);
+      // Undoing what a rule did counts against it
+      if (txn.rule_id) {
+        db.prepare('UPDATE reconciliation_rules SET miss_count = miss_count + 1 WHERE id = ?').run(txn.rule_id);
+      }
+      return cleared;
+    });
+    const cleared = unmatch();
     
-    return { success: true, message: 'Transaction unmatched successfully' };
+    return {
+      success: true,
+      message: 'Transaction unmatched successfully',
+      reversed_payment_ids: cleared.payment_ids,
+      uncleared_line_ids: cleared.uncleared_line_ids,
+      invoice_ids: cleared.invoice_ids
+    };
   } catch (error) {
     console.error('[BankingService] Unmatch error:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Allocations of a bank line, with the vouchers they settle
+ */
+function getAllocations(transactionId) {
+  if (!db) return [];
+  
+  return db.prepare(`
+    SELECT ba.*, t.voucher_no, t.date as voucher_date, t.total_amount, t.payment_status, p.name as party_name
+    FROM bank_allocations ba
+    LEFT JOIN transactions t ON ba.invoice_id = t.id AND ba.invoice_type != 'expense'
+    LEFT JOIN parties p ON t.party_id = p.id
+    WHERE ba.bank_transaction_id = ?
+    ORDER BY ba.id
+  `).all(transactionId);
+}
+
 /**
  * Get reconciliation summary
  */
@@ -512,7 +956,7 @@ function getReconciliationSummary(accountId = null) {
     // Get recent reconciliations
     const recentReconciliations = db.prepare(`
       SELECT rl.*, bt.description, bt.amount as txn_amount, bt.date as txn_date,
-             t.voucher_number
+             t.voucher_no
       FROM reconciliation_log rl
       LEFT JOIN bank_transactions bt ON rl.bank_transaction_id = bt.id
       LEFT JOIN transactions t ON rl.invoice_id = t.id
@@ -530,6 +974,230 @@ function getReconciliationSummary(accountId = null) {
   }
 }
 
+/**
+ * Bank reconciliation statement for one account as of a date. Starts from
+ * the balance per books and walks through the items only one side has seen
+ * to the balance per bank statement:
+ * - cheques issued but not presented: book payments no statement line shows yet
+ * - deposits not credited: book receipts no statement line shows yet
+ * - bank charges and interest not booked: statement lines not yet posted,
+ *   matched or cleared in the books
+ * Book entries dated before the account's first statement line are taken to
+ * be in the statement's opening balance.
+ * @param {number} accountId - bank_accounts.id
+ * @param {string} asOfDate - Inclusive date (YYYY-MM-DD)
+ */
+function getBankReconciliationStatement(accountId, asOfDate) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  if (!asOfDate) return { success: false, error: 'A date is required for the reconciliation statement' };
+  
+  try {
+    const account = db.prepare('SELECT * FROM bank_accounts WHERE id = ?').get(accountId);
+    if (!account) return { success: false, error: 'Bank account not found' };
+    
+    const ownLedger = db.prepare('SELECT * FROM ledger_accounts WHERE bank_account_id = ?').get(accountId);
+    const commonLedger = db.prepare('SELECT * FROM ledger_accounts WHERE code = ?').get(ACCOUNTS.BANK);
+    const soleAccount = db.prepare('SELECT COUNT(*) as count FROM bank_accounts WHERE is_active = 1').get().count <= 1;
+    const firstLine = db.prepare('SELECT MIN(date) as date FROM bank_transactions WHERE account_id = ?').get(accountId).date;
+    
+    // Net movement per source document on the bank ledgers up to the date
+    const ledgerIds = [ownLedger, commonLedger].filter(Boolean).map(l => l.id);
+    const movements = ledgerIds.length ? db.prepare(`
+      SELECT jl.account_id, je.source_type, je.source_id,
+        MIN(CASE WHEN je.is_reversal = 0 THEN je.date END) as date,
+        MAX(CASE WHEN je.is_reversal = 0 THEN je.narration END) as narration,
+        MAX(CASE WHEN je.is_reversal = 0 THEN je.entry_no END) as entry_no,
+        SUM(jl.debit) - SUM(jl.credit) as net
+      FROM journal_lines jl
+      JOIN journal_entries je ON je.id = jl.entry_id
+      WHERE jl.account_id IN (${ledgerIds.map(() => '?').join(', ')}) AND je.date <= ?
+      GROUP BY jl.account_id, je.source_type, COALESCE(je.source_id, -je.id)
+    `).all(...ledgerIds, asOfDate) : [];
+    
+    // Vouchers settled by this account's booked statement lines: any time
+    // (which ties a payment to the account) and up to the date (which presents it)
+    const settledLines = db.prepare(`
+      SELECT bt.date, COALESCE(ba.invoice_type, bt.matched_invoice_type) as invoice_type,
+        COALESCE(ba.invoice_id, bt.matched_invoice_id) as invoice_id
+      FROM bank_transactions bt
+      LEFT JOIN bank_allocations ba ON ba.bank_transaction_id = bt.id
+      WHERE bt.account_id = ? AND bt.status = 'reconciled'
+    `).all(accountId).filter(row => row.invoice_id);
+    const voucherKeyOf = (row) => `${row.invoice_type === 'expense' ? 'expense' : 'voucher'}:${row.invoice_id}`;
+    const tracedVouchers = new Set(settledLines.map(voucherKeyOf));
+    const settled = new Set(settledLines.filter(row => row.date <= asOfDate).map(voucherKeyOf));
+    
+    const paymentOf = (id) => db.prepare(`
+      SELECT p.*, bt.account_id as line_account_id, bt.date as line_date, pt.name as party_name
+      FROM payments p
+      LEFT JOIN bank_transactions bt ON bt.id = p.bank_transaction_id
+      LEFT JOIN parties pt ON pt.id = p.party_id
+      WHERE p.id = ?
+    `).get(id);
+    const expenseOf = (id) => db.prepare(`
+      SELECT e.*, pt.name as party_name FROM expenses e LEFT JOIN parties pt ON pt.id = e.party_id WHERE e.id = ?
+    `).get(id);
+    
+    let balancePerBooks = 0;
+    let unassigned = { count: 0, amount: 0 };
+    const chequesNotPresented = [];
+    const depositsNotCredited = [];
+    
+    movements.forEach(movement => {
+      const net = round2(movement.net);
+      if (!net) return;
+      const payment = movement.source_type === 'payment' ? paymentOf(movement.source_id) : null;
+      const expense = movement.source_type === 'expense' ? expenseOf(movement.source_id) : null;
+      const voucherKey = payment && payment.transaction_id ? `voucher:${payment.transaction_id}`
+        : expense ? `expense:${expense.id}` : null;
+      
+      // The common Bank ledger is shared by every account: take what can be traced to this one
+      if (movement.account_id !== (ownLedger && ownLedger.id)) {
+        const traced = payment && payment.bank_transaction_id
+          ? payment.line_account_id === accountId
+          : Boolean(voucherKey && tracedVouchers.has(voucherKey));
+        if (!traced && !soleAccount) {
+          unassigned = { count: unassigned.count + 1, amount: round2(unassigned.amount + net) };
+          return;
+        }
+      }
+      balancePerBooks = round2(balancePerBooks + net);
+      
+      const presented = ['bank_transaction', 'bank_clearing'].includes(movement.source_type)
+        || (payment && payment.bank_transaction_id ? payment.line_date <= asOfDate : Boolean(voucherKey && settled.has(voucherKey)))
+        || (firstLine && movement.date < firstLine);
+      if (presented) return;
+      
+      const item = {
+        date: movement.date,
+        source_type: movement.source_type,
+        source_id: movement.source_id,
+        entry_no: movement.entry_no,
+        reference: (payment && (payment.cheque_no || payment.reference)) || (expense && expense.reference) || null,
+        party_name: (payment || expense || {}).party_name || null,
+        description: movement.narration,
+        amount: Math.abs(net)
+      };
+      (net < 0 ? chequesNotPresented : depositsNotCredited).push(item);
+    });
+    
+    // Statement lines the books have not taken up: not posted from the feed,
+    // matched with a payment or cleared to a ledger account
+    const notBooked = db.prepare(`
+      SELECT bt.* FROM bank_transactions bt
+      WHERE bt.account_id = ? AND bt.date <= ? AND bt.status != 'reconciled'
+        AND NOT EXISTS (
+          SELECT 1 FROM journal_entries je
+          WHERE je.source_type = 'bank_transaction' AND je.source_id = bt.id AND je.is_reversal = 0 AND je.reversed_by IS NULL
+        )
+      ORDER BY bt.date ASC, bt.id ASC
+    `).all(accountId, asOfDate).map(line => ({
+      date: line.date,
+      source_type: 'bank_transaction',
+      source_id: line.id,
+      reference: line.reference || null,
+      description: line.description,
+      type: line.type,
+      status: line.status,
+      amount: round2(Math.abs(line.amount))
+    }));
+    const debitsNotBooked = notBooked.filter(line => line.type === 'debit');
+    const creditsNotBooked = notBooked.filter(line => line.type === 'credit');
+    
+    const byDate = (a, b) => String(a.date).localeCompare(String(b.date));
+    const total = (items) => round2(items.reduce((sum, item) => sum + item.amount, 0));
+    const sections = [
+      { key: 'cheques_not_presented', label: 'Add: Cheques issued but not presented', sign: 1, items: chequesNotPresented.sort(byDate) },
+      { key: 'deposits_not_credited', label: 'Less: Cheques deposited but not credited', sign: -1, items: depositsNotCredited.sort(byDate) },
+      { key: 'debits_not_booked', label: 'Less: Bank charges and debits not booked', sign: -1, items: debitsNotBooked },
+      { key: 'credits_not_booked', label: 'Add: Interest and credits not booked', sign: 1, items: creditsNotBooked }
+    ].map(section => ({ ...section, total: total(section.items) }));
+    
+    const balancePerBank = round2(sections.reduce((sum, section) => sum + section.sign * section.total, balancePerBooks));
+    
+    // The statement's own running balance, where the bank gave one
+    const lastBalance = db.prepare(`
+      SELECT balance, date FROM bank_transactions
+      WHERE account_id = ? AND date <= ? AND balance IS NOT NULL
+      ORDER BY date DESC, id DESC LIMIT 1
+    `).get(accountId, asOfDate);
+    const statementBalance = lastBalance ? round2(lastBalance.balance) : null;
+    const difference = statementBalance === null ? null : round2(statementBalance - balancePerBank);
+    
+    return {
+      success: true,
+      as_of_date: asOfDate,
+      account: {
+        id: account.id,
+        bank_name: account.bank_name,
+        account_number: account.account_number,
+        ledger_account_id: ownLedger ? ownLedger.id : null,
+        ledger_account_name: ownLedger ? ownLedger.name : null
+      },
+      balance_per_books: balancePerBooks,
+      sections,
+      balance_per_bank: balancePerBank,
+      statement_balance: statementBalance,
+      statement_balance_date: lastBalance ? lastBalance.date : null,
+      difference,
+      unassigned_book_entries: unassigned,
+      summary: {
+        balance_per_books: balancePerBooks,
+        cheques_not_presented: sections[0].total,
+        deposits_not_credited: sections[1].total,
+        debits_not_booked: sections[2].total,
+        credits_not_booked: sections[3].total,
+        balance_per_bank: balancePerBank,
+        statement_balance: statementBalance,
+        difference
+      }
+    };
+  } catch (error) {
+    console.error('[BankingService] BRS error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Rule with its hit rate and what it points at
+ */
+function describeRule(rule) {
+  const decided = rule.hit_count + rule.miss_count;
+  const hitRate = decided ? Math.round((rule.hit_count / decided) * 100) : null;
+  const target = rule.ledger_account_id
+    ? db.prepare('SELECT code, name FROM ledger_accounts WHERE id = ?').get(rule.ledger_account_id)
+    : null;
+  const party = rule.party_id ? db.prepare('SELECT name FROM parties WHERE id = ?').get(rule.party_id) : null;
+  
+  return {
+    ...rule,
+    party_name: party ? party.name : null,
+    ledger_account_name: target ? `${target.code} ${target.name}` : null,
+    hit_rate: hitRate,
+    high_confidence: rule.hit_count >= RULE_CONFIDENCE.minHits && hitRate >= RULE_CONFIDENCE.minHitRate * 100
+  };
+}
+
+/**
+ * Check what a rule points at
+ */
+function validateRule(rule) {
+  if (!rule.pattern || !String(rule.pattern).trim()) return 'A rule needs a pattern';
+  if (rule.match_type === 'regex') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  if (rule.party_id && rule.ledger_account_id) return 'A rule points at a party or a ledger account, not both';
+  if (rule.party_id && !db.prepare('SELECT 1 FROM parties WHERE id = ?').get(rule.party_id)) return 'Party not found';
+  if (rule.ledger_account_id && !db.prepare('SELECT 1 FROM ledger_accounts WHERE id = ? AND is_active = 1').get(rule.ledger_account_id)) {
+    return 'Ledger account not found';
+  }
+  return null;
+}
+
 /**
  * Add reconciliation rule
  */
@@ -537,14 +1205,20 @@ function addReconciliationRule(ruleData) {
   if (!db) return { success: false, error: 'Database not initialized' };
   
   try {
-    const { name, pattern, match_type, category, account_id } = ruleData;
+    const { name, pattern, match_type, category, account_id, party_id, ledger_account_id, direction, auto_apply } = ruleData;
+    const problem = validateRule(ruleData);
+    if (problem) return { success: false, error: problem };
     
     const stmt = db.prepare(`
-      INSERT INTO reconciliation_rules (name, pattern, match_type, category, account_id)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO reconciliation_rules
+        (name, pattern, match_type, category, account_id, party_id, ledger_account_id, direction, auto_apply, status, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', 'manual')
     `);
     
-    const result = stmt.run(name, pattern, match_type || 'contains', category || '', account_id || null);
+    const result = stmt.run(
+      name || pattern, pattern, match_type || 'contains', category || '', account_id || null, party_id || null,
+      ledger_account_id || null, direction || null, auto_apply ? 1 : 0
+    );
     
     return {
       success: true,
@@ -559,28 +1233,120 @@ function addReconciliationRule(ruleData) {
 
 /**
  * Get reconciliation rules
+ * @param {number} accountId - Bank account; rules for all accounts are included
+ * @param {Object} filters - { status: active (default), proposed, retired or all }
  */
-function getReconciliationRules(accountId = null) {
+function getReconciliationRules(accountId = null, filters = {}) {
   if (!db) return [];
   
   try {
-    let query = `SELECT * FROM reconciliation_rules WHERE is_active = 1`;
+    const status = filters.status || 'active';
+    let query = `SELECT * FROM reconciliation_rules WHERE 1 = 1`;
     const params = [];
     
+    if (status !== 'all') {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    
     if (accountId) {
       query += ' AND (account_id = ? OR account_id IS NULL)';
       params.push(accountId);
     }
     
-    query += ' ORDER BY created_at DESC';
+    query += ' ORDER BY hit_count DESC, created_at DESC';
     
-    return db.prepare(query).all(...params);
+    return db.prepare(query).all(...params).map(describeRule);
   } catch (error) {
     console.error('[BankingService] Get rules error:', error);
     return [];
   }
 }
 
+/**
+ * Edit a rule's pattern, target or auto-apply setting
+ */
+function updateReconciliationRule(ruleId, updates = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  
+  try {
+    const rule = db.prepare('SELECT * FROM reconciliation_rules WHERE id = ?').get(ruleId);
+    if (!rule) return { success: false, error: 'Rule not found' };
+    
+    const editable = ['name', 'pattern', 'match_type', 'category', 'account_id', 'party_id', 'ledger_account_id', 'direction', 'auto_apply'];
+    const changes = Object.fromEntries(Object.entries(updates).filter(([key]) => editable.includes(key)));
+    if (changes.party_id) changes.ledger_account_id = updates.ledger_account_id || null;
+    if (changes.ledger_account_id) changes.party_id = updates.party_id || null;
+    const problem = validateRule({ ...rule, ...changes });
+    if (problem) return { success: false, error: problem };
+    if (!Object.keys(changes).length) return { success: true, rule: describeRule(rule) };
+    
+    if ('auto_apply' in changes) changes.auto_apply = changes.auto_apply ? 1 : 0;
+    // A new pattern or target is a new rule as far as its record goes
+    const retarget = ['pattern', 'match_type', 'party_id', 'ledger_account_id']
+      .some(key => key in changes && String(changes[key] ?? '') !== String(rule[key] ?? ''));
+    const columns = Object.keys(changes);
+    db.prepare(`
+      UPDATE reconciliation_rules
+      SET ${columns.map(column => `${column} = ?`).join(', ')},
+        ${retarget ? 'hit_count = 0, miss_count = 0,' : ''} updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...columns.map(column => changes[column] ?? null), ruleId);
+    
+    const updated = db.prepare('SELECT * FROM reconciliation_rules WHERE id = ?').get(ruleId);
+    return { success: true, rule: describeRule(updated), old_values: rule };
+  } catch (error) {
+    console.error('[BankingService] Update rule error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Put a rule to work: proposed or retired rules become active
+ * @param {Object} options - { auto_apply } to let it apply itself on import
+ */
+function promoteReconciliationRule(ruleId, options = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  
+  try {
+    const rule = db.prepare('SELECT * FROM reconciliation_rules WHERE id = ?').get(ruleId);
+    if (!rule) return { success: false, error: 'Rule not found' };
+    if (!rule.party_id && !rule.ledger_account_id) {
+      return { success: false, error: 'Point the rule at a party or a ledger account before promoting it' };
+    }
+    
+    db.prepare(`
+      UPDATE reconciliation_rules
+      SET status = 'active', is_active = 1, auto_apply = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(options.auto_apply === undefined ? rule.auto_apply : (options.auto_apply ? 1 : 0), ruleId);
+    
+    return { success: true, rule: describeRule(db.prepare('SELECT * FROM reconciliation_rules WHERE id = ?').get(ruleId)) };
+  } catch (error) {
+    console.error('[BankingService] Promote rule error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Stop using a rule. It is kept, with its record, so the same rule is not
+ * proposed again from the next manual match.
+ */
+function retireReconciliationRule(ruleId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  
+  try {
+    const result = db.prepare(`
+      UPDATE reconciliation_rules SET status = 'retired', is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(ruleId);
+    if (!result.changes) return { success: false, error: 'Rule not found' };
+    return { success: true, message: 'Rule retired' };
+  } catch (error) {
+    console.error('[BankingService] Retire rule error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Delete reconciliation rule
  */
@@ -588,6 +1354,7 @@ function deleteReconciliationRule(ruleId) {
   if (!db) return { success: false, error: 'Database not initialized' };
   
   try {
+    db.prepare('UPDATE bank_transactions SET rule_id = NULL WHERE rule_id = ?').run(ruleId);
     db.prepare(`DELETE FROM reconciliation_rules WHERE id = ?`).run(ruleId);
     return { success: true, message: 'Rule deleted successfully' };
   } catch (error) {
@@ -596,6 +1363,191 @@ function deleteReconciliationRule(ruleId) {
   }
 }
 
+/**
+ * Learn from a manual match. Rules whose pattern covers the narration score
+ * a hit when they point where the user did and a miss when they do not; when
+ * no rule already points there, one is proposed from the narration. Call
+ * inside a db transaction.
+ * @param {Object} bankTxn - bank_transactions row
+ * @param {Object} target - { party_id } or { ledger_account_id }
+ * @returns {Object|null} The proposed rule, if one was made
+ */
+function learnFromMatch(bankTxn, target) {
+  if (!target.party_id && !target.ledger_account_id) return null;
+  const pointsAtTarget = (rule) => (target.party_id
+    ? rule.party_id === target.party_id
+    : rule.ledger_account_id === target.ledger_account_id);
+  
+  const covering = db.prepare(`
+    SELECT * FROM reconciliation_rules
+    WHERE status != 'retired' AND (party_id IS NOT NULL OR ledger_account_id IS NOT NULL)
+      AND (account_id IS NULL OR account_id IS ?) AND (direction IS NULL OR direction = ?)
+  `).all(bankTxn.account_id, bankTxn.type).filter(rule => reconciliationEngine.ruleMatches(rule, bankTxn.description));
+  
+  covering.forEach(rule => {
+    if (pointsAtTarget(rule)) {
+      db.prepare('UPDATE reconciliation_rules SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP WHERE id = ?').run(rule.id);
+    } else {
+      db.prepare('UPDATE reconciliation_rules SET miss_count = miss_count + 1 WHERE id = ?').run(rule.id);
+    }
+  });
+  if (covering.some(pointsAtTarget)) return null;
+  
+  const pattern = reconciliationEngine.patternFromNarration(bankTxn.description);
+  if (!pattern) return null;
+  
+  // A rule the user retired is not proposed again
+  const retired = db.prepare(`
+    SELECT * FROM reconciliation_rules
+    WHERE status = 'retired' AND party_id IS ? AND ledger_account_id IS ?
+  `).all(target.party_id || null, target.ledger_account_id || null)
+    .some(rule => rule.pattern === pattern || reconciliationEngine.ruleMatches(rule, bankTxn.description));
+  if (retired) return null;
+  
+  const targetName = target.party_id
+    ? (db.prepare('SELECT name FROM parties WHERE id = ?').get(target.party_id) || {}).name
+    : (db.prepare('SELECT name FROM ledger_accounts WHERE id = ?').get(target.ledger_account_id) || {}).name;
+  const ruleId = db.prepare(`
+    INSERT INTO reconciliation_rules
+      (name, pattern, match_type, account_id, party_id, ledger_account_id, direction, status, source, auto_apply, hit_count, last_hit_at)
+    VALUES (?, ?, 'keywords', ?, ?, ?, ?, 'proposed', 'learned', 1, 1, CURRENT_TIMESTAMP)
+  `).run(
+    `${pattern} → ${targetName || 'unknown'}`, pattern, bankTxn.account_id || null,
+    target.party_id || null, target.ledger_account_id || null, bankTxn.type || null
+  ).lastInsertRowid;
+  
+  return describeRule(db.prepare('SELECT * FROM reconciliation_rules WHERE id = ?').get(ruleId));
+}
+
+/**
+ * Party a manual match points the line at, when all its vouchers share one
+ */
+function partyOfMatch(allocations) {
+  const parties = new Set(allocations.map(({ invoice_id: invoiceId, invoice_type: invoiceType }) => {
+    const row = invoiceType === 'expense'
+      ? db.prepare('SELECT party_id FROM expenses WHERE id = ?').get(invoiceId)
+      : db.prepare('SELECT party_id FROM transactions WHERE id = ?').get(invoiceId);
+    return row ? row.party_id : null;
+  }));
+  return parties.size === 1 ? [...parties][0] : null;
+}
+
+/**
+ * Clear a bank line to a ledger account instead of a voucher, for bank
+ * charges, interest, gateway settlements and the like
+ * @returns {Object} { success, cleared_line_ids, ... } - the caller posts the
+ *   clearing entry and reverses whatever the line was matched to before
+ */
+function clearToAccount(transactionId, ledgerAccountId, options = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  
+  try {
+    const bankTxn = db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(transactionId);
+    if (!bankTxn) return { success: false, error: 'Bank transaction not found' };
+    const account = db.prepare('SELECT * FROM ledger_accounts WHERE id = ? AND is_active = 1').get(ledgerAccountId);
+    if (!account) return { success: false, error: 'Ledger account not found' };
+    if (account.bank_account_id && account.bank_account_id === bankTxn.account_id) {
+      return { success: false, error: 'A bank line cannot be cleared to its own bank account' };
+    }
+    
+    const clear = db.transaction(() => {
+      const previous = clearMatch(transactionId);
+      db.prepare(`
+        UPDATE bank_transactions
+        SET status = 'reconciled', matched_invoice_id = NULL, matched_invoice_type = 'account',
+          ledger_account_id = ?, rule_id = ?, match_score = NULL
+        WHERE id = ?
+      `).run(ledgerAccountId, options.ruleId || null, transactionId);
+      db.prepare(`
+        INSERT INTO reconciliation_log (bank_transaction_id, invoice_id, invoice_type, matched_by, match_type)
+        VALUES (?, NULL, 'account', ?, ?)
+      `).run(transactionId, options.ruleId ? 'system' : 'user', options.ruleId ? 'rule' : 'manual');
+      
+      const proposedRule = options.ruleId ? null : learnFromMatch(bankTxn, { ledger_account_id: ledgerAccountId });
+      return {
+        cleared_line_ids: [transactionId],
+        uncleared_line_ids: previous.uncleared_line_ids,
+        reversed_payment_ids: previous.payment_ids,
+        invoice_ids: previous.invoice_ids,
+        proposed_rule: proposedRule
+      };
+    });
+    
+    return { success: true, message: `Cleared to ${account.name}`, ...clear() };
+  } catch (error) {
+    console.error('[BankingService] Clear to account error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Active rules trusted to apply themselves: auto-apply on, and confirmed
+ * often and reliably enough by manual matches
+ */
+function getAutoApplyRules(accountId) {
+  return getReconciliationRules(accountId)
+    .filter(rule => rule.auto_apply && rule.high_confidence && (rule.party_id || rule.ledger_account_id));
+}
+
+/**
+ * Apply high-confidence rules to pending lines. Ledger-account rules clear
+ * the line outright; party rules match it, for review like an auto-match,
+ * to that party's voucher of the same amount. Call inside a db transaction.
+ * @param {Array} lines - Pending bank lines
+ * @param {Object} options - Engine options; canPostOn(date) says whether a line may be cleared
+ * @returns {Object} { applied: [{ line_id, rule_id, ... }], cleared_line_ids, claimed_ids }
+ */
+function applyRules(lines, options = {}) {
+  const applied = [];
+  const clearedLineIds = [];
+  const claimedIds = [...(options.excludeIds || [])];
+  const rulesByAccount = new Map();
+  const rulesFor = (accountId) => {
+    if (!rulesByAccount.has(accountId)) rulesByAccount.set(accountId, getAutoApplyRules(accountId));
+    return rulesByAccount.get(accountId);
+  };
+  
+  lines.forEach(line => {
+    const rule = rulesFor(line.account_id || options.accountId || null)
+      .find(r => (!r.direction || r.direction === line.type) && reconciliationEngine.ruleMatches(r, line.description));
+    if (!rule) return;
+    
+    if (rule.ledger_account_id) {
+      // Clearing posts to the ledger, which the caller may not allow on the line's date
+      if (options.canPostOn && !options.canPostOn(line.date)) return;
+      const account = db.prepare('SELECT bank_account_id FROM ledger_accounts WHERE id = ?').get(rule.ledger_account_id);
+      if (account && account.bank_account_id && account.bank_account_id === line.account_id) return;
+      db.prepare(`
+        UPDATE bank_transactions
+        SET status = 'reconciled', matched_invoice_type = 'account', ledger_account_id = ?, rule_id = ?
+        WHERE id = ?
+      `).run(rule.ledger_account_id, rule.id, line.id);
+      db.prepare(`
+        INSERT INTO reconciliation_log (bank_transaction_id, invoice_id, invoice_type, matched_by, match_type)
+        VALUES (?, NULL, 'account', 'system', 'rule')
+      `).run(line.id);
+      clearedLineIds.push(line.id);
+    } else {
+      const candidate = reconciliationEngine.findMatches(line, {
+        ...options, accountId: line.account_id || options.accountId, partyId: rule.party_id, excludeIds: claimedIds
+      }).find(c => c.reasons.some(r => r.scorer === 'amount' && r.score >= 1));
+      if (!candidate) return;
+      recordMatch(line.id, candidate.transaction_id, candidate.voucher_type, {
+        status: 'matched', matchType: 'rule', matchedBy: 'system', score: candidate.score
+      });
+      db.prepare('UPDATE bank_transactions SET rule_id = ? WHERE id = ?').run(rule.id, line.id);
+      claimedIds.push(candidate.transaction_id);
+    }
+    
+    db.prepare(`
+      UPDATE reconciliation_rules SET applied_count = applied_count + 1, last_applied_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(rule.id);
+    applied.push({ line_id: line.id, rule_id: rule.id, rule_name: rule.name, ledger_account_id: rule.ledger_account_id, party_id: rule.party_id });
+  });
+  
+  return { applied, cleared_line_ids: clearedLineIds, claimed_ids: claimedIds };
+}
+
 /**
  * Import bank statement (CSV format - simulated)
  */
@@ -619,15 +1571,17 @@ function importBankStatement(accountId, transactions) {
       }
       
       db.prepare(`
-        INSERT INTO bank_transactions (account_id, transaction_id, date, description, amount, type)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO bank_transactions (account_id, transaction_id, date, description, amount, type, reference, balance)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         accountId,
         txn.transaction_id || `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         txn.date,
         txn.description || '',
         txn.amount || 0,
-        txn.type || (txn.amount >= 0 ? 'credit' : 'debit')
+        txn.type || (txn.amount >= 0 ? 'credit' : 'debit'),
+        txn.reference || txn.reference_no || null,
+        txn.balance ?? null
       );
       
       imported++;
@@ -656,11 +1610,21 @@ module.exports = {
   getBankTransactions,
   getUnmatchedTransactions,
   autoReconcile,
+  findMatches,
+  findSplitMatches,
   matchTransaction,
+  matchSplit,
+  matchGroup,
   unmatchTransaction,
+  getAllocations,
   getReconciliationSummary,
+  getBankReconciliationStatement,
+  clearToAccount,
   addReconciliationRule,
   getReconciliationRules,
+  updateReconciliationRule,
+  promoteReconciliationRule,
+  retireReconciliationRule,
   deleteReconciliationRule,
   importBankStatement
 };
@@ -0,0 +1,524 @@
+/**
+ * Branch Service
+ *
+ * Branches (locations) of a business that may hold GST registrations in
+ * more than one state. Branch 0 is the head office described by
+ * business_info; every other branch has its own address, invoice series and
+ * stock location, and either its own GSTIN or the head office's.
+ *
+ * Features:
+ * - Branch master with GSTIN, address and stock location
+ * - Registrations: the GSTINs of the business and the branches filed under each
+ * - Branch-wise stock on hand
+ * - Inter-branch stock transfer register
+ * - A party per branch, used as the counterparty of inter-branch invoices
+ */
+
+const placeOfSupply = require('./placeOfSupply');
+const voucherSeriesService = require('./voucherSeriesService');
+
+let db = null;
+
+// The head office is not a row in the branches table
+const HEAD_OFFICE_ID = 0;
+
+// GSTIN: state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Initialize the branch service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[BranchService] Initialized');
+  createBranchTables();
+}
+
+/**
+ * Create branch-related database tables
+ */
+function createBranchTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Branches / locations; the head office (id 0) lives in business_info
+    CREATE TABLE IF NOT EXISTS branches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      gstin TEXT, -- NULL = files under the head office GSTIN
+      address TEXT,
+      city TEXT,
+      state TEXT,
+      state_code TEXT,
+      pincode TEXT,
+      phone TEXT,
+      email TEXT,
+      stock_location TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Stock on hand per branch; the head office holds what the branches do not
+    CREATE TABLE IF NOT EXISTS branch_stock (
+      branch_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity REAL DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (branch_id, product_id),
+      FOREIGN KEY (product_id) REFERENCES products(id)
+    );
+
+    -- Stock moved between branches; taxable when the branches have different GSTINs
+    CREATE TABLE IF NOT EXISTS branch_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transfer_no TEXT NOT NULL,
+      date TEXT NOT NULL,
+      from_branch_id INTEGER NOT NULL,
+      to_branch_id INTEGER NOT NULL,
+      is_taxable INTEGER DEFAULT 0,
+      outward_transaction_id INTEGER, -- tax invoice raised by the sending GSTIN
+      inward_transaction_id INTEGER, -- the same invoice booked as a purchase by the receiving GSTIN
+      taxable_value REAL DEFAULT 0,
+      total_value REAL DEFAULT 0,
+      items TEXT, -- JSON lines: product_id, quantity, rate
+      narration TEXT,
+      is_cancelled INTEGER DEFAULT 0,
+      cancel_reason TEXT,
+      created_by TEXT DEFAULT 'system',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (outward_transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (inward_transaction_id) REFERENCES transactions(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_branch_transfers_date ON branch_transfers(date);
+  `);
+}
+
+/**
+ * Key/value business_info as an object
+ */
+function getBusinessInfo() {
+  return db.prepare('SELECT key, value FROM business_info').all().reduce((info, row) => {
+    info[row.key] = row.value;
+    return info;
+  }, {});
+}
+
+/**
+ * The head office as a branch record
+ */
+function getHeadOffice() {
+  const business = getBusinessInfo();
+  return {
+    id: HEAD_OFFICE_ID,
+    code: 'HO',
+    name: business.business_name || business.name || 'Head Office',
+    gstin: business.gstin || null,
+    address: business.address || null,
+    city: business.city || null,
+    state: business.state || null,
+    state_code: placeOfSupply.partyState(business),
+    pincode: business.pincode || null,
+    phone: business.phone || null,
+    email: business.email || null,
+    stock_location: 'Head Office',
+    is_active: 1,
+    is_head_office: true
+  };
+}
+
+/**
+ * GSTIN a branch files under (its own, else the head office's)
+ * @param {Object} branch - Branch record
+ */
+function effectiveGstin(branch) {
+  return (branch.gstin || getHeadOffice().gstin || '').toUpperCase() || null;
+}
+
+/**
+ * Get all branches, head office first
+ * @param {Object} filters - { includeInactive }
+ */
+function getBranches(filters = {}) {
+  if (!db) return [];
+
+  const rows = db.prepare(`
+    SELECT * FROM branches ${filters.includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY code
+  `).all();
+
+  return [getHeadOffice(), ...rows].map(branch => ({ ...branch, filing_gstin: effectiveGstin(branch) }));
+}
+
+/**
+ * Get one branch (0 = head office)
+ * @param {number} branchId - Branch id
+ */
+function getBranch(branchId) {
+  if (!db) return null;
+  if (!branchId) return { ...getHeadOffice(), filing_gstin: effectiveGstin(getHeadOffice()) };
+
+  const branch = db.prepare('SELECT * FROM branches WHERE id = ?').get(branchId);
+  return branch ? { ...branch, filing_gstin: effectiveGstin(branch) } : null;
+}
+
+/**
+ * Throw unless the branch exists and is active
+ * @param {number} branchId - Branch id
+ * @returns {Object} Branch record
+ */
+function assertBranch(branchId) {
+  const branch = getBranch(branchId || HEAD_OFFICE_ID);
+  if (!branch) throw new Error(`Branch #${branchId} not found`);
+  if (!branch.is_active) throw new Error(`Branch ${branch.name} is inactive`);
+  return branch;
+}
+
+/**
+ * Business details as seen from a branch: the legal entity from
+ * business_info with the branch's GSTIN, address and state
+ * @param {number} branchId - Branch id (0 = head office)
+ */
+function getBranchInfo(branchId) {
+  const business = getBusinessInfo();
+  const branch = branchId ? db.prepare('SELECT * FROM branches WHERE id = ?').get(branchId) : null;
+  if (!branch) return { ...business, branch_id: HEAD_OFFICE_ID, branch_name: getHeadOffice().name };
+
+  const overrides = Object.fromEntries(
+    ['gstin', 'address', 'city', 'state', 'state_code', 'pincode', 'phone', 'email']
+      .filter(field => branch[field])
+      .map(field => [field, branch[field]])
+  );
+
+  return { ...business, ...overrides, branch_id: branch.id, branch_name: branch.name };
+}
+
+/**
+ * Create or update a branch
+ * @param {Object} branchData - { id, code, name, gstin, address, city, state, state_code, pincode, phone, email, stock_location, is_active }
+ */
+function saveBranch(branchData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const code = String(branchData.code || '').trim().toUpperCase();
+    const name = String(branchData.name || '').trim();
+    if (!code || !name) return { success: false, error: 'Branch code and name are required' };
+    if (code === 'HO') return { success: false, error: 'HO is reserved for the head office' };
+
+    const gstin = branchData.gstin ? String(branchData.gstin).trim().toUpperCase() : null;
+    let stateCode = placeOfSupply.stateCode(branchData.state_code || branchData.state);
+
+    if (gstin) {
+      if (!GSTIN_PATTERN.test(gstin)) return { success: false, error: `Invalid GSTIN: ${gstin}` };
+
+      // Every registration of a business is issued against the same PAN
+      const headOfficeGstin = getHeadOffice().gstin;
+      if (headOfficeGstin && headOfficeGstin.slice(2, 12).toUpperCase() !== gstin.slice(2, 12)) {
+        return { success: false, error: `${gstin} is registered under a different PAN than the head office (${headOfficeGstin})` };
+      }
+      if (stateCode && stateCode !== gstin.slice(0, 2)) {
+        return { success: false, error: `${gstin} is a ${placeOfSupply.stateName(gstin.slice(0, 2))} registration, not ${placeOfSupply.stateName(stateCode)}` };
+      }
+      stateCode = gstin.slice(0, 2);
+    } else {
+      // A place of business in another state needs a registration of its own there
+      const headOffice = getHeadOffice();
+      if (headOffice.gstin && stateCode && stateCode !== headOffice.state_code) {
+        return { success: false, error: `A branch in ${placeOfSupply.stateName(stateCode)} needs its own GSTIN` };
+      }
+    }
+
+    const values = [
+      code, name, gstin, branchData.address || null, branchData.city || null,
+      branchData.state || placeOfSupply.stateName(stateCode) || null, stateCode || null,
+      branchData.pincode || null, branchData.phone || null, branchData.email || null,
+      branchData.stock_location || name,
+      branchData.is_active === false || branchData.is_active === 0 ? 0 : 1
+    ];
+
+    if (branchData.id && !db.prepare('SELECT id FROM branches WHERE id = ?').get(branchData.id)) {
+      return { success: false, error: `Branch #${branchData.id} not found` };
+    }
+
+    const save = db.transaction(() => {
+      let id = branchData.id;
+      if (id) {
+        db.prepare(`
+          UPDATE branches SET code = ?, name = ?, gstin = ?, address = ?, city = ?, state = ?, state_code = ?,
+            pincode = ?, phone = ?, email = ?, stock_location = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(...values, id);
+      } else {
+        id = db.prepare(`
+          INSERT INTO branches (code, name, gstin, address, city, state, state_code, pincode, phone, email, stock_location, is_active)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(...values).lastInsertRowid;
+      }
+
+      // Keep the branch's own party (used on inter-branch invoices) in step
+      db.prepare(`
+        UPDATE parties SET gstin = ?, address = ?, city = ?, state = ?, state_code = ?, pincode = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE branch_id = ?
+      `).run(effectiveGstin({ gstin }), values[3], values[4], values[5], values[6], values[7], id);
+
+      // Every branch numbers its vouchers in series of its own
+      const seeded = voucherSeriesService.seedBranchSeries(id);
+      if (!seeded.success) throw new Error(seeded.error);
+      return id;
+    });
+    const id = save();
+
+    return { success: true, branch: getBranch(id), message: `Branch ${name} saved` };
+  } catch (error) {
+    if (/UNIQUE constraint failed: branches.code/.test(error.message)) {
+      return { success: false, error: `Branch code ${branchData.code} is already in use` };
+    }
+    console.error('[BranchService] Save branch error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deactivate a branch; its books stay, but no new vouchers can be raised in it
+ * @param {number} branchId - Branch id
+ */
+function deactivateBranch(branchId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  if (!branchId) return { success: false, error: 'The head office cannot be deactivated' };
+
+  const stock = db.prepare('SELECT COUNT(*) as count FROM branch_stock WHERE branch_id = ? AND quantity != 0').get(branchId);
+  if (stock.count > 0) {
+    return { success: false, error: 'Transfer the branch stock out before deactivating it' };
+  }
+
+  const result = db.prepare('UPDATE branches SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(branchId);
+  return result.changes
+    ? { success: true, message: 'Branch deactivated' }
+    : { success: false, error: `Branch #${branchId} not found` };
+}
+
+/**
+ * GST registrations of the business with the branches filed under each
+ * @returns {Array} [{ gstin, state_code, state, branch_ids, branches }]
+ */
+function getRegistrations() {
+  if (!db) return [];
+
+  const registrations = {};
+  getBranches({ includeInactive: true }).forEach(branch => {
+    const gstin = branch.filing_gstin || '';
+    if (!registrations[gstin]) {
+      registrations[gstin] = {
+        gstin: gstin || null,
+        state_code: gstin ? gstin.slice(0, 2) : branch.state_code,
+        state: placeOfSupply.stateName(gstin ? gstin.slice(0, 2) : branch.state_code),
+        branch_ids: [],
+        branches: []
+      };
+    }
+    registrations[gstin].branch_ids.push(branch.id);
+    registrations[gstin].branches.push({ id: branch.id, code: branch.code, name: branch.name });
+  });
+
+  return Object.values(registrations);
+}
+
+/**
+ * The registration a return is filed for; the head office GSTIN by default
+ * @param {string} gstin - GSTIN (optional)
+ * @returns {Object} { gstin, state_code, state, branch_ids, branches, location }
+ */
+function getRegistration(gstin) {
+  const registrations = getRegistrations();
+  const wanted = gstin ? String(gstin).toUpperCase() : effectiveGstin(getHeadOffice());
+  const registration = registrations.find(r => r.gstin === wanted) || (!gstin && registrations[0]);
+  if (!registration) throw new Error(`No branch is registered under GSTIN ${gstin}`);
+
+  // Address and state the registration's returns are filed from
+  const location = getBranchInfo(registration.branch_ids[0]);
+  return { ...registration, location };
+}
+
+/**
+ * Whether two branches file under the same GSTIN (a transfer between them is not a supply)
+ * @param {number} fromBranchId - Sending branch
+ * @param {number} toBranchId - Receiving branch
+ */
+function isSameRegistration(fromBranchId, toBranchId) {
+  return effectiveGstin(getBranch(fromBranchId)) === effectiveGstin(getBranch(toBranchId));
+}
+
+/**
+ * The party that stands for a branch on the other branch's invoices,
+ * created on first use
+ * @param {number} branchId - Branch id
+ */
+function getBranchParty(branchId) {
+  const existing = db.prepare('SELECT * FROM parties WHERE branch_id = ?').get(branchId);
+  if (existing) return existing;
+
+  const branch = getBranch(branchId);
+  const info = getBranchInfo(branchId);
+  const result = db.prepare(`
+    INSERT INTO parties (name, type, gstin, address, city, state, state_code, pincode, branch_id, notes)
+    VALUES (?, 'branch', ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    `${branch.name} (${branch.code})`, branch.filing_gstin, info.address || null, info.city || null,
+    info.state || null, placeOfSupply.partyState(info), info.pincode || null, branchId,
+    'Own branch; used on inter-branch stock transfers'
+  );
+
+  return db.prepare('SELECT * FROM parties WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Move stock in or out of a branch. The head office figure is derived from
+ * the product total, so only other branches are stored.
+ * @param {number} branchId - Branch id
+ * @param {number} productId - Product id
+ * @param {number} change - Quantity in (positive) or out (negative)
+ */
+function moveStock(branchId, productId, change) {
+  if (!db || !branchId || !productId || !change) return;
+
+  db.prepare(`
+    INSERT INTO branch_stock (branch_id, product_id, quantity) VALUES (?, ?, ?)
+    ON CONFLICT(branch_id, product_id) DO UPDATE SET
+      quantity = quantity + excluded.quantity, updated_at = CURRENT_TIMESTAMP
+  `).run(branchId, productId, change);
+}
+
+/**
+ * Stock on hand at a branch, or per branch for every branch
+ * @param {number} branchId - Branch id (omit for all branches)
+ * @param {Object} filters - { productId }
+ */
+function getBranchStock(branchId, filters = {}) {
+  if (!db) return [];
+
+  const products = db.prepare(`
+    SELECT id, name, sku, unit, current_stock, cost_price, rate FROM products
+    WHERE is_active = 1 ${filters.productId ? 'AND id = ?' : ''} ORDER BY name
+  `).all(...(filters.productId ? [filters.productId] : []));
+  const held = {};
+  db.prepare('SELECT branch_id, product_id, quantity FROM branch_stock').all().forEach(row => {
+    held[row.product_id] = held[row.product_id] || {};
+    held[row.product_id][row.branch_id] = row.quantity;
+  });
+
+  const branches = branchId === undefined || branchId === null
+    ? getBranches()
+    : [assertBranch(branchId)];
+
+  return branches.map(branch => ({
+    branch_id: branch.id,
+    branch_name: branch.name,
+    stock_location: branch.stock_location,
+    items: products.map(product => {
+      const byBranch = held[product.id] || {};
+      const quantity = branch.id
+        ? byBranch[branch.id] || 0
+        : product.current_stock - Object.values(byBranch).reduce((sum, q) => sum + q, 0);
+      return { product_id: product.id, name: product.name, sku: product.sku, unit: product.unit, quantity };
+    }).filter(item => item.quantity !== 0 || filters.productId)
+  }));
+}
+
+/**
+ * Record a stock transfer in the register
+ * @param {Object} transfer - branch_transfers fields
+ * @returns {number} Transfer id
+ */
+function recordTransfer(transfer) {
+  return db.prepare(`
+    INSERT INTO branch_transfers (
+      transfer_no, date, from_branch_id, to_branch_id, is_taxable, outward_transaction_id,
+      inward_transaction_id, taxable_value, total_value, items, narration, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    transfer.transfer_no, transfer.date, transfer.from_branch_id, transfer.to_branch_id,
+    transfer.is_taxable ? 1 : 0, transfer.outward_transaction_id || null, transfer.inward_transaction_id || null,
+    transfer.taxable_value || 0, transfer.total_value || 0, JSON.stringify(transfer.items || []),
+    transfer.narration || null, transfer.created_by || 'system'
+  ).lastInsertRowid;
+}
+
+/**
+ * Get one stock transfer
+ * @param {number} transferId - branch_transfers.id
+ */
+function getTransfer(transferId) {
+  const transfer = db.prepare('SELECT * FROM branch_transfers WHERE id = ?').get(transferId);
+  return transfer ? { ...transfer, items: JSON.parse(transfer.items || '[]') } : null;
+}
+
+/**
+ * Mark a stock transfer cancelled in the register
+ * @param {number} transferId - branch_transfers.id
+ * @param {string} reason - Cancellation reason
+ */
+function markTransferCancelled(transferId, reason) {
+  db.prepare('UPDATE branch_transfers SET is_cancelled = 1, cancel_reason = ? WHERE id = ?').run(reason || null, transferId);
+}
+
+/**
+ * Get stock transfers between branches
+ * @param {Object} filters - { branchId, startDate, endDate }
+ */
+function getTransfers(filters = {}) {
+  if (!db) return [];
+
+  let query = `
+    SELECT bt.*, o.voucher_no as outward_voucher_no, i.voucher_no as inward_voucher_no
+    FROM branch_transfers bt
+    LEFT JOIN transactions o ON bt.outward_transaction_id = o.id
+    LEFT JOIN transactions i ON bt.inward_transaction_id = i.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.branchId !== undefined && filters.branchId !== null) {
+    query += ' AND (bt.from_branch_id = ? OR bt.to_branch_id = ?)';
+    params.push(filters.branchId, filters.branchId);
+  }
+  if (filters.startDate) {
+    query += ' AND bt.date >= ?';
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    query += ' AND bt.date <= ?';
+    params.push(filters.endDate);
+  }
+
+  const names = Object.fromEntries(getBranches({ includeInactive: true }).map(b => [b.id, b.name]));
+  return db.prepare(`${query} ORDER BY bt.date DESC, bt.id DESC`).all(...params).map(row => ({
+    ...row,
+    items: JSON.parse(row.items || '[]'),
+    from_branch_name: names[row.from_branch_id],
+    to_branch_name: names[row.to_branch_id]
+  }));
+}
+
+module.exports = {
+  initialize,
+  getBranches,
+  getBranch,
+  assertBranch,
+  getBranchInfo,
+  saveBranch,
+  deactivateBranch,
+  getRegistrations,
+  getRegistration,
+  isSameRegistration,
+  getBranchParty,
+  moveStock,
+  getBranchStock,
+  recordTransfer,
+  getTransfer,
+  markTransferCancelled,
+  getTransfers,
+  HEAD_OFFICE_ID
+};
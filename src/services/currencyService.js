@@ -145,8 +145,8 @@ const convertCurrency = (amount, fromCurrency, toCurrency) => {
   
   const rates = data.exchangeRates.rates;
   
-  if (!rates[fromCurrency] || !rates {
-    throw new[toCurrency]) Error('Invalid currency code');
+  if (!rates[fromCurrency] || !rates[toCurrency]) {
+    throw new Error('Invalid currency code');
   }
   
   // Convert through INR as base
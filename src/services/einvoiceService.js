@@ -10,6 +10,8 @@
  * - IRN (Invoice Reference Number) management
  * - QR code generation
  * - Digital signing support
+ * - IRP registration, cancellation and lookup through irpClient, with a
+ *   'mock' mode that talks to an in-process mock IRP for offline testing
  * 
  * API References:
  * - IRP API: https://einvoice-api.gst.gov.in
@@ -18,6 +20,9 @@
 
 const crypto = require('crypto');
 const axios = require('axios');
+const irpClient = require('./irpClient');
+const placeOfSupply = require('./placeOfSupply');
+const branchService = require('./branchService');
 
 // Configuration
 const E_INVOICE_CONFIG = {
@@ -58,18 +63,37 @@ const E_INVOICE_CONFIG = {
 // Database instance
 let db = null;
 
+// Encrypts stored GSP credentials ({ encrypt, decrypt }); plain text when not provided
+let secretStore = null;
+
+// Transport used to reach the IRP; null = HTTPS (or the in-process mock in 'mock' mode)
+let irpTransport = null;
+
+// In-process mock IRP used in 'mock' mode
+let mockIrp = null;
+
 /**
  * Initialize the e-invoice service
  * @param {Object} database - Database instance
+ * @param {Object} options - { secretStore: { encrypt, decrypt } }
  */
-function initialize(database) {
+function initialize(database, options = {}) {
   db = database;
+  secretStore = options.secretStore || null;
   console.log('[EInvoiceService] Initialized');
   
   // Create e-invoice tables if they don't exist
   createTables();
 }
 
+/**
+ * Use a different transport to reach the IRP (e.g. a mock in tests)
+ * @param {Object|null} transport - { request } or null for the default
+ */
+function setTransport(transport) {
+  irpTransport = transport;
+}
+
 /**
  * Create e-invoice related database tables
  */
@@ -137,6 +161,28 @@ function createTables() {
     CREATE INDEX IF NOT EXISTS idx_einvoice_status ON einvoice_records(status);
   `);
   
+  // Columns added for the IRP protocol client
+  const addColumns = (table, columns) => {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    Object.entries(columns).forEach(([name, definition]) => {
+      if (!existing.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    });
+  };
+  addColumns('einvoice_config', {
+    irp_base_url: 'TEXT',
+    irp_public_key: 'TEXT',
+    irp_signing_key: 'TEXT',
+    auth_token: 'TEXT',
+    sek: 'TEXT',
+    token_expiry: 'TEXT'
+  });
+  addColumns('einvoice_records', {
+    signed_invoice: 'TEXT',
+    error_code: 'TEXT',
+    cancel_date: 'TEXT',
+    cancel_reason: 'TEXT'
+  });
+  
   console.log('[EInvoiceService] Tables created');
 }
 
@@ -185,6 +231,33 @@ function validateHSN(hsnCode) {
   return { valid: true };
 }
 
+/**
+ * Get the invoice lines of a transaction
+ * Falls back to the voucher header for transactions loaded without items.
+ * @param {Object} transaction - Transaction data (optionally with items)
+ * @returns {Array} Line items
+ */
+function getLineItems(transaction) {
+  return Array.isArray(transaction.items) && transaction.items.length > 0
+    ? transaction.items
+    : [transaction];
+}
+
+/**
+ * Load stored line items for a transaction
+ * @param {number} transactionId - Transaction ID
+ * @returns {Array} Line items
+ */
+function loadTransactionItems(transactionId) {
+  return db.prepare(`
+    SELECT ti.*, pr.name as product_name
+    FROM transaction_items ti
+    LEFT JOIN products pr ON ti.product_id = pr.id
+    WHERE ti.transaction_id = ?
+    ORDER BY ti.line_no ASC
+  `).all(transactionId);
+}
+
 /**
  * Generate e-invoice JSON payload
  * @param {Object} transaction - Transaction data
@@ -210,6 +283,20 @@ function generateEinvoicePayload(transaction, party, businessInfo, config) {
     supplyType = transaction.total_amount >= 100000 ? 'B2CL' : 'B2C';
   }
   
+  // Exports, SEZ and deemed exports, with or without payment of IGST
+  const withPayment = (transaction.igst_amount || 0) > 0;
+  const natureSupplyTypes = {
+    export: withPayment ? 'EXPWP' : 'EXPWOP',
+    sez: withPayment ? 'SEZWP' : 'SEZWOP',
+    deemed_export: 'DEXP'
+  };
+  supplyType = natureSupplyTypes[transaction.supply_nature] || supplyType;
+  
+  // Place of supply as decided when the invoice was saved
+  const sellerState = businessInfo.state_code || '07';
+  const pos = transaction.place_of_supply || party?.state_code || sellerState;
+  const hasShipTo = Boolean(transaction.ship_to_state_code || transaction.ship_to_gstin);
+  
   // Generate unique invoice number
   const invoiceNo = transaction.voucher_no || `INV-${Date.now()}`;
   
@@ -223,14 +310,15 @@ function generateEinvoicePayload(transaction, party, businessInfo, config) {
       TaxSch: 'GST',
       SupTyp: supplyType,
       RegRev: 'N', // Regular taxpayer
-      EcmGstin: null // E-commerce GSTIN if applicable
+      EcmGstin: null, // E-commerce GSTIN if applicable
+      IgstOnIntra: supplyType === 'B2B' && withPayment && pos === sellerState ? 'Y' : 'N' // IGST on an intra-state B2B supply
     },
     
     // Document Type
     DocDtls: {
       Typ: 'INV', // Invoice
       No: invoiceNo,
-      Dt: transaction.date || new Date().toISOString().split('T')[0]
+      Dt: toIrpDate(transaction.date || new Date().toISOString().split('T')[0])
     },
     
     // Supplier Details
@@ -248,10 +336,11 @@ function generateEinvoicePayload(transaction, party, businessInfo, config) {
     },
     
     // Buyer Details (different for B2B vs B2C)
-    BuyerDtls: supplyType.startsWith('B2B') || supplyType === 'B2CL' ? {
+    BuyerDtls: supplyType !== 'B2C' ? {
       Gstin: recipientGstin || 'URP',
       LglNm: party?.name || 'Buyer Name',
       TrdNm: party?.name || 'Buyer Name',
+      Pos: pos,
       Addr1: party?.address || 'Address not provided',
       Addr2: party?.address2 || '',
       Loc: party?.city || 'City',
@@ -263,6 +352,7 @@ function generateEinvoicePayload(transaction, party, businessInfo, config) {
       Gstin: 'URP',
       LglNm: party?.name || 'Consumer',
       TrdNm: party?.name || 'Consumer',
+      Pos: pos,
       Addr1: party?.address || 'Consumer Address',
       Addr2: '',
       Loc: party?.city || 'Local',
@@ -284,7 +374,15 @@ function generateEinvoicePayload(transaction, party, businessInfo, config) {
     },
     
     // Ship To Details (if different from buyer)
-    ShipDtls: supplyType.startsWith('B2B') ? {
+    ShipDtls: hasShipTo ? {
+      Gstin: transaction.ship_to_gstin || 'URP',
+      LglNm: transaction.ship_to_name || party?.name || 'Consignee',
+      Addr1: transaction.ship_to_address || 'Address',
+      Addr2: '',
+      Loc: transaction.ship_to_city || 'City',
+      Pin: parseInt(transaction.ship_to_pincode) || 110001,
+      Stcd: placeOfSupply.stateCode(transaction.ship_to_state_code || transaction.ship_to_gstin) || pos
+    } : supplyType.startsWith('B2B') ? {
       Gstin: recipientGstin || 'URP',
       LglNm: party?.name || 'Buyer Name',
       Addr1: party?.address || 'Address',
@@ -294,34 +392,32 @@ function generateEinvoicePayload(transaction, party, businessInfo, config) {
       Stcd: party?.state_code || '07'
     } : null,
     
-    // Item List
-    ItemList: [
-      {
-        SlNo: '1',
-        PrdDesc: transaction.description || transaction.narration || 'Product/Service',
-        IsServc: 'N',
-        HsnCd: transaction.hsn_code || '999999', // Default HSN
-        Qty: transaction.quantity || 1,
-        Unit: transaction.unit || 'NOS',
-        UnitPrice: transaction.rate || 0,
-        TotAmt: transaction.amount || 0,
-        Discount: transaction.discount_amount || 0,
-        PreTaxVal: transaction.taxable_amount || 0,
-        AssAmt: transaction.taxable_amount || 0,
-        GstRt: transaction.gst_rate || 0,
-        IgstAmt: transaction.igst_amount || 0,
-        CgstAmt: transaction.cgst_amount || 0,
-        SgstAmt: transaction.sgst_amount || 0,
-        CessAmt: transaction.cess_amount || 0,
-        StateCessAmt: 0,
-        TotItemVal: transaction.total_amount || 0
-      }
-    ],
+    // Item List (one entry per invoice line)
+    ItemList: getLineItems(transaction).map((item, index) => ({
+      SlNo: String(index + 1),
+      PrdDesc: item.description || item.product_name || transaction.narration || 'Product/Service',
+      IsServc: String(item.hsn_code || '').startsWith('99') ? 'Y' : 'N', // SAC codes start with 99
+      HsnCd: item.hsn_code || '999999', // Default HSN
+      Qty: item.quantity || 1,
+      Unit: (item.unit || 'NOS').toUpperCase(),
+      UnitPrice: item.rate || 0,
+      TotAmt: item.amount || 0,
+      Discount: item.discount_amount || 0,
+      PreTaxVal: item.taxable_amount || 0,
+      AssAmt: item.taxable_amount || 0,
+      GstRt: item.gst_rate || 0,
+      IgstAmt: item.igst_amount || 0,
+      CgstAmt: item.cgst_amount || 0,
+      SgstAmt: item.sgst_amount || 0,
+      CessAmt: item.cess_amount || 0,
+      StateCessAmt: 0,
+      TotItemVal: item.total_amount || 0
+    })),
     
     // Total Calculation
     ValDtls: {
       BaseAmt: transaction.taxable_amount || 0,
-      Discount: transaction.discount_amount || 0,
+      Discount: 0, // Line discounts are already netted into each item's AssAmt
       CgstAmt: transaction.cgst_amount || 0,
       SgstAmt: transaction.sgst_amount || 0,
       IgstAmt: transaction.igst_amount || 0,
@@ -398,19 +494,17 @@ function generateEwaybillPayload(transaction, party, businessInfo, transport = {
     toState: parseInt(party?.state_code) || 7,
     
     // Item Details
-    itemList: [
-      {
-        productName: transaction.description || 'Product',
-        hsnCode: transaction.hsn_code || '999999',
-        quantity: transaction.quantity || 1,
-        unit: transaction.unit || 'NOS',
-        taxableAmount: transaction.taxable_amount || 0,
-        cgstRate: transaction.gst_rate / 2 || 0,
-        sgstRate: transaction.gst_rate / 2 || 0,
-        igstRate: transaction.gst_rate || 0,
-        cessRate: transaction.cess_rate || 0
-      }
-    ],
+    itemList: getLineItems(transaction).map(item => ({
+      productName: item.description || item.product_name || 'Product',
+      hsnCode: item.hsn_code || '999999',
+      quantity: item.quantity || 1,
+      unit: (item.unit || 'NOS').toUpperCase(),
+      taxableAmount: item.taxable_amount || 0,
+      cgstRate: item.gst_rate / 2 || 0,
+      sgstRate: item.gst_rate / 2 || 0,
+      igstRate: item.gst_rate || 0,
+      cessRate: item.cess_rate || 0
+    })),
     
     // Total Value
     totalValue: transaction.total_amount || 0,
@@ -470,6 +564,86 @@ function generateIRN(gstin, invoiceNo, invoiceDate, totalAmount) {
   return hash.substring(0, 64);
 }
 
+/**
+ * Convert an ISO date (YYYY-MM-DD) to the DD/MM/YYYY format the IRP expects
+ * @param {string} date - Date
+ * @returns {string} DD/MM/YYYY
+ */
+function toIrpDate(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+  return match ? `${match[3]}/${match[2]}/${match[1]}` : date;
+}
+
+/**
+ * Reveal a stored secret
+ * @param {string} value - Stored value
+ */
+function revealSecret(value) {
+  if (!value) return '';
+  return secretStore ? secretStore.decrypt(value) : value;
+}
+
+/**
+ * Protect a secret before storing it
+ * @param {string} value - Plain value
+ */
+function protectSecret(value) {
+  if (!value) return null;
+  return secretStore ? secretStore.encrypt(value) : value;
+}
+
+/**
+ * Build an IRP client from the saved configuration. In 'mock' mode the client
+ * talks to an in-process mock IRP, so the whole flow works offline.
+ * @param {Object} config - einvoice_config row
+ * @returns {Object} IRP client
+ */
+function getIrpClient(config) {
+  let transport = irpTransport;
+  let publicKey = config.irp_public_key;
+  let signingPublicKey = config.irp_signing_key;
+  const credentials = {
+    clientId: config.gsp_client_id,
+    clientSecret: revealSecret(config.gsp_client_secret_encrypted),
+    username: config.gsp_username,
+    password: revealSecret(config.gsp_password_encrypted),
+    gstin: config.gstin
+  };
+
+  if (config.mode === 'mock') {
+    if (!mockIrp) {
+      const { createMockIrp } = require('./mockIrpServer');
+      mockIrp = createMockIrp();
+    }
+    if (!transport) {
+      const { createMockTransport } = require('./mockIrpServer');
+      transport = createMockTransport(mockIrp);
+    }
+    publicKey = mockIrp.publicKey;
+    signingPublicKey = mockIrp.signingPublicKey;
+    credentials.clientId = credentials.clientId || 'mock-client';
+    credentials.clientSecret = credentials.clientSecret || 'mock-secret';
+    credentials.username = credentials.username || 'mock-user';
+    credentials.password = credentials.password || 'mock-password';
+  }
+
+  return irpClient.createIrpClient({
+    baseUrl: config.irp_base_url || (config.mode === 'mock' ? 'http://mock-irp' : undefined),
+    mode: config.mode,
+    transport,
+    publicKey,
+    signingPublicKey,
+    credentials,
+    session: config.auth_token ? { authToken: config.auth_token, sek: revealSecret(config.sek), tokenExpiry: config.token_expiry } : null,
+    onSession: (session) => {
+      if (!config.id) return;
+      db.prepare(`
+        UPDATE einvoice_config SET auth_token = ?, sek = ?, token_expiry = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(session.authToken, protectSecret(session.sek), session.tokenExpiry, config.id);
+    }
+  });
+}
+
 /**
  * Submit e-invoice to IRP
  * @param {Object} payload - E-invoice JSON payload
@@ -477,75 +651,25 @@ function generateIRN(gstin, invoiceNo, invoiceDate, totalAmount) {
  * @returns {Object} API response
  */
 async function submitToIRP(payload, config) {
-  // In sandbox mode, simulate the API response
-  if (config.mode === 'sandbox') {
-    console.log('[EInvoiceService] Sandbox mode - simulating IRP response');
-    
-    // Generate mock response
-    const irn = generateIRN(
-      payload.SellerDtls.Gstin,
-      payload.DocDtls.No,
-      payload.DocDtls.Dt,
-      payload.ValDtls.TotInvVal
-    );
-    
-    const ackNo = `ACK${Date.now()}`;
-    const ackDate = new Date().toISOString();
-    
-    return {
-      success: true,
-      data: {
-        Irn: irn,
-        AckNo: ackNo,
-        AckDt: ackDate,
-        SignedInvoice: 'mock-signed-data',
-        SignedQRCode: 'mock-qr-code',
-        Status: 'Success'
-      }
-    };
-  }
-  
-  // Production API call would go here
-  // This requires GSP authentication and API integration
   try {
-    // Get access token first
-    const tokenResponse = await axios.post(`${config.baseUrl}/oauth/token`, {
-      grant_type: 'client_credentials',
-      client_id: config.gsp_client_id,
-      client_secret: config.gsp_client_secret,
-      username: config.gsp_username,
-      password: config.gsp_password
-    }, {
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-    const accessToken = tokenResponse.data.access_token;
-    
-    // Submit e-invoice
-    const response = await axios.post(
-      `${config.baseUrl}/einvoice`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'user_name': config.gsp_username,
-          'password': config.gsp_password,
-          'request_id': `REQ-${Date.now()}`
-        }
-      }
-    );
-    
-    return {
-      success: true,
-      data: response.data
-    };
+    const client = getIrpClient(config);
+    const result = await client.generateIRN(payload);
+    if (result.success) return result;
+
+    // Already registered (e.g. an earlier attempt timed out after the IRP
+    // accepted it): fetch the existing IRN instead of failing
+    const duplicate = (result.info || []).find(info => info.code === 'DUPIRN');
+    if (duplicate && duplicate.details && duplicate.details.Irn) {
+      const existing = await client.getByIRN(duplicate.details.Irn);
+      if (existing.success) return { ...existing, duplicate: true };
+    }
+
+    return result;
   } catch (error) {
     console.error('[EInvoiceService] IRP API Error:', error.message);
     return {
       success: false,
-      error: error.message,
-      details: error.response?.data || null
+      error: error.message
     };
   }
 }
@@ -635,29 +759,20 @@ async function generateEinvoice(transactionId) {
     if (!transaction) {
       return { success: false, error: 'Transaction not found' };
     }
+    if (transaction.bill_of_supply) {
+      return { success: false, error: 'Composition dealers issue bills of supply, which are not reported as e-invoices' };
+    }
     
-    // Get business info
-    const businessInfo = {};
-    const infoRows = db.prepare('SELECT key, value FROM business_info').all();
-    infoRows.forEach(row => {
-      businessInfo[row.key] = row.value;
-    });
+    transaction.items = loadTransactionItems(transactionId);
     
-    // Add state code mapping
-    const stateCodes = {
-      'Delhi': '07', 'Maharashtra': '27', 'Karnataka': '29',
-      'Tamil Nadu': '33', 'Gujarat': '24', 'West Bengal': '19',
-      'Uttar Pradesh': '09', 'Rajasthan': '08', 'Madhya Pradesh': '23',
-      'Kerala': '32', 'Punjab': '03', 'Haryana': '06',
-      'Telangana': '36', 'Andhra Pradesh': '28', 'Bihar': '10',
-      'Odisha': '21', 'Chhattisgarh': '22', 'Jharkhand': '20',
-      'Uttarakhand': '05', 'Puducherry': '34', 'Goa': '30'
-    };
-    businessInfo.state_code = businessInfo.state_code || stateCodes[businessInfo.state] || '07';
+    // The supplier is the branch (GSTIN and address) the invoice was raised from
+    const businessInfo = branchService.getBranchInfo(transaction.branch_id);
     
-    if (transaction.party_state_code) {
-      transaction.party_state_code = stateCodes[transaction.party_state] || transaction.party_state_code || '07';
-    }
+    // State codes from the GSTIN, else the state on record
+    businessInfo.state_code = placeOfSupply.partyState(businessInfo) || '07';
+    transaction.party_state_code = placeOfSupply.partyState({
+      gstin: transaction.party_gstin, state_code: transaction.party_state_code, state: transaction.party_state
+    }) || transaction.party_state_code;
     
     // Get e-invoice config
     const config = db.prepare('SELECT * FROM einvoice_config LIMIT 1').get() || {
@@ -667,8 +782,10 @@ async function generateEinvoice(transactionId) {
     };
     
     // Check if already generated
-    const existing = db.prepare('SELECT * FROM einvoice_records WHERE transaction_id = ?').get(transactionId);
-    if (existing && existing.status === 'success') {
+    const existing = db.prepare(`
+      SELECT * FROM einvoice_records WHERE transaction_id = ? AND status = 'success'
+    `).get(transactionId);
+    if (existing) {
       return { 
         success: false, 
         error: 'E-invoice already generated',
@@ -700,8 +817,12 @@ async function generateEinvoice(transactionId) {
       
       const insertStmt = db.prepare(`
         INSERT INTO einvoice_records 
-        (transaction_id, invoice_no, irn, ack_no, ack_date, signed_qr_code, einvoice_json, status)
-        VALUES (?, ?, ?, ?, ?, ?, ?, 'success')
+        (transaction_id, invoice_no, irn, ack_no, ack_date, signed_qr_code, signed_invoice, einvoice_json, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'success')
+        ON CONFLICT(irn) DO UPDATE SET
+          transaction_id = excluded.transaction_id, ack_no = excluded.ack_no, ack_date = excluded.ack_date,
+          signed_qr_code = excluded.signed_qr_code, signed_invoice = excluded.signed_invoice,
+          status = 'success', error_message = NULL, error_code = NULL, updated_at = CURRENT_TIMESTAMP
       `);
       
       const insertResult = insertStmt.run(
@@ -711,6 +832,7 @@ async function generateEinvoice(transactionId) {
         ackNo,
         ackDate,
         result.data.SignedQRCode,
+        result.data.SignedInvoice,
         JSON.stringify(payload)
       );
       
@@ -720,26 +842,30 @@ async function generateEinvoice(transactionId) {
         ackNo,
         ackDate,
         qrCode: result.data.SignedQRCode,
+        duplicate: Boolean(result.duplicate),
         id: insertResult.lastInsertRowid
       };
     } else {
       // Save failed attempt
       const insertStmt = db.prepare(`
         INSERT INTO einvoice_records 
-        (transaction_id, invoice_no, einvoice_json, status, error_message)
-        VALUES (?, ?, ?, 'failed', ?)
+        (transaction_id, invoice_no, einvoice_json, status, error_message, error_code)
+        VALUES (?, ?, ?, 'failed', ?, ?)
       `);
       
+      const errorCodes = (result.errors || []).map(e => e.code).filter(Boolean);
       insertStmt.run(
         transactionId,
         payload.DocDtls.No,
         JSON.stringify(payload),
-        result.error
+        result.error,
+        errorCodes.join(',') || null
       );
       
       return {
         success: false,
-        error: result.error
+        error: result.error,
+        errors: result.errors || []
       };
     }
   } catch (error) {
@@ -777,15 +903,15 @@ async function generateEwaybill(transactionId, transport = {}) {
       return { success: false, error: 'Transaction not found' };
     }
     
-    // Get business info
-    const businessInfo = {};
-    const infoRows = db.prepare('SELECT key, value FROM business_info').all();
-    infoRows.forEach(row => {
-      businessInfo[row.key] = row.value;
-    });
+    transaction.items = loadTransactionItems(transactionId);
+    
+    // Get business info of the branch that raised the invoice
+    const businessInfo = branchService.getBranchInfo(transaction.branch_id);
     
     // Get e-invoice record
-    const einvoice = db.prepare('SELECT * FROM einvoice_records WHERE transaction_id = ?').get(transactionId);
+    const einvoice = db.prepare(`
+      SELECT * FROM einvoice_records WHERE transaction_id = ? AND status = 'success'
+    `).get(transactionId);
     
     if (!einvoice) {
       return { success: false, error: 'E-invoice must be generated first' };
@@ -814,12 +940,12 @@ async function generateEwaybill(transactionId, transport = {}) {
       db.prepare(`
         UPDATE einvoice_records 
         SET ewb_no = ?, ewb_date = ?, ewb_valid_until = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE transaction_id = ?
+        WHERE id = ?
       `).run(
         result.data.ewbNo,
         result.data.ewbDate,
         result.data.validUpto,
-        transactionId
+        einvoice.id
       );
       
       return {
@@ -858,9 +984,130 @@ function getEinvoice(transactionId) {
     JOIN transactions t ON e.transaction_id = t.id
     LEFT JOIN parties p ON t.party_id = p.id
     WHERE e.transaction_id = ?
+    ORDER BY CASE e.status WHEN 'success' THEN 0 WHEN 'cancelled' THEN 1 ELSE 2 END, e.id DESC
   `).get(transactionId);
 }
 
+/**
+ * Get an e-invoice from the IRP by its IRN and refresh the local record
+ * @param {string} irn - IRN
+ * @returns {Object} Result
+ */
+async function getEinvoiceByIRN(irn) {
+  if (!db) {
+    return { success: false, error: 'Database not initialized' };
+  }
+  
+  try {
+    const config = db.prepare('SELECT * FROM einvoice_config LIMIT 1').get();
+    if (!config) {
+      return { success: false, error: 'E-invoice is not configured' };
+    }
+    
+    const client = getIrpClient(config);
+    const result = await client.getByIRN(irn);
+    if (!result.success) return result;
+    
+    const status = result.data.Status === 'CNL' ? 'cancelled' : 'success';
+    db.prepare(`
+      UPDATE einvoice_records
+      SET ack_no = ?, ack_date = ?, signed_qr_code = ?, signed_invoice = ?, status = ?,
+          cancel_date = COALESCE(?, cancel_date), updated_at = CURRENT_TIMESTAMP
+      WHERE irn = ?
+    `).run(
+      result.data.AckNo, result.data.AckDt, result.data.SignedQRCode, result.data.SignedInvoice, status,
+      result.data.CancelDate || null, irn
+    );
+    
+    return {
+      success: true,
+      irn: result.data.Irn,
+      ackNo: result.data.AckNo,
+      ackDate: result.data.AckDt,
+      status,
+      invoice: client.decodeSignedInvoice(result.data.SignedInvoice).data,
+      qrCode: result.data.SignedQRCode
+    };
+  } catch (error) {
+    console.error('[EInvoiceService] Get by IRN error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Decode a scanned or pasted signed QR code, verify its signature with the
+ * IRP's public key and check it against the e-invoice we registered.
+ * A QR is genuine only when the signature verifies, the IRN is ours and still
+ * active, and every printed field matches the books.
+ * @param {string} signedQRCode - Signed QR code (JWT) from the IRP
+ * @returns {Object} { success, genuine, verified, status, checks, ...decoded QR details }
+ */
+function verifyQRCode(signedQRCode) {
+  const token = String(signedQRCode || '').replace(/\s+/g, '');
+  const config = (db && db.prepare('SELECT * FROM einvoice_config LIMIT 1').get()) || {};
+  const publicKey = config.mode === 'mock' && mockIrp ? mockIrp.signingPublicKey : config.irp_signing_key;
+  const decoded = irpClient.decodeSignedQRCode(token, { publicKey });
+
+  if (!decoded.valid) {
+    return { success: false, genuine: false, ...decoded };
+  }
+  if (!db) {
+    return { success: true, genuine: false, ...decoded, status: 'unknown', checks: [], message: 'Database not initialized' };
+  }
+
+  const record = db.prepare(`
+    SELECT e.*, t.date as transaction_date, t.total_amount, t.branch_id, p.gstin as party_gstin
+    FROM einvoice_records e
+    JOIN transactions t ON e.transaction_id = t.id
+    LEFT JOIN parties p ON t.party_id = p.id
+    WHERE e.irn = ? AND e.status IN ('success', 'cancelled')
+    ORDER BY CASE e.status WHEN 'success' THEN 0 ELSE 1 END, e.id DESC
+  `).get(decoded.irn);
+
+  if (!record) {
+    return {
+      success: true, genuine: false, ...decoded, status: 'not_found', checks: [],
+      message: 'No e-invoice with this IRN is recorded in the books'
+    };
+  }
+
+  const businessInfo = branchService.getBranchInfo(record.branch_id);
+  const upper = (value) => String(value || '').toUpperCase();
+  const check = (field, expected, actual, match = String(expected) === String(actual)) => ({ field, expected, actual, match });
+
+  const checks = [
+    check('seller_gstin', upper(businessInfo.gstin), upper(decoded.seller_gstin)),
+    check('buyer_gstin', upper(record.party_gstin) || 'URP', upper(decoded.buyer_gstin)),
+    check('doc_no', record.invoice_no, decoded.doc_no),
+    check('doc_date', toIrpDate(record.transaction_date), decoded.doc_date),
+    check('total_value', record.total_amount, decoded.total_value,
+      Math.abs(Number(record.total_amount) - Number(decoded.total_value)) <= 1),
+    check('signed_qr_code', 'stored QR', record.signed_qr_code === token ? 'stored QR' : 'different QR')
+  ];
+
+  const mismatches = checks.filter(c => !c.match).map(c => c.field);
+  const cancelled = record.status === 'cancelled';
+  const genuine = decoded.verified === true && !cancelled && mismatches.length === 0;
+
+  let message = 'QR code is genuine and matches the recorded e-invoice';
+  if (decoded.verified === false) message = 'QR code signature is invalid';
+  else if (decoded.verified !== true) message = 'IRP signing key is not configured; the signature could not be checked';
+  else if (mismatches.length) message = `QR code does not match the books: ${mismatches.join(', ')}`;
+  else if (cancelled) message = `E-invoice was cancelled${record.cancel_date ? ` on ${record.cancel_date}` : ''}`;
+
+  return {
+    success: true,
+    genuine,
+    ...decoded,
+    status: record.status,
+    transaction_id: record.transaction_id,
+    ack_no: record.ack_no,
+    ack_date: record.ack_date,
+    checks,
+    message
+  };
+}
+
 /**
  * List all e-invoices
  * @param {Object} filters - Filter options
@@ -985,7 +1232,17 @@ function saveConfig(config) {
   }
   
   try {
-    const existing = db.prepare('SELECT id FROM einvoice_config LIMIT 1').get();
+    const existing = db.prepare('SELECT * FROM einvoice_config LIMIT 1').get();
+    
+    // Secrets are write-only: a blank value keeps the one already saved
+    const password = config.gsp_password ? protectSecret(config.gsp_password) : (existing ? existing.gsp_password_encrypted : null);
+    const clientSecret = config.gsp_client_secret ? protectSecret(config.gsp_client_secret) : (existing ? existing.gsp_client_secret_encrypted : null);
+    
+    // Changing the login or the IRP invalidates the saved session
+    const resetSession = existing && (
+      existing.gsp_username !== (config.gsp_username || null) || existing.mode !== config.mode ||
+      existing.gstin !== config.gstin || Boolean(config.gsp_password)
+    );
     
     if (existing) {
       db.prepare(`
@@ -994,6 +1251,8 @@ function saveConfig(config) {
             state = ?, pincode = ?, email = ?, phone = ?,
             gsp_provider = ?, gsp_username = ?, mode = ?,
             auto_generate = ?, ewaybill_enabled = ?,
+            gsp_password_encrypted = ?, gsp_client_id = ?, gsp_client_secret_encrypted = ?,
+            irp_base_url = ?, irp_public_key = ?, irp_signing_key = ?,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `).run(
@@ -1001,19 +1260,29 @@ function saveConfig(config) {
         config.state, config.pincode, config.email, config.phone,
         config.gsp_provider, config.gsp_username, config.mode,
         config.auto_generate ? 1 : 0, config.ewaybill_enabled ? 1 : 0,
+        password, config.gsp_client_id || null, clientSecret,
+        config.irp_base_url || null, config.irp_public_key || existing.irp_public_key, config.irp_signing_key || existing.irp_signing_key,
         existing.id
       );
+      
+      if (resetSession) {
+        db.prepare('UPDATE einvoice_config SET auth_token = NULL, sek = NULL, token_expiry = NULL WHERE id = ?').run(existing.id);
+      }
     } else {
       db.prepare(`
         INSERT INTO einvoice_config 
         (gstin, legal_name, trade_name, address, state, pincode, email, phone,
-         gsp_provider, gsp_username, mode, auto_generate, ewaybill_enabled)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         gsp_provider, gsp_username, mode, auto_generate, ewaybill_enabled,
+         gsp_password_encrypted, gsp_client_id, gsp_client_secret_encrypted,
+         irp_base_url, irp_public_key, irp_signing_key)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         config.gstin, config.legal_name, config.trade_name, config.address,
         config.state, config.pincode, config.email, config.phone,
         config.gsp_provider, config.gsp_username, config.mode,
-        config.auto_generate ? 1 : 0, config.ewaybill_enabled ? 1 : 0
+        config.auto_generate ? 1 : 0, config.ewaybill_enabled ? 1 : 0,
+        password, config.gsp_client_id || null, clientSecret,
+        config.irp_base_url || null, config.irp_public_key || null, config.irp_signing_key || null
       );
     }
     
@@ -1026,25 +1295,40 @@ function saveConfig(config) {
 
 /**
  * Get e-invoice configuration
- * @returns {Object} Configuration
+ * @returns {Object} Configuration (secrets replaced by has_* flags)
  */
 function getConfig() {
   if (!db) return null;
-  return db.prepare('SELECT * FROM einvoice_config LIMIT 1').get();
+  
+  const config = db.prepare('SELECT * FROM einvoice_config LIMIT 1').get();
+  if (!config) return config;
+  
+  const { gsp_password_encrypted, gsp_client_secret_encrypted, auth_token, sek, ...safeConfig } = config;
+  return {
+    ...safeConfig,
+    has_password: Boolean(gsp_password_encrypted),
+    has_client_secret: Boolean(gsp_client_secret_encrypted),
+    has_public_key: Boolean(config.irp_public_key),
+    session_active: Boolean(auth_token) && new Date(config.token_expiry).getTime() > Date.now()
+  };
 }
 
 /**
- * Cancel e-invoice
+ * Cancel e-invoice on the IRP (allowed within 24 hours of generation)
  * @param {number} transactionId - Transaction ID
- * @param {string} reason - Cancellation reason
+ * @param {string} reason - Cancellation remarks
+ * @param {string} reasonCode - duplicate | data_entry_mistake | order_cancelled | other
  * @returns {Object} Result
  */
-async function cancelEinvoice(transactionId, reason) {
+async function cancelEinvoice(transactionId, reason, reasonCode = 'other') {
   if (!db) {
     return { success: false, error: 'Database not initialized' };
   }
   
-  const einvoice = db.prepare('SELECT * FROM einvoice_records WHERE transaction_id = ?').get(transactionId);
+  const einvoice = db.prepare(`
+    SELECT * FROM einvoice_records WHERE transaction_id = ? AND status IN ('success', 'cancelled')
+    ORDER BY id DESC
+  `).get(transactionId);
   
   if (!einvoice) {
     return { success: false, error: 'E-invoice not found' };
@@ -1054,20 +1338,32 @@ async function cancelEinvoice(transactionId, reason) {
     return { success: false, error: 'E-invoice already cancelled' };
   }
   
-  // In production, call IRP cancel API
-  // For now, just update local status
-  db.prepare(`
-    UPDATE einvoice_records 
-    SET status = 'cancelled', error_message = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE transaction_id = ?
-  `).run(`Cancelled: ${reason}`, transactionId);
-  
-  return { success: true };
+  try {
+    const config = db.prepare('SELECT * FROM einvoice_config LIMIT 1').get();
+    if (!config) {
+      return { success: false, error: 'E-invoice is not configured' };
+    }
+    
+    const result = await getIrpClient(config).cancelIRN(einvoice.irn, reasonCode, reason);
+    if (!result.success) return result;
+    
+    db.prepare(`
+      UPDATE einvoice_records 
+      SET status = 'cancelled', cancel_date = ?, cancel_reason = ?, error_message = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(result.data.CancelDate, reasonCode, `Cancelled: ${reason}`, einvoice.id);
+    
+    return { success: true, irn: result.data.Irn, cancelDate: result.data.CancelDate };
+  } catch (error) {
+    console.error('[EInvoiceService] Cancel error:', error);
+    return { success: false, error: error.message };
+  }
 }
 
 // Export service
 module.exports = {
   initialize,
+  setTransport,
   generateEinvoicePayload,
   generateEwaybillPayload,
   generateQRCodeData,
@@ -1077,6 +1373,8 @@ module.exports = {
   generateEinvoice,
   generateEwaybill,
   getEinvoice,
+  getEinvoiceByIRN,
+  verifyQRCode,
   listEinvoices,
   getPendingInvoices,
   saveConfig,
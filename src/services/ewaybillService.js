@@ -1,35 +1,72 @@
 const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const placeOfSupply = require('./placeOfSupply');
+const branchService = require('./branchService');
 
-// File paths for data storage
-const DATA_DIR = path.join(__dirname, '../../data');
-const EWAYBILLS_FILE = path.join(DATA_DIR, 'ewaybills.json');
+// E-way bills were kept in this JSON file before they moved into the database
+const LEGACY_EWAYBILLS_FILE = path.join(__dirname, '../../data/ewaybills.json');
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Initialize ewaybills file if it doesn't exist
-if (!fs.existsSync(EWAYBILLS_FILE)) {
-  fs.writeFileSync(EWAYBILLS_FILE, JSON.stringify([], null, 2));
-}
+// Part-B (vehicle) update reason codes
+const VEHICLE_REASONS = {
+  '1': 'Due to Break Down',
+  '2': 'Due to Transhipment',
+  '3': 'Others',
+  '4': 'First Time'
+};
 
-// Helper functions
-const readEwaybills = () => {
-  try {
-    const data = fs.readFileSync(EWAYBILLS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+// Validity extension reason codes
+const EXTENSION_REASONS = {
+  '1': 'Natural Calamity',
+  '2': 'Law and Order Situation',
+  '4': 'Transshipment',
+  '5': 'Accident',
+  '99': 'Others'
 };
 
-const writeEwaybills = (ewaybills) => {
-  fs.writeFileSync(EWAYBILLS_FILE, JSON.stringify(ewaybills, null, 2));
+// Where the goods are while an extension is requested: in movement, or in transit (parked)
+const TRANSIT_TYPES = { R: 'Road', W: 'Warehouse', O: 'Others' };
+
+// Validity can be extended only from 8 hours before to 8 hours after it lapses
+const EXTENSION_WINDOW_MS = 8 * 60 * 60 * 1000;
+
+// Bill fields and their columns; everything else about a bill lives in its own table
+const FIELD_COLUMNS = {
+  transactionId: 'transaction_id',
+  supplyType: 'supply_type',
+  subSupplyType: 'sub_supply_type',
+  docType: 'doc_type',
+  docNo: 'doc_no',
+  docDate: 'doc_date',
+  consignorGstin: 'consignor_gstin',
+  consignorName: 'consignor_name',
+  consignorAddress1: 'consignor_address1',
+  consignorAddress2: 'consignor_address2',
+  consignorPlace: 'consignor_place',
+  consignorPincode: 'consignor_pincode',
+  consigneeGstin: 'consignee_gstin',
+  consigneeName: 'consignee_name',
+  consigneeAddress1: 'consignee_address1',
+  consigneeAddress2: 'consignee_address2',
+  consigneePlace: 'consignee_place',
+  consigneePincode: 'consignee_pincode',
+  dispatchPlace: 'dispatch_place',
+  dispatchState: 'dispatch_state',
+  shipToPlace: 'ship_to_place',
+  shipToState: 'ship_to_state',
+  transporterId: 'transporter_id',
+  transporterName: 'transporter_name',
+  transporterDocNo: 'transporter_doc_no',
+  transporterDocDate: 'transporter_doc_date',
+  mode: 'mode',
+  vehicleNo: 'vehicle_no',
+  vehicleType: 'vehicle_type',
+  distance: 'distance',
+  cessValue: 'cess_value'
 };
 
+// Database instance
+let db = null;
+
 // GSTIN validation regex
 const isValidGSTIN = (gstin) => {
   const gstinRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
@@ -49,163 +86,607 @@ const calculateValidity = (distance, isOdc = false) => {
   return Math.max(1, Math.min(validityDays, 15)); // Min 1 day, max 15 days (or 30 for ODC)
 };
 
-// State code mapping
-const STATE_CODES = {
-  '01': 'Jammu and Kashmir', '02': 'Punjab', '03': 'Chandigarh', '04': 'Himachal Pradesh',
-  '05': 'Uttaranchal', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan',
-  '09': 'Uttar Pradesh', '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh',
-  '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram', '16': 'Tripura',
-  '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand',
-  '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
-  '25': 'Daman and Diu', '26': 'Dadra and Nagar Haveli', '27': 'Maharashtra',
-  '29': 'Karnataka', '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala',
-  '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman and Nicobar Islands',
-  '36': 'Telangana', '37': 'Andhra Pradesh', '38': ' Ladakh'
+// A day of validity runs to midnight of the day after the day it starts (rule 138(10))
+const validUptoFrom = (start, days) => {
+  const validUpto = new Date(start);
+  validUpto.setDate(validUpto.getDate() + days);
+  validUpto.setHours(23, 59, 59, 0);
+  return validUpto;
 };
 
-// Check if inter-state
-const isInterState = (fromGstin, toGstin) => {
-  if (!fromGstin || !toGstin) return false;
-  const fromState = fromGstin.substring(0, 2);
-  const toState = toGstin.substring(0, 2);
-  return fromState !== toState;
+// EWB numbers are 12 digits; consolidated bills use the same format
+const generateEwbNumber = () => `1${String(Date.now()).slice(-8)}${String(Math.floor(Math.random() * 1000)).padStart(3, '0')}`;
+
+// Inter-state when the place of supply differs from the consignor's state
+const isInterState = (ewb) => {
+  if (!ewb.consignorGstin) return false;
+  return placeOfSupply.determinePlaceOfSupply({
+    supplier: { gstin: ewb.consignorGstin },
+    recipient: { gstin: ewb.consigneeGstin },
+    ship_to: ewb.shipToState ? { state: ewb.shipToState } : null
+  }).is_interstate;
+};
+
+// Totals for a list of items
+const calculateTotals = (items, isInterstate) => {
+  let totalTaxableValue = 0;
+  let totalCgst = 0;
+  let totalSgst = 0;
+  let totalIgst = 0;
+
+  (items || []).forEach(item => {
+    const taxableValue = parseFloat(item.taxableValue) || 0;
+    const taxRate = parseFloat(item.taxRate) || 0;
+
+    totalTaxableValue += taxableValue;
+
+    if (isInterstate) {
+      totalIgst += (taxableValue * taxRate / 100);
+    } else {
+      totalCgst += (taxableValue * taxRate / 200);
+      totalSgst += (taxableValue * taxRate / 200);
+    }
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    total_taxable_value: round(totalTaxableValue),
+    total_cgst: round(totalCgst),
+    total_sgst: round(totalSgst),
+    total_igst: round(totalIgst),
+    total_value: round(totalTaxableValue + totalCgst + totalSgst + totalIgst)
+  };
 };
 
 class EwaybillService {
+  /**
+   * Initialize the e-way bill service
+   * @param {Object} database - Database instance
+   */
+  initialize(database) {
+    db = database;
+    console.log('[EwaybillService] Initialized');
+    this.createTables();
+    this.migrateLegacyFile();
+  }
+
+  // Create e-way bill tables
+  createTables() {
+    if (!db) return;
+
+    db.exec(`
+      -- E-way bills (Part-A document details, current Part-B vehicle and validity)
+      CREATE TABLE IF NOT EXISTS ewaybills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ewb_no TEXT NOT NULL UNIQUE,
+        transaction_id INTEGER REFERENCES transactions(id),
+        supply_type TEXT DEFAULT 'OUTWARD',
+        sub_supply_type TEXT DEFAULT 'Supply',
+        doc_type TEXT DEFAULT 'Tax Invoice',
+        doc_no TEXT,
+        doc_date TEXT,
+        consignor_gstin TEXT,
+        consignor_name TEXT,
+        consignor_address1 TEXT,
+        consignor_address2 TEXT,
+        consignor_place TEXT,
+        consignor_pincode TEXT,
+        consignee_gstin TEXT,
+        consignee_name TEXT,
+        consignee_address1 TEXT,
+        consignee_address2 TEXT,
+        consignee_place TEXT,
+        consignee_pincode TEXT,
+        dispatch_place TEXT,
+        dispatch_state TEXT,
+        ship_to_place TEXT,
+        ship_to_state TEXT,
+        transporter_id TEXT,
+        transporter_name TEXT,
+        transporter_doc_no TEXT,
+        transporter_doc_date TEXT,
+        mode TEXT DEFAULT 'Road',
+        vehicle_no TEXT,
+        vehicle_type TEXT DEFAULT 'R', -- R = regular, O = over dimensional cargo
+        distance INTEGER DEFAULT 0,
+        is_odc INTEGER DEFAULT 0,
+        is_multi_vehicle INTEGER DEFAULT 0,
+        is_interstate INTEGER DEFAULT 0,
+        total_taxable_value REAL DEFAULT 0,
+        total_cgst REAL DEFAULT 0,
+        total_sgst REAL DEFAULT 0,
+        total_igst REAL DEFAULT 0,
+        cess_value REAL DEFAULT 0,
+        total_value REAL DEFAULT 0,
+        validity_days INTEGER,
+        valid_upto TEXT, -- NULL until Part-B is filled in
+        extension_count INTEGER DEFAULT 0,
+        extended_date TEXT,
+        current_place TEXT,
+        current_state TEXT,
+        status TEXT DEFAULT 'ACTIVE', -- ACTIVE, CANCELLED, DELIVERED
+        cancel_rsn_code TEXT,
+        cancel_reason TEXT,
+        cancelled_date TEXT,
+        delivered_date TEXT,
+        alerted_valid_upto TEXT, -- validity for which the expiry alert was raised
+        generated_date TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Goods covered by each bill
+      CREATE TABLE IF NOT EXISTS ewaybill_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ewaybill_id INTEGER NOT NULL REFERENCES ewaybills(id) ON DELETE CASCADE,
+        item_no INTEGER NOT NULL,
+        product_name TEXT,
+        product_desc TEXT,
+        hsn_code TEXT,
+        quantity REAL DEFAULT 0,
+        unit TEXT DEFAULT 'NOS',
+        taxable_value REAL DEFAULT 0,
+        tax_rate REAL DEFAULT 0,
+        cess_rate REAL DEFAULT 0,
+        cess_advol REAL DEFAULT 0
+      );
+
+      -- Multi-vehicle movements: goods split across vehicles for one leg of the journey
+      CREATE TABLE IF NOT EXISTS ewaybill_vehicle_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ewaybill_id INTEGER NOT NULL REFERENCES ewaybills(id) ON DELETE CASCADE,
+        group_no INTEGER NOT NULL,
+        mode TEXT DEFAULT 'Road',
+        from_place TEXT,
+        from_state TEXT,
+        to_place TEXT,
+        to_state TEXT,
+        reason_code TEXT,
+        reason_remarks TEXT,
+        total_quantity REAL NOT NULL,
+        unit TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (ewaybill_id, group_no)
+      );
+
+      -- Part-B history: every vehicle the goods moved on, including
+      -- transshipments, multi-vehicle legs and consolidated trips
+      CREATE TABLE IF NOT EXISTS ewaybill_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ewaybill_id INTEGER NOT NULL REFERENCES ewaybills(id) ON DELETE CASCADE,
+        movement_type TEXT NOT NULL, -- part_b, transshipment, multi_vehicle, consolidated
+        group_id INTEGER REFERENCES ewaybill_vehicle_groups(id),
+        consolidated_id INTEGER REFERENCES consolidated_ewaybills(id),
+        mode TEXT,
+        vehicle_no TEXT,
+        transporter_id TEXT,
+        transporter_name TEXT,
+        trans_doc_no TEXT,
+        trans_doc_date TEXT,
+        from_place TEXT,
+        from_state TEXT,
+        quantity REAL,
+        reason_code TEXT,
+        reason_remarks TEXT,
+        is_current INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Validity extensions
+      CREATE TABLE IF NOT EXISTS ewaybill_extensions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ewaybill_id INTEGER NOT NULL REFERENCES ewaybills(id) ON DELETE CASCADE,
+        previous_valid_upto TEXT,
+        new_valid_upto TEXT NOT NULL,
+        reason_code TEXT NOT NULL,
+        remarks TEXT,
+        from_place TEXT,
+        from_state TEXT,
+        from_pincode TEXT,
+        remaining_distance INTEGER NOT NULL,
+        consignment_status TEXT NOT NULL, -- M = in movement, T = in transit
+        transit_type TEXT, -- R, W, O when in transit
+        transit_address TEXT,
+        vehicle_no TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Consolidated e-way bills: several bills carried in one vehicle
+      CREATE TABLE IF NOT EXISTS consolidated_ewaybills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cewb_no TEXT NOT NULL UNIQUE,
+        mode TEXT DEFAULT 'Road',
+        vehicle_no TEXT,
+        trans_doc_no TEXT,
+        trans_doc_date TEXT,
+        from_place TEXT,
+        from_state TEXT,
+        status TEXT DEFAULT 'ACTIVE', -- ACTIVE, REGENERATED
+        regenerated_from INTEGER REFERENCES consolidated_ewaybills(id),
+        reason_code TEXT,
+        reason_remarks TEXT,
+        generated_date TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS consolidated_ewaybill_items (
+        consolidated_id INTEGER NOT NULL REFERENCES consolidated_ewaybills(id) ON DELETE CASCADE,
+        ewaybill_id INTEGER NOT NULL REFERENCES ewaybills(id),
+        PRIMARY KEY (consolidated_id, ewaybill_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ewaybills_transaction ON ewaybills(transaction_id);
+      CREATE INDEX IF NOT EXISTS idx_ewaybills_status_validity ON ewaybills(status, valid_upto);
+      CREATE INDEX IF NOT EXISTS idx_ewaybill_items_bill ON ewaybill_items(ewaybill_id);
+      CREATE INDEX IF NOT EXISTS idx_ewaybill_movements_bill ON ewaybill_movements(ewaybill_id);
+    `);
+  }
+
+  // Move bills from the old JSON file into the database, once
+  migrateLegacyFile() {
+    if (!db || !fs.existsSync(LEGACY_EWAYBILLS_FILE)) return;
+
+    try {
+      const legacy = JSON.parse(fs.readFileSync(LEGACY_EWAYBILLS_FILE, 'utf8'));
+      const findTransaction = db.prepare('SELECT id FROM transactions WHERE voucher_no = ? AND is_cancelled = 0');
+
+      db.transaction(() => {
+        for (const ewb of legacy) {
+          if (!ewb.ewbNo || db.prepare('SELECT 1 FROM ewaybills WHERE ewb_no = ?').get(ewb.ewbNo)) continue;
+          const transaction = ewb.docNo ? findTransaction.get(ewb.docNo) : null;
+          const id = this.insertEwaybill({ ...ewb, transactionId: transaction ? transaction.id : null }, {
+            ewb_no: ewb.ewbNo,
+            validity_days: ewb.validityDays || null,
+            valid_upto: ewb.validUpto || null,
+            status: ewb.status || 'ACTIVE',
+            generated_date: ewb.generatedDate || ewb.createdAt || new Date().toISOString()
+          });
+          db.prepare(`
+            UPDATE ewaybills SET cancel_reason = ?, cancelled_date = ?, cancel_rsn_code = ? WHERE id = ?
+          `).run(ewb.cancelReason || null, ewb.cancelledDate || null, ewb.cancelRsnCode || null, id);
+        }
+      })();
+
+      fs.renameSync(LEGACY_EWAYBILLS_FILE, `${LEGACY_EWAYBILLS_FILE}.migrated`);
+      console.log(`[EwaybillService] Migrated ${legacy.length} e-way bills from ${LEGACY_EWAYBILLS_FILE}`);
+    } catch (error) {
+      console.error('[EwaybillService] Legacy migration error:', error);
+    }
+  }
+
+  // Insert a bill and its items; returns the new id
+  insertEwaybill(data, extra) {
+    const isInterstate = isInterState(data);
+    const columns = {
+      ...Object.fromEntries(Object.entries(FIELD_COLUMNS).map(([field, column]) => [column, data[field] ?? null])),
+      ...calculateTotals(data.items, isInterstate),
+      is_interstate: isInterstate ? 1 : 0,
+      is_odc: data.isOdc === true || data.vehicleType === 'O' ? 1 : 0,
+      is_multi_vehicle: data.isMultiVehicle ? 1 : 0,
+      ...extra
+    };
+    if (columns.distance !== null) columns.distance = parseInt(columns.distance) || 0;
+    if (columns.cess_value !== null) columns.cess_value = parseFloat(columns.cess_value) || 0;
+
+    // Leave unset fields to the column defaults
+    const names = Object.keys(columns).filter(name => columns[name] !== null && columns[name] !== undefined && columns[name] !== '');
+    const result = db.prepare(`
+      INSERT INTO ewaybills (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+    `).run(...names.map(name => columns[name]));
+
+    this.saveItems(result.lastInsertRowid, data.items);
+    return result.lastInsertRowid;
+  }
+
+  // Replace the items of a bill
+  saveItems(ewaybillId, items) {
+    db.prepare('DELETE FROM ewaybill_items WHERE ewaybill_id = ?').run(ewaybillId);
+    const stmt = db.prepare(`
+      INSERT INTO ewaybill_items (ewaybill_id, item_no, product_name, product_desc, hsn_code, quantity, unit,
+        taxable_value, tax_rate, cess_rate, cess_advol)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    (items || []).forEach((item, index) => {
+      stmt.run(
+        ewaybillId, index + 1, item.productName || '', item.productDesc || '', item.hsnCode || '',
+        parseFloat(item.quantity) || 0, item.unit || 'NOS', parseFloat(item.taxableValue) || 0,
+        parseFloat(item.taxRate) || 0, parseFloat(item.cessRate) || 0, parseFloat(item.cessAdvol) || 0
+      );
+    });
+  }
+
+  // Fill in bill details from the linked transaction, its party and the business
+  fromTransaction(transactionId) {
+    const transaction = db.prepare(`
+      SELECT t.*, p.name as party_name, p.gstin as party_gstin, p.address as party_address,
+        p.city as party_city, p.pincode as party_pincode
+      FROM transactions t
+      LEFT JOIN parties p ON t.party_id = p.id
+      WHERE t.id = ?
+    `).get(transactionId);
+
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+    if (transaction.is_cancelled) {
+      throw new Error('Cannot generate an E-Way Bill for a cancelled transaction');
+    }
+
+    const business = branchService.getBranchInfo(transaction.branch_id);
+
+    const self = {
+      gstin: business.gstin || '', name: business.business_name || business.name || '',
+      address: business.address || '', place: business.city || '', pincode: business.pincode || ''
+    };
+    const party = {
+      gstin: transaction.party_gstin || 'URP', name: transaction.party_name || '',
+      address: transaction.party_address || '', place: transaction.party_city || '', pincode: transaction.party_pincode || ''
+    };
+    const inward = ['purchase', 'credit_note'].includes(transaction.voucher_type);
+    const [from, to] = inward ? [party, self] : [self, party];
+    const docTypes = { credit_note: 'Credit Note', debit_note: 'Debit Note' };
+
+    const items = db.prepare('SELECT * FROM transaction_items WHERE transaction_id = ? ORDER BY line_no').all(transactionId);
+
+    return {
+      transactionId: transaction.id,
+      supplyType: inward ? 'INWARD' : 'OUTWARD',
+      subSupplyType: transaction.voucher_type === 'credit_note' ? 'Sales Return' : 'Supply',
+      docType: docTypes[transaction.voucher_type] || 'Tax Invoice',
+      docNo: transaction.voucher_no,
+      docDate: transaction.date,
+      consignorGstin: from.gstin, consignorName: from.name, consignorAddress1: from.address,
+      consignorPlace: from.place, consignorPincode: from.pincode,
+      consigneeGstin: to.gstin, consigneeName: to.name, consigneeAddress1: to.address,
+      consigneePlace: to.place, consigneePincode: to.pincode,
+      items: items.map(item => ({
+        productName: item.description || '',
+        hsnCode: item.hsn_code || '',
+        quantity: item.quantity,
+        unit: item.unit ? String(item.unit).toUpperCase() : 'NOS',
+        taxableValue: item.taxable_amount,
+        taxRate: item.gst_rate,
+        cessRate: 0
+      }))
+    };
+  }
+
+  // Map a row to the shape the renderer uses
+  toEwaybill(row, details = false) {
+    if (!row) return null;
+
+    const ewaybill = { id: row.id, ewbNo: row.ewb_no };
+    Object.entries(FIELD_COLUMNS).forEach(([field, column]) => { ewaybill[field] = row[column]; });
+
+    Object.assign(ewaybill, {
+      isOdc: row.is_odc === 1,
+      isMultiVehicle: row.is_multi_vehicle === 1,
+      isInterstate: row.is_interstate === 1,
+      totalTaxableValue: Number(row.total_taxable_value || 0).toFixed(2),
+      totalCgst: Number(row.total_cgst || 0).toFixed(2),
+      totalSgst: Number(row.total_sgst || 0).toFixed(2),
+      totalIgst: Number(row.total_igst || 0).toFixed(2),
+      totalValue: Number(row.total_value || 0).toFixed(2),
+      validityDays: row.validity_days,
+      validUpto: row.valid_upto,
+      isExpired: row.status === 'ACTIVE' && !!row.valid_upto && new Date(row.valid_upto) < new Date(),
+      extensionCount: row.extension_count,
+      extendedDate: row.extended_date,
+      currentPlace: row.current_place,
+      currentState: row.current_state,
+      status: row.status,
+      cancelRsnCode: row.cancel_rsn_code,
+      cancelReason: row.cancel_reason,
+      cancelledDate: row.cancelled_date,
+      deliveredDate: row.delivered_date,
+      generatedDate: row.generated_date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      items: db.prepare('SELECT * FROM ewaybill_items WHERE ewaybill_id = ? ORDER BY item_no').all(row.id).map(item => ({
+        productName: item.product_name,
+        productDesc: item.product_desc,
+        hsnCode: item.hsn_code,
+        quantity: item.quantity,
+        unit: item.unit,
+        taxableValue: item.taxable_value,
+        taxRate: item.tax_rate,
+        cessRate: item.cess_rate,
+        cessAdvol: item.cess_advol
+      }))
+    });
+
+    if (details) {
+      ewaybill.movements = db.prepare('SELECT * FROM ewaybill_movements WHERE ewaybill_id = ? ORDER BY id').all(row.id);
+      ewaybill.vehicleGroups = db.prepare('SELECT * FROM ewaybill_vehicle_groups WHERE ewaybill_id = ? ORDER BY group_no').all(row.id);
+      ewaybill.extensions = db.prepare('SELECT * FROM ewaybill_extensions WHERE ewaybill_id = ? ORDER BY id').all(row.id);
+    }
+
+    return ewaybill;
+  }
+
+  // Load a bill row, failing if it does not exist
+  getRow(id) {
+    const row = db.prepare('SELECT * FROM ewaybills WHERE id = ?').get(id);
+    if (!row) {
+      throw new Error('E-Way Bill not found');
+    }
+    return row;
+  }
+
+  // A bill that can still carry goods: active and within its validity
+  assertMovable(row, action) {
+    if (row.status === 'CANCELLED') {
+      throw new Error(`Cannot ${action} for cancelled E-Way Bill`);
+    }
+    if (row.status === 'DELIVERED') {
+      throw new Error(`Cannot ${action} for delivered E-Way Bill`);
+    }
+    if (row.valid_upto && new Date(row.valid_upto) < new Date()) {
+      throw new Error(`Cannot ${action}: E-Way Bill expired on ${row.valid_upto}. Extend its validity first`);
+    }
+  }
+
+  // Record a Part-B entry; the first one starts the validity clock
+  recordPartB(row, movement) {
+    const now = new Date();
+    db.prepare('UPDATE ewaybill_movements SET is_current = 0 WHERE ewaybill_id = ? AND group_id IS NULL').run(row.id);
+    db.prepare(`
+      INSERT INTO ewaybill_movements (ewaybill_id, movement_type, consolidated_id, mode, vehicle_no, transporter_id,
+        transporter_name, trans_doc_no, trans_doc_date, from_place, from_state, reason_code, reason_remarks)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      row.id, movement.movementType, movement.consolidatedId || null, movement.mode || row.mode, movement.vehicleNo || null,
+      movement.transporterId || row.transporter_id, movement.transporterName || row.transporter_name,
+      movement.transDocNo || null, movement.transDocDate || null, movement.fromPlace || null, movement.fromState || null,
+      movement.reasonCode || null, movement.reasonRemarks || null
+    );
+
+    const validityDays = row.validity_days || calculateValidity(row.distance || 0, row.is_odc === 1);
+    db.prepare(`
+      UPDATE ewaybills
+      SET vehicle_no = COALESCE(?, vehicle_no), mode = COALESCE(?, mode),
+          transporter_id = COALESCE(?, transporter_id), transporter_name = COALESCE(?, transporter_name),
+          transporter_doc_no = COALESCE(?, transporter_doc_no), transporter_doc_date = COALESCE(?, transporter_doc_date),
+          current_place = COALESCE(?, current_place), current_state = COALESCE(?, current_state),
+          validity_days = ?, valid_upto = COALESCE(valid_upto, ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      movement.vehicleNo || null, movement.mode || null, movement.transporterId || null, movement.transporterName || null,
+      movement.transDocNo || null, movement.transDocDate || null, movement.fromPlace || null, movement.fromState || null,
+      validityDays, validUptoFrom(now, validityDays).toISOString(), row.id
+    );
+  }
+
   // Create new E-Way Bill
   async createEwaybill(ewaybillData) {
-    const ewaybills = readEwaybills();
-    
+    if (!db) throw new Error('Database not initialized');
+
+    // Bills raised against a voucher take their details from it unless given
+    const linked = ewaybillData.transactionId ? this.fromTransaction(ewaybillData.transactionId) : {};
+    const data = { ...linked, ...ewaybillData };
+    if (!(ewaybillData.items && ewaybillData.items.length)) {
+      data.items = linked.items || [];
+    }
+
     // Validate GSTINs
-    if (ewaybillData.consignorGstin && !isValidGSTIN(ewaybillData.consignorGstin)) {
+    if (data.consignorGstin && data.consignorGstin !== 'URP' && !isValidGSTIN(data.consignorGstin)) {
       throw new Error('Invalid Consignor GSTIN format');
     }
-    if (ewaybillData.consigneeGstin && !isValidGSTIN(ewaybillData.consigneeGstin)) {
+    if (data.consigneeGstin && data.consigneeGstin !== 'URP' && !isValidGSTIN(data.consigneeGstin)) {
       throw new Error('Invalid Consignee GSTIN format');
     }
-    
+
     // Validate vehicle number if provided
-    if (ewaybillData.vehicleNo && !isValidVehicleNumber(ewaybillData.vehicleNo)) {
+    if (data.vehicleNo && !isValidVehicleNumber(data.vehicleNo)) {
       throw new Error('Invalid Vehicle Number format. Expected format: MH12AB1234');
     }
-    
-    // Calculate tax amounts
-    let totalTaxableValue = 0;
-    let totalCgst = 0;
-    let totalSgst = 0;
-    let totalIgst = 0;
-    
-    const isInterstate = isInterState(ewaybillData.consignorGstin, ewaybillData.consigneeGstin);
-    
-    if (ewaybillData.items && ewaybillData.items.length > 0) {
-      ewaybillData.items.forEach(item => {
-        const taxableValue = parseFloat(item.taxableValue) || 0;
-        const taxRate = parseFloat(item.taxRate) || 0;
-        
-        totalTaxableValue += taxableValue;
-        
-        if (isInterstate) {
-          totalIgst += (taxableValue * taxRate / 100);
-        } else {
-          totalCgst += (taxableValue * taxRate / 200);
-          totalSgst += (taxableValue * taxRate / 200);
-        }
-      });
+
+    if (data.transactionId) {
+      const existing = db.prepare(`
+        SELECT ewb_no FROM ewaybills WHERE transaction_id = ? AND status IN ('ACTIVE', 'DELIVERED')
+      `).get(data.transactionId);
+      if (existing) {
+        throw new Error(`E-Way Bill ${existing.ewb_no} already exists for this transaction`);
+      }
     }
-    
-    // Calculate validity
-    const distance = parseInt(ewaybillData.distance) || 0;
-    const isOdc = ewaybillData.isOdc === true;
+
+    // Validity starts once Part-B (vehicle or transport document) is filled in
+    const distance = parseInt(data.distance) || 0;
+    const isOdc = data.isOdc === true || data.vehicleType === 'O';
     const validityDays = calculateValidity(distance, isOdc);
-    
-    const validUpto = new Date();
-    validUpto.setDate(validUpto.getDate() + validityDays);
-    
-    // Generate EWB Number (format: 1600000XXXXX)
-    const ewbNumber = `16${String(Date.now()).slice(-11)}`;
-    
-    const newEwaybill = {
-      id: uuidv4(),
-      ewbNo: ewbNumber,
-      ...ewaybillData,
-      totalTaxableValue: totalTaxableValue.toFixed(2),
-      totalCgst: totalCgst.toFixed(2),
-      totalSgst: totalSgst.toFixed(2),
-      totalIgst: totalIgst.toFixed(2),
-      totalValue: (totalTaxableValue + totalCgst + totalSgst + totalIgst).toFixed(2),
-      isInterstate,
-      validityDays,
-      validUpto: validUpto.toISOString(),
-      status: 'ACTIVE',
-      generatedDate: new Date().toISOString(),
-      createdAt: new Date().toISOString()
-    };
-    
-    ewaybills.push(newEwaybill);
-    writeEwaybills(ewaybills);
-    
-    return newEwaybill;
+    const generatedDate = new Date();
+    const hasPartB = Boolean(data.vehicleNo || (data.mode && data.mode !== 'Road' && data.transporterDocNo));
+
+    const id = db.transaction(() => {
+      const newId = this.insertEwaybill(data, {
+        ewb_no: generateEwbNumber(),
+        validity_days: validityDays,
+        valid_upto: hasPartB ? validUptoFrom(generatedDate, validityDays).toISOString() : null,
+        current_place: data.dispatchPlace || data.consignorPlace || null,
+        current_state: data.dispatchState || null,
+        generated_date: generatedDate.toISOString()
+      });
+
+      if (hasPartB) {
+        db.prepare(`
+          INSERT INTO ewaybill_movements (ewaybill_id, movement_type, mode, vehicle_no, transporter_id, transporter_name,
+            trans_doc_no, trans_doc_date, from_place, from_state, reason_code, reason_remarks)
+          VALUES (?, 'part_b', ?, ?, ?, ?, ?, ?, ?, ?, '4', ?)
+        `).run(
+          newId, data.mode || 'Road', data.vehicleNo || null, data.transporterId || null, data.transporterName || null,
+          data.transporterDocNo || null, data.transporterDocDate || null,
+          data.dispatchPlace || data.consignorPlace || null, data.dispatchState || null, VEHICLE_REASONS['4']
+        );
+      }
+      return newId;
+    })();
+
+    return this.toEwaybill(this.getRow(id));
   }
 
   // Get all E-Way Bills
   async getAllEwaybills(filters = {}) {
-    let ewaybills = readEwaybills();
-    
+    if (!db) return [];
+
+    let query = 'SELECT * FROM ewaybills WHERE 1=1';
+    const params = [];
+
     // Apply filters
-    if (filters.status) {
-      ewaybills = ewaybills.filter(ewb => ewb.status === filters.status);
+    if (filters.status === 'EXPIRED') {
+      query += " AND status = 'ACTIVE' AND valid_upto < ?";
+      params.push(new Date().toISOString());
+    } else if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.transactionId) {
+      query += ' AND transaction_id = ?';
+      params.push(filters.transactionId);
     }
-    
+
     if (filters.fromDate) {
-      const fromDate = new Date(filters.fromDate);
-      ewaybills = ewaybills.filter(ewb => new Date(ewb.generatedDate) >= fromDate);
+      query += ' AND generated_date >= ?';
+      params.push(new Date(filters.fromDate).toISOString());
     }
-    
+
     if (filters.toDate) {
       const toDate = new Date(filters.toDate);
       toDate.setHours(23, 59, 59);
-      ewaybills = ewaybills.filter(ewb => new Date(ewb.generatedDate) <= toDate);
+      query += ' AND generated_date <= ?';
+      params.push(toDate.toISOString());
     }
-    
+
     // Sort by generated date (newest first)
-    ewaybills.sort((a, b) => new Date(b.generatedDate) - new Date(a.generatedDate));
-    
-    return ewaybills;
+    query += ' ORDER BY generated_date DESC, id DESC';
+
+    return db.prepare(query).all(...params).map(row => this.toEwaybill(row));
   }
 
   // Get E-Way Bill by ID
   async getEwaybillById(id) {
-    const ewaybills = readEwaybills();
-    const ewaybill = ewaybills.find(ewb => ewb.id === id);
-    
-    if (!ewaybill) {
-      throw new Error('E-Way Bill not found');
-    }
-    
-    return ewaybill;
+    return this.toEwaybill(this.getRow(id), true);
   }
 
   // Get E-Way Bill by EWB Number
   async getEwaybillByNumber(ewbNo) {
-    const ewaybills = readEwaybills();
-    const ewaybill = ewaybills.find(ewb => ewb.ewbNo === ewbNo);
-    
-    if (!ewaybill) {
+    const row = db.prepare('SELECT * FROM ewaybills WHERE ewb_no = ?').get(ewbNo);
+
+    if (!row) {
       throw new Error('E-Way Bill not found');
     }
-    
-    return ewaybill;
+
+    return this.toEwaybill(row, true);
   }
 
-  // Update E-Way Bill
+  // Update E-Way Bill (Part-A details; vehicles go through updateVehicle)
   async updateEwaybill(id, updates) {
-    const ewaybills = readEwaybills();
-    const index = ewaybills.findIndex(ewb => ewb.id === id);
-    
-    if (index === -1) {
-      throw new Error('E-Way Bill not found');
+    const row = this.getRow(id);
+
+    if (row.status !== 'ACTIVE') {
+      throw new Error(`Cannot update ${row.status.toLowerCase()} E-Way Bill`);
     }
-    
+
     // Validate GSTINs if being updated
     if (updates.consignorGstin && !isValidGSTIN(updates.consignorGstin)) {
       throw new Error('Invalid Consignor GSTIN format');
@@ -213,95 +694,536 @@ class EwaybillService {
     if (updates.consigneeGstin && !isValidGSTIN(updates.consigneeGstin)) {
       throw new Error('Invalid Consignee GSTIN format');
     }
-    
+
     // Validate vehicle number if being updated
     if (updates.vehicleNo && !isValidVehicleNumber(updates.vehicleNo)) {
       throw new Error('Invalid Vehicle Number format');
     }
-    
-    ewaybills[index] = { ...ewaybills[index], ...updates, updatedAt: new Date().toISOString() };
-    writeEwaybills(ewaybills);
-    
-    return ewaybills[index];
+
+    const current = this.toEwaybill(row);
+    const merged = { ...current, ...updates };
+    const isInterstate = isInterState(merged);
+
+    db.transaction(() => {
+      const columns = Object.entries(FIELD_COLUMNS).filter(([field]) => field in updates);
+      if (columns.length) {
+        db.prepare(`
+          UPDATE ewaybills SET ${columns.map(([, column]) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(...columns.map(([field]) => updates[field] ?? null), id);
+      }
+
+      if (updates.items || 'consignorGstin' in updates || 'consigneeGstin' in updates) {
+        if (updates.items) this.saveItems(id, updates.items);
+        const totals = calculateTotals(merged.items, isInterstate);
+        db.prepare(`
+          UPDATE ewaybills SET total_taxable_value = ?, total_cgst = ?, total_sgst = ?, total_igst = ?, total_value = ?,
+            is_interstate = ? WHERE id = ?
+        `).run(totals.total_taxable_value, totals.total_cgst, totals.total_sgst, totals.total_igst, totals.total_value,
+          isInterstate ? 1 : 0, id);
+      }
+    })();
+
+    return this.toEwaybill(this.getRow(id));
   }
 
   // Cancel E-Way Bill
-  async cancelEwaybill(id, reason) {
-    const ewaybills = readEwaybills();
-    const index = ewaybills.findIndex(ewb => ewb.id === id);
-    
-    if (index === -1) {
-      throw new Error('E-Way Bill not found');
-    }
-    
-    const ewaybill = ewaybills[index];
-    
+  async cancelEwaybill(id, reason, reasonCode = '4') {
+    const ewaybill = this.getRow(id);
+
     // Check if already cancelled
     if (ewaybill.status === 'CANCELLED') {
       throw new Error('E-Way Bill is already cancelled');
     }
-    
+    if (ewaybill.status === 'DELIVERED') {
+      throw new Error('Cannot cancel a delivered E-Way Bill');
+    }
+
     // Check if can be cancelled (within 24 hours or before transit)
-    const generatedDate = new Date(ewaybill.generatedDate);
+    const generatedDate = new Date(ewaybill.generated_date);
     const now = new Date();
     const hoursSinceGeneration = (now - generatedDate) / (1000 * 60 * 60);
-    
+
     if (hoursSinceGeneration > 24) {
       throw new Error('E-Way Bill can only be cancelled within 24 hours of generation');
     }
-    
-    ewaybills[index] = {
-      ...ewaybill,
-      status: 'CANCELLED',
-      cancelReason: reason,
-      cancelledDate: new Date().toISOString()
-    };
-    
-    writeEwaybills(ewaybills);
-    
-    return ewaybills[index];
+
+    db.prepare(`
+      UPDATE ewaybills SET status = 'CANCELLED', cancel_reason = ?, cancel_rsn_code = ?, cancelled_date = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(reason || null, reasonCode, now.toISOString(), id);
+
+    return this.toEwaybill(this.getRow(id));
   }
 
-  // Update vehicle details
+  // Update vehicle details (Part-B)
   async updateVehicle(id, vehicleData) {
-    const ewaybills = readEwaybills();
-    const index = ewaybills.findIndex(ewb => ewb.id === id);
-    
-    if (index === -1) {
-      throw new Error('E-Way Bill not found');
-    }
-    
-    const ewaybill = ewaybills[index];
-    
-    if (ewaybill.status === 'CANCELLED') {
-      throw new Error('Cannot update vehicle for cancelled E-Way Bill');
+    const ewaybill = this.getRow(id);
+    this.assertMovable(ewaybill, 'update vehicle');
+
+    if (ewaybill.is_multi_vehicle) {
+      throw new Error('This E-Way Bill moves on multiple vehicles. Change vehicles through its vehicle group');
     }
-    
+
     if (vehicleData.vehicleNo && !isValidVehicleNumber(vehicleData.vehicleNo)) {
       throw new Error('Invalid Vehicle Number format');
     }
-    
-    ewaybills[index] = {
-      ...ewaybill,
-      ...vehicleData,
-      vehicleUpdated: true,
-      vehicleUpdatedDate: new Date().toISOString()
-    };
-    
-    writeEwaybills(ewaybills);
-    
-    return ewaybills[index];
+    if (!vehicleData.vehicleNo && !vehicleData.transDocNo && !vehicleData.transporterDocNo) {
+      throw new Error('Vehicle number or transport document number is required');
+    }
+
+    const reasonCode = String(vehicleData.reasonCode || (ewaybill.vehicle_no ? '3' : '4'));
+    if (!VEHICLE_REASONS[reasonCode]) {
+      throw new Error(`Invalid vehicle update reason: ${reasonCode}`);
+    }
+    if (reasonCode === '3' && !vehicleData.reasonRemarks && ewaybill.vehicle_no) {
+      throw new Error('Remarks are required when the reason is Others');
+    }
+
+    db.transaction(() => {
+      this.recordPartB(ewaybill, {
+        movementType: reasonCode === '2' ? 'transshipment' : 'part_b',
+        mode: vehicleData.mode,
+        vehicleNo: vehicleData.vehicleNo,
+        transDocNo: vehicleData.transDocNo || vehicleData.transporterDocNo,
+        transDocDate: vehicleData.transDocDate || vehicleData.transporterDocDate,
+        fromPlace: vehicleData.fromPlace,
+        fromState: vehicleData.fromState,
+        reasonCode,
+        reasonRemarks: vehicleData.reasonRemarks || VEHICLE_REASONS[reasonCode]
+      });
+    })();
+
+    return this.toEwaybill(this.getRow(id), true);
+  }
+
+  // Transshipment: hand the goods to another transporter and/or vehicle on the way
+  async transship(id, transshipData) {
+    const ewaybill = this.getRow(id);
+    this.assertMovable(ewaybill, 'transship');
+
+    if (!transshipData.transporterId && !transshipData.vehicleNo) {
+      throw new Error('New transporter or vehicle is required for transshipment');
+    }
+    if (transshipData.transporterId && !isValidGSTIN(transshipData.transporterId) && !/^[0-9]{2}[A-Z0-9]{13}$/.test(transshipData.transporterId)) {
+      throw new Error('Invalid Transporter ID');
+    }
+    if (transshipData.vehicleNo && !isValidVehicleNumber(transshipData.vehicleNo)) {
+      throw new Error('Invalid Vehicle Number format');
+    }
+    if (!transshipData.fromPlace) {
+      throw new Error('Place of transshipment is required');
+    }
+
+    db.transaction(() => {
+      this.recordPartB(ewaybill, {
+        movementType: 'transshipment',
+        mode: transshipData.mode,
+        vehicleNo: transshipData.vehicleNo,
+        transporterId: transshipData.transporterId,
+        transporterName: transshipData.transporterName,
+        transDocNo: transshipData.transDocNo,
+        transDocDate: transshipData.transDocDate,
+        fromPlace: transshipData.fromPlace,
+        fromState: transshipData.fromState,
+        reasonCode: '2',
+        reasonRemarks: transshipData.remarks || VEHICLE_REASONS['2']
+      });
+    })();
+
+    return this.toEwaybill(this.getRow(id), true);
+  }
+
+  // Start a multi-vehicle movement: the goods of one bill split across vehicles for a leg
+  async initiateMultiVehicle(id, groupData) {
+    const ewaybill = this.getRow(id);
+    this.assertMovable(ewaybill, 'start a multi-vehicle movement');
+
+    const totalQuantity = parseFloat(groupData.totalQuantity);
+    if (!(totalQuantity > 0)) {
+      throw new Error('Total quantity to be moved is required');
+    }
+    if (!groupData.fromPlace || !groupData.toPlace) {
+      throw new Error('From and to places are required');
+    }
+    const reasonCode = String(groupData.reasonCode || '2');
+    if (!VEHICLE_REASONS[reasonCode] || reasonCode === '4') {
+      throw new Error(`Invalid multi-vehicle reason: ${reasonCode}`);
+    }
+
+    const { next } = db.prepare('SELECT COALESCE(MAX(group_no), 0) + 1 as next FROM ewaybill_vehicle_groups WHERE ewaybill_id = ?').get(id);
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO ewaybill_vehicle_groups (ewaybill_id, group_no, mode, from_place, from_state, to_place, to_state,
+          reason_code, reason_remarks, total_quantity, unit)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id, next, groupData.mode || 'Road', groupData.fromPlace, groupData.fromState || null, groupData.toPlace,
+        groupData.toState || null, reasonCode, groupData.reasonRemarks || VEHICLE_REASONS[reasonCode], totalQuantity,
+        groupData.unit || null
+      );
+      db.prepare('UPDATE ewaybills SET is_multi_vehicle = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    })();
+
+    return this.toEwaybill(this.getRow(id), true);
+  }
+
+  // Add a vehicle carrying part of the goods of a multi-vehicle group
+  async addMultiVehicle(id, groupNo, vehicleData) {
+    const ewaybill = this.getRow(id);
+    this.assertMovable(ewaybill, 'add a vehicle');
+
+    const group = db.prepare('SELECT * FROM ewaybill_vehicle_groups WHERE ewaybill_id = ? AND group_no = ?').get(id, groupNo);
+    if (!group) {
+      throw new Error('Vehicle group not found');
+    }
+    if (!vehicleData.vehicleNo || !isValidVehicleNumber(vehicleData.vehicleNo)) {
+      throw new Error('Invalid Vehicle Number format');
+    }
+
+    const quantity = parseFloat(vehicleData.quantity);
+    const { loaded } = db.prepare(`
+      SELECT COALESCE(SUM(quantity), 0) as loaded FROM ewaybill_movements WHERE group_id = ? AND is_current = 1
+    `).get(group.id);
+    if (!(quantity > 0) || loaded + quantity > group.total_quantity + 0.0001) {
+      throw new Error(`Quantity exceeds what is left to load in this group: ${group.total_quantity - loaded} of ${group.total_quantity}`);
+    }
+    if (db.prepare('SELECT 1 FROM ewaybill_movements WHERE group_id = ? AND vehicle_no = ? AND is_current = 1').get(group.id, vehicleData.vehicleNo)) {
+      throw new Error(`Vehicle ${vehicleData.vehicleNo} is already in this group`);
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO ewaybill_movements (ewaybill_id, movement_type, group_id, mode, vehicle_no, trans_doc_no, trans_doc_date,
+          from_place, from_state, quantity, reason_code, reason_remarks)
+        VALUES (?, 'multi_vehicle', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id, group.id, group.mode, vehicleData.vehicleNo, vehicleData.transDocNo || null, vehicleData.transDocDate || null,
+        group.from_place, group.from_state, quantity, group.reason_code, group.reason_remarks
+      );
+      const validityDays = ewaybill.validity_days || calculateValidity(ewaybill.distance || 0, ewaybill.is_odc === 1);
+      db.prepare(`
+        UPDATE ewaybills SET current_place = ?, current_state = ?, validity_days = ?, valid_upto = COALESCE(valid_upto, ?),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(group.from_place, group.from_state, validityDays, validUptoFrom(new Date(), validityDays).toISOString(), id);
+    })();
+
+    return this.toEwaybill(this.getRow(id), true);
+  }
+
+  // Replace a vehicle of a multi-vehicle group (e.g. after a breakdown)
+  async changeMultiVehicle(id, groupNo, oldVehicleNo, vehicleData) {
+    const ewaybill = this.getRow(id);
+    this.assertMovable(ewaybill, 'change a vehicle');
+
+    const group = db.prepare('SELECT * FROM ewaybill_vehicle_groups WHERE ewaybill_id = ? AND group_no = ?').get(id, groupNo);
+    if (!group) {
+      throw new Error('Vehicle group not found');
+    }
+    const old = db.prepare('SELECT * FROM ewaybill_movements WHERE group_id = ? AND vehicle_no = ? AND is_current = 1').get(group.id, oldVehicleNo);
+    if (!old) {
+      throw new Error(`Vehicle ${oldVehicleNo} is not in this group`);
+    }
+    if (!vehicleData.vehicleNo || !isValidVehicleNumber(vehicleData.vehicleNo)) {
+      throw new Error('Invalid Vehicle Number format');
+    }
+    const reasonCode = String(vehicleData.reasonCode || '1');
+    if (!VEHICLE_REASONS[reasonCode] || reasonCode === '4') {
+      throw new Error(`Invalid vehicle change reason: ${reasonCode}`);
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE ewaybill_movements SET is_current = 0 WHERE id = ?').run(old.id);
+      db.prepare(`
+        INSERT INTO ewaybill_movements (ewaybill_id, movement_type, group_id, mode, vehicle_no, trans_doc_no, trans_doc_date,
+          from_place, from_state, quantity, reason_code, reason_remarks)
+        VALUES (?, 'multi_vehicle', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id, group.id, group.mode, vehicleData.vehicleNo, vehicleData.transDocNo || old.trans_doc_no,
+        vehicleData.transDocDate || old.trans_doc_date, vehicleData.fromPlace || old.from_place,
+        vehicleData.fromState || old.from_state, old.quantity, reasonCode,
+        vehicleData.reasonRemarks || VEHICLE_REASONS[reasonCode]
+      );
+    })();
+
+    return this.toEwaybill(this.getRow(id), true);
+  }
+
+  // Extend validity of a bill whose goods could not reach in time
+  async extendValidity(id, extensionData) {
+    const ewaybill = this.getRow(id);
+
+    if (ewaybill.status !== 'ACTIVE') {
+      throw new Error(`Cannot extend ${ewaybill.status.toLowerCase()} E-Way Bill`);
+    }
+    if (!ewaybill.valid_upto) {
+      throw new Error('Validity has not started yet. Update Part-B (vehicle details) first');
+    }
+
+    const now = new Date();
+    const validUpto = new Date(ewaybill.valid_upto);
+    if (Math.abs(now - validUpto) > EXTENSION_WINDOW_MS) {
+      throw new Error('Validity can be extended only between 8 hours before and 8 hours after it expires');
+    }
+
+    const reasonCode = String(extensionData.reasonCode || '');
+    if (!EXTENSION_REASONS[reasonCode]) {
+      throw new Error(`Invalid extension reason: ${reasonCode || 'none'}`);
+    }
+    if (reasonCode === '99' && !extensionData.remarks) {
+      throw new Error('Remarks are required when the reason is Others');
+    }
+
+    const remainingDistance = parseInt(extensionData.remainingDistance);
+    if (!(remainingDistance > 0)) {
+      throw new Error('Remaining distance is required');
+    }
+    if (ewaybill.distance && remainingDistance > ewaybill.distance) {
+      throw new Error(`Remaining distance cannot exceed the approximate distance of ${ewaybill.distance} km`);
+    }
+    if (!extensionData.fromPlace || !extensionData.fromState) {
+      throw new Error('Current place and state of the goods are required');
+    }
+
+    const consignmentStatus = extensionData.consignmentStatus === 'T' ? 'T' : 'M';
+    const vehicleNo = extensionData.vehicleNo || ewaybill.vehicle_no;
+    if (consignmentStatus === 'M' && !vehicleNo && !extensionData.transDocNo) {
+      throw new Error('Vehicle number is required for goods in movement');
+    }
+    if (extensionData.vehicleNo && !isValidVehicleNumber(extensionData.vehicleNo)) {
+      throw new Error('Invalid Vehicle Number format');
+    }
+    if (consignmentStatus === 'T' && (!TRANSIT_TYPES[extensionData.transitType] || !extensionData.transitAddress)) {
+      throw new Error('Transit type (R, W or O) and the address where the goods are kept are required for goods in transit');
+    }
+
+    // The extra days run from the current expiry, or from now if it has already lapsed
+    const days = calculateValidity(remainingDistance, ewaybill.is_odc === 1);
+    const base = validUpto > now ? validUpto : now;
+    const newValidUpto = validUptoFrom(new Date(base.getFullYear(), base.getMonth(), base.getDate()), days);
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO ewaybill_extensions (ewaybill_id, previous_valid_upto, new_valid_upto, reason_code, remarks, from_place,
+          from_state, from_pincode, remaining_distance, consignment_status, transit_type, transit_address, vehicle_no)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id, ewaybill.valid_upto, newValidUpto.toISOString(), reasonCode, extensionData.remarks || EXTENSION_REASONS[reasonCode],
+        extensionData.fromPlace, extensionData.fromState, extensionData.fromPincode || null, remainingDistance,
+        consignmentStatus, consignmentStatus === 'T' ? extensionData.transitType : null,
+        consignmentStatus === 'T' ? extensionData.transitAddress : null, consignmentStatus === 'M' ? vehicleNo : null
+      );
+
+      // A new vehicle given with the extension is a Part-B update
+      if (consignmentStatus === 'M' && extensionData.vehicleNo && extensionData.vehicleNo !== ewaybill.vehicle_no) {
+        this.recordPartB(ewaybill, {
+          movementType: reasonCode === '4' ? 'transshipment' : 'part_b',
+          mode: extensionData.mode,
+          vehicleNo: extensionData.vehicleNo,
+          transDocNo: extensionData.transDocNo,
+          transDocDate: extensionData.transDocDate,
+          fromPlace: extensionData.fromPlace,
+          fromState: extensionData.fromState,
+          reasonCode: reasonCode === '4' ? '2' : '3',
+          reasonRemarks: `Validity extended: ${EXTENSION_REASONS[reasonCode]}`
+        });
+      }
+
+      db.prepare(`
+        UPDATE ewaybills
+        SET valid_upto = ?, extension_count = extension_count + 1, extended_date = ?,
+            current_place = ?, current_state = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(newValidUpto.toISOString(), now.toISOString(), extensionData.fromPlace, extensionData.fromState, id);
+    })();
+
+    return this.toEwaybill(this.getRow(id), true);
+  }
+
+  // Mark goods as delivered so the bill drops out of expiry tracking
+  async markDelivered(id) {
+    const ewaybill = this.getRow(id);
+
+    if (ewaybill.status !== 'ACTIVE') {
+      throw new Error(`Cannot mark ${ewaybill.status.toLowerCase()} E-Way Bill as delivered`);
+    }
+
+    db.prepare(`
+      UPDATE ewaybills SET status = 'DELIVERED', delivered_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(new Date().toISOString(), id);
+
+    return this.toEwaybill(this.getRow(id));
+  }
+
+  // Generate a consolidated E-Way Bill for several bills moving in one vehicle
+  async createConsolidated(consolidatedData) {
+    if (!db) throw new Error('Database not initialized');
+
+    const references = consolidatedData.ewaybillIds || consolidatedData.ewbNos || [];
+    if (references.length < 2) {
+      throw new Error('A consolidated E-Way Bill needs at least two E-Way Bills');
+    }
+
+    const mode = consolidatedData.mode || 'Road';
+    if (mode === 'Road' && (!consolidatedData.vehicleNo || !isValidVehicleNumber(consolidatedData.vehicleNo))) {
+      throw new Error('Invalid Vehicle Number format');
+    }
+    if (mode !== 'Road' && !consolidatedData.transDocNo) {
+      throw new Error('Transport document number is required for rail, air and ship');
+    }
+    if (!consolidatedData.fromPlace || !consolidatedData.fromState) {
+      throw new Error('From place and state are required');
+    }
+
+    const bills = references.map(reference => {
+      const row = consolidatedData.ewaybillIds
+        ? db.prepare('SELECT * FROM ewaybills WHERE id = ?').get(reference)
+        : db.prepare('SELECT * FROM ewaybills WHERE ewb_no = ?').get(String(reference));
+      if (!row) {
+        throw new Error(`E-Way Bill ${reference} not found`);
+      }
+      this.assertMovable(row, `consolidate ${row.ewb_no}`);
+      if (row.is_multi_vehicle) {
+        throw new Error(`E-Way Bill ${row.ewb_no} moves on multiple vehicles and cannot be consolidated`);
+      }
+      return row;
+    });
+
+    const id = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO consolidated_ewaybills (cewb_no, mode, vehicle_no, trans_doc_no, trans_doc_date, from_place, from_state,
+          regenerated_from, reason_code, reason_remarks, generated_date)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        generateEwbNumber(), mode, consolidatedData.vehicleNo || null, consolidatedData.transDocNo || null,
+        consolidatedData.transDocDate || null, consolidatedData.fromPlace, consolidatedData.fromState,
+        consolidatedData.regeneratedFrom || null, consolidatedData.reasonCode || null, consolidatedData.reasonRemarks || null,
+        new Date().toISOString()
+      );
+
+      const addItem = db.prepare('INSERT INTO consolidated_ewaybill_items (consolidated_id, ewaybill_id) VALUES (?, ?)');
+      bills.forEach(row => {
+        addItem.run(result.lastInsertRowid, row.id);
+        this.recordPartB(row, {
+          movementType: 'consolidated',
+          consolidatedId: result.lastInsertRowid,
+          mode,
+          vehicleNo: consolidatedData.vehicleNo,
+          transDocNo: consolidatedData.transDocNo,
+          transDocDate: consolidatedData.transDocDate,
+          fromPlace: consolidatedData.fromPlace,
+          fromState: consolidatedData.fromState,
+          reasonCode: consolidatedData.reasonCode || (row.vehicle_no ? '2' : '4'),
+          reasonRemarks: consolidatedData.reasonRemarks || 'Consolidated E-Way Bill'
+        });
+      });
+
+      return result.lastInsertRowid;
+    })();
+
+    return this.getConsolidated(id);
+  }
+
+  // Change the vehicle of a consolidated trip; the portal issues a new consolidated number
+  async regenerateConsolidated(id, vehicleData) {
+    const consolidated = await this.getConsolidated(id);
+
+    if (consolidated.status !== 'ACTIVE') {
+      throw new Error('Only an active consolidated E-Way Bill can be regenerated');
+    }
+    const reasonCode = String(vehicleData.reasonCode || '');
+    if (!VEHICLE_REASONS[reasonCode] || reasonCode === '4') {
+      throw new Error(`Invalid vehicle change reason: ${reasonCode || 'none'}`);
+    }
+
+    // Bills delivered or cancelled since drop out of the regenerated trip
+    const remaining = consolidated.ewaybills.filter(ewb => ewb.status === 'ACTIVE').map(ewb => ewb.id);
+    const regenerated = await this.createConsolidated({
+      ewaybillIds: remaining,
+      mode: vehicleData.mode || consolidated.mode,
+      vehicleNo: vehicleData.vehicleNo,
+      transDocNo: vehicleData.transDocNo || consolidated.trans_doc_no,
+      transDocDate: vehicleData.transDocDate || consolidated.trans_doc_date,
+      fromPlace: vehicleData.fromPlace,
+      fromState: vehicleData.fromState,
+      reasonCode,
+      reasonRemarks: vehicleData.reasonRemarks || VEHICLE_REASONS[reasonCode],
+      regeneratedFrom: id
+    });
+
+    db.prepare("UPDATE consolidated_ewaybills SET status = 'REGENERATED' WHERE id = ?").run(id);
+    return regenerated;
+  }
+
+  // Get a consolidated E-Way Bill with its bills
+  async getConsolidated(id) {
+    const consolidated = db.prepare('SELECT * FROM consolidated_ewaybills WHERE id = ?').get(id);
+    if (!consolidated) {
+      throw new Error('Consolidated E-Way Bill not found');
+    }
+
+    const rows = db.prepare(`
+      SELECT e.* FROM consolidated_ewaybill_items ci
+      JOIN ewaybills e ON e.id = ci.ewaybill_id
+      WHERE ci.consolidated_id = ?
+      ORDER BY e.id
+    `).all(id);
+
+    return { ...consolidated, ewaybills: rows.map(row => this.toEwaybill(row)) };
+  }
+
+  // List consolidated E-Way Bills
+  async getAllConsolidated(filters = {}) {
+    if (!db) return [];
+
+    const rows = db.prepare(`
+      SELECT c.*, COUNT(ci.ewaybill_id) as ewaybill_count
+      FROM consolidated_ewaybills c
+      LEFT JOIN consolidated_ewaybill_items ci ON ci.consolidated_id = c.id
+      ${filters.status ? 'WHERE c.status = ?' : ''}
+      GROUP BY c.id
+      ORDER BY c.generated_date DESC, c.id DESC
+    `).all(...(filters.status ? [filters.status] : []));
+
+    return rows;
+  }
+
+  /**
+   * Active bills whose validity lapses within the window (or lapsed recently)
+   * and that have not been alerted for their current validity
+   * @param {Object} options - { hoursBefore, now }
+   * @returns {Array} Bills with hoursLeft
+   */
+  getExpiringEwaybills(options = {}) {
+    if (!db) return [];
+
+    const now = options.now || new Date();
+    const hoursBefore = options.hoursBefore || 8;
+    const horizon = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+    const since = new Date(now.getTime() - EXTENSION_WINDOW_MS);
+
+    return db.prepare(`
+      SELECT * FROM ewaybills
+      WHERE status = 'ACTIVE' AND valid_upto IS NOT NULL AND valid_upto <= ? AND valid_upto >= ?
+        AND (alerted_valid_upto IS NULL OR alerted_valid_upto != valid_upto)
+      ORDER BY valid_upto ASC
+    `).all(horizon.toISOString(), since.toISOString()).map(row => ({
+      ...this.toEwaybill(row),
+      hoursLeft: Math.round((new Date(row.valid_upto) - now) / (60 * 60 * 1000) * 10) / 10
+    }));
+  }
+
+  // Record that the expiry alert for the bill's current validity was raised
+  markExpiryAlerted(id, validUpto) {
+    if (!db) return;
+    db.prepare('UPDATE ewaybills SET alerted_valid_upto = ? WHERE id = ?').run(validUpto, id);
   }
 
   // Generate JSON for GST Portal
   async generateJson(id) {
-    const ewaybills = readEwaybills();
-    const ewaybill = ewaybills.find(ewb => ewb.id === id);
-    
-    if (!ewaybill) {
-      throw new Error('E-Way Bill not found');
-    }
-    
+    const ewaybill = this.toEwaybill(this.getRow(id), true);
+
     // Transform to GST Portal EWB-01 JSON format
     const jsonData = {
       ewbVersion: '1.0.0719',
@@ -309,14 +1231,14 @@ class EwaybillService {
       ewbNo: ewaybill.ewbNo,
       isOdc: ewaybill.isOdc || false,
       isMultiVehicle: ewaybill.isMultiVehicle || false,
-      
+
       // Transaction Type Details
       supplyType: ewaybill.supplyType || 'OUTWARD',
       subSupplyType: ewaybill.subSupplyType || 'Supply',
       docType: ewaybill.docType || 'Tax Invoice',
       docNo: ewaybill.docNo || '',
       docDate: ewaybill.docDate || '',
-      
+
       // From Details
       fromGstin: ewaybill.consignorGstin || '',
       fromTrdName: ewaybill.consignorName || '',
@@ -325,7 +1247,7 @@ class EwaybillService {
       fromPlace: ewaybill.consignorPlace || '',
       fromPincode: parseInt(ewaybill.consignorPincode) || 0,
       fromState: ewaybill.consignorGstin ? ewaybill.consignorGstin.substring(0, 2) : '',
-      
+
       // To Details
       toGstin: ewaybill.consigneeGstin || '',
       toTrdName: ewaybill.consigneeName || '',
@@ -334,9 +1256,9 @@ class EwaybillService {
       toPlace: ewaybill.consigneePlace || '',
       toPincode: parseInt(ewaybill.consigneePincode) || 0,
       toState: ewaybill.consigneeGstin ? ewaybill.consigneeGstin.substring(0, 2) : '',
-      
+
       // Item Details
-      itemList: ewaybill.items ? ewaybill.items.map((item, idx) => ({
+      itemList: ewaybill.items.map((item, idx) => ({
         itemNo: idx + 1,
         productName: item.productName || '',
         productDesc: item.productDesc || '',
@@ -349,21 +1271,21 @@ class EwaybillService {
         sgstRate: ewaybill.isInterstate ? 0 : parseFloat(item.taxRate) / 2,
         cessRate: parseFloat(item.cessRate) || 0,
         cessAdvol: parseFloat(item.cessAdvol) || 0
-      })) : [],
-      
+      })),
+
       // Total Values
       totalValue: parseFloat(ewaybill.totalValue) || 0,
       cgstValue: parseFloat(ewaybill.totalCgst) || 0,
       sgstValue: parseFloat(ewaybill.totalSgst) || 0,
       igstValue: parseFloat(ewaybill.totalIgst) || 0,
       cessValue: parseFloat(ewaybill.cessValue) || 0,
-      
+
       // Transporter Details
       transporterId: ewaybill.transporterId || '',
       transporterName: ewaybill.transporterName || '',
       transporterDocNo: ewaybill.transporterDocNo || '',
       transporterDocDate: ewaybill.transporterDocDate || '',
-      
+
       // Vehicle Details
       mode: ewaybill.mode || 'Road',
       vehicleNo: ewaybill.vehicleNo || '',
@@ -372,87 +1294,79 @@ class EwaybillService {
       toPlace: ewaybill.shipToPlace || '',
       toState: ewaybill.shipToState || '',
       travelDistance: parseInt(ewaybill.distance) || 0,
-      
+
+      // Part-B history
+      vehicleListDetails: ewaybill.movements.filter(m => m.vehicle_no || m.trans_doc_no).map(m => ({
+        updMode: m.movement_type,
+        vehicleNo: m.vehicle_no || '',
+        fromPlace: m.from_place || '',
+        fromState: m.from_state || '',
+        transDocNo: m.trans_doc_no || '',
+        transDocDate: m.trans_doc_date || '',
+        groupNo: m.group_id ? (ewaybill.vehicleGroups.find(g => g.id === m.group_id) || {}).group_no : 0,
+        enteredDate: m.created_at
+      })),
+
       // Validity
       validUpto: ewaybill.validUpto,
       extendedDate: ewaybill.extendedDate || '',
-      
+      extendedTimes: ewaybill.extensionCount || 0,
+
       // Status
       status: ewaybill.status,
       cancelDate: ewaybill.cancelledDate || '',
       cancelRsnCode: ewaybill.cancelRsnCode || '',
       cancelRmrk: ewaybill.cancelReason || ''
     };
-    
+
     return jsonData;
   }
 
   // Get dashboard statistics
   async getDashboardStats() {
-    const ewaybills = readEwaybills();
+    if (!db) return {};
+
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    
-    const stats = {
-      total: ewaybills.length,
-      active: ewaybills.filter(ewb => ewb.status === 'ACTIVE').length,
-      cancelled: ewaybills.filter(ewb => ewb.status === 'CANCELLED').length,
-      expired: ewaybills.filter(ewb => new Date(ewb.validUpto) < now && ewb.status === 'ACTIVE').length,
-      generatedToday: ewaybills.filter(ewb => new Date(ewb.generatedDate) >= today).length,
-      expiringSoon: ewaybills.filter(ewb => {
-        const validUpto = new Date(ewb.validUpto);
-        const daysUntilExpiry = Math.ceil((validUpto - now) / (1000 * 60 * 60 * 24));
-        return ewb.status === 'ACTIVE' && daysUntilExpiry > 0 && daysUntilExpiry <= 3;
-      }).length
+    const soon = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
+
+    return db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        COALESCE(SUM(CASE WHEN status = 'ACTIVE' THEN 1 ELSE 0 END), 0) as active,
+        COALESCE(SUM(CASE WHEN status = 'CANCELLED' THEN 1 ELSE 0 END), 0) as cancelled,
+        COALESCE(SUM(CASE WHEN status = 'DELIVERED' THEN 1 ELSE 0 END), 0) as delivered,
+        COALESCE(SUM(CASE WHEN status = 'ACTIVE' AND valid_upto < @now THEN 1 ELSE 0 END), 0) as expired,
+        COALESCE(SUM(CASE WHEN generated_date >= @today THEN 1 ELSE 0 END), 0) as generatedToday,
+        COALESCE(SUM(CASE WHEN status = 'ACTIVE' AND valid_upto >= @now AND valid_upto <= @soon THEN 1 ELSE 0 END), 0) as expiringSoon,
+        COALESCE(SUM(CASE WHEN extension_count > 0 THEN 1 ELSE 0 END), 0) as extended
+      FROM ewaybills
+    `).get({ now: now.toISOString(), today: today.toISOString(), soon: soon.toISOString() });
+  }
+
+  // Reason codes for the renderer
+  getReasonCodes() {
+    return {
+      vehicle: Object.entries(VEHICLE_REASONS).map(([code, name]) => ({ code, name })),
+      extension: Object.entries(EXTENSION_REASONS).map(([code, name]) => ({ code, name })),
+      transitTypes: Object.entries(TRANSIT_TYPES).map(([code, name]) => ({ code, name }))
     };
-    
-    return stats;
-  }
-
-  // Get HSN codes list (common ones)
-  getHsnCodes() {
-    return [
-      { code: '0101', description: 'Live horses, asses, mules and hinnies' },
-      { code: '0201', description: 'Meat of bovine animals, fresh or chilled' },
-      { code: '0401', description: 'Milk and cream, not concentrated' },
-      { code: '1001', description: 'Wheat and meslin' },
-      { code: '1701', description: 'Cane or beet sugar' },
-      { code: '2401', description: 'Unmanufactured tobacco' },
-      { code: '3001', description: 'Dried glands, extracts for organo-therapeutic' },
-      { code: '3002', description: 'Human blood; antisera, vaccines' },
-      { code: '3003', description: 'Medicaments, not in measured doses' },
-      { code: '3004', description: 'Medicaments in measured doses' },
-      { code: '3304', description: 'Beauty or make-up preparations' },
-      { code: '4202', description: 'Trunks, suit-cases, handbags' },
-      { code: '5208', description: 'Woven fabrics of cotton' },
-      { code: '6101', description: "Men's overcoats, jackets of knitted fabrics" },
-      { code: '6102', description: "Women's overcoats, jackets of knitted fabrics" },
-      { code: '6201', description: "Men's overcoats, jackets, cloaks" },
-      { code: '6202', description: "Women's overcoats, jackets, cloaks" },
-      { code: '6204', description: "Women's suits, dresses, skirts" },
-      { code: '6401', description: 'Waterproof footwear' },
-      { code: '6402', description: 'Footwear with outer soles of rubber' },
-      { code: '7117', description: 'Imitation jewellery' },
-      { code: '8415', description: 'Air conditioning machines' },
-      { code: '8418', description: 'Refrigerators, freezers' },
-      { code: '8471', description: 'Automatic data processing machines' },
-      { code: '8507', description: 'Electric accumulators' },
-      { code: '8517', description: 'Telephone sets, smartphones' },
-      { code: '8702', description: 'Motor vehicles for transport of persons' },
-      { code: '8703', description: 'Motor cars and vehicles for transport' },
-      { code: '8704', description: 'Motor vehicles for goods transport' },
-      { code: '9401', description: 'Seats, whether or not convertible' },
-      { code: '9403', description: 'Furniture and parts thereof' },
-      { code: '9405', description: 'Lamps and lighting fittings' }
-    ];
+  }
+
+  // Get HSN/SAC codes from the HSN master
+  getHsnCodes(filters = {}) {
+    let query = 'SELECT code, description, type, uqc FROM hsn_codes WHERE is_active = 1';
+    const params = [];
+    if (filters.search) {
+      query += ' AND (code LIKE ? OR description LIKE ?)';
+      params.push(`${filters.search}%`, `%${filters.search}%`);
+    }
+    return db.prepare(`${query} ORDER BY code`).all(...params);
   }
 
   // Get state codes
   getStateCodes() {
-    return Object.entries(STATE_CODES).map(([code, name]) => ({
-      code,
-      name
-    }));
+    return placeOfSupply.getStateCodes();
   }
 }
 
@@ -41,7 +41,8 @@ class ExportManager {
       title = 'Report',
       orientation = 'portrait',
       includeTimestamp = true,
-      includeCompanyHeader = true
+      includeCompanyHeader = true,
+      includeTitle = true
     } = options;
 
     // Generate HTML content for PDF
@@ -49,7 +50,8 @@ class ExportManager {
       title,
       orientation,
       includeTimestamp,
-      includeCompanyHeader
+      includeCompanyHeader,
+      includeTitle
     });
 
     // For Electron, we can use window.print or jsPDF
@@ -149,11 +151,16 @@ class ExportManager {
    * Generate HTML content for PDF export
    */
   _generatePDFHTML(reportData, options) {
-    const { title, orientation, includeTimestamp, includeCompanyHeader } = options;
+    const { title, orientation, includeTimestamp, includeCompanyHeader, includeTitle = true } = options;
     
     const styles = this._getPrintStyles(orientation);
     const companyHeader = includeCompanyHeader ? this._getCompanyHeader() : '';
     const timestamp = includeTimestamp ? `<p class="timestamp">Generated on: ${new Date().toLocaleString()}</p>` : '';
+    const titleHeader = includeTitle ? `
+        <div class="header">
+          <div class="report-title">${title}</div>
+          ${timestamp}
+        </div>` : '';
 
     return `
       <!DOCTYPE html>
@@ -251,10 +258,7 @@ class ExportManager {
       </head>
       <body>
         ${companyHeader}
-        <div class="header">
-          <div class="report-title">${title}</div>
-          ${timestamp}
-        </div>
+        ${titleHeader}
         ${this._renderReportContent(reportData)}
       </body>
       </html>
@@ -362,6 +366,9 @@ class ExportManager {
    * Render report content as HTML
    */
   _renderReportContent(reportData) {
+    // Pre-rendered documents (e.g. invoices from invoice-template:render) print as-is
+    if (reportData.html) return reportData.html;
+
     const summary = reportData.summary || {};
     const details = reportData.transactions || reportData.expenses || [];
     
@@ -636,6 +643,241 @@ class ExportManager {
     };
   }
 
+  /**
+   * Export a Form 16A TDS certificate (data from tds:get-form16a) as printable HTML
+   */
+  async exportForm16A(certificate, options = {}) {
+    const { deductor, deductee, payments, challans, totals } = certificate;
+    const title = `Form 16A ${deductee.name} ${certificate.quarter} ${certificate.financial_year}`;
+    const money = value => this._formatValue(Number(value || 0).toFixed(2) * 1);
+
+    const paymentRows = payments.map((p, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${p.date}</td>
+        <td>${p.section}</td>
+        <td class="text-right">${money(p.amount_paid)}</td>
+        <td class="text-right">${p.rate}%</td>
+        <td class="text-right">${money(p.tds_amount)}</td>
+      </tr>
+    `).join('');
+
+    const challanRows = challans.map((c, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${c.bsr_code}</td>
+        <td>${c.deposit_date}</td>
+        <td>${c.challan_no}</td>
+        <td class="text-right">${money(c.tds_amount)}</td>
+      </tr>
+    `).join('');
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <title>${title}</title>
+        <style>
+          ${this._getPrintStyles(options.orientation || 'portrait')}
+          ${this._getTableStyles()}
+          h1 { font-size: 18px; text-align: center; }
+          h2 { font-size: 13px; margin-top: 16px; }
+          .subtitle { text-align: center; color: #64748b; }
+          .parties { display: flex; gap: 16px; margin-top: 16px; }
+          .parties > div { flex: 1; }
+        </style>
+      </head>
+      <body>
+        <div class="page">
+          <h1>FORM No. 16A</h1>
+          <p class="subtitle">Certificate under section 203 of the Income-tax Act, 1961 for tax deducted at source</p>
+          <p class="subtitle">Certificate No. ${certificate.certificate_no} &middot; Quarter ${certificate.quarter}
+            (${certificate.period.startDate} to ${certificate.period.endDate}) &middot; FY ${certificate.financial_year}</p>
+
+          <div class="parties">
+            <div class="border p-4">
+              <div class="font-bold">Deductor</div>
+              <div>${deductor.name || ''}</div>
+              <div>${deductor.address || ''}</div>
+              <div>TAN: ${deductor.tan || '-'} &middot; PAN: ${deductor.pan || '-'}</div>
+            </div>
+            <div class="border p-4">
+              <div class="font-bold">Deductee</div>
+              <div>${deductee.name}</div>
+              <div>${deductee.address || ''}</div>
+              <div>PAN: ${deductee.pan}</div>
+            </div>
+          </div>
+
+          <h2>Summary of payments</h2>
+          <table>
+            <thead><tr><th>#</th><th>Date</th><th>Section</th><th>Amount Paid</th><th>Rate</th><th>Tax Deducted</th></tr></thead>
+            <tbody>${paymentRows}</tbody>
+            <tfoot><tr class="font-bold"><td colspan="3">Total</td><td class="text-right">${money(totals.amount_paid)}</td><td></td><td class="text-right">${money(totals.tds_deducted)}</td></tr></tfoot>
+          </table>
+
+          <h2>Tax deposited through challan</h2>
+          <table>
+            <thead><tr><th>#</th><th>BSR Code</th><th>Date of Deposit</th><th>Challan Serial No.</th><th>Tax Deposited</th></tr></thead>
+            <tbody>${challanRows}</tbody>
+            <tfoot><tr class="font-bold"><td colspan="4">Total</td><td class="text-right">${money(totals.tds_deposited)}</td></tr></tfoot>
+          </table>
+
+          <p class="mt-4">Certified that a sum of ₹${money(totals.tds_deposited)} has been deducted and deposited to the
+            credit of the Central Government.</p>
+          <p class="mt-4 text-right">Signature of person responsible for deduction of tax</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return {
+      success: true,
+      format: 'pdf',
+      content: htmlContent,
+      filename: `${this._sanitizeFilename(title)}.html`,
+      action: 'print'
+    };
+  }
+
+  /**
+   * Export a bank reconciliation statement (data from banking:get-reconciliation-statement).
+   * PDF and print give the auditor's layout; Excel and CSV give the same lines for a working paper.
+   */
+  async exportBankReconciliationStatement(statement, format = 'pdf', options = {}) {
+    const { account, sections } = statement;
+    const accountLabel = `${account.bank_name}${account.account_number ? ` A/c ${account.account_number}` : ''}`;
+    const title = `Bank Reconciliation Statement ${accountLabel} ${statement.as_of_date}`;
+    const filename = this._sanitizeFilename(`BRS ${account.bank_name} ${statement.as_of_date}`);
+    const money = value => this._formatValue(Number(value || 0).toFixed(2) * 1);
+
+    if (['csv', 'excel'].includes(format.toLowerCase())) {
+      const rows = [
+        ['Bank Reconciliation Statement'],
+        ['Account', accountLabel],
+        ['As on', statement.as_of_date],
+        [],
+        ['Particulars', 'Date', 'Reference', 'Amount', 'Total'],
+        ['Balance as per books', '', '', '', statement.balance_per_books]
+      ];
+      sections.forEach(section => {
+        rows.push([section.label, '', '', '', section.sign * section.total]);
+        section.items.forEach(item => {
+          rows.push([`  ${item.description || item.party_name || ''}`, item.date, item.reference || '', item.amount, '']);
+        });
+      });
+      rows.push(['Balance as per bank statement', '', '', '', statement.balance_per_bank]);
+      if (statement.statement_balance !== null) {
+        rows.push(['Closing balance shown by the bank', statement.statement_balance_date, '', '', statement.statement_balance]);
+        rows.push(['Unexplained difference', '', '', '', statement.difference]);
+      }
+
+      const csv = rows.map(r => r.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')).join('\n');
+      if (format.toLowerCase() === 'csv') {
+        return {
+          success: true,
+          format: 'csv',
+          data: csv,
+          filename: `${filename}.csv`,
+          contentType: 'text/csv'
+        };
+      }
+      return {
+        success: true,
+        format: 'excel',
+        data: new Blob(['\uFEFF' + csv], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+        filename: `${filename}.xlsx`,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      };
+    }
+
+    const sectionRows = sections.map(section => `
+      <tr class="font-bold">
+        <td colspan="4">${section.label}</td>
+        <td class="text-right">${money(section.total)}</td>
+      </tr>
+      ${section.items.map(item => `
+        <tr>
+          <td class="indent">${item.description || item.party_name || ''}</td>
+          <td>${item.date}</td>
+          <td>${item.reference || ''}</td>
+          <td class="text-right">${money(item.amount)}</td>
+          <td></td>
+        </tr>
+      `).join('')}
+    `).join('');
+
+    const bankCheck = statement.statement_balance !== null ? `
+      <p class="mt-4">Closing balance shown by the bank on ${statement.statement_balance_date}: ₹${money(statement.statement_balance)}
+        ${statement.difference ? `&middot; <strong>Unexplained difference: ₹${money(statement.difference)}</strong>` : '&middot; Agrees'}</p>
+    ` : '';
+    const unassigned = statement.unassigned_book_entries.count ? `
+      <p class="mt-4 note">${statement.unassigned_book_entries.count} entries (₹${money(statement.unassigned_book_entries.amount)}) on the
+        common Bank Accounts ledger could not be traced to this account and are left out.</p>
+    ` : '';
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <title>${title}</title>
+        <style>
+          ${this._getPrintStyles(options.orientation || 'portrait')}
+          ${this._getTableStyles()}
+          h1 { font-size: 18px; text-align: center; }
+          .subtitle { text-align: center; color: #64748b; }
+          .indent { padding-left: 24px; }
+          .note { color: #64748b; font-size: 11px; }
+        </style>
+      </head>
+      <body>
+        <div class="page">
+          <h1>Bank Reconciliation Statement</h1>
+          <p class="subtitle">${accountLabel} &middot; As on ${statement.as_of_date}</p>
+
+          <table>
+            <thead><tr><th>Particulars</th><th>Date</th><th>Reference</th><th>Amount</th><th>Total</th></tr></thead>
+            <tbody>
+              <tr class="font-bold"><td colspan="4">Balance as per books</td><td class="text-right">${money(statement.balance_per_books)}</td></tr>
+              ${sectionRows}
+            </tbody>
+            <tfoot><tr class="font-bold"><td colspan="4">Balance as per bank statement</td><td class="text-right">${money(statement.balance_per_bank)}</td></tr></tfoot>
+          </table>
+          ${bankCheck}
+          ${unassigned}
+          <p class="mt-4 text-right">Prepared by &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp; Checked by</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return {
+      success: true,
+      format: 'pdf',
+      content: htmlContent,
+      filename: `${filename}.html`,
+      action: 'print'
+    };
+  }
+
+  /**
+   * Export a rendered tax invoice (data from invoice-template:render) as printable HTML.
+   * The invoice carries its own letterhead, so the report headers are left out.
+   */
+  async exportInvoice(invoice, options = {}) {
+    const result = await this._exportToPDF({ html: invoice.html }, {
+      title: invoice.title,
+      orientation: options.orientation || 'portrait',
+      includeTimestamp: false,
+      includeCompanyHeader: false,
+      includeTitle: false
+    });
+
+    return { ...result, filename: `${this._sanitizeFilename(invoice.title)}.html` };
+  }
+
   /**
    * Download blob file
    */
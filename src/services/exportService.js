@@ -0,0 +1,577 @@
+/**
+ * Export Service
+ *
+ * Zero-rated supplies: exports of goods and services and supplies to SEZ
+ * units, made either with payment of IGST (refunded later) or without
+ * payment under a Letter of Undertaking (LUT). Keeps the shipping bill and
+ * invoice currency of each export and tracks the foreign currency
+ * realised against it.
+ *
+ * Features:
+ * - LUT per GSTIN and financial year; exports without IGST need one in force
+ * - Port code, shipping bill number and date per export invoice
+ * - Invoice currency and exchange rate, from the currency rates by default
+ * - Realisation of foreign currency receipts, with the exchange difference
+ * - IGST refund claim summary (rule 96) and LUT ITC refund (rule 89(4))
+ */
+
+const branchService = require('./branchService');
+const currencyService = require('./currencyService');
+
+let db = null;
+
+// Supply natures that are zero-rated
+const ZERO_RATED_NATURES = ['export', 'sez'];
+
+// Export proceeds are due within nine months of the export (FEMA)
+const REALISATION_MONTHS = 9;
+
+// Port codes are six characters, e.g. INNSA1 for Nhava Sheva
+const PORT_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+
+/**
+ * Initialize the export service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[ExportService] Initialized');
+  createExportTables();
+}
+
+/**
+ * Create the LUT, export detail and realisation tables
+ */
+function createExportTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Letters of Undertaking for exports without payment of IGST
+    CREATE TABLE IF NOT EXISTS lut_registrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      gstin TEXT NOT NULL,
+      financial_year TEXT NOT NULL,
+      arn TEXT NOT NULL,
+      filed_on TEXT,
+      valid_from TEXT NOT NULL,
+      valid_to TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(gstin, financial_year)
+    );
+
+    -- Shipping and currency details of export and SEZ invoices
+    CREATE TABLE IF NOT EXISTS export_details (
+      transaction_id INTEGER PRIMARY KEY,
+      export_type TEXT NOT NULL, -- export, sez
+      with_payment INTEGER NOT NULL DEFAULT 1,
+      lut_id INTEGER,
+      port_code TEXT,
+      shipping_bill_no TEXT,
+      shipping_bill_date TEXT,
+      currency_code TEXT NOT NULL DEFAULT 'INR',
+      exchange_rate REAL NOT NULL DEFAULT 1, -- rupees per unit of currency_code
+      foreign_value REAL NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (lut_id) REFERENCES lut_registrations(id)
+    );
+
+    -- Foreign currency received against export invoices
+    CREATE TABLE IF NOT EXISTS export_realisations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      payment_id INTEGER,
+      date TEXT NOT NULL,
+      foreign_amount REAL NOT NULL,
+      exchange_rate REAL NOT NULL,
+      inr_amount REAL NOT NULL, -- rupees credited by the bank
+      booked_inr REAL NOT NULL, -- the same foreign amount at the invoice rate
+      exchange_difference REAL NOT NULL DEFAULT 0, -- gain (+) or loss (-)
+      reference TEXT, -- BRC / FIRC number
+      bank_name TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (payment_id) REFERENCES payments(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_export_realisations_txn ON export_realisations(transaction_id);
+  `);
+}
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Bounds of a financial year ('2025-26' or 2025)
+ */
+function financialYearBounds(financialYear) {
+  const startYear = parseInt(String(financialYear), 10);
+  if (!startYear) throw new Error(`Invalid financial year: ${financialYear}`);
+  return {
+    name: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    start_date: `${startYear}-04-01`,
+    end_date: `${startYear + 1}-03-31`
+  };
+}
+
+/**
+ * Date a number of months after another
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const last = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, last))).toISOString().split('T')[0];
+}
+
+/**
+ * Rupees per unit of a currency, from the stored exchange rates
+ * @param {string} currencyCode - ISO currency code
+ */
+function getDefaultExchangeRate(currencyCode) {
+  if (!currencyCode || currencyCode === 'INR') return 1;
+  return round2(currencyService.convertCurrency(1, currencyCode, 'INR').rate);
+}
+
+/**
+ * Record (or replace) the LUT filed for a financial year
+ * @param {Object} lutData - { gstin, financialYear, arn, filedOn }
+ */
+function saveLUT(lutData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    if (!lutData.arn) return { success: false, error: 'LUT ARN is required' };
+    const registration = branchService.getRegistration(lutData.gstin);
+    if (!registration.gstin) return { success: false, error: 'Set the GSTIN before recording an LUT' };
+    const year = financialYearBounds(lutData.financialYear);
+
+    db.prepare(`
+      INSERT INTO lut_registrations (gstin, financial_year, arn, filed_on, valid_from, valid_to)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(gstin, financial_year) DO UPDATE SET
+        arn = excluded.arn, filed_on = excluded.filed_on
+    `).run(registration.gstin, year.name, String(lutData.arn).trim().toUpperCase(),
+      lutData.filedOn || null, year.start_date, year.end_date);
+
+    const lut = db.prepare('SELECT * FROM lut_registrations WHERE gstin = ? AND financial_year = ?')
+      .get(registration.gstin, year.name);
+    return { success: true, lut, message: `LUT for ${year.name} saved` };
+  } catch (error) {
+    console.error('[ExportService] Save LUT error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * LUTs on record, latest year first
+ * @param {string} [gstin] - Only this registration
+ */
+function getLUTs(gstin) {
+  if (!db) return [];
+  if (gstin) {
+    return db.prepare('SELECT * FROM lut_registrations WHERE gstin = ? ORDER BY valid_from DESC').all(gstin);
+  }
+  return db.prepare('SELECT * FROM lut_registrations ORDER BY valid_from DESC, gstin').all();
+}
+
+/**
+ * LUT in force for a registration on a date
+ * @param {string} gstin - GSTIN
+ * @param {string} date - Invoice date
+ */
+function getActiveLUT(gstin, date) {
+  if (!db || !gstin) return null;
+  return db.prepare(`
+    SELECT * FROM lut_registrations
+    WHERE gstin = ? AND valid_from <= ? AND valid_to >= ?
+      AND (filed_on IS NULL OR filed_on <= ?)
+  `).get(gstin, date, date, date) || null;
+}
+
+/**
+ * Check the shipping bill fields of an export
+ */
+function validateShipping(details, invoiceDate) {
+  if (details.port_code && !PORT_CODE_PATTERN.test(details.port_code)) {
+    throw new Error(`Invalid port code ${details.port_code}; expected six characters such as INNSA1`);
+  }
+  if (details.shipping_bill_date && invoiceDate && details.shipping_bill_date < invoiceDate) {
+    throw new Error('The shipping bill cannot be dated before the invoice');
+  }
+}
+
+/**
+ * Work out the export details of a sale before it is saved. Exports
+ * without payment of IGST need an LUT in force on the invoice date.
+ * @param {Object} transaction - Voucher being created (port_code, shipping_bill_no,
+ *   shipping_bill_date, currency_code, exchange_rate, foreign_value)
+ * @param {Object} supply - Place-of-supply decision for the voucher
+ * @param {string} gstin - GSTIN the invoice is issued under
+ * @returns {Object|null} Details to save, or null when the supply is not zero-rated
+ */
+function prepareExportDetails(transaction, supply, gstin) {
+  if (transaction.voucher_type !== 'sale' || !ZERO_RATED_NATURES.includes(supply.supply_nature)) return null;
+
+  const withPayment = supply.with_payment !== false;
+  let lut = null;
+  if (!withPayment) {
+    lut = getActiveLUT(gstin, transaction.date);
+    if (!lut) {
+      throw new Error(`No LUT on record for ${gstin || 'this registration'} on ${transaction.date}; record the LUT or make the supply with payment of IGST`);
+    }
+  }
+
+  const currencyCode = String(transaction.currency_code || 'INR').toUpperCase();
+  const exchangeRate = Number(transaction.exchange_rate) || getDefaultExchangeRate(currencyCode);
+  if (!(exchangeRate > 0)) throw new Error(`Invalid exchange rate for ${currencyCode}`);
+
+  const details = {
+    export_type: supply.supply_nature,
+    with_payment: withPayment ? 1 : 0,
+    lut_id: lut ? lut.id : null,
+    port_code: transaction.port_code ? String(transaction.port_code).trim().toUpperCase() : null,
+    shipping_bill_no: transaction.shipping_bill_no || null,
+    shipping_bill_date: transaction.shipping_bill_date || null,
+    currency_code: currencyCode,
+    exchange_rate: exchangeRate,
+    foreign_value: transaction.foreign_value ? round2(transaction.foreign_value) : null
+  };
+  validateShipping(details, transaction.date);
+  return details;
+}
+
+/**
+ * Save the export details of a sale
+ * @param {number} transactionId - transactions.id
+ * @param {Object} details - From prepareExportDetails
+ * @param {number} invoiceValue - Invoice total in rupees
+ */
+function saveExportDetails(transactionId, details, invoiceValue) {
+  const foreignValue = details.foreign_value || round2(invoiceValue / details.exchange_rate);
+  db.prepare(`
+    INSERT OR REPLACE INTO export_details (
+      transaction_id, export_type, with_payment, lut_id, port_code, shipping_bill_no,
+      shipping_bill_date, currency_code, exchange_rate, foreign_value
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(transactionId, details.export_type, details.with_payment, details.lut_id, details.port_code,
+    details.shipping_bill_no, details.shipping_bill_date, details.currency_code, details.exchange_rate, foreignValue);
+}
+
+/**
+ * Export details of a sale with what has been realised against it
+ * @param {number} transactionId - transactions.id
+ */
+function getExportDetails(transactionId) {
+  if (!db) return null;
+
+  const details = db.prepare(`
+    SELECT x.*, t.voucher_no, t.date, t.total_amount, t.igst_amount, l.arn as lut_arn
+    FROM export_details x
+    JOIN transactions t ON t.id = x.transaction_id
+    LEFT JOIN lut_registrations l ON l.id = x.lut_id
+    WHERE x.transaction_id = ?
+  `).get(transactionId);
+  if (!details) return null;
+
+  const realisations = db.prepare('SELECT * FROM export_realisations WHERE transaction_id = ? ORDER BY date, id')
+    .all(transactionId);
+  return { ...details, realisations, ...realisationStatus(details, realisations) };
+}
+
+/**
+ * Realised and outstanding foreign currency of an export, and whether the
+ * proceeds are overdue. Rupee supplies to SEZ units have nothing to realise.
+ */
+function realisationStatus(details, realisations, asOf = new Date().toISOString().split('T')[0]) {
+  const realised = round2(realisations.reduce((sum, r) => sum + r.foreign_amount, 0));
+  const outstanding = round2(Math.max(0, details.foreign_value - realised));
+  const tracked = details.export_type === 'export' || details.currency_code !== 'INR';
+  const dueBy = tracked ? addMonths(details.shipping_bill_date || details.date, REALISATION_MONTHS) : null;
+
+  let status = 'pending';
+  if (!tracked) status = 'not_applicable';
+  else if (outstanding <= 0) status = 'realised';
+  else if (asOf > dueBy) status = 'overdue';
+  else if (realised > 0) status = 'partial';
+
+  return {
+    realised_foreign: realised,
+    outstanding_foreign: outstanding,
+    realised_inr: round2(realisations.reduce((sum, r) => sum + r.inr_amount, 0)),
+    exchange_difference: round2(realisations.reduce((sum, r) => sum + r.exchange_difference, 0)),
+    realisation_due_by: dueBy,
+    realisation_status: status
+  };
+}
+
+/**
+ * Update the shipping bill, port code or currency of an export. The
+ * currency and rate are fixed once anything has been realised.
+ * @param {number} transactionId - transactions.id
+ * @param {Object} updates - { port_code, shipping_bill_no, shipping_bill_date, currency_code, exchange_rate }
+ */
+function updateExportDetails(transactionId, updates) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const current = getExportDetails(transactionId);
+    if (!current) return { success: false, error: 'Not an export or SEZ invoice' };
+
+    const next = {
+      port_code: 'port_code' in updates ? (updates.port_code ? String(updates.port_code).trim().toUpperCase() : null) : current.port_code,
+      shipping_bill_no: 'shipping_bill_no' in updates ? updates.shipping_bill_no || null : current.shipping_bill_no,
+      shipping_bill_date: 'shipping_bill_date' in updates ? updates.shipping_bill_date || null : current.shipping_bill_date,
+      currency_code: updates.currency_code ? String(updates.currency_code).toUpperCase() : current.currency_code,
+      exchange_rate: Number(updates.exchange_rate) || null
+    };
+    validateShipping(next, current.date);
+
+    const currencyChanged = next.currency_code !== current.currency_code
+      || (next.exchange_rate && next.exchange_rate !== current.exchange_rate);
+    if (currencyChanged && current.realisations.length > 0) {
+      return { success: false, error: `${current.voucher_no} has realisations; its currency and rate can no longer change` };
+    }
+    const exchangeRate = next.exchange_rate
+      || (next.currency_code !== current.currency_code ? getDefaultExchangeRate(next.currency_code) : current.exchange_rate);
+
+    db.prepare(`
+      UPDATE export_details SET port_code = ?, shipping_bill_no = ?, shipping_bill_date = ?,
+        currency_code = ?, exchange_rate = ?, foreign_value = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE transaction_id = ?
+    `).run(next.port_code, next.shipping_bill_no, next.shipping_bill_date, next.currency_code, exchangeRate,
+      currencyChanged ? round2(current.total_amount / exchangeRate) : current.foreign_value, transactionId);
+
+    return { success: true, details: getExportDetails(transactionId) };
+  } catch (error) {
+    console.error('[ExportService] Update export details error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Work out a realisation before it is recorded: the rupees credited at the
+ * realisation rate against the rupees booked at the invoice rate
+ * @param {number} transactionId - Export invoice
+ * @param {Object} receipt - { date, foreign_amount, exchange_rate, reference, bank_name }
+ */
+function prepareRealisation(transactionId, receipt) {
+  const details = getExportDetails(transactionId);
+  if (!details) throw new Error('Not an export or SEZ invoice');
+
+  const foreignAmount = round2(receipt.foreign_amount);
+  if (!(foreignAmount > 0)) throw new Error('Realised amount must be more than zero');
+  if (foreignAmount > details.outstanding_foreign) {
+    throw new Error(`Only ${details.currency_code} ${details.outstanding_foreign} is outstanding on ${details.voucher_no}`);
+  }
+
+  const date = receipt.date || new Date().toISOString().split('T')[0];
+  if (date < details.date) throw new Error('Proceeds cannot be realised before the invoice date');
+
+  const exchangeRate = Number(receipt.exchange_rate) || getDefaultExchangeRate(details.currency_code);
+  // The last receipt settles whatever is left of the invoice in rupees
+  const bookedInr = foreignAmount === details.outstanding_foreign
+    ? round2(details.total_amount - details.realisations.reduce((sum, r) => sum + r.booked_inr, 0))
+    : round2(foreignAmount * details.exchange_rate);
+  const inrAmount = round2(foreignAmount * exchangeRate);
+
+  return {
+    transaction_id: transactionId,
+    voucher_no: details.voucher_no,
+    currency_code: details.currency_code,
+    date,
+    foreign_amount: foreignAmount,
+    exchange_rate: exchangeRate,
+    inr_amount: inrAmount,
+    booked_inr: bookedInr,
+    exchange_difference: round2(inrAmount - bookedInr),
+    reference: receipt.reference || null,
+    bank_name: receipt.bank_name || null
+  };
+}
+
+/**
+ * Record a realisation worked out by prepareRealisation
+ * @param {Object} realisation - Prepared realisation with payment_id
+ * @returns {number} export_realisations.id
+ */
+function recordRealisation(realisation) {
+  return db.prepare(`
+    INSERT INTO export_realisations (
+      transaction_id, payment_id, date, foreign_amount, exchange_rate, inr_amount,
+      booked_inr, exchange_difference, reference, bank_name
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(realisation.transaction_id, realisation.payment_id || null, realisation.date, realisation.foreign_amount,
+    realisation.exchange_rate, realisation.inr_amount, realisation.booked_inr, realisation.exchange_difference,
+    realisation.reference, realisation.bank_name).lastInsertRowid;
+}
+
+/**
+ * Export and SEZ invoices of a registration with their realisation status
+ * @param {Object} filters - { gstin, startDate, endDate, exportType, status }
+ */
+function getExportInvoices(filters = {}) {
+  if (!db) return [];
+
+  const registration = branchService.getRegistration(filters.gstin);
+  let query = `
+    SELECT x.*, t.voucher_no, t.date, t.total_amount, t.taxable_amount, t.igst_amount, t.service_type,
+      p.name as party_name, p.country as party_country, l.arn as lut_arn
+    FROM export_details x
+    JOIN transactions t ON t.id = x.transaction_id
+    LEFT JOIN parties p ON p.id = t.party_id
+    LEFT JOIN lut_registrations l ON l.id = x.lut_id
+    WHERE t.is_cancelled = 0
+      AND COALESCE(t.branch_id, 0) IN (${registration.branch_ids.map(Number).join(', ')})
+  `;
+  const params = [];
+  if (filters.startDate) {
+    query += ' AND t.date >= ?';
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    query += ' AND t.date <= ?';
+    params.push(filters.endDate);
+  }
+  if (filters.exportType) {
+    query += ' AND x.export_type = ?';
+    params.push(filters.exportType);
+  }
+  query += ' ORDER BY t.date, t.id';
+
+  const realisations = db.prepare('SELECT * FROM export_realisations ORDER BY date, id').all();
+  const invoices = db.prepare(query).all(...params).map(invoice => {
+    const own = realisations.filter(r => r.transaction_id === invoice.transaction_id);
+    return { ...invoice, realisations: own, ...realisationStatus(invoice, own) };
+  });
+
+  return filters.status ? invoices.filter(invoice => invoice.realisation_status === filters.status) : invoices;
+}
+
+/**
+ * Refunds due on zero-rated supplies for a period:
+ * - IGST paid on exports, claimed through the shipping bill for goods
+ *   (rule 96) and through RFD-01 for services and SEZ supplies
+ * - Unutilised ITC on supplies under LUT (rule 89(4)):
+ *   (zero-rated turnover x net ITC) / adjusted total turnover, where
+ *   exports of services count only once the proceeds are realised
+ * @param {Object} filters - { startDate, endDate, gstin }
+ */
+function getRefundClaimSummary(filters = {}) {
+  if (!db) return null;
+
+  const { startDate, endDate } = filters;
+  const registration = branchService.getRegistration(filters.gstin);
+  const scope = `COALESCE(t.branch_id, 0) IN (${registration.branch_ids.map(Number).join(', ')})`;
+  const exports = getExportInvoices({ gstin: registration.gstin, startDate, endDate });
+
+  // IGST paid on zero-rated supplies
+  const withPayment = exports.filter(inv => inv.with_payment === 1 && inv.igst_amount > 0).map(inv => {
+    const isGoodsExport = inv.export_type === 'export' && !inv.service_type;
+    const missing = isGoodsExport
+      ? ['port_code', 'shipping_bill_no', 'shipping_bill_date'].filter(field => !inv[field])
+      : [];
+    return {
+      transaction_id: inv.transaction_id,
+      invoice_no: inv.voucher_no,
+      invoice_date: inv.date,
+      export_type: inv.export_type,
+      party_name: inv.party_name,
+      port_code: inv.port_code,
+      shipping_bill_no: inv.shipping_bill_no,
+      shipping_bill_date: inv.shipping_bill_date,
+      taxable_value: inv.taxable_amount,
+      igst_amount: inv.igst_amount,
+      claim_route: isGoodsExport ? 'shipping_bill' : 'RFD-01',
+      missing_details: missing,
+      ready: missing.length === 0
+    };
+  });
+
+  // Zero-rated turnover under LUT: goods by invoice, services by proceeds realised in the period
+  const lutInvoices = exports.filter(inv => inv.with_payment === 0);
+  const goodsTurnover = round2(lutInvoices.filter(inv => !inv.service_type)
+    .reduce((sum, inv) => sum + inv.taxable_amount, 0));
+  const servicesInvoiced = round2(lutInvoices.filter(inv => inv.service_type)
+    .reduce((sum, inv) => sum + inv.taxable_amount, 0));
+  const servicesRealised = round2(db.prepare(`
+    SELECT COALESCE(SUM(r.inr_amount), 0) as total
+    FROM export_realisations r
+    JOIN export_details x ON x.transaction_id = r.transaction_id
+    JOIN transactions t ON t.id = r.transaction_id
+    WHERE x.with_payment = 0 AND t.service_type IS NOT NULL AND t.is_cancelled = 0
+      AND r.date >= ? AND r.date <= ? AND ${scope}
+  `).get(startDate, endDate).total);
+
+  // Net ITC availed in the period on inputs and input services
+  const itc = db.prepare(`
+    SELECT COALESCE(SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -1 ELSE 1 END
+      * (COALESCE(t.igst_amount, 0) + COALESCE(t.cgst_amount, 0) + COALESCE(t.sgst_amount, 0))), 0) as total
+    FROM transactions t
+    WHERE t.voucher_type IN ('purchase', 'debit_note') AND t.is_cancelled = 0
+      AND COALESCE(t.is_itc_eligible, 1) = 1
+      AND t.date >= ? AND t.date <= ? AND ${scope}
+  `).get(startDate, endDate).total;
+
+  const turnover = db.prepare(`
+    SELECT COALESCE(SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -1 ELSE 1 END * t.taxable_amount), 0) as total
+    FROM transactions t
+    WHERE t.voucher_type IN ('sale', 'credit_note') AND t.is_cancelled = 0
+      AND t.date >= ? AND t.date <= ? AND ${scope}
+  `).get(startDate, endDate).total;
+
+  const zeroRatedTurnover = round2(goodsTurnover + servicesRealised);
+  const adjustedTurnover = round2(turnover - servicesInvoiced + servicesRealised);
+  const netItc = round2(Math.max(0, itc));
+  const lutRefund = adjustedTurnover > 0
+    ? round2(Math.min(netItc, zeroRatedTurnover * netItc / adjustedTurnover))
+    : 0;
+
+  return {
+    gstin: registration.gstin,
+    period: { start_date: startDate, end_date: endDate },
+    igst_paid: {
+      invoices: withPayment,
+      total_igst: round2(withPayment.reduce((sum, inv) => sum + inv.igst_amount, 0)),
+      claimable_igst: round2(withPayment.filter(inv => inv.ready).reduce((sum, inv) => sum + inv.igst_amount, 0))
+    },
+    lut: {
+      invoices: lutInvoices.length,
+      zero_rated_goods: goodsTurnover,
+      zero_rated_services: servicesRealised,
+      zero_rated_turnover: zeroRatedTurnover,
+      net_itc: netItc,
+      adjusted_total_turnover: adjustedTurnover,
+      refund_amount: lutRefund
+    },
+    total_refund: round2(withPayment.filter(inv => inv.ready).reduce((sum, inv) => sum + inv.igst_amount, 0) + lutRefund),
+    unrealised: exports.filter(inv => !['realised', 'not_applicable'].includes(inv.realisation_status)).map(inv => ({
+      invoice_no: inv.voucher_no,
+      currency_code: inv.currency_code,
+      outstanding_foreign: inv.outstanding_foreign,
+      realisation_due_by: inv.realisation_due_by,
+      realisation_status: inv.realisation_status
+    }))
+  };
+}
+
+module.exports = {
+  initialize,
+  ZERO_RATED_NATURES,
+  getDefaultExchangeRate,
+  saveLUT,
+  getLUTs,
+  getActiveLUT,
+  prepareExportDetails,
+  saveExportDetails,
+  getExportDetails,
+  updateExportDetails,
+  prepareRealisation,
+  recordRealisation,
+  getExportInvoices,
+  getRefundClaimSummary
+};
@@ -0,0 +1,492 @@
+/**
+ * GST Filing Calendar Service
+ *
+ * Generates the statutory return calendar of each GST registration from its
+ * filing frequency and keeps it in gst_reminders next to the reminders
+ * entered by hand. Returns filed late carry the late fee and the 18%
+ * interest on the tax paid in cash.
+ *
+ * Features:
+ * - Filing frequency per GSTIN (monthly or QRMP); composition dealers file quarterly
+ * - GSTR-1, IFF, GSTR-3B, CMP-08, GSTR-4 and GSTR-9 due dates
+ * - Filed / unfiled status per period, from recorded filings or marked by hand
+ * - Late fee (section 47, with the turnover-based caps) and interest (section 50)
+ * - Filings due soon or overdue, for compliance alerts
+ */
+
+const placeOfSupply = require('./placeOfSupply');
+const branchService = require('./branchService');
+
+let db = null;
+let gstReturnService = null;
+
+// Interest on tax paid late, per annum
+const INTEREST_RATE = 18;
+
+// QRMP GSTR-3B falls due on the 22nd in these states and UTs, the 24th elsewhere
+const QRMP_22ND_STATES = ['22', '23', '24', '25', '26', '27', '29', '30', '31', '32', '33', '34', '35', '36', '37'];
+
+// Late fee per day (CGST + SGST together) and the caps by preceding-year turnover
+const LATE_FEES = {
+  'GSTR-1': { perDay: 50, nilPerDay: 20, nilCap: 500, caps: [[15000000, 2000], [50000000, 5000], [Infinity, 10000]] },
+  'GSTR-3B': { perDay: 50, nilPerDay: 20, nilCap: 500, caps: [[15000000, 2000], [50000000, 5000], [Infinity, 10000]] },
+  'GSTR-4': { perDay: 50, nilPerDay: 20, nilCap: 500, caps: [[Infinity, 2000]] },
+  // GSTR-9 (Notif. 07/2023): per-day fee by the year's aggregate turnover, capped at a share of the turnover in the state
+  'GSTR-9': { turnoverTiers: [[50000000, 50, 0.0004], [200000000, 100, 0.0004], [Infinity, 200, 0.005]] }
+};
+
+// Returns on which the tax for the period is paid
+const TAX_PAYING_RETURNS = ['GSTR-3B', 'CMP-08'];
+
+/**
+ * Initialize the GST filing calendar service
+ * @param {Object} database - Database instance
+ * @param {Object} returns - gstReturnService, for recorded filings and cash liability
+ */
+function initialize(database, returns) {
+  db = database;
+  gstReturnService = returns;
+  console.log('[GSTCalendarService] Initialized');
+  createCalendarTables();
+}
+
+/**
+ * Create the filing profile table and the index that keeps one generated
+ * reminder per return and period
+ */
+function createCalendarTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- How each registration files its returns
+    CREATE TABLE IF NOT EXISTS gst_filing_profiles (
+      gstin TEXT PRIMARY KEY,
+      frequency TEXT NOT NULL DEFAULT 'monthly', -- monthly, qrmp
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_gst_reminders_calendar
+      ON gst_reminders(gstin, reminder_type, period) WHERE is_auto = 1;
+  `);
+}
+
+/**
+ * Filing profile of a registration (monthly regular filer by default).
+ * The composition scheme is opted for by the whole business, so it applies
+ * to every registration once set in the business information.
+ * @param {string} gstin - GSTIN (head office by default)
+ */
+function getFilingProfile(gstin) {
+  const registration = branchService.getRegistration(gstin);
+  const key = registration.gstin || '';
+  const profile = db.prepare('SELECT * FROM gst_filing_profiles WHERE gstin = ?').get(key);
+  const composition = gstReturnService && gstReturnService.getCompositionScheme();
+  return {
+    gstin: key,
+    state_code: registration.state_code,
+    frequency: profile ? profile.frequency : 'monthly',
+    scheme: composition ? 'composition' : 'regular'
+  };
+}
+
+/**
+ * Set how often a registration files its returns
+ * @param {Object} profileData - { gstin, frequency }
+ */
+function saveFilingProfile(profileData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const { frequency = 'monthly' } = profileData;
+    if (!['monthly', 'qrmp'].includes(frequency)) {
+      return { success: false, error: `Unknown filing frequency: ${frequency}` };
+    }
+
+    const registration = branchService.getRegistration(profileData.gstin);
+    db.prepare(`
+      INSERT INTO gst_filing_profiles (gstin, frequency) VALUES (?, ?)
+      ON CONFLICT(gstin) DO UPDATE SET frequency = excluded.frequency, updated_at = CURRENT_TIMESTAMP
+    `).run(registration.gstin || '', frequency);
+
+    return { success: true, profile: getFilingProfile(registration.gstin), message: 'Filing profile saved' };
+  } catch (error) {
+    console.error('[GSTCalendarService] Save profile error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * ISO date of a day in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12; 13 rolls into the next year)
+ * @param {number} day - Day of month
+ */
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Last day of a month
+ */
+function monthEnd(year, month) {
+  return isoDate(year, month + 1, 0);
+}
+
+/**
+ * Portal return period (MMYYYY) of a month
+ */
+function periodOf(year, month) {
+  return `${String(month).padStart(2, '0')}${year}`;
+}
+
+/**
+ * Statutory returns of a registration for a financial year
+ * @param {Object} profile - Filing profile
+ * @param {string} financialYear - e.g. '2025-26'
+ * @returns {Array} [{ reminder_type, period, period_start, period_end, due_date }]
+ */
+function buildCalendar(profile, financialYear) {
+  const startYear = parseInt(String(financialYear), 10);
+  if (!startYear) throw new Error(`Invalid financial year: ${financialYear}`);
+
+  const entries = [];
+  const add = (type, period, periodStart, periodEnd, dueDate) => entries.push({
+    reminder_type: type, period, period_start: periodStart, period_end: periodEnd, due_date: dueDate
+  });
+
+  for (let i = 0; i < 12; i++) {
+    const month = ((3 + i) % 12) + 1;
+    const year = month >= 4 ? startYear : startYear + 1;
+    const start = isoDate(year, month, 1);
+    const end = monthEnd(year, month);
+    const quarterEnd = i % 3 === 2;
+    const quarterStart = isoDate(year, month - 2, 1);
+
+    if (profile.scheme === 'composition') {
+      // Quarterly statement-cum-challan by the 18th
+      if (quarterEnd) add('CMP-08', periodOf(year, month), quarterStart, end, isoDate(year, month + 1, 18));
+      continue;
+    }
+
+    if (profile.frequency === 'qrmp') {
+      if (quarterEnd) {
+        const threeBDay = QRMP_22ND_STATES.includes(profile.state_code) ? 22 : 24;
+        add('GSTR-1', periodOf(year, month), quarterStart, end, isoDate(year, month + 1, 13));
+        add('GSTR-3B', periodOf(year, month), quarterStart, end, isoDate(year, month + 1, threeBDay));
+      } else {
+        // B2B invoices of the first two months may go in the optional IFF
+        add('IFF', periodOf(year, month), start, end, isoDate(year, month + 1, 13));
+      }
+    } else {
+      add('GSTR-1', periodOf(year, month), start, end, isoDate(year, month + 1, 11));
+      add('GSTR-3B', periodOf(year, month), start, end, isoDate(year, month + 1, 20));
+    }
+  }
+
+  const yearStart = `${startYear}-04-01`;
+  const yearEnd = `${startYear + 1}-03-31`;
+  const yearName = `${startYear}-${String(startYear + 1).slice(-2)}`;
+  if (profile.scheme === 'composition') {
+    add('GSTR-4', yearName, yearStart, yearEnd, `${startYear + 1}-04-30`);
+  } else {
+    add('GSTR-9', yearName, yearStart, yearEnd, `${startYear + 1}-12-31`);
+  }
+
+  return entries;
+}
+
+/**
+ * Write the statutory calendar of a financial year into gst_reminders.
+ * Periods already in the calendar keep their status and notes.
+ * @param {Object} options - { financialYear, gstin } (all registrations when gstin is omitted)
+ */
+function generateCalendar(options = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    // Only registered businesses file returns
+    const registrations = (options.gstin
+      ? [branchService.getRegistration(options.gstin)]
+      : branchService.getRegistrations()).filter(registration => registration.gstin);
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO gst_reminders (
+        reminder_type, period, due_date, status, notes, gstin, period_start, period_end, is_auto
+      ) VALUES (?, ?, ?, 'pending', NULL, ?, ?, ?, 1)
+    `);
+
+    // Periods yet to begin follow the current profile; a change of frequency or scheme drops the returns no longer due
+    const today = new Date().toISOString().split('T')[0];
+    const startYear = parseInt(String(options.financialYear), 10);
+    const upcoming = db.prepare(`
+      SELECT id, reminder_type, period FROM gst_reminders
+      WHERE is_auto = 1 AND gstin = ? AND status = 'pending'
+        AND period_start > ? AND period_start >= ? AND period_end <= ?
+    `);
+    const remove = db.prepare('DELETE FROM gst_reminders WHERE id = ?');
+
+    let created = 0;
+    let removed = 0;
+    db.transaction(() => {
+      registrations.forEach(registration => {
+        const profile = getFilingProfile(registration.gstin);
+        const entries = buildCalendar(profile, options.financialYear);
+        entries.forEach(entry => {
+          created += insert.run(
+            entry.reminder_type, entry.period, entry.due_date, profile.gstin, entry.period_start, entry.period_end
+          ).changes;
+        });
+        upcoming.all(profile.gstin, today, `${startYear}-04-01`, `${startYear + 1}-03-31`)
+          .filter(row => !entries.some(entry => entry.reminder_type === row.reminder_type && entry.period === row.period))
+          .forEach(row => { removed += remove.run(row.id).changes; });
+      });
+    })();
+
+    refreshStatus();
+    return { success: true, created, removed, message: `${created} filing dates added to the calendar${removed ? `, ${removed} no longer due removed` : ''}` };
+  } catch (error) {
+    console.error('[GSTCalendarService] Generate calendar error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Taxable turnover of sales less credit notes in a period
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Array} branchIds - Branches counted (all when omitted)
+ */
+function getTurnover(startDate, endDate, branchIds) {
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(CASE WHEN voucher_type = 'credit_note' THEN -taxable_amount ELSE taxable_amount END), 0) as turnover
+    FROM transactions
+    WHERE voucher_type IN ('sale', 'credit_note') AND is_cancelled = 0 AND counter_branch_id IS NULL
+      AND date >= ? AND date <= ?
+      ${branchIds ? `AND COALESCE(branch_id, 0) IN (${branchIds.map(Number).join(', ')})` : ''}
+  `).get(startDate, endDate);
+  return row.turnover;
+}
+
+/**
+ * Whether a return has nothing to report for its period
+ * @param {Object} reminder - Calendar entry
+ * @param {Object} registration - Registration filing it
+ */
+function isNilReturn(reminder, registration) {
+  const branches = registration.branch_ids.map(Number).join(', ');
+  const types = reminder.reminder_type === 'GSTR-1' ? "'sale', 'credit_note', 'debit_note'" : "'sale', 'credit_note', 'debit_note', 'purchase'";
+  const row = db.prepare(`
+    SELECT COUNT(*) as count FROM transactions
+    WHERE voucher_type IN (${types}) AND is_cancelled = 0 AND date >= ? AND date <= ?
+      AND COALESCE(branch_id, 0) IN (${branches})
+  `).get(reminder.period_start, reminder.period_end);
+  return row.count === 0;
+}
+
+/**
+ * Days from one ISO date to another
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/**
+ * Late fee and interest on a return filed (or still unfiled) after its due date
+ * @param {Object} reminder - Calendar entry
+ * @param {string} asOfDate - Date the return was filed, or today if it is not
+ * @returns {Object} { days_late, late_fee, late_fee_cgst, late_fee_sgst, cash_liability, interest }
+ */
+function computeLateCharges(reminder, asOfDate) {
+  const daysLate = Math.max(0, daysBetween(reminder.due_date, asOfDate));
+  const charges = { days_late: daysLate, late_fee: 0, late_fee_cgst: 0, late_fee_sgst: 0, cash_liability: 0, interest: 0 };
+  if (daysLate === 0 || !reminder.period_start) return charges;
+
+  const registration = branchService.getRegistration(reminder.gstin || undefined);
+  const rule = LATE_FEES[reminder.reminder_type];
+
+  if (rule && rule.turnoverTiers) {
+    const aggregate = getTurnover(reminder.period_start, reminder.period_end);
+    const [, perDay, share] = rule.turnoverTiers.find(([limit]) => aggregate <= limit);
+    const stateTurnover = getTurnover(reminder.period_start, reminder.period_end, registration.branch_ids);
+    charges.late_fee = Math.min(perDay * daysLate, Math.round(stateTurnover * share));
+  } else if (rule) {
+    const nil = isNilReturn(reminder, registration);
+    // Caps go by the aggregate turnover (all registrations) of the preceding year
+    const startYear = parseInt(reminder.period_start.slice(0, 4), 10) - (reminder.period_start.slice(5, 7) < '04' ? 1 : 0);
+    const turnover = getTurnover(`${startYear - 1}-04-01`, `${startYear}-03-31`);
+    const cap = nil ? rule.nilCap : rule.caps.find(([limit]) => turnover <= limit)[1];
+    charges.late_fee = Math.min((nil ? rule.nilPerDay : rule.perDay) * daysLate, cap);
+  }
+  charges.late_fee_cgst = charges.late_fee / 2;
+  charges.late_fee_sgst = charges.late_fee / 2;
+
+  if (TAX_PAYING_RETURNS.includes(reminder.reminder_type) && gstReturnService) {
+    // Composition dealers pay the CMP-08 tax on turnover; regular taxpayers the net GSTR-3B liability
+    const summary = reminder.reminder_type === 'CMP-08'
+      ? gstReturnService.getCMP08Data({ startDate: reminder.period_start, endDate: reminder.period_end, gstin: registration.gstin })
+      : gstReturnService.getGSTLiabilitySummary(reminder.period_start, reminder.period_end, registration.gstin);
+    const net = summary ? summary.net_liability || summary.tax_payable : {};
+    charges.cash_liability = Math.round(((net.igst || 0) + (net.cgst || 0) + (net.sgst || 0) + (net.cess || 0)) * 100) / 100;
+    charges.interest = Math.round(charges.cash_liability * INTEREST_RATE / 100 * daysLate / 365 * 100) / 100;
+  }
+
+  return charges;
+}
+
+/**
+ * Filing recorded through gstReturnService for a calendar entry
+ * @param {Object} reminder - Calendar entry
+ */
+function findRecordedFiling(reminder) {
+  const returnType = { 'GSTR-1': 'GSTR1', 'GSTR-3B': 'GSTR3B', 'CMP-08': 'CMP08', 'GSTR-4': 'GSTR4' }[reminder.reminder_type];
+  if (!returnType) return null;
+
+  return db.prepare(`
+    SELECT filed_on, arn FROM gst_return_filings
+    WHERE return_type = ? AND gstin = ? AND (filing_period = ? OR (start_date = ? AND end_date = ?))
+    ORDER BY id DESC LIMIT 1
+  `).get(returnType, reminder.gstin || '', reminder.period, reminder.period_start, reminder.period_end) || null;
+}
+
+/**
+ * Bring the generated calendar up to date: returns recorded as filed are
+ * marked filed, and late fee and interest are worked out for late ones
+ * @param {string} asOfDate - Date to compute unfiled charges to (today by default)
+ */
+function refreshStatus(asOfDate) {
+  if (!db) return;
+
+  const today = asOfDate || new Date().toISOString().split('T')[0];
+  const update = db.prepare(`
+    UPDATE gst_reminders SET status = ?, filed_on = ?, arn = ?, late_fee = ?, interest = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  // A return can be filed once its period has begun, so earlier filings are picked up before the due date
+  db.prepare(`SELECT * FROM gst_reminders WHERE is_auto = 1 AND period_start <= ?`).all(today).forEach(reminder => {
+    const markedFiled = ['filed', 'completed'].includes(reminder.status);
+    const recorded = markedFiled ? null : findRecordedFiling(reminder);
+    const filedOn = markedFiled ? (reminder.filed_on || reminder.updated_at.slice(0, 10)) : recorded && recorded.filed_on;
+    const charges = computeLateCharges(reminder, filedOn || today);
+    update.run(
+      filedOn ? 'filed' : reminder.status, filedOn || null, (recorded && recorded.arn) || reminder.arn || null,
+      charges.late_fee, charges.interest, reminder.id
+    );
+  });
+}
+
+/**
+ * Status of a calendar entry on a date
+ * @param {Object} reminder - gst_reminders row
+ * @param {string} today - ISO date
+ */
+function filingStatus(reminder, today) {
+  if (reminder.status === 'filed' || reminder.status === 'completed') {
+    return reminder.filed_on && reminder.filed_on > reminder.due_date ? 'filed_late' : 'filed';
+  }
+  // IFF is optional: invoices not furnished by its date go into the quarter's GSTR-1
+  if (reminder.due_date < today) return reminder.reminder_type === 'IFF' ? 'lapsed' : 'overdue';
+  return reminder.due_date === today ? 'due_today' : 'upcoming';
+}
+
+/**
+ * Get the filing calendar
+ * @param {Object} filters - { gstin, financialYear, status, returnType }
+ * @returns {Array} Calendar entries with status, days to due and late charges
+ */
+function getCalendar(filters = {}) {
+  if (!db) return [];
+
+  refreshStatus();
+  const today = new Date().toISOString().split('T')[0];
+  let query = 'SELECT * FROM gst_reminders WHERE 1=1';
+  const params = [];
+
+  if (filters.gstin) {
+    query += ' AND gstin = ?';
+    params.push(String(filters.gstin).toUpperCase());
+  }
+  if (filters.financialYear) {
+    const startYear = parseInt(String(filters.financialYear), 10);
+    query += ' AND period_start >= ? AND period_end <= ?';
+    params.push(`${startYear}-04-01`, `${startYear + 1}-03-31`);
+  }
+  if (filters.returnType) {
+    query += ' AND reminder_type = ?';
+    params.push(filters.returnType);
+  }
+
+  return db.prepare(`${query} ORDER BY due_date ASC, reminder_type ASC`).all(...params)
+    .map(reminder => {
+      const status = filingStatus(reminder, today);
+      return {
+        ...reminder,
+        filing_status: status,
+        state: reminder.gstin ? placeOfSupply.stateName(reminder.gstin.slice(0, 2)) : null,
+        days_to_due: daysBetween(today, reminder.due_date),
+        late_charges: reminder.is_auto && reminder.due_date < (reminder.filed_on || today)
+          ? computeLateCharges(reminder, reminder.filed_on || today)
+          : null
+      };
+    })
+    .filter(reminder => !filters.status || reminder.filing_status === filters.status);
+}
+
+/**
+ * Mark a calendar entry filed by hand (returns not recorded through gstReturnService)
+ * @param {number} id - gst_reminders.id
+ * @param {Object} details - { filed_on, arn }
+ */
+function markFiled(id, details = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const reminder = db.prepare('SELECT * FROM gst_reminders WHERE id = ?').get(id);
+  if (!reminder) return { success: false, error: 'Reminder not found' };
+
+  const filedOn = details.filed_on || new Date().toISOString().split('T')[0];
+  const charges = reminder.is_auto ? computeLateCharges(reminder, filedOn) : { late_fee: 0, interest: 0 };
+  db.prepare(`
+    UPDATE gst_reminders SET status = 'filed', filed_on = ?, arn = ?, late_fee = ?, interest = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(filedOn, details.arn || reminder.arn || null, charges.late_fee, charges.interest, id);
+
+  return { success: true, ...charges, message: `${reminder.reminder_type} for ${reminder.period} marked filed on ${filedOn}` };
+}
+
+/**
+ * Unfiled returns that are overdue or fall due within a number of days and
+ * have not been alerted in that state yet
+ * @param {number} daysBeforeDue - How far ahead to look
+ * @returns {Array} Calendar entries
+ */
+function getFilingsToAlert(daysBeforeDue = 3) {
+  if (!db) return [];
+
+  return getCalendar()
+    .filter(reminder => ['upcoming', 'due_today', 'overdue'].includes(reminder.filing_status))
+    .filter(reminder => reminder.days_to_due <= daysBeforeDue)
+    .filter(reminder => reminder.alert_state !== (reminder.filing_status === 'overdue' ? 'overdue' : 'due'));
+}
+
+/**
+ * Remember that a filing has been alerted, so it is not repeated until it turns overdue
+ * @param {Object} reminder - Calendar entry from getFilingsToAlert
+ */
+function markAlerted(reminder) {
+  db.prepare('UPDATE gst_reminders SET alert_state = ? WHERE id = ?')
+    .run(reminder.filing_status === 'overdue' ? 'overdue' : 'due', reminder.id);
+}
+
+module.exports = {
+  initialize,
+  getFilingProfile,
+  saveFilingProfile,
+  buildCalendar,
+  generateCalendar,
+  refreshStatus,
+  getCalendar,
+  markFiled,
+  computeLateCharges,
+  getFilingsToAlert,
+  markAlerted
+};
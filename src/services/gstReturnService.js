@@ -6,12 +6,57 @@
  * 
  * Features:
  * - GSTR-1: Details of outward supplies
- * - GSTR-3B: Summary of tax liability
+ * - Exports and SEZ supplies (Table 6A/6B) with shipping bill and currency
+ * - Credit/debit notes (CDNR/CDNUR) linked to original invoices
+ * - Documents issued (Table 13) from the numbering series
+ * - GSTR-3B: Summary of tax liability, with ITC reversals (table 4B)
+ * - GSTR-9: Annual return reconciled against the monthly returns
+ * - CMP-08 and GSTR-4 for composition dealers
  * - JSON export for portal upload
- * - Tax credit reconciliation
+ * - Tax credit reconciliation (with GSTR-2B match status)
+ * - Separate returns per GSTIN for businesses registered in several states
  */
 
-const db = null;
+const placeOfSupply = require('./placeOfSupply');
+const branchService = require('./branchService');
+const itcService = require('./itcService');
+
+let db = null;
+
+// Invoice value above which an inter-state B2C supply is reported as B2CL
+const B2CL_THRESHOLD = 250000;
+
+// GSTR-1 invoice type by supply nature (SEZ with or without payment of IGST)
+const INVOICE_TYPES = {
+  regular: () => 'R',
+  deemed_export: () => 'DE',
+  sez: (txn) => (paidIGST(txn) ? 'SEWP' : 'SEWOP'),
+  export: (txn) => (paidIGST(txn) ? 'WPAY' : 'WOPAY')
+};
+
+// Whether a zero-rated supply was made with payment of IGST (or under LUT);
+// invoices saved before export details were kept go by the tax charged
+function paidIGST(txn) {
+  return txn.with_payment !== null && txn.with_payment !== undefined ? txn.with_payment === 1 : txn.igst_amount > 0;
+}
+
+// Annual and monthly figures within this amount (rupees) are treated as reconciled
+const GSTR9_TOLERANCE = 1;
+
+// Voucher types reported in GSTR-1 Table 13 (documents issued). A debit_note
+// voucher is a purchase return raised on a supplier, not an outward document.
+const DOCUMENT_TYPES = {
+  sale: { num: 1, name: 'Invoices for outward supply' },
+  credit_note: { num: 5, name: 'Credit Note' }
+};
+
+// Composition tax rates (CGST + SGST, % of turnover) by category of dealer
+const COMPOSITION_RATES = {
+  manufacturer: 1,
+  trader: 1,
+  restaurant: 5,
+  service: 6
+};
 
 /**
  * Initialize the GST return service
@@ -20,39 +65,121 @@ const db = null;
 function initialize(database) {
   db = database;
   console.log('[GSTReturnService] Initialized');
+  createFilingTables();
+}
+
+/**
+ * Create the table of filed return snapshots
+ */
+function createFilingTables() {
+  if (!db) return;
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gst_return_filings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      return_type TEXT NOT NULL, -- GSTR1, GSTR3B
+      filing_period TEXT NOT NULL, -- MMYYYY
+      start_date TEXT,
+      end_date TEXT,
+      arn TEXT,
+      filed_on TEXT,
+      filed_by TEXT,
+      gstin TEXT NOT NULL DEFAULT '', -- registration the return was filed for
+      data TEXT NOT NULL, -- return data as filed (JSON)
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(return_type, filing_period, gstin)
+    );
+  `);
+  
+  // Filings recorded before returns were filed per GSTIN belong to the head office
+  const columns = db.prepare('PRAGMA table_info(gst_return_filings)').all().map(c => c.name);
+  if (!columns.includes('gstin')) {
+    db.exec(`
+      ALTER TABLE gst_return_filings RENAME TO gst_return_filings_old;
+      CREATE TABLE gst_return_filings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        return_type TEXT NOT NULL,
+        filing_period TEXT NOT NULL,
+        start_date TEXT,
+        end_date TEXT,
+        arn TEXT,
+        filed_on TEXT,
+        filed_by TEXT,
+        gstin TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(return_type, filing_period, gstin)
+      );
+      INSERT INTO gst_return_filings (id, return_type, filing_period, start_date, end_date, arn, filed_on, filed_by, gstin, data, created_at)
+        SELECT id, return_type, filing_period, start_date, end_date, arn, filed_on, filed_by,
+          COALESCE((SELECT UPPER(value) FROM business_info WHERE key = 'gstin'), ''), data, created_at
+        FROM gst_return_filings_old;
+      DROP TABLE gst_return_filings_old;
+    `);
+  }
+}
+
+/**
+ * SQL condition limiting a query to the branches filed under a registration
+ * @param {Object} registration - From branchService.getRegistration
+ * @param {string} alias - Alias of the table carrying branch_id
+ * @returns {string} SQL condition
+ */
+function branchScope(registration, alias = 't') {
+  return `COALESCE(${alias}.branch_id, 0) IN (${registration.branch_ids.map(Number).join(', ')})`;
 }
 
 /**
  * Get GSTR-1 data (Outward Supplies)
- * @param {Object} filters - Date range and filters
+ * @param {Object} filters - Date range and filters (gstin: registration, head office by default)
  * @returns {Object} GSTR-1 data
  */
 function getGSTR1Data(filters = {}) {
   if (!db) return null;
   
   const { startDate, endDate, filingPeriod } = filters;
+  const registration = branchService.getRegistration(filters.gstin);
   
   // Get all sales transactions with e-invoice
   const transactions = db.prepare(`
     SELECT 
       t.id, t.voucher_no, t.date, t.voucher_type,
       t.total_amount, t.taxable_amount, t.igst_amount, t.cgst_amount, t.sgst_amount,
-      t.cess_amount, t.gst_rate,
-      p.name as party_name, p.gstin as party_gstin, p.state_code as party_state_code,
-      e.irn, e.ack_no, e.ack_date, e.status as einvoice_status
+      t.cess_amount, t.gst_rate, t.place_of_supply, t.supply_nature,
+      p.name as party_name, p.gstin as party_gstin, p.state_code as party_state_code, p.state as party_state,
+      p.country as party_country, p.is_sez as party_is_sez,
+      e.irn, e.ack_no, e.ack_date, e.status as einvoice_status,
+      x.with_payment, x.port_code, x.shipping_bill_no, x.shipping_bill_date,
+      x.currency_code, x.exchange_rate, x.foreign_value
     FROM transactions t
     LEFT JOIN parties p ON t.party_id = p.id
     LEFT JOIN einvoice_records e ON t.id = e.transaction_id
+    LEFT JOIN export_details x ON t.id = x.transaction_id
     WHERE t.voucher_type = 'sale'
+      AND t.is_cancelled = 0
       AND t.date >= ? 
       AND t.date <= ?
+      AND ${branchScope(registration)}
     ORDER BY t.date ASC
   `).all(startDate, endDate);
   
+  // Invoice lines for the period, keyed by transaction
+  const lineItems = getSalesLineItems(startDate, endDate, 'sale', registration);
+  const itemsByTransaction = {};
+  lineItems.forEach(line => {
+    if (!itemsByTransaction[line.transaction_id]) {
+      itemsByTransaction[line.transaction_id] = [];
+    }
+    itemsByTransaction[line.transaction_id].push(line);
+  });
+  
   // Group by GSTIN and rate
   const b2bSupplies = [];
+  const b2clSupplies = [];
   const b2cSupplies = [];
   const exportSupplies = [];
+  const sezSupplies = [];
+  const businessState = getBusinessStateCode(registration);
   
   let totalTaxable = 0;
   let totalIgst = 0;
@@ -62,18 +189,18 @@ function getGSTR1Data(filters = {}) {
   
   transactions.forEach(txn => {
     const isEInvoice = txn.einvoice_status === 'success';
-    const isExport = txn.party_gstin && txn.party_gstin.toUpperCase() === 'EXPORT';
-    const isB2B = txn.party_gstin && txn.party_gstin.length === 15;
-    
-    // Calculate place of supply state code
-    const pos = txn.party_state_code || '07';
-    const isInterState = pos !== getBusinessStateCode();
+    const supply = getSupplyOf(txn, registration);
+    const pos = supply.place_of_supply;
+    const isB2B = placeOfSupply.isRegistered(txn.party_gstin);
+    const isInterState = pos !== businessState;
     
     const item = {
       invoice_no: txn.voucher_no,
       invoice_date: txn.date,
       invoice_value: txn.total_amount,
       place_of_supply: pos,
+      supply_nature: supply.supply_nature,
+      invoice_type: INVOICE_TYPES[supply.supply_nature](txn),
       rate: txn.gst_rate || 0,
       taxable_value: txn.taxable_amount || 0,
       igst_amount: txn.igst_amount || 0,
@@ -83,13 +210,30 @@ function getGSTR1Data(filters = {}) {
       party_name: txn.party_name,
       party_gstin: txn.party_gstin || 'URP',
       irn: txn.irn,
-      is_e_invoice: isEInvoice
+      is_e_invoice: isEInvoice,
+      items: groupLinesByRate(itemsByTransaction[txn.id] || [txn])
     };
     
-    if (isExport) {
+    if (['export', 'sez'].includes(supply.supply_nature)) {
+      Object.assign(item, {
+        with_payment: paidIGST(txn),
+        port_code: txn.port_code || null,
+        shipping_bill_no: txn.shipping_bill_no || null,
+        shipping_bill_date: txn.shipping_bill_date || null,
+        currency_code: txn.currency_code || 'INR',
+        exchange_rate: txn.exchange_rate || 1,
+        foreign_value: txn.foreign_value || txn.total_amount
+      });
+    }
+    // SEZ supplies (Table 6B) are also filed with the B2B invoices
+    if (supply.supply_nature === 'sez') sezSupplies.push(item);
+    
+    if (supply.supply_nature === 'export') {
       exportSupplies.push(item);
-    } else if (isB2B) {
+    } else if (isB2B || supply.supply_nature !== 'regular') {
       b2bSupplies.push(item);
+    } else if (isInterState && txn.total_amount > B2CL_THRESHOLD) {
+      b2clSupplies.push(item);
     } else {
       b2cSupplies.push(item);
     }
@@ -101,82 +245,433 @@ function getGSTR1Data(filters = {}) {
     totalCess += txn.cess_amount || 0;
   });
   
+  // Credit notes issued in the period (Table 9B)
+  const notes = getCreditNotes(startDate, endDate, registration);
+  const noteLines = getSalesLineItems(startDate, endDate, 'credit_note', registration);
+  const cdnrNotes = [];
+  const cdnurNotes = [];
+  const b2cNotes = [];
+  
+  notes.forEach(note => {
+    const supply = getSupplyOf(note, registration);
+    const pos = supply.place_of_supply;
+    const isB2B = placeOfSupply.isRegistered(note.party_gstin);
+    const isExport = supply.supply_nature === 'export';
+    
+    const item = {
+      note_no: note.voucher_no,
+      note_date: note.date,
+      note_type: 'C',
+      note_value: note.total_amount,
+      reason: note.note_reason,
+      original_invoice_no: note.original_invoice_no,
+      original_invoice_date: note.original_invoice_date,
+      place_of_supply: pos,
+      taxable_value: note.taxable_amount || 0,
+      igst_amount: note.igst_amount || 0,
+      cgst_amount: note.cgst_amount || 0,
+      sgst_amount: note.sgst_amount || 0,
+      cess_amount: note.cess_amount || 0,
+      party_name: note.party_name,
+      party_gstin: note.party_gstin || 'URP',
+      items: groupLinesByRate(noteLines.filter(line => line.transaction_id === note.id))
+    };
+    
+    if (isB2B) {
+      cdnrNotes.push(item);
+    } else if (isExport) {
+      cdnurNotes.push({ ...item, type: paidIGST(note) ? 'EXPWP' : 'EXPWOP' });
+    } else if (pos !== businessState && note.original_invoice_value > B2CL_THRESHOLD) {
+      cdnurNotes.push({ ...item, type: 'B2CL' });
+    } else {
+      // Notes against small B2C invoices are netted into the B2CS buckets
+      b2cNotes.push(item);
+    }
+    
+    totalTaxable -= note.taxable_amount || 0;
+    totalIgst -= note.igst_amount || 0;
+    totalCgst -= note.cgst_amount || 0;
+    totalSgst -= note.sgst_amount || 0;
+    totalCess -= note.cess_amount || 0;
+  });
+  
   // Group B2C by rate and state
-  const b2cSummary = groupB2CByRateAndState(b2cSupplies);
+  const b2cSummary = groupB2CByRateAndState(b2cSupplies, b2cNotes);
+  
+  // HSN-wise summary of outward supplies (Table 12), net of returns
+  const hsnSummary = groupLinesByHSN(lineItems.concat(noteLines.map(negateLine)));
   
   return {
+    gstin: registration.gstin,
     filing_period: filingPeriod || `${startDate} to ${endDate}`,
     generated_at: new Date().toISOString(),
     summary: {
       total_transactions: transactions.length,
+      total_credit_notes: notes.length,
       e_invoices_generated: transactions.filter(t => t.einvoice_status === 'success').length,
-      total_taxable_value: totalTaxable,
-      total_igst: totalIgst,
-      total_cgst: totalCgst,
-      total_sgst: totalSgst,
-      total_cess: totalCess,
-      total_liability: totalIgst + totalCgst + totalSgst + totalCess
+      total_taxable_value: roundTax(totalTaxable),
+      total_igst: roundTax(totalIgst),
+      total_cgst: roundTax(totalCgst),
+      total_sgst: roundTax(totalSgst),
+      total_cess: roundTax(totalCess),
+      total_liability: roundTax(totalIgst + totalCgst + totalSgst + totalCess)
     },
     supplies: {
       b2b: b2bSupplies,
+      b2cl: b2clSupplies,
       b2c: b2cSupplies,
       b2c_summary: b2cSummary,
-      exports: exportSupplies
+      exports: exportSupplies,
+      sez: sezSupplies
+    },
+    // Zero-rated supplies: 6A exports, 6B supplies to SEZ units/developers
+    zero_rated: {
+      table_6a: summariseZeroRated(exportSupplies),
+      table_6b: summariseZeroRated(sezSupplies)
+    },
+    credit_debit_notes: {
+      cdnr: cdnrNotes,
+      cdnur: cdnurNotes
+    },
+    hsn_summary: hsnSummary,
+    documents_issued: getDocumentsIssued(startDate, endDate, registration)
+  };
+}
+
+/**
+ * Totals of zero-rated invoices by type (with / without payment of IGST)
+ * @param {Array} supplies - Export or SEZ invoices
+ */
+function summariseZeroRated(supplies) {
+  const byType = {};
+  supplies.forEach(item => {
+    const row = byType[item.invoice_type] = byType[item.invoice_type] || {
+      invoice_type: item.invoice_type,
+      invoices: 0,
+      invoice_value: 0,
+      taxable_value: 0,
+      igst_amount: 0,
+      cess_amount: 0,
+      missing_shipping_bill: 0
+    };
+    row.invoices += 1;
+    row.invoice_value += item.invoice_value;
+    row.taxable_value += item.taxable_value;
+    row.igst_amount += item.igst_amount;
+    row.cess_amount += item.cess_amount;
+    if (item.supply_nature === 'export' && !item.shipping_bill_no) row.missing_shipping_bill += 1;
+  });
+  return Object.values(byType);
+}
+
+/**
+ * Get documents issued in a period per numbering series (Table 13).
+ * Numbers skipped inside a series are reported as cancelled.
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Object} registration - Registration reported (head office by default)
+ * @returns {Array} Document ranges grouped by GSTR-1 document type
+ */
+function getDocumentsIssued(startDate, endDate, registration) {
+  if (!db) return [];
+  
+  const scope = branchScope(registration || branchService.getRegistration());
+  const series = db.prepare(`
+    SELECT 
+      t.voucher_type, t.series_id, t.financial_year,
+      MIN(t.series_number) as first_number, MAX(t.series_number) as last_number,
+      COUNT(*) as issued,
+      SUM(CASE WHEN t.is_cancelled = 1 THEN 1 ELSE 0 END) as cancelled
+    FROM transactions t
+    WHERE t.voucher_type IN (${Object.keys(DOCUMENT_TYPES).map(() => '?').join(', ')})
+      AND t.series_id IS NOT NULL
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${scope}
+    GROUP BY t.voucher_type, t.series_id, t.financial_year
+    ORDER BY t.series_id, t.financial_year
+  `).all(...Object.keys(DOCUMENT_TYPES), startDate, endDate);
+  
+  const numberStmt = db.prepare(`
+    SELECT voucher_no FROM transactions WHERE series_id = ? AND financial_year = ? AND series_number = ?
+  `);
+  
+  const byType = {};
+  series.forEach(row => {
+    const docType = DOCUMENT_TYPES[row.voucher_type];
+    const total = row.last_number - row.first_number + 1;
+    const missing = total - row.issued;
+    
+    if (!byType[docType.num]) {
+      byType[docType.num] = { doc_num: docType.num, doc_type: docType.name, docs: [] };
     }
+    byType[docType.num].docs.push({
+      num: byType[docType.num].docs.length + 1,
+      from: numberStmt.get(row.series_id, row.financial_year, row.first_number).voucher_no,
+      to: numberStmt.get(row.series_id, row.financial_year, row.last_number).voucher_no,
+      total_number: total,
+      cancelled: row.cancelled + missing,
+      missing,
+      net_issued: row.issued - row.cancelled
+    });
+  });
+  
+  return Object.values(byType).sort((a, b) => a.doc_num - b.doc_num);
+}
+
+/**
+ * Get credit notes issued in a period with their original invoice details
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Object} registration - Registration reported
+ * @returns {Array} Credit notes
+ */
+function getCreditNotes(startDate, endDate, registration) {
+  if (!db) return [];
+  
+  return db.prepare(`
+    SELECT 
+      t.id, t.voucher_no, t.date, t.note_reason,
+      t.total_amount, t.taxable_amount, t.igst_amount, t.cgst_amount, t.sgst_amount, t.cess_amount,
+      o.voucher_no as original_invoice_no, o.date as original_invoice_date,
+      o.total_amount as original_invoice_value, t.place_of_supply, t.supply_nature,
+      p.name as party_name, p.gstin as party_gstin, p.state_code as party_state_code, p.state as party_state,
+      p.country as party_country, p.is_sez as party_is_sez, x.with_payment
+    FROM transactions t
+    JOIN transactions o ON t.original_transaction_id = o.id
+    LEFT JOIN parties p ON t.party_id = p.id
+    LEFT JOIN export_details x ON x.transaction_id = o.id
+    WHERE t.voucher_type = 'credit_note'
+      AND t.is_cancelled = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${branchScope(registration)}
+    ORDER BY t.date ASC
+  `).all(startDate, endDate);
+}
+
+/**
+ * Flip the sign of a line's quantities and amounts (returns reduce totals)
+ * @param {Object} line - Invoice line
+ * @returns {Object} Negated line
+ */
+function negateLine(line) {
+  return {
+    ...line,
+    quantity: -(line.quantity || 0),
+    taxable_amount: -(line.taxable_amount || 0),
+    igst_amount: -(line.igst_amount || 0),
+    cgst_amount: -(line.cgst_amount || 0),
+    sgst_amount: -(line.sgst_amount || 0),
+    cess_amount: -(line.cess_amount || 0),
+    total_amount: -(line.total_amount || 0)
   };
 }
 
+/**
+ * Get invoice lines of one voucher type for a period
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {string} voucherType - 'sale', 'credit_note', 'purchase' or 'debit_note'
+ * @param {Object} registration - Registration reported
+ * @returns {Array} Line items with HSN, rate and tax amounts
+ */
+function getSalesLineItems(startDate, endDate, voucherType, registration) {
+  if (!db) return [];
+  
+  return db.prepare(`
+    SELECT 
+      ti.transaction_id, ti.line_no, ti.description, ti.hsn_code, ti.unit, ti.quantity,
+      ti.taxable_amount, ti.gst_rate, ti.igst_amount, ti.cgst_amount, ti.sgst_amount,
+      ti.cess_amount, ti.total_amount, h.description as hsn_description, h.uqc
+    FROM transaction_items ti
+    JOIN transactions t ON ti.transaction_id = t.id
+    LEFT JOIN hsn_codes h ON h.code = ti.hsn_code
+    WHERE t.voucher_type = ?
+      AND t.is_cancelled = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${branchScope(registration)}
+    ORDER BY ti.transaction_id ASC, ti.line_no ASC
+  `).all(voucherType, startDate, endDate);
+}
+
+/**
+ * Collapse invoice lines into one entry per tax rate (GSTR-1 item level)
+ * @param {Array} lines - Invoice lines
+ * @returns {Array} Rate-wise items
+ */
+function groupLinesByRate(lines) {
+  const grouped = {};
+  
+  lines.forEach(line => {
+    const rate = line.gst_rate || 0;
+    if (!grouped[rate]) {
+      grouped[rate] = {
+        rate,
+        taxable_value: 0,
+        igst_amount: 0,
+        cgst_amount: 0,
+        sgst_amount: 0,
+        cess_amount: 0
+      };
+    }
+    
+    grouped[rate].taxable_value += line.taxable_amount || 0;
+    grouped[rate].igst_amount += line.igst_amount || 0;
+    grouped[rate].cgst_amount += line.cgst_amount || 0;
+    grouped[rate].sgst_amount += line.sgst_amount || 0;
+    grouped[rate].cess_amount += line.cess_amount || 0;
+  });
+  
+  // Sums of paise amounts drift in floating point; report each bucket to the paisa
+  return Object.values(grouped)
+    .map(bucket => ({
+      ...bucket,
+      taxable_value: roundTax(bucket.taxable_value),
+      igst_amount: roundTax(bucket.igst_amount),
+      cgst_amount: roundTax(bucket.cgst_amount),
+      sgst_amount: roundTax(bucket.sgst_amount),
+      cess_amount: roundTax(bucket.cess_amount)
+    }))
+    .sort((a, b) => a.rate - b.rate);
+}
+
+/**
+ * Summarise invoice lines by HSN code and rate
+ * Descriptions and UQCs come from the HSN master where the code is in it.
+ * @param {Array} lines - Invoice lines
+ * @returns {Array} HSN-wise summary
+ */
+function groupLinesByHSN(lines) {
+  const grouped = {};
+  
+  lines.forEach(line => {
+    const hsn = line.hsn_code || 'NA';
+    const key = `${hsn}-${line.gst_rate || 0}`;
+    if (!grouped[key]) {
+      grouped[key] = {
+        hsn_code: hsn,
+        description: line.hsn_description || line.description || '',
+        uqc: (line.uqc || line.unit || 'NOS').toUpperCase(),
+        rate: line.gst_rate || 0,
+        quantity: 0,
+        total_value: 0,
+        taxable_value: 0,
+        igst_amount: 0,
+        cgst_amount: 0,
+        sgst_amount: 0,
+        cess_amount: 0
+      };
+    }
+    
+    grouped[key].quantity += line.quantity || 0;
+    grouped[key].total_value += line.total_amount || 0;
+    grouped[key].taxable_value += line.taxable_amount || 0;
+    grouped[key].igst_amount += line.igst_amount || 0;
+    grouped[key].cgst_amount += line.cgst_amount || 0;
+    grouped[key].sgst_amount += line.sgst_amount || 0;
+    grouped[key].cess_amount += line.cess_amount || 0;
+  });
+  
+  return Object.values(grouped)
+    .map(bucket => ({
+      ...bucket,
+      total_value: roundTax(bucket.total_value),
+      taxable_value: roundTax(bucket.taxable_value),
+      igst_amount: roundTax(bucket.igst_amount),
+      cgst_amount: roundTax(bucket.cgst_amount),
+      sgst_amount: roundTax(bucket.sgst_amount),
+      cess_amount: roundTax(bucket.cess_amount)
+    }))
+    .sort((a, b) => a.hsn_code.localeCompare(b.hsn_code));
+}
+
 /**
  * Get GSTR-3B data (Tax Liability Summary)
- * @param {Object} filters - Date range and filters
+ * @param {Object} filters - Date range and filters (gstin: registration, head office by default)
  * @returns {Object} GSTR-3B data
  */
 function getGSTR3BData(filters = {}) {
   if (!db) return null;
   
   const { startDate, endDate, filingPeriod } = filters;
+  const registration = branchService.getRegistration(filters.gstin);
+  const scope = branchScope(registration);
   
   // Get all transactions for the period
   const sales = db.prepare(`
     SELECT 
-      SUM(t.taxable_amount) as total_taxable,
-      SUM(t.igst_amount) as total_igst,
-      SUM(t.cgst_amount) as total_cgst,
-      SUM(t.sgst_amount) as total_sgst,
-      SUM(t.cess_amount) as total_cess
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.taxable_amount ELSE t.taxable_amount END) as total_taxable,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.igst_amount ELSE t.igst_amount END) as total_igst,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.cgst_amount ELSE t.cgst_amount END) as total_cgst,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.sgst_amount ELSE t.sgst_amount END) as total_sgst,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.cess_amount ELSE t.cess_amount END) as total_cess
     FROM transactions t
-    WHERE t.voucher_type = 'sale'
+    WHERE t.voucher_type IN ('sale', 'credit_note')
+      AND t.is_cancelled = 0
       AND t.date >= ? 
       AND t.date <= ?
+      AND ${scope}
   `).get(startDate, endDate);
   
   const purchases = db.prepare(`
     SELECT 
-      SUM(t.taxable_amount) as total_taxable,
-      SUM(t.igst_amount) as total_igst,
-      SUM(t.cgst_amount) as total_cgst,
-      SUM(t.sgst_amount) as total_sgst,
-      SUM(t.cess_amount) as total_cess
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.taxable_amount ELSE t.taxable_amount END) as total_taxable,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.igst_amount ELSE t.igst_amount END) as total_igst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cgst_amount ELSE t.cgst_amount END) as total_cgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.sgst_amount ELSE t.sgst_amount END) as total_sgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cess_amount ELSE t.cess_amount END) as total_cess
     FROM transactions t
-    WHERE t.voucher_type = 'purchase'
+    WHERE t.voucher_type IN ('purchase', 'debit_note')
+      AND t.is_cancelled = 0
       AND t.date >= ? 
       AND t.date <= ?
+      AND ${scope}
   `).get(startDate, endDate);
   
-  // Get ITC claims from expenses (if tracked)
+  // Exports and supplies to SEZ units are zero-rated and reported apart in 3.1(b)
+  const zeroRated = sumBuckets(...db.prepare(`
+    SELECT 
+      t.voucher_type, t.place_of_supply, t.supply_nature,
+      t.taxable_amount as taxable_value, t.igst_amount as igst, t.cgst_amount as cgst,
+      t.sgst_amount as sgst, t.cess_amount as cess,
+      p.gstin as party_gstin, p.state_code as party_state_code, p.state as party_state,
+      p.country as party_country, p.is_sez as party_is_sez
+    FROM transactions t
+    LEFT JOIN parties p ON t.party_id = p.id
+    WHERE t.voucher_type IN ('sale', 'credit_note')
+      AND t.is_cancelled = 0
+      AND t.date >= ? 
+      AND t.date <= ?
+      AND ${scope}
+  `).all(startDate, endDate)
+    .filter(row => ['export', 'sez'].includes(getSupplyOf(row, registration).supply_nature))
+    .map(row => taxBucket(row, row.voucher_type === 'credit_note' ? -1 : 1)));
+  
+  // ITC on purchases (4A(5)); blocked credit is shown here and reversed in 4B(1)
   const itcClaims = db.prepare(`
     SELECT 
-      SUM(t.igst_amount) as igst_itc,
-      SUM(t.cgst_amount) as cgst_itc,
-      SUM(t.sgst_amount) as sgst_itc,
-      SUM(t.cess_amount) as cess_itc
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.igst_amount ELSE t.igst_amount END) as igst_itc,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cgst_amount ELSE t.cgst_amount END) as cgst_itc,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.sgst_amount ELSE t.sgst_amount END) as sgst_itc,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cess_amount ELSE t.cess_amount END) as cess_itc
     FROM transactions t
-    WHERE t.voucher_type = 'purchase'
+    WHERE t.voucher_type IN ('purchase', 'debit_note')
+      AND t.is_cancelled = 0
       AND t.date >= ? 
       AND t.date <= ?
-      AND t.is_itc_eligible = 1
+      AND (t.is_itc_eligible = 1 OR t.itc_category = 'blocked')
+      AND t.reverse_charge = 0
+      AND ${scope}
   `).get(startDate, endDate);
   
+  // Credit reversed in 4B and reclaimed in 4D(1), which is claimed again in 4A(5)
+  const reversals = itcService.getITCReversals({ startDate, endDate, gstin: registration.gstin });
+  
+  // Inward supplies on which we pay the tax ourselves: 3.1(d), and its ITC in 4A(3)
+  const reverseCharge = getReverseChargeInward(startDate, endDate, registration);
+  
   // Calculate tax liability
   const outwardTax = {
     igst: sales?.total_igst || 0,
@@ -185,70 +680,187 @@ function getGSTR3BData(filters = {}) {
     cess: sales?.total_cess || 0
   };
   
+  const itcAllOther = {
+    igst: roundTax((itcClaims?.igst_itc || 0) + reversals.table_4d.reclaimed.igst),
+    cgst: roundTax((itcClaims?.cgst_itc || 0) + reversals.table_4d.reclaimed.cgst),
+    sgst: roundTax((itcClaims?.sgst_itc || 0) + reversals.table_4d.reclaimed.sgst),
+    cess: roundTax((itcClaims?.cess_itc || 0) + reversals.table_4d.reclaimed.cess)
+  };
+  const itcReverseCharge = {
+    igst: reverseCharge.itc.igst,
+    cgst: reverseCharge.itc.cgst,
+    sgst: reverseCharge.itc.sgst,
+    cess: reverseCharge.itc.cess
+  };
   const itc = {
-    igst: itcClaims?.igst_itc || 0,
-    cgst: itcClaims?.cgst_itc || 0,
-    sgst: itcClaims?.sgst_itc || 0,
-    cess: itcClaims?.cess_itc || 0
+    igst: roundTax(itcAllOther.igst + itcReverseCharge.igst),
+    cgst: roundTax(itcAllOther.cgst + itcReverseCharge.cgst),
+    sgst: roundTax(itcAllOther.sgst + itcReverseCharge.sgst),
+    cess: roundTax(itcAllOther.cess + itcReverseCharge.cess)
   };
   
-  // Net liability (outward - ITC)
+  const itcReversed = reversals.table_4b.total;
+  const netItc = {
+    igst: roundTax(itc.igst - itcReversed.igst),
+    cgst: roundTax(itc.cgst - itcReversed.cgst),
+    sgst: roundTax(itc.sgst - itcReversed.sgst),
+    cess: roundTax(itc.cess - itcReversed.cess)
+  };
+  
+  // Net liability: net ITC (4C) is set off against outward tax only; reverse-charge tax is paid in cash
   const netLiability = {
-    igst: Math.max(0, outwardTax.igst - itc.igst),
-    cgst: Math.max(0, outwardTax.cgst - itc.cgst),
-    sgst: Math.max(0, outwardTax.sgst - itc.sgst),
-    cess: Math.max(0, outwardTax.cess - itc.cess)
+    igst: roundTax(Math.max(0, outwardTax.igst - netItc.igst) + reverseCharge.liability.igst),
+    cgst: roundTax(Math.max(0, outwardTax.cgst - netItc.cgst) + reverseCharge.liability.cgst),
+    sgst: roundTax(Math.max(0, outwardTax.sgst - netItc.sgst) + reverseCharge.liability.sgst),
+    cess: roundTax(Math.max(0, outwardTax.cess - netItc.cess) + reverseCharge.liability.cess)
   };
   
   const totalLiability = netLiability.igst + netLiability.cgst + netLiability.sgst + netLiability.cess;
+  const rcmLiability = reverseCharge.liability.igst + reverseCharge.liability.cgst
+    + reverseCharge.liability.sgst + reverseCharge.liability.cess;
   
   return {
+    gstin: registration.gstin,
     filing_period: filingPeriod || `${startDate} to ${endDate}`,
     generated_at: new Date().toISOString(),
     summary: {
       total_outward_taxable: sales?.total_taxable || 0,
       total_inward_taxable: purchases?.total_taxable || 0,
+      total_inward_reverse_charge_taxable: reverseCharge.liability.taxable_value,
       total_tax_collected: outwardTax.igst + outwardTax.cgst + outwardTax.sgst + outwardTax.cess,
       total_itc_available: itc.igst + itc.cgst + itc.sgst + itc.cess,
+      total_itc_reversed: reversals.summary.total_reversal,
+      total_net_itc: roundTax(netItc.igst + netItc.cgst + netItc.sgst + netItc.cess),
+      total_reverse_charge_tax: roundTax(rcmLiability),
       total_tax_liability: totalLiability,
       cash_tax_liability: totalLiability // Simplified - could be adjusted for ITC reversal
     },
     outward_supplies: outwardTax,
+    zero_rated_supplies: zeroRated,
+    inward_reverse_charge: reverseCharge.liability,
     itc_available: itc,
+    itc_breakdown: {
+      reverse_charge: itcReverseCharge,
+      all_other: itcAllOther
+    },
+    // 4B(1) rules 42/43 and section 17(5), 4B(2) others (rule 37)
+    itc_reversed: {
+      rules_42_43_17_5: reversals.table_4b.rules_42_43_17_5,
+      others: reversals.table_4b.others,
+      total: itcReversed
+    },
+    net_itc: netItc,
+    itc_reclaimed: reversals.table_4d.reclaimed,
     net_liability: netLiability,
-    tax_rate_breakdown: getTaxRateBreakdown(startDate, endDate)
+    tax_rate_breakdown: getTaxRateBreakdown(startDate, endDate, registration)
+  };
+}
+
+/**
+ * Get inward supplies taxed under reverse charge: purchases flagged as such and
+ * expenses in reverse-charge categories
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Object} registration - Registration reported (head office by default)
+ * @returns {Object} { liability, itc, itc_by_supplier: { registered, unregistered } } tax buckets
+ */
+function getReverseChargeInward(startDate, endDate, registration) {
+  if (!db) {
+    return { liability: taxBucket(), itc: taxBucket(), itc_by_supplier: { registered: taxBucket(), unregistered: taxBucket() } };
+  }
+  
+  registration = registration || branchService.getRegistration();
+  
+  const purchases = db.prepare(`
+    SELECT 
+      CASE WHEN LENGTH(p.gstin) = 15 THEN 1 ELSE 0 END as registered,
+      CASE WHEN t.is_itc_eligible = 1 OR t.itc_category = 'blocked' THEN 1 ELSE 0 END as itc_eligible,
+      SUM(t.taxable_amount) as taxable_value,
+      SUM(t.igst_amount) as igst,
+      SUM(t.cgst_amount) as cgst,
+      SUM(t.sgst_amount) as sgst,
+      SUM(t.cess_amount) as cess
+    FROM transactions t
+    LEFT JOIN parties p ON t.party_id = p.id
+    WHERE t.voucher_type = 'purchase'
+      AND t.reverse_charge = 1
+      AND t.is_cancelled = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${branchScope(registration)}
+    GROUP BY registered, itc_eligible
+  `).all(startDate, endDate);
+  
+  // Expenses record a lump GST amount, booked as intra-state CGST/SGST
+  const expenses = db.prepare(`
+    SELECT 
+      CASE WHEN LENGTH(p.gstin) = 15 THEN 1 ELSE 0 END as registered,
+      1 as itc_eligible,
+      SUM(e.amount) as taxable_value,
+      0 as igst,
+      SUM(ROUND(e.gst_amount / 2, 2)) as cgst,
+      SUM(e.gst_amount - ROUND(e.gst_amount / 2, 2)) as sgst,
+      0 as cess
+    FROM expenses e
+    LEFT JOIN parties p ON e.party_id = p.id
+    WHERE e.reverse_charge = 1
+      AND e.date >= ?
+      AND e.date <= ?
+      AND ${branchScope(registration, 'e')}
+    GROUP BY registered
+  `).all(startDate, endDate);
+  
+  const rows = purchases.concat(expenses);
+  const itcOf = (filter) => ({
+    ...sumBuckets(...rows.filter(row => row.itc_eligible && filter(row)).map(row => taxBucket(row))),
+    taxable_value: 0
+  });
+  
+  return {
+    liability: sumBuckets(...rows.map(row => taxBucket(row))),
+    itc: itcOf(() => true),
+    itc_by_supplier: {
+      registered: itcOf(row => row.registered),
+      unregistered: itcOf(row => !row.registered)
+    }
   };
 }
 
 /**
  * Group B2C supplies by rate and state
  * @param {Array} b2cSupplies - B2C transaction list
+ * @param {Array} b2cNotes - Credit notes against B2C invoices (deducted)
  * @returns {Array} Grouped summary
  */
-function groupB2CByRateAndState(b2cSupplies) {
+function groupB2CByRateAndState(b2cSupplies, b2cNotes = []) {
   const grouped = {};
   
-  b2cSupplies.forEach(supply => {
-    const key = `${supply.place_of_supply}-${supply.rate}`;
-    if (!grouped[key]) {
-      grouped[key] = {
-        place_of_supply: supply.place_of_supply,
-        rate: supply.rate,
-        taxable_value: 0,
-        igst_amount: 0,
-        cgst_amount: 0,
-        sgst_amount: 0,
-        cess_amount: 0,
-        invoice_count: 0
-      };
-    }
-    
-    grouped[key].taxable_value += supply.taxable_value;
-    grouped[key].igst_amount += supply.igst_amount;
-    grouped[key].cgst_amount += supply.cgst_amount;
-    grouped[key].sgst_amount += supply.sgst_amount;
-    grouped[key].cess_amount += supply.cess_amount;
-    grouped[key].invoice_count += 1;
+  const entries = b2cSupplies.map(supply => [supply, 1]).concat(b2cNotes.map(note => [note, -1]));
+  
+  entries.forEach(([supply, sign]) => {
+    // A multi-rate invoice contributes to one bucket per rate
+    supply.items.forEach(item => {
+      const key = `${supply.place_of_supply}-${item.rate}`;
+      if (!grouped[key]) {
+        grouped[key] = {
+          place_of_supply: supply.place_of_supply,
+          rate: item.rate,
+          taxable_value: 0,
+          igst_amount: 0,
+          cgst_amount: 0,
+          sgst_amount: 0,
+          cess_amount: 0,
+          invoice_count: 0
+        };
+      }
+      
+      grouped[key].taxable_value += sign * item.taxable_value;
+      grouped[key].igst_amount += sign * item.igst_amount;
+      grouped[key].cgst_amount += sign * item.cgst_amount;
+      grouped[key].sgst_amount += sign * item.sgst_amount;
+      grouped[key].cess_amount += sign * item.cess_amount;
+      if (sign > 0) grouped[key].invoice_count += 1;
+    });
   });
   
   return Object.values(grouped);
@@ -258,26 +870,30 @@ function groupB2CByRateAndState(b2cSupplies) {
  * Get tax rate breakdown for the period
  * @param {string} startDate - Start date
  * @param {string} endDate - End date
+ * @param {Object} registration - Registration reported
  * @returns {Array} Rate-wise breakdown
  */
-function getTaxRateBreakdown(startDate, endDate) {
+function getTaxRateBreakdown(startDate, endDate, registration) {
   if (!db) return [];
   
   const breakdown = db.prepare(`
     SELECT 
-      t.gst_rate,
-      SUM(t.taxable_amount) as total_taxable,
-      SUM(t.igst_amount) as total_igst,
-      SUM(t.cgst_amount) as total_cgst,
-      SUM(t.sgst_amount) as total_sgst,
-      SUM(t.cess_amount) as total_cess,
-      COUNT(*) as transaction_count
-    FROM transactions t
+      ti.gst_rate,
+      SUM(ti.taxable_amount) as total_taxable,
+      SUM(ti.igst_amount) as total_igst,
+      SUM(ti.cgst_amount) as total_cgst,
+      SUM(ti.sgst_amount) as total_sgst,
+      SUM(ti.cess_amount) as total_cess,
+      COUNT(DISTINCT ti.transaction_id) as transaction_count
+    FROM transaction_items ti
+    JOIN transactions t ON ti.transaction_id = t.id
     WHERE t.voucher_type = 'sale'
+      AND t.is_cancelled = 0
       AND t.date >= ?
       AND t.date <= ?
-    GROUP BY t.gst_rate
-    ORDER BY t.gst_rate ASC
+      AND ${branchScope(registration)}
+    GROUP BY ti.gst_rate
+    ORDER BY ti.gst_rate ASC
   `).all(startDate, endDate);
   
   return breakdown.map(row => ({
@@ -293,27 +909,60 @@ function getTaxRateBreakdown(startDate, endDate) {
 }
 
 /**
- * Get business state code from configuration
+ * Get the location (GSTIN, state code and state) a registration files from
+ * @param {Object} registration - Registration (head office by default)
+ * @returns {Object} { gstin, state_code, state }
+ */
+function getBusinessLocation(registration) {
+  if (!db) return {};
+  
+  const { gstin, state_code, state } = (registration || branchService.getRegistration()).location;
+  return { gstin, state_code, state };
+}
+
+/**
+ * Get the state code of a registration
+ * @param {Object} registration - Registration (head office by default)
  * @returns {string} State code
  */
-function getBusinessStateCode() {
-  if (!db) return '07';
+function getBusinessStateCode(registration) {
+  return placeOfSupply.partyState(getBusinessLocation(registration)) || '07';
+}
+
+/**
+ * Get the place of supply and nature of a voucher. Vouchers saved before the
+ * place of supply was recorded are decided now from the party master.
+ * @param {Object} row - Voucher with place_of_supply, supply_nature and party_* columns
+ * @param {Object} registration - Registration the voucher was issued under
+ * @returns {Object} { place_of_supply, supply_nature }
+ */
+function getSupplyOf(row, registration) {
+  if (row.place_of_supply) {
+    return { place_of_supply: row.place_of_supply, supply_nature: row.supply_nature || 'regular' };
+  }
   
-  const state = db.prepare(`SELECT value FROM business_info WHERE key = 'state_code'`).get();
-  return state?.value || '07';
+  const decision = placeOfSupply.determinePlaceOfSupply({
+    supplier: getBusinessLocation(registration),
+    recipient: {
+      gstin: row.party_gstin, state_code: row.party_state_code, state: row.party_state,
+      country: row.party_country, is_sez: row.party_is_sez === 1
+    }
+  });
+  return { place_of_supply: decision.place_of_supply || getBusinessStateCode(registration), supply_nature: decision.supply_nature };
 }
 
 /**
  * Export GSTR-1 as JSON for portal upload
- * @param {Object} filters - Date range
+ * @param {Object} filters - Date range and gstin
  * @returns {Object} JSON for upload
  */
 function exportGSTR1JSON(filters = {}) {
   const data = getGSTR1Data(filters);
+  const registration = branchService.getRegistration(filters.gstin);
   
   // Format for GST portal
   const gstr1Json = {
-    gstin: getBusinessGSTIN(),
+    gstin: getBusinessGSTIN(registration),
     fp: filters.filingPeriod || getFilingPeriod(filters.startDate),
     gen_date: new Date().toISOString(),
     sum: {
@@ -332,46 +981,135 @@ function exportGSTR1JSON(filters = {}) {
         val: inv.invoice_value,
         pos: inv.place_of_supply,
         rchrg: 'N',
-        inv_typ: 'R',
+        inv_typ: inv.invoice_type,
         etin: inv.irn || '',
-        items: [{
-          num: 1,
-          txval: inv.taxable_value,
-          rt: inv.rate,
-          igst: inv.igst_amount,
-          cgst: inv.cgst_amount,
-          sgst: inv.sgst_amount,
-          cess: inv.cess_amount
-        }]
+        items: inv.items.map((item, index) => ({
+          num: index + 1,
+          txval: item.taxable_value,
+          rt: item.rate,
+          igst: item.igst_amount,
+          cgst: item.cgst_amount,
+          sgst: item.sgst_amount,
+          cess: item.cess_amount
+        }))
       }]
     })),
-    b2cl: [], // B2C Large - invoices > Rs 2.5 Lakhs
+    // B2C Large: inter-state invoices to unregistered persons above the threshold
+    b2cl: Object.values(data.supplies.b2cl.reduce((byState, inv) => {
+      byState[inv.place_of_supply] = byState[inv.place_of_supply] || { pos: inv.place_of_supply, inv: [] };
+      byState[inv.place_of_supply].inv.push({
+        inum: inv.invoice_no,
+        idt: inv.invoice_date,
+        val: inv.invoice_value,
+        items: inv.items.map((item, index) => ({
+          num: index + 1,
+          txval: item.taxable_value,
+          rt: item.rate,
+          igst: item.igst_amount,
+          cess: item.cess_amount
+        }))
+      });
+      return byState;
+    }, {})),
     b2cs: data.supplies.b2c_summary.map(item => ({
+      sply_ty: item.place_of_supply === getBusinessStateCode(registration) ? 'INTRA' : 'INTER',
       pos: item.place_of_supply,
       txval: item.taxable_value,
       rt: item.rate,
       igst: item.igst_amount,
-      cgst: 0,
-      sgst: 0,
+      cgst: item.cgst_amount,
+      sgst: item.sgst_amount,
       cess: item.cess_amount,
       typ: 'OE'
     })),
-    exp: data.supplies.exports.map(exp => ({
-      exp_typ: 'WPAY',
-      inum: exp.invoice_no,
-      idt: exp.invoice_date,
-      val: exp.invoice_value,
-      sbdt: exp.ack_date || '',
-      sbnum: exp.irn || '',
-      items: [{
-        txval: exp.taxable_value,
-        rt: exp.rate,
-        igst: exp.igst_amount,
-        cgst: 0,
-        sgst: 0,
-        cess: exp.cess_amount
+    // Exports (Table 6A), grouped by with / without payment of IGST
+    exp: Object.values(data.supplies.exports.reduce((byType, exp) => {
+      byType[exp.invoice_type] = byType[exp.invoice_type] || { exp_typ: exp.invoice_type, inv: [] };
+      byType[exp.invoice_type].inv.push({
+        inum: exp.invoice_no,
+        idt: exp.invoice_date,
+        val: exp.invoice_value,
+        sbpcode: exp.port_code || '',
+        sbnum: exp.shipping_bill_no || '',
+        sbdt: exp.shipping_bill_date || '',
+        items: exp.items.map(item => ({
+          txval: item.taxable_value,
+          rt: item.rate,
+          igst: item.igst_amount,
+          cess: item.cess_amount
+        }))
+      });
+      return byType;
+    }, {})),
+    cdnr: data.credit_debit_notes.cdnr.map(note => ({
+      ctin: note.party_gstin,
+      nt: [{
+        ntty: note.note_type,
+        nt_num: note.note_no,
+        nt_dt: note.note_date,
+        val: note.note_value,
+        pos: note.place_of_supply,
+        rchrg: 'N',
+        inv_typ: 'R',
+        inum: note.original_invoice_no,
+        idt: note.original_invoice_date,
+        items: note.items.map((item, index) => ({
+          num: index + 1,
+          txval: item.taxable_value,
+          rt: item.rate,
+          igst: item.igst_amount,
+          cgst: item.cgst_amount,
+          sgst: item.sgst_amount,
+          cess: item.cess_amount
+        }))
       }]
-    }))
+    })),
+    cdnur: data.credit_debit_notes.cdnur.map(note => ({
+      typ: note.type,
+      ntty: note.note_type,
+      nt_num: note.note_no,
+      nt_dt: note.note_date,
+      val: note.note_value,
+      pos: note.place_of_supply,
+      inum: note.original_invoice_no,
+      idt: note.original_invoice_date,
+      items: note.items.map((item, index) => ({
+        num: index + 1,
+        txval: item.taxable_value,
+        rt: item.rate,
+        igst: item.igst_amount,
+        cess: item.cess_amount
+      }))
+    })),
+    hsn: {
+      data: data.hsn_summary.map((row, index) => ({
+        num: index + 1,
+        hsn_sc: row.hsn_code,
+        desc: row.description,
+        uqc: row.uqc,
+        qty: row.quantity,
+        val: row.total_value,
+        txval: row.taxable_value,
+        rt: row.rate,
+        iamt: row.igst_amount,
+        camt: row.cgst_amount,
+        samt: row.sgst_amount,
+        csamt: row.cess_amount
+      }))
+    },
+    doc_issue: {
+      doc_det: data.documents_issued.map(group => ({
+        doc_num: group.doc_num,
+        docs: group.docs.map(doc => ({
+          num: doc.num,
+          from: doc.from,
+          to: doc.to,
+          totnum: doc.total_number,
+          cancel: doc.cancelled,
+          net_issue: doc.net_issued
+        }))
+      }))
+    }
   };
   
   return gstr1Json;
@@ -379,49 +1117,67 @@ function exportGSTR1JSON(filters = {}) {
 
 /**
  * Export GSTR-3B as JSON for portal upload
- * @param {Object} filters - Date range
+ * @param {Object} filters - Date range and gstin
  * @returns {Object} JSON for upload
  */
 function exportGSTR3BJSON(filters = {}) {
   const data = getGSTR3BData(filters);
   
   const gstr3bJson = {
-    gstin: getBusinessGSTIN(),
+    gstin: getBusinessGSTIN(branchService.getRegistration(filters.gstin)),
     fp: filters.filingPeriod || getFilingPeriod(filters.startDate),
     gen_date: new Date().toISOString(),
     
     // Summary of outward supplies
     sup_details: {
       osup: {
-        val: data.summary.total_outward_taxable,
+        val: roundTax(data.summary.total_outward_taxable - data.zero_rated_supplies.taxable_value),
         cry: data.outward_supplies.cgst + data.outward_supplies.sgst,
         intral: 0
       },
-      osup_zero: { val: 0, cry: 0, intral: 0 },
+      osup_zero: {
+        val: data.zero_rated_supplies.taxable_value,
+        iamt: data.zero_rated_supplies.igst,
+        csamt: data.zero_rated_supplies.cess
+      },
       osup_exempt: { val: 0, nilsup: 0, exptd: 0 },
-      isup_rev: { val: 0, cry: 0, intral: 0 },
+      isup_rev: {
+        val: data.inward_reverse_charge.taxable_value,
+        iamt: data.inward_reverse_charge.igst,
+        camt: data.inward_reverse_charge.cgst,
+        samt: data.inward_reverse_charge.sgst,
+        csamt: data.inward_reverse_charge.cess
+      },
       osup_nongst: { val: 0, nilsup: 0, exptd: 0 }
     },
     
-    // Input tax credit
-    itc_avail: {
-      c1: {
-        iit: {
-          cgst: data.itc_available.cgst,
-          sgst: data.itc_available.sgst,
-          igst: data.itc_available.igst,
-          cess: data.itc_available.cess
-        }
-      }
+    // Input tax credit (table 4): available, reversed, net and reclaimed
+    itc_elg: {
+      itc_avl: [
+        { ty: 'IMPG', ...portalTax(taxBucket()) },
+        { ty: 'IMPS', ...portalTax(taxBucket()) },
+        { ty: 'ISRC', ...portalTax(data.itc_breakdown.reverse_charge) },
+        { ty: 'ISD', ...portalTax(taxBucket()) },
+        { ty: 'OTH', ...portalTax(data.itc_breakdown.all_other) }
+      ],
+      itc_rev: [
+        { ty: 'RUL', ...portalTax(data.itc_reversed.rules_42_43_17_5) },
+        { ty: 'OTH', ...portalTax(data.itc_reversed.others) }
+      ],
+      itc_net: portalTax(data.net_itc),
+      itc_inelg: [
+        { ty: 'RUL', ...portalTax(data.itc_reclaimed) },
+        { ty: 'OTH', ...portalTax(taxBucket()) }
+      ]
     },
     
     // Inward supplies attracting reverse charge
     inp_details: {
       isup_rev: {
-        cgst: 0,
-        sgst: 0,
-        igst: 0,
-        cess: 0
+        cgst: data.itc_breakdown.reverse_charge.cgst,
+        sgst: data.itc_breakdown.reverse_charge.sgst,
+        igst: data.itc_breakdown.reverse_charge.igst,
+        cess: data.itc_breakdown.reverse_charge.cess
       }
     },
     
@@ -452,14 +1208,819 @@ function exportGSTR3BJSON(filters = {}) {
 }
 
 /**
- * Get business GSTIN
+ * Tax bucket with the portal's amount keys
+ * @param {Object} bucket - { igst, cgst, sgst, cess }
+ */
+function portalTax(bucket) {
+  return { iamt: bucket.igst || 0, camt: bucket.cgst || 0, samt: bucket.sgst || 0, csamt: bucket.cess || 0 };
+}
+
+/**
+ * Record a return as filed, keeping a snapshot of what was filed
+ * so annual returns can be reconciled against it later
+ * @param {string} returnType - 'GSTR1', 'GSTR3B', 'CMP08' or 'GSTR4'
+ * @param {Object} filters - Date range (financialYear for GSTR4) and gstin of the return
+ * @param {Object} details - { arn, filed_on, filed_by }
+ * @returns {Object} Result
+ */
+function recordFiling(returnType, filters = {}, details = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+  
+  try {
+    const builders = { GSTR1: getGSTR1Data, GSTR3B: getGSTR3BData, CMP08: getCMP08Data, GSTR4: getGSTR4Data };
+    if (!builders[returnType]) {
+      return { success: false, error: `Unknown return type: ${returnType}` };
+    }
+    
+    // GSTR-4 covers a financial year; it and CMP-08 are reported by the last month they cover
+    if (returnType === 'GSTR4') {
+      const financialYear = filters.financialYear || filters.startDate;
+      filters = { ...getFinancialYearRange(financialYear), ...filters, financialYear };
+    }
+    const periodDate = ['CMP08', 'GSTR4'].includes(returnType) ? filters.endDate : filters.startDate;
+    const filingPeriod = filters.filingPeriod || getFilingPeriod(periodDate);
+    const gstin = getBusinessGSTIN(branchService.getRegistration(filters.gstin));
+    if (getFiling(returnType, filingPeriod, gstin)) {
+      return { success: false, error: `${returnType} for ${filingPeriod}${gstin ? ` (${gstin})` : ''} is already recorded as filed` };
+    }
+    
+    const data = builders[returnType](filters);
+    const result = db.prepare(`
+      INSERT INTO gst_return_filings (return_type, filing_period, start_date, end_date, arn, filed_on, filed_by, gstin, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      returnType, filingPeriod, filters.startDate, filters.endDate, details.arn || null,
+      details.filed_on || new Date().toISOString().split('T')[0], details.filed_by || 'system', gstin, JSON.stringify(data)
+    );
+    
+    return { success: true, id: result.lastInsertRowid, filing_period: filingPeriod, gstin };
+  } catch (error) {
+    console.error('[GSTReturnService] Record filing error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the filed snapshot of a return
+ * @param {string} returnType - 'GSTR1' or 'GSTR3B'
+ * @param {string} filingPeriod - MMYYYY
+ * @param {string} gstin - Registration (head office by default)
+ * @returns {Object|null} Filing with parsed data
+ */
+function getFiling(returnType, filingPeriod, gstin) {
+  if (!db) return null;
+  
+  const filing = db.prepare(`
+    SELECT * FROM gst_return_filings WHERE return_type = ? AND filing_period = ? AND gstin = ?
+  `).get(returnType, filingPeriod, gstin === undefined ? getBusinessGSTIN() : gstin);
+  
+  if (filing) filing.data = JSON.parse(filing.data);
+  return filing || null;
+}
+
+/**
+ * Get recorded filings (without their snapshots)
+ * @param {Object} filters - { returnType, gstin }
+ * @returns {Array} Filings
+ */
+function getFilings(filters = {}) {
+  if (!db) return [];
+  
+  const conditions = [];
+  const params = [];
+  if (filters.returnType) {
+    conditions.push('return_type = ?');
+    params.push(filters.returnType);
+  }
+  if (filters.gstin) {
+    conditions.push('gstin = ?');
+    params.push(String(filters.gstin).toUpperCase());
+  }
+  
+  return db.prepare(`
+    SELECT id, return_type, filing_period, gstin, start_date, end_date, arn, filed_on, filed_by, created_at
+    FROM gst_return_filings
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY start_date DESC, gstin ASC, return_type ASC
+  `).all(...params);
+}
+
+/**
+ * Date range of a financial year (April to March)
+ * @param {string} financialYear - e.g. '2025-26'
+ * @returns {Object} { startDate, endDate }
+ */
+function getFinancialYearRange(financialYear) {
+  const startYear = parseInt(String(financialYear), 10);
+  if (!startYear) {
+    throw new Error(`Invalid financial year: ${financialYear}`);
+  }
+  return { startDate: `${startYear}-04-01`, endDate: `${startYear + 1}-03-31` };
+}
+
+/**
+ * Split a date range into monthly return periods
+ * @param {string} startDate - First day of the first month
+ * @param {string} endDate - Last day of the last month
+ * @returns {Array} [{ filingPeriod, startDate, endDate }]
+ */
+function getMonthlyPeriods(startDate, endDate) {
+  const periods = [];
+  let [year, month] = startDate.split('-').map(Number);
+  
+  while (`${year}-${String(month).padStart(2, '0')}-01` <= endDate) {
+    const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+    const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+    periods.push({ filingPeriod: getFilingPeriod(monthStart), startDate: monthStart, endDate: monthEnd });
+    
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  
+  return periods;
+}
+
+/**
+ * Build a { taxable_value, igst, cgst, sgst, cess } bucket
+ * @param {Object} row - Source values
+ * @param {number} sign - 1, or -1 for notes that reduce the total
+ * @returns {Object} Tax bucket
+ */
+function taxBucket(row = {}, sign = 1) {
+  return {
+    taxable_value: roundTax(sign * (row.taxable_value || 0)),
+    igst: roundTax(sign * (row.igst || 0)),
+    cgst: roundTax(sign * (row.cgst || 0)),
+    sgst: roundTax(sign * (row.sgst || 0)),
+    cess: roundTax(sign * (row.cess || 0))
+  };
+}
+
+/**
+ * Add tax buckets together
+ * @param {...Object} buckets - Tax buckets
+ * @returns {Object} Sum
+ */
+function sumBuckets(...buckets) {
+  return buckets.reduce((total, bucket) => taxBucket({
+    taxable_value: total.taxable_value + (bucket.taxable_value || 0),
+    igst: total.igst + (bucket.igst || 0),
+    cgst: total.cgst + (bucket.cgst || 0),
+    sgst: total.sgst + (bucket.sgst || 0),
+    cess: total.cess + (bucket.cess || 0)
+  }), taxBucket());
+}
+
+/**
+ * Round to paise
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundTax(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Compare two tax buckets and list the heads that differ
+ * @param {string} table - GSTR-9 table being reconciled
+ * @param {string} description - What is compared with what
+ * @param {Object} books - Values as per books / annual return
+ * @param {Object} reported - Values as reported in monthly returns
+ * @param {string} period - Filing period, when comparing a single month
+ * @returns {Array} Differences
+ */
+function compareBuckets(table, description, books, reported, period = null) {
+  return Object.keys(books)
+    .filter(field => Math.abs(books[field] - (reported[field] || 0)) > GSTR9_TOLERANCE)
+    .map(field => ({
+      table,
+      description,
+      period,
+      field,
+      books: books[field],
+      reported: reported[field] || 0,
+      difference: roundTax(books[field] - (reported[field] || 0))
+    }));
+}
+
+/**
+ * Get GSTR-9 data (Annual Return) for a financial year, reconciled
+ * against the twelve monthly GSTR-1 and GSTR-3B returns
+ * @param {Object} filters - { financialYear, gstin } e.g. '2025-26'
+ * @returns {Object} GSTR-9 data
+ */
+function getGSTR9Data(filters = {}) {
+  if (!db) return null;
+  
+  const { startDate, endDate } = getFinancialYearRange(filters.financialYear);
+  const registration = branchService.getRegistration(filters.gstin);
+  const gstin = getBusinessGSTIN(registration);
+  const scope = branchScope(registration);
+  
+  // Table 4: outward supplies on which tax is payable, from the books
+  const outwardRows = db.prepare(`
+    SELECT 
+      CASE 
+        WHEN UPPER(p.gstin) = 'EXPORT' THEN 'exports'
+        WHEN LENGTH(p.gstin) = 15 THEN 'b2b'
+        ELSE 'b2c'
+      END as category,
+      t.voucher_type,
+      SUM(t.taxable_amount) as taxable_value,
+      SUM(t.igst_amount) as igst,
+      SUM(t.cgst_amount) as cgst,
+      SUM(t.sgst_amount) as sgst,
+      SUM(t.cess_amount) as cess
+    FROM transactions t
+    LEFT JOIN parties p ON t.party_id = p.id
+    WHERE t.voucher_type IN ('sale', 'credit_note')
+      AND t.is_cancelled = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${scope}
+    GROUP BY category, t.voucher_type
+  `).all(startDate, endDate);
+  
+  const outward = (category) => sumBuckets(...outwardRows
+    .filter(row => row.voucher_type === 'sale' && row.category === category)
+    .map(row => taxBucket(row)));
+  const creditNotes = sumBuckets(...outwardRows
+    .filter(row => row.voucher_type === 'credit_note')
+    .map(row => taxBucket(row)));
+  
+  const reverseCharge = getReverseChargeInward(startDate, endDate, registration);
+  
+  const table4 = {
+    b2c: outward('b2c'),
+    b2b: outward('b2b'),
+    exports: outward('exports'),
+    reverse_charge: reverseCharge.liability,
+    credit_notes: creditNotes,
+    debit_notes: taxBucket()
+  };
+  // Outward supplies alone, as reported in GSTR-1 and GSTR-3B 3.1(a); 4G is added for the 4N total
+  const outwardInBooks = sumBuckets(table4.b2c, table4.b2b, table4.exports, taxBucket(creditNotes, -1), table4.debit_notes);
+  table4.total = sumBuckets(outwardInBooks, table4.reverse_charge);
+  
+  // Tables 6 and 7: ITC availed on purchases (blocked credit included) and reversed on purchase returns
+  const inwardRows = db.prepare(`
+    SELECT 
+      t.voucher_type,
+      SUM(t.taxable_amount) as taxable_value,
+      SUM(t.igst_amount) as igst,
+      SUM(t.cgst_amount) as cgst,
+      SUM(t.sgst_amount) as sgst,
+      SUM(t.cess_amount) as cess
+    FROM transactions t
+    WHERE t.voucher_type IN ('purchase', 'debit_note')
+      AND t.is_cancelled = 0
+      AND (t.is_itc_eligible = 1 OR t.itc_category = 'blocked')
+      AND t.reverse_charge = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${scope}
+    GROUP BY t.voucher_type
+  `).all(startDate, endDate);
+  
+  const inward = (voucherType) => taxBucket(inwardRows.find(row => row.voucher_type === voucherType));
+  
+  // Monthly returns: the filed snapshot where one was recorded, otherwise recomputed
+  const monthly = getMonthlyPeriods(startDate, endDate).map(period => {
+    const filedGstr1 = getFiling('GSTR1', period.filingPeriod, gstin);
+    const filedGstr3b = getFiling('GSTR3B', period.filingPeriod, gstin);
+    const gstr1 = filedGstr1 ? filedGstr1.data : getGSTR1Data({ ...period, gstin: registration.gstin });
+    const gstr3b = filedGstr3b ? filedGstr3b.data : getGSTR3BData({ ...period, gstin: registration.gstin });
+    
+    return {
+      filing_period: period.filingPeriod,
+      gstr1_source: filedGstr1 ? 'filed' : 'computed',
+      gstr3b_source: filedGstr3b ? 'filed' : 'computed',
+      gstr1: taxBucket({
+        taxable_value: gstr1.summary.total_taxable_value,
+        igst: gstr1.summary.total_igst,
+        cgst: gstr1.summary.total_cgst,
+        sgst: gstr1.summary.total_sgst,
+        cess: gstr1.summary.total_cess
+      }),
+      gstr3b_outward: taxBucket({ taxable_value: gstr3b.summary.total_outward_taxable, ...gstr3b.outward_supplies }),
+      gstr3b_reverse_charge: taxBucket(gstr3b.inward_reverse_charge),
+      gstr3b_itc: taxBucket(gstr3b.itc_available),
+      // Snapshots filed before reversals were tracked carry no net ITC
+      gstr3b_net_itc: taxBucket(gstr3b.net_itc || gstr3b.itc_available),
+      gstr3b_cash: taxBucket(gstr3b.net_liability)
+    };
+  });
+  
+  const itcAsPer3B = sumBuckets(...monthly.map(m => m.gstr3b_itc));
+  itcAsPer3B.taxable_value = 0;
+  const netItcAsPer3B = sumBuckets(...monthly.map(m => m.gstr3b_net_itc));
+  netItcAsPer3B.taxable_value = 0;
+  
+  // Rule 42 is worked out month by month, so the annual reversals are the sum of the monthly ones
+  const reversals = getMonthlyPeriods(startDate, endDate)
+    .map(period => itcService.getITCReversals({ ...period, gstin: registration.gstin }));
+  const reversalOf = (pick) => sumBuckets(...reversals.map(r => taxBucket(pick(r))));
+  
+  const table6 = {
+    itc_as_per_gstr3b: itcAsPer3B,
+    inward_supplies: { ...inward('purchase'), taxable_value: 0 },
+    reverse_charge_unregistered: reverseCharge.itc_by_supplier.unregistered,
+    reverse_charge_registered: reverseCharge.itc_by_supplier.registered,
+    reclaimed: reversalOf(r => r.table_4d.reclaimed) // 6H: credit reversed under rule 37 and reclaimed
+  };
+  table6.total = sumBuckets(table6.inward_supplies, table6.reverse_charge_unregistered, table6.reverse_charge_registered, table6.reclaimed);
+  table6.difference = sumBuckets(table6.itc_as_per_gstr3b, taxBucket(table6.total, -1));
+  
+  const table7 = {
+    rule_37: reversalOf(r => r.rule37.reversed), // 7A
+    rule_42: reversalOf(r => r.rule42.reversal), // 7C
+    rule_43: reversalOf(r => r.rule43.reversal), // 7D
+    section_17_5: reversalOf(r => r.blocked.total), // 7E
+    other_reversals: { ...inward('debit_note'), taxable_value: 0 } // 7H
+  };
+  table7.total = sumBuckets(table7.rule_37, table7.rule_42, table7.rule_43, table7.section_17_5, table7.other_reversals);
+  table7.net_itc_available = sumBuckets(table6.total, taxBucket(table7.total, -1));
+  
+  // Table 8: ITC as per GSTR-2B statements imported for the year
+  let itcAsPer2B = 0;
+  try {
+    itcAsPer2B = db.prepare(`
+      SELECT COALESCE(SUM(total_itc), 0) as total FROM gstr2b_imports
+      WHERE period_start >= ? AND period_end <= ? AND UPPER(gstin) = ?
+    `).get(startDate, endDate, gstin).total;
+  } catch (error) {
+    // GSTR-2B has never been imported
+  }
+  const itcInBooks = table6.inward_supplies.igst + table6.inward_supplies.cgst
+    + table6.inward_supplies.sgst + table6.inward_supplies.cess;
+  
+  const table8 = {
+    itc_as_per_gstr2b: roundTax(itcAsPer2B),
+    itc_as_per_books: roundTax(itcInBooks),
+    difference: roundTax(itcAsPer2B - itcInBooks)
+  };
+  
+  // Table 9: tax payable and how it was paid in the monthly GSTR-3B returns
+  const paidInCash = sumBuckets(...monthly.map(m => m.gstr3b_cash));
+  const table9 = ['igst', 'cgst', 'sgst', 'cess'].reduce((acc, head) => {
+    acc[head] = {
+      tax_payable: table4.total[head],
+      paid_through_itc: roundTax(table4.total[head] - paidInCash[head]),
+      paid_in_cash: paidInCash[head]
+    };
+    return acc;
+  }, {});
+  
+  // Tables 17 and 18: HSN-wise summary of outward and inward supplies
+  const table17 = groupLinesByHSN(getSalesLineItems(startDate, endDate, 'sale', registration)
+    .concat(getSalesLineItems(startDate, endDate, 'credit_note', registration).map(negateLine)));
+  const table18 = groupLinesByHSN(getSalesLineItems(startDate, endDate, 'purchase', registration)
+    .concat(getSalesLineItems(startDate, endDate, 'debit_note', registration).map(negateLine)));
+  
+  // Reconciliation of the annual figures with the monthly returns
+  const gstr1Total = sumBuckets(...monthly.map(m => m.gstr1));
+  const gstr3bOutwardTotal = sumBuckets(...monthly.map(m => m.gstr3b_outward));
+  const gstr3bReverseChargeTotal = sumBuckets(...monthly.map(m => m.gstr3b_reverse_charge));
+  const differences = [
+    ...compareBuckets('4N', 'Outward supplies in books vs GSTR-1', outwardInBooks, gstr1Total),
+    ...compareBuckets('4N', 'Outward supplies in books vs GSTR-3B 3.1(a)', outwardInBooks, gstr3bOutwardTotal),
+    ...compareBuckets('4G', 'Reverse-charge supplies in books vs GSTR-3B 3.1(d)', table4.reverse_charge, gstr3bReverseChargeTotal),
+    ...compareBuckets('6J', 'Net ITC in books vs net ITC in GSTR-3B 4(C)', table7.net_itc_available, netItcAsPer3B)
+  ];
+  monthly.forEach(m => {
+    differences.push(...compareBuckets('4N', 'GSTR-1 vs GSTR-3B outward supplies', m.gstr1, m.gstr3b_outward, m.filing_period));
+  });
+  if (itcAsPer2B && Math.abs(table8.difference) > GSTR9_TOLERANCE) {
+    differences.push({
+      table: '8D',
+      description: 'ITC as per GSTR-2B vs ITC in books',
+      period: null,
+      field: 'total_itc',
+      books: table8.itc_as_per_books,
+      reported: table8.itc_as_per_gstr2b,
+      difference: roundTax(table8.itc_as_per_books - table8.itc_as_per_gstr2b)
+    });
+  }
+  
+  return {
+    gstin: registration.gstin,
+    financial_year: filters.financialYear,
+    period: { start_date: startDate, end_date: endDate },
+    generated_at: new Date().toISOString(),
+    table4,
+    table6,
+    table7,
+    table8,
+    table9,
+    table17,
+    table18,
+    monthly_returns: monthly,
+    reconciliation: {
+      gstr1_total: gstr1Total,
+      gstr3b_outward_total: gstr3bOutwardTotal,
+      gstr3b_reverse_charge_total: gstr3bReverseChargeTotal,
+      gstr3b_itc_total: itcAsPer3B,
+      gstr3b_net_itc_total: netItcAsPer3B,
+      is_reconciled: differences.length === 0,
+      differences
+    }
+  };
+}
+
+/**
+ * Export GSTR-9 as JSON for portal upload
+ * @param {Object} filters - { financialYear, gstin }
+ * @returns {Object} JSON for upload
+ */
+function exportGSTR9JSON(filters = {}) {
+  const data = getGSTR9Data(filters);
+  const { endDate } = getFinancialYearRange(filters.financialYear);
+  
+  const amounts = (bucket) => ({
+    txval: bucket.taxable_value,
+    iamt: bucket.igst,
+    camt: bucket.cgst,
+    samt: bucket.sgst,
+    csamt: bucket.cess
+  });
+  const taxOnly = (bucket) => {
+    const { txval, ...tax } = amounts(bucket);
+    return tax;
+  };
+  const hsnItems = (rows) => rows.map(row => ({
+    hsn_sc: row.hsn_code,
+    desc: row.description,
+    uqc: row.uqc,
+    qty: row.quantity,
+    txval: row.taxable_value,
+    rt: row.rate,
+    iamt: row.igst_amount,
+    camt: row.cgst_amount,
+    samt: row.sgst_amount,
+    csamt: row.cess_amount,
+    isconcesstional: 'N'
+  }));
+  
+  const gstr9Json = {
+    gstin: getBusinessGSTIN(branchService.getRegistration(filters.gstin)),
+    fp: getFilingPeriod(endDate),
+    gen_date: new Date().toISOString(),
+    
+    // Outward supplies on which tax is payable
+    table4: {
+      b2c: amounts(data.table4.b2c),
+      b2b: amounts(data.table4.b2b),
+      exp: amounts(data.table4.exports),
+      rchrg: amounts(data.table4.reverse_charge),
+      cr_nt: amounts(data.table4.credit_notes),
+      dr_nt: amounts(data.table4.debit_notes),
+      sub_totalAI: amounts(data.table4.total)
+    },
+    
+    // ITC availed
+    table6: {
+      itc_3b: taxOnly(data.table6.itc_as_per_gstr3b),
+      supp_non_rchrg: [{ itc_typ: 'ip', ...taxOnly(data.table6.inward_supplies) }],
+      supp_rchrg_unreg: [{ itc_typ: 'ip', ...taxOnly(data.table6.reverse_charge_unregistered) }],
+      supp_rchrg_reg: [{ itc_typ: 'ip', ...taxOnly(data.table6.reverse_charge_registered) }],
+      itc_reclaimed: taxOnly(data.table6.reclaimed),
+      total_itc_availed: taxOnly(data.table6.total),
+      difference: taxOnly(data.table6.difference)
+    },
+    
+    // ITC reversed
+    table7: {
+      rule37: taxOnly(data.table7.rule_37),
+      rule42: taxOnly(data.table7.rule_42),
+      rule43: taxOnly(data.table7.rule_43),
+      sec17: taxOnly(data.table7.section_17_5),
+      other: [{ desc: 'Purchase returns', ...taxOnly(data.table7.other_reversals) }],
+      tot_itc_revd: taxOnly(data.table7.total),
+      net_itc_aval: taxOnly(data.table7.net_itc_available)
+    },
+    
+    // ITC as per GSTR-2B
+    table8: {
+      itc_2a: { total: data.table8.itc_as_per_gstr2b },
+      itc_tot: { total: data.table8.itc_as_per_books },
+      differenceABC: { total: data.table8.difference }
+    },
+    
+    // Tax paid
+    table9: {
+      iamt: { txpyble: data.table9.igst.tax_payable, txpaid_cash: data.table9.igst.paid_in_cash, tax_paid_itc: data.table9.igst.paid_through_itc },
+      camt: { txpyble: data.table9.cgst.tax_payable, txpaid_cash: data.table9.cgst.paid_in_cash, tax_paid_itc: data.table9.cgst.paid_through_itc },
+      samt: { txpyble: data.table9.sgst.tax_payable, txpaid_cash: data.table9.sgst.paid_in_cash, tax_paid_itc: data.table9.sgst.paid_through_itc },
+      csamt: { txpyble: data.table9.cess.tax_payable, txpaid_cash: data.table9.cess.paid_in_cash, tax_paid_itc: data.table9.cess.paid_through_itc }
+    },
+    
+    // HSN-wise summary of outward and inward supplies
+    table17: { items: hsnItems(data.table17) },
+    table18: { items: hsnItems(data.table18) }
+  };
+  
+  return gstr9Json;
+}
+
+/**
+ * Composition scheme the business has opted for, from business_info
+ * (gst_scheme = 'composition', composition_category)
+ * @returns {Object|null} { category, rate, cgst_rate, sgst_rate }, or null for a regular taxpayer
+ */
+function getCompositionScheme() {
+  if (!db) return null;
+  
+  const setting = (key) => {
+    const row = db.prepare('SELECT value FROM business_info WHERE key = ?').get(key);
+    return row ? row.value : null;
+  };
+  if (setting('gst_scheme') !== 'composition') return null;
+  
+  const category = setting('composition_category') || 'trader';
+  const rate = COMPOSITION_RATES[category];
+  if (rate === undefined) {
+    throw new Error(`Unknown composition category: ${category}`);
+  }
+  return { category, rate, cgst_rate: rate / 2, sgst_rate: rate / 2 };
+}
+
+/**
+ * Check GST scheme settings before they are saved to business_info
+ * @param {Object} settings - { gst_scheme, composition_category }
+ */
+function validateSchemeSettings(settings = {}) {
+  if (settings.gst_scheme !== undefined && !['regular', 'composition'].includes(settings.gst_scheme)) {
+    throw new Error(`Unknown GST scheme: ${settings.gst_scheme}`);
+  }
+  if (settings.composition_category !== undefined && COMPOSITION_RATES[settings.composition_category] === undefined) {
+    throw new Error(`Unknown composition category: ${settings.composition_category} (use ${Object.keys(COMPOSITION_RATES).join(', ')})`);
+  }
+}
+
+/**
+ * Turnover billed on bills of supply (sales less credit notes) in a period
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Object} registration - Registration reported
+ * @returns {number} Turnover
+ */
+function getCompositionTurnover(startDate, endDate, registration) {
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.taxable_amount ELSE t.taxable_amount END), 0) as turnover
+    FROM transactions t
+    WHERE t.voucher_type IN ('sale', 'credit_note')
+      AND t.bill_of_supply = 1
+      AND t.is_cancelled = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${branchScope(registration)}
+  `).get(startDate, endDate);
+  return roundTax(row.turnover);
+}
+
+/**
+ * Get CMP-08 data (quarterly statement-cum-challan of a composition dealer):
+ * tax at the composition rate on the quarter's turnover, plus tax on inward
+ * supplies under reverse charge
+ * @param {Object} filters - { startDate, endDate, filingPeriod, gstin }
+ * @returns {Object} CMP-08 data
+ */
+function getCMP08Data(filters = {}) {
+  if (!db) return null;
+  
+  const { startDate, endDate, filingPeriod } = filters;
+  const registration = branchService.getRegistration(filters.gstin);
+  const scheme = getCompositionScheme();
+  if (!scheme) {
+    throw new Error('CMP-08 is filed only by composition dealers; set gst_scheme to composition in the business information');
+  }
+  
+  const turnover = getCompositionTurnover(startDate, endDate, registration);
+  const outward = taxBucket({
+    taxable_value: turnover,
+    cgst: turnover * scheme.cgst_rate / 100,
+    sgst: turnover * scheme.sgst_rate / 100
+  });
+  const reverseCharge = getReverseChargeInward(startDate, endDate, registration).liability;
+  const total = sumBuckets(outward, reverseCharge);
+  
+  return {
+    gstin: registration.gstin,
+    filing_period: filingPeriod || `${startDate} to ${endDate}`,
+    generated_at: new Date().toISOString(),
+    composition: scheme,
+    outward_supplies: outward,
+    inward_reverse_charge: reverseCharge,
+    tax_payable: { ...total, total: roundTax(total.igst + total.cgst + total.sgst + total.cess) }
+  };
+}
+
+/**
+ * Export CMP-08 as JSON for portal upload
+ * @param {Object} filters - { startDate, endDate, filingPeriod, gstin }
+ * @returns {Object} JSON for upload
+ */
+function exportCMP08JSON(filters = {}) {
+  const data = getCMP08Data(filters);
+  
+  const amounts = (bucket) => ({
+    txval: bucket.taxable_value,
+    iamt: bucket.igst,
+    camt: bucket.cgst,
+    samt: bucket.sgst,
+    csamt: bucket.cess
+  });
+  
+  return {
+    gstin: getBusinessGSTIN(branchService.getRegistration(filters.gstin)),
+    // The quarter is reported by its last month
+    ret_period: filters.filingPeriod || getFilingPeriod(filters.endDate),
+    gen_date: new Date().toISOString(),
+    
+    // Table 3: summary of self-assessed liability
+    sup_details: {
+      out_sup: amounts(data.outward_supplies),
+      rev_sup: amounts(data.inward_reverse_charge),
+      tot_tax: amounts(data.tax_payable)
+    },
+    
+    // Interest is declared separately, when the statement is filed late
+    int_details: {
+      iamt: 0,
+      camt: 0,
+      samt: 0,
+      csamt: 0
+    }
+  };
+}
+
+/**
+ * Get GSTR-4 data (annual return of a composition dealer): inward supplies,
+ * the quarter-wise tax paid through CMP-08 and the year's outward supplies
+ * @param {Object} filters - { financialYear, gstin }
+ * @returns {Object} GSTR-4 data
+ */
+function getGSTR4Data(filters = {}) {
+  if (!db) return null;
+  
+  const { startDate, endDate } = getFinancialYearRange(filters.financialYear);
+  const registration = branchService.getRegistration(filters.gstin);
+  const gstin = getBusinessGSTIN(registration);
+  const scheme = getCompositionScheme();
+  if (!scheme) {
+    throw new Error('GSTR-4 is filed only by composition dealers; set gst_scheme to composition in the business information');
+  }
+  
+  // Table 4: inward supplies, by supplier for registered suppliers
+  const inwardRows = db.prepare(`
+    SELECT 
+      p.gstin as supplier_gstin,
+      p.name as supplier_name,
+      t.reverse_charge,
+      ti.gst_rate as rate,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -ti.taxable_amount ELSE ti.taxable_amount END) as taxable_value,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -ti.igst_amount ELSE ti.igst_amount END) as igst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -ti.cgst_amount ELSE ti.cgst_amount END) as cgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -ti.sgst_amount ELSE ti.sgst_amount END) as sgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -ti.cess_amount ELSE ti.cess_amount END) as cess
+    FROM transaction_items ti
+    JOIN transactions t ON ti.transaction_id = t.id
+    LEFT JOIN parties p ON t.party_id = p.id
+    WHERE t.voucher_type IN ('purchase', 'debit_note')
+      AND t.is_cancelled = 0
+      AND t.counter_branch_id IS NULL
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${branchScope(registration)}
+    GROUP BY p.gstin, p.name, t.reverse_charge, ti.gst_rate
+  `).all(startDate, endDate);
+  
+  const registered = (row) => row.supplier_gstin && row.supplier_gstin.length === 15;
+  const bySupplier = (rows) => Object.values(rows.reduce((suppliers, row) => {
+    const supplier = suppliers[row.supplier_gstin] || { supplier_gstin: row.supplier_gstin, supplier_name: row.supplier_name, rates: [] };
+    supplier.rates.push({ rate: row.rate || 0, ...taxBucket(row) });
+    suppliers[row.supplier_gstin] = supplier;
+    return suppliers;
+  }, {}));
+  const table4 = {
+    registered: bySupplier(inwardRows.filter(row => registered(row) && !row.reverse_charge)),
+    registered_reverse_charge: bySupplier(inwardRows.filter(row => registered(row) && row.reverse_charge)),
+    unregistered_reverse_charge: sumBuckets(...inwardRows.filter(row => !registered(row) && row.reverse_charge).map(row => taxBucket(row))),
+    unregistered: sumBuckets(...inwardRows.filter(row => !registered(row) && !row.reverse_charge).map(row => taxBucket(row)))
+  };
+  
+  // Table 5: tax paid quarter by quarter, from the CMP-08 statements
+  const startYear = parseInt(startDate, 10);
+  const quarters = [[4, 6], [7, 9], [10, 12], [1, 3]].map(([first, last]) => {
+    const year = first === 1 ? startYear + 1 : startYear;
+    const quarterStart = `${year}-${String(first).padStart(2, '0')}-01`;
+    const quarterEnd = new Date(Date.UTC(year, last, 0)).toISOString().split('T')[0];
+    const books = getCMP08Data({ startDate: quarterStart, endDate: quarterEnd, gstin: filters.gstin });
+    const filing = db.prepare(`
+      SELECT * FROM gst_return_filings WHERE return_type = 'CMP08' AND gstin = ? AND start_date = ? AND end_date = ?
+    `).get(gstin, quarterStart, quarterEnd);
+    const filed = filing ? JSON.parse(filing.data) : null;
+    return {
+      filing_period: getFilingPeriod(quarterEnd),
+      start_date: quarterStart,
+      end_date: quarterEnd,
+      filed: Boolean(filing),
+      arn: filing ? filing.arn : null,
+      as_per_books: books.tax_payable,
+      as_per_cmp08: filed ? filed.tax_payable : null
+    };
+  });
+  const table5 = {
+    quarters,
+    total: sumBuckets(...quarters.map(quarter => quarter.as_per_cmp08 || quarter.as_per_books))
+  };
+  
+  // Table 6: outward supplies of the year at the composition rate
+  const turnover = getCompositionTurnover(startDate, endDate, registration);
+  const table6 = [{
+    rate: scheme.rate,
+    ...taxBucket({ taxable_value: turnover, cgst: turnover * scheme.cgst_rate / 100, sgst: turnover * scheme.sgst_rate / 100 })
+  }];
+  
+  const differences = quarters
+    .filter(quarter => quarter.as_per_cmp08)
+    .flatMap(quarter => compareBuckets('5', 'Tax as per books vs CMP-08', quarter.as_per_books, quarter.as_per_cmp08, quarter.filing_period));
+  
+  return {
+    gstin: registration.gstin,
+    financial_year: `${startYear}-${String(startYear + 1).slice(-2)}`,
+    generated_at: new Date().toISOString(),
+    composition: scheme,
+    table4,
+    table5,
+    table6,
+    reconciliation: {
+      unfiled_quarters: quarters.filter(quarter => !quarter.filed).map(quarter => quarter.filing_period),
+      is_reconciled: differences.length === 0,
+      differences
+    }
+  };
+}
+
+/**
+ * Export GSTR-4 as JSON for portal upload
+ * @param {Object} filters - { financialYear, gstin }
+ * @returns {Object} JSON for upload
+ */
+function exportGSTR4JSON(filters = {}) {
+  const data = getGSTR4Data(filters);
+  const { endDate } = getFinancialYearRange(filters.financialYear);
+  
+  const amounts = (bucket) => ({
+    txval: bucket.taxable_value,
+    iamt: bucket.igst,
+    camt: bucket.cgst,
+    samt: bucket.sgst,
+    csamt: bucket.cess
+  });
+  const suppliers = (rows) => rows.map(row => ({
+    ctin: row.supplier_gstin,
+    trdnm: row.supplier_name,
+    itms: row.rates.map(rate => ({ rt: rate.rate, ...amounts(rate) }))
+  }));
+  
+  const gstr4Json = {
+    gstin: getBusinessGSTIN(branchService.getRegistration(filters.gstin)),
+    fp: getFilingPeriod(endDate),
+    gen_date: new Date().toISOString(),
+    
+    // Inward supplies
+    table4: {
+      b2b: suppliers(data.table4.registered),
+      b2b_rchrg: suppliers(data.table4.registered_reverse_charge),
+      b2bur_rchrg: amounts(data.table4.unregistered_reverse_charge)
+    },
+    
+    // Summary of CMP-08 statements
+    table5: {
+      qtrs: data.table5.quarters.map(quarter => ({ ret_period: quarter.filing_period, ...amounts(quarter.as_per_cmp08 || quarter.as_per_books) })),
+      total: amounts(data.table5.total)
+    },
+    
+    // Outward supplies
+    table6: data.table6.map(row => ({ rt: row.rate, ...amounts(row) }))
+  };
+  
+  return gstr4Json;
+}
+
+/**
+ * Get the GSTIN of a registration
+ * @param {Object} registration - Registration (head office by default)
  * @returns {string} GSTIN
  */
-function getBusinessGSTIN() {
+function getBusinessGSTIN(registration) {
   if (!db) return '';
   
-  const gstin = db.prepare(`SELECT value FROM business_info WHERE key = 'gstin'`).get();
-  return gstin?.value || '';
+  return (registration || branchService.getRegistration()).gstin || '';
 }
 
 /**
@@ -479,29 +2040,36 @@ function getFilingPeriod(date) {
 
 /**
  * Get ITC reconciliation report
- * @param {Object} filters - Date range
+ * @param {Object} filters - Date range and gstin
  * @returns {Object} ITC reconciliation data
  */
 function getITCReconciliation(filters = {}) {
   if (!db) return null;
   
   const { startDate, endDate } = filters;
+  const registration = branchService.getRegistration(filters.gstin);
   
-  // Get purchase transactions eligible for ITC
+  // Purchases carrying credit; blocked credit is listed so it can be reversed
   const itcEligible = db.prepare(`
     SELECT 
       t.id, t.voucher_no, t.date, t.voucher_type,
       t.total_amount, t.taxable_amount, 
       t.igst_amount, t.cgst_amount, t.sgst_amount, t.cess_amount,
+      COALESCE(t.itc_category, 'eligible') as itc_category,
+      t.itc_blocked_reason, t.is_capital_goods,
       p.name as party_name, p.gstin as party_gstin,
-      e.irn, e.status as einvoice_status
+      e.irn, e.status as einvoice_status,
+      (SELECT g.match_status FROM gstr2b_invoices g
+        WHERE g.matched_transaction_id = t.id ORDER BY g.id DESC LIMIT 1) as gstr2b_status
     FROM transactions t
     LEFT JOIN parties p ON t.party_id = p.id
     LEFT JOIN einvoice_records e ON t.id = e.transaction_id
     WHERE t.voucher_type = 'purchase'
       AND t.date >= ?
       AND t.date <= ?
-      AND (t.is_itc_eligible = 1 OR t.is_itc_eligible IS NULL)
+      AND (t.is_itc_eligible = 1 OR t.is_itc_eligible IS NULL OR t.itc_category = 'blocked')
+      AND t.is_cancelled = 0
+      AND ${branchScope(registration)}
     ORDER BY t.date ASC
   `).all(startDate, endDate);
   
@@ -510,6 +2078,8 @@ function getITCReconciliation(filters = {}) {
   let totalCgstItc = 0;
   let totalSgstItc = 0;
   let totalCessItc = 0;
+  let notIn2BItc = 0;
+  const byCategory = Object.fromEntries(itcService.ITC_CATEGORIES.map(category => [category, 0]));
   
   const itcDetails = itcEligible.map(txn => {
     const igst = txn.igst_amount || 0;
@@ -522,6 +2092,11 @@ function getITCReconciliation(filters = {}) {
     totalSgstItc += sgst;
     totalCessItc += cess;
     
+    // Purchases from registered suppliers must appear in GSTR-2B before ITC is claimed
+    const gstr2bStatus = txn.gstr2b_status || (txn.party_gstin && txn.party_gstin.length === 15 ? 'missing_in_2b' : 'not_applicable');
+    if (gstr2bStatus === 'missing_in_2b') notIn2BItc += igst + cgst + sgst + cess;
+    byCategory[txn.itc_category] = roundTax((byCategory[txn.itc_category] || 0) + igst + cgst + sgst + cess);
+    
     return {
       voucher_no: txn.voucher_no,
       date: txn.date,
@@ -533,11 +2108,16 @@ function getITCReconciliation(filters = {}) {
       sgst_itc: sgst,
       cess_itc: cess,
       total_itc: igst + cgst + sgst + cess,
-      has_e_invoice: txn.einvoice_status === 'success'
+      itc_category: txn.itc_category,
+      itc_blocked_reason: txn.itc_blocked_reason,
+      is_capital_goods: txn.is_capital_goods === 1,
+      has_e_invoice: txn.einvoice_status === 'success',
+      gstr2b_status: gstr2bStatus
     };
   });
   
   return {
+    gstin: registration.gstin,
     filing_period: `${startDate} to ${endDate}`,
     generated_at: new Date().toISOString(),
     summary: {
@@ -546,9 +2126,13 @@ function getITCReconciliation(filters = {}) {
       total_cgst_itc: totalCgstItc,
       total_sgst_itc: totalSgstItc,
       total_cess_itc: totalCessItc,
-      total_itc_available: totalIgstItc + totalCgstItc + totalSgstItc + totalCessItc
+      total_itc_available: totalIgstItc + totalCgstItc + totalSgstItc + totalCessItc,
+      itc_not_in_gstr2b: notIn2BItc,
+      itc_by_category: byCategory
     },
-    details: itcDetails
+    details: itcDetails,
+    // Working schedule for rules 37/42/43 and section 17(5)
+    reversals: itcService.getITCReversals({ startDate, endDate, gstin: registration.gstin })
   };
 }
 
@@ -556,37 +2140,46 @@ function getITCReconciliation(filters = {}) {
  * Generate GST liability summary for a period
  * @param {string} startDate - Start date
  * @param {string} endDate - End date
+ * @param {string} gstin - Registration (head office by default)
  * @returns {Object} Liability summary
  */
-function getGSTLiabilitySummary(startDate, endDate) {
+function getGSTLiabilitySummary(startDate, endDate, gstin) {
   if (!db) return null;
   
+  const registration = branchService.getRegistration(gstin);
+  const scope = branchScope(registration);
+  
   const sales = db.prepare(`
     SELECT 
-      SUM(t.igst_amount) as igst,
-      SUM(t.cgst_amount) as cgst,
-      SUM(t.sgst_amount) as sgst,
-      SUM(t.cess_amount) as cess
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.igst_amount ELSE t.igst_amount END) as igst,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.cgst_amount ELSE t.cgst_amount END) as cgst,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.sgst_amount ELSE t.sgst_amount END) as sgst,
+      SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -t.cess_amount ELSE t.cess_amount END) as cess
     FROM transactions t
-    WHERE t.voucher_type = 'sale'
+    WHERE t.voucher_type IN ('sale', 'credit_note')
+      AND t.is_cancelled = 0
       AND t.date >= ?
       AND t.date <= ?
+      AND ${scope}
   `).get(startDate, endDate);
   
   const purchases = db.prepare(`
     SELECT 
-      SUM(t.igst_amount) as igst,
-      SUM(t.cgst_amount) as cgst,
-      SUM(t.sgst_amount) as sgst,
-      SUM(t.cess_amount) as cess
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.igst_amount ELSE t.igst_amount END) as igst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cgst_amount ELSE t.cgst_amount END) as cgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.sgst_amount ELSE t.sgst_amount END) as sgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cess_amount ELSE t.cess_amount END) as cess
     FROM transactions t
-    WHERE t.voucher_type = 'purchase'
+    WHERE t.voucher_type IN ('purchase', 'debit_note')
+      AND t.is_cancelled = 0
       AND t.date >= ?
       AND t.date <= ?
       AND t.is_itc_eligible = 1
+      AND ${scope}
   `).get(startDate, endDate);
   
   return {
+    gstin: registration.gstin,
     period: `${startDate} to ${endDate}`,
     tax_collected: {
       igst: sales?.igst || 0,
@@ -613,10 +2206,23 @@ function getGSTLiabilitySummary(startDate, endDate) {
 
 module.exports = {
   initialize,
+  branchScope,
   getGSTR1Data,
   getGSTR3BData,
+  getReverseChargeInward,
+  getDocumentsIssued,
   exportGSTR1JSON,
   exportGSTR3BJSON,
+  getGSTR9Data,
+  exportGSTR9JSON,
+  getCompositionScheme,
+  validateSchemeSettings,
+  getCMP08Data,
+  exportCMP08JSON,
+  getGSTR4Data,
+  exportGSTR4JSON,
+  recordFiling,
+  getFilings,
   getITCReconciliation,
   getGSTLiabilitySummary
 };
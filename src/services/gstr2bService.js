@@ -0,0 +1,680 @@
+/**
+ * GSTR-2B Service
+ *
+ * Imports the GSTR-2B statement downloaded from the GST portal and matches
+ * every supplier document in it against the purchase register, so ITC is
+ * only claimed in GSTR-3B for invoices the supplier has actually reported.
+ *
+ * Features:
+ * - Import of the portal's GSTR-2B JSON (B2B invoices, credit/debit notes and amendments)
+ * - Matching by supplier GSTIN, invoice number, date and tax amounts
+ * - Matched / mismatched / missing in books / missing in 2B buckets
+ * - Vendor flags for suppliers who have not reported (or misreported) invoices
+ */
+
+const branchService = require('./branchService');
+const { branchScope } = require('./gstReturnService');
+
+let db = null;
+
+// Differences up to this amount (rupees) are treated as rounding
+const AMOUNT_TOLERANCE = 1;
+
+// Tax heads compared while matching
+const TAX_FIELDS = ['taxable_value', 'igst', 'cgst', 'sgst', 'cess'];
+
+// Our voucher type for each supplier document type in 2B
+const BOOK_VOUCHER_TYPES = {
+  invoice: 'purchase',
+  debit_note: 'purchase',
+  credit_note: 'debit_note' // a supplier's credit note is our purchase return
+};
+
+/**
+ * Initialize the GSTR-2B service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[GSTR2BService] Initialized');
+  createGSTR2BTables();
+}
+
+/**
+ * Create GSTR-2B related database tables
+ */
+function createGSTR2BTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- One row per imported GSTR-2B statement
+    CREATE TABLE IF NOT EXISTS gstr2b_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      gstin TEXT NOT NULL,
+      return_period TEXT NOT NULL, -- MMYYYY as on the portal
+      period_start TEXT NOT NULL,
+      period_end TEXT NOT NULL,
+      generated_date TEXT,
+      file_name TEXT,
+      document_count INTEGER DEFAULT 0,
+      total_taxable REAL DEFAULT 0,
+      total_itc REAL DEFAULT 0,
+      imported_by TEXT,
+      imported_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(gstin, return_period)
+    );
+
+    -- Supplier documents listed in a GSTR-2B statement
+    CREATE TABLE IF NOT EXISTS gstr2b_invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      section TEXT NOT NULL, -- b2b, b2ba, cdnr, cdnra
+      document_type TEXT NOT NULL DEFAULT 'invoice', -- invoice, credit_note, debit_note
+      supplier_gstin TEXT NOT NULL,
+      supplier_name TEXT,
+      invoice_no TEXT NOT NULL,
+      invoice_date TEXT NOT NULL,
+      invoice_value REAL DEFAULT 0,
+      place_of_supply TEXT,
+      reverse_charge INTEGER DEFAULT 0,
+      itc_available INTEGER DEFAULT 1,
+      itc_unavailable_reason TEXT,
+      taxable_value REAL DEFAULT 0,
+      igst REAL DEFAULT 0,
+      cgst REAL DEFAULT 0,
+      sgst REAL DEFAULT 0,
+      cess REAL DEFAULT 0,
+      items TEXT, -- rate-wise lines as JSON
+      match_status TEXT DEFAULT 'missing_in_books', -- matched, mismatched, missing_in_books
+      matched_transaction_id INTEGER,
+      mismatch_details TEXT, -- JSON list of differing fields
+      action TEXT, -- purchase_created, vendor_flagged
+      action_at TEXT,
+      FOREIGN KEY (import_id) REFERENCES gstr2b_imports(id),
+      FOREIGN KEY (matched_transaction_id) REFERENCES transactions(id)
+    );
+
+    -- Suppliers flagged for follow-up on GSTR-2B differences
+    CREATE TABLE IF NOT EXISTS gstr2b_vendor_flags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      supplier_gstin TEXT NOT NULL,
+      supplier_name TEXT,
+      party_id INTEGER,
+      gstr2b_invoice_id INTEGER,
+      transaction_id INTEGER,
+      reason TEXT NOT NULL,
+      status TEXT DEFAULT 'open', -- open, resolved
+      flagged_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TEXT,
+      FOREIGN KEY (party_id) REFERENCES parties(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_gstr2b_invoices_import ON gstr2b_invoices(import_id);
+    CREATE INDEX IF NOT EXISTS idx_gstr2b_invoices_supplier ON gstr2b_invoices(supplier_gstin);
+    CREATE INDEX IF NOT EXISTS idx_gstr2b_invoices_txn ON gstr2b_invoices(matched_transaction_id);
+  `);
+}
+
+/**
+ * Round to paise
+ * @param {number} value - Amount
+ */
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Convert a portal date (DD-MM-YYYY) to YYYY-MM-DD
+ * @param {string} value - Date as in the JSON
+ */
+function toISODate(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : String(value).slice(0, 10);
+}
+
+/**
+ * Normalize an invoice number for comparison (case, separators and leading zeros)
+ * @param {string} invoiceNo - Invoice number
+ */
+function normalizeInvoiceNo(invoiceNo) {
+  return String(invoiceNo || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/^0+/, '');
+}
+
+/**
+ * Sum the rate-wise lines of a 2B document (falls back to document-level totals)
+ * @param {Object} doc - Invoice or note from the JSON
+ */
+function summarizeDocument(doc) {
+  const items = (doc.items || []).map(item => ({
+    rate: Number(item.rt) || 0,
+    taxable_value: round2(item.txval),
+    igst: round2(item.igst),
+    cgst: round2(item.cgst),
+    sgst: round2(item.sgst),
+    cess: round2(item.cess)
+  }));
+
+  if (items.length === 0) {
+    items.push({
+      rate: 0,
+      taxable_value: round2(doc.txval),
+      igst: round2(doc.igst),
+      cgst: round2(doc.cgst),
+      sgst: round2(doc.sgst),
+      cess: round2(doc.cess)
+    });
+  }
+
+  const totals = {};
+  TAX_FIELDS.forEach(field => {
+    totals[field] = round2(items.reduce((sum, item) => sum + item[field], 0));
+  });
+
+  return { items, totals };
+}
+
+/**
+ * Parse the portal's GSTR-2B JSON into a flat list of supplier documents
+ * @param {Object|string} json - GSTR-2B JSON (parsed or raw text)
+ * @returns {Object} { gstin, return_period, generated_date, documents }
+ */
+function parseGSTR2B(json) {
+  const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+  const data = parsed && parsed.data ? parsed.data : parsed;
+
+  if (!data || !data.rtnprd || !data.docdata) {
+    throw new Error('Not a GSTR-2B file: return period or document data missing');
+  }
+
+  const documents = [];
+  const docdata = data.docdata;
+
+  // Invoices (and amended invoices)
+  ['b2b', 'b2ba'].forEach(section => {
+    (docdata[section] || []).forEach(supplier => {
+      (supplier.inv || []).forEach(inv => {
+        const { items, totals } = summarizeDocument(inv);
+        documents.push({
+          section,
+          document_type: 'invoice',
+          supplier_gstin: String(supplier.ctin || '').toUpperCase(),
+          supplier_name: supplier.trdnm || null,
+          invoice_no: inv.inum,
+          invoice_date: toISODate(inv.dt),
+          invoice_value: round2(inv.val),
+          place_of_supply: inv.pos || null,
+          reverse_charge: inv.rev === 'Y' ? 1 : 0,
+          itc_available: inv.itcavl === 'N' ? 0 : 1,
+          itc_unavailable_reason: inv.rsn || null,
+          items,
+          ...totals
+        });
+      });
+    });
+  });
+
+  // Credit and debit notes (and amended notes)
+  ['cdnr', 'cdnra'].forEach(section => {
+    (docdata[section] || []).forEach(supplier => {
+      (supplier.nt || []).forEach(note => {
+        const { items, totals } = summarizeDocument(note);
+        documents.push({
+          section,
+          document_type: note.typ === 'C' ? 'credit_note' : 'debit_note',
+          supplier_gstin: String(supplier.ctin || '').toUpperCase(),
+          supplier_name: supplier.trdnm || null,
+          invoice_no: note.ntnum,
+          invoice_date: toISODate(note.dt),
+          invoice_value: round2(note.val),
+          place_of_supply: note.pos || null,
+          reverse_charge: note.rev === 'Y' ? 1 : 0,
+          itc_available: note.itcavl === 'N' ? 0 : 1,
+          itc_unavailable_reason: note.rsn || null,
+          items,
+          ...totals
+        });
+      });
+    });
+  });
+
+  return {
+    gstin: data.gstin || null,
+    return_period: String(data.rtnprd),
+    generated_date: toISODate(data.gendt),
+    documents
+  };
+}
+
+/**
+ * First and last day of a MMYYYY return period
+ * @param {string} returnPeriod - e.g. 072025
+ */
+function getPeriodBounds(returnPeriod) {
+  const month = Number(returnPeriod.slice(0, 2));
+  const year = Number(returnPeriod.slice(2));
+  if (!month || month > 12 || !year) {
+    throw new Error(`Invalid return period: ${returnPeriod}`);
+  }
+  const end = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+  return { start: `${year}-${String(month).padStart(2, '0')}-01`, end };
+}
+
+/**
+ * Import a GSTR-2B statement and match it against the purchase register.
+ * Re-importing the same period replaces the earlier import.
+ * @param {Object|string} json - GSTR-2B JSON (parsed or raw text)
+ * @param {Object} options - { fileName, importedBy }
+ */
+function importGSTR2B(json, options = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const statement = parseGSTR2B(json);
+    const { start, end } = getPeriodBounds(statement.return_period);
+    const gstin = statement.gstin || '';
+    // Only a GSTIN of ours can be matched against the books of its branches
+    branchService.getRegistration(gstin || undefined);
+
+    const importStatement = db.transaction(() => {
+      const previous = db.prepare('SELECT id FROM gstr2b_imports WHERE gstin = ? AND return_period = ?')
+        .get(gstin, statement.return_period);
+      if (previous) {
+        db.prepare('DELETE FROM gstr2b_invoices WHERE import_id = ?').run(previous.id);
+        db.prepare('DELETE FROM gstr2b_imports WHERE id = ?').run(previous.id);
+      }
+
+      const totalTaxable = round2(statement.documents.reduce((sum, doc) => sum + doc.taxable_value, 0));
+      const totalItc = round2(statement.documents
+        .filter(doc => doc.itc_available)
+        .reduce((sum, doc) => {
+          const sign = doc.document_type === 'credit_note' ? -1 : 1;
+          return sum + sign * (doc.igst + doc.cgst + doc.sgst + doc.cess);
+        }, 0));
+
+      const result = db.prepare(`
+        INSERT INTO gstr2b_imports (
+          gstin, return_period, period_start, period_end, generated_date, file_name,
+          document_count, total_taxable, total_itc, imported_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        gstin, statement.return_period, start, end, statement.generated_date, options.fileName || null,
+        statement.documents.length, totalTaxable, totalItc, options.importedBy || 'system'
+      );
+
+      const stmt = db.prepare(`
+        INSERT INTO gstr2b_invoices (
+          import_id, section, document_type, supplier_gstin, supplier_name, invoice_no, invoice_date,
+          invoice_value, place_of_supply, reverse_charge, itc_available, itc_unavailable_reason,
+          taxable_value, igst, cgst, sgst, cess, items
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      statement.documents.forEach(doc => {
+        stmt.run(
+          result.lastInsertRowid, doc.section, doc.document_type, doc.supplier_gstin, doc.supplier_name,
+          doc.invoice_no, doc.invoice_date, doc.invoice_value, doc.place_of_supply, doc.reverse_charge,
+          doc.itc_available, doc.itc_unavailable_reason, doc.taxable_value, doc.igst, doc.cgst, doc.sgst,
+          doc.cess, JSON.stringify(doc.items)
+        );
+      });
+
+      return result.lastInsertRowid;
+    });
+
+    const importId = importStatement();
+    matchImport(importId);
+
+    return {
+      success: true,
+      import_id: importId,
+      return_period: statement.return_period,
+      document_count: statement.documents.length,
+      summary: getReconciliation({ importId }).summary
+    };
+  } catch (error) {
+    console.error('[GSTR2BService] Import error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Compare a 2B document with a book voucher
+ * @param {Object} doc - gstr2b_invoices row
+ * @param {Object} txn - transactions row
+ * @returns {Array} Differences ({ field, gstr2b, books })
+ */
+function compareWithBooks(doc, txn) {
+  const books = {
+    taxable_value: txn.taxable_amount,
+    igst: txn.igst_amount,
+    cgst: txn.cgst_amount,
+    sgst: txn.sgst_amount,
+    cess: txn.cess_amount
+  };
+
+  const differences = [];
+  if (doc.invoice_date !== txn.date) {
+    differences.push({ field: 'date', gstr2b: doc.invoice_date, books: txn.date });
+  }
+  TAX_FIELDS.forEach(field => {
+    if (Math.abs((doc[field] || 0) - (books[field] || 0)) > AMOUNT_TOLERANCE) {
+      differences.push({ field, gstr2b: doc[field] || 0, books: round2(books[field]) });
+    }
+  });
+
+  return differences;
+}
+
+/**
+ * Match the documents of an import against book vouchers of the same supplier,
+ * booked in the branches filed under the GSTIN the statement was issued to
+ * @param {number} importId - Import ID
+ */
+function matchImport(importId) {
+  if (!db) return;
+
+  const statement = db.prepare('SELECT gstin FROM gstr2b_imports WHERE id = ?').get(importId);
+  const registration = branchService.getRegistration(statement.gstin || undefined);
+
+  const documents = db.prepare(`
+    SELECT * FROM gstr2b_invoices WHERE import_id = ? AND (action IS NULL OR action != 'purchase_created')
+  `).all(importId);
+
+  const candidatesStmt = db.prepare(`
+    SELECT t.* FROM transactions t
+    JOIN parties p ON t.party_id = p.id
+    WHERE UPPER(p.gstin) = ? AND t.voucher_type = ? AND t.is_cancelled = 0
+      AND ${branchScope(registration)}
+  `);
+  const claimedStmt = db.prepare(`
+    SELECT 1 FROM gstr2b_invoices WHERE matched_transaction_id = ? AND id != ?
+  `);
+  const updateStmt = db.prepare(`
+    UPDATE gstr2b_invoices SET match_status = ?, matched_transaction_id = ?, mismatch_details = ? WHERE id = ?
+  `);
+
+  db.transaction(() => {
+    documents.forEach(doc => {
+      const wanted = normalizeInvoiceNo(doc.invoice_no);
+      const candidates = candidatesStmt.all(doc.supplier_gstin, BOOK_VOUCHER_TYPES[doc.document_type])
+        .filter(txn => !claimedStmt.get(txn.id, doc.id));
+
+      // The supplier's number is kept in reference_no; older entries used it as voucher_no
+      const txn = candidates.find(c => normalizeInvoiceNo(c.reference_no) === wanted)
+        || candidates.find(c => normalizeInvoiceNo(c.voucher_no) === wanted);
+
+      if (!txn) {
+        updateStmt.run('missing_in_books', null, null, doc.id);
+        return;
+      }
+
+      const differences = compareWithBooks(doc, txn);
+      updateStmt.run(
+        differences.length ? 'mismatched' : 'matched',
+        txn.id,
+        differences.length ? JSON.stringify(differences) : null,
+        doc.id
+      );
+    });
+  })();
+}
+
+/**
+ * Get imported GSTR-2B statements
+ */
+function getImports() {
+  if (!db) return [];
+
+  try {
+    return db.prepare('SELECT * FROM gstr2b_imports ORDER BY period_start DESC').all();
+  } catch (error) {
+    console.error('[GSTR2BService] Get imports error:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the reconciliation of a GSTR-2B import against the purchase register
+ * @param {Object} filters - { importId } or { returnPeriod, gstin }
+ * @returns {Object} matched, mismatched, missing_in_books and missing_in_2b with ITC totals
+ */
+function getReconciliation(filters = {}) {
+  if (!db) return null;
+
+  try {
+    const statement = filters.importId
+      ? db.prepare('SELECT * FROM gstr2b_imports WHERE id = ?').get(filters.importId)
+      : db.prepare(`
+          SELECT * FROM gstr2b_imports WHERE return_period = ? ${filters.gstin ? 'AND gstin = ?' : ''}
+          ORDER BY imported_at DESC LIMIT 1
+        `).get(...[filters.returnPeriod, filters.gstin].filter(Boolean));
+
+    if (!statement) return null;
+
+    const documents = db.prepare(`
+      SELECT g.*, t.voucher_no as book_voucher_no, t.date as book_date, t.reference_no as book_reference_no,
+        t.taxable_amount as book_taxable, t.igst_amount as book_igst, t.cgst_amount as book_cgst,
+        t.sgst_amount as book_sgst, t.cess_amount as book_cess
+      FROM gstr2b_invoices g
+      LEFT JOIN transactions t ON g.matched_transaction_id = t.id
+      WHERE g.import_id = ?
+      ORDER BY g.supplier_gstin, g.invoice_date
+    `).all(statement.id).map(doc => ({
+      ...doc,
+      items: doc.items ? JSON.parse(doc.items) : [],
+      mismatch_details: doc.mismatch_details ? JSON.parse(doc.mismatch_details) : [],
+      total_tax: round2(doc.igst + doc.cgst + doc.sgst + doc.cess)
+    }));
+
+    // Purchases of the period, booked under this GSTIN, that no supplier has reported in any 2B so far
+    const registration = branchService.getRegistration(statement.gstin || undefined);
+    const missingIn2B = db.prepare(`
+      SELECT t.id, t.voucher_no, t.voucher_type, t.date, t.reference_no, t.taxable_amount,
+        t.igst_amount, t.cgst_amount, t.sgst_amount, t.cess_amount, t.total_amount,
+        p.id as party_id, p.name as party_name, p.gstin as party_gstin,
+        (t.igst_amount + t.cgst_amount + t.sgst_amount + t.cess_amount) as total_tax
+      FROM transactions t
+      JOIN parties p ON t.party_id = p.id
+      WHERE t.voucher_type IN ('purchase', 'debit_note')
+        AND t.is_cancelled = 0
+        AND LENGTH(p.gstin) = 15
+        AND t.date >= ? AND t.date <= ?
+        AND ${branchScope(registration)}
+        AND NOT EXISTS (SELECT 1 FROM gstr2b_invoices g WHERE g.matched_transaction_id = t.id)
+      ORDER BY p.gstin, t.date
+    `).all(statement.period_start, statement.period_end);
+
+    const matched = documents.filter(d => d.match_status === 'matched');
+    const mismatched = documents.filter(d => d.match_status === 'mismatched');
+    const missingInBooks = documents.filter(d => d.match_status === 'missing_in_books');
+
+    // Credit notes reduce ITC
+    const itcOf = list => round2(list
+      .filter(d => d.itc_available)
+      .reduce((sum, d) => sum + (d.document_type === 'credit_note' ? -d.total_tax : d.total_tax), 0));
+
+    return {
+      import: statement,
+      summary: {
+        total_documents: documents.length,
+        matched: matched.length,
+        mismatched: mismatched.length,
+        missing_in_books: missingInBooks.length,
+        missing_in_2b: missingIn2B.length,
+        itc_as_per_2b: statement.total_itc,
+        itc_matched: itcOf(matched),
+        itc_mismatched: itcOf(mismatched),
+        itc_missing_in_books: itcOf(missingInBooks),
+        // Tax booked on purchases the supplier has not reported; claiming it is the risk
+        itc_at_risk: round2(missingIn2B.reduce((sum, t) => sum + (t.voucher_type === 'debit_note' ? 0 : t.total_tax), 0))
+      },
+      matched,
+      mismatched,
+      missing_in_books: missingInBooks,
+      missing_in_2b: missingIn2B
+    };
+  } catch (error) {
+    console.error('[GSTR2BService] Reconciliation error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a single 2B document
+ * @param {number} invoiceId - gstr2b_invoices ID
+ */
+function getInvoice(invoiceId) {
+  if (!db) return null;
+
+  const doc = db.prepare(`
+    SELECT g.*, i.gstin as recipient_gstin FROM gstr2b_invoices g
+    JOIN gstr2b_imports i ON i.id = g.import_id
+    WHERE g.id = ?
+  `).get(invoiceId);
+  if (doc) doc.items = doc.items ? JSON.parse(doc.items) : [];
+  return doc;
+}
+
+/**
+ * Link a 2B document to the purchase created for it
+ * @param {number} invoiceId - gstr2b_invoices ID
+ * @param {number} transactionId - Created purchase
+ */
+function markPurchaseCreated(invoiceId, transactionId) {
+  if (!db) return;
+
+  db.prepare(`
+    UPDATE gstr2b_invoices
+    SET match_status = 'matched', matched_transaction_id = ?, mismatch_details = NULL,
+      action = 'purchase_created', action_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(transactionId, invoiceId);
+}
+
+/**
+ * Flag a supplier for follow-up on a 2B difference
+ * @param {Object} flagData - { gstr2b_invoice_id | transaction_id | supplier_gstin, reason, flagged_by }
+ */
+function flagVendor(flagData = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    let gstin = flagData.supplier_gstin ? String(flagData.supplier_gstin).toUpperCase() : null;
+    let name = flagData.supplier_name || null;
+    let partyId = flagData.party_id || null;
+    let reason = flagData.reason;
+
+    if (flagData.gstr2b_invoice_id) {
+      const doc = getInvoice(flagData.gstr2b_invoice_id);
+      if (!doc) return { success: false, error: 'GSTR-2B document not found' };
+      gstin = doc.supplier_gstin;
+      name = name || doc.supplier_name;
+      reason = reason || (doc.match_status === 'mismatched'
+        ? `${doc.invoice_no}: amounts in GSTR-2B differ from our books`
+        : `${doc.invoice_no}: not in our books`);
+    } else if (flagData.transaction_id) {
+      const txn = db.prepare(`
+        SELECT t.voucher_no, t.reference_no, p.id as party_id, p.name, p.gstin
+        FROM transactions t JOIN parties p ON t.party_id = p.id WHERE t.id = ?
+      `).get(flagData.transaction_id);
+      if (!txn) return { success: false, error: 'Transaction not found' };
+      gstin = String(txn.gstin || '').toUpperCase();
+      name = name || txn.name;
+      partyId = partyId || txn.party_id;
+      reason = reason || `${txn.reference_no || txn.voucher_no}: not reported in GSTR-2B`;
+    }
+
+    if (!gstin) return { success: false, error: 'Supplier GSTIN is required' };
+    if (!partyId) {
+      const party = db.prepare('SELECT id FROM parties WHERE UPPER(gstin) = ? LIMIT 1').get(gstin);
+      partyId = party ? party.id : null;
+    }
+
+    const result = db.prepare(`
+      INSERT INTO gstr2b_vendor_flags (
+        supplier_gstin, supplier_name, party_id, gstr2b_invoice_id, transaction_id, reason, flagged_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      gstin, name, partyId, flagData.gstr2b_invoice_id || null, flagData.transaction_id || null,
+      reason || 'GSTR-2B difference', flagData.flagged_by || 'system'
+    );
+
+    if (flagData.gstr2b_invoice_id) {
+      db.prepare(`
+        UPDATE gstr2b_invoices SET action = 'vendor_flagged', action_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(flagData.gstr2b_invoice_id);
+    }
+
+    return { success: true, id: result.lastInsertRowid, message: `${name || gstin} flagged for follow-up` };
+  } catch (error) {
+    console.error('[GSTR2BService] Flag vendor error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get vendor flags
+ * @param {Object} filters - { status, supplier_gstin }
+ */
+function getVendorFlags(filters = {}) {
+  if (!db) return [];
+
+  try {
+    let query = 'SELECT * FROM gstr2b_vendor_flags WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.supplier_gstin) {
+      query += ' AND supplier_gstin = ?';
+      params.push(String(filters.supplier_gstin).toUpperCase());
+    }
+    query += ' ORDER BY created_at DESC';
+
+    return db.prepare(query).all(...params);
+  } catch (error) {
+    console.error('[GSTR2BService] Get vendor flags error:', error);
+    return [];
+  }
+}
+
+/**
+ * Resolve a vendor flag
+ * @param {number} flagId - Flag ID
+ */
+function resolveVendorFlag(flagId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const result = db.prepare(`
+      UPDATE gstr2b_vendor_flags SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'open'
+    `).run(flagId);
+
+    if (result.changes === 0) return { success: false, error: 'Open flag not found' };
+    return { success: true, message: 'Flag resolved' };
+  } catch (error) {
+    console.error('[GSTR2BService] Resolve flag error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  initialize,
+  parseGSTR2B,
+  importGSTR2B,
+  matchImport,
+  getImports,
+  getReconciliation,
+  getInvoice,
+  markPurchaseCreated,
+  flagVendor,
+  getVendorFlags,
+  resolveVendorFlag
+};
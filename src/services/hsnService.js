@@ -0,0 +1,500 @@
+/**
+ * HSN/SAC Master Service
+ *
+ * Harmonised System of Nomenclature codes (goods) and Services Accounting
+ * Codes with their GST rates. Rates are kept as a dated history so that a
+ * GST Council rate change applies from its effective date: vouchers dated on
+ * or after it pick up the new rate, earlier vouchers keep the old one.
+ *
+ * Features:
+ * - HSN/SAC codes with descriptions and unit quantity codes (UQC)
+ * - GST and cess rate history with effective-from dates
+ * - Lookup of the rate in force on a date, falling back to the parent heading
+ * - CSV import of codes and rate changes
+ */
+
+let db = null;
+
+// GST came into force on 1 July 2017
+const GST_START_DATE = '2017-07-01';
+
+// Starter codes: code, description, UQC, [[effective_from, gst_rate, cess_rate], ...].
+// Import the current rate schedule from CSV to keep these up to date.
+const DEFAULT_CODES = [
+  ['0101', 'Live horses, asses, mules and hinnies', 'NOS', [[GST_START_DATE, 0, 0]]],
+  ['0201', 'Meat of bovine animals, fresh or chilled', 'KGS', [[GST_START_DATE, 0, 0]]],
+  ['0401', 'Milk and cream, not concentrated', 'LTR', [[GST_START_DATE, 0, 0]]],
+  ['1001', 'Wheat and meslin', 'KGS', [[GST_START_DATE, 0, 0]]],
+  ['1701', 'Cane or beet sugar', 'KGS', [[GST_START_DATE, 5, 0]]],
+  ['2401', 'Unmanufactured tobacco', 'KGS', [[GST_START_DATE, 28, 0]]],
+  ['3001', 'Dried glands, extracts for organo-therapeutic', 'KGS', [[GST_START_DATE, 12, 0]]],
+  ['3002', 'Human blood; antisera, vaccines', 'NOS', [[GST_START_DATE, 5, 0]]],
+  ['3003', 'Medicaments, not in measured doses', 'NOS', [[GST_START_DATE, 12, 0]]],
+  ['3004', 'Medicaments in measured doses', 'NOS', [[GST_START_DATE, 12, 0]]],
+  ['3304', 'Beauty or make-up preparations', 'NOS', [[GST_START_DATE, 18, 0]]],
+  ['4202', 'Trunks, suit-cases, handbags', 'NOS', [[GST_START_DATE, 18, 0]]],
+  ['5208', 'Woven fabrics of cotton', 'MTR', [[GST_START_DATE, 5, 0]]],
+  ['6101', "Men's overcoats, jackets of knitted fabrics", 'PCS', [[GST_START_DATE, 12, 0]]],
+  ['6102', "Women's overcoats, jackets of knitted fabrics", 'PCS', [[GST_START_DATE, 12, 0]]],
+  ['6201', "Men's overcoats, jackets, cloaks", 'PCS', [[GST_START_DATE, 12, 0]]],
+  ['6202', "Women's overcoats, jackets, cloaks", 'PCS', [[GST_START_DATE, 12, 0]]],
+  ['6204', "Women's suits, dresses, skirts", 'PCS', [[GST_START_DATE, 12, 0]]],
+  ['6401', 'Waterproof footwear', 'PRS', [[GST_START_DATE, 18, 0]]],
+  ['6402', 'Footwear with outer soles of rubber', 'PRS', [[GST_START_DATE, 18, 0]]],
+  ['7117', 'Imitation jewellery', 'NOS', [[GST_START_DATE, 3, 0]]],
+  ['8415', 'Air conditioning machines', 'NOS', [[GST_START_DATE, 28, 0]]],
+  ['8418', 'Refrigerators, freezers', 'NOS', [[GST_START_DATE, 28, 0], ['2018-07-27', 18, 0]]],
+  ['8471', 'Automatic data processing machines', 'NOS', [[GST_START_DATE, 18, 0]]],
+  ['8507', 'Electric accumulators', 'NOS', [[GST_START_DATE, 28, 0]]],
+  ['8517', 'Telephone sets, smartphones', 'NOS', [[GST_START_DATE, 12, 0], ['2020-04-01', 18, 0]]],
+  ['8702', 'Motor vehicles for transport of persons', 'NOS', [[GST_START_DATE, 28, 15]]],
+  ['8703', 'Motor cars and vehicles for transport', 'NOS', [[GST_START_DATE, 28, 15]]],
+  ['8704', 'Motor vehicles for goods transport', 'NOS', [[GST_START_DATE, 28, 0]]],
+  ['9401', 'Seats, whether or not convertible', 'NOS', [[GST_START_DATE, 28, 0], ['2017-11-15', 18, 0]]],
+  ['9403', 'Furniture and parts thereof', 'NOS', [[GST_START_DATE, 28, 0], ['2017-11-15', 18, 0]]],
+  ['9405', 'Lamps and lighting fittings', 'NOS', [[GST_START_DATE, 28, 0], ['2017-11-15', 18, 0]]],
+  ['9954', 'Construction services', 'OTH', [[GST_START_DATE, 18, 0]]],
+  ['9965', 'Goods transport services', 'OTH', [[GST_START_DATE, 5, 0]]],
+  ['9972', 'Real estate services', 'OTH', [[GST_START_DATE, 18, 0]]],
+  ['9982', 'Legal and accounting services', 'OTH', [[GST_START_DATE, 18, 0]]],
+  ['9983', 'Other professional, technical and business services', 'OTH', [[GST_START_DATE, 18, 0]]],
+  ['9985', 'Support services', 'OTH', [[GST_START_DATE, 18, 0]]]
+];
+
+// GST rates notified under the CGST Act (combined CGST + SGST / IGST)
+const VALID_GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 12, 18, 28, 40];
+
+/**
+ * Initialize the HSN/SAC master service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[HSNService] Initialized');
+  createHSNTables();
+  seedDefaultCodes();
+}
+
+/**
+ * Create HSN/SAC master tables
+ */
+function createHSNTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- HSN (goods) and SAC (services) codes
+    CREATE TABLE IF NOT EXISTS hsn_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      description TEXT NOT NULL,
+      type TEXT NOT NULL DEFAULT 'goods', -- goods (HSN) or services (SAC, chapter 99)
+      uqc TEXT, -- unit quantity code used in GSTR-1 Table 12
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- GST and cess rates by effective date; the latest row on or before a voucher date applies
+    CREATE TABLE IF NOT EXISTS hsn_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hsn_code TEXT NOT NULL,
+      gst_rate REAL NOT NULL,
+      cess_rate REAL DEFAULT 0,
+      effective_from TEXT NOT NULL,
+      notification TEXT, -- rate notification reference, e.g. 19/2018-CT(R)
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(hsn_code, effective_from),
+      FOREIGN KEY (hsn_code) REFERENCES hsn_codes(code)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_hsn_rates_code ON hsn_rates(hsn_code, effective_from);
+  `);
+}
+
+/**
+ * Seed the starter codes (only into an empty master)
+ */
+function seedDefaultCodes() {
+  if (!db) return;
+
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM hsn_codes').get();
+  if (count > 0) return;
+
+  const insertCode = db.prepare('INSERT INTO hsn_codes (code, description, type, uqc) VALUES (?, ?, ?, ?)');
+  const insertRate = db.prepare('INSERT INTO hsn_rates (hsn_code, gst_rate, cess_rate, effective_from) VALUES (?, ?, ?, ?)');
+
+  db.transaction(() => {
+    for (const [code, description, uqc, rates] of DEFAULT_CODES) {
+      insertCode.run(code, description, codeType(code), uqc);
+      for (const [effectiveFrom, gstRate, cessRate] of rates) {
+        insertRate.run(code, gstRate, cessRate, effectiveFrom);
+      }
+    }
+  })();
+}
+
+/**
+ * Normalise an HSN/SAC code (digits only)
+ * @param {string} code - Code as typed
+ */
+function normalizeCode(code) {
+  return String(code === null || code === undefined ? '' : code).replace(/[\s.]/g, '');
+}
+
+/**
+ * Goods or services, by chapter (SAC codes are chapter 99)
+ * @param {string} code - HSN/SAC code
+ */
+function codeType(code) {
+  return normalizeCode(code).startsWith('99') ? 'services' : 'goods';
+}
+
+/**
+ * Check the format of an HSN/SAC code (4, 6 or 8 digits)
+ * @param {string} code - HSN/SAC code
+ * @returns {Object} { valid, error }
+ */
+function validateFormat(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return { valid: false, error: 'HSN/SAC code is required' };
+  if (!/^(\d{4}|\d{6}|\d{8})$/.test(normalized)) return { valid: false, error: 'HSN/SAC code must be 4, 6 or 8 digits' };
+  return { valid: true };
+}
+
+/**
+ * Find the master entry for a code, falling back to its parent heading
+ * (e.g. 84713010 -> 847130 -> 8471)
+ * @param {string} code - HSN/SAC code
+ * @returns {Object|null} hsn_codes row
+ */
+function findCode(code) {
+  if (!db) return null;
+
+  const normalized = normalizeCode(code);
+  if (!/^\d{4,8}$/.test(normalized)) return null;
+
+  const stmt = db.prepare('SELECT * FROM hsn_codes WHERE code = ? AND is_active = 1');
+  for (let length = normalized.length; length >= 4; length -= 2) {
+    const row = stmt.get(normalized.slice(0, length));
+    if (row) return row;
+  }
+  return null;
+}
+
+/**
+ * Get the GST rate in force for a code on a date
+ * @param {string} code - HSN/SAC code
+ * @param {string} date - Voucher date (YYYY-MM-DD), defaults to today
+ * @returns {Object|null} { code, matched_code, description, uqc, gst_rate, cess_rate, effective_from }
+ */
+function getRate(code, date) {
+  const entry = findCode(code);
+  if (!entry) return null;
+
+  const onDate = date || new Date().toISOString().split('T')[0];
+  const rate = db.prepare(`
+    SELECT * FROM hsn_rates WHERE hsn_code = ? AND effective_from <= ? ORDER BY effective_from DESC LIMIT 1
+  `).get(entry.code, onDate);
+  if (!rate) return null;
+
+  return {
+    code: normalizeCode(code),
+    matched_code: entry.code,
+    description: entry.description,
+    type: entry.type,
+    uqc: entry.uqc,
+    gst_rate: rate.gst_rate,
+    cess_rate: rate.cess_rate || 0,
+    effective_from: rate.effective_from
+  };
+}
+
+/**
+ * Validate a code against the master
+ * @param {string} code - HSN/SAC code
+ * @param {string} date - Date for the rate (optional)
+ * @returns {Object} { valid, known, error, warning, ...rate }
+ */
+function validateCode(code, date) {
+  const format = validateFormat(code);
+  if (!format.valid) return { ...format, known: false };
+
+  const rate = getRate(code, date);
+  if (!rate) {
+    return { valid: true, known: false, warning: `HSN/SAC ${normalizeCode(code)} is not in the HSN master` };
+  }
+  return { valid: true, known: true, ...rate };
+}
+
+/**
+ * List codes with the rate in force on a date
+ * @param {Object} filters - { search, type, date, includeInactive }
+ */
+function getHsnCodes(filters = {}) {
+  if (!db) return [];
+
+  const onDate = filters.date || new Date().toISOString().split('T')[0];
+  let query = `
+    SELECT h.*, r.gst_rate, r.cess_rate, r.effective_from
+    FROM hsn_codes h
+    LEFT JOIN hsn_rates r ON r.id = (
+      SELECT id FROM hsn_rates WHERE hsn_code = h.code AND effective_from <= ? ORDER BY effective_from DESC LIMIT 1
+    )
+    WHERE 1=1
+  `;
+  const params = [onDate];
+
+  if (!filters.includeInactive) {
+    query += ' AND h.is_active = 1';
+  }
+  if (filters.type) {
+    query += ' AND h.type = ?';
+    params.push(filters.type);
+  }
+  if (filters.search) {
+    query += ' AND (h.code LIKE ? OR h.description LIKE ?)';
+    params.push(`${normalizeCode(filters.search)}%`, `%${filters.search}%`);
+  }
+
+  query += ' ORDER BY h.code ASC';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get one code with its full rate history
+ * @param {string} code - HSN/SAC code
+ */
+function getHsnCode(code) {
+  if (!db) return null;
+
+  const entry = db.prepare('SELECT * FROM hsn_codes WHERE code = ?').get(normalizeCode(code));
+  if (!entry) return null;
+
+  entry.rates = db.prepare('SELECT * FROM hsn_rates WHERE hsn_code = ? ORDER BY effective_from ASC').all(entry.code);
+  return entry;
+}
+
+/**
+ * Check a GST rate against the notified slabs
+ * @param {number} rate - GST rate
+ */
+function isValidRate(rate) {
+  return VALID_GST_RATES.includes(Number(rate));
+}
+
+/**
+ * Record a rate effective from a date (a GST Council rate change)
+ * @param {string} code - HSN/SAC code
+ * @param {Object} rateData - { gst_rate, cess_rate, effective_from, notification }
+ */
+function addRate(code, rateData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const entry = db.prepare('SELECT code FROM hsn_codes WHERE code = ?').get(normalizeCode(code));
+    if (!entry) return { success: false, error: `HSN/SAC ${code} is not in the HSN master` };
+
+    const gstRate = Number(rateData.gst_rate);
+    if (!isValidRate(gstRate)) return { success: false, error: `${rateData.gst_rate}% is not a notified GST rate` };
+
+    const effectiveFrom = rateData.effective_from || GST_START_DATE;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) return { success: false, error: 'Effective date must be YYYY-MM-DD' };
+
+    db.prepare(`
+      INSERT INTO hsn_rates (hsn_code, gst_rate, cess_rate, effective_from, notification) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(hsn_code, effective_from) DO UPDATE SET
+        gst_rate = excluded.gst_rate, cess_rate = excluded.cess_rate, notification = excluded.notification
+    `).run(entry.code, gstRate, Number(rateData.cess_rate) || 0, effectiveFrom, rateData.notification || null);
+
+    return { success: true, message: `GST on ${entry.code} set to ${gstRate}% from ${effectiveFrom}` };
+  } catch (error) {
+    console.error('[HSNService] Add rate error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a rate entry (e.g. one recorded in error)
+ * @param {number} rateId - hsn_rates ID
+ */
+function deleteRate(rateId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const rate = db.prepare('SELECT * FROM hsn_rates WHERE id = ?').get(rateId);
+  if (!rate) return { success: false, error: 'Rate not found' };
+
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM hsn_rates WHERE hsn_code = ?').get(rate.hsn_code);
+  if (count === 1) return { success: false, error: 'A code must keep at least one rate' };
+
+  db.prepare('DELETE FROM hsn_rates WHERE id = ?').run(rateId);
+  return { success: true, rate };
+}
+
+/**
+ * Create or update a code, optionally with a rate
+ * @param {Object} codeData - { code, description, uqc, is_active, gst_rate, cess_rate, effective_from, notification }
+ */
+function saveHsnCode(codeData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const format = validateFormat(codeData.code);
+  if (!format.valid) return { success: false, error: format.error };
+  if (!codeData.description) return { success: false, error: 'Description is required' };
+
+  const code = normalizeCode(codeData.code);
+  const hasRate = codeData.gst_rate !== undefined && codeData.gst_rate !== null && codeData.gst_rate !== '';
+  const existing = db.prepare('SELECT id FROM hsn_codes WHERE code = ?').get(code);
+  if (!existing && !hasRate) return { success: false, error: 'GST rate is required for a new code' };
+  if (hasRate && !isValidRate(codeData.gst_rate)) return { success: false, error: `${codeData.gst_rate}% is not a notified GST rate` };
+
+  try {
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO hsn_codes (code, description, type, uqc, is_active) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(code) DO UPDATE SET
+          description = excluded.description, uqc = COALESCE(excluded.uqc, hsn_codes.uqc),
+          is_active = excluded.is_active, updated_at = CURRENT_TIMESTAMP
+      `).run(
+        code, String(codeData.description).trim(), codeType(code),
+        codeData.uqc ? String(codeData.uqc).toUpperCase() : null,
+        codeData.is_active === false || codeData.is_active === 0 ? 0 : 1
+      );
+
+      if (hasRate) {
+        const result = addRate(code, codeData);
+        if (!result.success) throw new Error(result.error);
+      }
+    })();
+
+    return { success: true, code };
+  } catch (error) {
+    console.error('[HSNService] Save code error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Split one CSV line, honouring quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// CSV header aliases (headers are lower-cased, with spaces as underscores and % and . dropped)
+const CSV_COLUMNS = {
+  code: ['code', 'hsn', 'hsn_code', 'sac', 'sac_code', 'hsn/sac', 'hsn_sac'],
+  description: ['description', 'desc', 'name'],
+  gst_rate: ['gst_rate', 'rate', 'gst', 'igst', 'igst_rate'],
+  cess_rate: ['cess_rate', 'cess'],
+  effective_from: ['effective_from', 'effective_date', 'wef', 'from'],
+  uqc: ['uqc', 'unit'],
+  notification: ['notification', 'notification_no']
+};
+
+/**
+ * Normalise a CSV header for matching against CSV_COLUMNS
+ * @param {string} header - Header as written
+ */
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[%.]/g, '').trim().replace(/[\s_]+/g, '_');
+}
+
+/**
+ * Convert DD/MM/YYYY or DD-MM-YYYY to YYYY-MM-DD
+ * @param {string} value - Date as written in the CSV
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const dmy = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+  return dmy ? `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}` : value;
+}
+
+/**
+ * Import codes and rates from CSV. Each row adds or updates a code and
+ * records its rate from the row's effective date, so a file of Council rate
+ * changes can be imported on top of the existing master. Rows without a date
+ * apply from the start of GST for new codes and from today for existing ones.
+ * Columns: code, description, gst_rate, cess_rate, effective_from, uqc, notification
+ * @param {string} content - CSV content with a header row
+ * @returns {Object} { success, imported, skipped, errors }
+ */
+function importCsv(content) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return { success: false, error: 'CSV has no data rows' };
+
+  const headers = splitCsvLine(lines[0]).map(normalizeHeader);
+  const columnIndex = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    columnIndex[field] = headers.findIndex(h => aliases.includes(h));
+  }
+  if (columnIndex.code < 0 || columnIndex.gst_rate < 0) {
+    return { success: false, error: 'CSV must have code and gst_rate columns' };
+  }
+
+  let imported = 0;
+  const errors = [];
+  const today = new Date().toISOString().split('T')[0];
+
+  db.transaction(() => {
+    lines.slice(1).forEach((line, index) => {
+      const fields = splitCsvLine(line);
+      const value = (field) => (columnIndex[field] >= 0 ? fields[columnIndex[field]] || '' : '');
+      const code = normalizeCode(value('code'));
+      const existing = db.prepare('SELECT description FROM hsn_codes WHERE code = ?').get(code);
+
+      const result = saveHsnCode({
+        code,
+        description: value('description') || (existing && existing.description),
+        gst_rate: value('gst_rate').replace('%', ''),
+        cess_rate: value('cess_rate').replace('%', '') || 0,
+        effective_from: toIsoDate(value('effective_from')) || (existing ? today : GST_START_DATE),
+        uqc: value('uqc') || null,
+        notification: value('notification') || null
+      });
+
+      if (result.success) imported++;
+      else errors.push({ line: index + 2, code, error: result.error });
+    });
+  })();
+
+  return { success: true, imported, skipped: errors.length, errors };
+}
+
+module.exports = {
+  initialize,
+  normalizeCode,
+  validateFormat,
+  validateCode,
+  getRate,
+  getHsnCodes,
+  getHsnCode,
+  saveHsnCode,
+  addRate,
+  deleteRate,
+  importCsv,
+  VALID_GST_RATES
+};
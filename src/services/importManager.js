@@ -1,13 +1,66 @@
 /**
  * Import Manager Service
  * Handles bank statement imports, data parsing, and auto-reconciliation
+ *
+ * Statements arrive as CSV, Excel (XLS/XLSX), text-based PDF, MT940 or
+ * camt.053. Tabular files are mapped onto statement fields by a bank
+ * profile: the hard-coded ones below, or one saved from the column-mapping
+ * wizard for a layout they do not cover.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bankingService = require('./bankingService');
+const reconciliationEngine = require('./reconciliationEngine');
+const statementParsers = require('./statementParsers');
+
+// Statement fields a column can be mapped to, for the mapping wizard
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Transaction date', required: true },
+  { key: 'value_date', label: 'Value date' },
+  { key: 'description', label: 'Narration / particulars', required: true },
+  { key: 'reference', label: 'Cheque / reference no.' },
+  { key: 'amount', label: 'Amount (single column)' },
+  { key: 'type', label: 'Dr / Cr indicator' },
+  { key: 'debit', label: 'Withdrawal (debit)' },
+  { key: 'credit', label: 'Deposit (credit)' },
+  { key: 'balance', label: 'Balance' }
+];
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MMM-YYYY'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
 class ImportManager {
   constructor(database) {
     this.db = database;
-    this.supportedFormats = ['csv', 'xlsx', 'pdf', 'txt'];
+    this.supportedFormats = statementParsers.FILE_TYPES;
     this.bankFormats = this.initializeBankFormats();
+    this.initializeTables();
+  }
+
+  /**
+   * Saved bank profiles, the mappings users built for layouts the
+   * hard-coded formats do not cover
+   */
+  initializeTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS bank_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        bank_name TEXT,
+        file_type TEXT,
+        header_signature TEXT, -- the layout's header row, normalised, to recognise it next time
+        header_row INTEGER DEFAULT 0,
+        columns TEXT NOT NULL, -- JSON: statement field -> column index
+        date_format TEXT DEFAULT 'DD/MM/YYYY',
+        use_count INTEGER DEFAULT 0,
+        last_used_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
   }
 
   /**
@@ -104,145 +157,451 @@ class ImportManager {
   }
 
   /**
-   * Parse CSV content to structured data
-   * @param {string} content - CSV content
-   * @param {Object} format - Bank format config
-   * @returns {Array} Parsed transactions
+   * Bank profiles: the hard-coded formats followed by the saved ones, in one shape
    */
-  parseCSV(content, format) {
-    const lines = content.split('\n').filter(line => line.trim());
-    const transactions = [];
-    
-    // Detect delimiter
-    const firstLine = lines[0];
-    let delimiter = format.delimiter || ',';
-    if (firstLine.includes('\t')) delimiter = '\t';
-    if (firstLine.includes(';')) delimiter = ';';
-
-    // Find header row and data start
-    let headerRow = 0;
-    let dataStartRow = 1;
-    
-    for (let i = 0; i < Math.min(5, lines.length); i++) {
-      const columns = lines[i].split(delimiter).map(c => c.trim());
-      if (columns.some(c => this.isDateLike(c)) && columns.some(c => this.isAmountLike(c))) {
-        headerRow = i;
-        dataStartRow = i + 1;
-        break;
+  getBankProfiles() {
+    const builtIn = Object.entries(this.bankFormats).map(([code, format]) => ({
+      code,
+      ...format,
+      custom: false
+    }));
+
+    const saved = this.db.prepare('SELECT * FROM bank_profiles ORDER BY use_count DESC, name').all()
+      .map(profile => this.toBankFormat(profile));
+
+    return [...builtIn, ...saved];
+  }
+
+  /**
+   * A saved profile row in the shape of the hard-coded formats
+   */
+  toBankFormat(profile) {
+    const columns = JSON.parse(profile.columns || '{}');
+    return {
+      id: profile.id,
+      code: profile.code,
+      name: profile.name,
+      bankName: profile.bank_name,
+      fileType: profile.file_type,
+      headerSignature: profile.header_signature,
+      headerRow: profile.header_row,
+      patterns: [Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, [index]]))],
+      dateFormats: [profile.date_format],
+      useCount: profile.use_count,
+      lastUsedAt: profile.last_used_at,
+      custom: true
+    };
+  }
+
+  /**
+   * Save a column mapping as a reusable bank profile. A profile with the
+   * same code, or the same name, is updated in place.
+   * @param {Object} profile - { name, bank_name, file_type, mapping: { headerRow, columns, dateFormat }, headers }
+   */
+  saveBankProfile(profile = {}) {
+    try {
+      const mapping = profile.mapping || {};
+      const problem = this.validateMapping(mapping);
+      if (problem) return { success: false, error: problem };
+      if (!profile.name || !profile.name.trim()) return { success: false, error: 'Give the bank profile a name' };
+
+      const code = profile.code || `CUSTOM_${profile.name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+      if (this.bankFormats[code]) return { success: false, error: `${code} is a built-in format` };
+
+      const existing = this.db.prepare('SELECT id FROM bank_profiles WHERE code = ? OR name = ?').get(code, profile.name.trim());
+      const values = [
+        code,
+        profile.name.trim(),
+        profile.bank_name || null,
+        profile.file_type || null,
+        profile.headers ? this.headerSignature(profile.headers) : null,
+        mapping.headerRow || 0,
+        JSON.stringify(mapping.columns),
+        mapping.dateFormat || 'DD/MM/YYYY'
+      ];
+
+      let id;
+      if (existing) {
+        this.db.prepare(`
+          UPDATE bank_profiles
+          SET code = ?, name = ?, bank_name = ?, file_type = ?, header_signature = COALESCE(?, header_signature),
+            header_row = ?, columns = ?, date_format = ?
+          WHERE id = ?
+        `).run(...values, existing.id);
+        id = existing.id;
+      } else {
+        id = this.db.prepare(`
+          INSERT INTO bank_profiles (code, name, bank_name, file_type, header_signature, header_row, columns, date_format)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(...values).lastInsertRowid;
       }
+
+      const saved = this.db.prepare('SELECT * FROM bank_profiles WHERE id = ?').get(id);
+      return { success: true, profile: this.toBankFormat(saved) };
+    } catch (error) {
+      console.error('Save bank profile error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a saved bank profile
+   */
+  deleteBankProfile(id) {
+    try {
+      this.db.prepare('DELETE FROM bank_profiles WHERE id = ?').run(id);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
     }
+  }
 
-    const headers = lines[headerRow].split(delimiter).map(h => h.toLowerCase().trim());
+  /**
+   * Header row normalised for recognising a layout: lower-case labels, blanks dropped
+   */
+  headerSignature(headers) {
+    return headers.map(h => String(h ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()).filter(Boolean).join('|');
+  }
 
-    // Parse data rows
-    for (let i = dataStartRow; i < lines.length; i++) {
-      const columns = lines[i].split(delimiter).map(c => c.trim());
-      if (columns.length < 3) continue;
+  /**
+   * Why a mapping cannot be imported with, or null when it can
+   */
+  validateMapping(mapping = {}) {
+    const columns = mapping.columns || {};
+    const has = (field) => Number.isInteger(columns[field]) && columns[field] >= 0;
+    if (!has('date')) return 'Map the column holding the transaction date';
+    if (!has('description')) return 'Map the column holding the narration';
+    if (!has('amount') && !has('debit') && !has('credit')) {
+      return 'Map either a single amount column or the withdrawal and deposit columns';
+    }
+    return null;
+  }
 
-      const transaction = this.parseRow(columns, headers, format);
-      if (transaction && transaction.amount !== 0) {
-        transactions.push(transaction);
+  /**
+   * Row holding the column headings: the first of the top rows to carry a
+   * date heading and an amount or narration heading
+   */
+  findHeaderRow(rows) {
+    const limit = Math.min(rows.length, 30);
+    for (let i = 0; i < limit; i++) {
+      const labels = rows[i].map(cell => String(cell ?? '').toLowerCase());
+      const hasDate = labels.some(label => label.includes('date'));
+      const hasOther = labels.some(label => /amount|debit|credit|withdrawal|deposit|narration|particulars|description|details|balance/.test(label));
+      if (hasDate && hasOther) return i;
+    }
+    // No headings: data starts at the first row with a date and an amount
+    const firstData = rows.slice(0, limit).findIndex(row => row.some(cell => this.isDateLike(cell)) && row.some(cell => this.isAmountLike(cell)));
+    return firstData > 0 ? firstData - 1 : 0;
+  }
+
+  /**
+   * Guess the column mapping from the header labels
+   * @param {Array} headers - Header row
+   * @returns {Object} Statement field -> column index
+   */
+  suggestMapping(headers) {
+    const labels = headers.map(h => String(h ?? '').toLowerCase().trim());
+    const find = (test, taken = []) => labels.findIndex((label, index) => label && !taken.includes(index) && test(label));
+
+    const columns = {};
+    columns.date = find(h => h.includes('date') && !h.includes('value'));
+    if (columns.date < 0) columns.date = find(h => h.includes('date'));
+    columns.value_date = find(h => h.includes('value') && h.includes('date'), [columns.date]);
+    columns.description = find(h => h.includes('description') || h.includes('narration') || h.includes('particulars') || h.includes('details') || h.includes('remarks'));
+    columns.reference = find(h => /ref|chq|cheque|utr|instrument/.test(h) && !h.includes('date'), [columns.description]);
+    columns.debit = find(h => h.includes('debit') || h.includes('withdrawal') || h.includes('paid out'));
+    columns.credit = find(h => h.includes('credit') || h.includes('deposit') || h.includes('received') || h.includes('paid in'), [columns.debit]);
+    columns.amount = find(h => h.includes('amount') && !h.includes('balance'), [columns.debit, columns.credit]);
+    columns.type = find(h => h === 'type' || h.includes('dr/cr') || h.includes('cr/dr') || h.includes('dr / cr'));
+    columns.balance = find(h => h.includes('balance') || h.includes('closing'));
+
+    // Withdrawal and deposit columns say more than a lone amount column
+    if (columns.debit >= 0 && columns.credit >= 0) columns.amount = -1;
+    return Object.fromEntries(Object.entries(columns).filter(([, index]) => index >= 0));
+  }
+
+  /**
+   * Most likely date format of a date column, from its values
+   */
+  guessDateFormat(values) {
+    const text = values.filter(value => value && !(value instanceof Date) && typeof value !== 'number').map(String);
+    if (!text.length) return 'DD/MM/YYYY';
+    if (text.some(value => /[a-z]{3}/i.test(value))) return 'DD-MMM-YYYY';
+    if (text.every(value => /^\d{4}/.test(value.trim()))) return 'YYYY-MM-DD';
+    // A first part above 12 can only be a day; a second part above 12 only a day in US order
+    const parts = text.map(value => value.split(/[\/\-.]/).map(Number));
+    if (parts.some(([, second]) => second > 12) && !parts.some(([first]) => first > 12)) return 'MM/DD/YYYY';
+    return 'DD/MM/YYYY';
+  }
+
+  /**
+   * Column mapping of a hard-coded format pattern
+   */
+  patternColumns(pattern) {
+    const aliases = { valueDate: 'value_date', refNo: 'reference' };
+    return Object.fromEntries(Object.entries(pattern)
+      .map(([field, [index]]) => [aliases[field] || field, index])
+      .filter(([field]) => MAPPING_FIELDS.some(f => f.key === field)));
+  }
+
+  /**
+   * Work out which profile a tabular file matches and the mapping it gives
+   * @param {Array} rows - Rows of cells
+   * @param {string} fileType - Detected file type
+   * @param {string} fileName - Original file name
+   * @returns {Object} { profile, mapping, confidence }
+   */
+  detectProfile(rows, fileType, fileName = '') {
+    const headerRow = this.findHeaderRow(rows);
+    const headers = rows[headerRow] || [];
+    const signature = this.headerSignature(headers);
+
+    // A saved layout is recognised by its header row
+    const saved = signature && this.db.prepare(`
+      SELECT * FROM bank_profiles WHERE header_signature = ?
+      ORDER BY (file_type = ?) DESC, use_count DESC LIMIT 1
+    `).get(signature, fileType);
+    if (saved) {
+      return {
+        profile: this.toBankFormat(saved),
+        mapping: { headerRow: saved.header_row, columns: JSON.parse(saved.columns), dateFormat: saved.date_format },
+        confidence: 1
+      };
+    }
+
+    // Bank names sit in the title rows above the headings, or in the headings themselves
+    const topText = rows.slice(0, headerRow + 1).map(row => row.join(' ')).join(' ');
+    const detected = this.detectBankFormat(`${topText}\n${(rows[headerRow + 1] || []).join(',')}`, fileName);
+    const format = this.bankFormats[detected.format] || this.bankFormats.DEFAULT;
+
+    let columns = this.suggestMapping(headers);
+    let confidence = detected.confidence;
+    if (!this.validateMapping({ columns })) {
+      // Headings that name every needed column are as good as a known format
+      confidence = Math.max(confidence, 0.8);
+    } else {
+      // Headings did not say enough; fall back to the format's column positions
+      columns = this.patternColumns(format.patterns[0]);
+    }
+
+    const dateValues = rows.slice(headerRow + 1, headerRow + 30).map(row => row[columns.date]);
+    return {
+      profile: { code: detected.format, name: format.name, custom: false },
+      mapping: { headerRow, columns, dateFormat: this.guessDateFormat(dateValues) },
+      confidence
+    };
+  }
+
+  /**
+   * Statement lines from tabular rows under a mapping
+   * @param {Array} rows - Rows of cells
+   * @param {Object} mapping - { headerRow, columns, dateFormat }
+   * @returns {Array} [{ date, value_date, description, reference, amount, type, balance }]
+   */
+  rowsToTransactions(rows, mapping) {
+    const { headerRow = 0, columns = {}, dateFormat } = mapping;
+    const cell = (row, field) => (Number.isInteger(columns[field]) && columns[field] >= 0 ? row[columns[field]] : undefined);
+    const transactions = [];
+
+    for (let i = headerRow + 1; i < rows.length; i++) {
+      const row = rows[i];
+      const date = this.parseDate(cell(row, 'date'), dateFormat);
+      if (!date) continue;
+
+      let amount = 0;
+      let type = 'unknown';
+      const debit = Math.abs(this.parseAmount(cell(row, 'debit')));
+      const credit = Math.abs(this.parseAmount(cell(row, 'credit')));
+      if (credit > 0) {
+        amount = credit;
+        type = 'credit';
+      } else if (debit > 0) {
+        amount = debit;
+        type = 'debit';
+      } else if (cell(row, 'amount') !== undefined) {
+        const raw = cell(row, 'amount');
+        const signed = this.parseAmount(raw);
+        amount = Math.abs(signed);
+        // Dr/Cr written after the amount, a type column, or the sign decides the direction
+        const suffix = String(raw ?? '').trim().match(/(cr|dr)\.?$/i);
+        type = this.determineTransactionType(suffix ? suffix[1] : cell(row, 'type'), signed);
       }
+      if (!amount) continue;
+
+      const balance = cell(row, 'balance');
+      transactions.push({
+        date,
+        value_date: this.parseDate(cell(row, 'value_date'), dateFormat),
+        description: String(cell(row, 'description') ?? '').replace(/\s+/g, ' ').trim(),
+        reference: String(cell(row, 'reference') ?? '').trim() || null,
+        amount: Math.round(amount * 100) / 100,
+        type,
+        balance: balance === undefined || balance === '' ? null : this.parseAmount(balance)
+      });
     }
 
     return transactions;
   }
 
   /**
-   * Parse individual row based on format
+   * PDF lines printed before any opening balance, whose direction the
+   * balance cannot tell; they are held back until the opening balance is given
+   * @returns {Array} [{ date, description, amount, balance }]
    */
-  parseRow(columns, headers, format) {
-    try {
-      // Find date column
-      const dateIndex = headers.findIndex(h => 
-        h.includes('date') || h.includes('txn date') || h.includes('transaction date')
-      );
-      
-      // Find description column
-      const descIndex = headers.findIndex(h => 
-        h.includes('description') || h.includes('narration') || h.includes('particulars') || h.includes('details')
-      );
-      
-      // Find amount columns
-      const amountIndex = headers.findIndex(h => 
-        h.includes('amount') && !h.includes('balance')
-      );
-      
-      const debitIndex = headers.findIndex(h => 
-        h.includes('debit') || h.includes('withdrawal') || h.includes('paid out')
-      );
-      
-      const creditIndex = headers.findIndex(h => 
-        h.includes('credit') || h.includes('deposit') || h.includes('received')
-      );
-      
-      // Find balance column
-      const balanceIndex = headers.findIndex(h => 
-        h.includes('balance') || h.includes('closing')
-      );
+  undecidedLines(read) {
+    if (read.fileType !== 'pdf') return [];
+    const column = statementParsers.PDF_UNDECIDED_COLUMN;
+    return read.rows.slice(1)
+      .filter(row => row[column] !== undefined && row[column] !== '')
+      .map(row => ({ date: row[0], description: row[1], amount: row[column], balance: row[5] === '' ? null : row[5] }));
+  }
 
-      // Find type column
-      const typeIndex = headers.findIndex(h => 
-        h.includes('type') || h.includes('dr/cr')
-      );
+  /**
+   * Read a statement file and work out how to read its lines
+   * @returns {Promise<Object>} { fileType, buffer, statement } or { fileType, buffer, rows, profile, mapping, confidence }
+   */
+  async readStatement(filePath, options = {}) {
+    const buffer = fs.readFileSync(filePath);
+    const read = await statementParsers.readStatementFile(buffer, path.basename(filePath), {
+      openingBalance: options.openingBalance
+    });
+    if (read.statement) return { ...read, buffer };
+
+    let detected = this.detectProfile(read.rows, read.fileType, filePath);
+    if (options.profileCode) {
+      const chosen = this.getBankProfiles().find(p => p.code === options.profileCode);
+      if (!chosen) throw new Error(`Bank profile ${options.profileCode} not found`);
+      if (chosen.custom) {
+        const row = this.db.prepare('SELECT * FROM bank_profiles WHERE code = ?').get(chosen.code);
+        detected = {
+          profile: chosen,
+          mapping: { headerRow: row.header_row, columns: JSON.parse(row.columns), dateFormat: row.date_format },
+          confidence: 1
+        };
+      } else if (chosen.code !== detected.profile.code) {
+        // A built-in format chosen by hand: its column positions under the detected header row
+        detected = {
+          profile: { code: chosen.code, name: chosen.name, custom: false },
+          mapping: { ...detected.mapping, columns: this.patternColumns(chosen.patterns[0]) },
+          confidence: 1
+        };
+      }
+    }
+    if (options.mapping) {
+      detected = { ...detected, mapping: { ...detected.mapping, ...options.mapping }, confidence: 1 };
+    }
 
-      let amount = 0;
-      let transactionType = 'unknown';
-      
-      if (amountIndex >= 0 && columns[amountIndex]) {
-        amount = this.parseAmount(columns[amountIndex]);
-        if (typeIndex >= 0 && columns[typeIndex]) {
-          transactionType = this.determineTransactionType(columns[typeIndex], amount);
-        }
-      } else {
-        // Check debit/credit columns
-        const debit = debitIndex >= 0 ? this.parseAmount(columns[debitIndex]) : 0;
-        const credit = creditIndex >= 0 ? this.parseAmount(columns[creditIndex]) : 0;
-        
-        if (credit > 0) {
-          amount = credit;
-          transactionType = 'credit';
-        } else if (debit > 0) {
-          amount = debit;
-          transactionType = 'debit';
-        }
+    return { ...read, buffer, ...detected };
+  }
+
+  /**
+   * Look at a statement before importing it: what the file is, how its
+   * columns map (for the mapping wizard) and the first lines as they would
+   * be imported
+   * @param {string} filePath - Path to file
+   * @param {Object} options - { profileCode, mapping, openingBalance }
+   */
+  async previewStatement(filePath, options = {}) {
+    try {
+      const read = await this.readStatement(filePath, options);
+      const periodOf = (transactions) => {
+        const dates = transactions.map(t => t.date).filter(Boolean).sort();
+        return { from: dates[0] || null, to: dates[dates.length - 1] || null };
+      };
+
+      if (read.statement) {
+        return {
+          success: true,
+          fileType: read.fileType,
+          structured: true,
+          needsMapping: false,
+          account: read.statement.account,
+          currency: read.statement.currency,
+          openingBalance: read.statement.opening_balance,
+          closingBalance: read.statement.closing_balance,
+          totalTransactions: read.statement.transactions.length,
+          period: periodOf(read.statement.transactions),
+          transactions: read.statement.transactions.slice(0, 10)
+        };
       }
 
+      const { headerRow } = read.mapping;
+      const transactions = this.rowsToTransactions(read.rows, read.mapping);
+      const display = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : String(value ?? ''));
+
       return {
-        date: dateIndex >= 0 ? this.parseDate(columns[dateIndex]) : null,
-        description: descIndex >= 0 ? columns[descIndex] : '',
-        amount: Math.abs(amount),
-        type: transactionType,
-        balance: balanceIndex >= 0 ? this.parseAmount(columns[balanceIndex]) : null,
-        rawData: columns
+        success: true,
+        fileType: read.fileType,
+        structured: false,
+        profile: read.profile,
+        confidence: read.confidence,
+        mapping: read.mapping,
+        needsMapping: Boolean(this.validateMapping(read.mapping)) || !transactions.length || !read.profile.custom && read.confidence < 0.7,
+        fields: MAPPING_FIELDS,
+        dateFormats: DATE_FORMATS,
+        headers: (read.rows[headerRow] || []).map(display),
+        rows: read.rows.slice(0, Math.min(read.rows.length, headerRow + 16)).map(row => row.map(display)),
+        totalTransactions: transactions.length,
+        undecidedLines: this.undecidedLines(read),
+        period: periodOf(transactions),
+        transactions: transactions.slice(0, 10)
       };
     } catch (error) {
-      console.error('Error parsing row:', error);
-      return null;
+      console.error('Preview statement error:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
    * Import bank statement file
    * @param {string} filePath - Path to file
-   * @param {Object} options - Import options
+   * @param {Object} options - Import options: { accountId, bankName, profileCode, mapping,
+   *   openingBalance, saveProfile: { name, bank_name }, autoReconcile, applyAllocations, createdBy }
    * @returns {Object} Import result
    */
   async importStatement(filePath, options = {}) {
     try {
-      const fs = require('fs');
-      const content = fs.readFileSync(filePath, 'utf-8');
-      
-      // Detect format
-      const formatDetect = this.detectBankFormat(content, filePath);
-      
-      // Parse content
-      const transactions = this.parseCSV(content, formatDetect);
-      
+      const read = await this.readStatement(filePath, options);
+      const fileName = path.basename(filePath);
+
+      let transactions;
+      let balances = { opening: null, closing: null };
+      if (read.statement) {
+        transactions = read.statement.transactions;
+        balances = {
+          opening: read.statement.opening_balance ? read.statement.opening_balance.amount : null,
+          closing: read.statement.closing_balance ? read.statement.closing_balance.amount : null
+        };
+      } else {
+        const problem = this.validateMapping(read.mapping);
+        if (problem) {
+          return { success: false, error: 'MAPPING_REQUIRED', needsMapping: true, message: problem };
+        }
+        const undecided = this.undecidedLines(read);
+        if (undecided.length) {
+          return {
+            success: false,
+            error: 'OPENING_BALANCE_REQUIRED',
+            undecidedLines: undecided,
+            message: `Enter the opening balance of the statement to tell whether the ${undecided[0].date} line of ${undecided[0].amount} is a withdrawal or a deposit`
+          };
+        }
+        transactions = this.rowsToTransactions(read.rows, read.mapping);
+        const withBalance = transactions.filter(t => t.balance !== null);
+        if (withBalance.length) {
+          const first = withBalance[0];
+          balances = {
+            opening: Math.round((first.balance - (first.type === 'credit' ? first.amount : -first.amount)) * 100) / 100,
+            closing: withBalance[withBalance.length - 1].balance
+          };
+        }
+      }
+
       if (transactions.length === 0) {
         return {
           success: false,
           error: 'NO_TRANSACTIONS_FOUND',
+          needsMapping: !read.statement,
           message: 'No transactions could be parsed from the file'
         };
       }
@@ -257,8 +616,7 @@ class ImportManager {
         .reduce((sum, t) => sum + t.amount, 0);
 
       // Calculate file hash for duplicate detection
-      const crypto = require('crypto');
-      const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+      const fileHash = crypto.createHash('sha256').update(read.buffer).digest('hex');
 
       // Check for duplicate imports
       const existingFile = this.db.prepare(`
@@ -273,57 +631,114 @@ class ImportManager {
         };
       }
 
-      // Store statement record
-      const insertResult = this.db.prepare(`
-        INSERT INTO bank_statements 
-        (file_name, file_hash, import_date, statement_date, total_credits, total_debits, record_count, status)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        require('path').basename(filePath),
-        fileHash,
-        new Date().toISOString().split('T')[0],
-        transactions[0]?.date || new Date().toISOString().split('T')[0],
-        totalCredits,
-        totalDebits,
-        transactions.length,
-        'imported'
-      );
+      // Save the mapping for next time when the user asked to
+      let profileCode = read.profile ? read.profile.code : read.fileType.toUpperCase();
+      if (options.saveProfile && !read.statement) {
+        const saved = this.saveBankProfile({
+          ...options.saveProfile,
+          file_type: read.fileType,
+          mapping: read.mapping,
+          headers: read.rows[read.mapping.headerRow] || []
+        });
+        if (!saved.success) return { success: false, error: 'PROFILE_ERROR', message: saved.error };
+        profileCode = saved.profile.code;
+      }
 
-      const statementId = insertResult.lastInsertRowid;
+      const account = options.accountId
+        ? this.db.prepare('SELECT bank_name, account_number FROM bank_accounts WHERE id = ?').get(options.accountId)
+        : null;
+      const dates = transactions.map(t => t.date).sort();
+
+      const store = this.db.transaction(() => {
+        const statementId = this.db.prepare(`
+          INSERT INTO bank_statements
+          (bank_name, account_number, statement_period, file_path, status, total_transactions, created_by,
+            account_id, file_hash, file_type, profile_code, total_credits, total_debits, opening_balance, closing_balance)
+          VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          options.bankName || (account && account.bank_name) || (read.profile && read.profile.bankName) || (read.profile && read.profile.name) || 'Unknown Bank',
+          (account && account.account_number) || (read.statement && read.statement.account) || null,
+          `${dates[0]} to ${dates[dates.length - 1]}`,
+          filePath,
+          transactions.length,
+          options.createdBy || 'system',
+          options.accountId || null,
+          fileHash,
+          read.fileType,
+          profileCode,
+          totalCredits,
+          totalDebits,
+          balances.opening,
+          balances.closing
+        ).lastInsertRowid;
+
+        // Lines already imported from an overlapping statement of the same account are skipped
+        const findExisting = this.db.prepare(`
+          SELECT id FROM bank_transactions
+          WHERE account_id IS ? AND date = ? AND amount = ? AND type = ? AND description = ? AND COALESCE(reference, '') = ?
+        `);
+        const insertTxn = this.db.prepare(`
+          INSERT INTO bank_transactions 
+          (account_id, bank_statement_id, date, description, amount, type, reference, balance)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
 
-      // Insert individual transactions
-      const insertTxn = this.db.prepare(`
-        INSERT INTO bank_transactions 
-        (statement_id, transaction_date, description, amount, type, balance)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `);
+        let duplicates = 0;
+        for (const txn of transactions) {
+          if (options.accountId && findExisting.get(options.accountId, txn.date, txn.amount, txn.type, txn.description, txn.reference || '')) {
+            duplicates++;
+            continue;
+          }
+          insertTxn.run(options.accountId || null, statementId, txn.date, txn.description, txn.amount, txn.type, txn.reference || null, txn.balance ?? null);
+        }
 
-      for (const txn of transactions) {
-        insertTxn.run(statementId, txn.date, txn.description, txn.amount, txn.type, txn.balance);
-      }
+        // Built-in formats have no row here, so only saved profiles are counted
+        this.db.prepare(`
+          UPDATE bank_profiles SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP WHERE code = ?
+        `).run(profileCode);
+
+        return { statementId, duplicates };
+      });
+      const { statementId, duplicates } = store();
 
       // Auto-match if enabled
       let matchedCount = 0;
       let unmatchedTransactions = [];
+      let rulesApplied = [];
       
       if (options.autoReconcile !== false) {
         const matchResult = await this.autoReconcile(statementId, options);
         matchedCount = matchResult.matched;
         unmatchedTransactions = matchResult.unmatched;
+        rulesApplied = matchResult.rulesApplied;
       }
 
+      const imported = transactions.length - duplicates;
+      this.db.prepare(`
+        UPDATE bank_statements
+        SET status = ?, processed_at = CURRENT_TIMESTAMP, total_transactions = ?, matched_count = ?, unmatched_count = ?
+        WHERE id = ?
+      `).run(options.autoReconcile !== false ? 'processed' : 'pending', imported, matchedCount, imported - matchedCount, statementId);
+
       return {
         success: true,
         statementId,
-        fileName: require('path').basename(filePath),
-        totalTransactions: transactions.length,
+        fileName,
+        fileType: read.fileType,
+        profile: profileCode,
+        totalTransactions: imported,
+        duplicateCount: duplicates,
         totalCredits,
         totalDebits,
+        openingBalance: balances.opening,
+        closingBalance: balances.closing,
         matchedCount,
-        unmatchedCount: transactions.length - matchedCount,
+        unmatchedCount: imported - matchedCount,
+        ruleAppliedCount: rulesApplied.length,
+        rulesApplied,
         transactions: unmatchedTransactions.slice(0, 20), // Return first 20 for review
-        format: formatDetect.format,
-        confidence: formatDetect.confidence
+        format: profileCode,
+        confidence: read.confidence ?? 1
       };
     } catch (error) {
       console.error('Import error:', error);
@@ -338,114 +753,42 @@ class ImportManager {
   /**
    * Auto-reconcile bank transactions with recorded transactions
    * @param {number} statementId - Bank statement ID
-   * @param {Object} options - Reconciliation options
+   * @param {Object} options - Reconciliation options; applyAllocations(result) books
+   *   the payments and clearings of the matches in the same db transaction
    * @returns {Object} Reconciliation result
    */
   async autoReconcile(statementId, options = {}) {
-    const tolerance = options.amountTolerance || 1; // 1 rupee tolerance
-    
-    // Get unreconciled bank transactions
-    const bankTxns = this.db.prepare(`
-      SELECT * FROM bank_transactions 
-      WHERE statement_id = ? AND is_reconciled = 0
-    `).all(statementId);
-
-    let matched = 0;
-    const unmatched = [];
-
-    // Match against transactions from same period
-    const recentDate = new Date();
-    recentDate.setDate(recentDate.getDate() - 30);
-    const recentDateStr = recentDate.toISOString().split('T')[0];
-
-    for (const bankTxn of bankTxns) {
-      // Try to find matching recorded transaction
-      let matchStmt;
-      let matchParams;
-
-      if (bankTxn.type === 'credit') {
-        // Credit = payment received from customer
-        matchStmt = this.db.prepare(`
-          SELECT t.id, t.voucher_no, t.total_amount, t.party_name, t.date
-          FROM transactions t
-          WHERE t.voucher_type = 'sale'
-            AND t.is_active = 1
-            AND ABS(t.total_amount - ?) <= ?
-            AND t.date BETWEEN ? AND ?
-            AND t.id NOT IN (
-              SELECT matched_transaction_id FROM bank_transactions 
-              WHERE matched_transaction_id IS NOT NULL
-            )
-          ORDER BY ABS(t.total_amount - ?) ASC
-          LIMIT 1
-        `);
-        matchParams = [bankTxn.amount, tolerance, recentDateStr, bankTxn.transaction_date, bankTxn.amount];
-      } else {
-        // Debit = payment made to vendor
-        matchStmt = this.db.prepare(`
-          SELECT t.id, t.voucher_no, t.total_amount, t.party_name, t.date
-          FROM transactions t
-          WHERE t.voucher_type = 'purchase'
-            AND t.is_active = 1
-            AND ABS(t.total_amount - ?) <= ?
-            AND t.date BETWEEN ? AND ?
-            AND t.id NOT IN (
-              SELECT matched_transaction_id FROM bank_transactions 
-              WHERE matched_transaction_id IS NOT NULL
-            )
-          ORDER BY ABS(t.total_amount - ?) ASC
-          LIMIT 1
-        `);
-        matchParams = [bankTxn.amount, tolerance, recentDateStr, bankTxn.transaction_date, bankTxn.amount];
-      }
-
-      const match = matchStmt.get(...matchParams);
+    const reconcile = this.db.transaction(() => {
+      const matched = bankingService.autoReconcile(null, {
+        ...options,
+        statementId,
+        amountTolerance: options.amountTolerance || 1 // 1 rupee tolerance
+      });
+      if (matched.success && options.applyAllocations) options.applyAllocations(matched);
+      return matched;
+    });
+    const result = reconcile();
+    if (!result.success) throw new Error(result.error);
 
-      if (match) {
-        // Mark as reconciled
-        this.db.prepare(`
-          UPDATE bank_transactions
-          SET is_reconciled = 1, matched_transaction_id = ?, category = 'matched'
-          WHERE id = ?
-        `).run(match.id, bankTxn.id);
-        
-        matched++;
-      } else {
-        // Try to suggest party based on description
-        const suggestedParty = await this.suggestParty(bankTxn.description);
-        unmatched.push({
-          ...bankTxn,
-          suggestedParty
-        });
-      }
-    }
+    // Try to suggest party based on description for what is left over
+    const unmatched = bankingService.getUnmatchedTransactions(null, { statementId, status: 'pending' }).map(bankTxn => ({
+      ...bankTxn,
+      suggestedParty: reconciliationEngine.suggestParty(bankTxn.description),
+      candidates: (result.suggestions.find(s => s.transaction_id === bankTxn.id) || {}).candidates || []
+    }));
 
-    return { matched, unmatched };
+    return {
+      matched: result.matched_count,
+      unmatched,
+      rulesApplied: result.rules_applied
+    };
   }
 
   /**
    * Suggest party based on transaction description
    */
   async suggestParty(description) {
-    if (!description) return null;
-
-    // Search for similar party names
-    const parties = this.db.prepare(`
-      SELECT id, name, type
-      FROM parties
-      WHERE is_active = 1
-        AND (name LIKE ? OR name LIKE ?)
-      LIMIT 3
-    `).all(
-      `%${description.substring(0, 5)}%`,
-      `%${description.substring(description.length - 5)}%`
-    );
-
-    if (parties.length > 0) {
-      return parties[0];
-    }
-
-    return null;
+    return reconciliationEngine.suggestParty(description);
   }
 
   /**
@@ -456,15 +799,15 @@ class ImportManager {
    */
   async manualMatch(bankTxnId, transactionId, matchedBy) {
     try {
-      this.db.prepare(`
-        UPDATE bank_transactions
-        SET is_reconciled = 1, matched_transaction_id = ?, category = 'manual'
-        WHERE id = ?
-      `).run(transactionId, bankTxnId);
+      const voucher = this.db.prepare('SELECT voucher_type FROM transactions WHERE id = ?').get(transactionId);
+      if (!voucher) return { success: false, error: 'Transaction not found' };
+
+      const result = bankingService.matchTransaction(bankTxnId, transactionId, voucher.voucher_type);
+      if (!result.success) return result;
 
       // Log the match
       this.db.prepare(`
-        INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_value)
+        INSERT INTO audit_logs (user, action, entity_type, entity_id, new_values)
         VALUES (?, 'MANUAL_MATCH', 'bank_transactions', ?, ?)
       `).run(
         matchedBy,
@@ -472,7 +815,7 @@ class ImportManager {
         JSON.stringify({ matched_transaction_id: transactionId })
       );
 
-      return { success: true };
+      return { success: true, proposed_rule: result.proposed_rule || null };
     } catch (error) {
       console.error('Manual match error:', error);
       return { success: false, error: error.message };
@@ -485,13 +828,7 @@ class ImportManager {
    */
   async undoMatch(bankTxnId) {
     try {
-      this.db.prepare(`
-        UPDATE bank_transactions
-        SET is_reconciled = 0, matched_transaction_id = NULL, category = NULL
-        WHERE id = ?
-      `).run(bankTxnId);
-
-      return { success: true };
+      return bankingService.unmatchTransaction(bankTxnId);
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -504,12 +841,12 @@ class ImportManager {
     const stats = this.db.prepare(`
       SELECT 
         COUNT(*) as total,
-        SUM(CASE WHEN is_reconciled = 1 THEN 1 ELSE 0 END) as matched,
-        SUM(CASE WHEN is_reconciled = 0 THEN 1 ELSE 0 END) as unmatched,
-        SUM(CASE WHEN is_reconciled = 1 THEN amount ELSE 0 END) as matched_amount,
-        SUM(CASE WHEN is_reconciled = 0 THEN amount ELSE 0 END) as unmatched_amount
+        SUM(CASE WHEN status != 'pending' THEN 1 ELSE 0 END) as matched,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as unmatched,
+        SUM(CASE WHEN status != 'pending' THEN amount ELSE 0 END) as matched_amount,
+        SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END) as unmatched_amount
       FROM bank_transactions
-      WHERE statement_id = ?
+      WHERE bank_statement_id = ?
     `).get(statementId);
 
     return {
@@ -528,7 +865,7 @@ class ImportManager {
   getImportHistory(limit = 20) {
     return this.db.prepare(`
       SELECT * FROM bank_statements
-      ORDER BY import_date DESC
+      ORDER BY uploaded_at DESC
       LIMIT ?
     `).all(limit);
   }
@@ -543,8 +880,8 @@ class ImportManager {
 
     const transactions = this.db.prepare(`
       SELECT * FROM bank_transactions
-      WHERE statement_id = ?
-      ORDER BY transaction_date
+      WHERE bank_statement_id = ?
+      ORDER BY date
     `).all(statementId);
 
     const reconciliation = this.getReconciliationStatus(statementId);
@@ -562,7 +899,7 @@ class ImportManager {
   async deleteStatement(statementId) {
     try {
       // Delete bank transactions
-      this.db.prepare(`DELETE FROM bank_transactions WHERE statement_id = ?`).run(statementId);
+      this.db.prepare(`DELETE FROM bank_transactions WHERE bank_statement_id = ?`).run(statementId);
       
       // Delete statement record
       this.db.prepare(`DELETE FROM bank_statements WHERE id = ?`).run(statementId);
@@ -574,54 +911,100 @@ class ImportManager {
   }
 
   /**
-   * Helper: Check if string looks like a date
+   * Helper: Check if a cell looks like a date
    */
   isDateLike(str) {
     if (!str) return false;
+    if (str instanceof Date) return !isNaN(str);
     const datePatterns = [
-      /^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/,
-      /^\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2}$/,
-      /^\d{1,2}[A-Za-z]{3,}\d{2,4}$/
+      /^\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}$/,
+      /^\d{4}[\/\-.]\d{1,2}[\/\-.]\d{1,2}$/,
+      /^\d{1,2}[\s\-\/]?[A-Za-z]{3,}[\s\-\/,]*\d{2,4}$/
     ];
-    return datePatterns.some(p => p.test(str.trim()));
+    return datePatterns.some(p => p.test(String(str).trim()));
   }
 
   /**
-   * Helper: Check if string looks like an amount
+   * Helper: Check if a cell looks like an amount
    */
   isAmountLike(str) {
-    if (!str) return false;
-    const cleaned = str.replace(/[₹$,\s]/g, '').replace(/[()]/g, '');
+    if (typeof str === 'number') return true;
+    if (!str || str instanceof Date) return false;
+    const cleaned = String(str).replace(/[₹$,\s]/g, '').replace(/[()]/g, '').replace(/(cr|dr)\.?$/i, '');
     return /^-?\d*\.?\d+$/.test(cleaned);
   }
 
   /**
-   * Helper: Parse amount string to number
+   * Helper: Parse amount cell to number. (1,200.00), -1,200.00 and
+   * 1,200.00 Dr are negative; 1,200.00 Cr is positive.
    */
   parseAmount(str) {
+    if (typeof str === 'number') return str;
     if (!str) return 0;
-    const cleaned = str.toString().replace(/[₹$,\s]/g, '').replace(/[()]/g, '');
-    const parsed = parseFloat(cleaned);
-    return isNaN(parsed) ? 0 : parsed;
+    let text = str.toString().replace(/[₹$,\s]/g, '');
+    let sign = 1;
+    const suffix = text.match(/(cr|dr)\.?$/i);
+    if (suffix) {
+      if (suffix[1].toLowerCase() === 'dr') sign = -1;
+      text = text.slice(0, suffix.index);
+    }
+    if (/^\(.*\)$/.test(text)) {
+      sign = -sign;
+      text = text.slice(1, -1);
+    }
+    const parsed = parseFloat(text);
+    return isNaN(parsed) ? 0 : sign * parsed;
   }
 
   /**
-   * Helper: Parse date string to YYYY-MM-DD
+   * Helper: Parse a date cell to YYYY-MM-DD
+   * @param {string|Date|number} str - Cell value; spreadsheets give Date objects or serial numbers
+   * @param {string} dateFormat - Order of numeric dates, 'DD/MM/YYYY' unless told otherwise
    */
-  parseDate(str) {
-    if (!str) return null;
-    
+  parseDate(str, dateFormat = 'DD/MM/YYYY') {
+    if (str === null || str === undefined || str === '') return null;
+
+    if (str instanceof Date) {
+      if (isNaN(str)) return null;
+      // Spreadsheet dates are read at local midnight
+      const local = new Date(str.getTime() - str.getTimezoneOffset() * 60000);
+      return local.toISOString().split('T')[0];
+    }
+    if (typeof str === 'number') {
+      // Excel serial day, counted from 1899-12-30
+      if (str < 20000 || str > 80000) return null;
+      return new Date(Date.UTC(1899, 11, 30) + Math.floor(str) * 86400000).toISOString().split('T')[0];
+    }
+
+    const text = String(str).trim();
+    const pad = (n) => String(n).padStart(2, '0');
+    const year = (y) => (y.length === 2 ? `20${y}` : y);
+    const monthFirst = dateFormat === 'MM/DD/YYYY';
+    const month = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
     const formats = [
-      { pattern: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/, parse: (m) => `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` },
-      { pattern: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2})$/, parse: (m) => `20${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` },
-      { pattern: /^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})$/, parse: (m) => `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` }
+      {
+        pattern: /^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})(?:\s.*)?$/,
+        parse: (m) => (monthFirst
+          ? `${year(m[3])}-${pad(m[1])}-${pad(m[2])}`
+          : `${year(m[3])}-${pad(m[2])}-${pad(m[1])}`)
+      },
+      { pattern: /^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})(?:[T\s].*)?$/, parse: (m) => `${m[1]}-${pad(m[2])}-${pad(m[3])}` },
+      {
+        pattern: /^(\d{1,2})[\s\-\/]?([A-Za-z]{3,})[\s\-\/,]*(\d{2}|\d{4})$/,
+        parse: (m) => (month(m[2]) ? `${year(m[3])}-${pad(month(m[2]))}-${pad(m[1])}` : null)
+      },
+      {
+        pattern: /^([A-Za-z]{3,})\s+(\d{1,2}),?\s+(\d{4})$/,
+        parse: (m) => (month(m[1]) ? `${m[3]}-${pad(month(m[1]))}-${pad(m[2])}` : null)
+      }
     ];
 
     for (const format of formats) {
-      const match = str.trim().match(format.pattern);
+      const match = text.match(format.pattern);
       if (match) {
         const dateStr = format.parse(match);
-        if (this.isValidDate(dateStr)) {
+        if (dateStr && this.isValidDate(dateStr)) {
           return dateStr;
         }
       }
@@ -635,7 +1018,8 @@ class ImportManager {
    */
   isValidDate(dateStr) {
     const date = new Date(dateStr);
-    return date instanceof Date && !isNaN(date);
+    // Date() rolls 2025-02-30 over to March; a real date survives the round trip
+    return date instanceof Date && !isNaN(date) && date.toISOString().startsWith(dateStr);
   }
 
   /**
@@ -644,7 +1028,7 @@ class ImportManager {
   determineTransactionType(typeStr, amount) {
     if (!typeStr) return amount >= 0 ? 'credit' : 'debit';
     
-    const lower = typeStr.toLowerCase();
+    const lower = String(typeStr).toLowerCase();
     if (lower.includes('credit') || lower.includes('cr') || lower.includes('deposit')) {
       return 'credit';
     }
@@ -660,19 +1044,20 @@ class ImportManager {
   exportMatchedTransactions(statementId) {
     const transactions = this.db.prepare(`
       SELECT 
-        bt.transaction_date,
+        bt.date as transaction_date,
         bt.description,
         bt.amount,
         bt.type,
         t.voucher_no,
         t.date as txn_date,
-        t.party_name,
+        p.name as party_name,
         t.total_amount as txn_amount
       FROM bank_transactions bt
-      LEFT JOIN transactions t ON bt.matched_transaction_id = t.id
-      WHERE bt.statement_id = ?
-        AND bt.is_reconciled = 1
-      ORDER BY bt.transaction_date
+      LEFT JOIN transactions t ON bt.matched_invoice_id = t.id
+      LEFT JOIN parties p ON t.party_id = p.id
+      WHERE bt.bank_statement_id = ?
+        AND bt.status != 'pending'
+      ORDER BY bt.date
     `).all(statementId);
 
     let csv = 'Bank Date,Description,Bank Amount,Type,Voucher No,Txn Date,Party,Txn Amount\n';
@@ -0,0 +1,611 @@
+/**
+ * Invoice Template Service
+ *
+ * Renders printable GST tax invoices from vouchers. Templates are HTML with
+ * {{placeholders}} (escaped), {{{placeholders}}} (raw), {{#section}}...{{/section}}
+ * blocks that repeat over lists or show when truthy, and {{^section}} blocks
+ * that show when falsy. Saving a template under a built-in name overrides it.
+ *
+ * Features:
+ * - Tax invoice with HSN-wise lines, CGST/SGST or IGST columns and amount in words
+ * - Bill of supply, without tax columns, for composition dealers
+ * - IRN, Ack No, Ack Date and signed QR code of registered e-invoices (rule 48(4))
+ * - Original / duplicate / triplicate copies in one document
+ * - Custom templates stored in the database
+ */
+
+const QRCode = require('qrcode');
+const branchService = require('./branchService');
+
+let db = null;
+
+// Copy labels printed on each page (rule 48(1))
+const COPY_LABELS = {
+  original: 'ORIGINAL FOR RECIPIENT',
+  duplicate: 'DUPLICATE FOR TRANSPORTER',
+  triplicate: 'TRIPLICATE FOR SUPPLIER'
+};
+
+// Document titles by voucher type
+const DOCUMENT_TITLES = {
+  sale: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE',
+  debit_note: 'DEBIT NOTE',
+  purchase: 'PURCHASE VOUCHER'
+};
+
+// Printed on every bill of supply of a composition dealer (rule 46(f))
+const COMPOSITION_DECLARATION = 'Composition taxable person, not eligible to collect tax on supplies';
+
+const STANDARD_TEMPLATE = `
+<style>
+  .invoice { font-family: 'Segoe UI', Arial, sans-serif; font-size: 11px; color: #111; border: 1px solid #333; padding: 0; }
+  .invoice + .invoice { page-break-before: always; margin-top: 24px; }
+  .invoice table { width: 100%; border-collapse: collapse; margin: 0; }
+  .invoice th, .invoice td { border: 1px solid #333; padding: 4px 6px; vertical-align: top; background: none; }
+  .invoice .num { text-align: right; white-space: nowrap; }
+  .invoice .title-row { display: flex; justify-content: space-between; align-items: center; padding: 6px 8px; border-bottom: 1px solid #333; }
+  .invoice .doc-title { font-size: 16px; font-weight: bold; letter-spacing: 1px; }
+  .invoice .copy-label { font-size: 10px; font-weight: 600; }
+  .invoice .head { display: flex; border-bottom: 1px solid #333; }
+  .invoice .head > div { flex: 1; padding: 6px 8px; }
+  .invoice .head > div + div { border-left: 1px solid #333; }
+  .invoice .seller-name { font-size: 15px; font-weight: bold; }
+  .invoice .irn { display: flex; border-bottom: 1px solid #333; padding: 6px 8px; gap: 12px; align-items: center; }
+  .invoice .irn .details { flex: 1; word-break: break-all; }
+  .invoice .irn img { width: 130px; height: 130px; }
+  .invoice .cancelled { color: #b91c1c; font-weight: bold; }
+  .invoice .label { color: #555; }
+  .invoice .words { padding: 6px 8px; border-bottom: 1px solid #333; }
+  .invoice .footer { display: flex; }
+  .invoice .footer > div { flex: 1; padding: 6px 8px; min-height: 70px; }
+  .invoice .footer > div + div { border-left: 1px solid #333; text-align: right; }
+  .invoice tfoot td { font-weight: bold; }
+</style>
+{{#copies}}
+<div class="invoice">
+  <div class="title-row">
+    <span class="doc-title">{{document_title}}</span>
+    <span class="copy-label">{{label}}</span>
+  </div>
+
+  {{#einvoice}}
+  <div class="irn">
+    <div class="details">
+      <div><span class="label">IRN:</span> {{irn}}</div>
+      <div><span class="label">Ack No:</span> {{ack_no}} &nbsp; <span class="label">Ack Date:</span> {{ack_date}}</div>
+      {{#is_cancelled}}<div class="cancelled">E-INVOICE CANCELLED{{#cancel_date}} ON {{cancel_date}}{{/cancel_date}}</div>{{/is_cancelled}}
+    </div>
+    {{#qr_image}}<img src="{{{qr_image}}}" alt="e-invoice QR code">{{/qr_image}}
+  </div>
+  {{/einvoice}}
+
+  <div class="head">
+    <div>
+      <div class="seller-name">{{seller.name}}</div>
+      <div>{{seller.address}}</div>
+      <div>{{seller.city}} {{seller.pincode}}</div>
+      <div>{{seller.state}}{{#seller.state_code}} ({{seller.state_code}}){{/seller.state_code}}</div>
+      {{#seller.gstin}}<div><span class="label">GSTIN:</span> {{seller.gstin}}</div>{{/seller.gstin}}
+      {{#seller.phone}}<div><span class="label">Phone:</span> {{seller.phone}}</div>{{/seller.phone}}
+    </div>
+    <div>
+      <div><span class="label">Invoice No:</span> <b>{{invoice.number}}</b></div>
+      <div><span class="label">Date:</span> {{invoice.date}}</div>
+      {{#invoice.due_date}}<div><span class="label">Due Date:</span> {{invoice.due_date}}</div>{{/invoice.due_date}}
+      {{#invoice.reference_no}}<div><span class="label">Reference:</span> {{invoice.reference_no}}</div>{{/invoice.reference_no}}
+      {{#invoice.original_invoice}}<div><span class="label">Against Invoice:</span> {{invoice.original_invoice}}</div>{{/invoice.original_invoice}}
+      <div><span class="label">Place of Supply:</span> {{invoice.place_of_supply}}</div>
+      <div><span class="label">Reverse Charge:</span> {{invoice.reverse_charge}}</div>
+    </div>
+  </div>
+
+  <div class="head">
+    <div>
+      <div class="label">Bill To</div>
+      <div><b>{{buyer.name}}</b></div>
+      <div>{{buyer.address}}</div>
+      <div>{{buyer.city}} {{buyer.pincode}}</div>
+      <div>{{buyer.state}}{{#buyer.state_code}} ({{buyer.state_code}}){{/buyer.state_code}}</div>
+      <div><span class="label">GSTIN:</span> {{buyer.gstin}}</div>
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Description</th><th>HSN/SAC</th><th class="num">Qty</th><th class="num">Rate</th>
+        <th class="num">Taxable Value</th>
+        {{^is_bill_of_supply}}
+        <th class="num">GST %</th>
+        {{#is_interstate}}<th class="num">IGST</th>{{/is_interstate}}
+        {{^is_interstate}}<th class="num">CGST</th><th class="num">SGST</th>{{/is_interstate}}
+        {{#has_cess}}<th class="num">Cess</th>{{/has_cess}}
+        {{/is_bill_of_supply}}
+        <th class="num">Total</th>
+      </tr>
+    </thead>
+    <tbody>
+      {{#items}}
+      <tr>
+        <td>{{sl}}</td><td>{{description}}</td><td>{{hsn_code}}</td><td class="num">{{quantity}} {{unit}}</td>
+        <td class="num">{{rate}}</td><td class="num">{{taxable_amount}}</td>
+        {{^is_bill_of_supply}}
+        <td class="num">{{gst_rate}}</td>
+        {{#is_interstate}}<td class="num">{{igst_amount}}</td>{{/is_interstate}}
+        {{^is_interstate}}<td class="num">{{cgst_amount}}</td><td class="num">{{sgst_amount}}</td>{{/is_interstate}}
+        {{#has_cess}}<td class="num">{{cess_amount}}</td>{{/has_cess}}
+        {{/is_bill_of_supply}}
+        <td class="num">{{total_amount}}</td>
+      </tr>
+      {{/items}}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="5">Total</td><td class="num">{{totals.taxable_amount}}</td>
+        {{^is_bill_of_supply}}
+        <td></td>
+        {{#is_interstate}}<td class="num">{{totals.igst_amount}}</td>{{/is_interstate}}
+        {{^is_interstate}}<td class="num">{{totals.cgst_amount}}</td><td class="num">{{totals.sgst_amount}}</td>{{/is_interstate}}
+        {{#has_cess}}<td class="num">{{totals.cess_amount}}</td>{{/has_cess}}
+        {{/is_bill_of_supply}}
+        <td class="num">{{totals.total_amount}}</td>
+      </tr>
+    </tfoot>
+  </table>
+
+  {{^is_bill_of_supply}}
+  <table>
+    <thead>
+      <tr>
+        <th>HSN/SAC</th><th class="num">Taxable Value</th><th class="num">Rate</th>
+        {{#is_interstate}}<th class="num">IGST</th>{{/is_interstate}}
+        {{^is_interstate}}<th class="num">CGST</th><th class="num">SGST</th>{{/is_interstate}}
+        <th class="num">Total Tax</th>
+      </tr>
+    </thead>
+    <tbody>
+      {{#hsn_summary}}
+      <tr>
+        <td>{{hsn_code}}</td><td class="num">{{taxable_amount}}</td><td class="num">{{gst_rate}}</td>
+        {{#is_interstate}}<td class="num">{{igst_amount}}</td>{{/is_interstate}}
+        {{^is_interstate}}<td class="num">{{cgst_amount}}</td><td class="num">{{sgst_amount}}</td>{{/is_interstate}}
+        <td class="num">{{total_tax}}</td>
+      </tr>
+      {{/hsn_summary}}
+    </tbody>
+  </table>
+  {{/is_bill_of_supply}}
+
+  <div class="words">
+    <div><span class="label">Amount Chargeable (in words):</span> <b>{{totals.amount_in_words}}</b></div>
+    {{#totals.round_off}}<div><span class="label">Round off:</span> {{totals.round_off}}</div>{{/totals.round_off}}
+    {{^is_bill_of_supply}}<div><span class="label">Tax Amount (in words):</span> {{totals.tax_in_words}}</div>{{/is_bill_of_supply}}
+    {{#declaration}}<div><b>{{declaration}}</b></div>{{/declaration}}
+  </div>
+
+  <div class="footer">
+    <div>
+      {{#seller.bank_name}}
+      <div class="label">Bank Details</div>
+      <div>{{seller.bank_name}}</div>
+      <div>A/c No: {{seller.bank_account}} &nbsp; IFSC: {{seller.bank_ifsc}}</div>
+      {{/seller.bank_name}}
+      {{#invoice.narration}}<div class="label">Notes</div><div>{{invoice.narration}}</div>{{/invoice.narration}}
+    </div>
+    <div>
+      <div>for <b>{{seller.name}}</b></div>
+      <div style="margin-top: 40px;">Authorised Signatory</div>
+    </div>
+  </div>
+</div>
+{{/copies}}
+`;
+
+// Built-in templates
+const BUILT_IN_TEMPLATES = {
+  standard: { name: 'standard', description: 'GST tax invoice with HSN summary and e-invoice QR', html: STANDARD_TEMPLATE }
+};
+
+/**
+ * Initialize the invoice template service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[InvoiceTemplateService] Initialized');
+  createTemplateTables();
+}
+
+/**
+ * Create template tables
+ */
+function createTemplateTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Custom invoice templates (override built-ins with the same name)
+    CREATE TABLE IF NOT EXISTS invoice_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      html TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Look up a dotted name in a stack of contexts (innermost first)
+ * @param {Array} stack - Contexts
+ * @param {string} name - Name, e.g. seller.gstin
+ */
+function lookup(stack, name) {
+  for (const context of stack) {
+    if (context === null || typeof context !== 'object') continue;
+    const [head, ...rest] = name.split('.');
+    if (!(head in context)) continue;
+    return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+  }
+  return undefined;
+}
+
+/**
+ * Render a template against a view
+ * @param {string} template - Template HTML
+ * @param {Object} view - Values
+ * @param {Array} stack - Enclosing contexts (used for nested sections)
+ * @returns {string} HTML
+ */
+function renderTemplate(template, view, stack = []) {
+  const contexts = [view, ...stack];
+
+  const withSections = template.replace(/\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, name, inner) => {
+    const value = lookup(contexts, name);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+
+    if (type === '^') return empty ? renderTemplate(inner, {}, contexts) : '';
+    if (empty) return '';
+    if (Array.isArray(value)) return value.map(item => renderTemplate(inner, item, contexts)).join('');
+    return renderTemplate(inner, typeof value === 'object' ? value : {}, contexts);
+  });
+
+  return withSections
+    .replace(/\{\{\{([\w.]+)\}\}\}/g, (match, name) => {
+      const value = lookup(contexts, name);
+      return value === null || value === undefined ? '' : String(value);
+    })
+    .replace(/\{\{([\w.]+)\}\}/g, (match, name) => escapeHtml(lookup(contexts, name)));
+}
+
+/**
+ * Spell out an amount in Indian numbering (lakh, crore)
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "Rupees One Lakh Eighteen Thousand Only"
+ */
+function amountInWords(amount) {
+  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+  const twoDigits = (n) => (n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]}${n % 10 ? ` ${ones[n % 10]}` : ''}`);
+  const threeDigits = (n) => {
+    const hundred = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundred ? `${ones[hundred]} Hundred` : '', rest ? twoDigits(rest) : ''].filter(Boolean).join(' ');
+  };
+  const spell = (n) => {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    const rest = n % 1000;
+    if (crore) parts.push(`${crore > 99 ? spell(crore) : twoDigits(crore)} Crore`);
+    if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+    if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+    if (rest) parts.push(threeDigits(rest));
+    return parts.join(' ');
+  };
+
+  const rounded = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(rounded / 100);
+  const paise = rounded % 100;
+  return `Rupees ${spell(rupees)}${paise ? ` and ${twoDigits(paise)} Paise` : ''} Only`;
+}
+
+/**
+ * Format a number as Indian currency without the symbol
+ * @param {number} value - Amount
+ */
+function money(value) {
+  return Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format an ISO date as DD/MM/YYYY
+ * @param {string} date - Date
+ */
+function displayDate(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+  return match ? `${match[3]}/${match[2]}/${match[1]}` : (date || '');
+}
+
+/**
+ * Collect everything printed on an invoice
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object>} Invoice view
+ */
+async function getInvoiceData(transactionId) {
+  const transaction = db.prepare(`
+    SELECT t.*, p.name as party_name, p.gstin as party_gstin, p.address as party_address, p.city as party_city,
+      p.state as party_state, p.pincode as party_pincode, p.state_code as party_state_code,
+      o.voucher_no as original_voucher_no, o.date as original_date
+    FROM transactions t
+    LEFT JOIN parties p ON t.party_id = p.id
+    LEFT JOIN transactions o ON t.original_transaction_id = o.id
+    WHERE t.id = ?
+  `).get(transactionId);
+
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  const business = branchService.getBranchInfo(transaction.branch_id);
+
+  const lines = db.prepare('SELECT * FROM transaction_items WHERE transaction_id = ? ORDER BY line_no').all(transactionId);
+  const isInterstate = lines.some(line => line.igst_amount > 0) || transaction.igst_amount > 0;
+  const hasCess = lines.some(line => line.cess_amount > 0);
+
+  const items = lines.map((line, index) => ({
+    sl: index + 1,
+    description: line.description || '',
+    hsn_code: line.hsn_code || '',
+    quantity: line.quantity,
+    unit: line.unit || '',
+    rate: money(line.rate),
+    discount_amount: money(line.discount_amount),
+    taxable_amount: money(line.taxable_amount),
+    gst_rate: `${line.gst_rate || 0}%`,
+    cgst_amount: money(line.cgst_amount),
+    sgst_amount: money(line.sgst_amount),
+    igst_amount: money(line.igst_amount),
+    cess_amount: money(line.cess_amount),
+    total_amount: money(line.total_amount)
+  }));
+
+  // HSN-wise tax summary
+  const hsnGroups = new Map();
+  lines.forEach(line => {
+    const key = `${line.hsn_code || '-'}|${line.gst_rate || 0}`;
+    const group = hsnGroups.get(key) || { hsn_code: line.hsn_code || '-', gst_rate: line.gst_rate || 0, taxable: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+    group.taxable += line.taxable_amount || 0;
+    group.cgst += line.cgst_amount || 0;
+    group.sgst += line.sgst_amount || 0;
+    group.igst += line.igst_amount || 0;
+    group.cess += line.cess_amount || 0;
+    hsnGroups.set(key, group);
+  });
+  const hsnSummary = Array.from(hsnGroups.values()).map(group => ({
+    hsn_code: group.hsn_code,
+    gst_rate: `${group.gst_rate}%`,
+    taxable_amount: money(group.taxable),
+    cgst_amount: money(group.cgst),
+    sgst_amount: money(group.sgst),
+    igst_amount: money(group.igst),
+    total_tax: money(group.cgst + group.sgst + group.igst + group.cess)
+  }));
+
+  const sum = (field) => lines.reduce((total, line) => total + (line[field] || 0), 0);
+  const totalTax = sum('cgst_amount') + sum('sgst_amount') + sum('igst_amount') + sum('cess_amount');
+  const roundOff = Math.round((transaction.total_amount - sum('total_amount')) * 100) / 100;
+
+  // Latest registered e-invoice, if any
+  const einvoiceRecord = db.prepare(`
+    SELECT * FROM einvoice_records WHERE transaction_id = ? AND status IN ('success', 'cancelled')
+    ORDER BY CASE status WHEN 'success' THEN 0 ELSE 1 END, id DESC
+  `).get(transactionId);
+
+  let einvoice = null;
+  if (einvoiceRecord && einvoiceRecord.irn) {
+    einvoice = {
+      irn: einvoiceRecord.irn,
+      ack_no: einvoiceRecord.ack_no,
+      ack_date: einvoiceRecord.ack_date,
+      is_cancelled: einvoiceRecord.status === 'cancelled',
+      cancel_date: einvoiceRecord.cancel_date || null,
+      signed_qr_code: einvoiceRecord.signed_qr_code,
+      qr_image: einvoiceRecord.signed_qr_code
+        ? await QRCode.toDataURL(einvoiceRecord.signed_qr_code, { errorCorrectionLevel: 'M', margin: 1, width: 260 })
+        : null
+    };
+  }
+
+  const buyerStateCode = transaction.party_state_code || (transaction.party_gstin ? transaction.party_gstin.slice(0, 2) : '');
+  const sellerStateCode = business.state_code || (business.gstin ? business.gstin.slice(0, 2) : '');
+
+  const billOfSupply = transaction.voucher_type === 'sale' && Boolean(transaction.bill_of_supply);
+
+  return {
+    document_title: billOfSupply ? 'BILL OF SUPPLY' : DOCUMENT_TITLES[transaction.voucher_type] || 'INVOICE',
+    is_bill_of_supply: transaction.bill_of_supply === 1,
+    declaration: transaction.bill_of_supply ? COMPOSITION_DECLARATION : '',
+    is_interstate: isInterstate,
+    has_cess: hasCess,
+    seller: {
+      name: business.business_name || business.name || '',
+      address: business.address || '',
+      city: business.city || '',
+      state: business.state || '',
+      state_code: sellerStateCode,
+      pincode: business.pincode || '',
+      gstin: business.gstin || '',
+      phone: business.phone || '',
+      email: business.email || '',
+      bank_name: business.bank_name || '',
+      bank_account: business.bank_account || business.account_number || '',
+      bank_ifsc: business.bank_ifsc || business.ifsc || ''
+    },
+    buyer: {
+      name: transaction.party_name || 'Cash',
+      address: transaction.party_address || '',
+      city: transaction.party_city || '',
+      state: transaction.party_state || '',
+      state_code: buyerStateCode,
+      pincode: transaction.party_pincode || '',
+      gstin: transaction.party_gstin || 'Unregistered'
+    },
+    invoice: {
+      id: transaction.id,
+      number: transaction.voucher_no,
+      date: displayDate(transaction.date),
+      due_date: displayDate(transaction.due_date),
+      reference_no: transaction.reference_no || '',
+      original_invoice: transaction.original_voucher_no
+        ? `${transaction.original_voucher_no} dated ${displayDate(transaction.original_date)}`
+        : '',
+      place_of_supply: [transaction.party_state || business.state || '', buyerStateCode ? `(${buyerStateCode})` : ''].filter(Boolean).join(' '),
+      reverse_charge: transaction.reverse_charge ? 'Yes' : 'No',
+      narration: transaction.narration || ''
+    },
+    items,
+    hsn_summary: hsnSummary,
+    totals: {
+      taxable_amount: money(sum('taxable_amount')),
+      cgst_amount: money(sum('cgst_amount')),
+      sgst_amount: money(sum('sgst_amount')),
+      igst_amount: money(sum('igst_amount')),
+      cess_amount: money(sum('cess_amount')),
+      total_tax: money(totalTax),
+      round_off: roundOff ? money(roundOff) : '',
+      total_amount: money(transaction.total_amount),
+      amount_in_words: amountInWords(transaction.total_amount),
+      tax_in_words: amountInWords(totalTax)
+    },
+    einvoice
+  };
+}
+
+/**
+ * Get a template by name (saved templates override built-ins)
+ * @param {string} name - Template name
+ */
+function getTemplate(name = 'standard') {
+  const saved = db ? db.prepare('SELECT * FROM invoice_templates WHERE name = ?').get(name) : null;
+  return saved || BUILT_IN_TEMPLATES[name] || null;
+}
+
+/**
+ * List available templates
+ */
+function getTemplates() {
+  const saved = db ? db.prepare('SELECT id, name, description, updated_at FROM invoice_templates ORDER BY name').all() : [];
+  const builtIn = Object.values(BUILT_IN_TEMPLATES)
+    .filter(template => !saved.some(s => s.name === template.name))
+    .map(template => ({ name: template.name, description: template.description, built_in: true }));
+  return builtIn.concat(saved.map(template => ({ ...template, built_in: false, overrides_built_in: !!BUILT_IN_TEMPLATES[template.name] })));
+}
+
+/**
+ * Save a custom template
+ * @param {Object} template - { name, description, html }
+ */
+function saveTemplate(template) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    if (!template.name || !/^[a-z0-9_-]+$/i.test(template.name)) {
+      return { success: false, error: 'Template name may contain only letters, digits, - and _' };
+    }
+    if (!template.html || !template.html.includes('{{')) {
+      return { success: false, error: 'Template HTML is required' };
+    }
+
+    db.prepare(`
+      INSERT INTO invoice_templates (name, description, html) VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET description = excluded.description, html = excluded.html, updated_at = CURRENT_TIMESTAMP
+    `).run(template.name, template.description || null, template.html);
+
+    return { success: true };
+  } catch (error) {
+    console.error('[InvoiceTemplateService] Save template error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a custom template (restores the built-in of the same name, if any)
+ * @param {string} name - Template name
+ */
+function deleteTemplate(name) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const result = db.prepare('DELETE FROM invoice_templates WHERE name = ?').run(name);
+  if (!result.changes) return { success: false, error: BUILT_IN_TEMPLATES[name] ? 'Built-in templates cannot be deleted' : 'Template not found' };
+  return { success: true };
+}
+
+/**
+ * Render a printable invoice
+ * @param {number} transactionId - Transaction ID
+ * @param {Object} options - { template, copies: ['original', 'duplicate', 'triplicate'] }
+ * @returns {Promise<Object>} { success, html, title, data }
+ */
+async function renderInvoice(transactionId, options = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const template = getTemplate(options.template || 'standard');
+    if (!template) return { success: false, error: `Template not found: ${options.template}` };
+
+    const data = await getInvoiceData(transactionId);
+    const copies = (options.copies && options.copies.length ? options.copies : ['original'])
+      .map(copy => ({ label: COPY_LABELS[copy] || String(copy).toUpperCase() }));
+
+    const html = renderTemplate(template.html, { ...data, copies });
+    const titles = { 'TAX INVOICE': 'Tax Invoice', 'BILL OF SUPPLY': 'Bill of Supply' };
+    const title = `${titles[data.document_title] || data.document_title} ${data.invoice.number}`;
+
+    return {
+      success: true,
+      html,
+      title,
+      data: {
+        invoice: data.invoice,
+        totals: data.totals,
+        irn: data.einvoice ? data.einvoice.irn : null,
+        einvoice_cancelled: data.einvoice ? data.einvoice.is_cancelled : false
+      }
+    };
+  } catch (error) {
+    console.error('[InvoiceTemplateService] Render error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  initialize,
+  renderInvoice,
+  renderTemplate,
+  getInvoiceData,
+  getTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  amountInWords,
+  COPY_LABELS
+};
@@ -0,0 +1,387 @@
+/**
+ * IRP Client
+ *
+ * Speaks the NIC Invoice Registration Portal (IRP) e-invoice API:
+ * - Authentication: a random 32-byte app key is RSA-encrypted with the IRP
+ *   public key; the portal returns an auth token and a session key (SEK)
+ *   that is AES-encrypted with the app key
+ * - Generate IRN, cancel IRN and get e-invoice by IRN, with request and
+ *   response payloads AES-256-ECB encrypted under the SEK
+ * - Decoding of the signed invoice and signed QR code JWTs
+ * - Mapping of IRP error codes to messages and the action to take
+ *
+ * The HTTP layer is a pluggable transport: any object with
+ * `request({ method, url, headers, body })` resolving to `{ status, data }`.
+ * createHttpTransport() is the production transport; mockIrpServer provides
+ * one that answers offline.
+ */
+
+const crypto = require('crypto');
+
+// API paths, relative to the IRP base URL
+const IRP_ENDPOINTS = {
+  auth: '/eivital/v1.04/auth',
+  generate: '/eicore/v1.03/Invoice',
+  cancel: '/eicore/v1.03/Invoice/Cancel',
+  getByIrn: '/eicore/v1.03/Invoice/irn'
+};
+
+// Base URLs by mode
+const IRP_BASE_URLS = {
+  sandbox: 'https://einv-apisandbox.nic.in',
+  production: 'https://einv-api.nic.in'
+};
+
+// Re-authenticate this long before the token actually expires
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Cancellation reason codes (CnlRsn)
+const CANCEL_REASONS = {
+  duplicate: '1',
+  data_entry_mistake: '2',
+  order_cancelled: '3',
+  other: '4'
+};
+
+// Common IRP error codes: message and what the caller should do about it
+// (reauthenticate, fetch_existing, fix_data, none)
+const IRP_ERROR_CODES = {
+  '1004': { message: 'Header GSTIN is required', action: 'fix_data' },
+  '1005': { message: 'Invalid or expired auth token', action: 'reauthenticate' },
+  '1007': { message: 'Invalid client id or client secret', action: 'fix_data' },
+  '1008': { message: 'Invalid user name or password', action: 'fix_data' },
+  '2150': { message: 'Duplicate IRN: this document is already registered', action: 'fetch_existing' },
+  '2163': { message: 'Document date cannot be a future date', action: 'fix_data' },
+  '2172': { message: 'Invoice value does not match the sum of item values', action: 'fix_data' },
+  '2176': { message: 'Document number format is invalid (max 16 characters: A-Z, 0-9, / and -)', action: 'fix_data' },
+  '2189': { message: 'Invalid HSN code', action: 'fix_data' },
+  '2265': { message: 'Recipient GSTIN state code does not match the recipient state code', action: 'fix_data' },
+  '2270': { message: 'Cancellation time limit (24 hours) has passed; issue a credit note instead', action: 'none' },
+  '2283': { message: 'IRN details are only available for 2 days after generation', action: 'none' },
+  '3028': { message: 'GSTIN is not present in the e-invoice master', action: 'fix_data' },
+  '3029': { message: 'GSTIN is not active', action: 'fix_data' },
+  '5002': { message: 'Request could not be decrypted with the session key', action: 'reauthenticate' },
+  '9999': { message: 'Invoice is not active (already cancelled)', action: 'none' }
+};
+
+/**
+ * Encrypt with the IRP public key (RSA, PKCS#1 v1.5)
+ * @param {string} publicKey - PEM public key
+ * @param {Buffer|string} data - Data to encrypt
+ * @returns {string} Base64 ciphertext
+ */
+function rsaEncrypt(publicKey, data) {
+  return crypto.publicEncrypt(
+    { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.isBuffer(data) ? data : Buffer.from(data)
+  ).toString('base64');
+}
+
+/**
+ * AES-256-ECB encrypt (PKCS#7 padding)
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer|string} data - Plain data
+ * @returns {string} Base64 ciphertext
+ */
+function aesEncrypt(key, data) {
+  const cipher = crypto.createCipheriv('aes-256-ecb', key, null);
+  return Buffer.concat([cipher.update(Buffer.isBuffer(data) ? data : Buffer.from(data)), cipher.final()]).toString('base64');
+}
+
+/**
+ * AES-256-ECB decrypt (PKCS#7 padding)
+ * @param {Buffer} key - 32-byte key
+ * @param {string} data - Base64 ciphertext
+ * @returns {Buffer} Plain data
+ */
+function aesDecrypt(key, data) {
+  const decipher = crypto.createDecipheriv('aes-256-ecb', key, null);
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+/**
+ * Decode a JWT signed by the IRP (signed invoice or signed QR code). When a
+ * signing public key is given the RS256 signature is verified as well.
+ * @param {string} token - JWT
+ * @param {Object} options - { publicKey }
+ * @returns {Object} { header, payload, data, verified }
+ */
+function decodeSignedJWT(token, options = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new Error('Not a signed JWT');
+
+  const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  const header = decodePart(parts[0]);
+  const payload = decodePart(parts[1]);
+
+  let verified = null;
+  if (options.publicKey) {
+    if (header.alg !== 'RS256') throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+    verified = crypto.createVerify('RSA-SHA256')
+      .update(`${parts[0]}.${parts[1]}`)
+      .verify(options.publicKey, Buffer.from(parts[2], 'base64url'));
+  }
+
+  // The IRP puts the document as a JSON string in the "data" claim
+  const data = typeof payload.data === 'string' ? JSON.parse(payload.data) : payload.data;
+
+  return { header, payload, data, verified };
+}
+
+/**
+ * Decode the signed QR code of an e-invoice
+ * @param {string} signedQRCode - SignedQRCode from the IRP
+ * @param {Object} options - { publicKey } to verify the signature
+ * @returns {Object} { valid, verified, irn, seller_gstin, buyer_gstin, doc_no, doc_type, doc_date, total_value, item_count, main_hsn, irn_date }
+ */
+function decodeSignedQRCode(signedQRCode, options = {}) {
+  try {
+    const { data, payload, verified } = decodeSignedJWT(signedQRCode, options);
+
+    return {
+      valid: verified !== false,
+      verified,
+      issuer: payload.iss || null,
+      irn: data.Irn,
+      irn_date: data.IrnDt,
+      seller_gstin: data.SellerGstin,
+      buyer_gstin: data.BuyerGstin,
+      doc_no: data.DocNo,
+      doc_type: data.DocTyp,
+      doc_date: data.DocDt,
+      total_value: data.TotInvVal,
+      item_count: data.ItemCnt,
+      main_hsn: data.MainHsnCode
+    };
+  } catch (error) {
+    return { valid: false, verified: false, error: error.message };
+  }
+}
+
+/**
+ * Map IRP error details to codes, messages and the action to take
+ * @param {Array|string} errorDetails - ErrorDetails from the response
+ * @returns {Array} [{ code, message, action }]
+ */
+function mapErrors(errorDetails) {
+  let details = errorDetails;
+  if (typeof details === 'string') {
+    try {
+      details = JSON.parse(details);
+    } catch (error) {
+      details = [{ ErrorCode: '', ErrorMessage: details }];
+    }
+  }
+
+  return (Array.isArray(details) ? details : [details]).filter(Boolean).map(detail => {
+    const code = String(detail.ErrorCode || detail.errorCode || '');
+    const known = IRP_ERROR_CODES[code];
+    return {
+      code,
+      message: known ? known.message : detail.ErrorMessage || detail.errorMessage || 'Unknown IRP error',
+      portal_message: detail.ErrorMessage || detail.errorMessage || null,
+      action: known ? known.action : 'fix_data'
+    };
+  });
+}
+
+/**
+ * Production transport over HTTPS
+ * @param {Object} options - { timeout }
+ * @returns {Object} Transport
+ */
+function createHttpTransport(options = {}) {
+  const axios = require('axios');
+
+  return {
+    async request({ method, url, headers, body }) {
+      const response = await axios.request({
+        method,
+        url,
+        headers,
+        data: body,
+        timeout: options.timeout || 30000,
+        // IRP errors come back as JSON with Status 0; let the client read them
+        validateStatus: () => true
+      });
+      return { status: response.status, data: response.data };
+    }
+  };
+}
+
+/**
+ * Create an IRP client
+ * @param {Object} options
+ *   - baseUrl: IRP base URL (or mode: sandbox | production)
+ *   - transport: { request } (defaults to HTTPS)
+ *   - publicKey: IRP public key (PEM) used to encrypt the app key
+ *   - signingPublicKey: IRP key for verifying signed JWTs (optional)
+ *   - credentials: { clientId, clientSecret, username, password, gstin }
+ *   - session: saved { authToken, sek, tokenExpiry } to reuse
+ *   - onSession: called with the new session after each authentication
+ * @returns {Object} Client
+ */
+function createIrpClient(options = {}) {
+  const baseUrl = (options.baseUrl || IRP_BASE_URLS[options.mode] || IRP_BASE_URLS.sandbox).replace(/\/$/, '');
+  const transport = options.transport || createHttpTransport();
+  const credentials = options.credentials || {};
+  let session = options.session && options.session.authToken ? { ...options.session } : null;
+
+  const baseHeaders = () => ({
+    'Content-Type': 'application/json',
+    client_id: credentials.clientId,
+    client_secret: credentials.clientSecret,
+    gstin: credentials.gstin
+  });
+
+  const sessionValid = () => session && session.authToken && session.sek
+    && new Date(session.tokenExpiry).getTime() - TOKEN_EXPIRY_MARGIN_MS > Date.now();
+
+  /**
+   * Authenticate and obtain the auth token and session key
+   * @param {boolean} force - Ask the IRP for a fresh token even if one is active
+   */
+  async function authenticate(force = false) {
+    if (!force && sessionValid()) return { success: true, session };
+    if (!options.publicKey) return { success: false, error: 'IRP public key is not configured' };
+    if (!credentials.clientId || !credentials.username || !credentials.password || !credentials.gstin) {
+      return { success: false, error: 'IRP client id, user name, password and GSTIN are required' };
+    }
+
+    const appKey = crypto.randomBytes(32);
+    const authPayload = {
+      UserName: credentials.username,
+      Password: credentials.password,
+      AppKey: appKey.toString('base64'),
+      ForceRefreshAccessToken: Boolean(force)
+    };
+
+    const response = await transport.request({
+      method: 'POST',
+      url: `${baseUrl}${IRP_ENDPOINTS.auth}`,
+      headers: baseHeaders(),
+      body: { Data: rsaEncrypt(options.publicKey, Buffer.from(JSON.stringify(authPayload)).toString('base64')) }
+    });
+
+    const data = response.data || {};
+    if (String(data.Status) !== '1') {
+      const errors = mapErrors(data.ErrorDetails);
+      return { success: false, error: errors.map(e => e.message).join('; ') || `IRP authentication failed (HTTP ${response.status})`, errors };
+    }
+
+    session = {
+      authToken: data.Data.AuthToken,
+      sek: aesDecrypt(appKey, data.Data.Sek).toString('base64'),
+      tokenExpiry: new Date(String(data.Data.TokenExpiry).replace(' ', 'T')).toISOString(),
+      username: data.Data.UserName
+    };
+    if (options.onSession) options.onSession(session);
+
+    return { success: true, session };
+  }
+
+  /**
+   * Call an authenticated endpoint, re-authenticating once if the token was rejected
+   * @param {string} method - HTTP method
+   * @param {string} path - Endpoint path
+   * @param {Object} payload - Request document (encrypted with the SEK)
+   */
+  async function call(method, path, payload, retried = false) {
+    const auth = await authenticate();
+    if (!auth.success) return auth;
+
+    const sek = Buffer.from(session.sek, 'base64');
+    const response = await transport.request({
+      method,
+      url: `${baseUrl}${path}`,
+      headers: { ...baseHeaders(), user_name: credentials.username, AuthToken: session.authToken },
+      body: payload ? { Data: aesEncrypt(sek, JSON.stringify(payload)) } : undefined
+    });
+
+    const data = response.data || {};
+    if (String(data.Status) === '1') {
+      return { success: true, data: JSON.parse(aesDecrypt(sek, data.Data).toString('utf8')) };
+    }
+
+    const errors = mapErrors(data.ErrorDetails);
+    if (!retried && errors.some(e => e.action === 'reauthenticate')) {
+      session = null;
+      const reauth = await authenticate(true);
+      if (!reauth.success) return reauth;
+      return call(method, path, payload, true);
+    }
+
+    return {
+      success: false,
+      error: errors.map(e => (e.code ? `${e.code}: ${e.message}` : e.message)).join('; ') || `IRP request failed (HTTP ${response.status})`,
+      errors,
+      info: parseInfoDetails(data.InfoDtls)
+    };
+  }
+
+  /**
+   * Register an invoice and get its IRN, signed invoice and signed QR code
+   * @param {Object} payload - E-invoice JSON (schema 1.1)
+   */
+  async function generateIRN(payload) {
+    return call('POST', IRP_ENDPOINTS.generate, payload);
+  }
+
+  /**
+   * Cancel an IRN (allowed within 24 hours of generation)
+   * @param {string} irn - IRN
+   * @param {string} reason - duplicate | data_entry_mistake | order_cancelled | other (or code 1-4)
+   * @param {string} remarks - Remarks (max 100 characters)
+   */
+  async function cancelIRN(irn, reason = 'other', remarks = '') {
+    return call('POST', IRP_ENDPOINTS.cancel, {
+      Irn: irn,
+      CnlRsn: CANCEL_REASONS[reason] || (Object.values(CANCEL_REASONS).includes(String(reason)) ? String(reason) : CANCEL_REASONS.other),
+      CnlRem: String(remarks || 'Cancelled').slice(0, 100)
+    });
+  }
+
+  /**
+   * Get a registered e-invoice by its IRN
+   * @param {string} irn - IRN
+   */
+  async function getByIRN(irn) {
+    return call('GET', `${IRP_ENDPOINTS.getByIrn}/${encodeURIComponent(irn)}`);
+  }
+
+  return {
+    authenticate,
+    generateIRN,
+    cancelIRN,
+    getByIRN,
+    getSession: () => session,
+    decodeSignedQRCode: (signedQRCode) => decodeSignedQRCode(signedQRCode, { publicKey: options.signingPublicKey }),
+    decodeSignedInvoice: (signedInvoice) => decodeSignedJWT(signedInvoice, { publicKey: options.signingPublicKey })
+  };
+}
+
+/**
+ * Parse InfoDtls (e.g. the existing IRN returned with a duplicate error)
+ * @param {Array|string} infoDetails - InfoDtls from the response
+ * @returns {Array} [{ code, details }]
+ */
+function parseInfoDetails(infoDetails) {
+  if (!infoDetails) return [];
+  const list = typeof infoDetails === 'string' ? JSON.parse(infoDetails) : infoDetails;
+  return (Array.isArray(list) ? list : [list]).map(info => ({ code: info.InfCd, details: info.Desc }));
+}
+
+module.exports = {
+  IRP_ENDPOINTS,
+  IRP_BASE_URLS,
+  IRP_ERROR_CODES,
+  CANCEL_REASONS,
+  createIrpClient,
+  createHttpTransport,
+  decodeSignedJWT,
+  decodeSignedQRCode,
+  mapErrors,
+  rsaEncrypt,
+  aesEncrypt,
+  aesDecrypt
+};
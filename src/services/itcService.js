@@ -0,0 +1,471 @@
+/**
+ * Input Tax Credit Service
+ *
+ * Classifies the credit on each purchase and works out the credit that has
+ * to be reversed in a return period:
+ * - Blocked credits under section 17(5) of the CGST Act
+ * - Rule 42: common credit on inputs and input services, in the ratio of
+ *   exempt to total turnover
+ * - Rule 43: common credit on capital goods, spread over a five-year life
+ * - Rule 37: credit on invoices not paid within 180 days, reclaimed once
+ *   the supplier is paid
+ *
+ * Reversals under rules 42/43 and section 17(5) go to GSTR-3B table 4B(1),
+ * rule 37 reversals to 4B(2) and credit reclaimed on payment to 4D(1).
+ */
+
+const branchService = require('./branchService');
+
+let db = null;
+
+// How the credit on a purchase may be used
+const ITC_CATEGORIES = ['eligible', 'blocked', 'common'];
+
+// Section 17(5) clauses; HSN/SAC prefixes listed are blocked on their own
+const BLOCKED_CREDITS = {
+  '17(5)(a)': { description: 'Motor vehicles for transport of persons (up to 13 seats)', hsn: ['8703'] },
+  '17(5)(aa)': { description: 'Vessels and aircraft', hsn: [] },
+  '17(5)(ab)': { description: 'Insurance, servicing and repair of blocked vehicles, vessels and aircraft', hsn: [] },
+  '17(5)(b)(i)': { description: 'Food and beverages, outdoor catering, beauty treatment, health services, cosmetic surgery', hsn: ['99633', '99972'] },
+  '17(5)(b)(ii)': { description: 'Membership of a club, health and fitness centre', hsn: [] },
+  '17(5)(b)(iii)': { description: 'Travel benefits to employees on vacation', hsn: [] },
+  '17(5)(c)': { description: 'Works contract services for construction of immovable property', hsn: [] },
+  '17(5)(d)': { description: 'Construction of immovable property on own account', hsn: [] },
+  '17(5)(e)': { description: 'Tax paid under the composition scheme', hsn: [] },
+  '17(5)(fa)': { description: 'Goods or services used for CSR obligations', hsn: [] },
+  '17(5)(g)': { description: 'Goods or services for personal consumption', hsn: [] },
+  '17(5)(h)': { description: 'Goods lost, stolen, destroyed, written off, gifted or given as free samples', hsn: [] },
+  '17(5)(i)': { description: 'Tax paid under sections 74, 129 and 130', hsn: [] }
+};
+
+// Useful life of capital goods under rule 43, in months
+const CAPITAL_GOODS_LIFE_MONTHS = 60;
+
+// Days within which a supplier must be paid to keep the credit (rule 37)
+const PAYMENT_DAYS = 180;
+
+// Months to look back for turnover when a period has none (rule 42 proviso)
+const TURNOVER_LOOKBACK_MONTHS = 12;
+
+const TAX_HEADS = ['igst', 'cgst', 'sgst', 'cess'];
+
+/**
+ * Initialize the ITC service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[ITCService] Initialized');
+}
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Tax bucket from a row, optionally scaled
+ */
+function bucket(row = {}, factor = 1) {
+  return TAX_HEADS.reduce((acc, head) => {
+    acc[head] = round2((row[head] || row[`${head}_amount`] || 0) * factor);
+    return acc;
+  }, {});
+}
+
+/**
+ * Head-by-head sum of tax buckets
+ */
+function addBuckets(...buckets) {
+  return TAX_HEADS.reduce((acc, head) => {
+    acc[head] = round2(buckets.reduce((sum, b) => sum + (b[head] || 0), 0));
+    return acc;
+  }, {});
+}
+
+function bucketTotal(b) {
+  return round2(TAX_HEADS.reduce((sum, head) => sum + (b[head] || 0), 0));
+}
+
+/**
+ * SQL condition limiting vouchers to the branches of a registration
+ */
+function scopeOf(registration, alias = 't') {
+  return `COALESCE(${alias}.branch_id, 0) IN (${registration.branch_ids.map(Number).join(', ')})`;
+}
+
+/**
+ * Date a number of days after another
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Month index (year * 12 + month) of a date, for counting months
+ */
+function monthIndex(date) {
+  const [year, month] = date.split('-').map(Number);
+  return year * 12 + month - 1;
+}
+
+/**
+ * First and last day of the month a number of months before a date
+ */
+function monthBefore(date, months) {
+  const index = monthIndex(date) - months;
+  const year = Math.floor(index / 12);
+  const month = index % 12;
+  return {
+    startDate: new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0],
+    endDate: new Date(Date.UTC(year, month + 1, 0)).toISOString().split('T')[0]
+  };
+}
+
+/**
+ * The section 17(5) clause a purchase falls under on its HSN/SAC codes
+ * alone, when every line points to the same clause
+ * @param {Array} items - Invoice lines with hsn_code
+ * @returns {string|null} Clause, e.g. '17(5)(a)'
+ */
+function suggestBlockedCredit(items = []) {
+  if (items.length === 0) return null;
+
+  const clauses = items.map(item => {
+    const code = String(item.hsn_code || '');
+    return Object.keys(BLOCKED_CREDITS).find(clause =>
+      BLOCKED_CREDITS[clause].hsn.some(prefix => code.startsWith(prefix))) || null;
+  });
+  return clauses.every(clause => clause && clause === clauses[0]) ? clauses[0] : null;
+}
+
+/**
+ * Classify the credit on a purchase. Without an explicit category the
+ * purchase is eligible unless its lines are blocked by HSN/SAC. Blocked
+ * credit is not taken into the books, so the tax becomes part of the cost.
+ * @param {Object} transaction - { voucher_type, itc_category, itc_blocked_reason, is_capital_goods, is_itc_eligible }
+ * @param {Array} items - Invoice lines
+ * @returns {Object} Columns to save on the voucher (empty when not a purchase with credit)
+ */
+function classifyPurchase(transaction, items = []) {
+  if (transaction.voucher_type !== 'purchase' || transaction.is_itc_eligible === 0) return {};
+
+  let category = transaction.itc_category;
+  let reason = transaction.itc_blocked_reason || null;
+  if (!category) {
+    reason = suggestBlockedCredit(items);
+    category = reason ? 'blocked' : 'eligible';
+  }
+
+  if (!ITC_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown ITC category: ${category}`);
+  }
+  if (category === 'blocked' && !BLOCKED_CREDITS[reason]) {
+    throw new Error('Blocked credit needs the section 17(5) clause it falls under');
+  }
+
+  return {
+    itc_category: category,
+    itc_blocked_reason: category === 'blocked' ? reason : null,
+    is_capital_goods: transaction.is_capital_goods ? 1 : 0,
+    is_itc_eligible: category === 'blocked' ? 0 : 1
+  };
+}
+
+/**
+ * Section 17(5) clauses for pickers
+ */
+function getBlockedCredits() {
+  return Object.entries(BLOCKED_CREDITS).map(([clause, { description }]) => ({ clause, description }));
+}
+
+/**
+ * Exempt and total turnover of a period. Nil-rated and exempt lines count as
+ * exempt; exports and SEZ supplies are zero-rated, which is taxable.
+ */
+function getTurnover(startDate, endDate, registration) {
+  const row = db.prepare(`
+    SELECT
+      COALESCE(SUM(CASE WHEN t.voucher_type = 'credit_note' THEN -1 ELSE 1 END
+        * COALESCE(i.taxable_amount, t.taxable_amount)), 0) as total,
+      COALESCE(SUM(CASE WHEN COALESCE(i.gst_rate, t.gst_rate, 0) = 0
+          AND COALESCE(t.supply_nature, 'regular') NOT IN ('export', 'sez')
+          AND COALESCE(t.bill_of_supply, 0) = 0
+        THEN (CASE WHEN t.voucher_type = 'credit_note' THEN -1 ELSE 1 END) * COALESCE(i.taxable_amount, t.taxable_amount)
+        ELSE 0 END), 0) as exempt
+    FROM transactions t
+    LEFT JOIN transaction_items i ON i.transaction_id = t.id
+    WHERE t.voucher_type IN ('sale', 'credit_note')
+      AND t.is_cancelled = 0
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${scopeOf(registration)}
+  `).get(startDate, endDate);
+
+  return { exempt: round2(row.exempt), total: round2(row.total) };
+}
+
+/**
+ * Exempt to total turnover ratio (E/F) for a period. A period without
+ * turnover takes the ratio of the last month that had some.
+ */
+function getTurnoverRatio(startDate, endDate, registration) {
+  let turnover = getTurnover(startDate, endDate, registration);
+  let basis = { start_date: startDate, end_date: endDate };
+
+  for (let months = 1; turnover.total <= 0 && months <= TURNOVER_LOOKBACK_MONTHS; months++) {
+    const earlier = monthBefore(startDate, months);
+    turnover = getTurnover(earlier.startDate, earlier.endDate, registration);
+    basis = { start_date: earlier.startDate, end_date: earlier.endDate };
+  }
+
+  const ratio = turnover.total > 0 ? Math.min(1, Math.max(0, turnover.exempt / turnover.total)) : 0;
+  return { exempt_turnover: turnover.exempt, total_turnover: turnover.total, ratio: Math.round(ratio * 10000) / 10000, basis };
+}
+
+/**
+ * Credit on purchases of a period by category, net of debit notes
+ */
+function getCreditByCategory(startDate, endDate, registration) {
+  return db.prepare(`
+    SELECT
+      COALESCE(t.itc_category, 'eligible') as itc_category,
+      COALESCE(t.is_capital_goods, 0) as is_capital_goods,
+      t.itc_blocked_reason,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.igst_amount ELSE t.igst_amount END) as igst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cgst_amount ELSE t.cgst_amount END) as cgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.sgst_amount ELSE t.sgst_amount END) as sgst,
+      SUM(CASE WHEN t.voucher_type = 'debit_note' THEN -t.cess_amount ELSE t.cess_amount END) as cess
+    FROM transactions t
+    WHERE t.voucher_type IN ('purchase', 'debit_note')
+      AND t.is_cancelled = 0
+      AND (t.is_itc_eligible = 1 OR t.itc_category = 'blocked')
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${scopeOf(registration)}
+    GROUP BY 1, 2, 3
+  `).all(startDate, endDate);
+}
+
+/**
+ * Rule 43: the monthly share (1/60) of the credit on common capital goods
+ * still within their useful life, reversed in the exempt turnover ratio
+ */
+function getCapitalGoodsReversal(startDate, endDate, registration, ratio) {
+  const firstMonth = monthIndex(startDate);
+  const lastMonth = monthIndex(endDate);
+  const lifeStart = monthBefore(startDate, CAPITAL_GOODS_LIFE_MONTHS - 1).startDate;
+
+  const assets = db.prepare(`
+    SELECT t.id, t.voucher_no, t.date, p.name as party_name,
+      t.igst_amount - COALESCE(n.igst, 0) as igst,
+      t.cgst_amount - COALESCE(n.cgst, 0) as cgst,
+      t.sgst_amount - COALESCE(n.sgst, 0) as sgst,
+      t.cess_amount - COALESCE(n.cess, 0) as cess
+    FROM transactions t
+    LEFT JOIN parties p ON p.id = t.party_id
+    LEFT JOIN (
+      SELECT original_transaction_id,
+        SUM(igst_amount) as igst, SUM(cgst_amount) as cgst, SUM(sgst_amount) as sgst, SUM(cess_amount) as cess
+      FROM transactions
+      WHERE voucher_type = 'debit_note' AND is_cancelled = 0
+      GROUP BY original_transaction_id
+    ) n ON n.original_transaction_id = t.id
+    WHERE t.voucher_type = 'purchase'
+      AND t.is_cancelled = 0
+      AND t.is_itc_eligible = 1
+      AND t.itc_category = 'common'
+      AND t.is_capital_goods = 1
+      AND t.date >= ?
+      AND t.date <= ?
+      AND ${scopeOf(registration)}
+    ORDER BY t.date
+  `).all(lifeStart, endDate).map(asset => {
+    const credit = bucket(asset);
+    const first = Math.max(firstMonth, monthIndex(asset.date));
+    const last = Math.min(lastMonth, monthIndex(asset.date) + CAPITAL_GOODS_LIFE_MONTHS - 1);
+    const months = Math.max(0, last - first + 1);
+    return {
+      transaction_id: asset.id,
+      voucher_no: asset.voucher_no,
+      date: asset.date,
+      party_name: asset.party_name,
+      credit, // Tc
+      monthly_credit: bucket(credit, 1 / CAPITAL_GOODS_LIFE_MONTHS), // Tm
+      months_in_period: months,
+      life_ends: monthBefore(asset.date, 1 - CAPITAL_GOODS_LIFE_MONTHS).endDate
+    };
+  });
+
+  const commonCredit = addBuckets(...assets.map(asset => bucket(asset.credit, asset.months_in_period / CAPITAL_GOODS_LIFE_MONTHS)));
+  return {
+    assets,
+    common_credit: commonCredit, // Tr
+    reversal: bucket(commonCredit, ratio) // Te
+  };
+}
+
+/**
+ * Rule 37: credit on purchases not paid for within 180 days of the invoice
+ * is reversed in the period the 180 days run out, in proportion to the
+ * unpaid value, and reclaimed in the period the supplier is paid. Debit
+ * notes reduce what is owed.
+ */
+function getUnpaidSupplierReversal(startDate, endDate, registration) {
+  const purchases = db.prepare(`
+    SELECT t.id, t.voucher_no, t.date, t.total_amount,
+      t.igst_amount, t.cgst_amount, t.sgst_amount, t.cess_amount, p.name as party_name
+    FROM transactions t
+    LEFT JOIN parties p ON p.id = t.party_id
+    WHERE t.voucher_type = 'purchase'
+      AND t.is_cancelled = 0
+      AND t.is_itc_eligible = 1
+      AND t.reverse_charge = 0
+      AND t.total_amount > 0
+      AND t.date <= ?
+      AND ${scopeOf(registration)}
+  `).all(addDays(endDate, -PAYMENT_DAYS));
+
+  const paymentsStmt = db.prepare(`
+    SELECT amount, COALESCE(date, DATE(created_at)) as paid_on, 'payment' as source, reference
+    FROM payments WHERE transaction_id = ?
+    UNION ALL
+    SELECT total_amount as amount, date as paid_on, 'debit_note' as source, voucher_no as reference
+    FROM transactions WHERE original_transaction_id = ? AND voucher_type = 'debit_note' AND is_cancelled = 0
+    ORDER BY paid_on
+  `);
+
+  const reversals = [];
+  const reclaims = [];
+
+  purchases.forEach(purchase => {
+    const dueDate = addDays(purchase.date, PAYMENT_DAYS);
+    const settlements = paymentsStmt.all(purchase.id, purchase.id);
+    const settledByDue = settlements.filter(s => s.paid_on <= dueDate).reduce((sum, s) => sum + s.amount, 0);
+    let unpaid = round2(purchase.total_amount - settledByDue);
+    if (unpaid <= 0) return;
+
+    const credit = bucket(purchase);
+    const share = (amount) => bucket(credit, amount / purchase.total_amount);
+    const row = {
+      transaction_id: purchase.id,
+      voucher_no: purchase.voucher_no,
+      date: purchase.date,
+      party_name: purchase.party_name,
+      due_date: dueDate,
+      invoice_value: purchase.total_amount
+    };
+
+    if (dueDate >= startDate && dueDate <= endDate) {
+      reversals.push({ ...row, unpaid_amount: unpaid, reversal: share(unpaid) });
+    }
+
+    settlements.filter(s => s.paid_on > dueDate).forEach(settlement => {
+      const amount = Math.min(settlement.amount, unpaid);
+      unpaid = round2(unpaid - amount);
+      if (amount > 0 && settlement.paid_on >= startDate && settlement.paid_on <= endDate) {
+        reclaims.push({
+          ...row,
+          paid_on: settlement.paid_on,
+          paid_amount: round2(amount),
+          source: settlement.source,
+          reference: settlement.reference,
+          reclaim: share(amount)
+        });
+      }
+    });
+  });
+
+  return {
+    reversals,
+    reclaims,
+    reversed: addBuckets(...reversals.map(r => r.reversal)),
+    reclaimed: addBuckets(...reclaims.map(r => r.reclaim))
+  };
+}
+
+/**
+ * Working schedule of the credit to reverse (and reclaim) in a return period
+ * @param {Object} filters - { startDate, endDate, gstin }
+ * @returns {Object} Blocked credit, rule 42, rule 43 and rule 37 workings with
+ *   the GSTR-3B table 4B and 4D(1) figures
+ */
+function getITCReversals(filters = {}) {
+  if (!db) return null;
+
+  const { startDate, endDate } = filters;
+  const registration = branchService.getRegistration(filters.gstin);
+  const turnover = getTurnoverRatio(startDate, endDate, registration);
+  const rows = getCreditByCategory(startDate, endDate, registration);
+  const creditOf = (filter) => addBuckets(...rows.filter(filter).map(row => bucket(row)));
+
+  // Rule 42: T is all credit on inputs and input services, C2 the common part
+  const inputs = (row) => !row.is_capital_goods;
+  const blockedRows = rows.filter(row => row.itc_category === 'blocked');
+  const blocked = {
+    total: addBuckets(...blockedRows.map(row => bucket(row))),
+    by_reason: Object.values(blockedRows.reduce((byReason, row) => {
+      const clause = row.itc_blocked_reason || '17(5)';
+      byReason[clause] = byReason[clause] || {
+        clause,
+        description: BLOCKED_CREDITS[clause] ? BLOCKED_CREDITS[clause].description : null,
+        credit: bucket()
+      };
+      byReason[clause].credit = addBuckets(byReason[clause].credit, bucket(row));
+      return byReason;
+    }, {}))
+  };
+  const commonInputs = creditOf(row => inputs(row) && row.itc_category === 'common');
+  const rule42 = {
+    total_credit: creditOf(inputs), // T
+    blocked_credit: creditOf(row => inputs(row) && row.itc_category === 'blocked'), // T3
+    exclusive_taxable_credit: creditOf(row => inputs(row) && row.itc_category === 'eligible'), // T4
+    common_credit: commonInputs, // C2
+    reversal: bucket(commonInputs, turnover.ratio) // D1
+  };
+  rule42.eligible_common_credit = addBuckets(commonInputs, bucket(rule42.reversal, -1)); // C3
+
+  const rule43 = getCapitalGoodsReversal(startDate, endDate, registration, turnover.ratio);
+  const rule37 = getUnpaidSupplierReversal(startDate, endDate, registration);
+
+  const rules424317 = addBuckets(blocked.total, rule42.reversal, rule43.reversal);
+  const table4b = {
+    rules_42_43_17_5: rules424317, // 4B(1)
+    others: rule37.reversed, // 4B(2)
+    total: addBuckets(rules424317, rule37.reversed)
+  };
+
+  return {
+    gstin: registration.gstin,
+    period: { start_date: startDate, end_date: endDate },
+    turnover,
+    blocked,
+    rule42,
+    rule43,
+    rule37,
+    table_4b: table4b,
+    table_4d: { reclaimed: rule37.reclaimed }, // 4D(1)
+    summary: {
+      blocked: bucketTotal(blocked.total),
+      rule42: bucketTotal(rule42.reversal),
+      rule43: bucketTotal(rule43.reversal),
+      rule37: bucketTotal(rule37.reversed),
+      reclaimed: bucketTotal(rule37.reclaimed),
+      total_reversal: bucketTotal(table4b.total)
+    }
+  };
+}
+
+module.exports = {
+  initialize,
+  ITC_CATEGORIES,
+  getBlockedCredits,
+  suggestBlockedCredit,
+  classifyPurchase,
+  getTurnoverRatio,
+  getITCReversals
+};
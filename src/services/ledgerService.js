@@ -0,0 +1,1599 @@
+/**
+ * General Ledger Service
+ *
+ * Double-entry ledger that sits underneath the transactions, payments,
+ * expenses and bank feeds. Every business document is posted as a
+ * balanced journal entry against the chart of accounts, and financial
+ * statements are derived from the resulting account balances.
+ *
+ * Features:
+ * - Chart of accounts with default system ledgers
+ * - Balanced journal entries (debits must equal credits)
+ * - Auto-posting of sales, purchases, payments, expenses and bank lines
+ * - Journal, contra and credit/debit note vouchers
+ * - Reversal of posted entries on edit/cancel/delete
+ * - Trial balance, account ledgers and period balances
+ * - Financial year close with closing/opening balance snapshots
+ */
+
+let db = null;
+
+// Tolerance used when comparing debit and credit totals (paise)
+const BALANCE_TOLERANCE = 0.005;
+
+// Largest gap between an invoice total and its components booked to Round Off (rupees)
+const ROUND_OFF_LIMIT = 1;
+
+// Default chart of accounts: code, name, type, group
+const DEFAULT_ACCOUNTS = [
+  ['1000', 'Cash in Hand', 'asset', 'cash'],
+  ['1010', 'Bank Accounts', 'asset', 'bank'],
+  ['1100', 'Sundry Debtors', 'asset', 'receivables'],
+  ['1150', 'Branch Accounts', 'asset', 'branch_accounts'],
+  ['1200', 'Stock in Hand', 'asset', 'inventory'],
+  ['1300', 'Input CGST', 'asset', 'tax_input'],
+  ['1301', 'Input SGST', 'asset', 'tax_input'],
+  ['1302', 'Input IGST', 'asset', 'tax_input'],
+  ['1303', 'Input Cess', 'asset', 'tax_input'],
+  ['2000', 'Sundry Creditors', 'liability', 'payables'],
+  ['2100', 'Output CGST', 'liability', 'tax_output'],
+  ['2101', 'Output SGST', 'liability', 'tax_output'],
+  ['2102', 'Output IGST', 'liability', 'tax_output'],
+  ['2103', 'Output Cess', 'liability', 'tax_output'],
+  ['2110', 'GST Payable on Reverse Charge', 'liability', 'tax_output'],
+  ['2200', 'TDS Payable', 'liability', 'duties_taxes'],
+  ['2210', 'TCS Payable', 'liability', 'duties_taxes'],
+  ['2900', 'Suspense Account', 'liability', 'suspense'],
+  ['3000', 'Capital Account', 'equity', 'capital'],
+  ['3100', 'Retained Earnings', 'equity', 'reserves'],
+  ['4000', 'Sales', 'income', 'direct_income'],
+  ['4010', 'Sales Returns', 'income', 'direct_income'],
+  ['4100', 'Other Income', 'income', 'indirect_income'],
+  ['4110', 'Foreign Exchange Gain / Loss', 'income', 'indirect_income'],
+  ['5000', 'Purchases', 'expense', 'direct_expenses'],
+  ['5010', 'Purchase Returns', 'expense', 'direct_expenses'],
+  ['5020', 'Inter-Branch Stock Transfers', 'expense', 'direct_expenses'],
+  ['6000', 'General Expenses', 'expense', 'indirect_expenses'],
+  ['6900', 'Round Off', 'expense', 'indirect_expenses']
+];
+
+// System account codes used by auto-posting
+const ACCOUNTS = {
+  CASH: '1000',
+  BANK: '1010',
+  DEBTORS: '1100',
+  BRANCH_ACCOUNTS: '1150',
+  INPUT_CGST: '1300',
+  INPUT_SGST: '1301',
+  INPUT_IGST: '1302',
+  INPUT_CESS: '1303',
+  CREDITORS: '2000',
+  OUTPUT_CGST: '2100',
+  OUTPUT_SGST: '2101',
+  OUTPUT_IGST: '2102',
+  OUTPUT_CESS: '2103',
+  RCM_PAYABLE: '2110',
+  TDS_PAYABLE: '2200',
+  TCS_PAYABLE: '2210',
+  SUSPENSE: '2900',
+  RETAINED_EARNINGS: '3100',
+  SALES: '4000',
+  SALES_RETURNS: '4010',
+  FOREX_GAIN_LOSS: '4110',
+  PURCHASES: '5000',
+  PURCHASE_RETURNS: '5010',
+  STOCK_TRANSFERS: '5020',
+  GENERAL_EXPENSES: '6000',
+  ROUND_OFF: '6900'
+};
+
+// Account types whose normal balance is on the debit side
+const DEBIT_NATURE_TYPES = ['asset', 'expense'];
+
+// Financial years run April to March
+const FY_START_MONTH = 4;
+
+// Journal source type of the entry that closes income/expense into reserves
+const YEAR_CLOSE_SOURCE = 'year_close';
+
+// Voucher types that take goods out of stock (mirrors the main process)
+const STOCK_OUTWARD_TYPES = ['sale', 'debit_note'];
+
+/**
+ * Initialize the ledger service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[LedgerService] Initialized');
+  createLedgerTables();
+  seedDefaultAccounts();
+  postUnpostedDocuments();
+}
+
+/**
+ * Create ledger-related database tables
+ */
+function createLedgerTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Chart of accounts
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL, -- asset, liability, equity, income, expense
+      group_name TEXT, -- cash, bank, receivables, payables, tax_input, tax_output, ...
+      parent_id INTEGER,
+      bank_account_id INTEGER,
+      is_system INTEGER DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (parent_id) REFERENCES ledger_accounts(id)
+    );
+
+    -- Journal entry headers
+    CREATE TABLE IF NOT EXISTS journal_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entry_no TEXT UNIQUE,
+      date TEXT NOT NULL,
+      source_type TEXT, -- transaction, payment, expense, bank_transaction, bank_clearing, manual
+      source_id INTEGER,
+      branch_id INTEGER DEFAULT 0, -- branch whose books the entry belongs to (0 = head office)
+      narration TEXT,
+      is_reversal INTEGER DEFAULT 0,
+      reversed_entry_id INTEGER,
+      reversed_by INTEGER,
+      created_by TEXT DEFAULT 'system',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (reversed_entry_id) REFERENCES journal_entries(id)
+    );
+
+    -- Journal lines (one side of the entry each)
+    CREATE TABLE IF NOT EXISTS journal_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entry_id INTEGER NOT NULL,
+      account_id INTEGER NOT NULL,
+      party_id INTEGER,
+      debit REAL DEFAULT 0,
+      credit REAL DEFAULT 0,
+      narration TEXT,
+      FOREIGN KEY (entry_id) REFERENCES journal_entries(id),
+      FOREIGN KEY (account_id) REFERENCES ledger_accounts(id),
+      FOREIGN KEY (party_id) REFERENCES parties(id)
+    );
+
+    -- Financial years (April-March)
+    CREATE TABLE IF NOT EXISTS financial_years (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL, -- 2025-26
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      status TEXT DEFAULT 'open', -- open, closed
+      net_profit REAL DEFAULT 0,
+      closing_entry_id INTEGER,
+      closed_at TEXT,
+      closed_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (closing_entry_id) REFERENCES journal_entries(id)
+    );
+
+    -- Closing balances of a year and the opening balances they carry into the next
+    CREATE TABLE IF NOT EXISTS financial_year_balances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      financial_year_id INTEGER NOT NULL,
+      balance_type TEXT NOT NULL, -- opening, closing
+      entity_type TEXT NOT NULL, -- account, party, bank_account, product
+      entity_id INTEGER,
+      name TEXT,
+      balance REAL DEFAULT 0, -- signed, debit positive
+      quantity REAL,
+      value REAL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (financial_year_id) REFERENCES financial_years(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_source ON journal_entries(source_type, source_id);
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_date ON journal_entries(date);
+    CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines(entry_id);
+    CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(account_id);
+    CREATE INDEX IF NOT EXISTS idx_fy_balances_year ON financial_year_balances(financial_year_id, balance_type);
+  `);
+
+  // Entries posted before branches existed belong to the head office
+  const entryColumns = db.prepare('PRAGMA table_info(journal_entries)').all().map(column => column.name);
+  if (!entryColumns.includes('branch_id')) {
+    db.exec('ALTER TABLE journal_entries ADD COLUMN branch_id INTEGER DEFAULT 0');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_journal_entries_branch ON journal_entries(branch_id)');
+}
+
+/**
+ * Seed the default chart of accounts
+ */
+function seedDefaultAccounts() {
+  if (!db) return;
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO ledger_accounts (code, name, type, group_name, is_system)
+    VALUES (?, ?, ?, ?, 1)
+  `);
+
+  for (const [code, name, type, group] of DEFAULT_ACCOUNTS) {
+    stmt.run(code, name, type, group);
+  }
+}
+
+/**
+ * Round an amount to two decimals
+ */
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Normalize a date/datetime string to YYYY-MM-DD
+ */
+function toDateOnly(value) {
+  if (!value) return new Date().toISOString().split('T')[0];
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Look up a ledger account by code
+ */
+function getAccountByCode(code) {
+  if (!db) return null;
+  return db.prepare('SELECT * FROM ledger_accounts WHERE code = ?').get(code) || null;
+}
+
+/**
+ * Resolve a journal line's account (by id or code) to an account id
+ */
+function resolveAccountId(line) {
+  if (line.account_id) return line.account_id;
+  if (line.account_code) {
+    const account = getAccountByCode(line.account_code);
+    return account ? account.id : null;
+  }
+  return null;
+}
+
+/**
+ * Get the next free account code within a numeric range
+ */
+function getNextAccountCode(start, end) {
+  const row = db.prepare(`
+    SELECT MAX(CAST(code AS INTEGER)) as max_code FROM ledger_accounts
+    WHERE CAST(code AS INTEGER) BETWEEN ? AND ?
+  `).get(start, end);
+
+  const next = row && row.max_code ? row.max_code + 1 : start;
+  if (next > end) throw new Error(`No free account codes between ${start} and ${end}`);
+  return String(next);
+}
+
+/**
+ * Get (or create) the expense ledger for an expense category
+ * @param {string} category - Expense category name
+ */
+function getExpenseAccount(category) {
+  if (!category) return getAccountByCode(ACCOUNTS.GENERAL_EXPENSES);
+
+  const existing = db.prepare(`
+    SELECT * FROM ledger_accounts WHERE type = 'expense' AND group_name = 'indirect_expenses' AND LOWER(name) = LOWER(?)
+  `).get(category);
+  if (existing) return existing;
+
+  const code = getNextAccountCode(6001, 6899);
+  const result = db.prepare(`
+    INSERT INTO ledger_accounts (code, name, type, group_name, parent_id)
+    VALUES (?, ?, 'expense', 'indirect_expenses', ?)
+  `).run(code, category, getAccountByCode(ACCOUNTS.GENERAL_EXPENSES).id);
+
+  return db.prepare('SELECT * FROM ledger_accounts WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Get (or create) the ledger for a bank account from the banking module
+ * @param {number} bankAccountId - bank_accounts.id
+ */
+function getBankLedgerAccount(bankAccountId) {
+  const parent = getAccountByCode(ACCOUNTS.BANK);
+  if (!bankAccountId) return parent;
+
+  const existing = db.prepare('SELECT * FROM ledger_accounts WHERE bank_account_id = ?').get(bankAccountId);
+  if (existing) return existing;
+
+  const bankAccount = db.prepare('SELECT * FROM bank_accounts WHERE id = ?').get(bankAccountId);
+  if (!bankAccount) return parent;
+
+  const suffix = bankAccount.account_number ? ` - ${String(bankAccount.account_number).slice(-4)}` : '';
+  const code = getNextAccountCode(1011, 1099);
+  const result = db.prepare(`
+    INSERT INTO ledger_accounts (code, name, type, group_name, parent_id, bank_account_id)
+    VALUES (?, ?, 'asset', 'bank', ?, ?)
+  `).run(code, `${bankAccount.bank_name}${suffix}`, parent.id, bankAccountId);
+
+  return db.prepare('SELECT * FROM ledger_accounts WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Cash or bank ledger code for a payment method
+ */
+function getSettlementAccountCode(method) {
+  return !method || String(method).toLowerCase() === 'cash' ? ACCOUNTS.CASH : ACCOUNTS.BANK;
+}
+
+/**
+ * Post a balanced journal entry
+ * @param {Object} entry - { date, source_type, source_id, narration, created_by, lines }
+ *   Each line: { account_id | account_code, debit, credit, party_id, narration }
+ */
+function postJournalEntry(entry) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const lines = (entry.lines || [])
+      .map(line => ({
+        ...line,
+        account_id: resolveAccountId(line),
+        debit: round2(line.debit),
+        credit: round2(line.credit)
+      }))
+      .filter(line => line.debit !== 0 || line.credit !== 0);
+
+    if (lines.length < 2) {
+      return { success: false, error: 'A journal entry needs at least two lines' };
+    }
+
+    for (const line of lines) {
+      if (!line.account_id) {
+        return { success: false, error: `Unknown ledger account: ${line.account_code || line.account_id}` };
+      }
+      if (line.debit < 0 || line.credit < 0 || (line.debit > 0 && line.credit > 0)) {
+        return { success: false, error: 'Each journal line must carry a single positive debit or credit' };
+      }
+    }
+
+    const totalDebit = round2(lines.reduce((sum, l) => sum + l.debit, 0));
+    const totalCredit = round2(lines.reduce((sum, l) => sum + l.credit, 0));
+
+    if (Math.abs(totalDebit - totalCredit) > BALANCE_TOLERANCE) {
+      return {
+        success: false,
+        error: `Journal entry is not balanced (debit ${totalDebit}, credit ${totalCredit})`
+      };
+    }
+
+    const closedYear = getClosedYearForDate(entry.date);
+    if (closedYear && entry.source_type !== YEAR_CLOSE_SOURCE) {
+      return { success: false, error: `Financial year ${closedYear.name} is closed` };
+    }
+
+    const insertEntry = db.prepare(`
+      INSERT INTO journal_entries (date, source_type, source_id, branch_id, narration, is_reversal, reversed_entry_id, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertLine = db.prepare(`
+      INSERT INTO journal_lines (entry_id, account_id, party_id, debit, credit, narration)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const post = db.transaction(() => {
+      const result = insertEntry.run(
+        toDateOnly(entry.date),
+        entry.source_type || 'manual',
+        entry.source_id || null,
+        entry.branch_id || 0,
+        entry.narration || null,
+        entry.is_reversal ? 1 : 0,
+        entry.reversed_entry_id || null,
+        entry.created_by || 'system'
+      );
+
+      const entryId = result.lastInsertRowid;
+      const entryNo = `JE/${String(entryId).padStart(6, '0')}`;
+      db.prepare('UPDATE journal_entries SET entry_no = ? WHERE id = ?').run(entryNo, entryId);
+
+      for (const line of lines) {
+        insertLine.run(entryId, line.account_id, line.party_id || null, line.debit, line.credit, line.narration || null);
+      }
+
+      return { entryId, entryNo };
+    });
+
+    const { entryId, entryNo } = post();
+
+    return {
+      success: true,
+      entry_id: entryId,
+      entry_no: entryNo,
+      total: totalDebit,
+      message: 'Journal entry posted successfully'
+    };
+  } catch (error) {
+    console.error('[LedgerService] Post journal error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reverse all live entries posted for a source document
+ * @param {string} sourceType - Source type (transaction, payment, expense, bank_transaction)
+ * @param {number} sourceId - Source document id
+ * @param {string} narration - Reason for the reversal
+ */
+function reverseSourceEntries(sourceType, sourceId, narration = null) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const entries = db.prepare(`
+      SELECT * FROM journal_entries
+      WHERE source_type = ? AND source_id = ? AND is_reversal = 0 AND reversed_by IS NULL
+    `).all(sourceType, sourceId);
+
+    let reversed = 0;
+
+    for (const original of entries) {
+      const lines = db.prepare('SELECT * FROM journal_lines WHERE entry_id = ?').all(original.id);
+
+      // Reversals carry the original date so the period the document belonged to is corrected
+      const result = postJournalEntry({
+        date: original.date,
+        source_type: sourceType,
+        source_id: sourceId,
+        branch_id: original.branch_id,
+        narration: narration || `Reversal of ${original.entry_no}`,
+        is_reversal: true,
+        reversed_entry_id: original.id,
+        lines: lines.map(line => ({
+          account_id: line.account_id,
+          party_id: line.party_id,
+          debit: line.credit,
+          credit: line.debit,
+          narration: line.narration
+        }))
+      });
+
+      if (!result.success) return result;
+
+      db.prepare('UPDATE journal_entries SET reversed_by = ? WHERE id = ?').run(result.entry_id, original.id);
+      reversed++;
+    }
+
+    return { success: true, reversed_count: reversed };
+  } catch (error) {
+    console.error('[LedgerService] Reverse entries error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post a sale/purchase (or receipt/payment/expense voucher) from the transactions table
+ * @param {number} transactionId - transactions.id
+ */
+function postTransaction(transactionId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const txn = db.prepare('SELECT * FROM transactions WHERE id = ?').get(transactionId);
+    if (!txn) return { success: false, error: 'Transaction not found' };
+    if (txn.is_cancelled) return { success: true, skipped: true, message: 'Cancelled transactions are not posted' };
+
+    const total = round2(txn.total_amount);
+    const taxable = round2(txn.taxable_amount);
+    const settlement = getSettlementAccountCode(txn.payment_method);
+    // A party voucher always runs through the party ledger and its payments settle it there;
+    // only a voucher without a party is settled straight from the cash or bank account
+    const onCredit = Boolean(txn.party_id);
+    const narration = `${txn.voucher_type} ${txn.voucher_no}${txn.description ? ` - ${txn.description}` : ''}`;
+    // Stock sent to or received from another branch is not a sale or purchase of the business;
+    // it runs through the branch accounts so the consolidated books cancel it out
+    const interBranch = txn.counter_branch_id !== null && txn.counter_branch_id !== undefined;
+    // Tax on inward supplies whose credit cannot be taken (e.g. by a composition dealer) is part of their cost
+    const inputTaxCost = txn.is_itc_eligible === 0
+      ? round2(txn.cgst_amount + txn.sgst_amount + txn.igst_amount + txn.cess_amount)
+      : 0;
+    const taxes = [
+      ['cgst_amount', ACCOUNTS.OUTPUT_CGST, ACCOUNTS.INPUT_CGST],
+      ['sgst_amount', ACCOUNTS.OUTPUT_SGST, ACCOUNTS.INPUT_SGST],
+      ['igst_amount', ACCOUNTS.OUTPUT_IGST, ACCOUNTS.INPUT_IGST],
+      ['cess_amount', ACCOUNTS.OUTPUT_CESS, ACCOUNTS.INPUT_CESS]
+    ];
+    const lines = [];
+
+    switch (txn.voucher_type) {
+      case 'sale': {
+        lines.push({
+          account_code: interBranch ? ACCOUNTS.BRANCH_ACCOUNTS : onCredit ? ACCOUNTS.DEBTORS : settlement,
+          party_id: txn.party_id,
+          debit: total
+        });
+        lines.push({ account_code: interBranch ? ACCOUNTS.STOCK_TRANSFERS : ACCOUNTS.SALES, credit: taxable });
+        for (const [field, outputCode] of taxes) {
+          lines.push({ account_code: outputCode, credit: txn[field] });
+        }
+        break;
+      }
+      case 'purchase':
+      case 'expense': {
+        const expenseCode = txn.voucher_type === 'purchase' ? ACCOUNTS.PURCHASES : ACCOUNTS.GENERAL_EXPENSES;
+        lines.push({ account_code: interBranch ? ACCOUNTS.STOCK_TRANSFERS : expenseCode, debit: round2(taxable + inputTaxCost) });
+        for (const [field, , inputCode] of taxes) {
+          lines.push({ account_code: inputCode, debit: inputTaxCost ? 0 : txn[field] });
+        }
+        lines.push({
+          account_code: interBranch ? ACCOUNTS.BRANCH_ACCOUNTS : onCredit ? ACCOUNTS.CREDITORS : settlement,
+          party_id: txn.party_id,
+          credit: total
+        });
+        // Under reverse charge the supplier's bill excludes tax; we owe it to the government and take the ITC
+        if (txn.reverse_charge) {
+          lines.push({
+            account_code: ACCOUNTS.RCM_PAYABLE,
+            credit: round2(txn.cgst_amount + txn.sgst_amount + txn.igst_amount + txn.cess_amount)
+          });
+        }
+        break;
+      }
+      case 'receipt':
+        lines.push({ account_code: settlement, debit: total });
+        lines.push({ account_code: ACCOUNTS.DEBTORS, party_id: txn.party_id, credit: total });
+        break;
+      case 'payment':
+        lines.push({ account_code: ACCOUNTS.CREDITORS, party_id: txn.party_id, debit: total });
+        lines.push({ account_code: settlement, credit: total });
+        break;
+      case 'credit_note': {
+        // Sales return: reverses the sale's income and output tax
+        lines.push({ account_code: ACCOUNTS.SALES_RETURNS, debit: taxable });
+        for (const [field, outputCode] of taxes) {
+          lines.push({ account_code: outputCode, debit: txn[field] });
+        }
+        lines.push({ account_code: onCredit ? ACCOUNTS.DEBTORS : settlement, party_id: txn.party_id, credit: total });
+        break;
+      }
+      case 'debit_note': {
+        // Purchase return: reverses the purchase cost and input tax
+        lines.push({ account_code: onCredit ? ACCOUNTS.CREDITORS : settlement, party_id: txn.party_id, debit: total });
+        lines.push({ account_code: ACCOUNTS.PURCHASE_RETURNS, credit: round2(taxable + inputTaxCost) });
+        for (const [field, , inputCode] of taxes) {
+          lines.push({ account_code: inputCode, credit: inputTaxCost ? 0 : txn[field] });
+        }
+        break;
+      }
+      case 'journal':
+      case 'contra': {
+        const voucherLines = db.prepare(
+          'SELECT account_id, party_id, debit, credit, narration FROM journal_voucher_lines WHERE transaction_id = ? ORDER BY line_no'
+        ).all(txn.id);
+        lines.push(...voucherLines);
+        break;
+      }
+      default:
+        return { success: true, skipped: true, message: `No posting rule for ${txn.voucher_type} vouchers` };
+    }
+
+    // Absorb the rounding difference between the invoice total and its components;
+    // anything larger is a voucher whose amounts do not add up
+    const difference = round2(
+      lines.reduce((sum, l) => sum + round2(l.debit) - round2(l.credit), 0)
+    );
+    if (Math.abs(difference) >= ROUND_OFF_LIMIT) {
+      return {
+        success: false,
+        error: `${txn.voucher_no} does not balance: its total differs from its lines by ${Math.abs(difference).toFixed(2)}`
+      };
+    }
+    if (difference !== 0) {
+      lines.push({
+        account_code: ACCOUNTS.ROUND_OFF,
+        debit: difference < 0 ? -difference : 0,
+        credit: difference > 0 ? difference : 0
+      });
+    }
+
+    return postJournalEntry({
+      date: txn.date,
+      source_type: 'transaction',
+      source_id: txn.id,
+      branch_id: txn.branch_id,
+      narration,
+      created_by: txn.created_by,
+      lines
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post transaction error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post a payment/receipt from the payments table
+ * @param {number} paymentId - payments.id
+ */
+function postPayment(paymentId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const payment = db.prepare('SELECT * FROM payments WHERE id = ?').get(paymentId);
+    if (!payment) return { success: false, error: 'Payment not found' };
+
+    const txn = payment.transaction_id
+      ? db.prepare('SELECT voucher_type, voucher_no, party_id, branch_id FROM transactions WHERE id = ?').get(payment.transaction_id)
+      : null;
+    const partyId = payment.party_id || (txn && txn.party_id) || null;
+    const party = partyId ? db.prepare('SELECT type FROM parties WHERE id = ?').get(partyId) : null;
+
+    // Money goes out against purchases/expenses, customer refunds and supplier accounts, otherwise it comes in
+    const outward = txn
+      ? ['purchase', 'expense', 'payment', 'credit_note'].includes(txn.voucher_type)
+      : Boolean(party && ['supplier', 'vendor'].includes(party.type));
+    // Refunds settle the opposite party ledger: customers for credit notes, suppliers for debit notes
+    const partyAccount = txn && txn.voucher_type === 'credit_note'
+      ? ACCOUNTS.DEBTORS
+      : txn && txn.voucher_type === 'debit_note' ? ACCOUNTS.CREDITORS : null;
+
+    const amount = round2(payment.amount);
+    // Tax deducted at source is withheld from the party and owed to the government instead
+    const tdsAmount = outward ? round2(payment.tds_amount) : 0;
+    // A payment allocated from a posted bank feed line clears that line's Suspense entry instead
+    const fromBankFeed = payment.bank_transaction_id && db.prepare(`
+      SELECT 1 FROM journal_entries WHERE source_type = 'bank_transaction' AND source_id = ? AND is_reversal = 0 AND reversed_by IS NULL
+    `).get(payment.bank_transaction_id);
+    const settlement = fromBankFeed ? ACCOUNTS.SUSPENSE : getSettlementAccountCode(payment.method);
+    const narration = `${outward ? 'Payment' : 'Receipt'}${txn ? ` against ${txn.voucher_no}` : ''}${payment.reference ? ` (${payment.reference})` : ''}`;
+
+    const lines = outward
+      ? [
+          { account_code: partyAccount || ACCOUNTS.CREDITORS, party_id: partyId, debit: amount },
+          { account_code: settlement, credit: round2(amount - tdsAmount) },
+          { account_code: ACCOUNTS.TDS_PAYABLE, credit: tdsAmount }
+        ]
+      : [
+          { account_code: settlement, debit: amount },
+          { account_code: partyAccount || ACCOUNTS.DEBTORS, party_id: partyId, credit: amount }
+        ];
+
+    return postJournalEntry({
+      date: payment.date || payment.created_at,
+      source_type: 'payment',
+      source_id: payment.id,
+      branch_id: txn ? txn.branch_id : 0,
+      narration,
+      lines
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post payment error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post an expense from the expenses table
+ * @param {number} expenseId - expenses.id
+ */
+function postExpense(expenseId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const expense = db.prepare('SELECT * FROM expenses WHERE id = ?').get(expenseId);
+    if (!expense) return { success: false, error: 'Expense not found' };
+
+    const amount = round2(expense.amount);
+    const gstAmount = round2(expense.gst_amount);
+    const tdsAmount = round2(expense.tds_amount);
+    const expenseAccount = getExpenseAccount(expense.category);
+    const onCredit = expense.party_id && (!expense.payment_method || expense.payment_method === 'credit');
+
+    // Expenses only record a lump GST amount, so it is booked as intra-state CGST/SGST
+    const cgst = round2(gstAmount / 2);
+    const sgst = round2(gstAmount - cgst);
+
+    return postJournalEntry({
+      date: expense.date,
+      source_type: 'expense',
+      source_id: expense.id,
+      branch_id: expense.branch_id,
+      narration: `Expense: ${expense.category}${expense.description ? ` - ${expense.description}` : ''}`,
+      lines: [
+        { account_id: expenseAccount.id, debit: amount },
+        { account_code: ACCOUNTS.INPUT_CGST, debit: cgst },
+        { account_code: ACCOUNTS.INPUT_SGST, debit: sgst },
+        {
+          account_code: onCredit ? ACCOUNTS.CREDITORS : getSettlementAccountCode(expense.payment_method),
+          party_id: expense.party_id,
+          credit: round2(amount + (expense.reverse_charge ? 0 : gstAmount) - tdsAmount)
+        },
+        { account_code: ACCOUNTS.TDS_PAYABLE, credit: tdsAmount },
+        { account_code: ACCOUNTS.RCM_PAYABLE, credit: expense.reverse_charge ? gstAmount : 0 }
+      ]
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post expense error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post a TDS/TCS challan: the deposit clears the payable, and any interest
+ * or late fee paid with it is an expense
+ * @param {number} challanId - tds_challans.id
+ */
+function postTDSChallan(challanId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const challan = db.prepare('SELECT * FROM tds_challans WHERE id = ?').get(challanId);
+    if (!challan) return { success: false, error: 'Challan not found' };
+
+    const taxAmount = round2(challan.tax_amount);
+    const charges = round2((challan.interest || 0) + (challan.fee || 0));
+
+    return postJournalEntry({
+      date: challan.deposit_date,
+      source_type: 'tds_challan',
+      source_id: challan.id,
+      narration: `${challan.nature} deposit u/s ${challan.section} (challan ${challan.challan_no}, BSR ${challan.bsr_code})`,
+      lines: [
+        { account_code: challan.nature === 'TCS' ? ACCOUNTS.TCS_PAYABLE : ACCOUNTS.TDS_PAYABLE, debit: taxAmount },
+        { account_code: ACCOUNTS.GENERAL_EXPENSES, debit: charges },
+        { account_code: getSettlementAccountCode(challan.payment_method), credit: round2(taxAmount + charges) }
+      ]
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post TDS challan error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post the exchange difference on export proceeds. The receipt itself is
+ * posted as a payment at the invoice rate; the bank is credited at the
+ * realisation rate and the difference is a gain or loss.
+ * @param {number} realisationId - export_realisations.id
+ */
+function postExportRealisation(realisationId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const realisation = db.prepare(`
+      SELECT r.*, t.voucher_no, t.branch_id FROM export_realisations r
+      JOIN transactions t ON t.id = r.transaction_id
+      WHERE r.id = ?
+    `).get(realisationId);
+    if (!realisation) return { success: false, error: 'Realisation not found' };
+
+    const difference = round2(realisation.exchange_difference);
+    if (difference === 0) return { success: true, skipped: true };
+    const amount = Math.abs(difference);
+
+    return postJournalEntry({
+      date: realisation.date,
+      source_type: 'export_realisation',
+      source_id: realisation.id,
+      branch_id: realisation.branch_id || 0,
+      narration: `Exchange ${difference > 0 ? 'gain' : 'loss'} on realisation of ${realisation.voucher_no}${realisation.reference ? ` (${realisation.reference})` : ''}`,
+      lines: difference > 0
+        ? [
+            { account_code: ACCOUNTS.BANK, debit: amount },
+            { account_code: ACCOUNTS.FOREX_GAIN_LOSS, credit: amount }
+          ]
+        : [
+            { account_code: ACCOUNTS.FOREX_GAIN_LOSS, debit: amount },
+            { account_code: ACCOUNTS.BANK, credit: amount }
+          ]
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post export realisation error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post a bank feed line. Until the line is matched to a document the
+ * counter-entry sits in the Suspense Account.
+ * @param {number} bankTransactionId - bank_transactions.id
+ */
+function postBankTransaction(bankTransactionId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const bankTxn = db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(bankTransactionId);
+    if (!bankTxn) return { success: false, error: 'Bank transaction not found' };
+
+    const bankAccount = getBankLedgerAccount(bankTxn.account_id);
+    const owner = db.prepare('SELECT branch_id FROM bank_accounts WHERE id = ?').get(bankTxn.account_id);
+    const amount = round2(Math.abs(bankTxn.amount));
+    const isCredit = bankTxn.type === 'credit';
+
+    return postJournalEntry({
+      date: bankTxn.date,
+      source_type: 'bank_transaction',
+      source_id: bankTxn.id,
+      branch_id: owner ? owner.branch_id : 0,
+      narration: bankTxn.description || 'Bank transaction',
+      lines: [
+        { account_id: bankAccount.id, debit: isCredit ? amount : 0, credit: isCredit ? 0 : amount },
+        { account_code: ACCOUNTS.SUSPENSE, debit: isCredit ? 0 : amount, credit: isCredit ? amount : 0 }
+      ]
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post bank transaction error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Post a bank line cleared straight to a ledger account (bank charges,
+ * interest, gateway settlements). A feed line already posted against the
+ * Suspense Account is moved out of it; an imported statement line is
+ * posted against the bank account.
+ * @param {number} bankTransactionId - bank_transactions.id
+ */
+function postBankClearing(bankTransactionId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const bankTxn = db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(bankTransactionId);
+    if (!bankTxn) return { success: false, error: 'Bank transaction not found' };
+    if (!bankTxn.ledger_account_id) return { success: false, error: 'Bank transaction is not cleared to a ledger account' };
+
+    const posted = db.prepare(`
+      SELECT 1 FROM journal_entries WHERE source_type = 'bank_transaction' AND source_id = ? AND is_reversal = 0 AND reversed_by IS NULL
+    `).get(bankTxn.id);
+    const bankSide = posted ? getAccountByCode(ACCOUNTS.SUSPENSE) : getBankLedgerAccount(bankTxn.account_id);
+    const owner = db.prepare('SELECT branch_id FROM bank_accounts WHERE id = ?').get(bankTxn.account_id);
+    const amount = round2(Math.abs(bankTxn.amount));
+    const isCredit = bankTxn.type === 'credit';
+
+    return postJournalEntry({
+      date: bankTxn.date,
+      source_type: 'bank_clearing',
+      source_id: bankTxn.id,
+      branch_id: owner ? owner.branch_id : 0,
+      narration: bankTxn.description || 'Bank transaction',
+      lines: [
+        { account_id: bankSide.id, debit: isCredit ? amount : 0, credit: isCredit ? 0 : amount },
+        { account_id: bankTxn.ledger_account_id, debit: isCredit ? 0 : amount, credit: isCredit ? amount : 0 }
+      ]
+    });
+  } catch (error) {
+    console.error('[LedgerService] Post bank clearing error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record the payment behind a party sale, purchase or expense that was
+ * entered as paid, so the party ledger it is posted to is settled
+ * @param {number} transactionId - transactions.id
+ * @returns {number|null} The new payments.id, or null when nothing was left unpaid
+ */
+function recordVoucherSettlement(transactionId) {
+  const txn = db.prepare('SELECT * FROM transactions WHERE id = ?').get(transactionId);
+  if (!txn || txn.is_cancelled || !txn.party_id || txn.payment_status !== 'paid') return null;
+  if (!['sale', 'purchase', 'expense'].includes(txn.voucher_type)) return null;
+  if (txn.counter_branch_id !== null && txn.counter_branch_id !== undefined) return null;
+
+  const paid = db.prepare('SELECT COALESCE(SUM(amount), 0) AS total FROM payments WHERE transaction_id = ?').get(txn.id).total;
+  const unpaid = round2(txn.total_amount - paid);
+  if (unpaid <= 0) return null;
+
+  const result = db.prepare(`
+    INSERT INTO payments (transaction_id, party_id, amount, method, reference, description, date)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    txn.id, txn.party_id, unpaid, txn.payment_method || 'cash', txn.reference_no || null,
+    `Paid with ${txn.voucher_no}`, toDateOnly(txn.date)
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * Post any transactions, payments and expenses recorded before the ledger
+ * existed (or whose posting failed) so the books stay complete. Party
+ * vouchers entered as paid get their settling payment recorded first
+ */
+function postUnpostedDocuments() {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const sources = [
+    ['transaction', 'SELECT id FROM transactions WHERE is_cancelled = 0', postTransaction],
+    ['payment', 'SELECT id FROM payments', postPayment],
+    ['expense', 'SELECT id FROM expenses', postExpense]
+  ];
+  let posted = 0;
+
+  try {
+    for (const [sourceType, query, post] of sources) {
+      const rows = db.prepare(`
+        SELECT src.id FROM (${query}) src
+        WHERE NOT EXISTS (
+          SELECT 1 FROM journal_entries je WHERE je.source_type = ? AND je.source_id = src.id
+        )
+      `).all(sourceType);
+
+      for (const row of rows) {
+        const result = post(row.id);
+        if (result.success && !result.skipped) {
+          posted++;
+          if (sourceType === 'transaction') recordVoucherSettlement(row.id);
+        }
+      }
+    }
+
+    if (posted > 0) console.log(`[LedgerService] Posted ${posted} existing documents to the ledger`);
+    return { success: true, posted_count: posted };
+  } catch (error) {
+    console.error('[LedgerService] Backfill error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the chart of accounts
+ * @param {Object} filters - { type, group_name, include_inactive }
+ */
+function getAccounts(filters = {}) {
+  if (!db) return [];
+
+  try {
+    let query = 'SELECT * FROM ledger_accounts WHERE 1=1';
+    const params = [];
+
+    if (!filters.include_inactive) {
+      query += ' AND is_active = 1';
+    }
+    if (filters.type) {
+      query += ' AND type = ?';
+      params.push(filters.type);
+    }
+    if (filters.group_name) {
+      query += ' AND group_name = ?';
+      params.push(filters.group_name);
+    }
+
+    query += ' ORDER BY code ASC';
+    return db.prepare(query).all(...params);
+  } catch (error) {
+    console.error('[LedgerService] Get accounts error:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a ledger account to the chart of accounts
+ * @param {Object} accountData - { code, name, type, group_name, parent_id }
+ */
+function addAccount(accountData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const { code, name, type, group_name, parent_id } = accountData;
+
+    if (!code || !name) {
+      return { success: false, error: 'Account code and name are required' };
+    }
+    if (!['asset', 'liability', 'equity', 'income', 'expense'].includes(type)) {
+      return { success: false, error: `Invalid account type: ${type}` };
+    }
+
+    const result = db.prepare(`
+      INSERT INTO ledger_accounts (code, name, type, group_name, parent_id)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(String(code), name, type, group_name || null, parent_id || null);
+
+    return {
+      success: true,
+      account_id: result.lastInsertRowid,
+      message: 'Ledger account added successfully'
+    };
+  } catch (error) {
+    console.error('[LedgerService] Add account error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get debit/credit totals and signed balance for every account
+ * @param {Object} params - { startDate, endDate, branchId } (all optional, dates inclusive;
+ *   with a startDate, year-end closing entries are left out)
+ */
+function getAccountBalances(params = {}) {
+  if (!db) return [];
+
+  try {
+    const { startDate, endDate, branchId } = params;
+    const conditions = [];
+    const queryParams = [];
+
+    // Period figures are reported before the year-end closing entry. The closing
+    // entry is posted for the business as a whole, so a branch's books leave it out too.
+    if (startDate || (branchId !== undefined && branchId !== null)) {
+      conditions.push('je.source_type != ?');
+      queryParams.push(YEAR_CLOSE_SOURCE);
+    }
+    if (startDate) {
+      conditions.push('je.date >= ?');
+      queryParams.push(startDate);
+    }
+    // Entries without a branch belong to the head office (branch 0)
+    if (branchId !== undefined && branchId !== null) {
+      conditions.push('COALESCE(je.branch_id, 0) = ?');
+      queryParams.push(branchId);
+    }
+    if (endDate) {
+      conditions.push('je.date <= ?');
+      queryParams.push(endDate);
+    }
+
+    const rows = db.prepare(`
+      SELECT a.*, COALESCE(t.total_debit, 0) as total_debit, COALESCE(t.total_credit, 0) as total_credit,
+        COALESCE(t.line_count, 0) as line_count
+      FROM ledger_accounts a
+      LEFT JOIN (
+        SELECT jl.account_id, SUM(jl.debit) as total_debit, SUM(jl.credit) as total_credit, COUNT(*) as line_count
+        FROM journal_lines jl
+        JOIN journal_entries je ON jl.entry_id = je.id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY jl.account_id
+      ) t ON t.account_id = a.id
+      ORDER BY a.code ASC
+    `).all(...queryParams);
+
+    return rows.map(row => ({
+      ...row,
+      total_debit: round2(row.total_debit),
+      total_credit: round2(row.total_credit),
+      balance: DEBIT_NATURE_TYPES.includes(row.type)
+        ? round2(row.total_debit - row.total_credit)
+        : round2(row.total_credit - row.total_debit)
+    }));
+  } catch (error) {
+    console.error('[LedgerService] Get balances error:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the trial balance as of a date
+ * @param {string} asOfDate - Inclusive end date (defaults to all entries)
+ * @param {number} branchId - One branch's books (defaults to the whole business)
+ */
+function getTrialBalance(asOfDate = null, branchId = null) {
+  if (!db) return null;
+
+  try {
+    const balances = getAccountBalances({ endDate: asOfDate, branchId });
+    const accounts = balances
+      .filter(a => a.total_debit !== 0 || a.total_credit !== 0)
+      .map(a => {
+        const net = round2(a.total_debit - a.total_credit);
+        return {
+          id: a.id,
+          code: a.code,
+          name: a.name,
+          type: a.type,
+          group_name: a.group_name,
+          debit: net > 0 ? net : 0,
+          credit: net < 0 ? -net : 0
+        };
+      });
+
+    const totalDebit = round2(accounts.reduce((sum, a) => sum + a.debit, 0));
+    const totalCredit = round2(accounts.reduce((sum, a) => sum + a.credit, 0));
+
+    return {
+      as_of_date: asOfDate,
+      branch_id: branchId,
+      accounts,
+      total_debit: totalDebit,
+      total_credit: totalCredit,
+      balanced: Math.abs(totalDebit - totalCredit) <= BALANCE_TOLERANCE
+    };
+  } catch (error) {
+    console.error('[LedgerService] Trial balance error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the ledger (entries with running balance) for one account
+ * @param {number} accountId - ledger_accounts.id
+ * @param {Object} filters - { startDate, endDate, partyId }
+ */
+function getAccountLedger(accountId, filters = {}) {
+  if (!db) return null;
+
+  try {
+    const account = db.prepare('SELECT * FROM ledger_accounts WHERE id = ?').get(accountId);
+    if (!account) return null;
+
+    const debitNature = DEBIT_NATURE_TYPES.includes(account.type);
+    const signed = (debit, credit) => (debitNature ? debit - credit : credit - debit);
+
+    let openingQuery = `
+      SELECT COALESCE(SUM(jl.debit), 0) as debit, COALESCE(SUM(jl.credit), 0) as credit
+      FROM journal_lines jl JOIN journal_entries je ON jl.entry_id = je.id
+      WHERE jl.account_id = ? AND je.date < ?
+    `;
+    let query = `
+      SELECT je.id as entry_id, je.entry_no, je.date, je.source_type, je.source_id, je.narration,
+        jl.debit, jl.credit, jl.party_id, jl.narration as line_narration, p.name as party_name
+      FROM journal_lines jl
+      JOIN journal_entries je ON jl.entry_id = je.id
+      LEFT JOIN parties p ON jl.party_id = p.id
+      WHERE jl.account_id = ?
+    `;
+    const openingParams = [accountId, filters.startDate || ''];
+    const params = [accountId];
+
+    if (filters.partyId) {
+      openingQuery += ' AND jl.party_id = ?';
+      openingParams.push(filters.partyId);
+      query += ' AND jl.party_id = ?';
+      params.push(filters.partyId);
+    }
+    if (filters.startDate) {
+      query += ' AND je.date >= ?';
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      query += ' AND je.date <= ?';
+      params.push(filters.endDate);
+    }
+
+    query += ' ORDER BY je.date ASC, je.id ASC';
+
+    const opening = filters.startDate ? db.prepare(openingQuery).get(...openingParams) : { debit: 0, credit: 0 };
+    let running = round2(signed(opening.debit, opening.credit));
+    const openingBalance = running;
+
+    const entries = db.prepare(query).all(...params).map(row => {
+      running = round2(running + signed(row.debit, row.credit));
+      return { ...row, balance: running };
+    });
+
+    return {
+      account,
+      opening_balance: openingBalance,
+      closing_balance: running,
+      entries
+    };
+  } catch (error) {
+    console.error('[LedgerService] Account ledger error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get journal entries with their lines
+ * @param {Object} filters - { startDate, endDate, sourceType, sourceId, limit }
+ */
+function getJournalEntries(filters = {}) {
+  if (!db) return [];
+
+  try {
+    let query = 'SELECT * FROM journal_entries WHERE 1=1';
+    const params = [];
+
+    if (filters.startDate) {
+      query += ' AND date >= ?';
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      query += ' AND date <= ?';
+      params.push(filters.endDate);
+    }
+    if (filters.sourceType) {
+      query += ' AND source_type = ?';
+      params.push(filters.sourceType);
+    }
+    if (filters.sourceId) {
+      query += ' AND source_id = ?';
+      params.push(filters.sourceId);
+    }
+
+    query += ' ORDER BY date DESC, id DESC LIMIT ?';
+    params.push(filters.limit || 200);
+
+    const linesStmt = db.prepare(`
+      SELECT jl.*, a.code as account_code, a.name as account_name
+      FROM journal_lines jl JOIN ledger_accounts a ON jl.account_id = a.id
+      WHERE jl.entry_id = ?
+      ORDER BY jl.id ASC
+    `);
+
+    return db.prepare(query).all(...params).map(entry => ({
+      ...entry,
+      lines: linesStmt.all(entry.id)
+    }));
+  } catch (error) {
+    console.error('[LedgerService] Get journal entries error:', error);
+    return [];
+  }
+}
+
+/**
+ * Work out the financial year a date falls in
+ * @param {string} date - Any date (defaults to today)
+ * @returns {Object} { name, start_date, end_date }
+ */
+function getFinancialYearBounds(date = null) {
+  const day = toDateOnly(date || new Date().toISOString());
+  const [year, month] = day.split('-').map(Number);
+  const startYear = month >= FY_START_MONTH ? year : year - 1;
+  return financialYearFromStartYear(startYear);
+}
+
+/**
+ * Build a financial year from its starting calendar year
+ * @param {number} startYear - e.g. 2025 for 2025-26
+ */
+function financialYearFromStartYear(startYear) {
+  const month = String(FY_START_MONTH).padStart(2, '0');
+  const end = new Date(Date.UTC(startYear + 1, FY_START_MONTH - 1, 0));
+  return {
+    name: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    start_date: `${startYear}-${month}-01`,
+    end_date: end.toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Resolve a financial year name ("2025-26" or "2025") to its bounds
+ * @param {string} name - Financial year name
+ */
+function parseFinancialYear(name) {
+  const match = /^(\d{4})(?:-(\d{2}|\d{4}))?$/.exec(String(name || '').trim());
+  if (!match) return null;
+  return financialYearFromStartYear(Number(match[1]));
+}
+
+/**
+ * Get (creating if needed) the stored financial year row for a date or name
+ * @param {string} dateOrName - A date (YYYY-MM-DD) or year name (2025-26)
+ */
+function ensureFinancialYear(dateOrName) {
+  const bounds = /^\d{4}-\d{2}-\d{2}/.test(String(dateOrName || ''))
+    ? getFinancialYearBounds(dateOrName)
+    : parseFinancialYear(dateOrName) || getFinancialYearBounds();
+
+  db.prepare(`
+    INSERT OR IGNORE INTO financial_years (name, start_date, end_date) VALUES (?, ?, ?)
+  `).run(bounds.name, bounds.start_date, bounds.end_date);
+
+  return db.prepare('SELECT * FROM financial_years WHERE name = ?').get(bounds.name);
+}
+
+/**
+ * Get the closed financial year containing a date, if any
+ * @param {string} date - Voucher date
+ * @returns {Object|null} financial_years row
+ */
+function getClosedYearForDate(date) {
+  if (!db || !date) return null;
+
+  try {
+    return db.prepare(`
+      SELECT * FROM financial_years WHERE status = 'closed' AND start_date <= ? AND end_date >= ?
+    `).get(toDateOnly(date), toDateOnly(date)) || null;
+  } catch (error) {
+    console.error('[LedgerService] Closed year lookup error:', error);
+    return null;
+  }
+}
+
+/**
+ * List financial years from the first posted entry to the current year
+ */
+function getFinancialYears() {
+  if (!db) return [];
+
+  try {
+    const first = db.prepare('SELECT MIN(date) as date FROM journal_entries').get();
+    const current = getFinancialYearBounds();
+    const firstYear = Number((first && first.date ? getFinancialYearBounds(first.date) : current).start_date.slice(0, 4));
+
+    for (let year = firstYear; year <= Number(current.start_date.slice(0, 4)); year++) {
+      ensureFinancialYear(financialYearFromStartYear(year).name);
+    }
+
+    return db.prepare('SELECT * FROM financial_years ORDER BY start_date DESC').all();
+  } catch (error) {
+    console.error('[LedgerService] Get financial years error:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the closing or opening balances stored for a financial year
+ * @param {string} name - Financial year name
+ * @param {string} balanceType - 'closing' or 'opening'
+ */
+function getFinancialYearBalances(name, balanceType = 'opening') {
+  if (!db) return [];
+
+  try {
+    const year = db.prepare('SELECT * FROM financial_years WHERE name = ?').get(name);
+    if (!year) return [];
+
+    return db.prepare(`
+      SELECT * FROM financial_year_balances
+      WHERE financial_year_id = ? AND balance_type = ?
+      ORDER BY entity_type ASC, name ASC
+    `).all(year.id, balanceType);
+  } catch (error) {
+    console.error('[LedgerService] Get year balances error:', error);
+    return [];
+  }
+}
+
+/**
+ * Party balances (receivable positive) as of a date: party master opening
+ * balance plus everything posted to the debtor/creditor ledgers
+ * @param {string} asOfDate - Inclusive end date
+ */
+function getPartyBalances(asOfDate) {
+  return db.prepare(`
+    SELECT p.id, p.name,
+      (CASE WHEN p.balance_type = 'receivable' THEN 1 ELSE -1 END) * COALESCE(p.opening_balance, 0)
+        + COALESCE(SUM(jl.debit - jl.credit), 0) as balance
+    FROM parties p
+    LEFT JOIN journal_lines jl ON jl.party_id = p.id
+      AND jl.account_id IN (SELECT id FROM ledger_accounts WHERE group_name IN ('receivables', 'payables'))
+      AND jl.entry_id IN (SELECT id FROM journal_entries WHERE date <= ?)
+    GROUP BY p.id
+  `).all(asOfDate).filter(row => round2(row.balance) !== 0);
+}
+
+/**
+ * Stock on hand as of a date: current stock less movements dated after it
+ * @param {string} asOfDate - Inclusive end date
+ */
+function getStockBalances(asOfDate) {
+  const movements = db.prepare(`
+    SELECT ti.product_id, t.voucher_type, SUM(ti.quantity) as quantity
+    FROM transaction_items ti
+    JOIN transactions t ON ti.transaction_id = t.id
+    WHERE t.date > ? AND t.is_cancelled = 0 AND ti.product_id IS NOT NULL
+    GROUP BY ti.product_id, t.voucher_type
+  `).all(asOfDate);
+
+  return db.prepare('SELECT id, name, current_stock, cost_price, rate FROM products').all()
+    .map(product => {
+      const later = movements
+        .filter(m => m.product_id === product.id)
+        .reduce((sum, m) => sum + (STOCK_OUTWARD_TYPES.includes(m.voucher_type) ? -m.quantity : m.quantity), 0);
+      const quantity = (product.current_stock || 0) - later;
+      const rate = product.cost_price || product.rate || 0;
+      return { id: product.id, name: product.name, quantity, value: round2(quantity * rate) };
+    })
+    .filter(row => row.quantity !== 0);
+}
+
+/**
+ * Value of stock on hand at cost as of a date
+ * @param {string} asOfDate - Inclusive end date
+ */
+function getStockValue(asOfDate) {
+  return round2(getStockBalances(asOfDate).reduce((sum, row) => sum + row.value, 0));
+}
+
+/**
+ * Close a financial year: transfer income and expenses to Retained Earnings,
+ * snapshot closing balances for accounts, parties, bank accounts and stock,
+ * carry them forward as the next year's opening balances and lock the year
+ * @param {string} name - Financial year name (e.g. 2025-26)
+ * @param {string} closedBy - User closing the year
+ */
+function closeFinancialYear(name, closedBy = 'system') {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    if (!parseFinancialYear(name)) {
+      return { success: false, error: `Invalid financial year: ${name}` };
+    }
+
+    const year = ensureFinancialYear(name);
+    if (year.status === 'closed') {
+      return { success: false, error: `Financial year ${year.name} is already closed` };
+    }
+    if (year.end_date >= toDateOnly(new Date().toISOString())) {
+      return { success: false, error: `Financial year ${year.name} has not ended yet` };
+    }
+
+    // Years must be closed in order
+    const earlier = db.prepare('SELECT MIN(date) as date FROM journal_entries WHERE date < ?').get(year.start_date);
+    if (earlier && earlier.date) {
+      const firstYear = Number(getFinancialYearBounds(earlier.date).start_date.slice(0, 4));
+      for (let startYear = firstYear; startYear < Number(year.start_date.slice(0, 4)); startYear++) {
+        const previous = ensureFinancialYear(financialYearFromStartYear(startYear).name);
+        if (previous.status !== 'closed') {
+          return { success: false, error: `Close financial year ${previous.name} first` };
+        }
+      }
+    }
+
+    const nextYear = ensureFinancialYear(financialYearFromStartYear(Number(year.start_date.slice(0, 4)) + 1).name);
+
+    const close = db.transaction(() => {
+      // Zero every income/expense ledger into Retained Earnings
+      const profitAndLoss = getAccountBalances({ endDate: year.end_date })
+        .filter(a => (a.type === 'income' || a.type === 'expense') && a.balance !== 0);
+      const ledgerProfit = round2(profitAndLoss.reduce(
+        (sum, a) => sum + (a.type === 'income' ? a.balance : -a.balance), 0
+      ));
+      // Purchases are expensed when booked, so the year's profit, like the
+      // profit & loss report, adds closing stock and takes off opening stock
+      const openingStockDate = new Date(`${year.start_date}T00:00:00Z`);
+      openingStockDate.setUTCDate(openingStockDate.getUTCDate() - 1);
+      const stockAdjustment = round2(
+        getStockValue(year.end_date) - getStockValue(openingStockDate.toISOString().slice(0, 10))
+      );
+      const netProfit = round2(ledgerProfit + stockAdjustment);
+
+      let closingEntryId = null;
+      if (profitAndLoss.length > 0) {
+        const lines = profitAndLoss.map(a => {
+          const net = round2(a.total_debit - a.total_credit);
+          return { account_id: a.id, debit: net < 0 ? -net : 0, credit: net > 0 ? net : 0 };
+        });
+        // Stock is not held in the ledger, so only the ledger profit is closed to reserves
+        lines.push({
+          account_code: ACCOUNTS.RETAINED_EARNINGS,
+          debit: ledgerProfit < 0 ? -ledgerProfit : 0,
+          credit: ledgerProfit > 0 ? ledgerProfit : 0
+        });
+
+        const posted = postJournalEntry({
+          date: year.end_date,
+          source_type: YEAR_CLOSE_SOURCE,
+          source_id: year.id,
+          narration: `Closing entry for financial year ${year.name}`,
+          created_by: closedBy,
+          lines
+        });
+        if (!posted.success) throw new Error(posted.error);
+        closingEntryId = posted.entry_id;
+      }
+
+      // Snapshot closing balances and carry them into the next year
+      const snapshot = [];
+      getAccountBalances({ endDate: year.end_date })
+        .filter(a => a.balance !== 0)
+        .forEach(a => {
+          const balance = round2(a.total_debit - a.total_credit);
+          snapshot.push(['account', a.id, `${a.code} ${a.name}`, balance, null, null]);
+          if (a.bank_account_id) {
+            snapshot.push(['bank_account', a.bank_account_id, a.name, balance, null, null]);
+          }
+        });
+      getPartyBalances(year.end_date).forEach(p => {
+        snapshot.push(['party', p.id, p.name, round2(p.balance), null, null]);
+      });
+      getStockBalances(year.end_date).forEach(p => {
+        snapshot.push(['product', p.id, p.name, 0, p.quantity, p.value]);
+      });
+
+      db.prepare('DELETE FROM financial_year_balances WHERE financial_year_id = ? AND balance_type = ?').run(year.id, 'closing');
+      db.prepare('DELETE FROM financial_year_balances WHERE financial_year_id = ? AND balance_type = ?').run(nextYear.id, 'opening');
+
+      const insertBalance = db.prepare(`
+        INSERT INTO financial_year_balances (financial_year_id, balance_type, entity_type, entity_id, name, balance, quantity, value)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const row of snapshot) {
+        insertBalance.run(year.id, 'closing', ...row);
+        insertBalance.run(nextYear.id, 'opening', ...row);
+      }
+
+      db.prepare(`
+        UPDATE financial_years
+        SET status = 'closed', net_profit = ?, closing_entry_id = ?, closed_at = CURRENT_TIMESTAMP, closed_by = ?
+        WHERE id = ?
+      `).run(netProfit, closingEntryId, closedBy, year.id);
+
+      const count = type => snapshot.filter(row => row[0] === type).length;
+      return {
+        net_profit: netProfit,
+        stock_adjustment: stockAdjustment,
+        closing_entry_id: closingEntryId,
+        accounts: count('account'),
+        parties: count('party'),
+        bank_accounts: count('bank_account'),
+        products: count('product'),
+        stock_value: round2(snapshot.filter(row => row[0] === 'product').reduce((sum, row) => sum + row[5], 0))
+      };
+    });
+
+    return {
+      success: true,
+      financial_year: year.name,
+      next_financial_year: nextYear.name,
+      ...close(),
+      message: `Financial year ${year.name} closed`
+    };
+  } catch (error) {
+    console.error('[LedgerService] Close financial year error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reopen the most recently closed financial year, reversing its closing entry
+ * @param {string} name - Financial year name
+ */
+function reopenFinancialYear(name) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const year = db.prepare('SELECT * FROM financial_years WHERE name = ?').get(name);
+    if (!year || year.status !== 'closed') {
+      return { success: false, error: `Financial year ${name} is not closed` };
+    }
+
+    const later = db.prepare(`SELECT name FROM financial_years WHERE status = 'closed' AND start_date > ?`).get(year.start_date);
+    if (later) {
+      return { success: false, error: `Reopen financial year ${later.name} first` };
+    }
+
+    const nextYear = ensureFinancialYear(financialYearFromStartYear(Number(year.start_date.slice(0, 4)) + 1).name);
+
+    const reopen = db.transaction(() => {
+      db.prepare(`
+        UPDATE financial_years SET status = 'open', closing_entry_id = NULL, closed_at = NULL, closed_by = NULL WHERE id = ?
+      `).run(year.id);
+
+      const reversed = reverseSourceEntries(YEAR_CLOSE_SOURCE, year.id, `Reopening of financial year ${year.name}`);
+      if (!reversed.success) throw new Error(reversed.error);
+
+      db.prepare('DELETE FROM financial_year_balances WHERE financial_year_id = ? AND balance_type = ?').run(year.id, 'closing');
+      db.prepare('DELETE FROM financial_year_balances WHERE financial_year_id = ? AND balance_type = ?').run(nextYear.id, 'opening');
+    });
+
+    reopen();
+
+    return { success: true, financial_year: year.name, message: `Financial year ${year.name} reopened` };
+  } catch (error) {
+    console.error('[LedgerService] Reopen financial year error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  initialize,
+  ACCOUNTS,
+  getAccountByCode,
+  getExpenseAccount,
+  getBankLedgerAccount,
+  postJournalEntry,
+  reverseSourceEntries,
+  postTransaction,
+  postPayment,
+  postExpense,
+  postTDSChallan,
+  postExportRealisation,
+  postBankTransaction,
+  postBankClearing,
+  recordVoucherSettlement,
+  postUnpostedDocuments,
+  getAccounts,
+  addAccount,
+  getAccountBalances,
+  getTrialBalance,
+  getAccountLedger,
+  getJournalEntries,
+  getFinancialYearBounds,
+  parseFinancialYear,
+  getFinancialYears,
+  getClosedYearForDate,
+  getFinancialYearBalances,
+  getStockValue,
+  closeFinancialYear,
+  reopenFinancialYear
+};
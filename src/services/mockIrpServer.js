@@ -0,0 +1,375 @@
+/**
+ * Mock IRP Server
+ *
+ * A local stand-in for the NIC Invoice Registration Portal that speaks the
+ * same protocol as irpClient: RSA-encrypted app key authentication, SEK
+ * encrypted payloads, IRN generation with duplicate detection, 24-hour
+ * cancellation, get-by-IRN and RS256-signed invoice / QR code JWTs.
+ *
+ * Use it in-process through createMockTransport(), or as an HTTP server:
+ *   node src/services/mockIrpServer.js [port]
+ * which prints the base URL and the public keys to configure.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { IRP_ENDPOINTS, aesEncrypt, aesDecrypt } = require('./irpClient');
+
+// Tokens issued by the mock stay valid for six hours, like the IRP's
+const TOKEN_VALIDITY_MS = 6 * 60 * 60 * 1000;
+
+// IRNs can be cancelled for 24 hours after generation
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date the way the IRP does (YYYY-MM-DD HH:mm:ss, IST)
+ * @param {Date} date - Date
+ */
+function irpTimestamp(date) {
+  return new Date(date.getTime() + 330 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Financial year of a DD/MM/YYYY document date, as used in the IRN hash (e.g. 2025-26)
+ * @param {string} docDate - DD/MM/YYYY
+ */
+function financialYearOf(docDate) {
+  const [, month, year] = String(docDate).split('/').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Undo PKCS#1 v1.5 type 2 padding. Recent Node versions refuse PKCS#1 v1.5
+ * private decryption, so the mock decrypts raw and unpads itself.
+ * @param {Buffer} block - Raw RSA plaintext block
+ */
+function unpadPKCS1(block) {
+  if (block[0] !== 0x00 || block[1] !== 0x02) throw new Error('Bad padding');
+  const separator = block.indexOf(0x00, 2);
+  if (separator < 10) throw new Error('Bad padding');
+  return block.subarray(separator + 1);
+}
+
+/**
+ * Create a mock IRP
+ * @param {Object} options
+ *   - credentials: { clientId, clientSecret, username, password } accepted (any non-empty values when omitted)
+ *   - now: () => Date, to simulate the passage of time in tests
+ * @returns {Object} { handle, publicKey, signingPublicKey, invoices }
+ */
+function createMockIrp(options = {}) {
+  const keyOptions = {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+  const encryptionKeys = crypto.generateKeyPairSync('rsa', keyOptions);
+  const signingKeys = crypto.generateKeyPairSync('rsa', keyOptions);
+  const now = options.now || (() => new Date());
+
+  const sessions = new Map(); // auth token -> { sek, gstin, username, expiry }
+  const invoices = new Map(); // IRN -> registered invoice
+  let ackCounter = 0;
+
+  const fail = (status, code, message, info) => ({
+    status,
+    data: {
+      Status: 0,
+      ErrorDetails: [{ ErrorCode: code, ErrorMessage: message }],
+      InfoDtls: info || null
+    }
+  });
+
+  const succeed = (sek, document) => ({
+    status: 200,
+    data: { Status: 1, Data: aesEncrypt(sek, JSON.stringify(document)), ErrorDetails: null, InfoDtls: null }
+  });
+
+  const header = (headers, name) => {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+  };
+
+  const sign = (data) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const body = `${encode({ alg: 'RS256', typ: 'JWT', kid: 'MOCK-IRP' })}.${encode({ data: JSON.stringify(data), iss: 'NIC Sandbox' })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(body).sign(signingKeys.privateKey).toString('base64url');
+    return `${body}.${signature}`;
+  };
+
+  function authenticate(request) {
+    const clientId = header(request.headers, 'client_id');
+    const clientSecret = header(request.headers, 'client_secret');
+    const gstin = header(request.headers, 'gstin');
+    if (!gstin) return fail(400, '1004', 'Header GSTIN is required');
+
+    const expected = options.credentials;
+    if (!clientId || !clientSecret || (expected && (clientId !== expected.clientId || clientSecret !== expected.clientSecret))) {
+      return fail(401, '1007', 'Invalid Client-ID/Client-Secret');
+    }
+
+    let auth;
+    try {
+      const block = crypto.privateDecrypt(
+        { key: encryptionKeys.privateKey, padding: crypto.constants.RSA_NO_PADDING },
+        Buffer.from(request.body.Data, 'base64')
+      );
+      auth = JSON.parse(Buffer.from(unpadPKCS1(block).toString('utf8'), 'base64').toString('utf8'));
+    } catch (error) {
+      return fail(400, '5002', 'Data decryption failed');
+    }
+
+    if (!auth.UserName || !auth.Password || (expected && (auth.UserName !== expected.username || auth.Password !== expected.password))) {
+      return fail(401, '1008', 'Invalid login credentials');
+    }
+
+    const appKey = Buffer.from(auth.AppKey, 'base64');
+    const sek = crypto.randomBytes(32);
+    const authToken = crypto.randomBytes(18).toString('base64url');
+    const expiry = new Date(now().getTime() + TOKEN_VALIDITY_MS);
+    sessions.set(authToken, { sek, gstin, username: auth.UserName, expiry });
+
+    return {
+      status: 200,
+      data: {
+        Status: 1,
+        Data: {
+          ClientId: clientId,
+          UserName: auth.UserName,
+          AuthToken: authToken,
+          Sek: aesEncrypt(appKey, sek),
+          TokenExpiry: irpTimestamp(expiry)
+        },
+        ErrorDetails: null
+      }
+    };
+  }
+
+  function getSession(request) {
+    const session = sessions.get(header(request.headers, 'AuthToken'));
+    if (!session || session.expiry.getTime() <= now().getTime() || session.gstin !== header(request.headers, 'gstin')) {
+      return null;
+    }
+    return session;
+  }
+
+  function readDocument(session, request) {
+    return JSON.parse(aesDecrypt(session.sek, request.body.Data).toString('utf8'));
+  }
+
+  function registeredResponse(invoice) {
+    return {
+      AckNo: invoice.ackNo,
+      AckDt: invoice.ackDt,
+      Irn: invoice.irn,
+      SignedInvoice: invoice.signedInvoice,
+      SignedQRCode: invoice.signedQRCode,
+      Status: invoice.status,
+      EwbNo: null,
+      EwbDt: null,
+      EwbValidTill: null,
+      Remarks: null
+    };
+  }
+
+  function generate(session, request) {
+    let invoice;
+    try {
+      invoice = readDocument(session, request);
+    } catch (error) {
+      return fail(400, '5002', 'Data decryption failed');
+    }
+
+    const doc = invoice.DocDtls || {};
+    const seller = invoice.SellerDtls || {};
+    const buyer = invoice.BuyerDtls || {};
+    const items = invoice.ItemList || [];
+
+    if (seller.Gstin !== session.gstin) return fail(400, '2211', 'Seller GSTIN does not match the GSTIN of the logged-in user');
+    if (!/^[A-Za-z0-9/-]{1,16}$/.test(doc.No || '') || /^[/0-]/.test(doc.No || '')) {
+      return fail(400, '2176', 'Invalid document number');
+    }
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(doc.Dt || '')) return fail(400, '2163', 'Document date should be in DD/MM/YYYY format');
+    const [day, month, year] = doc.Dt.split('/').map(Number);
+    if (new Date(Date.UTC(year, month - 1, day)).getTime() > now().getTime()) {
+      return fail(400, '2163', 'The document date should not be a future date');
+    }
+    if (buyer.Gstin && buyer.Gstin !== 'URP' && buyer.Stcd && buyer.Gstin.slice(0, 2) !== String(buyer.Stcd).padStart(2, '0')) {
+      return fail(400, '2265', 'Recipient GSTIN state code does not match the state code passed in recipient details');
+    }
+    const badHsn = items.find(item => !/^\d{4}(\d{2})?(\d{2})?$/.test(String(item.HsnCd || '')));
+    if (badHsn) return fail(400, '2189', `Invalid HSN code ${badHsn.HsnCd} in item ${badHsn.SlNo}`);
+    const itemTotal = items.reduce((sum, item) => sum + (Number(item.TotItemVal) || 0), 0);
+    const values = invoice.ValDtls || {};
+    const expectedTotal = itemTotal + (Number(values.OthChrg) || 0) - (Number(values.Discount) || 0) + (Number(values.RndOffAmt) || 0);
+    if (Math.abs(expectedTotal - (Number(values.TotInvVal) || 0)) > 1) {
+      return fail(400, '2172', 'Total invoice value does not match the sum of item values');
+    }
+
+    // IRN: SHA-256 of supplier GSTIN, financial year, document type and number
+    const irn = crypto.createHash('sha256')
+      .update(`${seller.Gstin}${financialYearOf(doc.Dt)}${doc.Typ}${String(doc.No).toUpperCase()}`)
+      .digest('hex');
+
+    const existing = invoices.get(irn);
+    if (existing) {
+      return fail(400, '2150', 'Duplicate IRN', [{ InfCd: 'DUPIRN', Desc: { AckNo: existing.ackNo, AckDt: existing.ackDt, Irn: irn } }]);
+    }
+
+    ackCounter += 1;
+    const generatedAt = now();
+    const ackNo = `1${String(generatedAt.getTime()).slice(-10)}${String(ackCounter).padStart(4, '0')}`;
+    const ackDt = irpTimestamp(generatedAt);
+    const mainItem = items.slice().sort((a, b) => (Number(b.AssAmt) || 0) - (Number(a.AssAmt) || 0))[0] || {};
+
+    const registered = {
+      irn,
+      ackNo,
+      ackDt,
+      generatedAt,
+      status: 'ACT',
+      gstin: seller.Gstin,
+      signedInvoice: sign({ ...invoice, AckNo: ackNo, AckDt: ackDt, Irn: irn }),
+      signedQRCode: sign({
+        SellerGstin: seller.Gstin,
+        BuyerGstin: buyer.Gstin || 'URP',
+        DocNo: doc.No,
+        DocTyp: doc.Typ,
+        DocDt: doc.Dt,
+        TotInvVal: values.TotInvVal,
+        ItemCnt: items.length,
+        MainHsnCode: mainItem.HsnCd,
+        Irn: irn,
+        IrnDt: ackDt
+      })
+    };
+    invoices.set(irn, registered);
+
+    return succeed(session.sek, registeredResponse(registered));
+  }
+
+  function cancel(session, request) {
+    let document;
+    try {
+      document = readDocument(session, request);
+    } catch (error) {
+      return fail(400, '5002', 'Data decryption failed');
+    }
+
+    const invoice = invoices.get(document.Irn);
+    if (!invoice || invoice.gstin !== session.gstin) return fail(400, '2283', 'IRN details are not found');
+    if (invoice.status === 'CNL') return fail(400, '9999', 'Invoice is not active');
+    if (!['1', '2', '3', '4'].includes(String(document.CnlRsn))) return fail(400, '2181', 'Invalid cancellation reason');
+    if (now().getTime() - invoice.generatedAt.getTime() > CANCEL_WINDOW_MS) {
+      return fail(400, '2270', 'The allowed cancellation time limit is crossed, you cannot cancel the IRN');
+    }
+
+    invoice.status = 'CNL';
+    invoice.cancelDate = irpTimestamp(now());
+    return succeed(session.sek, { Irn: invoice.irn, CancelDate: invoice.cancelDate });
+  }
+
+  function getByIrn(session, irn) {
+    const invoice = invoices.get(irn);
+    if (!invoice || invoice.gstin !== session.gstin) return fail(400, '2283', 'IRN details are not found');
+    return succeed(session.sek, registeredResponse(invoice));
+  }
+
+  /**
+   * Handle one request the way the IRP would
+   * @param {Object} request - { method, url, headers, body }
+   * @returns {Object} { status, data }
+   */
+  function handle(request) {
+    const path = new URL(request.url, 'http://mock-irp').pathname;
+
+    if (request.method === 'POST' && path === IRP_ENDPOINTS.auth) return authenticate(request);
+
+    const session = getSession(request);
+    if (!session) return fail(401, '1005', 'Invalid Token');
+
+    if (request.method === 'POST' && path === IRP_ENDPOINTS.generate) return generate(session, request);
+    if (request.method === 'POST' && path === IRP_ENDPOINTS.cancel) return cancel(session, request);
+    if (request.method === 'GET' && path.startsWith(`${IRP_ENDPOINTS.getByIrn}/`)) {
+      return getByIrn(session, decodeURIComponent(path.slice(IRP_ENDPOINTS.getByIrn.length + 1)));
+    }
+
+    return fail(404, '404', `No such endpoint: ${request.method} ${path}`);
+  }
+
+  return {
+    handle,
+    publicKey: encryptionKeys.publicKey,
+    signingPublicKey: signingKeys.publicKey,
+    invoices
+  };
+}
+
+/**
+ * Transport that sends requests straight to a mock IRP, without HTTP
+ * @param {Object} mock - createMockIrp() instance
+ */
+function createMockTransport(mock) {
+  return {
+    async request(request) {
+      // Round-trip through JSON like a real HTTP exchange
+      const response = mock.handle(JSON.parse(JSON.stringify(request)));
+      return JSON.parse(JSON.stringify(response));
+    }
+  };
+}
+
+/**
+ * Serve a mock IRP over HTTP on localhost
+ * @param {Object} options - { port (0 = any free port), host, ...createMockIrp options }
+ * @returns {Promise<Object>} { url, port, publicKey, signingPublicKey, mock, close }
+ */
+function startMockIrpServer(options = {}) {
+  const mock = createMockIrp(options);
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let response;
+      try {
+        response = mock.handle({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : undefined });
+      } catch (error) {
+        response = { status: 400, data: { Status: 0, ErrorDetails: [{ ErrorCode: '400', ErrorMessage: error.message }] } };
+      }
+      res.writeHead(response.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response.data));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, options.host || '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://${options.host || '127.0.0.1'}:${port}`,
+        port,
+        publicKey: mock.publicKey,
+        signingPublicKey: mock.signingPublicKey,
+        mock,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  createMockIrp,
+  createMockTransport,
+  startMockIrpServer
+};
+
+if (require.main === module) {
+  startMockIrpServer({ port: Number(process.argv[2]) || 8099 }).then(server => {
+    console.log(`[MockIRP] Listening on ${server.url}`);
+    console.log('[MockIRP] IRP public key:\n' + server.publicKey);
+    console.log('[MockIRP] Signing public key:\n' + server.signingPublicKey);
+    console.log('[MockIRP] Save these with the URL as the IRP base URL in the e-invoice settings');
+  });
+}
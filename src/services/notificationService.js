@@ -94,12 +94,13 @@ const getDefaultAlertRules = () => [
   {
     id: 'rule_eway_expiry',
     name: 'E-Way Bill Expiry',
-    description: 'Alert when E-Way Bill is about to expire',
+    description: 'Alert when an E-Way Bill in transit is about to expire',
     category: 'compliance',
     severity: 'critical',
     enabled: true,
     config: {
       daysBeforeExpiry: 2,
+      hoursBeforeExpiry: 8, // validity can be extended from 8 hours before expiry
       frequency: 'once'
     }
   },
@@ -115,7 +116,7 @@ const getDefaultAlertRules = () => [
       frequency: 'weekly'
     }
   }
-]);
+];
 
 // Save data to database
 const saveData = (data) => {
@@ -265,34 +266,42 @@ const updateSettings = (updates) => {
 };
 
 // Check and create compliance alerts (GST)
-const checkComplianceAlerts = () => {
+// gstFilings: unfiled returns from the GST filing calendar, with due_date, days_to_due and late_charges
+const checkComplianceAlerts = (gstFilings = []) => {
   const data = initializeDatabase();
   const results = [];
   
   const gstRule = data.alertRules.find(r => r.id === 'rule_gst_filing' && r.enabled);
   if (gstRule) {
-    // Simulate GST filing check - in production, this would query actual GST data
     const daysBeforeDue = gstRule.config.daysBeforeDue;
-    // This would check actual GST return due dates
-    results.push({
-      title: 'GST Filing Due',
-      message: `GST filing is due in ${daysBeforeDue} days. Please ensure timely compliance.`,
-      category: 'compliance',
-      severity: 'critical',
-      actionUrl: 'gst'
-    });
+    gstFilings
+      .filter(filing => filing.days_to_due <= daysBeforeDue)
+      .forEach(filing => {
+        const registration = filing.gstin ? ` (${filing.gstin})` : '';
+        const charges = filing.late_charges;
+        let message;
+        if (filing.days_to_due < 0) {
+          const accrued = charges
+            ? ` Late fee so far ₹${charges.late_fee.toLocaleString('en-IN')}${charges.interest ? ` and interest ₹${charges.interest.toLocaleString('en-IN')}` : ''}.`
+            : '';
+          message = `${filing.reminder_type} for ${filing.period}${registration} was due on ${filing.due_date} and is ${-filing.days_to_due} days late.${accrued}`;
+        } else {
+          const when = filing.days_to_due === 0 ? 'today' : `in ${filing.days_to_due} days, on ${filing.due_date}`;
+          message = `${filing.reminder_type} for ${filing.period}${registration} is due ${when}. Please ensure timely compliance.`;
+        }
+        
+        results.push({
+          title: filing.days_to_due < 0 ? 'GST Return Overdue' : 'GST Filing Due',
+          message,
+          category: 'compliance',
+          severity: gstRule.severity || 'critical',
+          metadata: { reminderId: filing.id, returnType: filing.reminder_type, period: filing.period, gstin: filing.gstin, dueDate: filing.due_date },
+          actionUrl: 'gst'
+        });
+      });
   }
   
-  const ewayRule = data.alertRules.find(r => r.id === 'rule_eway_expiry' && r.enabled);
-  if (ewayRule) {
-    results.push({
-      title: 'E-Way Bill Expiry Warning',
-      message: `E-Way Bills are expiring in ${ewayRule.config.daysBeforeExpiry} days.`,
-      category: 'compliance',
-      severity: 'critical',
-      actionUrl: 'ewaybill'
-    });
-  }
+  // E-way bill expiry alerts come from the expiry watcher in the main process
   
   return results;
 };
@@ -351,7 +360,8 @@ const checkFinancialAlerts = () => {
 };
 
 // Poll all alert sources and create notifications
-const pollAlerts = () => {
+// sources: data the main process gathers for the checks ({ gstFilings })
+const pollAlerts = (sources = {}) => {
   const data = initializeDatabase();
   
   if (!data.settings.enabled) {
@@ -361,7 +371,7 @@ const pollAlerts = () => {
   const newNotifications = [];
   
   // Check compliance alerts
-  const complianceAlerts = checkComplianceAlerts();
+  const complianceAlerts = checkComplianceAlerts(sources.gstFilings);
   complianceAlerts.forEach(alert => {
     const notification = createNotification(alert);
     newNotifications.push(notification);
@@ -418,6 +428,7 @@ module.exports = {
   toggleAlertRule,
   getSettings,
   updateSettings,
+  checkComplianceAlerts,
   pollAlerts,
   cleanOldNotifications
 };
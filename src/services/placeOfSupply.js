@@ -0,0 +1,288 @@
+/**
+ * Place of Supply
+ *
+ * Decides where a supply is made under the IGST Act, 2017, and from that
+ * whether it is taxed as CGST + SGST/UTGST (intra-state) or IGST (inter-state).
+ * Every CGST/SGST vs IGST decision in the app goes through this module.
+ *
+ * Rules implemented:
+ * - Goods (section 10): delivery location when goods move; the bill-to party's
+ *   state when goods are shipped to someone else on the buyer's direction
+ *   (bill-to/ship-to); the site for goods installed or assembled there
+ * - Services (section 12): the registered recipient's state; the location for
+ *   immovable property, performance-based services and event admission; the
+ *   recipient's address, else the supplier's location, for unregistered buyers
+ * - Exports and supplies to SEZ units/developers are always inter-state
+ *   (section 7(5)); without payment of tax (under LUT) they carry no GST
+ * - Deemed exports follow the normal rules
+ *
+ * Pure functions only: callers look up the parties and pass them in.
+ */
+
+// GST state codes (96 = other countries, 97 = other territory)
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan',
+  '09': 'Uttar Pradesh', '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh',
+  '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram', '16': 'Tripura',
+  '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand',
+  '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '96': 'Other Countries', '97': 'Other Territory'
+};
+
+// Older and informal names still found in party masters
+const STATE_ALIASES = {
+  'orissa': '21', 'uttaranchal': '05', 'pondicherry': '34', 'new delhi': '07', 'nct of delhi': '07',
+  'daman and diu': '26', 'dadra and nagar haveli': '26', 'jammu & kashmir': '01', 'j&k': '01'
+};
+
+// Union territories without a legislature levy UTGST in place of SGST
+const UTGST_STATES = ['04', '26', '31', '35', '38'];
+
+const FOREIGN_COUNTRY = '96';
+
+// Supply natures
+const SUPPLY_NATURES = ['regular', 'export', 'sez', 'deemed_export'];
+
+// Services whose place of supply is where they are performed or located (section 12).
+// `always`: the location applies even to registered recipients.
+const SERVICE_RULES = {
+  general: { section: '12(2)', always: false },
+  immovable_property: { section: '12(3)', always: true, label: 'location of the immovable property' },
+  performance: { section: '12(4)', always: true, label: 'where the service is performed' },
+  training: { section: '12(5)', always: false, label: 'where the training is given' },
+  event_admission: { section: '12(6)', always: true, label: 'where the event is held' },
+  event_organisation: { section: '12(7)', always: false, label: 'where the event is held' },
+  goods_transport: { section: '12(8)', always: false, label: 'where the goods are handed over for transport' },
+  passenger_transport: { section: '12(9)', always: false, label: 'where the passenger embarks' }
+};
+
+/**
+ * Resolve a state code from a code, GSTIN or state name
+ * @param {string|number} value - '29', 29, '29ABCDE1234F1Z5' or 'Karnataka'
+ * @returns {string|null} Two-digit state code
+ */
+function stateCode(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return STATE_CODES[code] ? code : null;
+  }
+  if (/^\d{2}[A-Z0-9]{13}$/i.test(text)) {
+    return STATE_CODES[text.slice(0, 2)] ? text.slice(0, 2) : null;
+  }
+
+  const name = text.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+  if (STATE_ALIASES[name]) return STATE_ALIASES[name];
+  const match = Object.entries(STATE_CODES).find(([, stateName]) => stateName.toLowerCase() === name);
+  return match ? match[0] : null;
+}
+
+/**
+ * State name for a code
+ * @param {string} code - State code
+ */
+function stateName(code) {
+  return STATE_CODES[code] || null;
+}
+
+/**
+ * Whether a GSTIN identifies a registered person (15 characters, not URP)
+ * @param {string} gstin - GSTIN
+ */
+function isRegistered(gstin) {
+  return /^\d{2}[A-Z0-9]{13}$/i.test(String(gstin || '').trim());
+}
+
+/**
+ * State of a party: registered parties are located where their GSTIN is,
+ * others at the state on record
+ * @param {Object} party - { gstin, state_code, state }
+ */
+function partyState(party) {
+  if (!party) return null;
+  if (isRegistered(party.gstin)) return stateCode(party.gstin);
+  return stateCode(party.state_code) || stateCode(party.state);
+}
+
+/**
+ * Goods or services, from the HSN/SAC codes of the lines (SAC codes are chapter 99)
+ * @param {Array} items - Lines with hsn_code
+ * @returns {string} 'goods' or 'services'
+ */
+function supplyKind(items = []) {
+  const codes = items.map(item => String(item.hsn_code || '')).filter(Boolean);
+  return codes.length > 0 && codes.every(code => code.startsWith('99')) ? 'services' : 'goods';
+}
+
+/**
+ * Decide the place of supply of a draft transaction
+ * @param {Object} draft
+ * @param {Object} draft.supplier - { gstin, state_code, state }
+ * @param {Object} draft.recipient - Bill-to party { gstin, state_code, state, country, is_sez }
+ * @param {Object} [draft.ship_to] - Consignee when different from the bill-to party { gstin, state_code, state }
+ * @param {Array} [draft.items] - Lines (used to tell goods from services)
+ * @param {string} [draft.supply_kind] - 'goods' or 'services' (default: from the items)
+ * @param {string} [draft.supply_nature] - 'regular', 'export', 'sez' or 'deemed_export'
+ * @param {boolean} [draft.with_payment] - Export/SEZ supply with payment of IGST (default true)
+ * @param {string} [draft.service_type] - Key of SERVICE_RULES
+ * @param {string} [draft.location_state_code] - Site of installation, property, performance or event
+ * @returns {Object} { place_of_supply, place_of_supply_name, supplier_state, is_interstate, tax_type, rule, warnings, ... }
+ */
+function determinePlaceOfSupply(draft = {}) {
+  const warnings = [];
+  const supplierState = partyState(draft.supplier);
+  const recipient = draft.recipient || {};
+  const recipientState = partyState(recipient);
+  const shipToState = draft.ship_to ? partyState(draft.ship_to) : null;
+  const locationState = stateCode(draft.location_state_code);
+  const kind = draft.supply_kind || supplyKind(draft.items);
+  const withPayment = draft.with_payment !== false;
+
+  let nature = SUPPLY_NATURES.includes(draft.supply_nature) ? draft.supply_nature : 'regular';
+  const foreign = recipient.country && !/^(india|in|ind)$/i.test(String(recipient.country).trim());
+  if (nature === 'regular' && (foreign || String(recipient.gstin || '').toUpperCase() === 'EXPORT')) nature = 'export';
+  if (nature === 'regular' && recipient.is_sez) nature = 'sez';
+
+  if (!supplierState) warnings.push('Supplier state is not set; assuming an intra-state supply');
+
+  let placeOfSupply;
+  let rule;
+
+  if (nature === 'export') {
+    placeOfSupply = FOREIGN_COUNTRY;
+    rule = 'Export: inter-state supply under section 7(5)(a)';
+  } else if (nature === 'sez') {
+    placeOfSupply = shipToState || recipientState || supplierState;
+    rule = 'Supply to SEZ: inter-state supply under section 7(5)(b)';
+  } else if (kind === 'goods') {
+    if (locationState) {
+      placeOfSupply = locationState;
+      rule = 'Goods installed or delivered at site: location of the goods, section 10(1)(c)/(d)';
+    } else if (shipToState && recipientState && shipToState !== recipientState) {
+      placeOfSupply = recipientState;
+      rule = `Bill-to/ship-to: state of the bill-to party, not the ${stateName(shipToState)} delivery address, section 10(1)(b)`;
+    } else if (shipToState || recipientState) {
+      placeOfSupply = shipToState || recipientState;
+      rule = 'Goods delivered to the recipient: where the movement ends, section 10(1)(a)';
+    } else {
+      placeOfSupply = supplierState;
+      rule = 'Over-the-counter sale: location of the goods at delivery, section 10(1)(c)';
+    }
+  } else {
+    const serviceRule = SERVICE_RULES[draft.service_type] || SERVICE_RULES.general;
+    const registered = isRegistered(recipient.gstin);
+
+    if (serviceRule.label && locationState && (serviceRule.always || !registered)) {
+      placeOfSupply = locationState;
+      rule = `Services: ${serviceRule.label}, section ${serviceRule.section}`;
+    } else if (recipientState) {
+      placeOfSupply = recipientState;
+      rule = registered
+        ? `Services to a registered person: recipient's location, section ${serviceRule.section}`
+        : `Services to an unregistered person: address on record, section ${serviceRule.section}`;
+      if (serviceRule.always) warnings.push(`Enter the ${serviceRule.label} to apply section ${serviceRule.section}`);
+    } else {
+      placeOfSupply = supplierState;
+      rule = `Services to an unregistered person without an address: supplier's location, section ${serviceRule.section}`;
+    }
+  }
+
+  placeOfSupply = placeOfSupply || supplierState;
+  const isInterstate = nature === 'export' || nature === 'sez'
+    || Boolean(supplierState && placeOfSupply && placeOfSupply !== supplierState);
+  const zeroRated = nature === 'export' || nature === 'sez';
+
+  let taxType = isInterstate ? 'IGST' : 'CGST_SGST';
+  if (zeroRated && !withPayment) taxType = 'NONE';
+
+  return {
+    place_of_supply: placeOfSupply || null,
+    place_of_supply_name: stateName(placeOfSupply),
+    supplier_state: supplierState,
+    recipient_state: recipientState,
+    ship_to_state: shipToState,
+    supply_kind: kind,
+    supply_nature: nature,
+    is_interstate: isInterstate,
+    zero_rated: zeroRated,
+    with_payment: zeroRated ? withPayment : true,
+    tax_type: taxType,
+    state_tax: UTGST_STATES.includes(placeOfSupply) ? 'UTGST' : 'SGST',
+    rule,
+    warnings
+  };
+}
+
+/**
+ * Split the GST on a taxable value
+ * @param {number} taxableAmount - Taxable value
+ * @param {number} gstRate - Combined GST rate
+ * @param {string} taxType - 'CGST_SGST', 'IGST' or 'NONE'
+ * @returns {Object} { cgst_amount, sgst_amount, igst_amount, total_gst }
+ */
+function splitTax(taxableAmount, gstRate, taxType) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const tax = taxType === 'NONE' ? 0 : ((Number(taxableAmount) || 0) * (Number(gstRate) || 0)) / 100;
+
+  if (taxType === 'CGST_SGST') {
+    const half = round(tax / 2);
+    return { cgst_amount: half, sgst_amount: half, igst_amount: 0, total_gst: round(half * 2) };
+  }
+  return { cgst_amount: 0, sgst_amount: 0, igst_amount: round(tax), total_gst: round(tax) };
+}
+
+/**
+ * Decide the place of supply of a draft and split the tax on its lines
+ * @param {Object} draft - As for determinePlaceOfSupply, with items { taxable_amount | amount, gst_rate }
+ * @returns {Object} Decision with items (tax per line) and totals
+ */
+function resolve(draft = {}) {
+  const decision = determinePlaceOfSupply(draft);
+  const items = (draft.items || []).map(item => {
+    const taxable = Number(item.taxable_amount !== undefined ? item.taxable_amount : item.amount) || 0;
+    return { ...item, taxable_amount: taxable, ...splitTax(taxable, item.gst_rate, decision.tax_type) };
+  });
+  const sum = (field) => Math.round(items.reduce((total, item) => total + item[field], 0) * 100) / 100;
+
+  return {
+    ...decision,
+    items,
+    totals: {
+      taxable_amount: sum('taxable_amount'),
+      cgst_amount: sum('cgst_amount'),
+      sgst_amount: sum('sgst_amount'),
+      igst_amount: sum('igst_amount'),
+      total_gst: sum('total_gst'),
+      total_amount: Math.round((sum('taxable_amount') + sum('total_gst')) * 100) / 100
+    }
+  };
+}
+
+/**
+ * Get the state code list
+ */
+function getStateCodes() {
+  return Object.entries(STATE_CODES).map(([code, name]) => ({ code, name }));
+}
+
+module.exports = {
+  determinePlaceOfSupply,
+  resolve,
+  splitTax,
+  stateCode,
+  stateName,
+  partyState,
+  isRegistered,
+  supplyKind,
+  getStateCodes,
+  STATE_CODES,
+  SUPPLY_NATURES,
+  SERVICE_RULES,
+  FOREIGN_COUNTRY
+};
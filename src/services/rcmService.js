@@ -0,0 +1,186 @@
+/**
+ * Reverse Charge Service
+ *
+ * Supplies on which the recipient, not the supplier, pays GST (section 9(3)
+ * and 9(4) of the CGST Act): goods transport agencies, advocates, security
+ * services and the like.
+ *
+ * Features:
+ * - Expense categories that attract reverse charge, with their GST rate
+ * - Register of reverse-charge purchases and expenses with self-invoice numbers
+ */
+
+let db = null;
+
+// Default reverse-charge categories: expense category, service description, SAC, GST rate
+const DEFAULT_CATEGORIES = [
+  ['Freight', 'Goods transport agency (GTA) services', '9965', 5],
+  ['Legal', 'Legal services by an advocate or firm of advocates', '9982', 18],
+  ['Security', 'Security services by a non-corporate supplier', '9985', 18],
+  ['Sponsorship', 'Sponsorship services', '9983', 18],
+  ['Director Fees', 'Services of a director to the company', '9983', 18],
+  ['Rent - Commercial', 'Renting of commercial property by an unregistered person', '9972', 18]
+];
+
+/**
+ * Initialize the reverse charge service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[RCMService] Initialized');
+  createRCMTables();
+  seedDefaultCategories();
+}
+
+/**
+ * Create reverse-charge tables
+ */
+function createRCMTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Expense categories that attract reverse charge
+    CREATE TABLE IF NOT EXISTS rcm_categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category TEXT NOT NULL UNIQUE COLLATE NOCASE, -- matches expenses.category
+      description TEXT,
+      sac_code TEXT,
+      gst_rate REAL NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Seed the default categories
+ */
+function seedDefaultCategories() {
+  if (!db) return;
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO rcm_categories (category, description, sac_code, gst_rate) VALUES (?, ?, ?, ?)
+  `);
+
+  for (const category of DEFAULT_CATEGORIES) {
+    stmt.run(...category);
+  }
+}
+
+/**
+ * Get reverse-charge categories
+ * @param {Object} filters - { activeOnly }
+ */
+function getCategories(filters = {}) {
+  if (!db) return [];
+
+  return db.prepare(`
+    SELECT * FROM rcm_categories ${filters.activeOnly ? 'WHERE is_active = 1' : ''} ORDER BY category ASC
+  `).all();
+}
+
+/**
+ * Get the active reverse-charge category matching an expense category
+ * @param {string} category - Expense category
+ * @returns {Object|null} Category row
+ */
+function getCategory(category) {
+  if (!db || !category) return null;
+
+  return db.prepare('SELECT * FROM rcm_categories WHERE category = ? AND is_active = 1').get(String(category).trim()) || null;
+}
+
+/**
+ * Create or update a reverse-charge category
+ * @param {Object} categoryData - { category, description, sac_code, gst_rate, is_active }
+ */
+function saveCategory(categoryData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const rate = Number(categoryData.gst_rate);
+    if (!categoryData.category) return { success: false, error: 'Category is required' };
+    if (!(rate > 0)) return { success: false, error: 'GST rate must be greater than zero' };
+
+    db.prepare(`
+      INSERT INTO rcm_categories (category, description, sac_code, gst_rate, is_active)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(category) DO UPDATE SET
+        description = excluded.description, sac_code = excluded.sac_code, gst_rate = excluded.gst_rate,
+        is_active = excluded.is_active, updated_at = CURRENT_TIMESTAMP
+    `).run(
+      String(categoryData.category).trim(), categoryData.description || null, categoryData.sac_code || null, rate,
+      categoryData.is_active === false || categoryData.is_active === 0 ? 0 : 1
+    );
+
+    return { success: true, message: `Reverse charge set for ${categoryData.category} at ${rate}%` };
+  } catch (error) {
+    console.error('[RCMService] Save category error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the reverse-charge register: purchases and expenses on which we paid
+ * the tax, with their self-invoice numbers
+ * @param {Object} filters - { startDate, endDate }
+ * @returns {Object} { documents, totals }
+ */
+function getRegister(filters = {}) {
+  if (!db) return { documents: [], totals: {} };
+
+  try {
+    const { startDate = '0000-01-01', endDate = '9999-12-31' } = filters;
+
+    const purchases = db.prepare(`
+      SELECT 'purchase' as source_type, t.id as source_id, t.date, t.voucher_no as document_no,
+        t.reference_no as supplier_invoice_no, t.rcm_self_invoice_no, p.name as party_name, p.gstin,
+        t.taxable_amount, t.cgst_amount, t.sgst_amount, t.igst_amount, t.cess_amount, t.is_itc_eligible
+      FROM transactions t
+      LEFT JOIN parties p ON t.party_id = p.id
+      WHERE t.voucher_type = 'purchase' AND t.reverse_charge = 1 AND t.is_cancelled = 0
+        AND t.date >= ? AND t.date <= ?
+    `).all(startDate, endDate);
+
+    // Expenses record a lump GST amount, booked as intra-state CGST/SGST
+    const expenses = db.prepare(`
+      SELECT 'expense' as source_type, e.id as source_id, e.date, e.category as document_no,
+        e.reference as supplier_invoice_no, e.rcm_self_invoice_no, p.name as party_name, p.gstin,
+        e.amount as taxable_amount, ROUND(e.gst_amount / 2, 2) as cgst_amount,
+        e.gst_amount - ROUND(e.gst_amount / 2, 2) as sgst_amount, 0 as igst_amount, 0 as cess_amount,
+        1 as is_itc_eligible
+      FROM expenses e
+      LEFT JOIN parties p ON e.party_id = p.id
+      WHERE e.reverse_charge = 1 AND e.date >= ? AND e.date <= ?
+    `).all(startDate, endDate);
+
+    const documents = purchases.concat(expenses).sort((a, b) => a.date.localeCompare(b.date));
+    const sum = (field) => Math.round(documents.reduce((total, d) => total + (d[field] || 0), 0) * 100) / 100;
+
+    return {
+      documents,
+      totals: {
+        document_count: documents.length,
+        taxable_amount: sum('taxable_amount'),
+        cgst_amount: sum('cgst_amount'),
+        sgst_amount: sum('sgst_amount'),
+        igst_amount: sum('igst_amount'),
+        cess_amount: sum('cess_amount'),
+        total_tax: Math.round((sum('cgst_amount') + sum('sgst_amount') + sum('igst_amount') + sum('cess_amount')) * 100) / 100
+      }
+    };
+  } catch (error) {
+    console.error('[RCMService] Get register error:', error);
+    return { documents: [], totals: {} };
+  }
+}
+
+module.exports = {
+  initialize,
+  getCategories,
+  getCategory,
+  saveCategory,
+  getRegister
+};
@@ -164,36 +164,25 @@ class ReconciliationService {
   }
 
   /**
-   * Find matching transaction for a bank transaction
+   * Find the best matching voucher for a bank transaction.
+   * Scoring happens in the main process reconciliation engine so this screen
+   * ranks candidates exactly like auto-reconcile and the voice flow do.
    */
-  findMatchingTransaction(bankTxn, transactions, tolerance = { amount: 5, days: 3 }) {
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const txn of transactions) {
-      if (txn.is_matched) continue;
-
-      // Amount match (weighted 60%)
-      const amountDiff = Math.abs(txn.total_amount - bankTxn.amount);
-      const amountScore = amountDiff <= tolerance.amount ? 1 - (amountDiff / tolerance.amount) : 0;
-      if (amountScore < 0.5) continue; // Skip if amount match is poor
-
-      // Date match (weighted 40%)
-      const txnDate = new Date(txn.date);
-      const bankDate = new Date(bankTxn.date);
-      const daysDiff = Math.abs((txnDate - bankDate) / (1000 * 60 * 60 * 24));
-      const dateScore = daysDiff <= tolerance.days ? 1 - (daysDiff / tolerance.days) : 0;
-
-      // Combined score
-      const totalScore = (amountScore * 0.6) + (dateScore * 0.4);
-
-      if (totalScore > bestScore && totalScore >= this.matchingThreshold) {
-        bestMatch = { transaction: txn, score: totalScore, amountDiff, daysDiff };
-        bestScore = totalScore;
-      }
+  async findMatchingTransaction(bankTxn, options = {}) {
+    const result = await api.reconciliation.findMatches(bankTxn, options);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to find matches');
     }
 
-    return bestMatch;
+    const best = result.candidates[0];
+    if (!best || best.score < this.matchingThreshold * 100) return null;
+
+    return {
+      transaction: best,
+      score: best.score / 100,
+      reasons: best.reasons,
+      alternatives: result.candidates.slice(1)
+    };
   }
 
   /**
@@ -0,0 +1,739 @@
+/**
+ * Reconciliation Engine
+ *
+ * The one place bank lines are matched to vouchers. Each open voucher is
+ * scored by a set of pluggable scorers and the candidates are returned
+ * ranked, with the reason behind every score:
+ * - amount: bank amount against the voucher's outstanding balance
+ * - date: days between the voucher and the bank line
+ * - reference: voucher number, UTR or cheque number quoted in the narration
+ * - party: fuzzy match of the party name against the narration
+ * - rule: reconciliation rules that point a narration at a party
+ *
+ * A scorer returns null when it has nothing to say about a pair (no
+ * reference in the narration, no rule for it), so it neither helps nor
+ * penalises the candidate.
+ *
+ * Besides one-to-one candidates, subset-sum search proposes split matches
+ * (one bank line settling several vouchers) and grouped matches (several
+ * bank lines settling one voucher).
+ */
+
+let db = null;
+
+const DEFAULT_OPTIONS = {
+  amountTolerance: 1, // rupees either way still counted as the same amount
+  dateWindowDays: 30, // bank lines this many days after the voucher still score on date
+  minScore: 40, // candidates below this are not returned
+  autoMatchScore: 85, // best candidate is matched without review at or above this
+  autoMatchMargin: 10, // ... and when it leads the runner-up by at least this
+  limit: 5,
+  maxSplitSize: 5 // most vouchers (or bank lines) one split or grouped match may combine
+};
+
+// Most vouchers or bank lines a subset-sum search looks at, and how many steps it may take
+const SUBSET_POOL = 20;
+const SUBSET_STEPS = 20000;
+
+// Words in party names and narrations that say nothing about who paid
+const STOP_WORDS = new Set([
+  'ltd', 'limited', 'pvt', 'private', 'llp', 'inc', 'co', 'company', 'the', 'and', 'ms',
+  'neft', 'rtgs', 'imps', 'upi', 'ach', 'nach', 'ecs', 'cms', 'transfer', 'trf', 'by', 'to', 'from',
+  'payment', 'pay', 'cr', 'dr', 'ref', 'no', 'chq', 'cheque', 'clg', 'inb', 'mob', 'bank'
+]);
+
+// Month names, which date a narration rather than name who it is from
+const MONTH_WORDS = new Set(['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec']);
+
+/**
+ * Initialize the reconciliation engine
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[ReconciliationEngine] Initialized');
+}
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Lower-case alphanumeric form, for comparing references
+ */
+function compact(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Meaningful words of a name or narration
+ */
+function words(text) {
+  return String(text || '').toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Dice coefficient on letter pairs, for names misspelt or cut short in a narration
+ */
+function similarity(a, b) {
+  const pairs = (text) => {
+    const result = [];
+    for (let i = 0; i < text.length - 1; i++) result.push(text.slice(i, i + 2));
+    return result;
+  };
+  const left = pairs(a);
+  const right = pairs(b);
+  if (!left.length || !right.length) return 0;
+  const pool = [...right];
+  let common = 0;
+  left.forEach(pair => {
+    const index = pool.indexOf(pair);
+    if (index >= 0) {
+      common++;
+      pool.splice(index, 1);
+    }
+  });
+  return (2 * common) / (left.length + right.length);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Does a rule's pattern match a narration. 'keywords' rules (the ones
+ * learned from matches) compare words only, so "RAZORPAY SETTLEMENT"
+ * matches "NEFT-RAZORPAY-SETTLEMENT-2231".
+ * @param {Object} rule - { pattern, match_type }
+ * @param {string} text - Narration
+ */
+function ruleMatches(rule, text) {
+  const haystack = String(text || '');
+  if (!rule.pattern) return false;
+  if (rule.match_type === 'keywords') {
+    const spaced = (value) => ` ${String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    return spaced(haystack).includes(spaced(rule.pattern));
+  }
+  if (rule.match_type === 'regex') {
+    try {
+      return new RegExp(rule.pattern, 'i').test(haystack);
+    } catch (error) {
+      return false;
+    }
+  }
+  if (rule.match_type === 'exact') return haystack.trim().toLowerCase() === rule.pattern.trim().toLowerCase();
+  return haystack.toLowerCase().includes(rule.pattern.toLowerCase());
+}
+
+/**
+ * The part of a narration that stays the same from one payment to the next:
+ * the longest run of words left once numbers, references, dates and
+ * banking jargon are taken out. "NEFT-RAZORPAY SETTLEMENT-UTR8812" gives
+ * "RAZORPAY SETTLEMENT".
+ * @param {string} description - Narration
+ * @returns {string|null} Pattern for a 'keywords' rule, or null when nothing stable is left
+ */
+function patternFromNarration(description) {
+  const tokens = String(description || '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+  const keep = (token) => token.length > 2 && !/\d/.test(token) && !STOP_WORDS.has(token.toLowerCase())
+    && !MONTH_WORDS.has(token.toLowerCase());
+
+  let best = [];
+  let run = [];
+  tokens.forEach(token => {
+    if (keep(token)) {
+      run.push(token);
+      if (run.length > best.length) best = [...run];
+    } else {
+      run = [];
+    }
+  });
+
+  return best.length ? best.slice(0, 4).join(' ') : null;
+}
+
+// ==================== SCORERS ====================
+
+/**
+ * Built-in scorers. score(line, candidate, context) returns
+ * { score: 0..1, reason } or null when it does not apply.
+ */
+const SCORERS = [
+  {
+    name: 'amount',
+    weight: 40,
+    score(line, candidate, { options }) {
+      const diff = round2(Math.abs(candidate.outstanding - line.amount));
+      if (diff <= 0.01) {
+        return { score: 1, reason: `Amount ${line.amount} equals the outstanding balance` };
+      }
+      if (Math.abs(candidate.total_amount - line.amount) <= 0.01) {
+        return { score: 0.9, reason: `Amount ${line.amount} equals the invoice total (${candidate.outstanding} outstanding)` };
+      }
+      if (diff <= options.amountTolerance) {
+        return { score: 0.9 - 0.2 * (diff / options.amountTolerance), reason: `Amount differs by ${diff}, within the tolerance of ${options.amountTolerance}` };
+      }
+      return { score: 0, reason: `Amount differs from the outstanding balance by ${diff}` };
+    }
+  },
+  {
+    name: 'date',
+    weight: 20,
+    score(line, candidate, { options }) {
+      if (!line.date || !candidate.date) return null;
+      const days = daysBetween(candidate.date, line.date);
+      if (days < -3) {
+        return { score: 0, reason: `Bank line is ${-days} days before the voucher` };
+      }
+      if (days > options.dateWindowDays) {
+        return { score: 0, reason: `Bank line is ${days} days after the voucher, outside the ${options.dateWindowDays}-day window` };
+      }
+      const gap = Math.max(0, days);
+      return { score: 1 - gap / (options.dateWindowDays + 1), reason: gap === 0 ? 'Same date as the voucher' : `${gap} days after the voucher` };
+    }
+  },
+  {
+    name: 'reference',
+    weight: 30,
+    score(line, candidate) {
+      const text = compact(`${line.description} ${line.reference}`);
+      if (!text) return null;
+      const references = [
+        ['voucher', candidate.voucher_no],
+        ['reference', candidate.reference_no],
+        ...(candidate.payment_references || []).map(ref => ['payment', ref])
+      ].filter(([, value]) => compact(value).length >= 4);
+      const hit = references.find(([, value]) => text.includes(compact(value)));
+      if (hit) {
+        return { score: 1, reason: `Narration quotes ${hit[0] === 'voucher' ? 'voucher number' : `${hit[0]} reference`} ${hit[1]}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'party',
+    weight: 20,
+    score(line, candidate) {
+      if (line.party_id) {
+        return line.party_id === candidate.party_id
+          ? { score: 1, reason: `Party is ${candidate.party_name}` }
+          : { score: 0, reason: `Party is not ${candidate.party_name}` };
+      }
+      const nameWords = words(candidate.party_name);
+      const narrationWords = words(`${line.description} ${line.party_name || ''}`);
+      if (!nameWords.length || !narrationWords.length) return null;
+      const matched = nameWords.filter(word => narrationWords.some(other => other === word
+        || (word.length >= 4 && other.length >= 4 && (other.startsWith(word) || word.startsWith(other) || similarity(word, other) >= 0.8))));
+      const score = matched.length / nameWords.length;
+      if (score === 0) return { score: 0, reason: `Narration does not mention ${candidate.party_name}` };
+      return { score, reason: `Narration mentions ${matched.join(', ')} from ${candidate.party_name}` };
+    }
+  },
+  {
+    name: 'rule',
+    weight: 25,
+    score(line, candidate, { rules }) {
+      const rule = rules.find(r => r.party_id && ruleMatches(r, line.description));
+      if (!rule) return null;
+      if (rule.party_id === candidate.party_id) {
+        return { score: 1, reason: `Rule "${rule.name}" points this narration to ${candidate.party_name}` };
+      }
+      return { score: 0, reason: `Rule "${rule.name}" points this narration to another party` };
+    }
+  }
+];
+
+/**
+ * Add a scorer, or replace the built-in one with the same name
+ * @param {Object} scorer - { name, weight, score(line, candidate, context) }
+ */
+function registerScorer(scorer) {
+  if (!scorer || !scorer.name || typeof scorer.score !== 'function') {
+    throw new Error('A scorer needs a name and a score function');
+  }
+  const index = SCORERS.findIndex(s => s.name === scorer.name);
+  const entry = { weight: 10, ...scorer };
+  if (index >= 0) SCORERS[index] = entry;
+  else SCORERS.push(entry);
+}
+
+function getScorers() {
+  return SCORERS.map(({ name, weight }) => ({ name, weight }));
+}
+
+// ==================== CANDIDATES ====================
+
+/**
+ * Bank line in one shape, whichever table or screen it came from
+ * @param {Object} line - Bank line, statement row or voice request
+ */
+function normaliseLine(line = {}) {
+  const rawAmount = Number(line.amount) || 0;
+  let type = line.type ? String(line.type).toLowerCase() : null;
+  if (type === 'cr' || type === 'c') type = 'credit';
+  if (type === 'dr' || type === 'd') type = 'debit';
+  if (!type && rawAmount < 0) type = 'debit';
+  return {
+    id: line.id || null,
+    date: line.date || line.transaction_date || null,
+    amount: round2(Math.abs(rawAmount)),
+    type, // null when the direction is not known (voice requests)
+    description: line.description || '',
+    reference: line.reference || line.reference_no || '',
+    party_id: line.party_id || null,
+    party_name: line.party_name || null
+  };
+}
+
+/**
+ * Active reconciliation rules for a bank account
+ */
+function getRules(accountId) {
+  return db.prepare(`
+    SELECT * FROM reconciliation_rules
+    WHERE is_active = 1 ${accountId ? 'AND (account_id = ? OR account_id IS NULL)' : ''}
+  `).all(...(accountId ? [accountId] : []));
+}
+
+/**
+ * Vouchers a bank line could settle: sales for money in, purchases for
+ * money out, with what is still outstanding on each
+ * @param {Object} line - Normalised bank line
+ * @param {Object} options - { partyId, transactionId, excludeIds }
+ */
+function getOpenVouchers(line, options = {}) {
+  const voucherTypes = line.type === 'credit' ? ['sale'] : line.type === 'debit' ? ['purchase'] : ['sale', 'purchase'];
+  const conditions = [
+    `t.voucher_type IN (${voucherTypes.map(() => '?').join(', ')})`,
+    't.is_cancelled = 0',
+    "COALESCE(t.payment_status, 'pending') != 'paid'",
+    // Confirmed matches show up as payments; auto-matches awaiting review still hold their voucher
+    `NOT EXISTS (
+      SELECT 1 FROM bank_transactions b
+      WHERE b.matched_invoice_id = t.id AND b.matched_invoice_type = t.voucher_type
+        AND b.status = 'matched' ${line.id ? 'AND b.id != ?' : ''}
+    )`
+  ];
+  const params = [...voucherTypes];
+  if (line.id) params.push(line.id);
+  if (line.date) {
+    // Vouchers dated after the line (plus a few days' slack) cannot have been settled by it
+    conditions.push("t.date <= date(?, '+3 days')");
+    params.push(line.date);
+  }
+  if (options.partyId) {
+    conditions.push('t.party_id = ?');
+    params.push(options.partyId);
+  }
+  if (options.transactionId) {
+    conditions.push('t.id = ?');
+    params.push(options.transactionId);
+  }
+
+  const vouchers = db.prepare(`
+    SELECT t.id, t.voucher_no, t.voucher_type, t.date, t.total_amount, t.reference_no,
+      t.party_id, p.name as party_name,
+      COALESCE((SELECT SUM(pm.amount) FROM payments pm WHERE pm.transaction_id = t.id), 0) as paid_amount,
+      (SELECT GROUP_CONCAT(pm.reference, '|') FROM payments pm WHERE pm.transaction_id = t.id AND pm.reference IS NOT NULL) as payment_refs
+    FROM transactions t
+    LEFT JOIN parties p ON p.id = t.party_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY t.date DESC
+    LIMIT 500
+  `).all(...params);
+
+  return vouchers
+    .map(voucher => ({
+      ...voucher,
+      outstanding: round2(voucher.total_amount - voucher.paid_amount),
+      payment_references: voucher.payment_refs ? voucher.payment_refs.split('|') : []
+    }))
+    .filter(voucher => voucher.outstanding > 0.005 && !(options.excludeIds || []).includes(voucher.id));
+}
+
+// ==================== RANKING ====================
+
+/**
+ * Score one candidate against a bank line
+ * @returns {Object} { score: 0..100, reasons: [{ scorer, weight, score, reason }] }
+ */
+function scoreCandidate(line, candidate, context) {
+  const reasons = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  SCORERS.forEach(scorer => {
+    const result = scorer.score(line, candidate, context);
+    if (!result) return;
+    const score = Math.max(0, Math.min(1, result.score));
+    weighted += score * scorer.weight;
+    totalWeight += scorer.weight;
+    reasons.push({ scorer: scorer.name, weight: scorer.weight, score: round2(score), reason: result.reason });
+  });
+
+  return { score: totalWeight ? round2((weighted / totalWeight) * 100) : 0, reasons };
+}
+
+function confidenceOf(score, options) {
+  if (score >= options.autoMatchScore) return 'high';
+  if (score >= (options.autoMatchScore + options.minScore) / 2) return 'medium';
+  return 'low';
+}
+
+/**
+ * Rank candidate vouchers for a bank line. Works on any list of candidates,
+ * so callers holding vouchers in memory get the same scores.
+ * @param {Object} line - Bank line (any shape normaliseLine accepts)
+ * @param {Array} candidates - Vouchers with outstanding, party_name, voucher_no
+ * @param {Object} options - Overrides of DEFAULT_OPTIONS; rules for the rule scorer
+ * @returns {Array} Candidates with score, confidence and reasons, best first
+ */
+function rankCandidates(line, candidates, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const bankLine = normaliseLine(line);
+  const context = { options: settings, rules: options.rules || [] };
+
+  return candidates
+    .map(candidate => {
+      const normalised = {
+        ...candidate,
+        outstanding: candidate.outstanding !== undefined ? candidate.outstanding : candidate.total_amount
+      };
+      const { score, reasons } = scoreCandidate(bankLine, normalised, context);
+      // A candidate that fails on amount needs a quoted reference to stay in the running
+      const amountFails = reasons.some(r => r.scorer === 'amount' && r.score === 0);
+      const referenced = reasons.some(r => r.scorer === 'reference' && r.score === 1);
+      return {
+        transaction_id: normalised.id,
+        voucher_no: normalised.voucher_no,
+        voucher_type: normalised.voucher_type,
+        date: normalised.date,
+        party_id: normalised.party_id,
+        party_name: normalised.party_name,
+        total_amount: normalised.total_amount,
+        outstanding: normalised.outstanding,
+        score,
+        confidence: confidenceOf(score, settings),
+        eligible: !amountFails || referenced,
+        reasons
+      };
+    })
+    .filter(candidate => candidate.eligible && candidate.score >= settings.minScore)
+    .map(({ eligible, ...candidate }) => candidate)
+    .sort((a, b) => b.score - a.score || String(a.date).localeCompare(String(b.date)))
+    .slice(0, settings.limit);
+}
+
+/**
+ * Ranked candidate vouchers for a bank line, read from the books
+ * @param {Object} line - Bank line
+ * @param {Object} options - { accountId, partyId, transactionId, excludeIds, ...DEFAULT_OPTIONS }
+ */
+function findMatches(line, options = {}) {
+  if (!db) return [];
+  const bankLine = normaliseLine(line);
+  const candidates = getOpenVouchers(bankLine, options);
+  return rankCandidates(bankLine, candidates, { ...options, rules: getRules(options.accountId) });
+}
+
+// ==================== SPLIT AND GROUPED MATCHES ====================
+
+/**
+ * Subsets of items whose values add up to a target, within a tolerance.
+ * Depth-first over values largest first, pruning branches that overshoot
+ * or can no longer reach the target.
+ * @param {Array} items - Anything with a value
+ * @param {number} target - Amount to reach
+ * @param {Object} options - { tolerance, minSize, maxSize, maxResults, amountOf }
+ * @returns {Array} Subsets, each an array of items
+ */
+function subsetSum(items, target, options = {}) {
+  const {
+    tolerance = 0.01, minSize = 1, maxSize = DEFAULT_OPTIONS.maxSplitSize, maxResults = 5,
+    amountOf = item => item.value
+  } = options;
+  const entries = items
+    .map(item => ({ item, value: round2(amountOf(item)) }))
+    .filter(entry => entry.value > 0)
+    .sort((a, b) => b.value - a.value);
+  const remaining = [];
+  entries.reduceRight((sum, entry, index) => (remaining[index] = round2(sum + entry.value)), 0);
+
+  const results = [];
+  let steps = 0;
+  const walk = (start, chosen, total) => {
+    if (results.length >= maxResults || ++steps > SUBSET_STEPS) return;
+    if (chosen.length >= minSize && Math.abs(total - target) <= tolerance) {
+      results.push(chosen.map(entry => entry.item));
+      return;
+    }
+    if (chosen.length >= maxSize) return;
+    for (let i = start; i < entries.length; i++) {
+      if (total + remaining[i] < target - tolerance) return;
+      const next = round2(total + entries[i].value);
+      if (next > target + tolerance) continue;
+      chosen.push(entries[i]);
+      walk(i + 1, chosen, next);
+      chosen.pop();
+    }
+  };
+  walk(0, [], 0);
+  return results;
+}
+
+/**
+ * Score a voucher against a bank line for an allocation of part of either,
+ * so the amount scorer judges the allocation rather than the whole line
+ */
+function scoreAllocation(line, voucher, allocation, context) {
+  return scoreCandidate({ ...line, amount: allocation }, { ...voucher, outstanding: allocation }, context);
+}
+
+function describeVoucher(voucher, allocation, scored) {
+  return {
+    transaction_id: voucher.id,
+    voucher_no: voucher.voucher_no,
+    voucher_type: voucher.voucher_type,
+    date: voucher.date,
+    party_id: voucher.party_id,
+    party_name: voucher.party_name,
+    total_amount: voucher.total_amount,
+    outstanding: voucher.outstanding,
+    allocation,
+    score: scored.score,
+    reasons: scored.reasons
+  };
+}
+
+/**
+ * Ways one bank line could settle several vouchers of the same party.
+ * Vouchers whose outstanding balances add up to the line come first; when
+ * the narration names the party but no combination adds up, its vouchers
+ * are settled oldest first with the last one part-paid.
+ * @param {Object} line - Bank line
+ * @param {Object} options - As for findMatches
+ * @returns {Array} [{ kind: 'split', score, confidence, reasons, allocations }]
+ */
+function findSplitMatches(line, options = {}) {
+  if (!db) return [];
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const bankLine = normaliseLine(line);
+  if (!bankLine.amount) return [];
+  const context = { options: settings, rules: getRules(settings.accountId) };
+
+  const byParty = new Map();
+  getOpenVouchers(bankLine, settings).forEach(voucher => {
+    if (!voucher.party_id) return;
+    if (!byParty.has(voucher.party_id)) byParty.set(voucher.party_id, []);
+    byParty.get(voucher.party_id).push(voucher);
+  });
+
+  const proposals = [];
+  byParty.forEach(vouchers => {
+    if (vouchers.length < 2) return;
+    const pool = vouchers.slice(0, SUBSET_POOL);
+    const partyName = pool[0].party_name;
+    const subsets = subsetSum(pool, bankLine.amount, {
+      tolerance: settings.amountTolerance, minSize: 2, maxSize: settings.maxSplitSize, amountOf: voucher => voucher.outstanding
+    });
+    const plans = subsets.map(subset => ({
+      exact: true,
+      parts: subset.map(voucher => [voucher, voucher.outstanding])
+    }));
+
+    if (!plans.length) {
+      // Oldest first, only when the narration points at this party
+      const named = scoreCandidate(bankLine, { ...pool[0], outstanding: bankLine.amount }, context).reasons
+        .some(r => (r.scorer === 'party' || r.scorer === 'rule') && r.score >= 0.5);
+      const oldestFirst = [...pool].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+      const total = oldestFirst.reduce((sum, voucher) => sum + voucher.outstanding, 0);
+      if (named && total > bankLine.amount) {
+        let left = bankLine.amount;
+        const parts = [];
+        for (const voucher of oldestFirst) {
+          if (left <= 0.005 || parts.length >= settings.maxSplitSize) break;
+          const allocation = round2(Math.min(left, voucher.outstanding));
+          parts.push([voucher, allocation]);
+          left = round2(left - allocation);
+        }
+        if (parts.length >= 2 && left <= 0.005) plans.push({ exact: false, parts });
+      }
+    }
+
+    plans.forEach(({ exact, parts }) => {
+      const allocations = parts.map(([voucher, allocation]) =>
+        describeVoucher(voucher, allocation, scoreAllocation(bankLine, voucher, allocation, context)));
+      const mean = allocations.reduce((sum, a) => sum + a.score, 0) / allocations.length;
+      // Part-paying the last voucher is a guess at how the party meant the money
+      const score = round2(exact ? mean : mean * 0.9);
+      const summary = exact
+        ? `${allocations.length} vouchers of ${partyName} add up to ${bankLine.amount}`
+        : `${bankLine.amount} settles ${allocations.length} vouchers of ${partyName} oldest first, the last one in part`;
+      proposals.push({
+        kind: 'split',
+        score,
+        confidence: confidenceOf(score, settings),
+        reasons: [{ scorer: 'subset', reason: summary }],
+        allocations
+      });
+    });
+  });
+
+  return proposals
+    .filter(proposal => proposal.score >= settings.minScore)
+    .sort((a, b) => b.score - a.score || a.allocations.length - b.allocations.length)
+    .slice(0, settings.limit);
+}
+
+/**
+ * Ways several pending bank lines, this one included, could together settle
+ * one voucher, such as a day's cash sales deposited in parts
+ * @param {Object} line - Bank line (needs its id to find the others)
+ * @param {Object} options - As for findMatches
+ * @returns {Array} [{ kind: 'group', score, confidence, reasons, voucher, lines }]
+ */
+function findGroupMatches(line, options = {}) {
+  if (!db) return [];
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const bankLine = normaliseLine(line);
+  if (!bankLine.amount || !bankLine.id || !bankLine.date) return [];
+  const context = { options: settings, rules: getRules(settings.accountId) };
+
+  const accountId = line.account_id || settings.accountId || null;
+  const others = db.prepare(`
+    SELECT * FROM bank_transactions
+    WHERE status = 'pending' AND id != ?
+      AND date BETWEEN date(?, ?) AND date(?, ?)
+      ${bankLine.type ? 'AND type = ?' : ''}
+      ${accountId ? 'AND account_id = ?' : ''}
+    ORDER BY ABS(julianday(date) - julianday(?))
+    LIMIT ?
+  `).all(
+    bankLine.id,
+    bankLine.date, `-${settings.dateWindowDays} days`, bankLine.date, `+${settings.dateWindowDays} days`,
+    ...(bankLine.type ? [bankLine.type] : []),
+    ...(accountId ? [accountId] : []),
+    bankLine.date, SUBSET_POOL
+  ).map(other => ({ ...other, amount: round2(Math.abs(other.amount)) }));
+  if (!others.length) return [];
+
+  const proposals = [];
+  getOpenVouchers(bankLine, settings)
+    .filter(voucher => voucher.outstanding > bankLine.amount + settings.amountTolerance)
+    .slice(0, 50)
+    .forEach(voucher => {
+      const subsets = subsetSum(others, round2(voucher.outstanding - bankLine.amount), {
+        tolerance: settings.amountTolerance, maxSize: settings.maxSplitSize - 1, maxResults: 2, amountOf: other => other.amount
+      });
+      subsets.forEach(subset => {
+        const lines = [bankLine, ...subset].map(member => {
+          const scored = scoreAllocation(normaliseLine(member), voucher, member.amount, context);
+          return {
+            id: member.id, date: member.date, description: member.description, amount: member.amount,
+            score: scored.score, reasons: scored.reasons
+          };
+        });
+        const score = round2(lines.reduce((sum, member) => sum + member.score, 0) / lines.length);
+        proposals.push({
+          kind: 'group',
+          score,
+          confidence: confidenceOf(score, settings),
+          reasons: [{ scorer: 'subset', reason: `${lines.length} bank lines add up to the ${voucher.outstanding} outstanding on ${voucher.voucher_no}` }],
+          voucher: describeVoucher(voucher, voucher.outstanding, { score, reasons: [] }),
+          lines
+        });
+      });
+    });
+
+  return proposals
+    .filter(proposal => proposal.score >= settings.minScore)
+    .sort((a, b) => b.score - a.score || a.lines.length - b.lines.length)
+    .slice(0, settings.limit);
+}
+
+/**
+ * Decide matches for a batch of bank lines. A voucher goes to at most one
+ * line in the batch; lines whose best candidate is not clear enough are
+ * returned as suggestions for review, along with any split or grouped
+ * matches. Nothing is written.
+ * @param {Array} lines - Bank lines
+ * @param {Object} options - As for findMatches
+ * @returns {Object} { matches: [{ line, candidate }], suggestions: [{ line, candidates, splits, groups }], unmatched: [line] }
+ */
+function autoMatch(lines, options = {}) {
+  if (!db) return { matches: [], suggestions: [], unmatched: lines };
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const claimed = [];
+  const matches = [];
+  const suggestions = [];
+  const unmatched = [];
+
+  lines.forEach(line => {
+    const candidates = findMatches(line, {
+      ...settings,
+      accountId: line.account_id || settings.accountId,
+      excludeIds: [...(settings.excludeIds || []), ...claimed]
+    });
+    const [best, runnerUp] = candidates;
+    if (best && best.score >= settings.autoMatchScore
+      && (!runnerUp || best.score - runnerUp.score >= settings.autoMatchMargin)) {
+      claimed.push(best.transaction_id);
+      matches.push({ line, candidate: best });
+      return;
+    }
+
+    const lineOptions = { ...settings, accountId: line.account_id || settings.accountId, excludeIds: [...(settings.excludeIds || []), ...claimed] };
+    const splits = findSplitMatches(line, lineOptions);
+    const groups = findGroupMatches(line, lineOptions);
+    if (best || splits.length || groups.length) {
+      suggestions.push({ line, candidates, splits, groups });
+    } else {
+      unmatched.push(line);
+    }
+  });
+
+  return { matches, suggestions, unmatched };
+}
+
+/**
+ * Party a narration most likely refers to, by the party scorer's fuzzy match
+ * @param {string} description - Narration
+ * @returns {Object|null} { id, name, type, score, reason }
+ */
+function suggestParty(description) {
+  if (!db || !description) return null;
+  const partyScorer = SCORERS.find(s => s.name === 'party');
+  const line = normaliseLine({ description });
+
+  const rule = getRules().find(r => r.party_id && ruleMatches(r, description));
+  if (rule) {
+    const party = db.prepare('SELECT id, name, type FROM parties WHERE id = ?').get(rule.party_id);
+    if (party) return { ...party, score: 1, reason: `Rule "${rule.name}"` };
+  }
+
+  const best = db.prepare('SELECT id, name, type FROM parties WHERE is_active = 1').all()
+    .map(party => ({ party, result: partyScorer.score(line, { party_name: party.name }, {}) }))
+    .filter(({ result }) => result && result.score >= 0.5)
+    .sort((a, b) => b.result.score - a.result.score)[0];
+
+  return best ? { ...best.party, score: round2(best.result.score), reason: best.result.reason } : null;
+}
+
+module.exports = {
+  initialize,
+  DEFAULT_OPTIONS,
+  registerScorer,
+  getScorers,
+  normaliseLine,
+  ruleMatches,
+  patternFromNarration,
+  rankCandidates,
+  findMatches,
+  subsetSum,
+  findSplitMatches,
+  findGroupMatches,
+  autoMatch,
+  suggestParty
+};
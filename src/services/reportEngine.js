@@ -4,17 +4,22 @@
  */
 
 class ReportEngine {
-  constructor(database) {
+  /**
+   * @param {Object} database - Application database
+   * @param {Object} ledger - Ledger service, the source of account and stock balances
+   */
+  constructor(database, ledger) {
     this.db = database;
+    this.ledger = ledger;
   }
 
   /**
    * Generate Sales Report
-   * @param {Object} params - Report parameters
+   * @param {Object} params - Report parameters ({ startDate, endDate } or { financialYear })
    * @returns {Object} Sales report data
    */
   async generateSalesReport(params = {}) {
-    const { startDate, endDate, partyId, groupBy = 'day' } = params;
+    const { startDate, endDate, partyId, groupBy = 'day' } = this._resolvePeriod(params);
 
     try {
       let query = `
@@ -247,68 +252,51 @@ class ReportEngine {
 
   /**
    * Generate Profit and Loss Report
-   * @param {Object} params - Report parameters
+   * Built from general ledger balances for the period. Without a branch the
+   * report is consolidated: stock sent and received between branches nets off.
+   * Purchases are expensed when booked, so the consolidated cost of goods sold
+   * adds opening stock and takes off closing stock at cost; stock is not held
+   * by branch, so a branch report shows purchases without that adjustment.
+   * @param {Object} params - Report parameters ({ startDate, endDate } or { financialYear }, and branchId)
    * @returns {Object} P&L report data
    */
   async generateProfitLoss(params = {}) {
-    const { startDate, endDate } = params;
+    const { startDate, endDate, branchId } = this._resolvePeriod(params);
 
     try {
-      // Get sales
-      const salesQuery = `
-        SELECT 
-          SUM(total_amount) as total_sales,
-          SUM(total_gst) as total_sales_gst,
-          COUNT(*) as transaction_count
-        FROM transactions
-        WHERE voucher_type = 'sale'
-          AND status = 'active'
-          AND date >= ?
-          AND date <= ?
-      `;
-
-      const salesResult = await this.db.prepare(salesQuery).get(startDate, endDate);
-      const totalSales = salesResult?.total_sales || 0;
-      const salesGST = salesResult?.total_sales_gst || 0;
-      const netSales = totalSales - salesGST;
-
-      // Get purchases
-      const purchasesQuery = `
-        SELECT 
-          SUM(total_amount) as total_purchases,
-          SUM(total_gst) as total_purchases_gst,
-          COUNT(*) as transaction_count
-        FROM transactions
-        WHERE voucher_type = 'purchase'
-          AND status = 'active'
-          AND date >= ?
-          AND date <= ?
-      `;
-
-      const purchasesResult = await this.db.prepare(purchasesQuery).get(startDate, endDate);
-      const totalPurchases = purchasesResult?.total_purchases || 0;
-      const purchasesGST = purchasesResult?.total_purchases_gst || 0;
-      const netPurchases = totalPurchases - purchasesGST;
-
-      // Get expenses
-      const expensesQuery = `
-        SELECT 
-          category,
-          SUM(amount) as total_amount,
-          COUNT(*) as count
-        FROM expenses
-        WHERE date >= ?
-          AND date <= ?
-          AND status = 'active'
-        GROUP BY category
-      `;
-
-      const expensesByCategory = await this.db.prepare(expensesQuery).all(startDate, endDate);
+      const balances = await this._getLedgerBalances(startDate, endDate, branchId);
+
+      // Sales and purchases are the direct income/expense ledgers; GST is
+      // shown alongside from the output/input tax ledgers
+      const netSales = this._sumGroups(balances, ['direct_income']);
+      const salesGST = this._sumGroups(balances, ['tax_output']);
+      const totalSales = netSales + salesGST;
+
+      const netPurchases = this._sumGroups(balances, ['direct_expenses']);
+      const purchasesGST = this._sumGroups(balances, ['tax_input']);
+      const totalPurchases = netPurchases + purchasesGST;
+
+      const consolidated = branchId === null || branchId === undefined;
+      const openingStock = consolidated && startDate ? await this._getStockValue(this._addDays(startDate, -1)) : 0;
+      const closingStock = consolidated ? await this._getStockValue(endDate) : 0;
+      const costOfGoodsSold = openingStock + netPurchases - closingStock;
+
+      const otherIncome = this._sumGroups(balances, ['indirect_income']);
+
+      // Indirect expense ledgers (one per expense category)
+      const expensesByCategory = balances
+        .filter(a => a.type === 'expense' && a.group_name !== 'direct_expenses' && a.balance !== 0)
+        .map(a => ({
+          category: a.name,
+          account_code: a.code,
+          total_amount: a.balance,
+          count: a.line_count
+        }));
       const totalExpenses = expensesByCategory.reduce((sum, e) => sum + e.total_amount, 0);
 
       // Calculate margins
-      const grossProfit = netSales - netPurchases;
-      const netProfit = grossProfit - totalExpenses;
+      const grossProfit = netSales - costOfGoodsSold;
+      const netProfit = grossProfit + otherIncome - totalExpenses;
       const grossMargin = netSales > 0 ? (grossProfit / netSales) * 100 : 0;
       const netMargin = netSales > 0 ? (netProfit / netSales) * 100 : 0;
 
@@ -317,15 +305,18 @@ class ReportEngine {
       const prevStartDate = this._addDays(startDate, -periodDays);
       const prevEndDate = this._addDays(startDate, -1);
 
-      const prevSalesQuery = `SELECT SUM(total_amount) as total FROM transactions WHERE voucher_type = 'sale' AND status = 'active' AND date >= ? AND date <= ?`;
-      const prevSales = await this.db.prepare(prevSalesQuery).get(prevStartDate, prevEndDate);
-      const prevSalesTotal = prevSales?.total || 0;
+      const prevBalances = await this._getLedgerBalances(prevStartDate, prevEndDate, branchId);
+      const prevSalesTotal = this._sumGroups(prevBalances, ['direct_income']);
 
       const salesGrowth = prevSalesTotal > 0 
-        ? ((totalSales - prevSalesTotal) / prevSalesTotal) * 100 
+        ? ((netSales - prevSalesTotal) / prevSalesTotal) * 100 
         : 0;
 
+      const salesCount = await this._countPostedTransactions('sale', startDate, endDate, branchId);
+      const purchasesCount = await this._countPostedTransactions('purchase', startDate, endDate, branchId);
+
       return {
+        branch_id: branchId ?? null,
         summary: {
           period: { startDate, endDate },
           total_sales: totalSales,
@@ -336,26 +327,39 @@ class ReportEngine {
           net_purchases: netPurchases,
           gross_profit: grossProfit,
           gross_margin: grossMargin,
+          other_income: otherIncome,
           total_expenses: totalExpenses,
           net_profit: netProfit,
           net_margin: netMargin,
           sales_growth: salesGrowth,
-          transaction_count: (salesResult?.transaction_count || 0) + (purchasesResult?.transaction_count || 0)
+          transaction_count: salesCount + purchasesCount,
+          opening_stock: openingStock,
+          closing_stock: closingStock,
+          cost_of_goods_sold: costOfGoodsSold
         },
         sales: {
           total_sales: totalSales,
           net_sales: netSales,
-          transaction_count: salesResult?.transaction_count || 0
+          transaction_count: salesCount
         },
         purchases: {
           total_purchases: totalPurchases,
           net_purchases: netPurchases,
-          transaction_count: purchasesResult?.transaction_count || 0
+          transaction_count: purchasesCount
+        },
+        stock: {
+          opening: openingStock,
+          closing: closingStock,
+          cost_of_goods_sold: costOfGoodsSold
         },
         expenses: {
           total: totalExpenses,
           by_category: expensesByCategory
         },
+        accounts: {
+          income: balances.filter(a => a.type === 'income' && a.balance !== 0),
+          expenses: balances.filter(a => a.type === 'expense' && a.balance !== 0)
+        },
         gross_profit: grossProfit,
         net_profit: netProfit,
         generatedAt: new Date().toISOString()
@@ -368,81 +372,84 @@ class ReportEngine {
 
   /**
    * Generate Balance Sheet
-   * @param {string} asOfDate - Balance sheet as of date
+   * Built from cumulative general ledger balances up to the date.
+   * @param {string|Object} asOfDate - Balance sheet date, or { asOfDate } / { financialYear }
+   *   (a financial year gives its year-end position), optionally with branchId
    * @returns {Object} Balance sheet data
    */
   async generateBalanceSheet(asOfDate) {
     try {
-      const date = asOfDate || new Date().toISOString().split('T')[0];
+      const options = asOfDate && typeof asOfDate === 'object' ? asOfDate : { asOfDate };
+      const date = options.financialYear
+        ? this._resolvePeriod(options).endDate
+        : options.asOfDate || new Date().toISOString().split('T')[0];
+      const { branchId } = options;
+      const branchFilter = branchId !== null && branchId !== undefined;
+      const balances = await this._getLedgerBalances(null, date, branchId);
 
       // Assets
-      const cashInHandQuery = `SELECT SUM(balance) as total FROM cash_accounts WHERE type = 'cash' AND status = 'active'`;
-      const cashResult = await this.db.prepare(cashInHandQuery).get();
-      const cashInHand = cashResult?.total || 0;
-
-      const bankBalancesQuery = `SELECT SUM(current_balance) as total FROM bank_accounts WHERE status = 'active'`;
-      const bankResult = await this.db.prepare(bankBalancesQuery).get();
-      const bankBalance = bankResult?.total || 0;
-
-      // Accounts Receivable (outstanding amounts)
-      const receivablesQuery = `
-        SELECT 
-          SUM(CASE WHEN payment_status = 'pending' THEN total_amount - COALESCE(paid_amount, 0) ELSE 0 END) as total_receivables,
-          SUM(CASE WHEN payment_status = 'overdue' THEN total_amount - COALESCE(paid_amount, 0) ELSE 0 END) as overdue_receivables
-        FROM transactions
-        WHERE voucher_type = 'sale' AND status = 'active' AND date <= ?
-      `;
-      const receivables = await this.db.prepare(receivablesQuery).get(date);
-      const accountsReceivable = receivables?.total_receivables || 0;
-
-      // Inventory value
-      const inventoryQuery = `
-        SELECT 
-          SUM(p.current_stock * p.purchase_price) as total_value
-        FROM products p
-        WHERE p.status = 'active' AND p.current_stock > 0
-      `;
-      const inventory = await this.db.prepare(inventoryQuery).get();
-      const inventoryValue = inventory?.total_value || 0;
-
-      // Fixed Assets
-      const fixedAssetsQuery = `SELECT SUM(COALESCE(purchase_value, 0) - COALESCE(depreciation, 0)) as total FROM fixed_assets WHERE status = 'active'`;
-      const fixedAssets = await this.db.prepare(fixedAssetsQuery).get();
-      const totalFixedAssets = fixedAssets?.total || 0;
+      const cashInHand = this._sumGroups(balances, ['cash']);
+      const bankBalance = this._sumGroups(balances, ['bank']);
+      const accountsReceivable = this._sumGroups(balances, ['receivables']);
+      // Stock is expensed through purchases, so it is carried at its closing
+      // value and the same amount is added to the profit below
+      const closingStock = branchFilter ? 0 : await this._getStockValue(date);
+      const inventoryValue = this._sumGroups(balances, ['inventory']) + closingStock;
+      const totalFixedAssets = this._sumGroups(balances, ['fixed_assets']);
+
+      // Any other asset ledgers (input tax is netted against output tax below)
+      const knownAssetGroups = ['cash', 'bank', 'receivables', 'inventory', 'fixed_assets', 'tax_input'];
+      const otherCurrentAssets = balances
+        .filter(a => a.type === 'asset' && !knownAssetGroups.includes(a.group_name))
+        .reduce((sum, a) => sum + a.balance, 0);
+
+      const totalCurrentAssets = cashInHand + bankBalance + accountsReceivable + inventoryValue + otherCurrentAssets;
+      const totalAssets = totalCurrentAssets + totalFixedAssets;
 
       // Liabilities
-      const accountsPayableQuery = `
-        SELECT 
-          SUM(CASE WHEN payment_status = 'pending' THEN total_amount - COALESCE(paid_amount, 0) ELSE 0 END) as total_payables
-        FROM transactions
-        WHERE voucher_type = 'purchase' AND status = 'active' AND date <= ?
-      `;
-      const payables = await this.db.prepare(accountsPayableQuery).get(date);
-      const accountsPayable = payables?.total_payables || 0;
-
-      // GST Liability
-      const gstLiabilityQuery = `
-        SELECT 
-          SUM(CASE WHEN voucher_type = 'sale' THEN total_gst ELSE 0 END) as gst_collected,
-          SUM(CASE WHEN voucher_type = 'purchase' THEN total_gst ELSE 0 END) as gst_paid
-        FROM transactions
-        WHERE status = 'active' AND date <= ?
-      `;
-      const gstLiability = await this.db.prepare(gstLiabilityQuery).get(date);
-      const netGSTLiability = (gstLiability?.gst_collected || 0) - (gstLiability?.gst_paid || 0);
-
-      // Loans
-      const loansQuery = `SELECT SUM(COALESCE(outstanding_amount, 0)) as total FROM loans WHERE status = 'active'`;
-      const loans = await this.db.prepare(loansQuery).get();
-      const totalLoans = loans?.total || 0;
-
-      // Calculate Equity
-      const totalAssets = cashInHand + bankBalance + accountsReceivable + inventoryValue + totalFixedAssets;
-      const totalLiabilities = accountsPayable + netGSTLiability + totalLoans;
-      const totalEquity = totalAssets - totalLiabilities;
+      const accountsPayable = this._sumGroups(balances, ['payables']);
+      const netGSTLiability = this._sumGroups(balances, ['tax_output']) - this._sumGroups(balances, ['tax_input']);
+      const totalLoans = this._sumGroups(balances, ['loans']);
+
+      const knownLiabilityGroups = ['payables', 'tax_output', 'loans'];
+      const otherCurrentLiabilities = balances
+        .filter(a => a.type === 'liability' && !knownLiabilityGroups.includes(a.group_name))
+        .reduce((sum, a) => sum + a.balance, 0);
+
+      const totalCurrentLiabilities = accountsPayable + netGSTLiability + otherCurrentLiabilities;
+      const totalLiabilities = totalCurrentLiabilities + totalLoans;
+
+      // Equity: capital and reserves plus profit not yet closed to reserves
+      const capital = this._sumGroups(balances, ['capital']);
+      const reserves = balances
+        .filter(a => a.type === 'equity' && a.group_name !== 'capital')
+        .reduce((sum, a) => sum + a.balance, 0);
+      const currentProfit = closingStock + balances
+        .filter(a => a.type === 'income' || a.type === 'expense')
+        .reduce((sum, a) => sum + (a.type === 'income' ? a.balance : -a.balance), 0);
+      const totalEquity = capital + reserves + currentProfit;
+
+      // Overdue receivables come from invoice due dates, not from the ledger
+      const overdue = await this.db.prepare(`
+        SELECT SUM(t.total_amount - COALESCE(p.paid, 0) - COALESCE(n.noted, 0)) as total
+        FROM transactions t
+        LEFT JOIN (SELECT transaction_id, SUM(amount) as paid FROM payments GROUP BY transaction_id) p
+          ON p.transaction_id = t.id
+        LEFT JOIN (
+          SELECT original_transaction_id, SUM(total_amount) as noted FROM transactions
+          WHERE voucher_type = 'credit_note' AND is_cancelled = 0 GROUP BY original_transaction_id
+        ) n ON n.original_transaction_id = t.id
+        WHERE t.voucher_type = 'sale' AND t.is_cancelled = 0 AND t.payment_status != 'paid'
+          AND t.due_date IS NOT NULL AND t.due_date < ?
+          ${branchFilter ? 'AND COALESCE(t.branch_id, 0) = ?' : ''}
+      `).get(date, ...(branchFilter ? [branchId] : []));
+
+      const trialDebit = balances.reduce((sum, a) => sum + a.total_debit, 0);
+      const trialCredit = balances.reduce((sum, a) => sum + a.total_credit, 0);
 
       return {
         as_of_date: date,
+        branch_id: branchId ?? null,
         assets: {
           current_assets: {
             cash_and_bank: {
@@ -452,17 +459,19 @@ class ReportEngine {
             },
             accounts_receivable: {
               total: accountsReceivable,
-              overdue: receivables?.overdue_receivables || 0
+              overdue: overdue?.total || 0
             },
             inventory: {
               value: inventoryValue,
+              closing_stock: closingStock,
               item_count: await this._countProducts()
             },
-            total_current_assets: cashInHand + bankBalance + accountsReceivable + inventoryValue
+            other_current_assets: otherCurrentAssets,
+            total_current_assets: totalCurrentAssets
           },
           fixed_assets: {
             total: totalFixedAssets,
-            details: await this._getFixedAssets()
+            details: balances.filter(a => a.group_name === 'fixed_assets' && a.balance !== 0)
           },
           total_assets: totalAssets
         },
@@ -470,7 +479,8 @@ class ReportEngine {
           current_liabilities: {
             accounts_payable: accountsPayable,
             gst_liability: netGSTLiability,
-            total: accountsPayable + netGSTLiability
+            other_current_liabilities: otherCurrentLiabilities,
+            total: totalCurrentLiabilities
           },
           long_term_liabilities: {
             loans: totalLoans,
@@ -480,13 +490,16 @@ class ReportEngine {
         },
         equity: {
           total: totalEquity,
-          capital: await this._getCapital(),
-          retained_earnings: totalEquity - (await this._getCapital())
+          capital,
+          retained_earnings: reserves + currentProfit
         },
         balance_check: {
           total_liabilities_equity: totalLiabilities + totalEquity,
           total_assets: totalAssets,
-          balanced: Math.abs((totalLiabilities + totalEquity) - totalAssets) < 1
+          trial_balance_debit: trialDebit,
+          trial_balance_credit: trialCredit,
+          balanced: Math.abs((totalLiabilities + totalEquity) - totalAssets) < 0.01 &&
+            Math.abs(trialDebit - trialCredit) < 0.01
         },
         generatedAt: new Date().toISOString()
       };
@@ -496,13 +509,68 @@ class ReportEngine {
     }
   }
 
+  /**
+   * Generate branch-wise profit summary with the consolidated total.
+   * Each branch's figures include stock it sent to or received from other
+   * branches; the consolidated column eliminates them.
+   * @param {Object} params - Report parameters ({ startDate, endDate } or { financialYear })
+   * @returns {Object} Branch summary data
+   */
+  async generateBranchSummary(params = {}) {
+    const { startDate, endDate } = this._resolvePeriod(params);
+
+    try {
+      const business = (await this.db.prepare('SELECT key, value FROM business_info').all())
+        .reduce((info, row) => ({ ...info, [row.key]: row.value }), {});
+      const branches = [
+        { id: 0, code: 'HO', name: business.business_name || business.name || 'Head Office', gstin: business.gstin },
+        ...await this.db.prepare('SELECT id, code, name, gstin FROM branches ORDER BY code').all()
+      ];
+
+      const summarise = async (branchId) => {
+        const pnl = await this.generateProfitLoss({ startDate, endDate, branchId });
+        const balances = await this._getLedgerBalances(startDate, endDate, branchId);
+        return {
+          net_sales: pnl.summary.net_sales,
+          net_purchases: pnl.summary.net_purchases,
+          transfers_in: balances.filter(a => a.code === '5020').reduce((sum, a) => sum + a.total_debit, 0),
+          transfers_out: balances.filter(a => a.code === '5020').reduce((sum, a) => sum + a.total_credit, 0),
+          gross_profit: pnl.summary.gross_profit,
+          other_income: pnl.summary.other_income,
+          total_expenses: pnl.summary.total_expenses,
+          net_profit: pnl.summary.net_profit
+        };
+      };
+
+      const rows = [];
+      for (const branch of branches) {
+        rows.push({ branch_id: branch.id, code: branch.code, name: branch.name, gstin: branch.gstin || null, ...await summarise(branch.id) });
+      }
+      const consolidated = await summarise(null);
+
+      return {
+        period: { startDate, endDate },
+        branches: rows,
+        consolidated,
+        // Branch balances with each other cancel out in the consolidated books
+        inter_branch_balance: (await this._getLedgerBalances(null, endDate))
+          .filter(a => a.code === '1150')
+          .reduce((sum, a) => sum + a.balance, 0),
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generating branch summary:', error);
+      throw new Error('Failed to generate branch summary');
+    }
+  }
+
   /**
    * Generate Cash Flow Statement
-   * @param {Object} params - Report parameters
+   * @param {Object} params - Report parameters ({ startDate, endDate } or { financialYear })
    * @returns {Object} Cash flow data
    */
   async generateCashFlow(params = {}) {
-    const { startDate, endDate } = params;
+    const { startDate, endDate } = this._resolvePeriod(params);
 
     try {
       // Operating Activities
@@ -729,11 +797,11 @@ class ReportEngine {
 
   /**
    * Generate Expense Summary
-   * @param {Object} params - Report parameters
+   * @param {Object} params - Report parameters ({ startDate, endDate } or { financialYear })
    * @returns {Object} Expense summary data
    */
   async generateExpenseSummary(params = {}) {
-    const { startDate, endDate, category } = params;
+    const { startDate, endDate, category, branchId } = this._resolvePeriod(params);
 
     try {
       let query = `
@@ -767,6 +835,11 @@ class ReportEngine {
         queryParams.push(category);
       }
 
+      if (branchId !== null && branchId !== undefined) {
+        query += ` AND COALESCE(e.branch_id, 0) = ?`;
+        queryParams.push(branchId);
+      }
+
       query += ` ORDER BY e.date DESC`;
 
       const expenses = await this.db.prepare(query).all(...queryParams);
@@ -914,27 +987,61 @@ class ReportEngine {
     }
   }
 
-  async _countProducts() {
+  async _getLedgerBalances(startDate, endDate, branchId = null) {
+    return this.ledger.getAccountBalances({ startDate, endDate, branchId });
+  }
+
+  /**
+   * Turn a financial year selector ("2025-26") into start/end dates;
+   * explicit dates are passed through unchanged
+   */
+  _resolvePeriod(params = {}) {
+    if (!params.financialYear) return params;
+
+    const year = this.db.prepare('SELECT start_date, end_date FROM financial_years WHERE name = ?')
+      .get(params.financialYear);
+    if (year) {
+      return { ...params, startDate: year.start_date, endDate: year.end_date };
+    }
+
+    // April-March year that has not been stored yet
+    const startYear = parseInt(params.financialYear, 10);
+    if (isNaN(startYear)) throw new Error(`Invalid financial year: ${params.financialYear}`);
+    return { ...params, startDate: `${startYear}-04-01`, endDate: `${startYear + 1}-03-31` };
+  }
+
+  _sumGroups(balances, groups) {
+    return balances
+      .filter(a => groups.includes(a.group_name))
+      .reduce((sum, a) => sum + a.balance, 0);
+  }
+
+  async _countPostedTransactions(voucherType, startDate, endDate, branchId = null) {
     try {
-      const result = await this.db.prepare(`SELECT COUNT(*) as count FROM products WHERE status = 'active' AND current_stock > 0`).get();
+      // Stock transfer invoices between branches are not trade with outsiders
+      const branchFilter = branchId !== null && branchId !== undefined;
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count FROM transactions
+        WHERE voucher_type = ? AND is_cancelled = 0 AND date >= ? AND date <= ?
+          AND counter_branch_id IS NULL ${branchFilter ? 'AND COALESCE(branch_id, 0) = ?' : ''}
+      `).get(voucherType, startDate, endDate, ...(branchFilter ? [branchId] : []));
       return result?.count || 0;
     } catch {
       return 0;
     }
   }
 
-  async _getFixedAssets() {
-    try {
-      return await this.db.prepare(`SELECT * FROM fixed_assets WHERE status = 'active'`).all();
-    } catch {
-      return [];
-    }
+  /**
+   * Stock on hand at cost as of a date
+   */
+  async _getStockValue(asOfDate) {
+    return this.ledger.getStockValue(asOfDate);
   }
 
-  async _getCapital() {
+  async _countProducts() {
     try {
-      const result = await this.db.prepare(`SELECT SUM(COALESCE(opening_balance, 0)) as total FROM business_info`).get();
-      return result?.total || 0;
+      const result = await this.db.prepare(`SELECT COUNT(*) as count FROM products WHERE status = 'active' AND current_stock > 0`).get();
+      return result?.count || 0;
     } catch {
       return 0;
     }
@@ -0,0 +1,373 @@
+/**
+ * Bank Statement Parsers
+ *
+ * Turns a statement file into something the import manager can map:
+ * - Tabular files (CSV, XLS/XLSX, text-based PDF) become rows of cells,
+ *   which a bank profile maps onto date, narration, amount and so on
+ * - Structured files (SWIFT MT940, ISO 20022 camt.053) carry their own
+ *   field meanings and become transactions directly, with the opening and
+ *   closing balances the bank reported
+ */
+
+const { parseXMLSafe } = require('../utils/xmlParser');
+
+const FILE_TYPES = ['csv', 'xls', 'xlsx', 'pdf', 'mt940', 'camt053'];
+
+/**
+ * Work out what kind of statement a file holds, from its bytes first and
+ * its name second (banks routinely send HTML or text saved as .xls)
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name
+ * @returns {string} One of FILE_TYPES
+ */
+function detectFileType(buffer, fileName = '') {
+  const head = buffer.slice(0, 8);
+  if (head.slice(0, 4).toString('latin1') === '%PDF') return 'pdf';
+  if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) return 'xlsx';
+  if (head.toString('hex') === 'd0cf11e0a1b11ae1') return 'xls';
+
+  const text = decodeText(buffer).slice(0, 4000);
+  if (/<BkToCstmrStmt|camt\.053/i.test(text)) return 'camt053';
+  if (/(^|\n):20:/.test(text) && /\n:61:/.test(text)) return 'mt940';
+  if (/<table/i.test(text)) return 'xls'; // HTML table saved with an Excel extension
+  if (/\.(sta|mt940)$/i.test(fileName)) return 'mt940';
+  return 'csv';
+}
+
+/**
+ * File content as text, without a byte order mark
+ */
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+// ==================== TABULAR ====================
+
+/**
+ * Split delimited text into rows, honouring quoted cells
+ * @param {string} text - CSV, TSV or semicolon-separated text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseDelimited(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return [];
+
+  const sample = lines.slice(0, 10).join('\n');
+  const delimiter = ['\t', ';', '|', ','].reduce((best, candidate) =>
+    sample.split(candidate).length > sample.split(best).length ? candidate : best, ',');
+
+  return lines.map(line => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        if (quoted && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (char === delimiter && !quoted) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  });
+}
+
+/**
+ * Rows of the busiest sheet in an Excel workbook (XLS, XLSX or an HTML
+ * table saved as .xls). Dates come back as Date objects.
+ * @param {Buffer} buffer - File content
+ * @returns {Array<Array>} Rows of cells
+ */
+function readSpreadsheet(buffer) {
+  const XLSX = require('xlsx');
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+
+  return workbook.SheetNames
+    .map(name => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '', blankrows: false }))
+    .sort((a, b) => b.length - a.length)[0] || [];
+}
+
+// Amounts as printed in statements: 1,23,456.78 with an optional Cr/Dr
+const AMOUNT_TOKEN = /^-?\(?[\d,]+\.\d{2}\)?(Cr|Dr|CR|DR)?$/;
+const DATE_TOKEN = /^(\d{1,2}[\/\-.](\d{1,2}|[A-Za-z]{3})[\/\-.]\d{2,4}|\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Rows of a text-based PDF statement. Each line that opens with a date is
+ * a transaction: the amounts at its end are the transaction amount and the
+ * running balance, and the words in between the narration. Lines without a
+ * date continue the previous narration. Whether an amount is a debit or a
+ * credit is read from the way the balance moved. A line printed before any
+ * opening balance has nothing to compare against: both columns stay empty
+ * and its amount goes in the last column until the opening balance is given.
+ * @param {Buffer} buffer - File content
+ * @param {number} [openingBalance] - Opening balance entered by the user
+ * @returns {Promise<Array<Array>>} Rows under a Date / Description / Debit / Credit / Balance header
+ */
+async function readPdfRows(buffer, openingBalance = null) {
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  // pdf.js misreads cross-reference offsets through Buffer views; hand it a plain copy
+  const { text } = await pdfParse(new Uint8Array(buffer));
+  return pdfTextToRows(text, openingBalance);
+}
+
+// Column of a PDF row holding an amount whose direction could not be read
+const PDF_UNDECIDED_COLUMN = 6;
+
+/**
+ * The PDF row reading, on text already extracted
+ * @param {string} text - Statement text, one printed line per line
+ * @param {number} [openingBalance] - Balance before the first line, when the statement does not print it
+ */
+function pdfTextToRows(text, openingBalance = null) {
+  const rows = [['Date', 'Description', 'Reference', 'Debit', 'Credit', 'Balance', 'Amount, direction not known']];
+  let balance = openingBalance === null || openingBalance === undefined || openingBalance === '' ? null : Number(openingBalance);
+  let current = null;
+
+  const amountOf = (token) => {
+    const negative = token.startsWith('-') || token.startsWith('(');
+    const value = parseFloat(token.replace(/[^\d.]/g, ''));
+    return negative ? -value : value;
+  };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const opening = line.match(/opening\s+balance[^\d-]*(-?[\d,]+\.\d{2})/i);
+    if (opening) {
+      balance = amountOf(opening[1]);
+      return;
+    }
+
+    const tokens = line.split(/\s+/);
+    if (!DATE_TOKEN.test(tokens[0])) {
+      // Narrations wrap onto the next printed line
+      if (current && !/balance|total|page \d/i.test(line)) current[1] = `${current[1]} ${line}`.trim();
+      return;
+    }
+
+    const amounts = [];
+    while (tokens.length > 1 && AMOUNT_TOKEN.test(tokens[tokens.length - 1])) {
+      amounts.unshift(tokens.pop());
+    }
+    if (!amounts.length) return;
+    tokens.shift();
+    // A value date right after the transaction date is not narration
+    if (tokens.length && DATE_TOKEN.test(tokens[0])) tokens.shift();
+
+    let reference = '';
+    const refIndex = tokens.findIndex(token => /^(UTR|REF|CHQ)[:#]?\d|^\d{6,}$/i.test(token));
+    if (refIndex >= 0 && refIndex === tokens.length - 1) reference = tokens.pop();
+
+    const newBalance = amounts.length > 1 ? amountOf(amounts[amounts.length - 1]) : null;
+    const amountToken = amounts.length > 1 ? amounts[amounts.length - 2] : amounts[0];
+    const amount = Math.abs(amountOf(amountToken));
+    let type = /cr$/i.test(amountToken) ? 'credit' : /dr$/i.test(amountToken) ? 'debit' : null;
+    if (!type && balance !== null && newBalance !== null) {
+      type = round2(newBalance - balance) >= 0 ? 'credit' : 'debit';
+    }
+    if (newBalance !== null) balance = newBalance;
+
+    current = [
+      rawLine.trim().split(/\s+/)[0],
+      tokens.join(' '),
+      reference,
+      type === 'debit' ? amount : '',
+      type === 'credit' ? amount : '',
+      newBalance === null ? '' : newBalance
+    ];
+    if (!type) current[PDF_UNDECIDED_COLUMN] = amount;
+    rows.push(current);
+  });
+
+  return rows;
+}
+
+// ==================== STRUCTURED ====================
+
+/**
+ * SWIFT MT940 customer statement
+ * @param {string} text - File content
+ * @returns {Object} { account, currency, opening_balance, closing_balance, transactions }
+ */
+function parseMT940(text) {
+  const result = { account: null, currency: null, opening_balance: null, closing_balance: null, transactions: [] };
+
+  // Fields start with :tag: at the beginning of a line and run until the next one
+  const fields = [];
+  text.replace(/\r/g, '').split('\n').forEach(line => {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) fields.push({ tag: tag[1], value: tag[2] });
+    else if (fields.length && line.trim() && !/^-}?$/.test(line.trim())) fields[fields.length - 1].value += `\n${line}`;
+  });
+
+  const swiftDate = (yymmdd) => `20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+  const swiftAmount = (value) => parseFloat(value.replace(',', '.'));
+  const balanceOf = (value) => {
+    const match = value.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+    if (!match) return null;
+    result.currency = result.currency || match[3];
+    const amount = swiftAmount(match[4]);
+    return { date: swiftDate(match[2]), amount: match[1] === 'D' ? -amount : amount };
+  };
+
+  fields.forEach(({ tag, value }) => {
+    if (tag === '25') result.account = value.trim();
+    if (tag === '60F' || (tag === '60M' && !result.opening_balance)) result.opening_balance = balanceOf(value);
+    if (tag === '62F' || tag === '62M') result.closing_balance = balanceOf(value);
+    if (tag === '61') {
+      const [line, ...rest] = value.split('\n');
+      const match = line.match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?([\d,]+)([A-Z][A-Z0-9]{3})?([^/]*)(?:\/\/(\S*))?(.*)$/);
+      if (!match) return;
+      const mark = match[3];
+      // A reversal of a credit takes money out, a reversal of a debit puts it back
+      const type = mark === 'C' || mark === 'RD' ? 'credit' : 'debit';
+      const valueDate = swiftDate(match[1]);
+      let bookingDate = valueDate;
+      if (match[2]) {
+        bookingDate = `${valueDate.slice(0, 4)}-${match[2].slice(0, 2)}-${match[2].slice(2, 4)}`;
+        // An entry booked in January for a December value date belongs to the next year
+        if (match[2].slice(0, 2) < valueDate.slice(5, 7)) {
+          bookingDate = `${Number(valueDate.slice(0, 4)) + 1}${bookingDate.slice(4)}`;
+        }
+      }
+      const customerRef = match[7].trim();
+      result.transactions.push({
+        date: bookingDate,
+        value_date: valueDate,
+        amount: swiftAmount(match[5]),
+        type,
+        reference: (customerRef && customerRef !== 'NONREF' ? customerRef : match[8]) || '',
+        description: [match[9].trim(), ...rest].join(' ').trim()
+      });
+    }
+    if (tag === '86' && result.transactions.length) {
+      const last = result.transactions[result.transactions.length - 1];
+      // Structured ?20..?29 subfields hold the remittance text; drop the codes
+      const narrative = value.replace(/\n/g, '').replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+      last.description = [last.description, narrative].filter(Boolean).join(' ');
+    }
+  });
+
+  return result;
+}
+
+/**
+ * ISO 20022 camt.053 bank-to-customer statement
+ * @param {string} xml - File content
+ * @returns {Object} { account, currency, opening_balance, closing_balance, transactions }
+ */
+function parseCamt053(xml) {
+  const parsed = parseXMLSafe(xml, 'camt.053');
+  if (!parsed.success) throw new Error(`Could not read the camt.053 file: ${parsed.error}`);
+
+  const list = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+  const text = (value) => (value === undefined || value === null ? '' : typeof value === 'object' ? String(value['#text'] ?? '') : String(value));
+  // Element names carry the document's namespace prefix when it declares one
+  const child = (node, name) => {
+    if (!node || typeof node !== 'object') return undefined;
+    const key = Object.keys(node).find(k => k === name || k.endsWith(`:${name}`));
+    return key ? node[key] : undefined;
+  };
+  const path = (node, ...names) => names.reduce((current, name) => child(current, name), node);
+  const dateOf = (node) => text(child(node, 'Dt')) || text(child(node, 'DtTm')).slice(0, 10);
+
+  const document = child(parsed.data, 'Document');
+  const statements = list(path(document, 'BkToCstmrStmt', 'Stmt'));
+  if (!statements.length) throw new Error('No statement found in the camt.053 file');
+
+  const result = { account: null, currency: null, opening_balance: null, closing_balance: null, transactions: [] };
+
+  statements.forEach(statement => {
+    const account = child(statement, 'Acct');
+    result.account = result.account || text(path(account, 'Id', 'IBAN')) || text(path(account, 'Id', 'Othr', 'Id')) || null;
+    result.currency = result.currency || text(child(account, 'Ccy')) || null;
+
+    list(child(statement, 'Bal')).forEach(balance => {
+      const code = text(path(balance, 'Tp', 'CdOrPrtry', 'Cd'));
+      const amountNode = child(balance, 'Amt');
+      const amount = parseFloat(text(amountNode));
+      const signed = text(child(balance, 'CdtDbtInd')) === 'DBIT' ? -amount : amount;
+      const entry = { date: dateOf(child(balance, 'Dt')), amount: signed };
+      if (code === 'OPBD' || (code === 'PRCD' && !result.opening_balance)) result.opening_balance = entry;
+      if (code === 'CLBD') result.closing_balance = entry;
+      if (!result.currency && amountNode && typeof amountNode === 'object') result.currency = amountNode['@_Ccy'] || null;
+    });
+
+    list(child(statement, 'Ntry')).forEach(entry => {
+      const credit = text(child(entry, 'CdtDbtInd')) === 'CRDT';
+      const reversal = text(child(entry, 'RvslInd')) === 'true';
+      const details = list(path(entry, 'NtryDtls', 'TxDtls'))[0] || {};
+      const refs = child(details, 'Refs') || {};
+      const counterparty = credit
+        ? text(path(details, 'RltdPties', 'Dbtr', 'Nm')) || text(path(details, 'RltdPties', 'Dbtr', 'Pty', 'Nm'))
+        : text(path(details, 'RltdPties', 'Cdtr', 'Nm')) || text(path(details, 'RltdPties', 'Cdtr', 'Pty', 'Nm'));
+      const remittance = list(path(details, 'RmtInf', 'Ustrd')).map(text).join(' ');
+      const endToEnd = text(child(refs, 'EndToEndId'));
+
+      result.transactions.push({
+        date: dateOf(child(entry, 'BookgDt')) || dateOf(child(entry, 'ValDt')),
+        value_date: dateOf(child(entry, 'ValDt')) || null,
+        amount: parseFloat(text(child(entry, 'Amt'))),
+        type: credit !== reversal ? 'credit' : 'debit',
+        reference: (endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : '') || text(child(refs, 'UETR'))
+          || text(child(entry, 'AcctSvcrRef')) || text(child(refs, 'AcctSvcrRef')),
+        description: [counterparty, remittance, text(child(entry, 'AddtlNtryInf'))].filter(Boolean).join(' ').trim()
+      });
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Read a statement file
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name
+ * @param {Object} [options] - { openingBalance } for PDF statements that do not print one
+ * @returns {Promise<Object>} { fileType, rows } for tabular files, { fileType, statement } for structured ones
+ */
+async function readStatementFile(buffer, fileName, options = {}) {
+  const fileType = detectFileType(buffer, fileName);
+
+  switch (fileType) {
+    case 'mt940':
+      return { fileType, statement: parseMT940(decodeText(buffer)) };
+    case 'camt053':
+      return { fileType, statement: parseCamt053(decodeText(buffer)) };
+    case 'xls':
+    case 'xlsx':
+      return { fileType, rows: readSpreadsheet(buffer) };
+    case 'pdf':
+      return { fileType, rows: await readPdfRows(buffer, options.openingBalance) };
+    default:
+      return { fileType, rows: parseDelimited(decodeText(buffer)) };
+  }
+}
+
+module.exports = {
+  FILE_TYPES,
+  PDF_UNDECIDED_COLUMN,
+  detectFileType,
+  parseDelimited,
+  readSpreadsheet,
+  readPdfRows,
+  pdfTextToRows,
+  parseMT940,
+  parseCamt053,
+  readStatementFile
+};
@@ -0,0 +1,770 @@
+/**
+ * TDS / TCS Service
+ *
+ * Tracks tax deducted at source on payments to contractors, professionals
+ * and other deductees, the challans it is deposited with, and the data for
+ * the quarterly returns and Form 16A certificates.
+ *
+ * Features:
+ * - Section master (194C, 194J, ...) with rates and single/annual thresholds
+ * - Per-party section, deductee type, PAN and lower-deduction rate
+ * - Automatic deduction once a payment crosses a threshold (with catch-up)
+ * - Challan entry allocated against open deductions
+ * - Form 26Q / 27Q / 27EQ quarterly data and NSDL text file export
+ * - Form 16A certificate data
+ */
+
+let db = null;
+
+// Default sections: nature, section, description, return code, rate (individual/HUF),
+// rate (others), rate without PAN, single-payment threshold, annual threshold, deduct only on excess
+const DEFAULT_SECTIONS = [
+  ['TDS', '194C', 'Payment to contractors', '94C', 1, 2, 20, 30000, 100000, 0],
+  ['TDS', '194J(a)', 'Fees for technical services', '4JA', 2, 2, 20, 0, 50000, 0],
+  ['TDS', '194J(b)', 'Fees for professional services', '4JB', 10, 10, 20, 0, 50000, 0],
+  ['TDS', '194H', 'Commission or brokerage', '94H', 2, 2, 20, 0, 20000, 0],
+  ['TDS', '194I(a)', 'Rent on plant and machinery', '4IA', 2, 2, 20, 0, 600000, 0],
+  ['TDS', '194I(b)', 'Rent on land, building or furniture', '4IB', 10, 10, 20, 0, 600000, 0],
+  ['TDS', '194A', 'Interest other than on securities', '94A', 10, 10, 20, 0, 10000, 0],
+  ['TDS', '194Q', 'Purchase of goods', '94Q', 0.1, 0.1, 5, 0, 5000000, 1],
+  ['TDS', '195', 'Payments to non-residents', '195', 20, 20, 20, 0, 0, 0],
+  ['TCS', '206C(1)', 'Sale of scrap', '6CE', 1, 1, 5, 0, 0, 0]
+];
+
+// Deductee types taxed at the individual/HUF rate
+const INDIVIDUAL_DEDUCTEES = ['individual', 'huf'];
+
+// Quarters of the financial year (April to March)
+const QUARTERS = {
+  Q1: ['04', '05', '06'],
+  Q2: ['07', '08', '09'],
+  Q3: ['10', '11', '12'],
+  Q4: ['01', '02', '03']
+};
+
+/**
+ * Initialize the TDS service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[TDSService] Initialized');
+  createTDSTables();
+  seedDefaultSections();
+}
+
+/**
+ * Create TDS-related database tables
+ */
+function createTDSTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Sections with rates and thresholds
+    CREATE TABLE IF NOT EXISTS tds_sections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nature TEXT NOT NULL DEFAULT 'TDS', -- TDS, TCS
+      section TEXT NOT NULL UNIQUE,
+      description TEXT,
+      return_code TEXT, -- section code used in the quarterly return file
+      rate_individual REAL NOT NULL DEFAULT 0,
+      rate_other REAL NOT NULL DEFAULT 0,
+      rate_no_pan REAL NOT NULL DEFAULT 20,
+      threshold_single REAL DEFAULT 0, -- 0 = no single-payment threshold
+      threshold_annual REAL DEFAULT 0, -- 0 = no annual threshold
+      deduct_on_excess INTEGER DEFAULT 0, -- tax only the amount above the annual threshold
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Every payment considered for TDS, including those below the threshold
+    CREATE TABLE IF NOT EXISTS tds_deductions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nature TEXT NOT NULL DEFAULT 'TDS',
+      form_type TEXT NOT NULL DEFAULT '26Q', -- 26Q, 27Q, 27EQ
+      section TEXT NOT NULL,
+      source_type TEXT NOT NULL, -- payment, expense, manual
+      source_id INTEGER,
+      party_id INTEGER NOT NULL,
+      pan TEXT,
+      deductee_type TEXT,
+      date TEXT NOT NULL,
+      financial_year TEXT NOT NULL,
+      quarter TEXT NOT NULL,
+      base_amount REAL NOT NULL,
+      rate REAL NOT NULL DEFAULT 0,
+      tds_amount REAL NOT NULL DEFAULT 0,
+      status TEXT DEFAULT 'open', -- below_threshold, open, deposited, reversed
+      challan_id INTEGER,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (party_id) REFERENCES parties(id),
+      FOREIGN KEY (challan_id) REFERENCES tds_challans(id)
+    );
+
+    -- Challans the deducted tax was deposited with
+    CREATE TABLE IF NOT EXISTS tds_challans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nature TEXT NOT NULL DEFAULT 'TDS',
+      section TEXT NOT NULL,
+      challan_no TEXT NOT NULL, -- challan serial number
+      bsr_code TEXT NOT NULL,
+      deposit_date TEXT NOT NULL,
+      financial_year TEXT NOT NULL,
+      quarter TEXT NOT NULL,
+      tax_amount REAL NOT NULL,
+      interest REAL DEFAULT 0,
+      fee REAL DEFAULT 0,
+      payment_method TEXT DEFAULT 'bank',
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(bsr_code, deposit_date, challan_no)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tds_deductions_party ON tds_deductions(party_id, section, financial_year);
+    CREATE INDEX IF NOT EXISTS idx_tds_deductions_source ON tds_deductions(source_type, source_id);
+  `);
+}
+
+/**
+ * Seed the default sections
+ */
+function seedDefaultSections() {
+  if (!db) return;
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO tds_sections (
+      nature, section, description, return_code, rate_individual, rate_other, rate_no_pan,
+      threshold_single, threshold_annual, deduct_on_excess
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  for (const section of DEFAULT_SECTIONS) {
+    stmt.run(...section);
+  }
+}
+
+/**
+ * Round to paise
+ */
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Quarter (Q1-Q4) a date falls in
+ * @param {string} date - YYYY-MM-DD
+ */
+function getQuarter(date) {
+  const month = String(date).slice(5, 7);
+  return Object.keys(QUARTERS).find(q => QUARTERS[q].includes(month));
+}
+
+/**
+ * Date range of a quarter
+ * @param {string} financialYear - e.g. 2025-26
+ * @param {string} quarter - Q1-Q4
+ */
+function getQuarterRange(financialYear, quarter) {
+  const startYear = parseInt(financialYear, 10);
+  const months = QUARTERS[quarter];
+  if (!startYear || !months) throw new Error(`Invalid quarter: ${financialYear} ${quarter}`);
+
+  const year = quarter === 'Q4' ? startYear + 1 : startYear;
+  const lastMonth = Number(months[2]);
+  return {
+    startDate: `${year}-${months[0]}-01`,
+    endDate: new Date(Date.UTC(year, lastMonth, 0)).toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Get all sections
+ * @param {Object} filters - { nature, activeOnly }
+ */
+function getSections(filters = {}) {
+  if (!db) return [];
+
+  let query = 'SELECT * FROM tds_sections WHERE 1=1';
+  const params = [];
+
+  if (filters.nature) {
+    query += ' AND nature = ?';
+    params.push(filters.nature);
+  }
+  if (filters.activeOnly) {
+    query += ' AND is_active = 1';
+  }
+  query += ' ORDER BY nature DESC, section ASC';
+
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Create or update a section
+ * @param {Object} sectionData - Section fields
+ */
+function saveSection(sectionData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    if (!sectionData.section) return { success: false, error: 'Section is required' };
+
+    db.prepare(`
+      INSERT INTO tds_sections (
+        nature, section, description, return_code, rate_individual, rate_other, rate_no_pan,
+        threshold_single, threshold_annual, deduct_on_excess, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(section) DO UPDATE SET
+        nature = excluded.nature, description = excluded.description, return_code = excluded.return_code,
+        rate_individual = excluded.rate_individual, rate_other = excluded.rate_other,
+        rate_no_pan = excluded.rate_no_pan, threshold_single = excluded.threshold_single,
+        threshold_annual = excluded.threshold_annual, deduct_on_excess = excluded.deduct_on_excess,
+        is_active = excluded.is_active, updated_at = CURRENT_TIMESTAMP
+    `).run(
+      sectionData.nature || 'TDS', sectionData.section, sectionData.description || null,
+      sectionData.return_code || null, Number(sectionData.rate_individual) || 0,
+      Number(sectionData.rate_other ?? sectionData.rate_individual) || 0,
+      Number(sectionData.rate_no_pan ?? 20), Number(sectionData.threshold_single) || 0,
+      Number(sectionData.threshold_annual) || 0, sectionData.deduct_on_excess ? 1 : 0,
+      sectionData.is_active === false || sectionData.is_active === 0 ? 0 : 1
+    );
+
+    return { success: true, message: `Section ${sectionData.section} saved` };
+  } catch (error) {
+    console.error('[TDSService] Save section error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Set the TDS details of a party
+ * @param {number} partyId - Party ID
+ * @param {Object} config - { tds_section, deductee_type, pan, lower_deduction_rate, is_non_resident }
+ */
+function setPartyTDS(partyId, config = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    if (config.tds_section && !db.prepare('SELECT 1 FROM tds_sections WHERE section = ?').get(config.tds_section)) {
+      return { success: false, error: `Unknown TDS section: ${config.tds_section}` };
+    }
+    if (config.pan && !/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(String(config.pan).toUpperCase())) {
+      return { success: false, error: 'PAN must be in the format AAAAA9999A' };
+    }
+
+    const party = db.prepare('SELECT * FROM parties WHERE id = ?').get(partyId);
+    if (!party) return { success: false, error: 'Party not found' };
+
+    db.prepare(`
+      UPDATE parties SET tds_section = ?, deductee_type = ?, pan = ?, lower_deduction_rate = ?,
+        is_non_resident = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      config.tds_section || null,
+      config.deductee_type || party.deductee_type || 'company',
+      config.pan ? String(config.pan).toUpperCase() : party.pan,
+      config.lower_deduction_rate !== undefined && config.lower_deduction_rate !== null && config.lower_deduction_rate !== ''
+        ? Number(config.lower_deduction_rate) : null,
+      config.is_non_resident ? 1 : 0,
+      partyId
+    );
+
+    return { success: true, message: 'TDS details updated' };
+  } catch (error) {
+    console.error('[TDSService] Set party TDS error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Work out the TDS on a payment. Once the annual threshold is crossed, tax
+ * is also caught up on the earlier payments of the year that were below it.
+ * @param {Object} params - { partyId, amount (base, before GST), date, financialYear, section }
+ * @returns {Object} { applicable, section, rate, base_amount, aggregate_amount, tds_amount, ... }
+ */
+function computeDeduction(params) {
+  if (!db) return { applicable: false, reason: 'Database not initialized' };
+
+  const party = params.partyId ? db.prepare('SELECT * FROM parties WHERE id = ?').get(params.partyId) : null;
+  const sectionCode = params.section || (party && party.tds_section);
+  if (!party || !sectionCode) {
+    return { applicable: false, reason: 'No TDS section for this party' };
+  }
+
+  const section = db.prepare('SELECT * FROM tds_sections WHERE section = ? AND is_active = 1').get(sectionCode);
+  if (!section) return { applicable: false, reason: `Section ${sectionCode} is not active` };
+
+  const baseAmount = round2(params.amount);
+  const previous = db.prepare(`
+    SELECT COALESCE(SUM(base_amount), 0) as base, COALESCE(SUM(tds_amount), 0) as tds
+    FROM tds_deductions
+    WHERE party_id = ? AND section = ? AND financial_year = ? AND status != 'reversed'
+  `).get(party.id, section.section, params.financialYear);
+  const aggregate = round2(previous.base + baseAmount);
+
+  // Lower-deduction certificate, then 206AA (no PAN), then the deductee type rate
+  let rate = INDIVIDUAL_DEDUCTEES.includes(party.deductee_type) ? section.rate_individual : section.rate_other;
+  if (party.lower_deduction_rate !== null && party.lower_deduction_rate !== undefined) {
+    rate = party.lower_deduction_rate;
+  } else if (!party.pan) {
+    rate = Math.max(rate, section.rate_no_pan);
+  }
+
+  const noThreshold = !section.threshold_single && !section.threshold_annual;
+  const annualCrossed = noThreshold || (section.threshold_annual > 0 && aggregate > section.threshold_annual);
+  const singleCrossed = section.threshold_single > 0 && baseAmount > section.threshold_single;
+
+  let tdsAmount = 0;
+  let reason;
+  if (annualCrossed) {
+    const taxable = section.deduct_on_excess ? aggregate - section.threshold_annual : aggregate;
+    tdsAmount = Math.max(0, Math.round((taxable * rate) / 100 - previous.tds));
+    reason = noThreshold ? 'No threshold' : `Payments this year (${aggregate}) exceed ${section.threshold_annual}`;
+  } else if (singleCrossed) {
+    tdsAmount = Math.round((baseAmount * rate) / 100);
+    reason = `Payment exceeds the single-payment limit of ${section.threshold_single}`;
+  } else {
+    reason = 'Below threshold';
+  }
+
+  return {
+    applicable: true,
+    nature: section.nature,
+    form_type: section.nature === 'TCS' ? '27EQ' : (party.is_non_resident || section.section === '195' ? '27Q' : '26Q'),
+    section: section.section,
+    party_id: party.id,
+    pan: party.pan || null,
+    deductee_type: party.deductee_type || null,
+    rate,
+    base_amount: baseAmount,
+    aggregate_amount: aggregate,
+    tds_amount: tdsAmount,
+    threshold_crossed: annualCrossed || singleCrossed,
+    reason
+  };
+}
+
+/**
+ * Record a deduction worked out by computeDeduction (or entered manually)
+ * @param {Object} deduction - computeDeduction result plus { source_type, source_id, date, financial_year }
+ */
+function recordDeduction(deduction) {
+  if (!db) return null;
+
+  const result = db.prepare(`
+    INSERT INTO tds_deductions (
+      nature, form_type, section, source_type, source_id, party_id, pan, deductee_type, date,
+      financial_year, quarter, base_amount, rate, tds_amount, status, notes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    deduction.nature || 'TDS', deduction.form_type || '26Q', deduction.section, deduction.source_type,
+    deduction.source_id || null, deduction.party_id, deduction.pan || null, deduction.deductee_type || null,
+    deduction.date, deduction.financial_year, getQuarter(deduction.date), deduction.base_amount,
+    deduction.rate || 0, deduction.tds_amount || 0,
+    deduction.tds_amount > 0 ? 'open' : 'below_threshold', deduction.notes || null
+  );
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Reverse the deductions of a deleted document
+ * @param {string} sourceType - payment, expense
+ * @param {number} sourceId - Document ID
+ */
+function reverseDeductions(sourceType, sourceId) {
+  if (!db) return 0;
+
+  const deposited = db.prepare(`
+    SELECT COUNT(*) as count FROM tds_deductions WHERE source_type = ? AND source_id = ? AND status = 'deposited'
+  `).get(sourceType, sourceId).count;
+  if (deposited > 0) {
+    throw new Error('TDS on this document has already been deposited; adjust it in the next challan instead');
+  }
+
+  return db.prepare(`
+    UPDATE tds_deductions SET status = 'reversed' WHERE source_type = ? AND source_id = ? AND status != 'reversed'
+  `).run(sourceType, sourceId).changes;
+}
+
+/**
+ * Get deductions
+ * @param {Object} filters - { partyId, section, financialYear, quarter, status, formType }
+ */
+function getDeductions(filters = {}) {
+  if (!db) return [];
+
+  try {
+    let query = `
+      SELECT d.*, p.name as party_name, c.challan_no, c.bsr_code, c.deposit_date
+      FROM tds_deductions d
+      LEFT JOIN parties p ON d.party_id = p.id
+      LEFT JOIN tds_challans c ON d.challan_id = c.id
+      WHERE 1=1
+    `;
+    const params = [];
+    const columns = {
+      partyId: 'd.party_id', section: 'd.section', financialYear: 'd.financial_year',
+      quarter: 'd.quarter', status: 'd.status', formType: 'd.form_type'
+    };
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (filters[key]) {
+        query += ` AND ${column} = ?`;
+        params.push(filters[key]);
+      }
+    });
+    query += ' ORDER BY d.date DESC, d.id DESC';
+
+    return db.prepare(query).all(...params);
+  } catch (error) {
+    console.error('[TDSService] Get deductions error:', error);
+    return [];
+  }
+}
+
+/**
+ * Enter a challan and allocate it to the open deductions of its section
+ * deducted up to the deposit date
+ * @param {Object} challanData - { section, challan_no, bsr_code, deposit_date, financial_year, interest, fee, payment_method }
+ */
+function createChallan(challanData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const { section, challan_no, bsr_code, deposit_date, financial_year } = challanData;
+    if (!section || !challan_no || !bsr_code || !deposit_date || !financial_year) {
+      return { success: false, error: 'Section, challan number, BSR code, deposit date and financial year are required' };
+    }
+    if (!/^\d{7}$/.test(String(bsr_code))) {
+      return { success: false, error: 'BSR code must be 7 digits' };
+    }
+
+    const sectionRow = db.prepare('SELECT nature FROM tds_sections WHERE section = ?').get(section);
+    if (!sectionRow) return { success: false, error: `Unknown TDS section: ${section}` };
+
+    const open = db.prepare(`
+      SELECT * FROM tds_deductions
+      WHERE section = ? AND financial_year = ? AND status = 'open' AND date <= ?
+      ${challanData.quarter ? 'AND quarter = ?' : ''}
+      ORDER BY date ASC
+    `).all(...[section, financial_year, deposit_date, challanData.quarter].filter(Boolean));
+
+    if (open.length === 0) {
+      return { success: false, error: `No undeposited ${section} deductions up to ${deposit_date}` };
+    }
+
+    const taxAmount = round2(open.reduce((sum, d) => sum + d.tds_amount, 0));
+    const quarter = challanData.quarter || open[open.length - 1].quarter;
+
+    const create = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO tds_challans (
+          nature, section, challan_no, bsr_code, deposit_date, financial_year, quarter,
+          tax_amount, interest, fee, payment_method, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        sectionRow.nature, section, String(challan_no), String(bsr_code), deposit_date, financial_year, quarter,
+        taxAmount, round2(challanData.interest), round2(challanData.fee), challanData.payment_method || 'bank',
+        challanData.created_by || 'system'
+      );
+
+      const allocate = db.prepare(`UPDATE tds_deductions SET status = 'deposited', challan_id = ? WHERE id = ?`);
+      open.forEach(d => allocate.run(result.lastInsertRowid, d.id));
+
+      return result.lastInsertRowid;
+    });
+
+    const id = create();
+
+    return {
+      success: true,
+      id,
+      tax_amount: taxAmount,
+      deductions: open.length,
+      message: `Challan ${challan_no} covers ${open.length} deductions (₹${taxAmount})`
+    };
+  } catch (error) {
+    console.error('[TDSService] Create challan error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get challans
+ * @param {Object} filters - { financialYear, quarter, section }
+ */
+function getChallans(filters = {}) {
+  if (!db) return [];
+
+  try {
+    let query = `
+      SELECT c.*, (SELECT COUNT(*) FROM tds_deductions d WHERE d.challan_id = c.id) as deduction_count
+      FROM tds_challans c WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.financialYear) {
+      query += ' AND c.financial_year = ?';
+      params.push(filters.financialYear);
+    }
+    if (filters.quarter) {
+      query += ' AND c.quarter = ?';
+      params.push(filters.quarter);
+    }
+    if (filters.section) {
+      query += ' AND c.section = ?';
+      params.push(filters.section);
+    }
+    query += ' ORDER BY c.deposit_date DESC';
+
+    return db.prepare(query).all(...params);
+  } catch (error) {
+    console.error('[TDSService] Get challans error:', error);
+    return [];
+  }
+}
+
+/**
+ * Read a business_info value
+ * @param {string} key - Setting key
+ */
+function getBusinessValue(key) {
+  const row = db.prepare('SELECT value FROM business_info WHERE key = ?').get(key);
+  return row ? row.value : '';
+}
+
+/**
+ * Get the data of a quarterly return (26Q, 27Q or 27EQ)
+ * @param {Object} params - { formType, financialYear, quarter }
+ * @returns {Object} Deductor, challans with their deductee rows, and totals
+ */
+function getQuarterlyReturn(params = {}) {
+  if (!db) return null;
+
+  const { financialYear, quarter } = params;
+  const formType = params.formType || '26Q';
+  const range = getQuarterRange(financialYear, quarter);
+
+  const deductions = db.prepare(`
+    SELECT d.*, p.name as party_name, p.is_non_resident, s.return_code
+    FROM tds_deductions d
+    JOIN parties p ON d.party_id = p.id
+    LEFT JOIN tds_sections s ON d.section = s.section
+    WHERE d.form_type = ? AND d.financial_year = ? AND d.quarter = ?
+      AND d.status IN ('open', 'deposited')
+    ORDER BY d.challan_id, d.date
+  `).all(formType, financialYear, quarter);
+
+  const challans = db.prepare(`
+    SELECT * FROM tds_challans WHERE id IN (
+      SELECT DISTINCT challan_id FROM tds_deductions WHERE form_type = ? AND financial_year = ? AND quarter = ?
+    ) ORDER BY deposit_date
+  `).all(formType, financialYear, quarter).map(challan => ({
+    ...challan,
+    deductees: deductions.filter(d => d.challan_id === challan.id)
+  }));
+
+  const undeposited = deductions.filter(d => d.status === 'open');
+
+  return {
+    form_type: formType,
+    financial_year: financialYear,
+    assessment_year: `${parseInt(financialYear, 10) + 1}-${String((parseInt(financialYear, 10) + 2) % 100).padStart(2, '0')}`,
+    quarter,
+    period: range,
+    deductor: {
+      tan: getBusinessValue('tan'),
+      pan: getBusinessValue('pan'),
+      name: getBusinessValue('name') || getBusinessValue('business_name'),
+      address: getBusinessValue('address'),
+      state: getBusinessValue('state'),
+      pincode: getBusinessValue('pincode'),
+      email: getBusinessValue('email'),
+      phone: getBusinessValue('phone')
+    },
+    challans,
+    undeposited,
+    summary: {
+      challan_count: challans.length,
+      deductee_count: deductions.length,
+      total_amount_paid: round2(deductions.reduce((sum, d) => sum + d.base_amount, 0)),
+      total_tds: round2(deductions.reduce((sum, d) => sum + d.tds_amount, 0)),
+      total_deposited: round2(challans.reduce((sum, c) => sum + c.tax_amount, 0)),
+      undeposited_tds: round2(undeposited.reduce((sum, d) => sum + d.tds_amount, 0))
+    }
+  };
+}
+
+/**
+ * Format a date as DDMMYYYY (return file dates)
+ * @param {string} date - YYYY-MM-DD
+ */
+function fileDate(date) {
+  if (!date) return '';
+  const [year, month, day] = String(date).slice(0, 10).split('-');
+  return `${day}${month}${year}`;
+}
+
+/**
+ * Format an amount with two decimals (return file amounts)
+ * @param {number} value - Amount
+ */
+function fileAmount(value) {
+  return round2(value).toFixed(2);
+}
+
+/**
+ * Export a quarterly return as a text file in the NSDL (Protean) layout:
+ * caret-separated FH (file header), BH (batch header), CD (challan) and
+ * DD (deductee) records, ready for validation in the File Validation Utility
+ * @param {Object} params - { formType, financialYear, quarter }
+ * @returns {Object} { success, data, filename, contentType }
+ */
+function exportReturnFile(params = {}) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const data = getQuarterlyReturn(params);
+    if (!data.deductor.tan) {
+      return { success: false, error: 'Set the TAN in business details before exporting a TDS return' };
+    }
+    if (data.challans.length === 0) {
+      return { success: false, error: `No challans deposited for ${data.form_type} ${data.quarter} ${data.financial_year}` };
+    }
+    if (data.undeposited.length > 0) {
+      return { success: false, error: `${data.undeposited.length} deductions of this quarter have not been deposited yet` };
+    }
+
+    const lines = [];
+    const record = (...fields) => lines.push([lines.length + 1, ...fields].join('^'));
+    const fy = data.financial_year.replace('-', '').replace(/^(\d{4})(\d{2})$/, (m, a, b) => `${a}${a.slice(0, 2)}${b}`);
+    const ay = data.assessment_year.replace(/^(\d{4})-(\d{2})$/, (m, a, b) => `${a}${a.slice(0, 2)}${b}`);
+    const d = data.deductor;
+
+    // File header
+    record('FH', 'NS1', 'R', fileDate(new Date().toISOString()), 1, 'D', d.tan, 1, 'Talk to Your Accounts', '', '', '', '', '', '', '', '');
+
+    // Batch header
+    record(
+      'BH', 1, data.challans.length, data.form_type, '', '', '', '', '', '', '', '', d.tan, '', d.pan,
+      ay, fy, data.quarter, d.name, '', d.address, '', '', '', '', '', d.state, d.pincode, d.email, '', '',
+      'N', 'O', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      fileAmount(data.summary.total_deposited), '', '', '', '', '', '', '', ''
+    );
+
+    data.challans.forEach((challan, challanIndex) => {
+      const challanTds = challan.deductees.reduce((sum, row) => sum + row.tds_amount, 0);
+
+      // Challan detail
+      record(
+        'CD', 1, challanIndex + 1, challan.deductees.length, 'N', '', '', '', '', '', '',
+        challan.challan_no, '', '', '', challan.bsr_code, '', fileDate(challan.deposit_date), '', '',
+        challan.deductees[0] ? challan.deductees[0].return_code : '',
+        fileAmount(challan.tax_amount), '0.00', '0.00', fileAmount(challan.interest), fileAmount(challan.fee),
+        fileAmount(challan.tax_amount + challan.interest + challan.fee), '',
+        fileAmount(challanTds), fileAmount(challanTds), '', '', '', '', fileAmount(challan.interest),
+        '0.00', '', 'N', '', ''
+      );
+
+      challan.deductees.forEach((row, rowIndex) => {
+        // Deductee detail
+        record(
+          'DD', 1, challanIndex + 1, rowIndex + 1, 'O', '', INDIVIDUAL_DEDUCTEES.includes(row.deductee_type) ? '02' : '01',
+          '', row.pan || 'PANNOTAVBL', '', '', row.party_name, fileAmount(row.tds_amount), '0.00', '0.00',
+          fileAmount(row.tds_amount), '', fileAmount(row.tds_amount), '', '', fileAmount(row.base_amount),
+          fileDate(row.date), fileDate(row.date), '', row.rate.toFixed(4), '', '', '',
+          row.pan ? '' : 'C', '', '', '', row.return_code || row.section, '', '', '', '', '', '', '', '', ''
+        );
+      });
+    });
+
+    return {
+      success: true,
+      format: 'txt',
+      data: lines.join('\n') + '\n',
+      filename: `${d.tan}_${data.form_type}_${data.quarter}_${data.financial_year}.txt`,
+      contentType: 'text/plain',
+      summary: data.summary
+    };
+  } catch (error) {
+    console.error('[TDSService] Export return file error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the data for a Form 16A certificate (one deductee, one quarter)
+ * @param {Object} params - { partyId, financialYear, quarter }
+ */
+function getForm16AData(params = {}) {
+  if (!db) return null;
+
+  const { partyId, financialYear, quarter } = params;
+  const party = db.prepare('SELECT * FROM parties WHERE id = ?').get(partyId);
+  if (!party) return null;
+
+  const deductions = db.prepare(`
+    SELECT d.*, c.challan_no, c.bsr_code, c.deposit_date
+    FROM tds_deductions d
+    JOIN tds_challans c ON d.challan_id = c.id
+    WHERE d.party_id = ? AND d.financial_year = ? AND d.quarter = ? AND d.status = 'deposited'
+      AND d.nature = 'TDS'
+    ORDER BY d.date
+  `).all(partyId, financialYear, quarter);
+
+  return {
+    certificate_no: `${financialYear}/${quarter}/${party.id}`,
+    financial_year: financialYear,
+    quarter,
+    period: getQuarterRange(financialYear, quarter),
+    deductor: {
+      name: getBusinessValue('name') || getBusinessValue('business_name'),
+      tan: getBusinessValue('tan'),
+      pan: getBusinessValue('pan'),
+      address: getBusinessValue('address')
+    },
+    deductee: {
+      name: party.name,
+      pan: party.pan || 'PANNOTAVBL',
+      address: [party.address, party.city, party.state].filter(Boolean).join(', ')
+    },
+    payments: deductions.map(d => ({
+      date: d.date,
+      section: d.section,
+      amount_paid: d.base_amount,
+      rate: d.rate,
+      tds_amount: d.tds_amount
+    })),
+    challans: deductions.map(d => ({
+      challan_no: d.challan_no,
+      bsr_code: d.bsr_code,
+      deposit_date: d.deposit_date,
+      tds_amount: d.tds_amount
+    })),
+    totals: {
+      amount_paid: round2(deductions.reduce((sum, d) => sum + d.base_amount, 0)),
+      tds_deducted: round2(deductions.reduce((sum, d) => sum + d.tds_amount, 0)),
+      tds_deposited: round2(deductions.reduce((sum, d) => sum + d.tds_amount, 0))
+    }
+  };
+}
+
+module.exports = {
+  initialize,
+  getQuarter,
+  getSections,
+  saveSection,
+  setPartyTDS,
+  computeDeduction,
+  recordDeduction,
+  reverseDeductions,
+  getDeductions,
+  createChallan,
+  getChallans,
+  getQuarterlyReturn,
+  exportReturnFile,
+  getForm16AData
+};
@@ -51,7 +51,9 @@ const ROLE_PERMISSIONS = {
     'project:read', 'project:create', 'project:update', 'project:delete',
     'gst:read', 'gst:create', 'gst:update', 'gst:delete',
     'report:read', 'report:export',
-    'settings:read', 'settings:update'
+    'settings:read', 'settings:update',
+    'period_lock:update', 'period_lock:override',
+    'financial_year:close', 'financial_year:reopen'
   ],
   MANAGER: [
     'expense:read', 'expense:create', 'expense:approve',
@@ -201,6 +203,13 @@ class UserService {
     return permissions.includes(permission) || permissions.includes(permission.replace(':own', ':all'));
   }
 
+  // Check whether an active user holds a permission
+  userHasPermission(userId, permission) {
+    if (!userId) return false;
+    const user = readUsers().find(u => u.id === userId && u.isActive);
+    return Boolean(user) && this.hasPermission(user.role, permission);
+  }
+
   // Get all roles
   getRoles() {
     return Object.keys(ROLE_PERMISSIONS).map(role => ({
@@ -0,0 +1,432 @@
+/**
+ * Voucher Series Service
+ *
+ * Configurable document numbering for vouchers. Each voucher type (and
+ * branch) has its own series with a prefix and format, and the running
+ * number restarts every financial year as GST rules expect.
+ *
+ * Features:
+ * - Numbering series per voucher type and branch (e.g. INV/25-26/0001, INVBLR/25-26/0001)
+ * - Financial-year reset of the running number
+ * - Allocation that is atomic with the voucher insert
+ * - Gap, duplicate and cancelled-number report per series
+ */
+
+let db = null;
+
+// Default series: voucher type, prefix
+const DEFAULT_SERIES = [
+  ['sale', 'INV'],
+  ['purchase', 'PR'],
+  ['payment', 'PM'],
+  ['receipt', 'RC'],
+  ['journal', 'JR'],
+  ['contra', 'CR'],
+  ['credit_note', 'CN'],
+  ['debit_note', 'DN'],
+  ['expense', 'EX'],
+  ['rcm_self_invoice', 'RSI'],
+  ['stock_transfer', 'ST']
+];
+
+// Default layout of a voucher number
+const DEFAULT_FORMAT = '{prefix}/{fy}/{seq}';
+
+// Layout of a branch's own series; the branch code keeps its numbers apart from the head office's
+const BRANCH_FORMAT = '{prefix}{branch}/{fy}/{seq}';
+
+// GST invoices, credit and debit notes and reverse-charge self-invoices may not exceed 16 characters
+const GST_DOCUMENT_TYPES = ['sale', 'credit_note', 'debit_note', 'rcm_self_invoice'];
+const GST_MAX_DOCUMENT_LENGTH = 16;
+
+/**
+ * Initialize the voucher series service
+ * @param {Object} database - Database instance
+ */
+function initialize(database) {
+  db = database;
+  console.log('[VoucherSeriesService] Initialized');
+  createSeriesTables();
+  seedDefaultSeries();
+
+  // Branches saved before they got series of their own
+  try {
+    db.prepare('SELECT id FROM branches').all().forEach(branch => seedBranchSeries(branch.id));
+  } catch (error) {
+    console.error('[VoucherSeriesService] Branch series error:', error.message);
+  }
+}
+
+/**
+ * Create numbering-related database tables
+ */
+function createSeriesTables() {
+  if (!db) return;
+
+  db.exec(`
+    -- Numbering series per voucher type and branch
+    CREATE TABLE IF NOT EXISTS voucher_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      voucher_type TEXT NOT NULL,
+      branch_id INTEGER NOT NULL DEFAULT 0, -- 0 = head office
+      prefix TEXT NOT NULL,
+      format TEXT NOT NULL DEFAULT '${DEFAULT_FORMAT}', -- tokens: {prefix} {fy} {branch} {seq}
+      padding INTEGER DEFAULT 4,
+      reset_yearly INTEGER DEFAULT 1,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(voucher_type, branch_id)
+    );
+
+    -- Last number issued per series and financial year
+    CREATE TABLE IF NOT EXISTS voucher_series_counters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      series_id INTEGER NOT NULL,
+      financial_year TEXT NOT NULL, -- 2025-26, or 'all' for series that never reset
+      last_number INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(series_id, financial_year),
+      FOREIGN KEY (series_id) REFERENCES voucher_series(id)
+    );
+  `);
+}
+
+/**
+ * Seed the head-office series for every voucher type
+ */
+function seedDefaultSeries() {
+  if (!db) return;
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO voucher_series (voucher_type, branch_id, prefix) VALUES (?, 0, ?)
+  `);
+
+  for (const [voucherType, prefix] of DEFAULT_SERIES) {
+    stmt.run(voucherType, prefix);
+  }
+}
+
+/**
+ * Give a branch its own series for every voucher type the head office has.
+ * Existing branch series are left as they are.
+ * @param {number} branchId - Branch id
+ */
+function seedBranchSeries(branchId) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  const branch = db.prepare('SELECT id, code FROM branches WHERE id = ?').get(branchId);
+  if (!branch) return { success: false, error: `Branch #${branchId} not found` };
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO voucher_series (voucher_type, branch_id, prefix, format, padding, reset_yearly)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  for (const series of db.prepare('SELECT * FROM voucher_series WHERE branch_id = 0').all()) {
+    const layout = branchSeriesLayout(series, branch);
+    if (!layout) {
+      return {
+        success: false,
+        error: `Branch code ${branch.code} is too long for a ${series.voucher_type} series within ${GST_MAX_DOCUMENT_LENGTH} characters`
+      };
+    }
+    insert.run(series.voucher_type, branch.id, layout.prefix, layout.format, layout.padding, series.reset_yearly);
+  }
+  return { success: true };
+}
+
+/**
+ * Prefix, format and padding of a branch's copy of a head-office series,
+ * shortening the running number if a GST document would run too long
+ * @param {Object} series - Head-office voucher_series row
+ * @param {Object} branch - { code }
+ * @returns {Object|null} Null when no layout fits
+ */
+function branchSeriesLayout(series, branch) {
+  const paddings = [series.padding ?? 4, 3].filter((padding, i, all) => all.indexOf(padding) === i);
+  for (const padding of paddings) {
+    const layout = { prefix: series.prefix, format: BRANCH_FORMAT, padding };
+    const sample = formatNumber({ ...layout, branch_code: branch.code }, '2099-00', 10 ** Math.max(padding, 1) - 1);
+    if (!GST_DOCUMENT_TYPES.includes(series.voucher_type) || sample.length <= GST_MAX_DOCUMENT_LENGTH) return layout;
+  }
+  return null;
+}
+
+/**
+ * Short financial year label used in numbers (2025-26 -> 25-26)
+ * @param {string} financialYear - Financial year name
+ */
+function shortYear(financialYear) {
+  const [start, end] = String(financialYear).split('-');
+  return end ? `${start.slice(-2)}-${end.slice(-2)}` : financialYear;
+}
+
+/**
+ * Render a voucher number from a series and running number
+ * @param {Object} series - voucher_series row
+ * @param {string} financialYear - Financial year name (2025-26)
+ * @param {number} number - Running number
+ */
+function formatNumber(series, financialYear, number) {
+  return (series.format || DEFAULT_FORMAT)
+    .replace('{prefix}', series.prefix)
+    .replace('{fy}', shortYear(financialYear))
+    .replace('{branch}', series.branch_code || String(series.branch_id || ''))
+    .replace('{seq}', String(number).padStart(series.padding || 0, '0'));
+}
+
+/**
+ * Find the series for a voucher type, preferring the branch's own series
+ * @param {string} voucherType - Voucher type
+ * @param {number} branchId - Branch (0 = head office)
+ */
+function getSeriesFor(voucherType, branchId = 0) {
+  return db.prepare(`
+    SELECT vs.*, b.code as branch_code FROM voucher_series vs
+    LEFT JOIN branches b ON b.id = vs.branch_id
+    WHERE vs.voucher_type = ? AND vs.branch_id IN (?, 0) AND vs.is_active = 1
+    ORDER BY vs.branch_id DESC LIMIT 1
+  `).get(voucherType, branchId || 0);
+}
+
+/**
+ * Allocate the next number of a series. Call inside the same database
+ * transaction that inserts the voucher so a failed insert gives the number back.
+ * @param {string} voucherType - Voucher type
+ * @param {string} financialYear - Financial year the voucher date falls in
+ * @param {number} branchId - Branch (0 = head office)
+ * @returns {Object} { voucher_no, series_id, series_number, financial_year }
+ */
+function allocateNumber(voucherType, financialYear, branchId = 0) {
+  if (!db) throw new Error('Database not initialized');
+
+  let series = getSeriesFor(voucherType, branchId);
+  if (!series) {
+    // Unknown voucher types get a series on first use
+    db.prepare(`
+      INSERT OR IGNORE INTO voucher_series (voucher_type, branch_id, prefix) VALUES (?, 0, ?)
+    `).run(voucherType, voucherType.slice(0, 3).toUpperCase());
+    if (branchId) seedBranchSeries(branchId);
+    series = getSeriesFor(voucherType, branchId);
+  }
+
+  // A branch with its own GSTIN files its own GSTR-1; numbering its documents in the
+  // head-office series would leave gaps there that read as cancelled documents
+  if (branchId && series.branch_id !== branchId) {
+    const branch = db.prepare('SELECT code, gstin FROM branches WHERE id = ?').get(branchId);
+    if (branch && branch.gstin) {
+      throw new Error(`Branch ${branch.code} has its own GSTIN but no active ${voucherType} series; set one up under numbering`);
+    }
+  }
+
+  const counterYear = series.reset_yearly ? financialYear : 'all';
+
+  db.prepare(`
+    INSERT OR IGNORE INTO voucher_series_counters (series_id, financial_year, last_number) VALUES (?, ?, 0)
+  `).run(series.id, counterYear);
+  db.prepare(`
+    UPDATE voucher_series_counters
+    SET last_number = last_number + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE series_id = ? AND financial_year = ?
+  `).run(series.id, counterYear);
+
+  const { last_number: number } = db.prepare(`
+    SELECT last_number FROM voucher_series_counters WHERE series_id = ? AND financial_year = ?
+  `).get(series.id, counterYear);
+
+  return {
+    voucher_no: formatNumber(series, financialYear, number),
+    series_id: series.id,
+    series_number: number,
+    financial_year: financialYear
+  };
+}
+
+/**
+ * Get all numbering series with their current counters
+ */
+function getSeries() {
+  if (!db) return [];
+
+  try {
+    const counters = db.prepare('SELECT * FROM voucher_series_counters ORDER BY financial_year DESC');
+    const rows = counters.all();
+
+    return db.prepare('SELECT * FROM voucher_series ORDER BY branch_id ASC, voucher_type ASC').all()
+      .map(series => ({
+        ...series,
+        counters: rows.filter(c => c.series_id === series.id)
+      }));
+  } catch (error) {
+    console.error('[VoucherSeriesService] Get series error:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or update the series for a voucher type and branch
+ * @param {Object} seriesData - { voucher_type, branch_id, prefix, format, padding, reset_yearly, is_active }
+ */
+function saveSeries(seriesData) {
+  if (!db) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const { voucher_type, prefix } = seriesData;
+    const branchId = seriesData.branch_id || 0;
+    const format = seriesData.format || DEFAULT_FORMAT;
+    const padding = seriesData.padding !== undefined ? Number(seriesData.padding) : 4;
+
+    if (!voucher_type || !prefix) {
+      return { success: false, error: 'Voucher type and prefix are required' };
+    }
+    if (!format.includes('{seq}')) {
+      return { success: false, error: 'Format must contain {seq}' };
+    }
+
+    // The longest number the series can produce this year must fit GST limits
+    const branch = branchId ? db.prepare('SELECT code FROM branches WHERE id = ?').get(branchId) : null;
+    if (branchId && !branch) {
+      return { success: false, error: `Branch #${branchId} not found` };
+    }
+    const branchCode = branch ? branch.code : '';
+    const sample = formatNumber({ prefix, format, padding, branch_code: branchCode }, '2099-00', 10 ** Math.max(padding, 1) - 1);
+    if (GST_DOCUMENT_TYPES.includes(voucher_type) && sample.length > GST_MAX_DOCUMENT_LENGTH) {
+      return {
+        success: false,
+        error: `${sample} is longer than the ${GST_MAX_DOCUMENT_LENGTH} characters GST allows for document numbers`
+      };
+    }
+
+    db.prepare(`
+      INSERT INTO voucher_series (voucher_type, branch_id, prefix, format, padding, reset_yearly, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(voucher_type, branch_id) DO UPDATE SET
+        prefix = excluded.prefix, format = excluded.format, padding = excluded.padding,
+        reset_yearly = excluded.reset_yearly, is_active = excluded.is_active, updated_at = CURRENT_TIMESTAMP
+    `).run(
+      voucher_type, branchId, prefix, format, padding,
+      seriesData.reset_yearly === false || seriesData.reset_yearly === 0 ? 0 : 1,
+      seriesData.is_active === false || seriesData.is_active === 0 ? 0 : 1
+    );
+
+    const series = db.prepare('SELECT * FROM voucher_series WHERE voucher_type = ? AND branch_id = ?').get(voucher_type, branchId);
+
+    return {
+      success: true, series, sample: formatNumber({ ...series, branch_code: branchCode }, '2025-26', 1), message: 'Numbering series saved'
+    };
+  } catch (error) {
+    console.error('[VoucherSeriesService] Save series error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Report gaps, duplicates and cancelled numbers for every series used in a period
+ * @param {Object} filters - { startDate, endDate, voucherType }
+ */
+function getNumberingReport(filters = {}) {
+  if (!db) return null;
+
+  try {
+    const { startDate, endDate, voucherType } = filters;
+    let query = `
+      SELECT t.id, t.voucher_no, t.voucher_type, t.date, t.is_cancelled,
+        t.series_id, t.series_number, t.financial_year
+      FROM transactions t
+      WHERE t.series_id IS NOT NULL
+    `;
+    const params = [];
+
+    if (startDate) {
+      query += ' AND t.date >= ?';
+      params.push(startDate);
+    }
+    if (endDate) {
+      query += ' AND t.date <= ?';
+      params.push(endDate);
+    }
+    if (voucherType) {
+      query += ' AND t.voucher_type = ?';
+      params.push(voucherType);
+    }
+    query += ' ORDER BY t.series_id, t.financial_year, t.series_number';
+
+    const vouchers = db.prepare(query).all(...params);
+    const seriesById = {};
+    db.prepare(`
+      SELECT vs.*, b.code as branch_code FROM voucher_series vs
+      LEFT JOIN branches b ON b.id = vs.branch_id
+    `).all().forEach(s => { seriesById[s.id] = s; });
+
+    const groups = {};
+    vouchers.forEach(v => {
+      const key = `${v.series_id}|${v.financial_year}`;
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(v);
+    });
+
+    const series = Object.values(groups).map(list => {
+      const info = seriesById[list[0].series_id] || { prefix: '', format: DEFAULT_FORMAT, padding: 4 };
+      const financialYear = list[0].financial_year;
+      const numbers = list.map(v => v.series_number);
+      const first = Math.min(...numbers);
+      const last = Math.max(...numbers);
+      const present = new Set(numbers);
+
+      const gaps = [];
+      for (let n = first + 1; n < last; n++) {
+        if (!present.has(n)) gaps.push(formatNumber(info, financialYear, n));
+      }
+
+      const cancelled = list.filter(v => v.is_cancelled).map(v => v.voucher_no);
+
+      return {
+        series_id: list[0].series_id,
+        voucher_type: list[0].voucher_type,
+        branch_id: info.branch_id || 0,
+        financial_year: financialYear,
+        from: list.find(v => v.series_number === first).voucher_no,
+        to: list.find(v => v.series_number === last).voucher_no,
+        total_issued: list.length,
+        cancelled_count: cancelled.length,
+        net_issued: list.length - cancelled.length,
+        gaps,
+        cancelled
+      };
+    });
+
+    // Any voucher number used more than once, inside or outside a series
+    const duplicates = db.prepare(`
+      SELECT voucher_no, COUNT(*) as count, GROUP_CONCAT(id) as transaction_ids
+      FROM transactions
+      WHERE voucher_no IS NOT NULL
+        ${startDate ? 'AND date >= ?' : ''}
+        ${endDate ? 'AND date <= ?' : ''}
+      GROUP BY voucher_no HAVING COUNT(*) > 1
+    `).all(...[startDate, endDate].filter(Boolean));
+
+    return {
+      period: { startDate: startDate || null, endDate: endDate || null },
+      series,
+      duplicates,
+      summary: {
+        total_gaps: series.reduce((sum, s) => sum + s.gaps.length, 0),
+        total_duplicates: duplicates.length,
+        total_cancelled: series.reduce((sum, s) => sum + s.cancelled_count, 0)
+      }
+    };
+  } catch (error) {
+    console.error('[VoucherSeriesService] Numbering report error:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  initialize,
+  allocateNumber,
+  seedBranchSeries,
+  formatNumber,
+  getSeries,
+  saveSeries,
+  getNumberingReport
+};
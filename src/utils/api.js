@@ -92,6 +92,18 @@ const api = {
     }
   },
 
+  // Bank Reconciliation API - errors propagate to the reconciliation service
+  reconciliation: {
+    getStatements: (filters) => window.api.reconciliation.getStatements(filters),
+    getStatementById: (id) => window.api.reconciliation.getStatementById(id),
+    createStatement: (data) => window.api.reconciliation.createStatement(data),
+    addTransaction: (data) => window.api.reconciliation.addTransaction(data),
+    processStatement: (id) => window.api.reconciliation.processStatement(id),
+    getUnreconciled: () => window.api.reconciliation.getUnreconciled(),
+    reconcile: (transactionId, bankTxnId, lockOverride) => window.api.reconciliation.reconcile(transactionId, bankTxnId, lockOverride),
+    findMatches: (line, options) => window.api.reconciliation.findMatches(line, options)
+  },
+
   // Data Management API
   dataManagement: {
     export: async () => {
@@ -109,7 +109,8 @@ function validateXML(xml) {
       processEntities: false
     });
     
-    if (!validationResult.valid) {
+    // validate() returns true for well-formed XML and { err } otherwise
+    if (validationResult !== true) {
       result.error = `XML validation failed: ${validationResult.err.msg}`;
       return result;
     }
@@ -0,0 +1,71 @@
+/**
+ * Loads the main process for the test-*.js checks against a throwaway
+ * database, with just enough of Electron to start it without a window.
+ * Checks drive it through its IPC handlers with `call`.
+ */
+
+const Module = require('module');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'talk-to-accounts-test-'));
+const dataDir = path.join(__dirname, 'data');
+const keepDataDir = fs.existsSync(dataDir);
+
+const handlers = {};
+let ready = null;
+const inert = () => new Proxy(function () {}, {
+  get: (target, key) => (key === 'then' ? undefined : inert()),
+  apply: () => inert(),
+  construct: () => inert()
+});
+const electron = {
+  app: { getPath: () => userData, whenReady: () => ({ then: (cb) => { ready = cb; } }), on: () => {}, quit: () => {} },
+  BrowserWindow: Object.assign(inert(), { getAllWindows: () => [] }),
+  ipcMain: { handle: (channel, handler) => { handlers[channel] = handler; }, on: () => {} },
+  safeStorage: { isEncryptionAvailable: () => false },
+  dialog: inert(),
+  shell: inert(),
+  Notification: Object.assign(inert(), { isSupported: () => false })
+};
+// ES-module services plain node cannot require from main.js; none of them is used here
+const ES_MODULES = ['reportEngine', 'voiceService', 'aiService'];
+
+const load = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === 'electron') return electron;
+  if (ES_MODULES.some(name => request.endsWith(`/services/${name}`))) return inert();
+  return load.call(this, request, parent, isMain);
+};
+
+const timers = [];
+const realSetInterval = global.setInterval;
+global.setInterval = (fn, ms) => {
+  const timer = realSetInterval(fn, ms);
+  timers.push(timer);
+  return timer;
+};
+
+require('./electron/main.js');
+ready();
+
+/**
+ * Invoke an IPC handler as the renderer would
+ */
+const call = (channel, ...args) => handlers[channel]({}, ...args);
+
+/**
+ * Stop the main process timers and remove the throwaway data
+ */
+function shutdown() {
+  timers.forEach(clearInterval);
+  fs.rmSync(userData, { recursive: true, force: true });
+  if (!keepDataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  call,
+  databasePath: path.join(userData, 'talk-to-accounts.db'),
+  shutdown
+};
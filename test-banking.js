@@ -0,0 +1,139 @@
+/**
+ * Bank reconciliation checks, run with `node test-banking.js`
+ *
+ * Loads the main process against a throwaway database. Checks the subset-sum
+ * search behind split matches (one bank line, several vouchers) and grouped
+ * matches (several bank lines, one voucher), and the limits on how a bank
+ * line may be allocated when it is matched.
+ */
+
+const { call, databasePath, shutdown } = require('./test-app');
+const reconciliationEngine = require('./src/services/reconciliationEngine');
+const Database = require('better-sqlite3');
+const db = new Database(databasePath, { readonly: true });
+
+const count = (table) => db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get().count;
+
+let failures = 0;
+const check = (label, condition, detail = '') => {
+  if (condition) {
+    console.log(`✓ ${label}`);
+  } else {
+    failures++;
+    console.log(`✗ ${label}${detail ? ` (${detail})` : ''}`);
+  }
+};
+
+const bankLine = async (date, amount, type, description) => {
+  const added = await call('banking:add-transaction', { date, amount, type, description });
+  return db.prepare('SELECT * FROM bank_transactions WHERE id = ?').get(added.transaction_id);
+};
+const vouchersOf = (allocations) => allocations.map(a => a.transaction_id).sort((a, b) => a - b).join(',');
+const idsOf = (rows) => rows.map(row => row.id).sort((a, b) => a - b).join(',');
+
+(async () => {
+  console.log('Starting bank reconciliation checks...');
+
+  await call('set-business-info', { name: 'Acme', state: 'Karnataka', gstin: '29AAAAA0000A1Z5' });
+  const customer = await call('add-party', { name: 'Sharma Stores', type: 'customer', state: 'Karnataka' });
+  const supplier = await call('add-party', { name: 'Gupta Traders', type: 'supplier', state: 'Karnataka' });
+  const sale = async (date, rate) => call('add-transaction', {
+    voucher_type: 'sale', date, party_id: customer, items: [{ description: 'Widget', quantity: 1, rate, gst_rate: 0 }]
+  });
+  const first = await sale('2025-07-01', 1000);
+  const second = await sale('2025-07-02', 2000);
+  const third = await sale('2025-07-03', 4000);
+  const purchase = await call('add-transaction', {
+    voucher_type: 'purchase', date: '2025-07-03', party_id: supplier, items: [{ description: 'Widget', quantity: 1, rate: 500, gst_rate: 0 }]
+  });
+
+  // Split matches: one line settles several vouchers of a party
+  console.log('\nSplit matches:');
+  const exact = await bankLine('2025-07-10', 3000, 'credit', 'NEFT SHARMA STORES');
+  const splits = reconciliationEngine.findSplitMatches(exact);
+  check('vouchers adding up to the line are proposed together',
+    splits.some(s => vouchersOf(s.allocations) === idsOf([first, second])), JSON.stringify(splits.map(s => vouchersOf(s.allocations))));
+  check('an exact split settles each voucher in full',
+    splits[0] && splits[0].allocations.every(a => a.allocation === a.outstanding), JSON.stringify(splits[0]?.allocations));
+
+  const short = await bankLine('2025-07-11', 3500, 'credit', 'NEFT SHARMA STORES');
+  const oldestFirst = reconciliationEngine.findSplitMatches(short);
+  const plan = oldestFirst[0]?.allocations || [];
+  check('without an exact sum a named party is settled oldest first',
+    vouchersOf(plan) === idsOf([first, second, third]), JSON.stringify(plan.map(a => [a.voucher_no, a.allocation])));
+  check('the last voucher of an oldest-first split is part-paid',
+    plan.length === 3 && plan[2].allocation === 500, JSON.stringify(plan.map(a => a.allocation)));
+
+  const unnamed = await bankLine('2025-07-11', 3500, 'credit', 'CASH DEPOSIT');
+  check('without an exact sum an unnamed line gets no split', reconciliationEngine.findSplitMatches(unnamed).length === 0);
+
+  const outgoing = await bankLine('2025-07-11', 3000, 'debit', 'NEFT SHARMA STORES');
+  check('money going out is not split over sales', reconciliationEngine.findSplitMatches(outgoing).length === 0);
+
+  // Grouped matches: several lines together settle one voucher
+  console.log('\nGrouped matches:');
+  const part = await bankLine('2025-07-12', 1500, 'credit', 'SHARMA STORES PART 1');
+  const rest = await bankLine('2025-07-13', 2500, 'credit', 'SHARMA STORES PART 2');
+  const groups = reconciliationEngine.findGroupMatches(part);
+  const group = groups.find(g => g.voucher.transaction_id === third.id);
+  check('lines adding up to a voucher are grouped', Boolean(group), JSON.stringify(groups.map(g => g.voucher.voucher_no)));
+  check('the group holds this line and the one that makes up the rest',
+    group && idsOf(group.lines) === idsOf([part, rest]), JSON.stringify(group?.lines.map(l => l.id)));
+  check('a voucher smaller than the line is not grouped',
+    !groups.some(g => g.voucher.transaction_id === first.id), JSON.stringify(groups.map(g => g.voucher.voucher_no)));
+
+  // Allocation limits
+  console.log('\nAllocation limits:');
+  const paymentsBefore = count('payments');
+  const overVoucher = await call('banking:match-split', exact.id, [{ invoice_id: first.id, invoice_type: 'sale', amount: 1500 }]);
+  check('a voucher cannot take more than is outstanding on it',
+    !overVoucher.success && /outstanding/.test(overVoucher.error), overVoucher.error);
+  const overLine = await call('banking:match-split', exact.id, [
+    { invoice_id: second.id, invoice_type: 'sale', amount: 2000 },
+    { invoice_id: third.id, invoice_type: 'sale', amount: 1500 }
+  ]);
+  check('vouchers cannot take more than the line carries',
+    !overLine.success && /left to allocate/.test(overLine.error), overLine.error);
+
+  const expense = await call('add-expense', { date: '2025-07-10', category: 'Office Supplies', amount: 5000, description: 'Stationery' });
+  const expenseLine = await bankLine('2025-07-14', 800, 'debit', 'STATIONERY SHOP');
+  const overExpense = await call('banking:match-split', expenseLine.id, [{ invoice_id: expense, invoice_type: 'expense', amount: 1200 }]);
+  check('an expense cannot take more than the line carries',
+    !overExpense.success && /left to allocate/.test(overExpense.error), overExpense.error);
+  const mixed = await call('banking:match-split', expenseLine.id, [
+    { invoice_id: purchase.id, invoice_type: 'purchase', amount: 500 },
+    { invoice_id: expense, invoice_type: 'expense', amount: 500 }
+  ]);
+  check('an expense cannot take what the vouchers before it used up',
+    !mixed.success && /left to allocate/.test(mixed.error), mixed.error);
+
+  const wrongWay = await call('banking:match-transaction', outgoing.id, first.id, 'sale');
+  check('money going out cannot settle a sale', !wrongWay.success && /cannot settle/.test(wrongWay.error), wrongWay.error);
+  const wrongPurchase = await call('banking:match-transaction', unnamed.id, purchase.id, 'purchase');
+  check('money coming in cannot settle a purchase', !wrongPurchase.success && /cannot settle/.test(wrongPurchase.error), wrongPurchase.error);
+  check('refused matches leave no payment', count('payments') === paymentsBefore, count('payments'));
+
+  const matched = await call('banking:match-split', exact.id, [
+    { invoice_id: first.id, invoice_type: 'sale' },
+    { invoice_id: second.id, invoice_type: 'sale' }
+  ]);
+  check('a split within the limits settles both vouchers', matched.success && matched.payment_ids.length === 2, matched.error);
+  const paid = await call('banking:match-split', expenseLine.id, [
+    { invoice_id: purchase.id, invoice_type: 'purchase' },
+    { invoice_id: expense, invoice_type: 'expense' }
+  ]);
+  const allocations = db.prepare('SELECT invoice_type, amount FROM bank_allocations WHERE bank_transaction_id = ?').all(expenseLine.id);
+  check('an expense without an amount takes what is left of the line',
+    paid.success && allocations.find(a => a.invoice_type === 'expense')?.amount === 300, paid.error || JSON.stringify(allocations));
+})()
+  .catch(error => {
+    failures++;
+    console.error('Test failed:', error.message);
+  })
+  .finally(() => {
+    db.close();
+    shutdown();
+
+    console.log(failures ? `\n✗ ${failures} check(s) failed` : '\n✓ All bank reconciliation checks passed');
+    process.exit(failures ? 1 : 0);
+  });
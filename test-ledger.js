@@ -0,0 +1,127 @@
+/**
+ * Ledger posting checks, run with `node test-ledger.js`
+ *
+ * Loads the main process against a throwaway database and drives its IPC
+ * handlers: party vouchers post to the party ledger, edits repost the
+ * voucher, and payments into a closed year are refused without leaving
+ * anything behind.
+ */
+
+const { call, databasePath, shutdown } = require('./test-app');
+const Database = require('better-sqlite3');
+const db = new Database(databasePath, { readonly: true });
+
+const balanceOf = (code) => db.prepare(`
+  SELECT ROUND(COALESCE(SUM(l.debit - l.credit), 0), 2) as balance
+  FROM journal_lines l JOIN ledger_accounts a ON a.id = l.account_id
+  WHERE a.code = ?
+`).get(code).balance;
+const count = (table) => db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get().count;
+
+let failures = 0;
+const check = (label, condition, detail = '') => {
+  if (condition) {
+    console.log(`✓ ${label}`);
+  } else {
+    failures++;
+    console.log(`✗ ${label}${detail ? ` (${detail})` : ''}`);
+  }
+};
+
+const trialBalanceIsEven = async (label) => {
+  const tb = await call('ledger:get-trial-balance', '2026-03-31');
+  const debit = tb.total_debit ?? tb.totals?.debit;
+  const credit = tb.total_credit ?? tb.totals?.credit;
+  check(label, Math.abs(debit - credit) < 0.005, `${debit} / ${credit}`);
+};
+
+(async () => {
+  console.log('Starting ledger checks...');
+
+  await call('set-business-info', { name: 'Acme', state: 'Karnataka', gstin: '29AAAAA0000A1Z5' });
+  const customer = await call('add-party', { name: 'Sharma Stores', type: 'customer', state: 'Karnataka' });
+  const line = (rate) => [{ description: 'Widget', quantity: 1, rate, gst_rate: 18 }];
+
+  // Posting
+  console.log('\nPosting:');
+  const sale = await call('add-transaction', { voucher_type: 'sale', date: '2025-07-01', party_id: customer, items: line(200) });
+  check('credit sale debits Sundry Debtors', balanceOf('1100') === 236, balanceOf('1100'));
+  check('credit sale credits Sales', balanceOf('4000') === -200, balanceOf('4000'));
+
+  await call('add-payment', { transaction_id: sale.id, amount: 236, method: 'bank', date: '2025-07-02' });
+  check('payment settles the party', balanceOf('1100') === 0, balanceOf('1100'));
+  check('payment reaches the bank', balanceOf('1010') === 236, balanceOf('1010'));
+
+  await call('add-transaction', {
+    voucher_type: 'sale', date: '2025-07-03', party_id: customer, payment_status: 'paid', payment_method: 'cash', items: line(100)
+  });
+  check('paid party sale still passes through Sundry Debtors', balanceOf('1100') === 0 && balanceOf('1000') === 118,
+    `debtors ${balanceOf('1100')}, cash ${balanceOf('1000')}`);
+  check('paid party sale records its settlement', count('payments') === 2, count('payments'));
+  await trialBalanceIsEven('trial balance is even after posting');
+
+  // A total that is off by paise goes to Round Off; one that is off by more cannot be posted
+  const ledgerService = require('./src/services/ledgerService');
+  const writer = new Database(databasePath);
+  const offBy = async (amount) => {
+    const voucher = await call('add-transaction', { voucher_type: 'sale', date: '2025-07-04', items: line(100) });
+    writer.prepare('UPDATE transactions SET total_amount = total_amount + ? WHERE id = ?').run(amount, voucher.id);
+    ledgerService.reverseSourceEntries('transaction', voucher.id);
+    return ledgerService.postTransaction(voucher.id);
+  };
+  const rounded = await offBy(0.4);
+  check('a difference under a rupee is booked to Round Off', rounded.success && balanceOf('6900') === -0.4, rounded.error || balanceOf('6900'));
+  const unbalanced = await offBy(25);
+  check('a larger difference is refused', !unbalanced.success && /does not balance/.test(unbalanced.error), unbalanced.error);
+  writer.close();
+
+  // Reposting on edit
+  console.log('\nReposting on edit:');
+  const edited = await call('add-transaction', { voucher_type: 'sale', date: '2025-07-05', party_id: customer, items: line(500) });
+  const stored = db.prepare('SELECT * FROM transactions WHERE id = ?').get(edited.id);
+  await call('update-transaction', edited.id, { ...stored, items: line(1000) });
+  check('edit reposts the new total to Sundry Debtors', balanceOf('1100') === 1180, balanceOf('1100'));
+  const entries = db.prepare(`
+    SELECT is_reversal, reversed_by FROM journal_entries WHERE source_type = 'transaction' AND source_id = ?
+  `).all(edited.id);
+  check('edit reverses the old journal entry', entries.some(entry => entry.is_reversal === 1), JSON.stringify(entries));
+  check('edit leaves one live journal entry', entries.filter(entry => !entry.is_reversal && !entry.reversed_by).length === 1,
+    JSON.stringify(entries));
+  await trialBalanceIsEven('trial balance is even after the edit');
+
+  // Closed-year payments
+  console.log('\nClosed-year payments:');
+  const old = await call('add-transaction', { voucher_type: 'sale', date: '2024-07-01', party_id: customer, items: line(100) });
+  const anonymous = await call('ledger:close-financial-year', '2024-25');
+  check('closing a year needs a signed-in administrator', !anonymous.success, anonymous.error);
+  await call('auth:login', 'admin@company.com', 'admin123');
+  const closed = await call('ledger:close-financial-year', '2024-25');
+  check('administrator closes the year', closed.success, closed.error);
+  const paymentsBefore = count('payments');
+  const entriesBeforePayment = count('journal_entries');
+  let refused = null;
+  try {
+    await call('add-payment', { transaction_id: old.id, amount: 118, method: 'bank', date: '2024-08-01' });
+  } catch (error) {
+    refused = error;
+  }
+  check('payment dated in a closed year is refused', refused !== null);
+  check('refused payment leaves no payment row', count('payments') === paymentsBefore, count('payments'));
+  check('refused payment leaves no journal entry', count('journal_entries') === entriesBeforePayment, count('journal_entries'));
+  await trialBalanceIsEven('trial balance is even after the refusal');
+
+  await call('auth:logout');
+  const reopenAnonymous = await call('ledger:reopen-financial-year', '2024-25');
+  check('reopening a year needs a signed-in administrator', !reopenAnonymous.success, reopenAnonymous.error);
+})()
+  .catch(error => {
+    failures++;
+    console.error('Test failed:', error.message);
+  })
+  .finally(() => {
+    db.close();
+    shutdown();
+
+    console.log(failures ? `\n✗ ${failures} check(s) failed` : '\n✓ All ledger checks passed');
+    process.exit(failures ? 1 : 0);
+  });
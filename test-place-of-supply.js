@@ -0,0 +1,123 @@
+/**
+ * Place of supply checks, run with `node test-place-of-supply.js`
+ *
+ * Drives the pure rules in src/services/placeOfSupply.js: intra- and
+ * inter-state goods, bill-to/ship-to, supplies to SEZ units, exports with and
+ * without payment of IGST, and the location rules for services.
+ */
+
+const placeOfSupply = require('./src/services/placeOfSupply');
+
+let failures = 0;
+const check = (label, condition, detail = '') => {
+  if (condition) {
+    console.log(`✓ ${label}`);
+  } else {
+    failures++;
+    console.log(`✗ ${label}${detail ? ` (${detail})` : ''}`);
+  }
+};
+
+const supplier = { gstin: '29AAAAA0000A1Z5' };
+const decide = (draft) => placeOfSupply.determinePlaceOfSupply({ supplier, ...draft });
+const summary = (decision) => `${decision.place_of_supply} ${decision.tax_type} ${decision.supply_nature}`;
+
+console.log('Starting place of supply checks...');
+
+// States
+console.log('\nStates:');
+check('state code from a GSTIN', placeOfSupply.stateCode('27BBBBB1111B1Z5') === '27');
+check('state code from a name', placeOfSupply.stateCode('Tamil Nadu') === '33');
+check('state code from an old name', placeOfSupply.stateCode('Orissa') === '21');
+check('single-digit code is padded', placeOfSupply.stateCode(7) === '07');
+check('unknown state has no code', placeOfSupply.stateCode('Atlantis') === null);
+check('URP is not registered', !placeOfSupply.isRegistered('URP'));
+check('registered party is located by its GSTIN',
+  placeOfSupply.partyState({ gstin: '27BBBBB1111B1Z5', state: 'Karnataka' }) === '27');
+
+// Goods
+console.log('\nGoods:');
+const local = decide({ recipient: { gstin: '29BBBBB1111B1Z5' } });
+check('same-state sale is intra-state', local.place_of_supply === '29' && local.tax_type === 'CGST_SGST', summary(local));
+const outside = decide({ recipient: { state: 'Maharashtra' } });
+check('other-state sale is inter-state', outside.place_of_supply === '27' && outside.tax_type === 'IGST', summary(outside));
+const union = decide({ recipient: { state: 'Chandigarh' } });
+check('supply into a union territory names UTGST', union.state_tax === 'UTGST', union.state_tax);
+const counter = decide({ recipient: {} });
+check('counter sale without an address stays in the supplier state',
+  counter.place_of_supply === '29' && counter.tax_type === 'CGST_SGST', summary(counter));
+const site = decide({ recipient: { gstin: '29BBBBB1111B1Z5' }, location_state_code: '33' });
+check('goods installed at a site are supplied there', site.place_of_supply === '33' && site.is_interstate, summary(site));
+
+// Bill-to/ship-to
+console.log('\nBill-to/ship-to:');
+const billTo = decide({ recipient: { gstin: '27BBBBB1111B1Z5' }, ship_to: { state: 'Karnataka' } });
+check('goods shipped on the buyer\'s direction go by the bill-to state',
+  billTo.place_of_supply === '27' && billTo.tax_type === 'IGST', summary(billTo));
+const sameState = decide({ recipient: { gstin: '27BBBBB1111B1Z5' }, ship_to: { gstin: '27CCCCC2222C1Z5' } });
+check('bill-to and ship-to in one state go by that state', sameState.place_of_supply === '27', summary(sameState));
+
+// SEZ
+console.log('\nSEZ:');
+const sez = decide({ recipient: { gstin: '29SSSSS1111S1Z5', is_sez: true } });
+check('supply to an SEZ unit in the same state is inter-state',
+  sez.supply_nature === 'sez' && sez.is_interstate && sez.tax_type === 'IGST', summary(sez));
+const sezLut = decide({ recipient: { gstin: '29SSSSS1111S1Z5', is_sez: true }, with_payment: false });
+check('supply to an SEZ unit under LUT carries no GST', sezLut.zero_rated && sezLut.tax_type === 'NONE', summary(sezLut));
+
+// Exports
+console.log('\nExports:');
+const exported = decide({ recipient: { country: 'US' } });
+check('foreign buyer makes an export', exported.supply_nature === 'export' && exported.place_of_supply === '96', summary(exported));
+check('export with payment is taxed as IGST', exported.tax_type === 'IGST' && exported.zero_rated, summary(exported));
+const underLut = decide({ recipient: { gstin: 'EXPORT' }, with_payment: false });
+check('export under LUT carries no GST', underLut.supply_nature === 'export' && underLut.tax_type === 'NONE', summary(underLut));
+const indian = decide({ recipient: { state: 'Karnataka', country: 'India' } });
+check('buyer in India is not an export', indian.supply_nature === 'regular' && indian.tax_type === 'CGST_SGST', summary(indian));
+const deemed = decide({ recipient: { gstin: '29BBBBB1111B1Z5' }, supply_nature: 'deemed_export' });
+check('deemed export follows the normal rules', deemed.tax_type === 'CGST_SGST' && !deemed.zero_rated, summary(deemed));
+
+// Services
+console.log('\nServices:');
+const sac = [{ hsn_code: '998314' }];
+check('SAC lines make a supply of services', placeOfSupply.supplyKind(sac) === 'services');
+check('a goods line makes the supply goods', placeOfSupply.supplyKind([...sac, { hsn_code: '8471' }]) === 'goods');
+const registered = decide({ items: sac, recipient: { gstin: '27BBBBB1111B1Z5' } });
+check('services to a registered person go by the recipient', registered.place_of_supply === '27' && registered.tax_type === 'IGST',
+  summary(registered));
+const noAddress = decide({ items: sac, recipient: {} });
+check('services to an unregistered person without an address stay with the supplier',
+  noAddress.place_of_supply === '29' && noAddress.tax_type === 'CGST_SGST', summary(noAddress));
+const property = decide({
+  supply_kind: 'services', service_type: 'immovable_property', recipient: { gstin: '29BBBBB1111B1Z5' }, location_state_code: '32'
+});
+check('property services are supplied where the property is', property.place_of_supply === '32' && property.tax_type === 'IGST',
+  summary(property));
+const training = decide({
+  supply_kind: 'services', service_type: 'training', recipient: { gstin: '27BBBBB1111B1Z5' }, location_state_code: '29'
+});
+check('training for a registered person goes by the recipient', training.place_of_supply === '27', summary(training));
+const trainingUnregistered = decide({
+  supply_kind: 'services', service_type: 'training', recipient: { state: 'Maharashtra' }, location_state_code: '29'
+});
+check('training for an unregistered person goes by where it is given', trainingUnregistered.place_of_supply === '29',
+  summary(trainingUnregistered));
+const eventWithoutSite = decide({ supply_kind: 'services', service_type: 'event_admission', recipient: { state: 'Maharashtra' } });
+check('event admission without a venue asks for one', eventWithoutSite.warnings.length === 1, JSON.stringify(eventWithoutSite.warnings));
+
+// Tax split
+console.log('\nTax split:');
+const intra = placeOfSupply.splitTax(1000, 18, 'CGST_SGST');
+check('intra-state tax is split in half', intra.cgst_amount === 90 && intra.sgst_amount === 90 && intra.igst_amount === 0,
+  JSON.stringify(intra));
+const odd = placeOfSupply.splitTax(10.1, 18, 'CGST_SGST');
+check('split halves are rounded to the paisa', odd.cgst_amount === 0.91 && odd.total_gst === 1.82, JSON.stringify(odd));
+check('zero-rated supply under LUT has no tax', placeOfSupply.splitTax(1000, 18, 'NONE').total_gst === 0);
+const resolved = placeOfSupply.resolve({
+  supplier, recipient: { state: 'Maharashtra' }, items: [{ amount: 1000, gst_rate: 18 }, { taxable_amount: 500, gst_rate: 5 }]
+});
+check('resolve taxes every line the same way', resolved.totals.igst_amount === 205 && resolved.totals.total_amount === 1705,
+  JSON.stringify(resolved.totals));
+
+console.log(failures ? `\n✗ ${failures} check(s) failed` : '\n✓ All place of supply checks passed');
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,214 @@
+/**
+ * Bank statement parser checks, run with `node test-statement-parsers.js`
+ *
+ * Reads a small inline statement in each format the importer accepts
+ * (SWIFT MT940, ISO 20022 camt.053, Excel and text-based PDF) through
+ * src/services/statementParsers.js.
+ */
+
+const XLSX = require('xlsx');
+const statementParsers = require('./src/services/statementParsers');
+
+let failures = 0;
+const check = (label, condition, detail = '') => {
+  if (condition) {
+    console.log(`✓ ${label}`);
+  } else {
+    failures++;
+    console.log(`✗ ${label}${detail ? ` (${detail})` : ''}`);
+  }
+};
+
+const MT940 = [
+  ':20:STMT250731',
+  ':25:50100012345678',
+  ':28C:00012/001',
+  ':60F:C250630INR10000,00',
+  ':61:2507010701C5000,00NTRFINV-0001//UTR123456',
+  ':86:?20NEFT SHARMA STORES?21INVOICE 0001',
+  ':61:2507020702D1200,50NCHKNONREF//CHQ000451',
+  'CHEQUE PAID',
+  ':86:GUPTA TRADERS',
+  ':61:2512310102RC300,00NTRFREV-9',
+  ':62F:C250731INR13499,50',
+  '-}'
+].join('\r\n');
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Acct><Id><Othr><Id>50100012345678</Id></Othr></Id><Ccy>INR</Ccy></Acct>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="INR">10000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-06-30</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="INR">13799.50</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-07-31</Dt></Dt>
+      </Bal>
+      <Ntry>
+        <Amt Ccy="INR">5000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2025-07-01</Dt></BookgDt><ValDt><Dt>2025-07-01</Dt></ValDt>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>UTR123456</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>Sharma Stores</Nm></Dbtr></RltdPties>
+          <RmtInf><Ustrd>Invoice 0001</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="INR">1200.50</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><DtTm>2025-07-02T10:15:00</DtTm></BookgDt>
+        <AcctSvcrRef>CHQ000451</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+          <RltdPties><Cdtr><Nm>Gupta Traders</Nm></Cdtr></RltdPties>
+        </TxDtls></NtryDtls>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const PDF_TEXT = [
+  'State Bank of India - Account Statement',
+  'Opening Balance 10,000.00',
+  '01/07/2025 NEFT SHARMA STORES UTR123456 5,000.00 15,000.00',
+  'INVOICE 0001',
+  '02/07/2025 02/07/2025 CHEQUE GUPTA TRADERS 1,200.50 13,799.50',
+  '03/07/2025 IMPS REFUND 250.00Cr',
+  'Page 1 of 1'
+].join('\n');
+
+/**
+ * A one-page PDF printing the given lines, with a correct cross-reference table
+ */
+function buildPdf(lines) {
+  const content = ['BT', '/F1 10 Tf', '14 TL', '40 800 Td',
+    ...lines.map(line => `(${line.replace(/[()\\]/g, '\\$&')}) '`), 'ET'].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+(async () => {
+  console.log('Starting statement parser checks...');
+
+  // MT940
+  console.log('\nMT940:');
+  const mt940 = await statementParsers.readStatementFile(Buffer.from(MT940), 'statement.txt');
+  const swift = mt940.statement;
+  check('MT940 is recognised by its fields', mt940.fileType === 'mt940', mt940.fileType);
+  check('MT940 account and balances are read',
+    swift.account === '50100012345678' && swift.currency === 'INR'
+      && swift.opening_balance.amount === 10000 && swift.closing_balance.amount === 13499.5,
+    JSON.stringify([swift.account, swift.opening_balance, swift.closing_balance]));
+  check('MT940 lines carry their direction and amount',
+    swift.transactions.map(t => `${t.type} ${t.amount}`).join(', ') === 'credit 5000, debit 1200.5, debit 300',
+    JSON.stringify(swift.transactions.map(t => [t.type, t.amount])));
+  check('MT940 reference is the customer\'s, or the bank\'s when it is NONREF',
+    swift.transactions[0].reference === 'INV-0001' && swift.transactions[1].reference === 'CHQ000451',
+    JSON.stringify(swift.transactions.map(t => t.reference)));
+  check('MT940 narration joins the :86: remittance text',
+    swift.transactions[0].description === 'NEFT SHARMA STORES INVOICE 0001'
+      && swift.transactions[1].description === 'CHEQUE PAID GUPTA TRADERS',
+    JSON.stringify(swift.transactions.map(t => t.description)));
+  check('MT940 entry booked in January for a December value date falls in the next year',
+    swift.transactions[2].value_date === '2025-12-31' && swift.transactions[2].date === '2026-01-02',
+    JSON.stringify(swift.transactions[2]));
+
+  // camt.053
+  console.log('\ncamt.053:');
+  const camt = await statementParsers.readStatementFile(Buffer.from(CAMT053), 'statement.xml');
+  const iso = camt.statement;
+  check('camt.053 is recognised by its document', camt.fileType === 'camt053', camt.fileType);
+  check('camt.053 account and balances are read',
+    iso.account === '50100012345678' && iso.currency === 'INR'
+      && iso.opening_balance.amount === 10000 && iso.closing_balance.date === '2025-07-31',
+    JSON.stringify([iso.account, iso.opening_balance, iso.closing_balance]));
+  check('camt.053 credit names the debtor and remittance',
+    iso.transactions[0].type === 'credit' && iso.transactions[0].amount === 5000
+      && iso.transactions[0].reference === 'UTR123456' && iso.transactions[0].description === 'Sharma Stores Invoice 0001',
+    JSON.stringify(iso.transactions[0]));
+  check('camt.053 debit takes its date from a timestamp and the servicer reference',
+    iso.transactions[1].type === 'debit' && iso.transactions[1].date === '2025-07-02'
+      && iso.transactions[1].reference === 'CHQ000451' && iso.transactions[1].description === 'Gupta Traders',
+    JSON.stringify(iso.transactions[1]));
+
+  // Excel
+  console.log('\nExcel:');
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Txn Date', 'Narration', 'Withdrawal', 'Deposit', 'Balance'],
+    [new Date(Date.UTC(2025, 6, 1)), 'NEFT SHARMA STORES', '', 5000, 15000],
+    [new Date(Date.UTC(2025, 6, 2)), 'CHEQUE GUPTA TRADERS', 1200.5, '', 13799.5]
+  ]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Account summary']]), 'Summary');
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Transactions');
+  const xlsx = await statementParsers.readStatementFile(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'statement.xlsx');
+  check('XLSX is recognised by its bytes', xlsx.fileType === 'xlsx', xlsx.fileType);
+  check('the busiest sheet is read', xlsx.rows.length === 3 && xlsx.rows[0][1] === 'Narration', JSON.stringify(xlsx.rows[0]));
+  check('spreadsheet dates come back as dates and amounts as numbers',
+    xlsx.rows[1][0] instanceof Date && xlsx.rows[1][3] === 5000 && xlsx.rows[2][2] === 1200.5,
+    JSON.stringify(xlsx.rows.slice(1)));
+
+  const xls = await statementParsers.readStatementFile(XLSX.write(workbook, { type: 'buffer', bookType: 'biff8' }), 'statement.xls');
+  check('XLS (Excel 97-2003) is recognised by its bytes and read',
+    xls.fileType === 'xls' && xls.rows.length === 3 && xls.rows[2][2] === 1200.5, JSON.stringify([xls.fileType, xls.rows]));
+
+  const html = Buffer.from('<html><body><table><tr><td>Date</td><td>Narration</td><td>Amount</td></tr>'
+    + '<tr><td>01/07/2025</td><td>NEFT SHARMA STORES</td><td>5000.00</td></tr></table></body></html>');
+  const saved = await statementParsers.readStatementFile(html, 'statement.xls');
+  check('an HTML table saved as .xls is read as a spreadsheet',
+    saved.fileType === 'xls' && saved.rows.length === 2 && saved.rows[1][1] === 'NEFT SHARMA STORES', JSON.stringify(saved.rows));
+
+  // PDF
+  console.log('\nPDF:');
+  const pdf = await statementParsers.readStatementFile(buildPdf(PDF_TEXT.split('\n')), 'statement.pdf');
+  const rows = pdf.rows.slice(1);
+  check('PDF is recognised by its bytes', pdf.fileType === 'pdf', pdf.fileType);
+  check('PDF lines opening with a date become rows', rows.length === 3, JSON.stringify(rows));
+  check('PDF direction is read from the running balance',
+    rows[0] && rows[0][4] === 5000 && rows[0][3] === '' && rows[1] && rows[1][3] === 1200.5,
+    JSON.stringify(rows.slice(0, 2)));
+  check('PDF narration continues on the next line and the reference is split off',
+    rows[0] && rows[0][1] === 'NEFT SHARMA STORES INVOICE 0001' && rows[0][2] === 'UTR123456', JSON.stringify(rows[0]));
+  check('PDF value date is not narration', rows[1] && rows[1][1] === 'CHEQUE GUPTA TRADERS', JSON.stringify(rows[1]));
+  check('PDF Cr mark decides the direction without a balance', rows[2] && rows[2][4] === 250, JSON.stringify(rows[2]));
+
+  const undecided = statementParsers.pdfTextToRows('01/07/2025 NEFT SHARMA STORES 5,000.00 15,000.00');
+  check('PDF amount without an opening balance is left undecided',
+    undecided[1][3] === '' && undecided[1][4] === '' && undecided[1][statementParsers.PDF_UNDECIDED_COLUMN] === 5000,
+    JSON.stringify(undecided[1]));
+  const entered = statementParsers.pdfTextToRows('01/07/2025 NEFT SHARMA STORES 5,000.00 15,000.00', 10000);
+  check('PDF opening balance entered by the user decides the direction', entered[1][4] === 5000, JSON.stringify(entered[1]));
+
+  // Delimited text
+  console.log('\nDelimited text:');
+  const csv = await statementParsers.readStatementFile(Buffer.from('\ufeffDate;Narration;Amount\n01/07/2025;"NEFT ""SHARMA"" STORES";5000.00\n'), 'statement.csv');
+  check('anything else is read as delimited text', csv.fileType === 'csv', csv.fileType);
+  check('delimiter, quotes and byte order mark are handled',
+    csv.rows[0][0] === 'Date' && csv.rows[1][1] === 'NEFT "SHARMA" STORES', JSON.stringify(csv.rows));
+})()
+  .catch(error => {
+    failures++;
+    console.error('Test failed:', error.message);
+  })
+  .finally(() => {
+    console.log(failures ? `\n✗ ${failures} check(s) failed` : '\n✓ All statement parser checks passed');
+    process.exit(failures ? 1 : 0);
+  });